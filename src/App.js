@@ -1,10 +1,11 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { QueryClientProvider } from '@tanstack/react-query';
 import { ReactQueryDevtools } from '@tanstack/react-query-devtools';
 import { authAPI } from './services/api';
 import './App.css';
 import Login from './components/Login';
+import LockScreen from './components/LockScreen';
 import AdminPortal from './components/AdminPortal';
 import ManagerPortal from './components/ManagerPortal';
 import StaffPortal from './components/StaffPortal';
@@ -13,13 +14,23 @@ import { OfflineProvider } from './contexts/OfflineContext';
 import { ServerConnectionProvider } from './contexts/ServerConnectionContext';
 import { Spinner } from './components/LoadingSkeleton';
 import ServerConnectionManager from './components/ServerConnectionManager';
+import SessionExpiredModal from './components/SessionExpiredModal';
 import QuerySyncBridge from './components/QuerySyncBridge';
 import { queryClient } from './queryClient';
+import { loadPricingConfig, loadBusinessSettings, loadFloorPlan, loadKitchenStations, loadOverridePolicy, loadRolesConfig, loadTerminalLock, loadExpenseApprovalPolicy } from './services/businessInfoService';
+import { usePermissions } from './hooks/usePermissions';
+import { useInactivityLock } from './hooks/useInactivityLock';
+import { getPortalForUser } from './utils/permissions';
+import { getCachedPinUsers, isTerminalLocked, setTerminalLocked } from './utils/terminalLock';
 import './utils/debugOffline'; // Enable debug functions
 
 function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [locked, setLocked] = useState(isTerminalLocked);
+  // Terminals that know PIN users open on the tile grid instead of the password form
+  const [pinSignIn, setPinSignIn] = useState(() => getCachedPinUsers().length > 0);
+  const { config: rolesConfig } = usePermissions(user);
 
   useEffect(() => {
     checkSession();
@@ -30,6 +41,20 @@ function App() {
     return () => clearTimeout(timeout);
   }, []);
 
+  // Tax / service charge settings, business details, the floor plan, kitchen stations, the PIN override policy, role permissions, auto-lock and the expense approval limit are needed by the POS and receipts for every role
+  useEffect(() => {
+    if (user) {
+      loadRolesConfig();
+      loadPricingConfig();
+      loadBusinessSettings();
+      loadFloorPlan();
+      loadKitchenStations();
+      loadOverridePolicy();
+      loadTerminalLock();
+      loadExpenseApprovalPolicy();
+    }
+  }, [user]);
+
   const checkSession = async () => {
     try {
       const token = localStorage.getItem('token');
@@ -92,8 +117,18 @@ function App() {
   const handleLoginSuccess = (userData) => {
     setUser(userData);
     localStorage.setItem('user', JSON.stringify(userData));
+    setTerminalLocked(false);
+    setLocked(false);
   };
 
+  // Locking keeps the session and the portal mounted; the next PIN decides who continues
+  const handleLock = useCallback(() => {
+    setTerminalLocked(true);
+    setLocked(true);
+  }, []);
+
+  useInactivityLock(handleLock, !!user && !locked);
+
   const handleLogout = async () => {
     try {
       await authAPI.logout();
@@ -104,9 +139,17 @@ function App() {
       localStorage.removeItem('token');
       localStorage.removeItem('refreshToken');
       localStorage.removeItem('user');
+      setTerminalLocked(false);
+      setLocked(false);
     }
   };
 
+  // From the lock screen: end the locked session and show the password form
+  const handleUsePassword = async () => {
+    setPinSignIn(false);
+    if (user) await handleLogout();
+  };
+
   if (loading) {
     return (
       <div style={{
@@ -127,12 +170,22 @@ function App() {
       <ToastProvider>
         <ServerConnectionProvider>
           <ServerConnectionManager />
-          <Login onLoginSuccess={handleLoginSuccess} />
+          {pinSignIn ? (
+            <LockScreen onUnlock={handleLoginSuccess} onUsePassword={handleUsePassword} />
+          ) : (
+            <Login
+              onLoginSuccess={handleLoginSuccess}
+              onUsePin={getCachedPinUsers().length > 0 ? () => setPinSignIn(true) : undefined}
+            />
+          )}
         </ServerConnectionProvider>
       </ToastProvider>
     );
   }
 
+  // The portal follows the role's permissions, so custom roles land in the right one
+  const portal = getPortalForUser(user, rolesConfig);
+
   return (
     <ToastProvider>
       <ServerConnectionProvider>
@@ -140,26 +193,31 @@ function App() {
           <QueryClientProvider client={queryClient}>
             <QuerySyncBridge />
             <ServerConnectionManager />
+            <SessionExpiredModal user={user} onLogout={handleLogout} />
             {process.env.NODE_ENV === 'development' ? (
               <ReactQueryDevtools initialIsOpen={false} buttonPosition="bottom-left" />
             ) : null}
-            <Router>
+            {locked && (
+              <LockScreen overlay lockedUser={user} onUnlock={handleLoginSuccess} onUsePassword={handleUsePassword} />
+            )}
+            {/* Keyed by user so switching users remounts the portal and loads that user's carts */}
+            <Router key={user.id}>
               <Routes>
-                {user.role === 'admin' ? (
+                {portal === 'admin' ? (
                   <>
-                    <Route path="/admin/*" element={<AdminPortal user={user} onLogout={handleLogout} />} />
+                    <Route path="/admin/*" element={<AdminPortal user={user} onLogout={handleLogout} onLock={handleLock} />} />
                     <Route path="/" element={<Navigate to="/admin/dashboard" replace />} />
                     <Route path="/*" element={<Navigate to="/admin/dashboard" replace />} />
                   </>
-                ) : user.role === 'manager' ? (
+                ) : portal === 'manager' ? (
                   <>
-                    <Route path="/manager/*" element={<ManagerPortal user={user} onLogout={handleLogout} />} />
+                    <Route path="/manager/*" element={<ManagerPortal user={user} onLogout={handleLogout} onLock={handleLock} />} />
                     <Route path="/" element={<Navigate to="/manager/orders" replace />} />
                     <Route path="/*" element={<Navigate to="/manager/orders" replace />} />
                   </>
                 ) : (
                   <>
-                    <Route path="/staff/*" element={<StaffPortal user={user} onLogout={handleLogout} />} />
+                    <Route path="/staff/*" element={<StaffPortal user={user} onLogout={handleLogout} onLock={handleLock} />} />
                     <Route path="/" element={<Navigate to="/staff/orders" replace />} />
                     <Route path="/*" element={<Navigate to="/staff/orders" replace />} />
                   </>
@@ -3,10 +3,37 @@ import { useLocation, useNavigate } from 'react-router-dom';
 import { ordersAPI, expensesAPI, usersAPI, categoriesAPI, menuItemsAPI, authAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import { getPublicAssetUrl } from '../utils/publicAssetUrl';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+import { usePermissions } from '../hooks/usePermissions';
+import { useLowStockIngredients, useIngredientsQuery } from '../hooks/inventory';
+import { useExpenseApprovalsQuery } from '../hooks/expenses';
 import ConfirmationModal from './ConfirmationModal';
 import CustomerManagement from './CustomerManagement';
 import ExpenseHistory from './ExpenseHistory';
+import ExpenseApprovals from './ExpenseApprovals';
+import AuditLog from './AuditLog';
+import StaffAttendance from './StaffAttendance';
+import InventoryManagement from './InventoryManagement';
+import SupplierManagement from './SupplierManagement';
+import LowStockAlert from './LowStockAlert';
 import ScreenLoading from './ScreenLoading';
+import MenuItemOptionsEditor from './MenuItemOptionsEditor';
+import MenuItemRecipeEditor from './MenuItemRecipeEditor';
+import PricingSettings from './PricingSettings';
+import ManagerOverrideSettings from './ManagerOverrideSettings';
+import TerminalLockSettings from './TerminalLockSettings';
+import AttendanceSettings from './AttendanceSettings';
+import ExpenseApprovalSettings from './ExpenseApprovalSettings';
+import RolesEditor from './RolesEditor';
+import BusinessSettings from './BusinessSettings';
+import PrinterSettings from './PrinterSettings';
+import FloorPlanEditor from './FloorPlanEditor';
+import KitchenStationsEditor from './KitchenStationsEditor';
+import PromotionManagement from './PromotionManagement';
+import { normalizeVariants, normalizeModifierGroups } from '../utils/menuModifiers';
+import { normalizeRecipe, serializeRecipe, hasRecipe, getFoodCost, getMargin, isOverFoodCostTarget } from '../utils/recipes';
+import { getRoleName } from '../utils/permissions';
+import { isValidPin, sanitizePin, PIN_MIN_LENGTH, PIN_MAX_LENGTH } from '../utils/terminalLock';
 import './AdminPortal.css';
 import {
   AreaChart, Area, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer,
@@ -21,17 +48,50 @@ import {
   FaMoneyBillWave,
   FaCog,
   FaSignOutAlt,
+  FaLock,
   FaBars,
   FaEye,
   FaEyeSlash,
-  FaTimes
+  FaTimes,
+  FaTicketAlt,
+  FaChair,
+  FaFire,
+  FaHistory,
+  FaUserClock,
+  FaBoxes,
+  FaTruckLoading,
+  FaClipboardCheck
 } from 'react-icons/fa';
 
-const AdminPortal = ({ user, onLogout }) => {
-  const { showSuccess, showError, showInfo } = useToast();
+// Permission each tab needs; the first one the role can open is its landing tab
+const TAB_PERMISSIONS = {
+  dashboard: 'view_reports',
+  users: 'manage_users',
+  categories: 'edit_menu',
+  menu: 'edit_menu',
+  customers: 'manage_customers',
+  promotions: 'manage_promotions',
+  floor: 'manage_settings',
+  stations: 'edit_menu',
+  inventory: 'manage_inventory',
+  suppliers: 'manage_suppliers',
+  expenses: 'manage_expenses',
+  approvals: 'approve_expenses',
+  attendance: 'manage_payroll',
+  audit: 'view_audit_log',
+  settings: 'manage_settings'
+};
+
+const AdminPortal = ({ user, onLogout, onLock }) => {
+  const { showSuccess, showError } = useToast();
   const navigate = useNavigate();
   const location = useLocation();
-  const [activeTab, setActiveTab] = useState('dashboard');
+  const { can, config: rolesConfig } = usePermissions(user);
+  const lowStock = useLowStockIngredients({ enabled: can('manage_inventory') });
+  const { data: pendingApprovals = [] } = useExpenseApprovalsQuery({ enabled: can('approve_expenses') });
+  const allowedTabs = useMemo(() => Object.keys(TAB_PERMISSIONS).filter(tab => can(TAB_PERMISSIONS[tab])), [can]);
+  const homeTab = allowedTabs[0] || 'dashboard';
+  const [activeTab, setActiveTab] = useState(homeTab);
   const [isSidebarOpen, setIsSidebarOpen] = useState(false);
   const [screenLoading, setScreenLoading] = useState(false);
   const [users, setUsers] = useState([]);
@@ -55,7 +115,27 @@ const AdminPortal = ({ user, onLogout }) => {
   const [appliedChartStartDate, setAppliedChartStartDate] = useState(null);
   const [appliedChartEndDate, setAppliedChartEndDate] = useState(null);
   const [showChartCustomRange, setShowChartCustomRange] = useState(false);
-  const logoUrl = getPublicAssetUrl('logo.png');
+  const business = useBusinessSettings();
+  const { currency } = business;
+  const logoUrl = business.logoUrl || getPublicAssetUrl('logo.png');
+
+  // Ingredients for recipes and the menu's food cost column
+  const { data: ingredients = [] } = useIngredientsQuery({ enabled: activeTab === 'menu' });
+  const ingredientsById = useMemo(() => new Map(ingredients.map(i => [String(i.id), i])), [ingredients]);
+
+  const renderFoodCost = (item) => {
+    const recipe = normalizeRecipe(item);
+    if (!hasRecipe(recipe)) return <span style={{ color: '#6c757d' }}>No recipe</span>;
+    const margin = getMargin(item.price, getFoodCost(recipe, ingredientsById));
+    return (
+      <span style={{ color: isOverFoodCostTarget(margin) ? '#dc3545' : '#198754', fontWeight: 600 }}>
+        {currency} {margin.cost.toFixed(2)}
+        {margin.marginPercent !== null && (
+          <div style={{ fontSize: '0.75rem', fontWeight: 400 }}>{margin.marginPercent}% margin</div>
+        )}
+      </span>
+    );
+  };
 
   // User Management States
   const [showUserModal, setShowUserModal] = useState(false);
@@ -69,6 +149,7 @@ const AdminPortal = ({ user, onLogout }) => {
     email: '',
     phone: '',
     monthly_salary: '',
+    pin: '',
     status: 'active'
   });
 
@@ -99,7 +180,10 @@ const AdminPortal = ({ user, onLogout }) => {
     product_price: '',
     description: '',
     image_url: '',
-    available: 1
+    available: 1,
+    variants: [],
+    modifier_groups: [],
+    recipe: normalizeRecipe(null)
   });
   const [imageUrlError, setImageUrlError] = useState('');
 
@@ -297,10 +381,10 @@ const AdminPortal = ({ user, onLogout }) => {
     const run = async () => {
       setScreenLoading(true);
       try {
-        await fetchDashboardStats();
+        if (can('view_reports')) await fetchDashboardStats();
         if (activeTab === 'users') await fetchUsers();
-        if (activeTab === 'categories') await fetchCategories();
-        if (activeTab === 'menu') {
+        if (activeTab === 'categories' || activeTab === 'promotions' || activeTab === 'settings') await fetchCategories();
+        if (activeTab === 'menu' || activeTab === 'stations') {
           await fetchCategories();
           await fetchMenuItems();
         }
@@ -391,6 +475,13 @@ const AdminPortal = ({ user, onLogout }) => {
       if (userForm.password) {
         payload.password = userForm.password;
       }
+      if (userForm.pin) {
+        if (!isValidPin(userForm.pin)) {
+          showError(`PIN must be ${PIN_MIN_LENGTH} to ${PIN_MAX_LENGTH} digits`);
+          return;
+        }
+        payload.pin = userForm.pin;
+      }
 
       if (editingUser) {
         await usersAPI.update(editingUser.id, payload);
@@ -402,7 +493,7 @@ const AdminPortal = ({ user, onLogout }) => {
       setShowUserModal(false);
       setShowUserPassword(false);
       setEditingUser(null);
-      setUserForm({ username: '', password: '', full_name: '', role: 'manager', email: '', phone: '', monthly_salary: '', status: 'active' });
+      setUserForm({ username: '', password: '', full_name: '', role: 'manager', email: '', phone: '', monthly_salary: '', pin: '', status: 'active' });
       fetchUsers();
     } catch (err) {
       showError(err.formattedMessage || err.response?.data?.error || err.message || 'Operation failed');
@@ -439,6 +530,7 @@ const AdminPortal = ({ user, onLogout }) => {
       email: user.email || '',
       phone: user.phone || '',
       monthly_salary: (user.monthlySalary ?? user.monthly_salary ?? '') === null ? '' : String(user.monthlySalary ?? user.monthly_salary ?? ''),
+      pin: '',
       status: user.status
     });
     setShowUserModal(true);
@@ -529,7 +621,14 @@ const AdminPortal = ({ user, onLogout }) => {
         productPrice,
         description: menuForm.description || '',
         imageUrl: menuForm.image_url || '',
-        available: menuForm.available === 1 || menuForm.available === true
+        available: menuForm.available === 1 || menuForm.available === true,
+        variants: normalizeVariants({ variants: menuForm.variants, price: menuForm.price }),
+        modifierGroups: normalizeModifierGroups({ modifierGroups: menuForm.modifier_groups }),
+        recipe: serializeRecipe(
+          menuForm.recipe,
+          normalizeVariants({ variants: menuForm.variants, price: menuForm.price }),
+          normalizeModifierGroups({ modifierGroups: menuForm.modifier_groups })
+        )
       };
 
       if (editingMenuItem) {
@@ -541,7 +640,7 @@ const AdminPortal = ({ user, onLogout }) => {
       }
       setShowMenuModal(false);
       setEditingMenuItem(null);
-      setMenuForm({ name: '', category_id: '', price: '', product_price: '', description: '', image_url: '', available: 1 });
+      setMenuForm({ name: '', category_id: '', price: '', product_price: '', description: '', image_url: '', available: 1, variants: [], modifier_groups: [], recipe: normalizeRecipe(null) });
       setImageUrlError('');
       fetchMenuItems();
     } catch (err) {
@@ -807,11 +906,9 @@ const AdminPortal = ({ user, onLogout }) => {
   const routeTab = useMemo(() => {
     const p = (location.pathname || '').replace(/\/+$/, '');
     const seg = p.startsWith('/admin') ? p.split('/')[2] : null;
-    if (!seg || seg === '') return 'dashboard';
-    // Only allow known tabs
-    const allowed = new Set(['dashboard', 'users', 'categories', 'menu', 'customers', 'expenses', 'settings']);
-    return allowed.has(seg) ? seg : 'dashboard';
-  }, [location.pathname]);
+    // Only allow tabs this role can open
+    return seg && allowedTabs.includes(seg) ? seg : homeTab;
+  }, [location.pathname, allowedTabs, homeTab]);
 
   // Keep state in sync when user uses back/forward or lands on a deep link.
   useEffect(() => {
@@ -829,7 +926,7 @@ const AdminPortal = ({ user, onLogout }) => {
       {/* Mobile Header - Only visible on small screens */}
       <div className="admin-mobile-header">
         <div className="admin-mobile-logo">
-          <img src={logoUrl} alt="Flamex" className="admin-logo-mobile" />
+          <img src={logoUrl} alt={business.name} className="admin-logo-mobile" />
           <span className="admin-mobile-title">Admin Portal</span>
         </div>
         <button
@@ -845,56 +942,139 @@ const AdminPortal = ({ user, onLogout }) => {
 
       <div className={`admin-sidebar ${isSidebarOpen ? 'open' : ''}`}>
         <div className="admin-header">
-          <img src={logoUrl} alt="Flamex" className="admin-logo" />
+          <img src={logoUrl} alt={business.name} className="admin-logo" />
           <h2>Admin Portal</h2>
           <p className="user-info">{user.fullName}</p>
         </div>
 
         <nav className="admin-nav">
-          <button
-            className={activeTab === 'dashboard' ? 'active' : ''}
-            onClick={() => handleTabChange('dashboard')}
-          >
-            <FaTachometerAlt /> <span>Dashboard</span>
-          </button>
-          <button
-            className={activeTab === 'users' ? 'active' : ''}
-            onClick={() => handleTabChange('users')}
-          >
-            <FaUsers /> <span>User Management</span>
-          </button>
-          <button
-            className={activeTab === 'categories' ? 'active' : ''}
-            onClick={() => handleTabChange('categories')}
-          >
-            <FaTags /> <span>Categories</span>
-          </button>
-          <button
-            className={activeTab === 'menu' ? 'active' : ''}
-            onClick={() => handleTabChange('menu')}
-          >
-            <FaUtensils /> <span>Menu Items</span>
-          </button>
-          <button
-            className={activeTab === 'customers' ? 'active' : ''}
-            onClick={() => handleTabChange('customers')}
-          >
-            <FaUserFriends /> <span>Customers</span>
-          </button>
-          <button
-            className={activeTab === 'expenses' ? 'active' : ''}
-            onClick={() => handleTabChange('expenses')}
-          >
-            <FaMoneyBillWave /> <span>Expenses</span>
-          </button>
-          <button
-            className={activeTab === 'settings' ? 'active' : ''}
-            onClick={() => handleTabChange('settings')}
-          >
-            <FaCog /> <span>Settings</span>
-          </button>
+          {can(TAB_PERMISSIONS.dashboard) && (
+            <button
+              className={activeTab === 'dashboard' ? 'active' : ''}
+              onClick={() => handleTabChange('dashboard')}
+            >
+              <FaTachometerAlt /> <span>Dashboard</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.users) && (
+            <button
+              className={activeTab === 'users' ? 'active' : ''}
+              onClick={() => handleTabChange('users')}
+            >
+              <FaUsers /> <span>User Management</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.categories) && (
+            <button
+              className={activeTab === 'categories' ? 'active' : ''}
+              onClick={() => handleTabChange('categories')}
+            >
+              <FaTags /> <span>Categories</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.menu) && (
+            <button
+              className={activeTab === 'menu' ? 'active' : ''}
+              onClick={() => handleTabChange('menu')}
+            >
+              <FaUtensils /> <span>Menu Items</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.customers) && (
+            <button
+              className={activeTab === 'customers' ? 'active' : ''}
+              onClick={() => handleTabChange('customers')}
+            >
+              <FaUserFriends /> <span>Customers</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.promotions) && (
+            <button
+              className={activeTab === 'promotions' ? 'active' : ''}
+              onClick={() => handleTabChange('promotions')}
+            >
+              <FaTicketAlt /> <span>Promotions</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.floor) && (
+            <button
+              className={activeTab === 'floor' ? 'active' : ''}
+              onClick={() => handleTabChange('floor')}
+            >
+              <FaChair /> <span>Floor Plan</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.stations) && (
+            <button
+              className={activeTab === 'stations' ? 'active' : ''}
+              onClick={() => handleTabChange('stations')}
+            >
+              <FaFire /> <span>Kitchen Stations</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.inventory) && (
+            <button
+              className={activeTab === 'inventory' ? 'active' : ''}
+              onClick={() => handleTabChange('inventory')}
+            >
+              <FaBoxes /> <span>Inventory{lowStock.length > 0 ? ` (${lowStock.length} low)` : ''}</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.suppliers) && (
+            <button
+              className={activeTab === 'suppliers' ? 'active' : ''}
+              onClick={() => handleTabChange('suppliers')}
+            >
+              <FaTruckLoading /> <span>Suppliers</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.expenses) && (
+            <button
+              className={activeTab === 'expenses' ? 'active' : ''}
+              onClick={() => handleTabChange('expenses')}
+            >
+              <FaMoneyBillWave /> <span>Expenses</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.approvals) && (
+            <button
+              className={activeTab === 'approvals' ? 'active' : ''}
+              onClick={() => handleTabChange('approvals')}
+            >
+              <FaClipboardCheck /> <span>Approvals{pendingApprovals.length > 0 ? ` (${pendingApprovals.length})` : ''}</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.attendance) && (
+            <button
+              className={activeTab === 'attendance' ? 'active' : ''}
+              onClick={() => handleTabChange('attendance')}
+            >
+              <FaUserClock /> <span>Attendance</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.audit) && (
+            <button
+              className={activeTab === 'audit' ? 'active' : ''}
+              onClick={() => handleTabChange('audit')}
+            >
+              <FaHistory /> <span>Audit Log</span>
+            </button>
+          )}
+          {can(TAB_PERMISSIONS.settings) && (
+            <button
+              className={activeTab === 'settings' ? 'active' : ''}
+              onClick={() => handleTabChange('settings')}
+            >
+              <FaCog /> <span>Settings</span>
+            </button>
+          )}
         </nav>
 
+        {onLock && (
+          <button className="logout-btn" style={{ marginBottom: 0 }} onClick={onLock}>
+            <FaLock /> <span>Lock</span>
+          </button>
+        )}
         <button className="logout-btn" onClick={handleLogout}>
           <FaSignOutAlt /> <span>Logout</span>
         </button>
@@ -908,24 +1088,25 @@ const AdminPortal = ({ user, onLogout }) => {
             {activeTab === 'dashboard' && (
               <div className="dashboard-tab">
                 <h1>Dashboard Overview</h1>
+                <LowStockAlert ingredients={lowStock} onOpen={() => handleTabChange('inventory')} />
                 <div className="stats-grid">
                   <div className="stat-card">
                     <h3>Today's Sales</h3>
-                    <p className="stat-value">PKR {stats.todaySales.toFixed(2)}</p>
+                    <p className="stat-value">{currency} {stats.todaySales.toFixed(2)}</p>
                     <span className="stat-label">{stats.todayOrders} orders</span>
                   </div>
                   <div className="stat-card">
                     <h3>Total Sales</h3>
-                    <p className="stat-value">PKR {stats.totalSales.toFixed(2)}</p>
+                    <p className="stat-value">{currency} {stats.totalSales.toFixed(2)}</p>
                     <span className="stat-label">{stats.totalOrders} orders</span>
                   </div>
                   <div className="stat-card">
                     <h3>Today's Expenses</h3>
-                    <p className="stat-value">PKR {stats.todayExpenses.toFixed(2)}</p>
+                    <p className="stat-value">{currency} {stats.todayExpenses.toFixed(2)}</p>
                   </div>
                   <div className="stat-card">
                     <h3>Total Expenses</h3>
-                    <p className="stat-value">PKR {stats.totalExpenses.toFixed(2)}</p>
+                    <p className="stat-value">{currency} {stats.totalExpenses.toFixed(2)}</p>
                   </div>
                 </div>
 
@@ -1092,7 +1273,7 @@ const AdminPortal = ({ user, onLogout }) => {
               </div>
             </div>
 
-            {user?.role === 'admin' && (
+            {can('view_reports') && (
               <div className="weekly-report">
                 <div className="weekly-report-header">
                   <div>
@@ -1108,7 +1289,7 @@ const AdminPortal = ({ user, onLogout }) => {
                   <div className="weekly-report-kpis">
                     <div className="weekly-kpi">
                       <div className="weekly-kpi-label">Sales</div>
-                      <div className="weekly-kpi-value">PKR {report.totalSales.toFixed(2)}</div>
+                      <div className="weekly-kpi-value">{currency} {report.totalSales.toFixed(2)}</div>
                     </div>
                     <div className="weekly-kpi">
                       <div className="weekly-kpi-label">Orders</div>
@@ -1149,7 +1330,7 @@ const AdminPortal = ({ user, onLogout }) => {
                               <div className="weekly-split-name">{t.name}</div>
                               <div className="weekly-split-meta">
                                 <span className="weekly-split-orders">{t.orders} orders</span>
-                                <span className="weekly-split-sales">PKR {t.sales.toFixed(2)}</span>
+                                <span className="weekly-split-sales">{currency} {t.sales.toFixed(2)}</span>
                               </div>
                             </div>
                           ))}
@@ -1228,7 +1409,7 @@ const AdminPortal = ({ user, onLogout }) => {
                 className="btn-primary"
                 onClick={() => {
                   setEditingUser(null);
-                  setUserForm({ username: '', password: '', full_name: '', role: 'manager', email: '', phone: '', monthly_salary: '', status: 'active' });
+                  setUserForm({ username: '', password: '', full_name: '', role: 'manager', email: '', phone: '', monthly_salary: '', pin: '', status: 'active' });
                   setShowUserModal(true);
                 }}
               >
@@ -1268,13 +1449,13 @@ const AdminPortal = ({ user, onLogout }) => {
                           {user.fullName || user.full_name || user.username}
                         </span>
                       </td>
-                      <td><span className={`role-badge ${user.role}`}>{user.role}</span></td>
+                      <td><span className={`role-badge ${user.role}`}>{getRoleName(user.role, rolesConfig)}</span></td>
                       <td>
                         <span className="cell-truncate" style={{ maxWidth: 240 }} title={user.email || ''}>
                           {user.email}
                         </span>
                       </td>
-                      <td>{(user.monthlySalary ?? user.monthly_salary) ? `PKR ${Number(user.monthlySalary ?? user.monthly_salary).toLocaleString()}` : '—'}</td>
+                      <td>{(user.monthlySalary ?? user.monthly_salary) ? `${currency} ${Number(user.monthlySalary ?? user.monthly_salary).toLocaleString()}` : '—'}</td>
                       <td><span className={`status-badge ${user.status}`}>{user.status}</span></td>
                       <td>
                         <button className="btn-edit" onClick={() => openEditUser(user)}>Edit</button>
@@ -1285,6 +1466,8 @@ const AdminPortal = ({ user, onLogout }) => {
                 </tbody>
               </table>
             </div>
+
+            <RolesEditor users={users} />
           </div>
         )}
 
@@ -1429,7 +1612,7 @@ const AdminPortal = ({ user, onLogout }) => {
                 className="btn-primary"
                 onClick={() => {
                   setEditingMenuItem(null);
-                  setMenuForm({ name: '', category_id: '', price: '', product_price: '', description: '', image_url: '', available: 1 });
+                  setMenuForm({ name: '', category_id: '', price: '', product_price: '', description: '', image_url: '', available: 1, variants: [], modifier_groups: [], recipe: normalizeRecipe(null) });
                   setImageUrlError('');
                   setShowMenuModal(true);
                 }}
@@ -1483,6 +1666,7 @@ const AdminPortal = ({ user, onLogout }) => {
                     <th>Category</th>
                     <th>Price</th>
                     <th>Product price</th>
+                    <th>Food cost</th>
                     <th>Available</th>
                     <th>Actions</th>
                   </tr>
@@ -1516,6 +1700,14 @@ const AdminPortal = ({ user, onLogout }) => {
                         <span className="cell-truncate" style={{ maxWidth: 260 }} title={item.name || ''}>
                           {item.name}
                         </span>
+                        {(normalizeVariants(item).length > 0 || normalizeModifierGroups(item).length > 0) && (
+                          <div style={{ fontSize: '0.75rem', color: '#6c757d' }}>
+                            {[
+                              normalizeVariants(item).length > 0 ? `${normalizeVariants(item).length} sizes` : null,
+                              normalizeModifierGroups(item).length > 0 ? `${normalizeModifierGroups(item).length} modifier groups` : null
+                            ].filter(Boolean).join(' · ')}
+                          </div>
+                        )}
                       </td>
                       <td>
                         <span
@@ -1526,14 +1718,15 @@ const AdminPortal = ({ user, onLogout }) => {
                           {item.category?.name || item.category_name || 'N/A'}
                         </span>
                       </td>
-                      <td>PKR {parseFloat(item.price).toFixed(2)}</td>
+                      <td>{currency} {parseFloat(item.price).toFixed(2)}</td>
                       <td>
                         {item.productPrice != null && item.productPrice !== ''
-                          ? `PKR ${Number(item.productPrice)}`
+                          ? `${currency} ${Number(item.productPrice)}`
                           : (item.product_price != null && item.product_price !== ''
-                            ? `PKR ${Number(item.product_price)}`
+                            ? `${currency} ${Number(item.product_price)}`
                             : '—')}
                       </td>
+                      <td>{renderFoodCost(item)}</td>
                       <td>
                         <span
                           className={`status-badge ${item.available ? 'active' : 'inactive'}`}
@@ -1560,7 +1753,10 @@ const AdminPortal = ({ user, onLogout }) => {
                                 : (item.product_price != null && item.product_price !== '' ? String(item.product_price) : ''),
                             description: item.description || '',
                             image_url: item.imageUrl || item.image_url || '',  // Handle both formats
-                            available: item.available === 1 || item.available === true ? 1 : 0
+                            available: item.available === 1 || item.available === true ? 1 : 0,
+                            variants: normalizeVariants(item),
+                            modifier_groups: normalizeModifierGroups(item),
+                            recipe: normalizeRecipe(item)
                           });
                           setImageUrlError(''); // Clear any previous errors
                           setShowMenuModal(true);
@@ -1579,20 +1775,52 @@ const AdminPortal = ({ user, onLogout }) => {
           <CustomerManagement />
         )}
 
+        {activeTab === 'promotions' && (
+          <PromotionManagement categories={categories} />
+        )}
+
+        {activeTab === 'floor' && (
+          <FloorPlanEditor />
+        )}
+
+        {activeTab === 'stations' && (
+          <KitchenStationsEditor categories={categories} menuItems={fullMenuItems} />
+        )}
+
+        {activeTab === 'inventory' && (
+          <InventoryManagement canRecordExpenses={can('manage_expenses')} />
+        )}
+
+        {activeTab === 'suppliers' && (
+          <SupplierManagement />
+        )}
+
         {activeTab === 'expenses' && (
           <ExpenseHistory />
         )}
 
+        {activeTab === 'approvals' && (
+          <ExpenseApprovals />
+        )}
+
+        {activeTab === 'attendance' && (
+          <StaffAttendance />
+        )}
+
+        {activeTab === 'audit' && (
+          <AuditLog />
+        )}
+
         {activeTab === 'settings' && (
           <div className="settings-tab">
             <h1>System Settings</h1>
-            <div className="settings-section">
-              <h3>Business Information</h3>
-              <p>Configure business details, receipts, and system preferences here.</p>
-              <button className="btn-primary" onClick={() => showInfo('Settings management coming soon!')}>
-                Edit Settings
-              </button>
-            </div>
+            <BusinessSettings />
+            <PrinterSettings />
+            <PricingSettings categories={categories} />
+            <ManagerOverrideSettings />
+            <TerminalLockSettings />
+            <AttendanceSettings />
+            <ExpenseApprovalSettings />
           </div>
         )}
           </>
@@ -1645,9 +1873,9 @@ const AdminPortal = ({ user, onLogout }) => {
                     onChange={(e) => setUserForm({ ...userForm, role: e.target.value })}
                     required
                   >
-                    <option value="manager">Manager</option>
-                    <option value="admin">Admin</option>
-                    <option value="staff">Staff</option>
+                    {rolesConfig.roles.map(role => (
+                      <option key={role.id} value={role.id}>{role.name}</option>
+                    ))}
                   </select>
                 </div>
                 <div className="form-group">
@@ -1692,6 +1920,17 @@ const AdminPortal = ({ user, onLogout }) => {
                     placeholder="e.g. 50000"
                   />
                 </div>
+                <div className="form-group">
+                  <label>PIN (quick sign-in on the lock screen; managers also approve overrides with it)</label>
+                  <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={userForm.pin}
+                    onChange={(e) => setUserForm({ ...userForm, pin: sanitizePin(e.target.value) })}
+                    placeholder={editingUser ? 'Leave blank to keep current' : `${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digits`}
+                  />
+                </div>
               </div>
               <div className="modal-actions">
                 <button type="button" className="btn-secondary" onClick={() => { setShowUserModal(false); setShowUserPassword(false); }}>
@@ -1802,7 +2041,7 @@ const AdminPortal = ({ user, onLogout }) => {
                     step="1"
                     value={menuForm.product_price}
                     onChange={(e) => setMenuForm({ ...menuForm, product_price: e.target.value })}
-                    placeholder="Whole PKR amount"
+                    placeholder={`Whole ${currency} amount`}
                   />
                 </div>
               </div>
@@ -1908,6 +2147,23 @@ const AdminPortal = ({ user, onLogout }) => {
                   </div>
                 )}
               </div>
+              <MenuItemOptionsEditor
+                variants={menuForm.variants || []}
+                modifierGroups={menuForm.modifier_groups || []}
+                onChange={({ variants, modifierGroups }) => setMenuForm({
+                  ...menuForm,
+                  variants,
+                  modifier_groups: modifierGroups
+                })}
+              />
+              <MenuItemRecipeEditor
+                recipe={menuForm.recipe || normalizeRecipe(null)}
+                price={menuForm.price}
+                variants={menuForm.variants || []}
+                modifierGroups={menuForm.modifier_groups || []}
+                ingredients={ingredients}
+                onChange={(recipe) => setMenuForm({ ...menuForm, recipe })}
+              />
               <div className="form-group" style={{
                 padding: '1rem',
                 background: menuForm.available === 1 ? '#e6ffed' : '#fff4d8',
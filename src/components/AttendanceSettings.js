@@ -0,0 +1,125 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getAttendancePolicy, normalizeAttendancePolicy, WEEKDAYS } from '../utils/attendance';
+import { loadAttendancePolicy, saveAttendancePolicy } from '../services/businessInfoService';
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+/**
+ * Admin editor for when staff are due and which days they work. Saved through
+ * businessInfoAPI; the Attendance tab uses it for late, absent and payroll figures.
+ */
+const AttendanceSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getAttendancePolicy());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadAttendancePolicy().then(policy => {
+      if (!cancelled) setForm(policy);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggleDay = (day, enabled) => {
+    setForm(prev => ({
+      ...prev,
+      workingDays: enabled ? [...prev.workingDays, day] : prev.workingDays.filter(d => d !== day)
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!form.shiftStart) {
+      showError('Enter the time staff are due');
+      return;
+    }
+    if (form.workingDays.length === 0) {
+      showError('Choose at least one working day');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveAttendancePolicy(normalizeAttendancePolicy(form));
+      setForm(saved);
+      showSuccess('Attendance settings saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save attendance settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Attendance</h3>
+      <p>
+        Staff clock in and out with their PIN on the lock screen. Clock-ins after the shift start plus the grace
+        period count as late; working days with no clock-in count as absent and cost a day's pay in the payroll run.
+      </p>
+
+      <div className="form-row">
+        <div className="form-group">
+          <label>Shift Starts</label>
+          <input
+            type="time"
+            value={form.shiftStart}
+            onChange={(e) => setForm(prev => ({ ...prev, shiftStart: e.target.value }))}
+          />
+        </div>
+        <div className="form-group">
+          <label>Grace Period (minutes)</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={form.graceMinutes}
+            onChange={(e) => setForm(prev => ({ ...prev, graceMinutes: e.target.value }))}
+          />
+        </div>
+        <div className="form-group">
+          <label>Lates per Day's Pay Deducted</label>
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={form.latesPerAbsence}
+            onChange={(e) => setForm(prev => ({ ...prev, latesPerAbsence: e.target.value }))}
+            placeholder="0 = no deduction"
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Working Days</label>
+        <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+          {WEEKDAYS.map((name, day) => (
+            <label key={name} style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={form.workingDays.includes(day)}
+                onChange={(e) => toggleDay(day, e.target.checked)}
+              />
+              {name}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Attendance Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default AttendanceSettings;
@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { auditAPI, usersAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import {
+  AUDIT_ACTIONS,
+  AUDIT_ENTITIES,
+  normalizeAuditEntries,
+  getAuditActionLabel,
+  getAuditEntityLabel,
+  getAuditSubject,
+  getAuditDiff,
+  formatAuditValue,
+  auditEntriesToCsv
+} from '../utils/auditLog';
+import DateRangeFilter from './DateRangeFilter';
+import ScreenLoading from './ScreenLoading';
+import { FaHistory, FaFileCsv, FaChevronDown, FaChevronRight, FaWifi } from 'react-icons/fa';
+
+const AUDIT_PAGE_SIZE = 1000;
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5', verticalAlign: 'top' };
+
+const selectStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '0.9rem',
+  background: 'white'
+};
+
+const buttonStyle = (background) => ({
+  padding: '0.45rem 1rem',
+  border: 'none',
+  borderRadius: '6px',
+  background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const formatDateTime = (value) => (value ? dayjs(value).format('DD MMM YYYY, h:mm:ss A') : '-');
+
+/**
+ * Who changed what across orders, payments, refunds, expenses, the cash drawer and
+ * users. Offline actions show when they happened and when the sync replayed them.
+ */
+const AuditLog = () => {
+  const { showError } = useToast();
+  const [startDate, setStartDate] = useState(() => dayjs().startOf('month').format('YYYY-MM-DD'));
+  const [endDate, setEndDate] = useState(() => dayjs().format('YYYY-MM-DD'));
+  const [userId, setUserId] = useState('');
+  const [action, setAction] = useState('');
+  const [entityType, setEntityType] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    usersAPI.getAll()
+      .then(res => {
+        const data = res.data?.data ?? res.data;
+        if (!cancelled) setUsers(Array.isArray(data) ? data : []);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []);
+
+  const fetchEntries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await auditAPI.getAll({
+        startDate,
+        endDate,
+        userId: userId || undefined,
+        action: action || undefined,
+        entityType: entityType || undefined,
+        limit: AUDIT_PAGE_SIZE
+      });
+      const data = res.data?.data ?? res.data;
+      setEntries(normalizeAuditEntries(Array.isArray(data) ? data : data?.entries));
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to load the audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate, userId, action, entityType, showError]);
+
+  useEffect(() => {
+    fetchEntries();
+  }, [fetchEntries]);
+
+  // Users who appear in the log but not in the users list (e.g. deleted) can still be filtered on
+  const userOptions = useMemo(() => {
+    const byId = new Map(users.map(u => [String(u.id), u.fullName || u.full_name || u.username]));
+    entries.forEach(e => {
+      if (e.userId !== null && !byId.has(String(e.userId))) byId.set(String(e.userId), e.userName || `User #${e.userId}`);
+    });
+    return [...byId.entries()].sort((a, b) => String(a[1]).localeCompare(String(b[1])));
+  }, [users, entries]);
+
+  const handleExportCsv = () => {
+    const blob = new Blob([auditEntriesToCsv(entries)], { type: 'text/csv;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `audit-log-${startDate}-to-${endDate}.csv`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h1 style={{ margin: 0, color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <FaHistory /> Audit Log
+        </h1>
+        <button type="button" style={buttonStyle('#28a745')} onClick={handleExportCsv} disabled={loading || entries.length === 0}>
+          <FaFileCsv /> Export CSV
+        </button>
+      </div>
+
+      <DateRangeFilter
+        startDate={startDate}
+        endDate={endDate}
+        onChange={(start, end) => {
+          setStartDate(start);
+          setEndDate(end);
+        }}
+      />
+
+      <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', marginTop: '1rem' }}>
+        <select value={userId} onChange={(e) => setUserId(e.target.value)} style={selectStyle}>
+          <option value="">All users</option>
+          {userOptions.map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+        </select>
+        <select value={action} onChange={(e) => setAction(e.target.value)} style={selectStyle}>
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_ACTIONS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        <select value={entityType} onChange={(e) => setEntityType(e.target.value)} style={selectStyle}>
+          <option value="">All records</option>
+          {Object.entries(AUDIT_ENTITIES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+      </div>
+
+      {loading ? (
+        <ScreenLoading label="Loading audit log..." />
+      ) : (
+        <div style={{ overflowX: 'auto', marginTop: '1.5rem' }}>
+          {entries.length >= AUDIT_PAGE_SIZE && (
+            <div style={{ marginBottom: '0.75rem', color: '#856404', fontSize: '0.9rem' }}>
+              Showing the latest {AUDIT_PAGE_SIZE} entries. Narrow the filters to see older ones.
+            </div>
+          )}
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                <th style={{ ...thStyle, width: '2rem' }}></th>
+                <th style={thStyle}>Time</th>
+                <th style={thStyle}>User</th>
+                <th style={thStyle}>Action</th>
+                <th style={thStyle}>Record</th>
+                <th style={thStyle}>Changes</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.length > 0 ? entries.map(entry => {
+                const diff = getAuditDiff(entry.before, entry.after);
+                const expanded = expandedId === entry.id;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      onClick={() => setExpandedId(expanded ? null : entry.id)}
+                      style={{ cursor: diff.length > 0 ? 'pointer' : 'default' }}
+                    >
+                      <td style={tdStyle}>{diff.length > 0 && (expanded ? <FaChevronDown /> : <FaChevronRight />)}</td>
+                      <td style={tdStyle}>
+                        {formatDateTime(entry.occurredAt)}
+                        {entry.offline && (
+                          <div style={{ fontSize: '0.8rem', color: '#856404', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                            <FaWifi /> Offline, synced {formatDateTime(entry.recordedAt)}
+                          </div>
+                        )}
+                      </td>
+                      <td style={tdStyle}>{entry.userName || (entry.userId !== null ? `User #${entry.userId}` : '-')}</td>
+                      <td style={tdStyle}>
+                        <strong>{getAuditActionLabel(entry.action)}</strong>
+                        <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{getAuditEntityLabel(entry.entityType)}</div>
+                      </td>
+                      <td style={tdStyle}>{getAuditSubject(entry)}</td>
+                      <td style={{ ...tdStyle, color: '#6c757d' }}>
+                        {diff.length === 0 ? '-' : `${diff.length} field${diff.length === 1 ? '' : 's'}`}
+                      </td>
+                    </tr>
+                    {expanded && diff.length > 0 && (
+                      <tr>
+                        <td style={tdStyle}></td>
+                        <td colSpan="5" style={{ ...tdStyle, background: '#f8f9fa' }}>
+                          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                            <thead>
+                              <tr>
+                                <th style={{ ...thStyle, padding: '0.4rem' }}>Field</th>
+                                <th style={{ ...thStyle, padding: '0.4rem' }}>Before</th>
+                                <th style={{ ...thStyle, padding: '0.4rem' }}>After</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {diff.map(d => (
+                                <tr key={d.field}>
+                                  <td style={{ padding: '0.4rem', fontFamily: 'monospace' }}>{d.field}</td>
+                                  <td style={{ padding: '0.4rem', color: '#dc3545', wordBreak: 'break-word' }}>{formatAuditValue(d.before)}</td>
+                                  <td style={{ padding: '0.4rem', color: '#28a745', wordBreak: 'break-word' }}>{formatAuditValue(d.after)}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              }) : (
+                <tr>
+                  <td colSpan="6" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No changes match these filters</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,167 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getBusinessSettings, getBusinessLogoUrl } from '../utils/businessSettings';
+import { loadBusinessSettings, saveBusinessSettings } from '../services/businessInfoService';
+
+// Logos are stored inline as data URLs, so keep uploads small enough for the key/value store
+const MAX_LOGO_BYTES = 200 * 1024;
+
+const rowStyle = {
+  display: 'flex',
+  gap: '0.75rem',
+  flexWrap: 'wrap'
+};
+
+/**
+ * Admin editor for business details printed on receipts and reports.
+ * Saved through businessInfoAPI; read at runtime via `utils/businessSettings`.
+ */
+const BusinessSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getBusinessSettings());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadBusinessSettings().then(settings => {
+      if (!cancelled) setForm(settings);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const update = (patch) => setForm(prev => ({ ...prev, ...patch }));
+
+  const handleLogoFile = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!file.type.startsWith('image/')) {
+      showError('Please choose an image file');
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      showError('Logo must be smaller than 200 KB');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => update({ logoUrl: String(reader.result || '') });
+    reader.onerror = () => showError('Failed to read the logo file');
+    reader.readAsDataURL(file);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      showError('Business name is required');
+      return;
+    }
+    if (!form.currency.trim()) {
+      showError('Currency symbol is required');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveBusinessSettings({
+        ...form,
+        name: form.name.trim(),
+        currency: form.currency.trim()
+      });
+      setForm(saved);
+      showSuccess('Business information saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save business information');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Business Information</h3>
+      <p>Shown on customer receipts, kitchen tickets, PDF exports and the portal header.</p>
+
+      <div style={rowStyle}>
+        <div className="form-group" style={{ flex: 2, minWidth: '200px' }}>
+          <label>Business Name *</label>
+          <input type="text" value={form.name} onChange={(e) => update({ name: e.target.value })} />
+        </div>
+        <div className="form-group" style={{ flex: 1, minWidth: '120px' }}>
+          <label>Currency Symbol *</label>
+          <input
+            type="text"
+            placeholder="e.g. PKR or Rs."
+            value={form.currency}
+            onChange={(e) => update({ currency: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Address</label>
+        <textarea rows={2} value={form.address} onChange={(e) => update({ address: e.target.value })} />
+      </div>
+
+      <div style={rowStyle}>
+        <div className="form-group" style={{ flex: 1, minWidth: '180px' }}>
+          <label>Phone</label>
+          <input type="text" value={form.phone} onChange={(e) => update({ phone: e.target.value })} />
+        </div>
+        <div className="form-group" style={{ flex: 1, minWidth: '180px' }}>
+          <label>NTN / Tax Number</label>
+          <input type="text" value={form.taxNumber} onChange={(e) => update({ taxNumber: e.target.value })} />
+        </div>
+      </div>
+
+      <div style={rowStyle}>
+        <div className="form-group" style={{ flex: 1, minWidth: '220px' }}>
+          <label>Receipt Header</label>
+          <textarea
+            rows={3}
+            placeholder="Printed under the business name"
+            value={form.receiptHeader}
+            onChange={(e) => update({ receiptHeader: e.target.value })}
+          />
+        </div>
+        <div className="form-group" style={{ flex: 1, minWidth: '220px' }}>
+          <label>Receipt Footer</label>
+          <textarea
+            rows={3}
+            placeholder="Printed at the bottom of receipts and reports"
+            value={form.receiptFooter}
+            onChange={(e) => update({ receiptFooter: e.target.value })}
+          />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Logo</label>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '1rem', flexWrap: 'wrap' }}>
+          <img
+            src={form.logoUrl || getBusinessLogoUrl('b-logo.png')}
+            alt="Logo preview"
+            style={{ width: '72px', height: '72px', objectFit: 'contain', border: '1px solid #eee', borderRadius: '8px', background: 'white' }}
+          />
+          <input
+            type="text"
+            placeholder="Image URL, or upload a file"
+            value={form.logoUrl.startsWith('data:') ? '' : form.logoUrl}
+            onChange={(e) => update({ logoUrl: e.target.value })}
+            style={{ flex: 1, minWidth: '200px' }}
+          />
+          <input type="file" accept="image/*" onChange={handleLogoFile} />
+          {form.logoUrl && (
+            <button type="button" className="btn-secondary" onClick={() => update({ logoUrl: '' })}>
+              Use Default Logo
+            </button>
+          )}
+        </div>
+      </div>
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Business Information'}
+      </button>
+    </div>
+  );
+};
+
+export default BusinessSettings;
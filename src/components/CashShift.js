@@ -0,0 +1,507 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { shiftsAPI, expensesAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { isOnline } from '../services/offlineSyncService';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import { getExpenseCategoryOptions } from '../constants/expenseCategories';
+import { useExpenseCategoriesQuery } from '../hooks/expenses';
+import { getSubmitStatus } from '../utils/expenseApproval';
+import {
+  DENOMINATIONS,
+  CASH_MOVEMENT_TYPES,
+  getTerminalId,
+  normalizeShift,
+  normalizeShiftReport,
+  summarizeCashMovements,
+  calculateExpectedCash,
+  sumDenominations,
+  getCashVariance,
+  formatVariance
+} from '../utils/cashShift';
+import { printShiftReport } from './Receipt';
+import ScreenLoading from './ScreenLoading';
+import { FaCashRegister, FaPrint, FaLock, FaSync } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5' };
+
+const EMPTY_MOVEMENT = { type: 'out', amount: '', reason: '', recordExpense: true, category: '' };
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '1.25rem',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  marginBottom: '1.5rem'
+};
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '1rem'
+};
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+/** Count of each note/coin with a running total; `counts` is keyed by face value. */
+const DenominationCounter = ({ counts, onChange }) => (
+  <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))', gap: '0.5rem' }}>
+    {DENOMINATIONS.map(value => (
+      <label key={value} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem' }}>
+        <span style={{ width: '52px', textAlign: 'right', fontWeight: 600 }}>{value}</span>
+        <span style={{ color: '#6c757d' }}>×</span>
+        <input
+          type="number"
+          min="0"
+          value={counts[value] || ''}
+          placeholder="0"
+          onChange={(e) => onChange({ ...counts, [value]: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+          style={{ ...inputStyle, width: '80px' }}
+        />
+      </label>
+    ))}
+  </div>
+);
+
+/**
+ * Cash drawer shift for this terminal: open with a float, record cash in/out (petty
+ * payouts can be booked as expenses), print an X-report at any time, then count the
+ * drawer and close with a Z-report.
+ */
+const CashShift = ({ user }) => {
+  const { showSuccess, showError } = useToast();
+  const terminalId = useMemo(() => getTerminalId(), []);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [online, setOnline] = useState(true);
+  const [saving, setSaving] = useState(false);
+
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [openingCounts, setOpeningCounts] = useState({});
+  const [countOpening, setCountOpening] = useState(false);
+  const [movement, setMovement] = useState(EMPTY_MOVEMENT);
+  const [closing, setClosing] = useState(false);
+  const [closingCounts, setClosingCounts] = useState({});
+  const [closingNotes, setClosingNotes] = useState('');
+  const { categories } = useExpenseCategoriesQuery();
+
+  const fetchShift = useCallback(async () => {
+    const connected = await isOnline();
+    setOnline(connected);
+    if (!connected) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const res = await shiftsAPI.getCurrent({ terminal_id: terminalId });
+      const shift = normalizeShift(res.data?.data ?? res.data);
+      if (!shift?.id) {
+        setReport(null);
+        return;
+      }
+      const reportRes = await shiftsAPI.getReport(shift.id);
+      setReport(normalizeShiftReport(reportRes.data));
+    } catch (err) {
+      // No open shift on this terminal
+      if (err.response?.status === 404) {
+        setReport(null);
+      } else {
+        showError(err.formattedMessage || err.response?.data?.error || 'Failed to load shift');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [terminalId, showError]);
+
+  useEffect(() => {
+    fetchShift();
+    // Sales keep coming in while the shift is open
+    window.addEventListener('orderCreated', fetchShift);
+    window.addEventListener('orderUpdated', fetchShift);
+    return () => {
+      window.removeEventListener('orderCreated', fetchShift);
+      window.removeEventListener('orderUpdated', fetchShift);
+    };
+  }, [fetchShift]);
+
+  const shift = report?.shift;
+  const { cashIn, cashOut } = summarizeCashMovements(shift?.movements);
+  const expectedCash = report ? calculateExpectedCash(report) : 0;
+  const countedCash = sumDenominations(closingCounts);
+  const variance = getCashVariance(expectedCash, countedCash);
+  const openedByOther = shift && user?.id && shift.userId && String(shift.userId) !== String(user.id);
+
+  const handleOpenShift = async () => {
+    const amount = countOpening ? sumDenominations(openingCounts) : Number(openingFloat);
+    if (!Number.isFinite(amount) || amount < 0) {
+      showError('Enter the opening float');
+      return;
+    }
+    setSaving(true);
+    try {
+      await shiftsAPI.open({
+        terminal_id: terminalId,
+        opening_float: amount,
+        denominations: countOpening ? openingCounts : null
+      });
+      setOpeningFloat('');
+      setOpeningCounts({});
+      setCountOpening(false);
+      showSuccess('Shift opened');
+      await fetchShift();
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to open shift');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddMovement = async (e) => {
+    e.preventDefault();
+    const amount = Number(movement.amount);
+    if (!amount || amount <= 0) {
+      showError('Enter an amount');
+      return;
+    }
+    if (!movement.reason.trim()) {
+      showError('Enter a reason');
+      return;
+    }
+    setSaving(true);
+    try {
+      // Petty payouts from the drawer are booked as cash expenses too
+      let expenseId = null;
+      if (movement.type === 'out' && movement.recordExpense) {
+        const res = await expensesAPI.create({
+          description: movement.reason.trim(),
+          quantity: '1',
+          unit: 'N/A',
+          unit_price: amount.toFixed(2),
+          amount: amount.toFixed(2),
+          category: movement.category,
+          payment_method: 'cash',
+          expense_date: dayjs().format('YYYY-MM-DD'),
+          status: getSubmitStatus(amount)
+        });
+        const expense = res.data?.data ?? res.data;
+        expenseId = expense?.id ?? null;
+      }
+      await shiftsAPI.addMovement(shift.id, {
+        type: movement.type,
+        amount,
+        reason: movement.reason.trim(),
+        expense_id: expenseId
+      });
+      setMovement(prev => ({ ...EMPTY_MOVEMENT, type: prev.type }));
+      showSuccess(`${CASH_MOVEMENT_TYPES[movement.type]} recorded`);
+      await fetchShift();
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to record cash movement');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePrintX = async () => {
+    try {
+      await printShiftReport(report, 'X');
+    } catch (err) {
+      showError(err.message || 'Failed to print X-report');
+    }
+  };
+
+  const handleCloseShift = async () => {
+    setSaving(true);
+    try {
+      const res = await shiftsAPI.close(shift.id, {
+        counted_cash: countedCash,
+        expected_cash: expectedCash,
+        denominations: closingCounts,
+        notes: closingNotes.trim()
+      });
+      const closed = normalizeShift(res.data?.data ?? res.data);
+      const zReport = {
+        ...report,
+        shift: {
+          ...shift,
+          ...(closed?.id ? closed : {}),
+          status: 'closed',
+          closedAt: closed?.closedAt || new Date().toISOString(),
+          countedCash,
+          expectedCash,
+          denominations: closingCounts,
+          notes: closingNotes.trim(),
+          movements: shift.movements
+        }
+      };
+      showSuccess('Shift closed');
+      setClosing(false);
+      setClosingCounts({});
+      setClosingNotes('');
+      setReport(null);
+      try {
+        await printShiftReport(zReport, 'Z');
+      } catch (printErr) {
+        showError('Shift closed, but the Z-report failed to print. Reprint it from shift history.');
+      }
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to close shift');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <ScreenLoading label="Loading shift..." />;
+  }
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1100px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h1 style={{ margin: 0, color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <FaCashRegister /> Cash Drawer
+        </h1>
+        <span style={{ color: '#6c757d' }}>Terminal {terminalId}</span>
+        <button type="button" style={{ ...buttonStyle('#6c757d', false), marginLeft: 'auto' }} onClick={fetchShift}>
+          <FaSync /> Refresh
+        </button>
+      </div>
+
+      {!online && (
+        <div style={{ background: '#fff3cd', color: '#856404', padding: '0.75rem 1rem', borderRadius: '8px', marginBottom: '1rem' }}>
+          You are offline. Shifts can be opened, updated and closed once the connection is back.
+        </div>
+      )}
+
+      {online && !shift && (
+        <div style={cardStyle}>
+          <h2 style={{ marginTop: 0 }}>Open Shift</h2>
+          <p style={{ color: '#6c757d' }}>Count the cash in the drawer before taking the first order.</p>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', marginBottom: '1rem', fontSize: '0.9rem' }}>
+            <input type="checkbox" checked={countOpening} onChange={(e) => setCountOpening(e.target.checked)} />
+            Count by denomination
+          </label>
+          {countOpening ? (
+            <>
+              <DenominationCounter counts={openingCounts} onChange={setOpeningCounts} />
+              <p style={{ fontWeight: 600 }}>Opening float: {formatCurrency(sumDenominations(openingCounts))}</p>
+            </>
+          ) : (
+            <div style={{ marginBottom: '1rem' }}>
+              <input
+                type="number"
+                min="0"
+                placeholder="Opening float"
+                value={openingFloat}
+                onChange={(e) => setOpeningFloat(e.target.value)}
+                style={{ ...inputStyle, width: '220px' }}
+              />
+            </div>
+          )}
+          <button
+            type="button"
+            style={buttonStyle('#28a745', saving)}
+            disabled={saving}
+            onClick={handleOpenShift}
+          >
+            {saving ? 'Opening...' : 'Open Shift'}
+          </button>
+        </div>
+      )}
+
+      {shift && (
+        <>
+          {openedByOther && (
+            <div style={{ background: '#fff3cd', color: '#856404', padding: '0.75rem 1rem', borderRadius: '8px', marginBottom: '1rem' }}>
+              This drawer was opened by {shift.userName || 'another user'}. Close their shift before starting your own.
+            </div>
+          )}
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.75rem', marginBottom: '1.5rem' }}>
+            {[
+              { label: 'Opening Float', value: shift.openingFloat, color: '#212529' },
+              { label: 'Cash Sales', value: report.cashSales, color: '#28a745' },
+              { label: 'Bank Sales', value: report.bankSales, color: '#17a2b8' },
+              { label: 'Cash In', value: cashIn, color: '#28a745' },
+              { label: 'Cash Out', value: cashOut, color: '#dc3545' },
+              { label: 'Expected Cash', value: expectedCash, color: '#2d3748' }
+            ].map(stat => (
+              <div key={stat.label} style={{ background: 'white', borderRadius: '8px', padding: '0.9rem', boxShadow: '0 1px 4px rgba(0,0,0,0.08)' }}>
+                <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{stat.label}</div>
+                <div style={{ fontSize: '1.3rem', fontWeight: 'bold', color: stat.color }}>{formatCurrency(stat.value)}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ color: '#6c757d', marginBottom: '1.5rem', fontSize: '0.9rem' }}>
+            Opened by {shift.userName || 'Unknown'} at {shift.openedAt ? dayjs(shift.openedAt).format('DD MMM, h:mm A') : '-'}
+            {' · '}{report.orderCount} order{report.orderCount === 1 ? '' : 's'}
+          </div>
+
+          <div style={cardStyle}>
+            <h2 style={{ marginTop: 0 }}>Cash In / Out</h2>
+            <form onSubmit={handleAddMovement} style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem', alignItems: 'center' }}>
+              <select
+                value={movement.type}
+                onChange={(e) => setMovement(prev => ({ ...prev, type: e.target.value }))}
+                style={inputStyle}
+              >
+                {Object.entries(CASH_MOVEMENT_TYPES).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                placeholder="Amount"
+                value={movement.amount}
+                onChange={(e) => setMovement(prev => ({ ...prev, amount: e.target.value }))}
+                style={{ ...inputStyle, width: '140px' }}
+              />
+              <input
+                type="text"
+                placeholder={movement.type === 'out' ? 'e.g. Ice from market' : 'e.g. Change from bank'}
+                value={movement.reason}
+                onChange={(e) => setMovement(prev => ({ ...prev, reason: e.target.value }))}
+                style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+              />
+              {movement.type === 'out' && (
+                <>
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', fontSize: '0.9rem' }}>
+                    <input
+                      type="checkbox"
+                      checked={movement.recordExpense}
+                      onChange={(e) => setMovement(prev => ({ ...prev, recordExpense: e.target.checked }))}
+                    />
+                    Record as expense
+                  </label>
+                  {movement.recordExpense && (
+                    <select
+                      value={movement.category}
+                      onChange={(e) => setMovement(prev => ({ ...prev, category: e.target.value }))}
+                      style={inputStyle}
+                    >
+                      <option value="">Uncategorized</option>
+                      {getExpenseCategoryOptions('', categories).map(opt => (
+                        <option key={opt.value} value={opt.value}>{opt.label}</option>
+                      ))}
+                    </select>
+                  )}
+                </>
+              )}
+              <button type="submit" style={buttonStyle('#007bff', saving || !online)} disabled={saving || !online}>
+                Record
+              </button>
+            </form>
+
+            {shift.movements.length > 0 && (
+              <div style={{ overflowX: 'auto', marginTop: '1rem' }}>
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                      <th style={thStyle}>Time</th>
+                      <th style={thStyle}>Type</th>
+                      <th style={thStyle}>Reason</th>
+                      <th style={thStyle}>Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shift.movements.map((m, idx) => (
+                      <tr key={m.id ?? idx}>
+                        <td style={tdStyle}>{m.createdAt ? dayjs(m.createdAt).format('h:mm A') : '-'}</td>
+                        <td style={{ ...tdStyle, color: m.type === 'out' ? '#dc3545' : '#28a745', fontWeight: 600 }}>
+                          {CASH_MOVEMENT_TYPES[m.type]}
+                        </td>
+                        <td style={tdStyle}>
+                          {m.reason}
+                          {m.expenseId && <span style={{ marginLeft: '0.4rem', fontSize: '0.75rem', color: '#6c757d' }}>(expense)</span>}
+                        </td>
+                        <td style={tdStyle}>{formatCurrency(m.amount)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {!closing ? (
+            <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap' }}>
+              <button type="button" style={buttonStyle('#6c757d', false)} onClick={handlePrintX}>
+                <FaPrint /> Print X-Report
+              </button>
+              <button type="button" style={buttonStyle('#dc3545', !online)} disabled={!online} onClick={() => setClosing(true)}>
+                <FaLock /> Close Shift
+              </button>
+            </div>
+          ) : (
+            <div style={cardStyle}>
+              <h2 style={{ marginTop: 0 }}>Close Shift</h2>
+              <p style={{ color: '#6c757d' }}>Count every note and coin in the drawer.</p>
+              <DenominationCounter counts={closingCounts} onChange={setClosingCounts} />
+
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.5rem', margin: '1.25rem 0', textAlign: 'center' }}>
+                {[
+                  { label: 'Expected', value: formatCurrency(expectedCash), color: '#212529' },
+                  { label: 'Counted', value: formatCurrency(countedCash), color: '#212529' },
+                  {
+                    label: 'Variance',
+                    value: formatVariance(variance, formatCurrency),
+                    color: variance === 0 ? '#28a745' : '#dc3545'
+                  }
+                ].map(stat => (
+                  <div key={stat.label} style={{ background: '#f8f9fa', borderRadius: '8px', padding: '0.75rem' }}>
+                    <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{stat.label}</div>
+                    <div style={{ fontSize: '1.1rem', fontWeight: 'bold', color: stat.color }}>{stat.value}</div>
+                  </div>
+                ))}
+              </div>
+
+              <textarea
+                rows={2}
+                placeholder={variance ? 'Explain the difference' : 'Notes (optional)'}
+                value={closingNotes}
+                onChange={(e) => setClosingNotes(e.target.value)}
+                style={{ ...inputStyle, width: '100%', marginBottom: '1rem', boxSizing: 'border-box' }}
+              />
+
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <button type="button" style={buttonStyle('#6c757d', saving)} disabled={saving} onClick={() => setClosing(false)}>
+                  Cancel
+                </button>
+                <button
+                  type="button"
+                  style={buttonStyle('#dc3545', saving || !online)}
+                  disabled={saving || !online}
+                  onClick={handleCloseShift}
+                >
+                  {saving ? 'Closing...' : 'Close Shift & Print Z-Report'}
+                </button>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashShift;
@@ -1,6 +1,7 @@
 import React, { useEffect } from 'react';
 
-const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirmText = 'Confirm', cancelText = 'Cancel', variant = 'danger' }) => {
+// `children` render under the message; an `onConfirm` that returns false keeps the modal open
+const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirmText = 'Confirm', cancelText = 'Cancel', variant = 'danger', confirmDisabled = false, children }) => {
   useEffect(() => {
     if (isOpen) {
       const handleEscape = (e) => {
@@ -25,8 +26,8 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirm
 
   const handleConfirm = async () => {
     try {
-      if (onConfirm) {
-        await onConfirm();
+      if (onConfirm && (await onConfirm()) === false) {
+        return;
       }
     } catch (err) {
       console.error('[ConfirmationModal] Confirm handler error:', err);
@@ -89,6 +90,7 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirm
           <p style={{ margin: 0, color: '#64748b', fontSize: '1rem', lineHeight: '1.5' }}>
             {message}
           </p>
+          {children}
         </div>
 
         <div style={{
@@ -115,6 +117,7 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirm
           </button>
           <button
             onClick={handleConfirm}
+            disabled={confirmDisabled}
             style={{
               padding: '0.625rem 1.25rem',
               borderRadius: '8px',
@@ -122,7 +125,8 @@ const ConfirmationModal = ({ isOpen, onClose, onConfirm, title, message, confirm
               ...buttonStyles[variant],
               color: 'white',
               fontWeight: '600',
-              cursor: 'pointer',
+              cursor: confirmDisabled ? 'not-allowed' : 'pointer',
+              opacity: confirmDisabled ? 0.6 : 1,
               fontSize: '0.9375rem'
             }}
           >
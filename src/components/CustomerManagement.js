@@ -20,9 +20,19 @@ import {
 } from '../hooks';
 import { customerKeys } from '../lib/queryKeys';
 import ScreenLoading from './ScreenLoading';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+import { usePermissions } from '../hooks/usePermissions';
+import { maskPhone } from '../utils/permissions';
 
 const CustomerManagement = () => {
   const { showSuccess, showError } = useToast();
+  const { can } = usePermissions();
+  // Long numbers are cut to 10 characters; masked ones keep their last 4 digits instead
+  const showPhone = (phone) => {
+    if (!can('view_customer_phone')) return maskPhone(phone);
+    return phone && phone.length > 10 ? phone.slice(0, 10) + '...' : phone;
+  };
+  const { currency } = useBusinessSettings();
   const { online } = useOffline();
   const queryClient = useQueryClient();
   const isElectron = typeof window !== 'undefined' && !!window.electronAPI;
@@ -326,8 +336,8 @@ const CustomerManagement = () => {
                 <tr key={customer.id}>
                   <td>{customer.id}</td>
                   <td>{customer.name.length > 20 ? customer.name.slice(0, 20) + '...' : customer.name}</td>
-                  <td>{customer.phone.length > 10 ? customer.phone.slice(0, 10) + '...' : customer.phone}</td>
-                  <td>{customer.backupPhone && customer.backupPhone.length > 10 ? customer.backupPhone.slice(0, 10) + '...' : customer.backupPhone || customer.backup_phone || '-'}</td>
+                  <td>{showPhone(customer.phone)}</td>
+                  <td>{showPhone(customer.backupPhone || customer.backup_phone) || '-'}</td>
                   <td style={{ maxWidth: '200px' }}>
                     {(() => {
                       const defaultAddr = customer.addresses?.find((addr) => addr.isDefault) ||
@@ -386,7 +396,7 @@ const CustomerManagement = () => {
                     })()}
                   </td>
                   <td>{customer.totalOrders || customer.total_orders || 0}</td>
-                  <td>PKR {parseFloat(customer.totalSpent || customer.total_spent || 0).toFixed(2)}</td>
+                  <td>{currency} {parseFloat(customer.totalSpent || customer.total_spent || 0).toFixed(2)}</td>
                   <td className="table-actions-cell">
                     <div className="table-action-buttons">
                       <button type="button" className="btn-edit" onClick={() => handleEditCustomer(customer)}>
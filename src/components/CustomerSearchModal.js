@@ -1,5 +1,7 @@
 import React, { useEffect, useState, useMemo } from 'react';
 import { customerAPI } from '../services/customerAPI';
+import { usePermissions } from '../hooks/usePermissions';
+import { maskPhone } from '../utils/permissions';
 
 const MIN_QUERY_LENGTH = 2;
 
@@ -15,6 +17,8 @@ const CustomerSearchModal = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [highlightIndex, setHighlightIndex] = useState(-1);
+  const { can } = usePermissions();
+  const showPhone = (phone) => (can('view_customer_phone') ? phone : maskPhone(phone));
 
   useEffect(() => {
     if (!isOpen) {
@@ -126,8 +130,8 @@ const CustomerSearchModal = ({
           {customer.name || 'Unnamed Customer'}
         </div>
         <div style={{ color: '#495057', fontSize: '0.9rem' }}>
-          {customer.phone}
-          {customer.backupPhone || customer.backup_phone ? ` • ${customer.backupPhone || customer.backup_phone}` : ''}
+          {showPhone(customer.phone)}
+          {customer.backupPhone || customer.backup_phone ? ` • ${showPhone(customer.backupPhone || customer.backup_phone)}` : ''}
         </div>
         <div style={{ marginTop: '0.4rem', fontSize: '0.85rem', color: '#6c757d' }}>
           {firstAddress ? firstAddress.slice(0, 80) : 'No address on file'}
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { ordersAPI, API_BASE_URL } from '../services/api';
+import { ordersAPI, refundsAPI, API_BASE_URL } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import { useOffline } from '../contexts/OfflineContext';
 import OfflineModal from './OfflineModal';
@@ -13,6 +13,9 @@ import {
   sanitizeDateFilter
 } from '../utils/filterSessionPersistence';
 import dayjs from 'dayjs';
+import { summarizeOrderCharges } from '../utils/pricing';
+import { normalizeRefunds, summarizeRefunds } from '../utils/refunds';
+import { getBusinessSettings, getCurrencySymbol, getPdfFooterLines } from '../utils/businessSettings';
 import jsPDF from 'jspdf';
 import {
   FaChartBar,
@@ -26,13 +29,16 @@ import {
   FaDollarSign,
   FaUser,
   FaPhone,
-  FaMapMarkerAlt
+  FaMapMarkerAlt,
+  FaPercent,
+  FaTicketAlt,
+  FaUndo
 } from 'react-icons/fa';
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 const readAmount = (value) => {
@@ -104,6 +110,8 @@ const EMPTY_ORDER_STATS = {
   }
 };
 
+const EMPTY_REFUNDS = { total: 0, cash: 0, bank: 0, count: 0 };
+
 const DailySalesSummary = () => {
   const { showError } = useToast();
   const { online } = useOffline();
@@ -145,6 +153,9 @@ const DailySalesSummary = () => {
     averageOrderValueAmount: 0,
   });
 
+  const [refunds, setRefunds] = useState(EMPTY_REFUNDS);
+  // Refunds load separately; when they fail the figures are gross and flagged as such
+  const [refundsFailed, setRefundsFailed] = useState(false);
   const [expenses, setExpenses] = useState({
     total: 0,
     cash: 0,
@@ -198,7 +209,14 @@ const DailySalesSummary = () => {
         params.endDate = t;
       }
 
-      const summaryResponse = await ordersAPI.getOrderStatisticsV2(params);
+      // The summary reports gross sales; refunds in the same range are netted out below
+      const [summaryResponse, refundsResponse] = await Promise.all([
+        ordersAPI.getOrderStatisticsV2(params),
+        refundsAPI.getAll(params).catch((refundErr) => {
+          console.warn('Failed to load refunds', refundErr);
+          return null;
+        })
+      ]);
       const summaryData = normalizeV2ResponseData(summaryResponse?.data);
 
       const topSummary = summaryData?.topSummary || {};
@@ -275,6 +293,10 @@ const DailySalesSummary = () => {
         count: Number(expensesBreakdown.count) || 0,
       });
 
+      const refundsData = refundsResponse?.data?.data ?? refundsResponse?.data;
+      setRefundsFailed(!refundsResponse);
+      setRefunds(summarizeRefunds(normalizeRefunds(Array.isArray(refundsData) ? refundsData : refundsData?.refunds)));
+
       const ordersArray = Array.isArray(summaryData?.orders) ? summaryData.orders : [];
       setOrders(ordersArray);
     } catch (err) {
@@ -294,6 +316,8 @@ const DailySalesSummary = () => {
       setOrders([]);
       setOrderStats(EMPTY_ORDER_STATS);
         setExpenses({ total: 0, cash: 0, bank: 0, count: 0 });
+        setRefunds(EMPTY_REFUNDS);
+        setRefundsFailed(false);
         setSummaryTop({
           totalRevenueAmount: 0,
           totalRevenueOrders: 0,
@@ -387,10 +411,13 @@ const DailySalesSummary = () => {
   };
 
   // Calculate derived metrics
-  const netProfit = summaryTop.netProfitAmount;
-  const cashInHand = summaryTop.cashInHandsAmount;
-  const bankBalance = summaryTop.bankBalanceAmount;
+  const netRevenue = summaryTop.totalRevenueAmount - refunds.total;
+  const netProfit = summaryTop.netProfitAmount - refunds.total;
+  const cashInHand = summaryTop.cashInHandsAmount - refunds.cash;
+  const bankBalance = summaryTop.bankBalanceAmount - refunds.bank;
   const profitMargin = Number(summaryTop.marginPercent || 0).toFixed(1);
+  const orderCharges = useMemo(() => summarizeOrderCharges(orders), [orders]);
+  const hasOrderCharges = orderCharges.taxTotal > 0 || orderCharges.inclusiveTaxTotal > 0 || orderCharges.serviceChargeTotal > 0;
 
   const getDateRangeText = () => {
     if (startDate && endDate) {
@@ -436,7 +463,7 @@ const DailySalesSummary = () => {
 
       doc.setFontSize(12);
       doc.setFont('helvetica', 'normal');
-      doc.text('Flamex', pageWidth / 2, yPosition, { align: 'center' });
+      doc.text(getBusinessSettings().name, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += lineHeight * 2;
 
       // Date Range
@@ -464,6 +491,15 @@ const DailySalesSummary = () => {
       yPosition += lineHeight;
       doc.text(`Total Revenue: ${formatCurrency(orderStats.combined.totalRevenue)}`, margin, yPosition);
       yPosition += lineHeight;
+      if (refunds.count > 0) {
+        doc.text(`Refunds: -${formatCurrency(refunds.total)} (${refunds.count} refunds)`, margin, yPosition);
+        yPosition += lineHeight;
+        doc.text(`Net Revenue: ${formatCurrency(netRevenue)}`, margin, yPosition);
+        yPosition += lineHeight;
+      } else if (refundsFailed) {
+        doc.text('Refunds: failed to load - revenue, profit and balances exclude refunds', margin, yPosition);
+        yPosition += lineHeight;
+      }
       doc.text(`Average Order Value: ${formatCurrency(orderStats.combined.avgOrderValue)}`, margin, yPosition);
       yPosition += lineHeight;
       doc.text(`Net Profit: ${formatCurrency(netProfit)} (${profitMargin}% margin)`, margin, yPosition);
@@ -485,8 +521,58 @@ const DailySalesSummary = () => {
       doc.text(`Cash Payments: ${formatCurrency(orderStats.combined.cashRevenue)} (${orderStats.combined.cashOrders} orders)`, margin, yPosition);
       yPosition += lineHeight;
       doc.text(`Bank Transfer: ${formatCurrency(orderStats.combined.bankRevenue)} (${orderStats.combined.bankOrders} orders)`, margin, yPosition);
+      if (refunds.count > 0) {
+        yPosition += lineHeight;
+        doc.text(`Refunds: -${formatCurrency(refunds.cash)} cash, -${formatCurrency(refunds.bank)} bank`, margin, yPosition);
+      }
       yPosition += sectionSpacing;
 
+      // Tax & Service Charge
+      if (hasOrderCharges) {
+        checkPageBreak(30);
+        doc.setLineWidth(0.5);
+        doc.line(margin, yPosition, pageWidth - margin, yPosition);
+        yPosition += sectionSpacing;
+
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.text('TAX & SERVICE CHARGE', margin, yPosition);
+        yPosition += lineHeight * 1.5;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        orderCharges.byTax.forEach(tax => {
+          doc.text(`${tax.name}${tax.inclusive ? ' (incl.)' : ''}: ${formatCurrency(tax.amount)}`, margin, yPosition);
+          yPosition += lineHeight;
+        });
+        doc.text(`Total Tax Collected: ${formatCurrency(orderCharges.taxTotal + orderCharges.inclusiveTaxTotal)}`, margin, yPosition);
+        yPosition += lineHeight;
+        doc.text(`Service Charge: ${formatCurrency(orderCharges.serviceChargeTotal)}`, margin, yPosition);
+        yPosition += sectionSpacing;
+      }
+
+      if (orderCharges.byPromotion.length > 0) {
+        checkPageBreak(30);
+        doc.setLineWidth(0.5);
+        doc.line(margin, yPosition, pageWidth - margin, yPosition);
+        yPosition += sectionSpacing;
+
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.text('PROMOTIONS', margin, yPosition);
+        yPosition += lineHeight * 1.5;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        orderCharges.byPromotion.forEach(promo => {
+          checkPageBreak(lineHeight);
+          doc.text(`${promo.name}${promo.code ? ` (${promo.code})` : ''} - ${promo.orders} orders: ${formatCurrency(promo.amount)}`, margin, yPosition);
+          yPosition += lineHeight;
+        });
+        doc.text(`Total Promotion Discounts: ${formatCurrency(orderCharges.promotionTotal)}`, margin, yPosition);
+        yPosition += sectionSpacing;
+      }
+
       // Expenses
       checkPageBreak(30);
       doc.setLineWidth(0.5);
@@ -576,10 +662,10 @@ const DailySalesSummary = () => {
 
       doc.setFontSize(9);
       doc.setFont('helvetica', 'normal');
-      doc.text('Easypaisa: 03307072222', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
-      doc.text('Abdullah Saleem', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
+      getPdfFooterLines().forEach(line => {
+        doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += lineHeight;
+      });
       doc.setFont('helvetica', 'bold');
       doc.text('THANK YOU!', pageWidth / 2, yPosition, { align: 'center' });
 
@@ -846,13 +932,17 @@ const DailySalesSummary = () => {
           flexDirection: 'column',
           justifyContent: 'space-between'
         }}>
-          <div style={{ fontSize: '0.9rem', opacity: 0.9 }}>Total Revenue</div>
+          <div style={{ fontSize: '0.9rem', opacity: 0.9 }}>{refunds.count > 0 ? 'Net Revenue' : 'Total Revenue'}</div>
           <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>
-            {formatCurrency(summaryTop.totalRevenueAmount)}
+            {formatCurrency(netRevenue)}
           </div>
           <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>
             {summaryTop.totalRevenueOrders} orders
+            {refunds.count > 0 && ` · ${formatCurrency(summaryTop.totalRevenueAmount)} gross`}
           </div>
+          {refundsFailed && (
+            <div style={{ fontSize: '0.85rem', opacity: 0.9 }}>Excludes refunds (failed to load)</div>
+          )}
         </div>
 
         {/* Net Profit */}
@@ -941,6 +1031,31 @@ const DailySalesSummary = () => {
           </div>
         </div>
 
+        {/* Refunds */}
+        {(refunds.count > 0 || refundsFailed) && (
+          <div style={{
+            background: 'linear-gradient(135deg, #fd7e14 0%, #e8590c 100%)',
+            padding: '1.5rem',
+            borderRadius: '12px',
+            color: 'white',
+            boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+            minHeight: '140px',
+            display: 'flex',
+            flexDirection: 'column',
+            justifyContent: 'space-between'
+          }}>
+            <div style={{ fontSize: '0.9rem', opacity: 0.9, display: 'flex', alignItems: 'center', gap: '0.5rem' }}><FaUndo /> Refunds</div>
+            <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>
+              {refundsFailed ? '-' : formatCurrency(refunds.total)}
+            </div>
+            <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>
+              {refundsFailed
+                ? <>Failed to load · <button type="button" onClick={fetchData} style={{ background: 'none', border: 'none', color: 'white', textDecoration: 'underline', cursor: 'pointer', padding: 0, fontSize: 'inherit' }}>Retry</button></>
+                : `${refunds.count} refunds · ${formatCurrency(refunds.cash)} cash`}
+            </div>
+          </div>
+        )}
+
         {/* Average Order Value */}
         <div style={{
           background: 'linear-gradient(135deg, #6f42c1 0%, #5a32a3 100%)',
@@ -963,6 +1078,66 @@ const DailySalesSummary = () => {
         </div>
       </div>
 
+      {/* Tax & Service Charge */}
+      {hasOrderCharges && (
+        <div style={{
+          background: 'white',
+          padding: '1.5rem',
+          borderRadius: '12px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+          marginBottom: '2rem'
+        }}>
+          <h2 style={{ fontSize: '1.5rem', fontWeight: 'bold', marginBottom: '1.5rem', color: '#1f2937' }}>
+            <FaPercent style={{ marginRight: '0.5rem' }} /> Tax & Service Charge
+          </h2>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxWidth: '480px' }}>
+            {orderCharges.byTax.map(tax => (
+              <div key={`${tax.name}-${tax.inclusive}`} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span style={{ color: '#666' }}>{tax.name}{tax.inclusive ? ' (incl. in prices)' : ''}:</span>
+                <span style={{ fontWeight: '600' }}>{formatCurrency(tax.amount)}</span>
+              </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span style={{ color: '#666' }}>Total Tax Collected:</span>
+              <span style={{ fontWeight: '600' }}>{formatCurrency(orderCharges.taxTotal + orderCharges.inclusiveTaxTotal)}</span>
+            </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span style={{ color: '#666' }}>Service Charge:</span>
+              <span style={{ fontWeight: '600' }}>{formatCurrency(orderCharges.serviceChargeTotal)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Promotions */}
+      {orderCharges.byPromotion.length > 0 && (
+        <div style={{
+          background: 'white',
+          padding: '1.5rem',
+          borderRadius: '12px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+          marginBottom: '2rem'
+        }}>
+          <h2 style={{ fontSize: '1.5rem', fontWeight: 'bold', marginBottom: '1.5rem', color: '#1f2937' }}>
+            <FaTicketAlt style={{ marginRight: '0.5rem' }} /> Promotions
+          </h2>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', maxWidth: '480px' }}>
+            {orderCharges.byPromotion.map(promo => (
+              <div key={promo.promotionId || promo.name} style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span style={{ color: '#666' }}>
+                  {promo.name}{promo.code ? ` (${promo.code})` : ''} · {promo.orders} {promo.orders === 1 ? 'order' : 'orders'}:
+                </span>
+                <span style={{ fontWeight: '600' }}>{formatCurrency(promo.amount)}</span>
+              </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span style={{ color: '#666' }}>Total Promotion Discounts:</span>
+              <span style={{ fontWeight: '600' }}>{formatCurrency(orderCharges.promotionTotal)}</span>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Breakdown by Order Type */}
       <div style={{
         background: 'white',
@@ -4,7 +4,12 @@ import { ordersAPI } from '../services/api';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 import { useToast } from '../contexts/ToastContext';
+import { getOrderDuration, getDurationColor } from '../utils/orderTiming';
 import ConfirmationModal from './ConfirmationModal';
+import ManagerOverrideModal from './ManagerOverrideModal';
+import { useManagerOverride } from '../hooks/useManagerOverride';
+import { usePermissions } from '../hooks/usePermissions';
+import { maskPhone } from '../utils/permissions';
 import { getOfflineOrders, getOfflineOrdersCount, addPendingOperation, updateOfflineOrder, mergePreservedOfflineStatus } from '../utils/offlineDB';
 import { isOnline, syncPendingOperations } from '../services/offlineSyncService';
 import { useOffline } from '../contexts/OfflineContext';
@@ -12,6 +17,7 @@ import OfflineIndicator from './OfflineIndicator';
 import AppliedFiltersBanner from './AppliedFiltersBanner';
 import ScreenLoading from './ScreenLoading';
 import { getDateFilterBannerLabel, isCustomDateRangeApplied } from '../utils/dateFilterBanner';
+import { getCurrencySymbol } from '../utils/businessSettings';
 import {
   readFilterSession,
   writeFilterSession,
@@ -151,13 +157,15 @@ dayjs.extend(relativeTime);
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 const DeliveryOrders = ({ basePath = '/manager' }) => {
   const navigate = useNavigate();
   const { showSuccess, showError } = useToast();
+  const { requestOverride, overrideModalProps } = useManagerOverride();
+  const { can } = usePermissions();
 
   const initialScreenFilters = useMemo(() => {
     const s = readFilterSession(FILTER_STORAGE_KEYS.deliveryOrders);
@@ -1359,26 +1367,6 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
     }
   };
 
-  const getOrderDuration = (createdAt) => {
-    const now = dayjs();
-    const created = dayjs(createdAt);
-    const minutes = now.diff(created, 'minute');
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-
-    if (hours > 0) {
-      return `${hours}h ${mins}m`;
-    }
-    return `${mins}m`;
-  };
-
-  const getDurationColor = (createdAt) => {
-    const minutes = dayjs().diff(dayjs(createdAt), 'minute');
-    if (minutes < 15) return '#28a745';
-    if (minutes < 30) return '#ffc107';
-    return '#dc3545';
-  };
-
   const getOrderStatusColor = (status) => {
     const colors = {
       pending: { background: '#e2e3e5', color: '#383d41' },
@@ -1644,10 +1632,14 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
       title: 'Cancel Order',
       message: 'Are you sure you want to cancel this order? This action cannot be undone.',
       onConfirm: async () => {
+        const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
+        const { approved, approval } = await requestOverride('cancel', {
+          details: `Order #${targetOrder?.order_number || targetOrder?.orderNumber || orderId}`
+        });
+        if (!approved) return;
+
         setCancellingOrderId(orderId);
         try {
-          const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
-
           // Update local state immediately (no page refresh)
           const updatedOrder = {
             ...targetOrder,
@@ -1669,7 +1661,7 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
               : [...prev, updatedOrder];
           });
 
-          await ordersAPI.cancelOrder(orderId);
+          await ordersAPI.cancelOrder(orderId, approval ? { approval } : undefined);
           showSuccess('Order cancelled successfully');
 
           // Only refresh stats, not orders (already updated locally)
@@ -1693,11 +1685,20 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
       title: 'Revert Payment Status',
       message: 'Are you sure you want to revert the payment status? This will mark the order as pending payment again.',
       onConfirm: async () => {
+        const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
+        const { approved, approval } = await requestOverride('revert_payment', {
+          details: `Order #${targetOrder?.order_number || targetOrder?.orderNumber || orderId}`
+        });
+        if (!approved) return;
+
         setMarkingPaidId(orderId);
         try {
-          const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
-
-          await ordersAPI.revertPaymentStatus(orderId);
+          await ordersAPI.update(orderId, {
+            paymentStatus: 'pending',
+            amountTaken: null,
+            returnAmount: null,
+            ...(approval && { approval })
+          });
 
           // Update local state immediately (no page refresh)
           const updatedOrder = {
@@ -2173,11 +2174,12 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
                           order.deliveryName}
                       </p>
                       {(() => {
-                        const phone =
+                        const rawPhone =
                           order.customer?.phone ||
                           order.customer_phone ||
                           order.customerPhone ||
                           order.deliveryPhone;
+                        const phone = can('view_customer_phone') ? rawPhone : maskPhone(rawPhone);
                         const address =
                           order.deliveryAddress ||
                           order.delivery_address ||
@@ -2743,24 +2745,26 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
                       >
                         <FaEdit style={{ marginRight: '0.25rem' }} /> Edit Order
                       </button>
-                      <button
-                        onClick={() => handleCancelOrder(order.id)}
-                        disabled={cancellingOrderId === order.id || order.offline}
-                        style={{
-                          flex: 1,
-                          padding: '0.75rem',
-                          border: '2px solid #dc3545',
-                          borderRadius: '8px',
-                          background: order.offline ? '#f8f9fa' : 'white',
-                          color: order.offline ? '#adb5bd' : '#dc3545',
-                          fontWeight: 'bold',
-                          cursor: (cancellingOrderId === order.id || order.offline) ? 'not-allowed' : 'pointer',
-                          fontSize: '0.9rem',
-                          opacity: (cancellingOrderId === order.id || order.offline) ? 0.6 : 1
-                        }}
-                      >
-                        {cancellingOrderId === order.id ? 'Processing...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel</>}
-                      </button>
+                      {can('cancel_orders') && (
+                        <button
+                          onClick={() => handleCancelOrder(order.id)}
+                          disabled={cancellingOrderId === order.id || order.offline}
+                          style={{
+                            flex: 1,
+                            padding: '0.75rem',
+                            border: '2px solid #dc3545',
+                            borderRadius: '8px',
+                            background: order.offline ? '#f8f9fa' : 'white',
+                            color: order.offline ? '#adb5bd' : '#dc3545',
+                            fontWeight: 'bold',
+                            cursor: (cancellingOrderId === order.id || order.offline) ? 'not-allowed' : 'pointer',
+                            fontSize: '0.9rem',
+                            opacity: (cancellingOrderId === order.id || order.offline) ? 0.6 : 1
+                          }}
+                        >
+                          {cancellingOrderId === order.id ? 'Processing...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel</>}
+                        </button>
+                      )}
                     </div>
                   </div>
 
@@ -3031,6 +3035,8 @@ const DeliveryOrders = ({ basePath = '/manager' }) => {
         message={confirmModal.message}
         variant={confirmModal.variant}
       />
+
+      <ManagerOverrideModal {...overrideModalProps} />
     </div >
   );
 };
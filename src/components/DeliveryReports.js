@@ -7,6 +7,9 @@ import OfflineModal from './OfflineModal';
 import AppliedFiltersBanner from './AppliedFiltersBanner';
 import ScreenLoading from './ScreenLoading';
 import { getDateFilterBannerLabel, isCustomDateRangeApplied } from '../utils/dateFilterBanner';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import { maskPhone } from '../utils/permissions';
+import { usePermissions } from '../hooks/usePermissions';
 import {
   readFilterSession,
   writeFilterSession,
@@ -25,12 +28,13 @@ import {
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 const DeliveryReports = () => {
   const { showError } = useToast();
+  const { can } = usePermissions();
   const { online } = useOffline();
 
   const initialScreenFilters = useMemo(() => {
@@ -1034,7 +1038,7 @@ const DeliveryReports = () => {
                           </td>
                           <td style={{ padding: '0.75rem' }}>
                             <div style={{ fontWeight: '600', color: '#1f2937' }}>{order.customerName || order.customer_name || 'Walk-in'}</div>
-                            <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>{order.customerPhone || order.customer_phone || '-'}</div>
+                            <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>{(can('view_customer_phone') ? order.customerPhone || order.customer_phone : maskPhone(order.customerPhone || order.customer_phone)) || '-'}</div>
                           </td>
                           <td style={{ padding: '0.75rem', textAlign: 'right', fontWeight: '600', color: '#1f2937' }}>
                             {formatCurrency(order.totalAmount || order.total_amount || 0)}
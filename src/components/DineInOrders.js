@@ -4,9 +4,29 @@ import { ordersAPI } from '../services/api';
 import dayjs from 'dayjs';
 import relativeTime from 'dayjs/plugin/relativeTime';
 import { useToast } from '../contexts/ToastContext';
+import { getOrderDuration, getDurationColor } from '../utils/orderTiming';
 import ConfirmationModal from './ConfirmationModal';
+import ManagerOverrideModal from './ManagerOverrideModal';
+import { useManagerOverride } from '../hooks/useManagerOverride';
+import { usePermissions } from '../hooks/usePermissions';
+import SplitBillModal from './SplitBillModal';
+import TableFloorView from './TableFloorView';
+import TableActionsModal from './TableActionsModal';
 import { printReceipt } from './Receipt';
-import { getOfflineOrders, getOfflineOrdersCount, updateOfflineOrder, addPendingOperation } from '../utils/offlineDB';
+import { pickReceiptItemOptions } from '../utils/menuModifiers';
+import { getChargedTotal, getPaidTotal, normalizePayments, summarizePaymentMethod } from '../utils/splitBill';
+import { getOrderPricing, repriceForPaymentMethod, serializePricing } from '../utils/pricing';
+import { hasBillPrinted, markBillPrinted } from '../utils/floorPlan';
+import { applyOccupancyChange, getTableHistory } from '../utils/tableActions';
+import { broadcastTablesUpdated } from '../utils/multiTabSync';
+import {
+  getOfflineOrders,
+  getOfflineOrdersCount,
+  updateOfflineOrder,
+  addPendingOperation,
+  getCachedTableAvailability,
+  cacheTableAvailability
+} from '../utils/offlineDB';
 import { isOnline, syncPendingOperations } from '../services/offlineSyncService';
 import { useOffline } from '../contexts/OfflineContext';
 import OfflineIndicator from './OfflineIndicator';
@@ -32,7 +52,11 @@ import {
   FaExclamationTriangle,
   FaDollarSign,
   FaUserTie,
-  FaWifi
+  FaWifi,
+  FaCut,
+  FaList,
+  FaThLarge,
+  FaExchangeAlt
 } from 'react-icons/fa';
 import { MdWifiOff } from 'react-icons/md';
 
@@ -164,9 +188,17 @@ const formatCurrency = (value) => {
   return `${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
+// Amount due when paying with `paymentMethod`; cash and card can carry different tax rates
+const getAmountDue = (order, paymentMethod = 'cash') => {
+  const pricing = repriceForPaymentMethod(getOrderPricing(order), paymentMethod);
+  return pricing ? pricing.grandTotal : (parseFloat(order?.totalAmount || order?.total_amount) || 0);
+};
+
 const DineInOrders = ({ basePath = '/manager' }) => {
   const navigate = useNavigate();
   const { showSuccess, showError } = useToast();
+  const { requestOverride, overrideModalProps } = useManagerOverride();
+  const { can } = usePermissions();
 
   const initialScreenFilters = useMemo(() => {
     const s = readFilterSession(FILTER_STORAGE_KEYS.dineInOrders);
@@ -189,6 +221,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
   }, []);
 
   const [activeTab, setActiveTab] = useState(initialScreenFilters.activeTab); // 'pending' or 'completed'
+  const [pendingView, setPendingView] = useState('list'); // 'list' or 'floor'
   const [pendingOrders, setPendingOrders] = useState([]);
   const [completedOrders, setCompletedOrders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -198,6 +231,8 @@ const DineInOrders = ({ basePath = '/manager' }) => {
   const [endDate, setEndDate] = useState(initialScreenFilters.endDate);
   const [showCustomRange, setShowCustomRange] = useState(initialScreenFilters.showCustomRange);
   const [markingPaidId, setMarkingPaidId] = useState(null);
+  const [splitBillOrder, setSplitBillOrder] = useState(null);
+  const [tableActionsOrder, setTableActionsOrder] = useState(null);
   const [updatingStatusId, setUpdatingStatusId] = useState(null);
   const [cancellingOrderId, setCancellingOrderId] = useState(null);
   const [confirmModal, setConfirmModal] = useState({
@@ -922,7 +957,12 @@ const DineInOrders = ({ basePath = '/manager' }) => {
   }, []);
 
   const openPaymentModal = (order) => {
-    const orderTotal = order.totalAmount || order.total_amount || 0;
+    // Part-paid orders can only be finished through the split bill screen
+    if (getPaidTotal(normalizePayments(order.payments)) > 0 || parseFloat(order.amount_paid || order.amountPaid) > 0) {
+      setSplitBillOrder(order);
+      return;
+    }
+    const orderTotal = getAmountDue(order, 'cash');
     setPaymentModal({
       open: true,
       order,
@@ -940,6 +980,239 @@ const DineInOrders = ({ basePath = '/manager' }) => {
     });
   };
 
+  // Move a paid order to the completed tab, free its table and resync with the server
+  const applyOrderPaid = async (order, paymentFields) => {
+    // Update local state immediately so UI reflects payment completion (no page refresh)
+    const updatedLocal = {
+      ...order,
+      payment_status: 'completed',
+      paymentStatus: 'completed',
+      order_status: 'completed',
+      orderStatus: 'completed',
+      offlineStatusUpdated: true,
+      ...paymentFields
+    };
+
+    // Move order from pending to completed tab IMMEDIATELY
+    setPendingOrders(prev => prev.filter(o => o.id !== order.id));
+    setCompletedOrders(prev => {
+      const exists = prev.find(o => o.id === order.id);
+      return exists ? prev.map(o => o.id === order.id ? updatedLocal : o) : [...prev, updatedLocal];
+    });
+
+    // Free the table once paid/completed
+    emitTableFreed(order);
+
+    // Dispatch event to refresh badges immediately with updated status
+    window.dispatchEvent(new CustomEvent('orderUpdated', {
+      detail: { 
+        orderType: 'dine_in', 
+        orderId: order.id, 
+        action: 'markedPaid',
+        orderStatus: 'completed',
+        paymentStatus: 'completed'
+      }
+    }));
+
+    // Refresh stats and fetch all orders to ensure UI is in sync with database
+    // This will refresh from database, but our updated filtering logic will keep paid orders in completed tab
+    console.log('💰 [DineInOrders] Mark as Paid - Refetching stats and orders...');
+    await Promise.all([
+      fetchStats(),
+      fetchAllOrders(true)
+    ]);
+    console.log('💰 [DineInOrders] Mark as Paid - Stats and orders refreshed');
+    
+    // Dispatch another event after refresh to ensure badges are updated
+    setTimeout(() => {
+      window.dispatchEvent(new CustomEvent('orderUpdated', {
+        detail: { 
+          orderType: 'dine_in', 
+          orderId: order.id, 
+          action: 'markedPaid',
+          orderStatus: 'completed',
+          paymentStatus: 'completed'
+        }
+      }));
+    }, 500);
+  };
+
+  const openSplitBill = (order) => {
+    closePaymentModal();
+    setSplitBillOrder(order);
+  };
+
+  // After a table move / merge / split: update the cached occupancy, tell other tabs and refresh
+  const handleTableActionCompleted = async (order, action, change) => {
+    setTableActionsOrder(null);
+    try {
+      const cached = await getCachedTableAvailability();
+      const nextTables = applyOccupancyChange(cached, change);
+      await cacheTableAvailability(nextTables);
+      broadcastTablesUpdated(nextTables);
+    } catch (err) {
+      console.warn('[DineInOrders] Failed to update table occupancy cache:', err);
+    }
+    change.release.forEach(tableNumber => {
+      window.dispatchEvent(new CustomEvent('tableFreed', { detail: { tableNumber } }));
+    });
+    window.dispatchEvent(new CustomEvent('orderUpdated', {
+      detail: { orderType: 'dine_in', orderId: order.id, action }
+    }));
+    await Promise.all([fetchStats(), fetchAllOrders(true)]);
+  };
+
+  // Print the customer bill for a pending order without taking payment (floor view)
+  const handlePrintBill = async (order) => {
+    if (hasBillPrinted(order)) {
+      const { approved, approval } = await requestOverride('reprint', {
+        details: `Bill for order #${order.order_number || order.orderNumber || order.id}`
+      });
+      if (!approved) return;
+      if (approval && !order.offline) {
+        ordersAPI.addApproval(order.id, approval).catch(err => console.error('[DineInOrders] Failed to record reprint approval:', err.message));
+      }
+    }
+    try {
+      let orderItems = order.orderItems || order.order_items || order.items || [];
+      if (!order.offline && await isOnline()) {
+        const itemsResponse = await ordersAPI.getOrderItems(order.id);
+        const fetchedItems = itemsResponse.data.data || itemsResponse.data || [];
+        if (Array.isArray(fetchedItems) && fetchedItems.length > 0) orderItems = fetchedItems;
+      }
+      if (!Array.isArray(orderItems) || orderItems.length === 0) {
+        showError('No items found for this order. Cannot print bill.');
+        return;
+      }
+
+      const subtotal = orderItems.reduce((sum, item) => {
+        return sum + parseFloat(item.price || item.item_price || 0) * parseInt(item.quantity || 0);
+      }, 0);
+      const discountPercent = parseFloat(order.discount_percent || order.discountPercent || 0);
+
+      printReceipt({
+        id: order.id,
+        order_number: order.order_number || order.orderNumber,
+        table_number: order.table_number || order.tableNumber,
+        items: orderItems.map(item => ({
+          name: item.menuItem?.name || item.item_name || item.name || 'Unknown Item',
+          quantity: parseInt(item.quantity || 0),
+          price: parseFloat(item.price || item.item_price || 0),
+          ...pickReceiptItemOptions(item)
+        })),
+        subtotal,
+        total_amount: getAmountDue(order, 'cash'),
+        discount_percent: discountPercent,
+        discountPercent,
+        delivery_charge: 0,
+        pricing: getOrderPricing(order) || undefined,
+        payment_status: 'pending',
+        order_type: 'dine_in',
+        special_instructions: order.special_instructions || null,
+        cashier_name: order.cashier_name || 'Cashier'
+      }, 'customer');
+
+      markBillPrinted(order.id);
+      showSuccess(`Bill printed for Table ${order.table_number || order.tableNumber}`);
+    } catch (err) {
+      console.error('[DineInOrders] Failed to print bill:', err);
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to print bill');
+    }
+  };
+
+  // Keep the pending card's paid / remaining figures in step with the split modal
+  const handleSplitPaymentRecorded = (order, payments) => {
+    const amountPaid = getPaidTotal(payments);
+    setPendingOrders(prev => prev.map(o => (
+      o.id === order.id ? { ...o, payments, amount_paid: amountPaid, amountPaid } : o
+    )));
+  };
+
+  // Every split share is paid: complete the order the same way a single payment does
+  const handleSplitSettled = async (order, payments) => {
+    const payload = {
+      paymentMethod: summarizePaymentMethod(payments),
+      payments,
+      amountTaken: getChargedTotal(payments),
+      returnAmount: 0
+    };
+    // Each tender was charged at its own method's tax rates; store the combined breakdown
+    const orderPricing = repriceForPaymentMethod(getOrderPricing(order), payload.paymentMethod, payments);
+    if (orderPricing) {
+      Object.assign(payload, { totalAmount: orderPricing.grandTotal, ...serializePricing(orderPricing) });
+    }
+    const completedFields = {
+      payment_method: payload.paymentMethod,
+      paymentMethod: payload.paymentMethod,
+      payments,
+      amount_paid: payload.amountTaken,
+      ...(orderPricing && { total_amount: orderPricing.grandTotal, pricing: orderPricing }),
+      payment_status: 'completed',
+      paymentStatus: 'completed',
+      order_status: 'completed',
+      orderStatus: 'completed'
+    };
+    const offlineId = order.offlineId || order.id;
+
+    const queueForSync = async () => {
+      try {
+        await updateOfflineOrder(offlineId, { ...completedFields, offlineStatusUpdated: true });
+      } catch (updateError) {
+        // Online-created orders have no offline copy; the queued operations are enough
+      }
+      await addPendingOperation({
+        type: 'mark_as_paid',
+        endpoint: `/api/orders/${order.id}/mark-as-paid`,
+        method: 'POST',
+        data: payload,
+        offlineId
+      });
+      await addPendingOperation({
+        type: 'update_order_status',
+        endpoint: `/api/orders/${order.id}/status`,
+        method: 'PUT',
+        data: { order_status: 'completed' },
+        offlineId
+      });
+    };
+
+    setMarkingPaidId(order.id);
+    try {
+      if (order.offline) {
+        await queueForSync();
+      } else {
+        try {
+          await ordersAPI.markAsPaid(order.id, payload);
+        } catch (apiError) {
+          if (!isOnline() || apiError.code === 'ERR_NETWORK') {
+            await queueForSync();
+          } else {
+            throw apiError;
+          }
+        }
+      }
+
+      showSuccess(order.offline
+        ? 'Bill fully settled. Changes will sync when you are back online.'
+        : 'Bill fully settled and order marked as paid');
+      setSplitBillOrder(null);
+
+      await applyOrderPaid(order, {
+        payment_method: payload.paymentMethod,
+        payments,
+        amount_paid: payload.amountTaken,
+        amount_taken: null,
+        return_amount: 0,
+        ...(orderPricing && { total_amount: orderPricing.grandTotal, pricing: orderPricing })
+      });
+    } catch (err) {
+      console.error('💰 [DineInOrders] Split bill settle - ERROR:', err.message);
+      showError(err.formattedMessage || err.response?.data?.error || 'Payments recorded but failed to mark order as paid');
+    } finally {
+      setMarkingPaidId(null);
+    }
+  };
+
   const handleMarkAsPaid = async () => {
     const { order, paymentMethod, amountTaken } = paymentModal;
     
@@ -975,6 +1248,12 @@ const DineInOrders = ({ basePath = '/manager' }) => {
         payload.returnAmount = getReturnAmount();
       }
 
+      // Orders are priced at cash rates when taken; settle tax at the rate for the method used
+      const orderPricing = repriceForPaymentMethod(getOrderPricing(order), paymentMethod);
+      if (orderPricing) {
+        Object.assign(payload, { totalAmount: orderPricing.grandTotal, ...serializePricing(orderPricing) });
+      }
+
       // Block marking paid offline for online-created orders
       if (isOfflineEffective() && !order.offline) {
         showError('This order was created online. Reconnect to mark it as paid.');
@@ -995,6 +1274,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
           paymentMethod,
           amount_taken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
           return_amount: payload.returnAmount || 0,
+          ...(orderPricing && { total_amount: orderPricing.grandTotal, pricing: orderPricing }),
           payment_status: newPaymentStatus,
           paymentStatus: newPaymentStatus,
           order_status: newOrderStatus,
@@ -1094,6 +1374,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
               paymentMethod,
               amount_taken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
               return_amount: payload.returnAmount || 0,
+              ...(orderPricing && { total_amount: orderPricing.grandTotal, pricing: orderPricing }),
               payment_status: newPaymentStatus,
               paymentStatus: newPaymentStatus,
               order_status: newOrderStatus,
@@ -1164,7 +1445,9 @@ const DineInOrders = ({ basePath = '/manager' }) => {
 
       // Calculate total amount (use order total if available, otherwise use calculated total)
       const calculatedTotal = subtotalAfterDiscount;
-      const totalAmount = parseFloat(updatedOrder?.total_amount || updatedOrder?.totalAmount || order.totalAmount || order.total_amount) || calculatedTotal;
+      const totalAmount = orderPricing
+        ? orderPricing.grandTotal
+        : parseFloat(updatedOrder?.total_amount || updatedOrder?.totalAmount || order.totalAmount || order.total_amount) || calculatedTotal;
 
       const returnAmount = paymentMethod === 'cash' && amountTaken
         ? parseFloat(amountTaken) - totalAmount
@@ -1178,13 +1461,15 @@ const DineInOrders = ({ basePath = '/manager' }) => {
         items: orderItems.map(item => ({
           name: item.menuItem?.name || item.item_name || item.name || 'Unknown Item',
           quantity: parseInt(item.quantity || 0),
-          price: parseFloat(item.price || item.item_price || 0)
+          price: parseFloat(item.price || item.item_price || 0),
+          ...pickReceiptItemOptions(item)
         })),
         subtotal: subtotal,
         total_amount: totalAmount,
         discount_percent: discountPercent,
         discountPercent: discountPercent,
         delivery_charge: 0,
+        pricing: orderPricing || undefined,
         payment_method: paymentMethod,
         amount_taken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
         return_amount: returnAmount,
@@ -1197,40 +1482,6 @@ const DineInOrders = ({ basePath = '/manager' }) => {
       // Print customer receipt using JavaScript-controlled printing
       printReceipt(receiptDataForPrint, 'customer');
 
-      // Update local state immediately so UI reflects payment completion (no page refresh)
-      const updatedLocal = {
-        ...order,
-        payment_status: 'completed',
-        paymentStatus: 'completed',
-        order_status: 'completed',
-        orderStatus: 'completed',
-        offlineStatusUpdated: true,
-        payment_method: paymentMethod,
-        amount_taken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
-        return_amount: payload.returnAmount || 0
-      };
-
-      // Move order from pending to completed tab IMMEDIATELY
-      setPendingOrders(prev => prev.filter(o => o.id !== order.id));
-      setCompletedOrders(prev => {
-        const exists = prev.find(o => o.id === order.id);
-        return exists ? prev.map(o => o.id === order.id ? updatedLocal : o) : [...prev, updatedLocal];
-      });
-
-      // Free the table once paid/completed
-      emitTableFreed(order);
-
-      // Dispatch event to refresh badges immediately with updated status
-      window.dispatchEvent(new CustomEvent('orderUpdated', {
-        detail: { 
-          orderType: 'dine_in', 
-          orderId: order.id, 
-          action: 'markedPaid',
-          orderStatus: 'completed',
-          paymentStatus: 'completed'
-        }
-      }));
-
       // Show appropriate success message based on online/offline status
       const isOfflineOrder = order.offline;
       if (isOfflineOrder) {
@@ -1240,28 +1491,12 @@ const DineInOrders = ({ basePath = '/manager' }) => {
       }
       closePaymentModal();
 
-      // Refresh stats and fetch all orders to ensure UI is in sync with database
-      // This will refresh from database, but our updated filtering logic will keep paid orders in completed tab
-      console.log('💰 [DineInOrders] Mark as Paid - Refetching stats and orders...');
-      await Promise.all([
-        fetchStats(),
-        fetchAllOrders(true)
-      ]);
-      console.log('💰 [DineInOrders] Mark as Paid - Stats and orders refreshed');
-      
-      // Dispatch another event after refresh to ensure badges are updated
-      setTimeout(() => {
-        window.dispatchEvent(new CustomEvent('orderUpdated', {
-          detail: { 
-            orderType: 'dine_in', 
-            orderId: order.id, 
-            action: 'markedPaid',
-            orderStatus: 'completed',
-            paymentStatus: 'completed'
-          }
-        }));
-      }, 500);
-      
+      await applyOrderPaid(order, {
+        payment_method: paymentMethod,
+        amount_taken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
+        return_amount: payload.returnAmount || 0
+      });
+
       console.log('💰 [DineInOrders] Mark as Paid - COMPLETE');
     } catch (err) {
       console.error('💰 [DineInOrders] Mark as Paid - ERROR:', err.message);
@@ -1273,40 +1508,18 @@ const DineInOrders = ({ basePath = '/manager' }) => {
 
   const getReturnAmount = () => {
     if (paymentModal.paymentMethod !== 'cash' || !paymentModal.amountTaken) return 0;
-    const total = parseFloat(paymentModal.order?.totalAmount || paymentModal.order?.total_amount || 0);
+    const total = getAmountDue(paymentModal.order, paymentModal.paymentMethod);
     const taken = parseFloat(paymentModal.amountTaken || 0);
     // Allow negative values for partial payments (amount due)
     return taken - total;
   };
 
-  // Calculate order duration
-  const getOrderDuration = (createdAt) => {
-    const now = dayjs();
-    const created = dayjs(createdAt);
-    const minutes = now.diff(created, 'minute');
-    const hours = Math.floor(minutes / 60);
-    const mins = minutes % 60;
-
-    if (hours > 0) {
-      return `${hours}h ${mins}m`;
-    }
-    return `${mins}m`;
-  };
-
   const emitTableFreed = useCallback((orderObj) => {
     const tableNum = orderObj?.tableNumber || orderObj?.table_number;
     if (!tableNum) return;
     window.dispatchEvent(new CustomEvent('tableFreed', { detail: { tableNumber: tableNum } }));
   }, []);
 
-  // Get duration color based on time
-  const getDurationColor = (createdAt) => {
-    const minutes = dayjs().diff(dayjs(createdAt), 'minute');
-    if (minutes < 15) return '#28a745';
-    if (minutes < 30) return '#ffc107';
-    return '#dc3545';
-  };
-
   // Handle status update
   const handleStatusUpdate = async (orderId, newStatus) => {
     if (activeTab === 'completed') return;
@@ -1463,9 +1676,14 @@ const DineInOrders = ({ basePath = '/manager' }) => {
       title: 'Cancel Order',
       message: 'Are you sure you want to cancel this order? This action cannot be undone.',
       onConfirm: async () => {
+        const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
+        const { approved, approval } = await requestOverride('cancel', {
+          details: `Order #${targetOrder?.order_number || targetOrder?.orderNumber || orderId}`
+        });
+        if (!approved) return;
+
         setCancellingOrderId(orderId);
         try {
-          const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
 
           // Update local state immediately (no page refresh)
           const updatedOrder = {
@@ -1493,11 +1711,12 @@ const DineInOrders = ({ basePath = '/manager' }) => {
               orderStatus: 'cancelled',
               status: 'cancelled',
               payment_status: 'cancelled',
-              paymentStatus: 'cancelled'
+              paymentStatus: 'cancelled',
+              ...(approval && { approvals: [...(targetOrder.approvals || []), approval] })
             });
             showSuccess('Offline order cancelled locally');
           } else {
-            await ordersAPI.cancelOrder(orderId);
+            await ordersAPI.cancelOrder(orderId, approval ? { approval } : undefined);
             showSuccess('Order cancelled successfully');
           }
 
@@ -1530,14 +1749,19 @@ const DineInOrders = ({ basePath = '/manager' }) => {
       title: 'Revert Payment Status',
       message: 'Are you sure you want to revert the payment status? This will mark the order as pending payment again.',
       onConfirm: async () => {
+        const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
+        const { approved, approval } = await requestOverride('revert_payment', {
+          details: `Order #${targetOrder?.order_number || targetOrder?.orderNumber || orderId}`
+        });
+        if (!approved) return;
+
         setMarkingPaidId(orderId);
         try {
-          const targetOrder = [...pendingOrders, ...completedOrders].find(o => o.id === orderId);
-
           await ordersAPI.update(orderId, {
             paymentStatus: 'pending',
             amountTaken: null,
-            returnAmount: null
+            returnAmount: null,
+            ...(approval && { approval })
           });
 
           // Update local state immediately (no page refresh)
@@ -1772,6 +1996,32 @@ const DineInOrders = ({ basePath = '/manager' }) => {
           >
             <FaCheck style={{ marginRight: '0.25rem' }} /> Completed ({completedOrders.length})
           </button>
+          {activeTab === 'pending' && (
+            <div style={{ marginLeft: 'auto', display: 'flex', gap: '0.25rem', alignSelf: 'center' }}>
+              {[
+                { id: 'list', label: 'List', icon: <FaList /> },
+                { id: 'floor', label: 'Floor', icon: <FaThLarge /> }
+              ].map(view => (
+                <button
+                  key={view.id}
+                  onClick={() => setPendingView(view.id)}
+                  style={{
+                    padding: '0.4rem 0.8rem',
+                    borderRadius: '6px',
+                    border: `1px solid ${pendingView === view.id ? 'var(--color-primary)' : '#dee2e6'}`,
+                    background: pendingView === view.id ? 'var(--color-primary)' : 'white',
+                    color: pendingView === view.id ? 'white' : '#495057',
+                    cursor: 'pointer',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '0.35rem'
+                  }}
+                >
+                  {view.icon} {view.label}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
         {/* Date Filters */}
@@ -1915,6 +2165,15 @@ const DineInOrders = ({ basePath = '/manager' }) => {
         }}>
           {error}
         </div>
+      ) : activeTab === 'pending' && pendingView === 'floor' ? (
+        <TableFloorView
+          orders={pendingOrders}
+          getOrderDuration={getOrderDuration}
+          onPrintBill={handlePrintBill}
+          onMarkPaid={openPaymentModal}
+          onSplitBill={openSplitBill}
+          onTableActions={setTableActionsOrder}
+        />
       ) : currentOrders.length === 0 ? (
         <div style={{
           background: 'white',
@@ -1999,6 +2258,11 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                       <FaClock style={{ marginRight: '0.25rem' }} /> Waiting: {getOrderDuration(order.createdAt || order.created_at)}
                     </p>
                   )}
+                  {getTableHistory(order).length > 0 && (
+                    <p style={{ margin: '0.25rem 0 0 0', fontSize: '0.8rem', color: '#6c757d' }}>
+                      <FaExchangeAlt style={{ marginRight: '0.25rem' }} /> {getTableHistory(order).slice(-1)[0].note}
+                    </p>
+                  )}
                   {order.order_status && (() => {
                     const status = order.orderStatus || order.order_status;
                     const StatusIcon = getStatusIcon(status);
@@ -2054,6 +2318,18 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                   }}>
                     {formatCurrency(order.totalAmount || order.total_amount)}
                   </div>
+                  {(() => {
+                    const amountPaid = parseFloat(order.amount_paid || order.amountPaid) || 0;
+                    const isPaid = (order.paymentStatus || order.payment_status) === 'completed';
+                    if (isPaid || amountPaid <= 0) return null;
+                    const total = parseFloat(order.totalAmount || order.total_amount) || 0;
+                    return (
+                      <div style={{ fontSize: '0.85rem', color: '#6c757d', marginTop: '0.25rem' }}>
+                        Paid {formatCurrency(amountPaid)} •{' '}
+                        <strong style={{ color: '#dc3545' }}>Balance {formatCurrency(Math.max(0, total - amountPaid))}</strong>
+                      </div>
+                    );
+                  })()}
                   {(() => {
                     const isCancelled = order.orderStatus === 'cancelled' || order.order_status === 'cancelled' || 
                                        order.paymentStatus === 'cancelled' || order.payment_status === 'cancelled' ||
@@ -2204,6 +2480,25 @@ const DineInOrders = ({ basePath = '/manager' }) => {
 
                   {/* Action Buttons */}
                   <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    {(order.tableNumber || order.table_number) && (order.tableNumber || order.table_number) !== 'takeaway' && (
+                      <button
+                        onClick={() => setTableActionsOrder(order)}
+                        title="Move, merge or split this table"
+                        style={{
+                          flex: 1,
+                          padding: '0.75rem',
+                          border: '2px solid #6f42c1',
+                          borderRadius: '8px',
+                          background: 'white',
+                          color: '#6f42c1',
+                          fontWeight: 'bold',
+                          cursor: 'pointer',
+                          fontSize: '0.9rem'
+                        }}
+                      >
+                        <FaExchangeAlt style={{ marginRight: '0.25rem' }} /> Table
+                      </button>
+                    )}
                     <button
                       onClick={() => navigate(`${basePath}/orders?edit=${order.id}`)}
                       style={{
@@ -2220,24 +2515,26 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                     >
                       <FaEdit style={{ marginRight: '0.25rem' }} /> Edit Order
                     </button>
-                    <button
-                      onClick={() => handleCancelOrder(order.id)}
-                      disabled={cancellingOrderId === order.id}
-                      style={{
-                        flex: 1,
-                        padding: '0.75rem',
-                        border: '2px solid #dc3545',
-                        borderRadius: '8px',
-                        background: 'white',
-                        color: '#dc3545',
-                        fontWeight: 'bold',
-                        cursor: cancellingOrderId === order.id ? 'not-allowed' : 'pointer',
-                        fontSize: '0.9rem',
-                        opacity: cancellingOrderId === order.id ? 0.6 : 1
-                      }}
-                    >
-                      {cancellingOrderId === order.id ? 'Processing...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel</>}
-                    </button>
+                    {can('cancel_orders') && (
+                      <button
+                        onClick={() => handleCancelOrder(order.id)}
+                        disabled={cancellingOrderId === order.id}
+                        style={{
+                          flex: 1,
+                          padding: '0.75rem',
+                          border: '2px solid #dc3545',
+                          borderRadius: '8px',
+                          background: 'white',
+                          color: '#dc3545',
+                          fontWeight: 'bold',
+                          cursor: cancellingOrderId === order.id ? 'not-allowed' : 'pointer',
+                          fontSize: '0.9rem',
+                          opacity: cancellingOrderId === order.id ? 0.6 : 1
+                        }}
+                      >
+                        {cancellingOrderId === order.id ? 'Processing...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel</>}
+                      </button>
+                    )}
                   </div>
 
                   {(() => {
@@ -2256,6 +2553,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                     }
                     
                     return (
+                      <>
                       <button
                         onClick={() => openPaymentModal(order)}
                         disabled={markingPaidId === order.id || disableMarkPaid}
@@ -2277,6 +2575,26 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                           ? 'Processing...'
                           : (disableMarkPaid ? <><FaDollarSign style={{ marginRight: '0.25rem' }} /> Mark as Paid (online only)</> : <><FaDollarSign style={{ marginRight: '0.25rem' }} /> Mark as Paid</>)}
                       </button>
+                      <button
+                        onClick={() => openSplitBill(order)}
+                        disabled={markingPaidId === order.id || disableMarkPaid}
+                        title={buttonTitle}
+                        style={{
+                          width: '100%',
+                          padding: '0.6rem',
+                          border: '2px solid var(--color-primary)',
+                          borderRadius: '8px',
+                          background: 'white',
+                          color: 'var(--color-primary)',
+                          fontWeight: 'bold',
+                          cursor: (markingPaidId === order.id || disableMarkPaid) ? 'not-allowed' : 'pointer',
+                          fontSize: '0.95rem',
+                          opacity: (markingPaidId === order.id || disableMarkPaid) ? 0.6 : 1
+                        }}
+                      >
+                        <FaCut style={{ marginRight: '0.25rem' }} /> Split Bill
+                      </button>
+                      </>
                     );
                   })()}
                 </div>
@@ -2416,7 +2734,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                 )}
               </div>
               <div style={{ fontSize: '1.5rem', fontWeight: 'bold', color: 'var(--color-primary)' }}>
-                Total: {formatCurrency(paymentModal.order.totalAmount || paymentModal.order.total_amount)}
+                Total: {formatCurrency(getAmountDue(paymentModal.order, paymentModal.paymentMethod))}
               </div>
             </div>
 
@@ -2432,7 +2750,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
               <div style={{ display: 'flex', gap: '0.5rem' }}>
                 <button
                   onClick={() => {
-                    const orderTotal = paymentModal.order?.totalAmount || paymentModal.order?.total_amount || 0;
+                    const orderTotal = getAmountDue(paymentModal.order, 'cash');
                     setPaymentModal({ ...paymentModal, paymentMethod: 'cash', amountTaken: orderTotal.toString() });
                   }}
                   style={{
@@ -2493,7 +2811,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                   />
                 </div>
 
-                {paymentModal.amountTaken && parseFloat(paymentModal.amountTaken) >= parseFloat(paymentModal.order.totalAmount || paymentModal.order.total_amount) && (
+                {paymentModal.amountTaken && parseFloat(paymentModal.amountTaken) >= getAmountDue(paymentModal.order, paymentModal.paymentMethod) && (
                   <div style={{
                     background: '#e6ffed',
                     padding: '1rem',
@@ -2503,7 +2821,7 @@ const DineInOrders = ({ basePath = '/manager' }) => {
                   }}>
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
                       <span>Total:</span>
-                      <strong>{formatCurrency(paymentModal.order.totalAmount || paymentModal.order.total_amount)}</strong>
+                      <strong>{formatCurrency(getAmountDue(paymentModal.order, paymentModal.paymentMethod))}</strong>
                     </div>
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
                       <span>Received:</span>
@@ -2532,6 +2850,24 @@ const DineInOrders = ({ basePath = '/manager' }) => {
               </>
             )}
 
+            <button
+              type="button"
+              onClick={() => openSplitBill(paymentModal.order)}
+              style={{
+                width: '100%',
+                marginBottom: '1rem',
+                padding: '0.6rem',
+                border: '2px dashed #adb5bd',
+                borderRadius: '8px',
+                background: 'white',
+                color: '#495057',
+                fontWeight: '600',
+                cursor: 'pointer'
+              }}
+            >
+              <FaCut style={{ marginRight: '0.25rem' }} /> Split bill or pay with more than one method
+            </button>
+
             <div style={{ display: 'flex', gap: '0.5rem' }}>
               <button
                 onClick={closePaymentModal}
@@ -2576,6 +2912,26 @@ const DineInOrders = ({ basePath = '/manager' }) => {
         </div>
       )}
 
+      {splitBillOrder && (
+        <SplitBillModal
+          order={splitBillOrder}
+          offlineEffective={isOfflineEffective()}
+          onClose={() => setSplitBillOrder(null)}
+          onPaymentRecorded={handleSplitPaymentRecorded}
+          onSettled={handleSplitSettled}
+        />
+      )}
+
+      {tableActionsOrder && (
+        <TableActionsModal
+          order={tableActionsOrder}
+          pendingOrders={pendingOrders}
+          offlineEffective={isOfflineEffective()}
+          onClose={() => setTableActionsOrder(null)}
+          onCompleted={handleTableActionCompleted}
+        />
+      )}
+
       {/* Confirmation Modal */}
       <ConfirmationModal
         isOpen={confirmModal.isOpen}
@@ -2585,6 +2941,8 @@ const DineInOrders = ({ basePath = '/manager' }) => {
         message={confirmModal.message}
         variant={confirmModal.variant}
       />
+
+      <ManagerOverrideModal {...overrideModalProps} />
     </div>
   );
 };
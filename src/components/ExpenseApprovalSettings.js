@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getExpenseApprovalPolicy, normalizeExpenseApprovalPolicy } from '../utils/expenseApproval';
+import { loadExpenseApprovalPolicy, saveExpenseApprovalPolicy } from '../services/businessInfoService';
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+/**
+ * Admin editor for the amount above which expenses need approval. Saved through
+ * businessInfoAPI; submitted expenses land in the Approvals tab.
+ */
+const ExpenseApprovalSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getExpenseApprovalPolicy());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadExpenseApprovalPolicy().then(policy => {
+      if (!cancelled) setForm(policy);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async () => {
+    if (form.enabled && (form.threshold === '' || Number(form.threshold) < 0)) {
+      showError('Enter the amount above which expenses need approval');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveExpenseApprovalPolicy(normalizeExpenseApprovalPolicy(form));
+      setForm(saved);
+      showSuccess('Expense approval settings saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save expense approval settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Expense Approval</h3>
+      <p>
+        Expenses above the limit recorded by anyone without the "Approve expenses" permission (managers by default)
+        are submitted for approval. They are left out of the expense totals until approved in the Approvals tab;
+        rejected ones go back to whoever recorded them with the reason.
+      </p>
+
+      <label style={{ ...checkboxLabelStyle, marginBottom: '1rem' }}>
+        <input
+          type="checkbox"
+          checked={form.enabled}
+          onChange={(e) => setForm(prev => ({ ...prev, enabled: e.target.checked }))}
+        />
+        Require approval for large expenses
+      </label>
+
+      {form.enabled && (
+        <div className="form-group" style={{ width: '220px' }}>
+          <label>Approval Limit</label>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            value={form.threshold}
+            onChange={(e) => setForm(prev => ({ ...prev, threshold: e.target.value }))}
+          />
+        </div>
+      )}
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Expense Approval Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default ExpenseApprovalSettings;
@@ -0,0 +1,203 @@
+import React, { useState } from 'react';
+import dayjs from 'dayjs';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import { useExpenseApprovalsQuery, useReviewExpenseMutation } from '../hooks/expenses';
+import {
+  EXPENSE_STATUSES,
+  getExpenseApprovalPolicy,
+  getSubmittedBy,
+  normalizeApprovalHistory
+} from '../utils/expenseApproval';
+import { getAttachmentCount } from '../utils/receiptAttachments';
+import ConfirmationModal from './ConfirmationModal';
+import ExpenseAttachments from './ExpenseAttachments';
+import ScreenLoading from './ScreenLoading';
+import { FaClipboardCheck, FaPaperclip } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5', verticalAlign: 'top' };
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '1.25rem',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  marginBottom: '1.5rem'
+};
+
+const smallButtonStyle = (color) => ({
+  padding: '0.3rem 0.6rem',
+  border: `1px solid ${color}`,
+  borderRadius: '6px',
+  background: 'white',
+  color,
+  fontSize: '0.85rem',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+const getExpenseDate = (expense) => expense.expenseDate || expense.expense_date || expense.createdAt || expense.created_at;
+
+/**
+ * Inbox of expenses submitted for approval (admin portal). Approving counts the
+ * expense in the totals; rejecting needs a comment, which the submitter sees on the
+ * expense in Expense History.
+ */
+const ExpenseApprovals = () => {
+  const { showSuccess, showError } = useToast();
+  const { data: expenses = [], isLoading, isError, refetch } = useExpenseApprovalsQuery();
+  const reviewExpense = useReviewExpenseMutation();
+  const [review, setReview] = useState(null);
+  const [attachmentsExpense, setAttachmentsExpense] = useState(null);
+  const policy = getExpenseApprovalPolicy();
+  const pendingTotal = expenses.reduce((sum, e) => sum + (parseFloat(e.amount) || 0), 0);
+
+  const handleReview = async () => {
+    const comment = review.comment.trim();
+    if (review.status === 'rejected' && !comment) {
+      showError('Say why the expense is rejected');
+      return false;
+    }
+    try {
+      await reviewExpense.mutateAsync({ id: review.expense.id, status: review.status, comment });
+      showSuccess(`${review.expense.description} ${review.status === 'approved' ? 'approved' : 'rejected'}`);
+      setReview(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save the review');
+      return false;
+    }
+  };
+
+  if (isLoading) {
+    return <ScreenLoading label="Loading approvals..." />;
+  }
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <h1 style={{ margin: '0 0 0.25rem', color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <FaClipboardCheck /> Expense Approvals
+      </h1>
+      <div style={{ marginBottom: '1.5rem', color: '#6c757d', fontSize: '0.95rem' }}>
+        {policy.enabled
+          ? `Expenses above ${formatCurrency(policy.threshold)} from users who can't approve them wait here and are left out of the expense totals until approved.`
+          : 'Approval is turned off in Settings, so new expenses are not submitted here. Anything already submitted still needs a decision.'}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+        {[
+          { label: 'Awaiting Approval', value: expenses.length, color: expenses.length > 0 ? EXPENSE_STATUSES.submitted.color : undefined },
+          { label: 'Amount Waiting', value: formatCurrency(pendingTotal) }
+        ].map(stat => (
+          <div key={stat.label} style={{ ...cardStyle, marginBottom: 0 }}>
+            <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>{stat.label}</div>
+            <div style={{ fontSize: '1.6rem', fontWeight: 'bold', color: stat.color || '#2d3748' }}>{stat.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+        {isError ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: '#dc3545' }}>
+            Couldn't load the expenses awaiting approval.{' '}
+            <button type="button" style={smallButtonStyle('#dc3545')} onClick={() => refetch()}>Retry</button>
+          </div>
+        ) : expenses.length === 0 ? (
+          <div style={{ padding: '2rem', textAlign: 'center', color: '#6c757d' }}>Nothing is waiting for approval.</div>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ background: '#f8f9fa' }}>
+                <th style={thStyle}>Date</th>
+                <th style={thStyle}>Expense</th>
+                <th style={thStyle}>Category</th>
+                <th style={thStyle}>Submitted By</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Amount</th>
+                <th style={{ ...thStyle, textAlign: 'center' }}>Receipts</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {expenses.map(expense => {
+                const history = normalizeApprovalHistory(expense).filter(entry => entry.comment);
+                return (
+                  <tr key={expense.id}>
+                    <td style={tdStyle}>{dayjs(getExpenseDate(expense)).format('DD MMM YYYY')}</td>
+                    <td style={tdStyle}>
+                      <div style={{ fontWeight: 600, color: '#2d3748' }}>{expense.description}</div>
+                      {history.map((entry, index) => (
+                        <div key={index} style={{ fontSize: '0.8rem', color: '#6c757d', marginTop: '0.2rem' }}>
+                          <span style={{ color: EXPENSE_STATUSES[entry.status]?.color, fontWeight: 600 }}>
+                            {EXPENSE_STATUSES[entry.status]?.label || entry.status}
+                          </span>
+                          {entry.userName ? ` by ${entry.userName}` : ''}
+                          {entry.createdAt ? `, ${dayjs(entry.createdAt).format('DD MMM')}` : ''}: "{entry.comment}"
+                        </div>
+                      ))}
+                    </td>
+                    <td style={tdStyle}>{expense.category || 'Uncategorized'}</td>
+                    <td style={tdStyle}>{getSubmittedBy(expense) || '-'}</td>
+                    <td style={{ ...tdStyle, textAlign: 'right', fontWeight: 600 }}>{formatCurrency(expense.amount)}</td>
+                    <td style={{ ...tdStyle, textAlign: 'center' }}>
+                      {getAttachmentCount(expense) > 0 ? (
+                        <button type="button" style={smallButtonStyle('#495057')} onClick={() => setAttachmentsExpense(expense)}>
+                          <FaPaperclip /> {getAttachmentCount(expense)}
+                        </button>
+                      ) : '-'}
+                    </td>
+                    <td style={{ ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <span style={{ display: 'inline-flex', gap: '0.4rem' }}>
+                        <button type="button" style={smallButtonStyle('#28a745')} onClick={() => setReview({ expense, status: 'approved', comment: '' })}>
+                          Approve
+                        </button>
+                        <button type="button" style={smallButtonStyle('#dc3545')} onClick={() => setReview({ expense, status: 'rejected', comment: '' })}>
+                          Reject
+                        </button>
+                      </span>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={!!review}
+        onClose={() => setReview(null)}
+        onConfirm={handleReview}
+        title={review?.status === 'rejected' ? 'Reject Expense' : 'Approve Expense'}
+        message={review
+          ? `${review.status === 'rejected' ? 'Reject' : 'Approve'} ${review.expense.description} (${formatCurrency(review.expense.amount)})?`
+          : ''}
+        confirmText={review?.status === 'rejected' ? 'Reject' : 'Approve'}
+        confirmDisabled={reviewExpense.isPending}
+        variant={review?.status === 'rejected' ? 'danger' : 'info'}
+      >
+        {review && (
+          <label style={{ display: 'block', marginTop: '1rem', fontWeight: 600, color: '#495057' }}>
+            {review.status === 'rejected' ? 'Reason' : 'Comment (optional)'}
+            <textarea
+              value={review.comment}
+              onChange={(e) => setReview(prev => ({ ...prev, comment: e.target.value }))}
+              rows={3}
+              style={{ display: 'block', width: '100%', marginTop: '0.35rem', padding: '0.5rem', borderRadius: '8px', border: '2px solid #e2e8f0', resize: 'vertical' }}
+            />
+          </label>
+        )}
+      </ConfirmationModal>
+
+      {attachmentsExpense && (
+        <ExpenseAttachments expense={attachmentsExpense} readOnly onClose={() => setAttachmentsExpense(null)} />
+      )}
+    </div>
+  );
+};
+
+export default ExpenseApprovals;
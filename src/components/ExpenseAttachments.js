@@ -0,0 +1,239 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import {
+  useExpenseAttachmentsQuery,
+  useExpenseAttachmentFileQuery,
+  useAddExpenseAttachmentsMutation,
+  useDeleteExpenseAttachmentMutation
+} from '../hooks/expenses';
+import { RECEIPT_ACCEPT, isImageType, formatFileSize, getReceiptFileError } from '../utils/receiptAttachments';
+import ConfirmationModal from './ConfirmationModal';
+import { FaCamera, FaPaperclip, FaFilePdf } from 'react-icons/fa';
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const overlayStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle = {
+  background: 'white',
+  padding: '2rem',
+  borderRadius: '12px',
+  maxWidth: '720px',
+  width: '90%',
+  maxHeight: '90vh',
+  overflowY: 'auto'
+};
+
+const previewStyle = {
+  width: '100%',
+  height: '120px',
+  padding: 0,
+  border: '1px solid #dee2e6',
+  borderRadius: '8px',
+  background: '#f8f9fa',
+  overflow: 'hidden',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  cursor: 'pointer'
+};
+
+/** Object URL for `blob`, revoked when the blob changes or the component unmounts. */
+function useObjectUrl(blob) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!blob) {
+      setUrl(null);
+      return undefined;
+    }
+    const next = URL.createObjectURL(blob);
+    setUrl(next);
+    return () => URL.revokeObjectURL(next);
+  }, [blob]);
+  return url;
+}
+
+/**
+ * "Take Photo" (opens the rear camera on tablets and phones) and "Choose Files" buttons.
+ * Files that can't be attached are reported and left out; the rest go to `onFiles`.
+ */
+export const ReceiptPickerButtons = ({ onFiles, disabled = false }) => {
+  const { showError } = useToast();
+  const cameraRef = useRef(null);
+  const filesRef = useRef(null);
+
+  const handleChange = (e) => {
+    const files = Array.from(e.target.files || []);
+    // Reset so picking the same file again still fires onChange
+    e.target.value = '';
+    const errors = files.map(getReceiptFileError).filter(Boolean);
+    if (errors.length) showError(errors.join('. '));
+    const valid = files.filter(file => !getReceiptFileError(file));
+    if (valid.length) onFiles(valid);
+  };
+
+  return (
+    <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+      <input ref={cameraRef} type="file" accept="image/*" capture="environment" onChange={handleChange} style={{ display: 'none' }} />
+      <input ref={filesRef} type="file" accept={RECEIPT_ACCEPT} multiple onChange={handleChange} style={{ display: 'none' }} />
+      <button type="button" style={buttonStyle('#17a2b8', disabled)} onClick={() => cameraRef.current?.click()} disabled={disabled}>
+        <FaCamera /> Take Photo
+      </button>
+      <button type="button" style={buttonStyle('#6c757d', disabled)} onClick={() => filesRef.current?.click()} disabled={disabled}>
+        <FaPaperclip /> Choose Files
+      </button>
+    </div>
+  );
+};
+
+const AttachmentTile = ({ expenseId, attachment, onRemove }) => {
+  const { data: blob, isLoading, isError } = useExpenseAttachmentFileQuery(expenseId, attachment);
+  const url = useObjectUrl(blob);
+  const image = isImageType(attachment.type);
+
+  let preview = <FaFilePdf size={40} color="#dc3545" />;
+  if (isLoading) preview = <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>Loading...</span>;
+  else if (isError) preview = <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>Unavailable</span>;
+  else if (image && url) preview = <img src={url} alt={attachment.name} style={{ width: '100%', height: '100%', objectFit: 'cover' }} />;
+
+  return (
+    <div>
+      <button
+        type="button"
+        style={previewStyle}
+        onClick={() => window.open(url, '_blank', 'noopener')}
+        disabled={!url}
+        title={`Open ${attachment.name}`}
+      >
+        {preview}
+      </button>
+      <div className="cell-truncate" style={{ marginTop: '0.35rem', fontSize: '0.85rem', color: '#2d3748' }} title={attachment.name}>
+        {attachment.name}
+      </div>
+      <div style={{ fontSize: '0.75rem', color: '#6c757d' }}>
+        {formatFileSize(attachment.size)}
+        {attachment.pending && <span style={{ marginLeft: '0.4rem', color: '#fd7e14', fontWeight: 600 }}>Waiting to sync</span>}
+      </div>
+      {onRemove && (
+        <button type="button" className="btn-delete" style={{ marginTop: '0.35rem' }} onClick={() => onRemove(attachment)}>
+          Remove
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Receipts attached to one expense, with camera capture and file upload. New receipts
+ * are kept on the device until they upload, so this works offline too. `onChanged`
+ * runs after receipts are added or removed so the list can refresh its counts.
+ */
+const ExpenseAttachments = ({ expense, readOnly = false, onClose, onChanged }) => {
+  const { showSuccess, showError } = useToast();
+  const { data: attachments = [], isLoading, isError } = useExpenseAttachmentsQuery(expense.id);
+  const addAttachments = useAddExpenseAttachmentsMutation();
+  const deleteAttachment = useDeleteExpenseAttachmentMutation();
+  const [pendingRemove, setPendingRemove] = useState(null);
+
+  const handleFiles = async (files) => {
+    try {
+      const { saved, synced } = await addAttachments.mutateAsync({ expenseId: expense.id, files });
+      const waiting = Math.max(0, saved - synced);
+      if (waiting) {
+        showSuccess(`${saved} receipt${saved === 1 ? '' : 's'} saved; ${waiting} will upload when the connection is back`);
+      } else {
+        showSuccess(`${saved} receipt${saved === 1 ? '' : 's'} attached`);
+      }
+      onChanged?.();
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || err.message || 'Failed to attach receipt');
+    }
+  };
+
+  const handleRemove = async () => {
+    try {
+      await deleteAttachment.mutateAsync({ expenseId: expense.id, attachment: pendingRemove });
+      showSuccess('Receipt removed');
+      setPendingRemove(null);
+      onChanged?.();
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to remove receipt');
+      return false;
+    }
+  };
+
+  return (
+    <div style={overlayStyle}>
+      <div style={modalStyle}>
+        <h2 style={{ marginTop: 0, marginBottom: '0.25rem' }}>Receipts</h2>
+        <div style={{ marginBottom: '1.25rem', color: '#6c757d' }}>{expense.description}</div>
+
+        {isLoading ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>Loading receipts...</div>
+        ) : isError ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: '#dc3545' }}>Couldn't load the receipts for this expense.</div>
+        ) : attachments.length === 0 ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>No receipts attached yet.</div>
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))', gap: '1rem' }}>
+            {attachments.map(attachment => (
+              <AttachmentTile
+                key={attachment.id}
+                expenseId={expense.id}
+                attachment={attachment}
+                onRemove={readOnly ? null : setPendingRemove}
+              />
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.75rem', marginTop: '1.5rem', flexWrap: 'wrap' }}>
+          {!readOnly ? (
+            <ReceiptPickerButtons onFiles={handleFiles} disabled={addAttachments.isPending} />
+          ) : <span />}
+          <button type="button" style={buttonStyle('#343a40')} onClick={onClose}>
+            Close
+          </button>
+        </div>
+        {addAttachments.isPending && (
+          <div style={{ marginTop: '0.5rem', fontSize: '0.85rem', color: '#6c757d' }}>Saving receipts...</div>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={!!pendingRemove}
+        onClose={() => setPendingRemove(null)}
+        onConfirm={handleRemove}
+        title="Remove Receipt"
+        message={`Remove ${pendingRemove?.name || 'this receipt'} from the expense?`}
+        confirmText="Remove"
+        confirmDisabled={deleteAttachment.isPending}
+        variant="danger"
+      />
+    </div>
+  );
+};
+
+export default ExpenseAttachments;
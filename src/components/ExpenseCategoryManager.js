@@ -0,0 +1,278 @@
+import React, { useState } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { useSaveExpenseCategoryMutation } from '../hooks/expenses';
+import { PAYMENT_METHOD_OPTIONS, findExpenseCategory } from '../constants/expenseCategories';
+import ConfirmationModal from './ConfirmationModal';
+import { FaPlus } from 'react-icons/fa';
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '1rem'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.35rem', fontWeight: 600, color: '#495057' };
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const overlayStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle = {
+  background: 'white',
+  padding: '2rem',
+  borderRadius: '12px',
+  maxWidth: '520px',
+  width: '90%',
+  maxHeight: '90vh',
+  overflowY: 'auto'
+};
+
+const paymentLabel = (value) => PAYMENT_METHOD_OPTIONS.find(o => o.value === value)?.label || '-';
+
+/**
+ * Admin list of expense categories (tree order from `useExpenseCategoriesQuery`) with
+ * add, edit, archive and restore. `categories` still holding the built-in list (no ids)
+ * means the server hasn't answered, so it is shown but can't be edited.
+ */
+const ExpenseCategoryManager = ({ categories, readOnly = false }) => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(null);
+  const [pendingArchive, setPendingArchive] = useState(null);
+  const saveCategory = useSaveExpenseCategoryMutation();
+  const editable = !readOnly && categories.every(c => c.id !== null);
+
+  const openForm = (category, parent) => setForm(category
+    ? {
+        id: category.id,
+        name: category.name,
+        parentId: category.parentId === null ? '' : String(category.parentId),
+        usesUnits: category.usesUnits,
+        defaultPaymentMethod: category.defaultPaymentMethod
+      }
+    : {
+        name: '',
+        parentId: parent ? String(parent.id) : '',
+        usesUnits: parent?.usesUnits || false,
+        defaultPaymentMethod: parent?.defaultPaymentMethod || ''
+      });
+
+  // A category can't be moved under itself or one of its own sub-categories
+  const editingPath = form?.id ? categories.find(c => c.id === form.id)?.path : null;
+  const parentOptions = categories.filter(c =>
+    !c.hidden && (!editingPath || (c.path !== editingPath && !c.path.startsWith(`${editingPath} / `))));
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const name = form.name.trim();
+    if (!name) {
+      showError('Enter the category name');
+      return;
+    }
+    const existing = findExpenseCategory(name, categories);
+    if (existing && existing.id !== form.id) {
+      showError(`${existing.name} already exists${existing.archived ? ' (archived)' : ''}`);
+      return;
+    }
+
+    const data = {
+      name,
+      parentId: form.parentId || null,
+      usesUnits: form.usesUnits,
+      defaultPaymentMethod: form.defaultPaymentMethod || null
+    };
+
+    try {
+      await saveCategory.mutateAsync({ id: form.id, data });
+      showSuccess(form.id ? 'Category updated' : 'Category added');
+      setForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save category');
+    }
+  };
+
+  const setArchived = async (category, archived) => {
+    try {
+      await saveCategory.mutateAsync({ id: category.id, data: { archived } });
+      showSuccess(`${category.name} ${archived ? 'archived' : 'restored'}`);
+      setPendingArchive(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || `Failed to ${archived ? 'archive' : 'restore'} category`);
+      return false;
+    }
+  };
+
+  return (
+    <>
+      {editable && (
+        <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '0.75rem' }}>
+          <button type="button" style={buttonStyle('var(--color-primary)')} onClick={() => openForm(null)}>
+            <FaPlus /> Add Category
+          </button>
+        </div>
+      )}
+      <div className="table-responsive">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Category</th>
+              <th style={{ textAlign: 'center' }}>Quantity & Unit</th>
+              <th>Default Payment</th>
+              {editable && <th style={{ textAlign: 'center' }}>Actions</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {categories.map(category => (
+              <tr key={category.id ?? category.name} style={{ opacity: category.hidden ? 0.55 : 1 }}>
+                <td style={{ paddingLeft: `${0.75 + category.depth * 1.5}rem`, fontWeight: category.depth === 0 ? 600 : 400, color: '#2d3748' }}>
+                  {category.depth > 0 && <span style={{ color: '#adb5bd' }}>└ </span>}
+                  {category.name}
+                  {category.archived && <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', color: '#6c757d' }}>(archived)</span>}
+                </td>
+                <td style={{ textAlign: 'center' }}>{category.usesUnits ? 'Yes' : '-'}</td>
+                <td>{paymentLabel(category.defaultPaymentMethod)}</td>
+                {editable && (
+                  <td className="table-actions-cell" style={{ textAlign: 'center' }}>
+                    <div className="table-action-buttons">
+                      <button type="button" className="btn-edit" onClick={() => openForm(category)}>
+                        Edit
+                      </button>
+                      {!category.hidden && (
+                        <button type="button" className="btn-edit" onClick={() => openForm(null, category)}>
+                          + Sub
+                        </button>
+                      )}
+                      {category.archived ? (
+                        <button
+                          type="button"
+                          className="btn-edit"
+                          onClick={() => setArchived(category, false)}
+                          disabled={saveCategory.isPending}
+                        >
+                          Restore
+                        </button>
+                      ) : (
+                        <button type="button" className="btn-delete" onClick={() => setPendingArchive(category)}>
+                          Archive
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      {!readOnly && !editable && (
+        <div style={{ marginTop: '0.5rem', fontSize: '0.85rem', color: '#6c757d' }}>
+          Showing the built-in categories. They can be edited once the server is reachable.
+        </div>
+      )}
+
+      {form && (
+        <div style={overlayStyle}>
+          <form style={modalStyle} onSubmit={handleSave}>
+            <h2 style={{ marginTop: 0 }}>{form.id ? 'Edit Category' : 'Add Category'}</h2>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Name</label>
+              <input
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. Packaging"
+                style={{ ...inputStyle, width: '100%' }}
+                autoFocus
+                required
+              />
+              {form.id && (
+                <div style={{ marginTop: '0.35rem', fontSize: '0.8rem', color: '#6c757d' }}>
+                  Renaming also renames it on existing expenses.
+                </div>
+              )}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Parent</label>
+                <select
+                  value={form.parentId}
+                  onChange={(e) => setForm(prev => ({ ...prev, parentId: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  <option value="">None (top level)</option>
+                  {parentOptions.map(c => (
+                    <option key={c.id} value={c.id}>{c.path}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Default Payment</label>
+                <select
+                  value={form.defaultPaymentMethod}
+                  onChange={(e) => setForm(prev => ({ ...prev, defaultPaymentMethod: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  <option value="">No default</option>
+                  {PAYMENT_METHOD_OPTIONS.map(o => (
+                    <option key={o.value} value={o.value}>{o.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+              <input
+                type="checkbox"
+                checked={form.usesUnits}
+                onChange={(e) => setForm(prev => ({ ...prev, usesUnits: e.target.checked }))}
+              />
+              Ask for quantity and unit (item purchases); otherwise a single amount
+            </label>
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', saveCategory.isPending)} disabled={saveCategory.isPending}>
+                {saveCategory.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingArchive}
+        onClose={() => setPendingArchive(null)}
+        onConfirm={() => setArchived(pendingArchive, true)}
+        title="Archive Category"
+        message={`Stop offering ${pendingArchive?.name || ''}${categories.some(c => pendingArchive && String(c.parentId) === String(pendingArchive.id)) ? ' and its sub-categories' : ''} for new expenses? Existing expenses keep their category.`}
+        confirmText="Archive"
+        confirmDisabled={saveCategory.isPending}
+        variant="warning"
+      />
+    </>
+  );
+};
+
+export default ExpenseCategoryManager;
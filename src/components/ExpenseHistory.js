@@ -6,7 +6,13 @@ import OfflineModal from './OfflineModal';
 import ConfirmationModal from './ConfirmationModal';
 import AppliedFiltersBanner from './AppliedFiltersBanner';
 import ScreenLoading from './ScreenLoading';
+import RecurringExpenses from './RecurringExpenses';
+import ExpenseCategoryManager from './ExpenseCategoryManager';
+import ExpenseAttachments, { ReceiptPickerButtons } from './ExpenseAttachments';
+import ExpenseTablePrint from './ExpenseTablePrint';
 import { getDateFilterBannerLabel, isCustomDateRangeApplied } from '../utils/dateFilterBanner';
+import { dateRangeFromFilter } from '../utils/dateRangeFromFilter';
+import { getBusinessSettings, getCurrencySymbol, getPdfFooterLines } from '../utils/businessSettings';
 import {
   readFilterSession,
   writeFilterSession,
@@ -15,7 +21,48 @@ import {
 } from '../utils/filterSessionPersistence';
 import dayjs from 'dayjs';
 import jsPDF from 'jspdf';
-import { EXPENSE_CATEGORIES, expenseCategoryUsesUnits, getExpenseCategoryOptions, isValidExpenseCategory } from '../constants/expenseCategories';
+import {
+  expenseCategoryUsesUnits,
+  findExpenseCategory,
+  getActiveCategoryNames,
+  getExpenseCategoryOptions,
+  isValidExpenseCategory
+} from '../constants/expenseCategories';
+import { useIngredientsQuery, useStockMovementMutation } from '../hooks/inventory';
+import { INVENTORY_PURCHASE_CATEGORY, buildPurchaseMovement, formatQuantity } from '../utils/inventory';
+import { useSuppliersQuery, useUnpaidExpensesQuery, useMarkExpensesPaidMutation } from '../hooks/suppliers';
+import {
+  AGING_BUCKETS,
+  getPaymentTerm,
+  getDueDate,
+  getExpenseSupplierId,
+  isExpenseUnpaid,
+  isOverdue,
+  buildPayablesReport
+} from '../utils/suppliers';
+import {
+  useExpenseBudgetsQuery,
+  useSaveExpenseBudgetsMutation,
+  useExpenseCategoriesQuery,
+  useAddExpenseAttachmentsMutation,
+  fetchExpenseAttachments,
+  fetchExpenseAttachmentBlob
+} from '../hooks/expenses';
+import { getAttachmentCount, isImageType, formatFileSize } from '../utils/receiptAttachments';
+import { getPendingExpenseAttachments } from '../utils/offlineDB';
+import {
+  EXPENSE_STATUSES,
+  getExpenseStatus,
+  isCountedExpense,
+  needsExpenseApproval,
+  canApproveExpenses,
+  getExpenseApprovalPolicy,
+  getSubmitStatus,
+  getStatusAfterEdit,
+  normalizeApprovalHistory
+} from '../utils/expenseApproval';
+import { isDraftExpense } from '../utils/recurringExpenses';
+import { BUDGET_STATUSES, buildBudgetReport } from '../utils/expenseBudgets';
 import { PieChart, Pie, Cell, ResponsiveContainer, Tooltip } from 'recharts';
 import {
   FaDollarSign,
@@ -23,13 +70,15 @@ import {
   FaUniversity,
   FaFilePdf,
   FaEdit,
-  FaTrash
+  FaTrash,
+  FaPaperclip,
+  FaPrint
 } from 'react-icons/fa';
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 const getExpenseDisplayDate = (expense) => {
@@ -53,6 +102,9 @@ const safeRatio = (numerator, denominator) => {
   return n / d;
 };
 
+const getLatestApprovalComment = (expense) =>
+  [...normalizeApprovalHistory(expense)].reverse().find(entry => entry.comment)?.comment || '';
+
 const PIE_COLORS = ['#2F80ED', '#27AE60', '#F2C94C', '#F2994A', '#EB5757', '#9B51E0', '#56CCF2', '#6FCF97'];
 
 const ExpenseHistory = ({ readOnly = false }) => {
@@ -109,8 +161,41 @@ const ExpenseHistory = ({ readOnly = false }) => {
     amount: '',
     category: '',
     payment_method: 'cash',
-    expense_date: new Date().toISOString().split('T')[0]
+    expense_date: new Date().toISOString().split('T')[0],
+    ingredient_id: '',
+    supplier_id: '',
+    unpaid: false
   });
+  const { categories } = useExpenseCategoriesQuery();
+  const { data: ingredients = [] } = useIngredientsQuery({ enabled: showAddForm && !readOnly });
+  const addStockMovement = useStockMovementMutation();
+
+  // Suppliers: filter, bills on credit and the payables report
+  const [supplierFilter, setSupplierFilter] = useState('');
+  const [payingRow, setPayingRow] = useState(null);
+  const [payMethod, setPayMethod] = useState('bank_transfer');
+  const { data: suppliers = [] } = useSuppliersQuery();
+  const { data: unpaidExpenses = [], refetch: refetchPayables } = useUnpaidExpensesQuery();
+  const markPaid = useMarkExpensesPaidMutation();
+  const suppliersById = useMemo(() => new Map(suppliers.map(s => [String(s.id), s])), [suppliers]);
+  const payables = useMemo(() => buildPayablesReport(unpaidExpenses, suppliers), [unpaidExpenses, suppliers]);
+  const totalPayable = payables.reduce((sum, row) => sum + row.total, 0);
+
+  // Monthly budgets per category, compared with spend for the selected period
+  const [budgetForm, setBudgetForm] = useState(null);
+  const { data: budgets = {} } = useExpenseBudgetsQuery();
+  const saveBudgets = useSaveExpenseBudgetsMutation();
+
+  // Receipt photos / PDFs: picked in the add form, viewed per expense, and in the printed table
+  const [newReceipts, setNewReceipts] = useState([]);
+  const [attachmentsExpense, setAttachmentsExpense] = useState(null);
+  const [printView, setPrintView] = useState(null);
+  const [preparingPrint, setPreparingPrint] = useState(false);
+  const addAttachments = useAddExpenseAttachmentsMutation();
+
+  // Expenses above the approval limit from users who can't approve them are submitted instead
+  const [newApprovalComment, setNewApprovalComment] = useState('');
+  const newExpenseNeedsApproval = needsExpenseApproval(newExpense.amount) && !canApproveExpenses();
 
   const fetchExpenses = useCallback(async () => {
     setLoading(true);
@@ -129,6 +214,8 @@ const ExpenseHistory = ({ readOnly = false }) => {
         params.endDate = endDate;
       }
 
+      if (supplierFilter) params.supplierId = supplierFilter;
+
       const response = await expensesAPI.getAll(params);
 
       // Backend/IPC may return:
@@ -142,8 +229,8 @@ const ExpenseHistory = ({ readOnly = false }) => {
         ? unwrapped
         : (unwrapped?.expenses || unwrapped?.data || []);
 
-      // Ensure we have an array before sorting
-      const expensesArray = Array.isArray(expensesData) ? expensesData : [];
+      // Ensure we have an array before sorting; recurring drafts are listed separately until approved
+      const expensesArray = (Array.isArray(expensesData) ? expensesData : []).filter(e => !isDraftExpense(e));
 
       // Sort expenses by date in descending order (newest first)
       const sortedExpenses = [...expensesArray].sort((a, b) => {
@@ -162,7 +249,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
         const expensesData = Array.isArray(unwrapped)
           ? unwrapped
           : (unwrapped?.expenses || unwrapped?.data || []);
-        const expensesArray = Array.isArray(expensesData) ? expensesData : [];
+        const expensesArray = (Array.isArray(expensesData) ? expensesData : []).filter(e => !isDraftExpense(e));
         setExpenses(expensesArray);
         setError('');
       } else if (err.response) {
@@ -183,7 +270,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
       setLoading(false);
       hasLoadedExpensesOnceRef.current = true;
     }
-  }, [dateFilter, startDate, endDate]);
+  }, [dateFilter, startDate, endDate, supplierFilter]);
 
   const fetchRevenueForRange = useCallback(async () => {
     setRevenueLoading(true);
@@ -273,6 +360,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
           await expensesAPI.delete(id);
           showSuccess('Expense deleted successfully!');
           fetchExpenses();
+          refetchPayables();
         } catch (error) {
           console.error('Error deleting expense:', error);
           showError(error.formattedMessage || error.response?.data?.error || 'Failed to delete expense. Please try again.');
@@ -282,16 +370,20 @@ const ExpenseHistory = ({ readOnly = false }) => {
     });
   };
 
-  // Calculate stats
-  const totalExpenses = expenses.reduce((total, expense) => total + getExpenseAmount(expense), 0);
-  const cashExpenses = expenses.filter(e => (e.paymentMethod || e.payment_method) === 'cash').reduce((total, expense) => total + parseFloat(expense.amount || 0), 0);
-  const bankExpenses = expenses.filter(e => (e.paymentMethod || e.payment_method) === 'bank_transfer').reduce((total, expense) => total + parseFloat(expense.amount || 0), 0);
-  const expenseCount = expenses.length;
+  // Calculate stats; expenses awaiting approval (or rejected) are listed but not counted
+  const countedExpenses = expenses.filter(isCountedExpense);
+  const unapprovedExpenses = expenses.filter(e => !isCountedExpense(e));
+  const unapprovedTotal = unapprovedExpenses.reduce((total, expense) => total + getExpenseAmount(expense), 0);
+  const awaitingApprovalCount = unapprovedExpenses.filter(e => getExpenseStatus(e) === 'submitted').length;
+  const totalExpenses = countedExpenses.reduce((total, expense) => total + getExpenseAmount(expense), 0);
+  const cashExpenses = countedExpenses.filter(e => (e.paymentMethod || e.payment_method) === 'cash').reduce((total, expense) => total + parseFloat(expense.amount || 0), 0);
+  const bankExpenses = countedExpenses.filter(e => (e.paymentMethod || e.payment_method) === 'bank_transfer').reduce((total, expense) => total + parseFloat(expense.amount || 0), 0);
+  const expenseCount = countedExpenses.length;
   const averageExpense = expenseCount > 0 ? totalExpenses / expenseCount : 0;
   const expenseVsRevenue = safeRatio(totalExpenses, revenueTotal);
 
   // Group by category
-  const categoryBreakdown = expenses.reduce((acc, expense) => {
+  const categoryBreakdown = countedExpenses.reduce((acc, expense) => {
     const category = expense.category || 'Uncategorized';
     if (!acc[category]) {
       acc[category] = { count: 0, total: 0 };
@@ -305,8 +397,22 @@ const ExpenseHistory = ({ readOnly = false }) => {
     .map(([name, data]) => ({ name, value: data.total }))
     .sort((a, b) => b.value - a.value);
 
+  // Budgets are pro-rated to the same range the expenses were fetched for
+  const budgetRange = (startDate && endDate)
+    ? { startDate, endDate }
+    : (dateRangeFromFilter(dateFilter) || { startDate: dayjs().format('YYYY-MM-DD'), endDate: dayjs().format('YYYY-MM-DD') });
+  const budgetReport = buildBudgetReport(
+    Object.fromEntries(Object.entries(categoryBreakdown).map(([name, data]) => [name, data.total])),
+    budgets,
+    budgetRange.startDate,
+    budgetRange.endDate
+  );
+  const budgetedRows = budgetReport.filter(row => row.budget > 0);
+  const totalBudget = budgetedRows.reduce((sum, row) => sum + row.budget, 0);
+  const totalBudgetedActual = budgetedRows.reduce((sum, row) => sum + row.actual, 0);
+
   const normalizeExpenseForCategory = (expenseDraft) => {
-    const nextUsesUnits = expenseCategoryUsesUnits(expenseDraft.category);
+    const nextUsesUnits = expenseCategoryUsesUnits(expenseDraft.category, categories);
     const updated = { ...expenseDraft };
 
     if (!nextUsesUnits) {
@@ -326,28 +432,65 @@ const ExpenseHistory = ({ readOnly = false }) => {
     return updated;
   };
 
-  const newUsesUnits = expenseCategoryUsesUnits(newExpense.category);
-  const editUsesUnits = expenseCategoryUsesUnits(editCategory);
+  const newUsesUnits = expenseCategoryUsesUnits(newExpense.category, categories);
+  const editUsesUnits = expenseCategoryUsesUnits(editCategory, categories);
 
   const handleNewExpenseQuantityOrPrice = (field, value) => {
     const updatedExpense = normalizeExpenseForCategory({ ...newExpense, [field]: value });
     setNewExpense(updatedExpense);
   };
 
+  // A category's default payment method is filled in; the user can still change it
   const handleNewExpenseCategoryChange = (value) => {
-    setNewExpense(normalizeExpenseForCategory({ ...newExpense, category: value }));
+    setNewExpense(normalizeExpenseForCategory({
+      ...newExpense,
+      category: value,
+      payment_method: findExpenseCategory(value, categories)?.defaultPaymentMethod || newExpense.payment_method,
+      ingredient_id: value === INVENTORY_PURCHASE_CATEGORY ? newExpense.ingredient_id : ''
+    }));
+  };
+
+  // Picking a stock item defaults the unit to the one it is stocked in
+  const handleNewExpenseIngredientChange = (value) => {
+    const ingredient = ingredients.find(i => String(i.id) === String(value));
+    setNewExpense(normalizeExpenseForCategory({
+      ...newExpense,
+      ingredient_id: value,
+      unit: ingredient ? ingredient.unit : newExpense.unit,
+      description: newExpense.description || ingredient?.name || ''
+    }));
+  };
+
+  // Suppliers on credit terms are owed until the bill is marked paid in the payables report
+  const handleNewExpenseSupplierChange = (value) => {
+    const supplier = suppliersById.get(String(value));
+    setNewExpense({
+      ...newExpense,
+      supplier_id: value,
+      unpaid: !!supplier && getPaymentTerm(supplier.paymentTerms).days > 0
+    });
   };
 
+  const newExpenseSupplier = suppliersById.get(String(newExpense.supplier_id)) || null;
+
+  const stockIngredient = newExpense.category === INVENTORY_PURCHASE_CATEGORY
+    ? ingredients.find(i => String(i.id) === String(newExpense.ingredient_id)) || null
+    : null;
+
   const handleAddExpense = async (e) => {
     e.preventDefault();
     if (!newExpense.description.trim() || !newExpense.amount) {
       showError('Please fill in all required fields');
       return;
     }
-    if (!isValidExpenseCategory(newExpense.category)) {
+    if (!isValidExpenseCategory(newExpense.category, categories)) {
       showError('Please select a valid expense category');
       return;
     }
+    if (stockIngredient && !buildPurchaseMovement(stockIngredient, { quantity: newExpense.quantity, unit: newExpense.unit, unitPrice: newExpense.unit_price })) {
+      showError(`${stockIngredient.name} is stocked in ${stockIngredient.unit}; ${newExpense.unit} can't be converted to it`);
+      return;
+    }
 
     try {
       const normalized = normalizeExpenseForCategory(newExpense);
@@ -360,11 +503,49 @@ const ExpenseHistory = ({ readOnly = false }) => {
         quantity: parseFloat(normalized.quantity) || 1,
         unit: normalized.unit || 'PCS',
         unitPrice: normalized.unit_price ? parseFloat(normalized.unit_price) : undefined, // Convert to camelCase
-        expenseDate: normalized.expense_date ? new Date(normalized.expense_date).toISOString() : undefined // Convert to camelCase and ISO format
+        expenseDate: normalized.expense_date ? new Date(normalized.expense_date).toISOString() : undefined, // Convert to camelCase and ISO format
+        ...(newExpenseSupplier ? {
+          supplierId: newExpenseSupplier.id,
+          paymentStatus: normalized.unpaid ? 'unpaid' : 'paid',
+          dueDate: getDueDate(newExpenseSupplier, normalized.expense_date || new Date()).toISOString()
+        } : {}),
+        status: getSubmitStatus(normalized.amount)
       };
+      if (payload.status === 'submitted' && newApprovalComment.trim()) {
+        payload.approvalComment = newApprovalComment.trim();
+      }
 
-      await expensesAPI.create(payload);
-      showSuccess('Expense added successfully!');
+      const res = await expensesAPI.create(payload);
+      const created = res.data?.data ?? res.data;
+      if (stockIngredient) {
+        const movement = buildPurchaseMovement(stockIngredient, {
+          quantity: normalized.quantity,
+          unit: normalized.unit,
+          unitPrice: normalized.unit_price,
+          expenseId: created?.id ?? null,
+          note: payload.description
+        });
+        try {
+          await addStockMovement.mutateAsync(movement);
+          showSuccess(`Expense added and ${formatQuantity(movement.quantity, stockIngredient.unit)} ${stockIngredient.name} booked into stock`);
+        } catch (stockErr) {
+          showError(`Expense added, but the stock wasn't updated: ${stockErr.formattedMessage || stockErr.response?.data?.error || 'try Receive on the Inventory screen'}`);
+        }
+      } else {
+        showSuccess(payload.status === 'submitted' ? 'Expense submitted for approval' : 'Expense added successfully!');
+      }
+      if (newReceipts.length && created?.id != null) {
+        try {
+          const { saved, synced } = await addAttachments.mutateAsync({ expenseId: created.id, files: newReceipts });
+          if (synced < saved) {
+            showSuccess(`${saved - synced} receipt${saved - synced === 1 ? '' : 's'} will upload when the connection is back`);
+          }
+        } catch (receiptErr) {
+          showError(`Expense added, but the receipts weren't saved: ${receiptErr.formattedMessage || receiptErr.response?.data?.error || receiptErr.message}`);
+        }
+      }
+      setNewReceipts([]);
+      setNewApprovalComment('');
       setNewExpense({
         description: '',
         quantity: '1',
@@ -373,10 +554,14 @@ const ExpenseHistory = ({ readOnly = false }) => {
         amount: '',
         category: '',
         payment_method: 'cash',
-        expense_date: new Date().toISOString().split('T')[0]
+        expense_date: new Date().toISOString().split('T')[0],
+        ingredient_id: '',
+        supplier_id: '',
+        unpaid: false
       });
       setShowAddForm(false);
       await fetchExpenses();
+      if (newExpenseSupplier) refetchPayables();
     } catch (error) {
       console.error('Error adding expense:', error);
       const errorMsg = error.formattedMessage || error.response?.data?.error || 'Failed to add expense. Please try again.';
@@ -393,11 +578,81 @@ const ExpenseHistory = ({ readOnly = false }) => {
       amount: '',
       category: '',
       payment_method: 'cash',
-      expense_date: new Date().toISOString().split('T')[0]
+      expense_date: new Date().toISOString().split('T')[0],
+      ingredient_id: '',
+      supplier_id: '',
+      unpaid: false
     });
+    setNewReceipts([]);
+    setNewApprovalComment('');
     setShowAddForm(false);
   };
 
+  const openBudgetForm = () => {
+    const names = [...new Set([...getActiveCategoryNames(categories), ...Object.keys(budgets)])];
+    setBudgetForm(Object.fromEntries(names.map(cat => [cat, budgets[cat] ? String(budgets[cat]) : ''])));
+  };
+
+  const handleSaveBudgets = async () => {
+    const next = Object.fromEntries(
+      Object.entries(budgetForm).map(([cat, value]) => [cat, Math.max(0, parseFloat(value) || 0)])
+    );
+    try {
+      await saveBudgets.mutateAsync(next);
+      showSuccess('Budgets saved');
+      setBudgetForm(null);
+    } catch (error) {
+      showError(error.formattedMessage || error.response?.data?.error || 'Failed to save budgets');
+      return false;
+    }
+  };
+
+  const handleMarkPaid = async () => {
+    try {
+      await markPaid.mutateAsync({ ids: payingRow.expenses.map(e => e.id), paymentMethod: payMethod });
+      showSuccess(`${payingRow.name}: ${payingRow.count} bill${payingRow.count === 1 ? '' : 's'} marked paid`);
+      setPayingRow(null);
+      fetchExpenses();
+    } catch (error) {
+      showError(error.formattedMessage || error.response?.data?.error || 'Failed to mark bills paid');
+      return false;
+    }
+  };
+
+  // Loads every receipt on the listed expenses (uploaded or still on this device) for the print view
+  const openPrintView = async () => {
+    setPreparingPrint(true);
+    const urls = [];
+    try {
+      const pendingIds = new Set((await getPendingExpenseAttachments()).map(a => String(a.expenseId)));
+      const attachments = {};
+      for (const expense of expenses) {
+        if (!getAttachmentCount(expense) && !pendingIds.has(String(expense.id))) continue;
+        const list = await fetchExpenseAttachments(expense.id);
+        attachments[expense.id] = [];
+        for (const attachment of list) {
+          let src = null;
+          if (isImageType(attachment.type)) {
+            src = URL.createObjectURL(await fetchExpenseAttachmentBlob(expense.id, attachment));
+            urls.push(src);
+          }
+          attachments[expense.id].push({ id: attachment.id, name: attachment.name, type: attachment.type, src });
+        }
+      }
+      setPrintView({ attachments, urls });
+    } catch (err) {
+      urls.forEach(url => URL.revokeObjectURL(url));
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to load receipts for printing');
+    } finally {
+      setPreparingPrint(false);
+    }
+  };
+
+  const closePrintView = () => {
+    printView?.urls.forEach(url => URL.revokeObjectURL(url));
+    setPrintView(null);
+  };
+
   // Export PDF function
   const handleExportPDF = () => {
     try {
@@ -424,7 +679,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
 
       doc.setFontSize(12);
       doc.setFont('helvetica', 'normal');
-      doc.text('Flamex', pageWidth / 2, yPosition, { align: 'center' });
+      doc.text(getBusinessSettings().name, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += lineHeight * 2;
 
       // Date Range
@@ -437,6 +692,10 @@ const ExpenseHistory = ({ readOnly = false }) => {
       }
       doc.text(filterText, margin, yPosition);
       yPosition += lineHeight;
+      if (supplierFilter) {
+        doc.text(`Supplier: ${suppliersById.get(String(supplierFilter))?.name || supplierFilter}`, margin, yPosition);
+        yPosition += lineHeight;
+      }
       doc.text(`Generated: ${dayjs().format('MMMM D, YYYY h:mm A')}`, margin, yPosition);
       yPosition += sectionSpacing * 2;
 
@@ -462,7 +721,12 @@ const ExpenseHistory = ({ readOnly = false }) => {
       doc.text(`Cash Expenses: ${formatCurrency(cashExpenses)}`, margin, yPosition);
       yPosition += lineHeight;
       doc.text(`Bank Expenses: ${formatCurrency(bankExpenses)}`, margin, yPosition);
-      yPosition += sectionSpacing * 2;
+      yPosition += lineHeight;
+      if (unapprovedExpenses.length > 0) {
+        doc.text(`Not approved (not in totals): ${unapprovedExpenses.length} - ${formatCurrency(unapprovedTotal)}`, margin, yPosition);
+        yPosition += lineHeight;
+      }
+      yPosition += sectionSpacing;
 
       // Category Breakdown
       if (Object.keys(categoryBreakdown).length > 0) {
@@ -486,6 +750,29 @@ const ExpenseHistory = ({ readOnly = false }) => {
         yPosition += sectionSpacing * 2;
       }
 
+      // Budget vs Actual
+      if (budgetedRows.length > 0) {
+        checkPageBreak(30);
+        doc.setLineWidth(0.5);
+        doc.line(margin, yPosition, pageWidth - margin, yPosition);
+        yPosition += sectionSpacing;
+
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.text('BUDGET VS ACTUAL', margin, yPosition);
+        yPosition += lineHeight * 1.5;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        budgetedRows.forEach(row => {
+          checkPageBreak(15);
+          const variance = row.variance >= 0 ? `${formatCurrency(row.variance)} under` : `${formatCurrency(-row.variance)} over`;
+          doc.text(`${row.category}: ${formatCurrency(row.actual)} of ${formatCurrency(row.budget)} (${variance})`, margin + 5, yPosition);
+          yPosition += lineHeight;
+        });
+        yPosition += sectionSpacing * 2;
+      }
+
       // Expenses List
       checkPageBreak(30);
       doc.setLineWidth(0.5);
@@ -528,7 +815,8 @@ const ExpenseHistory = ({ readOnly = false }) => {
             yPosition += lineHeight;
           }
           doc.setFont('helvetica', 'bold');
-          doc.text(`Amount: ${formatCurrency(expense.amount)} (${expense.payment_method === 'cash' ? 'Cash' : 'Bank Transfer'})`, margin + 5, yPosition);
+          const statusNote = isCountedExpense(expense) ? '' : ` - ${EXPENSE_STATUSES[getExpenseStatus(expense)].label}`;
+          doc.text(`Amount: ${formatCurrency(expense.amount)} (${expense.payment_method === 'cash' ? 'Cash' : 'Bank Transfer'})${statusNote}`, margin + 5, yPosition);
           yPosition += sectionSpacing;
 
           if (index < expenses.length - 1) {
@@ -547,10 +835,10 @@ const ExpenseHistory = ({ readOnly = false }) => {
 
       doc.setFontSize(9);
       doc.setFont('helvetica', 'normal');
-      doc.text('Easypaisa: 03307072222', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
-      doc.text('Abdullah Saleem', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
+      getPdfFooterLines().forEach(line => {
+        doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += lineHeight;
+      });
       doc.setFont('helvetica', 'bold');
       doc.text('THANK YOU!', pageWidth / 2, yPosition, { align: 'center' });
 
@@ -626,7 +914,10 @@ const ExpenseHistory = ({ readOnly = false }) => {
       showError('Please fill in description and amount');
       return;
     }
-    if (!isValidExpenseCategory(editCategory)) {
+    // A legacy category the expense already had can be kept; it just can't be picked anew
+    const original = expenses.find(e => e.id === expenseId);
+    const originalCategory = original?.category || '';
+    if (editCategory !== originalCategory && !isValidExpenseCategory(editCategory, categories)) {
       showError('Please select a valid expense category');
       return;
     }
@@ -649,9 +940,12 @@ const ExpenseHistory = ({ readOnly = false }) => {
         unit: normalized.unit || 'PCS',
         unitPrice: normalized.unit_price ? parseFloat(normalized.unit_price) : undefined // Convert to camelCase
       };
+      // Non-approvers raising an expense over the limit, or fixing a rejected one, send it back for approval
+      const status = getStatusAfterEdit(original, payload.amount);
+      if (status !== getExpenseStatus(original)) payload.status = status;
 
       await expensesAPI.update(expenseId, payload);
-      showSuccess('Expense updated successfully!');
+      showSuccess(payload.status === 'submitted' ? 'Expense updated and submitted for approval' : 'Expense updated successfully!');
       setEditingExpenseId(null);
       setEditDescription('');
       setEditQuantity('');
@@ -717,13 +1011,9 @@ const ExpenseHistory = ({ readOnly = false }) => {
         }}>
           <summary style={{ cursor: 'pointer', fontWeight: 700, color: '#2d3748' }}>Expense Categories</summary>
           <div style={{ marginTop: '0.75rem', color: '#495057' }}>
-            <ul style={{ margin: 0, paddingLeft: '1.25rem', lineHeight: 1.7 }}>
-              {EXPENSE_CATEGORIES.map((cat) => (
-                <li key={cat}>{cat}</li>
-              ))}
-            </ul>
+            <ExpenseCategoryManager categories={categories} readOnly={readOnly} />
             <div style={{ marginTop: '0.5rem', fontSize: '0.9rem', color: '#6c757d' }}>
-              Tip: Record salary payments as expenses under <strong>Staff salaries</strong> on the date they are paid.
+              Tip: Monthly salaries are posted here under <strong>Staff salaries</strong> by the payroll run in the Attendance tab.
             </div>
           </div>
         </details>
@@ -752,6 +1042,22 @@ const ExpenseHistory = ({ readOnly = false }) => {
             }
           }
         `}</style>
+        {unapprovedExpenses.length > 0 && (
+          <div style={{
+            background: '#fff8e1',
+            border: '1px solid #ffe08a',
+            color: '#8a6d00',
+            padding: '0.75rem 1rem',
+            borderRadius: '8px',
+            marginBottom: '1rem'
+          }}>
+            {unapprovedExpenses.length} expense{unapprovedExpenses.length === 1 ? '' : 's'} ({formatCurrency(unapprovedTotal)})
+            {awaitingApprovalCount > 0 && unapprovedExpenses.length > awaitingApprovalCount
+              ? `, ${awaitingApprovalCount} awaiting approval and ${unapprovedExpenses.length - awaitingApprovalCount} rejected,`
+              : awaitingApprovalCount > 0 ? ' awaiting approval' : ' rejected'}
+            {' '}are listed below but left out of these totals and the expense vs revenue figure.
+          </div>
+        )}
         <div className="summary-cards-grid">
           {/* Total Expenses */}
           <div style={{
@@ -805,6 +1111,11 @@ const ExpenseHistory = ({ readOnly = false }) => {
             </div>
             <div style={{ fontSize: '0.95rem', opacity: 0.9 }}>
               Revenue: {revenueLoading ? 'Loading...' : formatCurrency(revenueTotal)}
+              {unapprovedTotal > 0 && (
+                <div style={{ fontSize: '0.8rem', marginTop: '0.2rem' }}>
+                  Excludes {formatCurrency(unapprovedTotal)} not yet approved
+                </div>
+              )}
             </div>
           </div>
 
@@ -822,7 +1133,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
           }}>
             <div style={{ fontSize: '0.9rem', opacity: 0.9, display: 'flex', alignItems: 'center', gap: '0.5rem' }}><FaMoneyBillWave /> Cash Expenses</div>
             <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>
-              {expenses.filter(e => (e.paymentMethod || e.payment_method) === 'cash').length}
+              {countedExpenses.filter(e => (e.paymentMethod || e.payment_method) === 'cash').length}
             </div>
             <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>{formatCurrency(cashExpenses)}</div>
           </div>
@@ -841,7 +1152,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
           }}>
             <div style={{ fontSize: '0.9rem', opacity: 0.9, display: 'flex', alignItems: 'center', gap: '0.5rem' }}><FaUniversity /> Bank Expenses</div>
             <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>
-              {expenses.filter(e => (e.paymentMethod || e.payment_method) === 'bank_transfer').length}
+              {countedExpenses.filter(e => (e.paymentMethod || e.payment_method) === 'bank_transfer').length}
             </div>
             <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>{formatCurrency(bankExpenses)}</div>
           </div>
@@ -859,7 +1170,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
             <h3 style={{ margin: 0, color: '#2d3748', fontSize: '1.2rem', fontWeight: '700' }}>Expense by Category</h3>
             <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>Top categories for the selected period.</div>
           </div>
-          <div style={{ display: 'grid', gridTemplateColumns: 'minmax(280px, 1fr) minmax(280px, 1fr)', gap: '1.5rem', marginTop: '1rem' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '1.5rem', marginTop: '1rem' }}>
             <div style={{ height: '260px' }}>
               {categoryChartData.length === 0 ? (
                 <div style={{ height: '100%', display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#6c757d' }}>
@@ -907,9 +1218,133 @@ const ExpenseHistory = ({ readOnly = false }) => {
                 })}
               </div>
             </div>
+            <div>
+              <div style={{ border: '1px solid #eef2f7', borderRadius: '10px', overflow: 'hidden' }}>
+                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.5rem', padding: '0.75rem 1rem', background: '#f8fafc', fontWeight: 700, color: '#334155' }}>
+                  <span>Budget vs Actual</span>
+                  {!readOnly && (
+                    <button type="button" className="btn-edit" onClick={openBudgetForm}>
+                      Set Budgets
+                    </button>
+                  )}
+                </div>
+                {budgetedRows.length === 0 ? (
+                  <div style={{ padding: '1rem', color: '#6c757d', fontSize: '0.9rem' }}>
+                    No monthly budgets set yet.
+                  </div>
+                ) : (
+                  <>
+                    {budgetReport.map(row => {
+                      const status = BUDGET_STATUSES[row.status];
+                      return (
+                        <div key={row.category} style={{ padding: '0.6rem 1rem', borderTop: '1px solid #eef2f7', background: row.status === 'over' ? '#fff5f5' : 'white' }}>
+                          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '0.5rem', fontSize: '0.9rem' }}>
+                            <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: '#334155' }}>{row.category}</span>
+                            <span style={{ fontWeight: 700, color: '#0f172a', whiteSpace: 'nowrap' }}>
+                              {formatCurrency(row.actual)}{row.budget > 0 && <span style={{ fontWeight: 400, color: '#64748b' }}> / {formatCurrency(row.budget)}</span>}
+                            </span>
+                          </div>
+                          {row.budget > 0 && (
+                            <div style={{ height: 6, borderRadius: 9999, background: '#eef2f7', marginTop: '0.35rem', overflow: 'hidden' }}>
+                              <div style={{ width: `${Math.min(100, row.percentUsed)}%`, height: '100%', background: status.color }} />
+                            </div>
+                          )}
+                          <div style={{ fontSize: '0.8rem', color: status.color, marginTop: '0.25rem', fontWeight: 600 }}>
+                            {row.budget > 0
+                              ? `${status.label} · ${row.variance >= 0 ? `${formatCurrency(row.variance)} left` : `${formatCurrency(-row.variance)} over`} (${row.percentUsed}%)`
+                              : status.label}
+                          </div>
+                        </div>
+                      );
+                    })}
+                    <div style={{ display: 'flex', justifyContent: 'space-between', padding: '0.75rem 1rem', borderTop: '1px solid #eef2f7', fontWeight: 700, color: totalBudgetedActual > totalBudget ? '#dc3545' : '#0f172a' }}>
+                      <span>Budgeted total</span>
+                      <span>{formatCurrency(totalBudgetedActual)} / {formatCurrency(totalBudget)}</span>
+                    </div>
+                  </>
+                )}
+              </div>
+              <div style={{ marginTop: '0.5rem', color: '#6c757d', fontSize: '0.8rem' }}>
+                Monthly budgets, pro-rated to {dayjs(budgetRange.startDate).format('MMM D')} - {dayjs(budgetRange.endDate).format('MMM D, YYYY')}.
+              </div>
+            </div>
           </div>
         </div>
 
+        {/* Supplier payables — every unpaid bill, whatever the date filter */}
+        {payables.length > 0 && (
+          <div style={{
+            background: 'white',
+            padding: '1.5rem',
+            borderRadius: '12px',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+            marginBottom: '2rem'
+          }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '1rem', flexWrap: 'wrap' }}>
+              <h3 style={{ margin: 0, color: '#2d3748', fontSize: '1.2rem', fontWeight: '700' }}>Supplier Payables</h3>
+              <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>
+                Unpaid bills by how far past due they are. Total owed: <strong style={{ color: '#dc3545' }}>{formatCurrency(totalPayable)}</strong>
+              </div>
+            </div>
+            <div className="table-responsive" style={{ marginTop: '1rem' }}>
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Supplier</th>
+                    <th style={{ textAlign: 'center' }}>Bills</th>
+                    {AGING_BUCKETS.map(b => (
+                      <th key={b.key} style={{ textAlign: 'right' }}>{b.key === 'current' ? b.label : `Overdue ${b.label}`}</th>
+                    ))}
+                    <th style={{ textAlign: 'right' }}>Total</th>
+                    {!readOnly && <th style={{ textAlign: 'center' }}>Actions</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {payables.map(row => (
+                    <tr key={String(row.supplierId ?? 'none')}>
+                      <td style={{ fontWeight: '600', color: '#2d3748' }}>{row.name}</td>
+                      <td style={{ textAlign: 'center' }}>{row.count}</td>
+                      {AGING_BUCKETS.map(b => (
+                        <td key={b.key} style={{ textAlign: 'right', color: b.key !== 'current' && row[b.key] > 0 ? '#dc3545' : '#495057' }}>
+                          {row[b.key] > 0 ? formatCurrency(row[b.key]) : '-'}
+                        </td>
+                      ))}
+                      <td style={{ textAlign: 'right', fontWeight: '700', color: '#2d3748' }}>{formatCurrency(row.total)}</td>
+                      {!readOnly && (
+                        <td className="table-actions-cell" style={{ textAlign: 'center' }}>
+                          <div className="table-action-buttons">
+                            {row.supplierId !== null && (
+                              <button type="button" className="btn-edit" onClick={() => setSupplierFilter(String(row.supplierId))}>
+                                View
+                              </button>
+                            )}
+                            <button type="button" className="btn-edit" onClick={() => setPayingRow(row)}>
+                              Mark Paid
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr style={{ background: '#f8f9fa', fontWeight: 'bold' }}>
+                    <td>TOTAL</td>
+                    <td style={{ textAlign: 'center' }}>{payables.reduce((sum, row) => sum + row.count, 0)}</td>
+                    {AGING_BUCKETS.map(b => (
+                      <td key={b.key} style={{ textAlign: 'right' }}>{formatCurrency(payables.reduce((sum, row) => sum + row[b.key], 0))}</td>
+                    ))}
+                    <td style={{ textAlign: 'right' }}>{formatCurrency(totalPayable)}</td>
+                    {!readOnly && <td></td>}
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          </div>
+        )}
+
+        <RecurringExpenses readOnly={readOnly} onPosted={fetchExpenses} />
+
         {/* Date Filters */}
         <div style={{
           background: 'white',
@@ -1011,8 +1446,8 @@ const ExpenseHistory = ({ readOnly = false }) => {
             )}
 
             <AppliedFiltersBanner
-              items={
-                isCustomDateRangeApplied(dateFilter, startDate, endDate)
+              items={[
+                ...(isCustomDateRangeApplied(dateFilter, startDate, endDate)
                   ? [
                       {
                         id: 'date',
@@ -1020,10 +1455,41 @@ const ExpenseHistory = ({ readOnly = false }) => {
                         onRemove: clearAppliedCustomRange
                       }
                     ]
-                  : []
-              }
+                  : []),
+                ...(supplierFilter
+                  ? [
+                      {
+                        id: 'supplier',
+                        label: `Supplier: ${suppliersById.get(String(supplierFilter))?.name || supplierFilter}`,
+                        onRemove: () => setSupplierFilter('')
+                      }
+                    ]
+                  : [])
+              ]}
             />
 
+            {suppliers.length > 0 && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '1rem' }}>
+                <label style={{ fontSize: '0.85rem', fontWeight: '600', color: '#495057' }}>Supplier:</label>
+                <select
+                  value={supplierFilter}
+                  onChange={(e) => setSupplierFilter(e.target.value)}
+                  style={{
+                    padding: '0.5rem',
+                    borderRadius: '8px',
+                    border: `2px solid ${supplierFilter ? 'var(--color-primary)' : '#e2e8f0'}`,
+                    fontSize: '0.9rem',
+                    background: 'white'
+                  }}
+                >
+                  <option value="">All suppliers</option>
+                  {suppliers.map(s => (
+                    <option key={s.id} value={s.id}>{s.name}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+
             {/* Export PDF Button */}
             <div style={{ display: 'flex', gap: '0.5rem', marginTop: '1rem' }}>
               <button
@@ -1044,6 +1510,24 @@ const ExpenseHistory = ({ readOnly = false }) => {
               >
                 <FaFilePdf style={{ marginRight: '0.5rem' }} /> Export PDF ({expenses.length} expenses)
               </button>
+              <button
+                type="button"
+                onClick={openPrintView}
+                disabled={expenses.length === 0 || preparingPrint}
+                style={{
+                  padding: '0.5rem 1rem',
+                  border: '2px solid #343a40',
+                  borderRadius: '8px',
+                  background: expenses.length === 0 || preparingPrint ? '#6c757d' : '#343a40',
+                  color: 'white',
+                  fontWeight: '600',
+                  cursor: expenses.length === 0 || preparingPrint ? 'not-allowed' : 'pointer',
+                  fontSize: '0.9rem',
+                  opacity: expenses.length === 0 ? 0.5 : 1
+                }}
+              >
+                <FaPrint style={{ marginRight: '0.5rem' }} /> {preparingPrint ? 'Loading receipts...' : 'Print with Receipts'}
+              </button>
             </div>
           </div>
         </div>
@@ -1132,11 +1616,33 @@ const ExpenseHistory = ({ readOnly = false }) => {
                     }}
                   >
                     <option value="">Select Category</option>
-                    {EXPENSE_CATEGORIES.map((cat) => (
-                      <option key={cat} value={cat}>{cat}</option>
+                    {getExpenseCategoryOptions('', categories).map((opt) => (
+                      <option key={opt.value} value={opt.value}>{opt.label}</option>
                     ))}
                   </select>
                 </div>
+                {newExpense.category === INVENTORY_PURCHASE_CATEGORY && ingredients.length > 0 && (
+                  <div className="form-group">
+                    <label>Add to Stock:</label>
+                    <select
+                      value={newExpense.ingredient_id}
+                      onChange={(e) => handleNewExpenseIngredientChange(e.target.value)}
+                      style={{
+                        width: '100%',
+                        padding: '0.75rem',
+                        border: '2px solid #e2e8f0',
+                        borderRadius: '8px',
+                        fontSize: '1rem',
+                        background: 'white'
+                      }}
+                    >
+                      <option value="">Don't add to stock</option>
+                      {ingredients.filter(i => i.active).map(i => (
+                        <option key={i.id} value={i.id}>{i.name} ({i.unit})</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
                 {newUsesUnits && (
                   <>
                     <div className="form-group">
@@ -1261,6 +1767,84 @@ const ExpenseHistory = ({ readOnly = false }) => {
                     <option value="bank_transfer">Bank Transfer</option>
                   </select>
                 </div>
+                {suppliers.length > 0 && (
+                  <div className="form-group">
+                    <label>Supplier:</label>
+                    <select
+                      value={newExpense.supplier_id}
+                      onChange={(e) => handleNewExpenseSupplierChange(e.target.value)}
+                      style={{
+                        width: '100%',
+                        padding: '0.75rem',
+                        border: '2px solid #e2e8f0',
+                        borderRadius: '8px',
+                        fontSize: '1rem',
+                        background: 'white'
+                      }}
+                    >
+                      <option value="">No supplier</option>
+                      {suppliers.filter(s => s.active || String(s.id) === String(newExpense.supplier_id)).map(s => (
+                        <option key={s.id} value={s.id}>{s.name}</option>
+                      ))}
+                    </select>
+                    {newExpenseSupplier && (
+                      <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginTop: '0.5rem', fontWeight: 'normal' }}>
+                        <input
+                          type="checkbox"
+                          checked={newExpense.unpaid}
+                          onChange={(e) => setNewExpense({ ...newExpense, unpaid: e.target.checked })}
+                        />
+                        Not paid yet - due {getDueDate(newExpenseSupplier, newExpense.expense_date || new Date()).format('MMM D, YYYY')} ({getPaymentTerm(newExpenseSupplier.paymentTerms).label})
+                      </label>
+                    )}
+                  </div>
+                )}
+
+                {newExpenseNeedsApproval && (
+                  <div className="form-group">
+                    <div style={{ background: '#fff8e1', border: '1px solid #ffe08a', color: '#8a6d00', padding: '0.75rem', borderRadius: '8px', marginBottom: '0.5rem' }}>
+                      Above the approval limit of {formatCurrency(getExpenseApprovalPolicy().threshold)}. It will be submitted for approval and
+                      left out of the totals until an admin approves it.
+                    </div>
+                    <label>Note for the approver (optional):</label>
+                    <textarea
+                      value={newApprovalComment}
+                      onChange={(e) => setNewApprovalComment(e.target.value)}
+                      rows={2}
+                      style={{
+                        width: '100%',
+                        padding: '0.75rem',
+                        border: '2px solid #e2e8f0',
+                        borderRadius: '8px',
+                        fontSize: '1rem',
+                        resize: 'vertical'
+                      }}
+                    />
+                  </div>
+                )}
+
+                <div className="form-group">
+                  <label>Receipts (optional):</label>
+                  <ReceiptPickerButtons onFiles={(files) => setNewReceipts(prev => [...prev, ...files])} />
+                  {newReceipts.length > 0 && (
+                    <ul style={{ listStyle: 'none', margin: '0.5rem 0 0', padding: 0 }}>
+                      {newReceipts.map((file, index) => (
+                        <li key={`${file.name}-${index}`} style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', color: '#495057' }}>
+                          <FaPaperclip />
+                          <span className="cell-truncate" style={{ maxWidth: 420 }} title={file.name}>{file.name}</span>
+                          <span style={{ color: '#6c757d' }}>{formatFileSize(file.size)}</span>
+                          <button
+                            type="button"
+                            onClick={() => setNewReceipts(prev => prev.filter((_, i) => i !== index))}
+                            style={{ border: 'none', background: 'none', color: '#dc3545', cursor: 'pointer', fontWeight: 600 }}
+                          >
+                            ✕
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
 
                 <div style={{ display: 'flex', gap: '1rem', marginTop: '1.5rem' }}>
                   <button
@@ -1277,7 +1861,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
                       fontSize: '1rem'
                     }}
                   >
-                    ✓ Add Expense
+                    {newExpenseNeedsApproval ? '✓ Submit for Approval' : '✓ Add Expense'}
                   </button>
                   <button
                     type="button"
@@ -1345,6 +1929,7 @@ const ExpenseHistory = ({ readOnly = false }) => {
                   <th style={{ textAlign: 'right', width: 140 }}>Unit Price</th>
                   <th style={{ textAlign: 'right', width: 150 }}>Amount</th>
                   <th style={{ textAlign: 'center', width: 140 }}>Payment</th>
+                  <th style={{ textAlign: 'center', width: 100 }}>Receipts</th>
                   {!readOnly && <th style={{ textAlign: 'center', width: 180 }}>Actions</th>}
                 </tr>
               </thead>
@@ -1377,6 +1962,24 @@ const ExpenseHistory = ({ readOnly = false }) => {
                           {expense.description}
                         </span>
                       )}
+                      {editingExpenseId !== expense.id && !isCountedExpense(expense) && (
+                        <div style={{ fontSize: '0.75rem', fontWeight: 600, color: EXPENSE_STATUSES[getExpenseStatus(expense)].color }}>
+                          {EXPENSE_STATUSES[getExpenseStatus(expense)].label}
+                          {getLatestApprovalComment(expense) && (
+                            <span style={{ fontWeight: 400, color: '#6c757d' }}> - "{getLatestApprovalComment(expense)}"</span>
+                          )}
+                        </div>
+                      )}
+                      {editingExpenseId !== expense.id && (getExpenseSupplierId(expense) !== null || isExpenseUnpaid(expense)) && (
+                        <div style={{ fontSize: '0.75rem', color: '#6c757d' }}>
+                          {suppliersById.get(String(getExpenseSupplierId(expense)))?.name || expense.supplierName || expense.supplier_name || ''}
+                          {isExpenseUnpaid(expense) && (
+                            <span style={{ marginLeft: '0.4rem', color: isOverdue(expense) ? '#dc3545' : '#fd7e14', fontWeight: 600 }}>
+                              {isOverdue(expense) ? 'Overdue' : 'Unpaid'}
+                            </span>
+                          )}
+                        </div>
+                      )}
                     </td>
                     <td style={{ color: '#495057' }}>
                       {editingExpenseId === expense.id ? (
@@ -1393,8 +1996,8 @@ const ExpenseHistory = ({ readOnly = false }) => {
                           }}
                         >
                           <option value="">Select Category</option>
-                          {getExpenseCategoryOptions(editCategory).map((cat) => (
-                            <option key={cat} value={cat}>{cat}</option>
+                          {getExpenseCategoryOptions(editCategory, categories).map((opt) => (
+                            <option key={opt.value} value={opt.value}>{opt.label}</option>
                           ))}
                         </select>
                       ) : (
@@ -1524,6 +2127,20 @@ const ExpenseHistory = ({ readOnly = false }) => {
                         </span>
                       )}
                     </td>
+                    <td style={{ textAlign: 'center' }}>
+                      {readOnly && !getAttachmentCount(expense) ? (
+                        <span style={{ color: '#adb5bd' }}>-</span>
+                      ) : (
+                        <button
+                          type="button"
+                          className="btn-edit"
+                          onClick={() => setAttachmentsExpense(expense)}
+                          title={readOnly ? 'View receipts' : 'View or attach receipts'}
+                        >
+                          <FaPaperclip /> {getAttachmentCount(expense) || '+'}
+                        </button>
+                      )}
+                    </td>
                     {!readOnly && (
                       <td className="table-actions-cell" style={{ textAlign: 'center' }}>
                         {editingExpenseId === expense.id ? (
@@ -1568,9 +2185,11 @@ const ExpenseHistory = ({ readOnly = false }) => {
               </tbody>
               <tfoot>
                 <tr style={{ background: '#f8f9fa', fontWeight: 'bold' }}>
-                  <td colSpan={!readOnly ? 6 : 7} style={{ color: '#2d3748', textAlign: 'right' }}>TOTAL</td>
+                  <td colSpan={!readOnly ? 6 : 7} style={{ color: '#2d3748', textAlign: 'right' }}>
+                    {unapprovedExpenses.length > 0 ? 'TOTAL (approved only)' : 'TOTAL'}
+                  </td>
                   <td style={{ textAlign: 'right', color: '#2d3748' }}>{formatCurrency(totalExpenses)}</td>
-                  <td colSpan={!readOnly ? 2 : 1}></td>
+                  <td colSpan={!readOnly ? 3 : 2}></td>
                 </tr>
               </tfoot>
             </table>
@@ -1588,6 +2207,92 @@ const ExpenseHistory = ({ readOnly = false }) => {
         message={confirmModal.message}
         variant={confirmModal.variant}
       />
+
+      <ConfirmationModal
+        isOpen={!!budgetForm}
+        onClose={() => setBudgetForm(null)}
+        onConfirm={handleSaveBudgets}
+        title="Monthly Budgets"
+        message="Set how much each category should cost per month. Leave blank for no budget."
+        confirmText="Save Budgets"
+        confirmDisabled={saveBudgets.isPending}
+        variant="info"
+      >
+        {budgetForm && Object.keys(budgetForm).map(cat => (
+          <label key={cat} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', marginTop: '0.75rem', fontWeight: 600, color: '#495057' }}>
+            {cat}
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={budgetForm[cat]}
+              onChange={(e) => setBudgetForm(prev => ({ ...prev, [cat]: e.target.value }))}
+              placeholder="No budget"
+              style={{ width: '140px', padding: '0.5rem', borderRadius: '8px', border: '2px solid #e2e8f0', textAlign: 'right' }}
+            />
+          </label>
+        ))}
+      </ConfirmationModal>
+
+      <ConfirmationModal
+        isOpen={!!payingRow}
+        onClose={() => setPayingRow(null)}
+        onConfirm={handleMarkPaid}
+        title="Mark Bills Paid"
+        message={`Mark ${payingRow?.count || 0} unpaid bill${payingRow?.count === 1 ? '' : 's'} from ${payingRow?.name || ''} (${formatCurrency(payingRow?.total)}) as paid today?`}
+        confirmText="Mark Paid"
+        confirmDisabled={markPaid.isPending}
+        variant="warning"
+      >
+        <label style={{ display: 'block', marginTop: '1rem', fontWeight: 600, color: '#495057' }}>
+          Paid by
+          <select
+            value={payMethod}
+            onChange={(e) => setPayMethod(e.target.value)}
+            style={{ display: 'block', width: '100%', marginTop: '0.35rem', padding: '0.5rem', borderRadius: '8px', border: '2px solid #e2e8f0' }}
+          >
+            <option value="bank_transfer">Bank Transfer</option>
+            <option value="cash">Cash</option>
+          </select>
+        </label>
+      </ConfirmationModal>
+
+      {attachmentsExpense && (
+        <ExpenseAttachments
+          expense={attachmentsExpense}
+          readOnly={readOnly}
+          onClose={() => setAttachmentsExpense(null)}
+          onChanged={fetchExpenses}
+        />
+      )}
+
+      {printView && (
+        <div style={{ position: 'fixed', inset: 0, background: 'rgba(0,0,0,0.5)', overflowY: 'auto', zIndex: 1000, padding: '1.5rem' }}>
+          <div className="no-print" style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.75rem', maxWidth: '1200px', margin: '0 auto 1rem' }}>
+            <button
+              type="button"
+              onClick={() => window.print()}
+              style={{ padding: '0.6rem 1.2rem', border: 'none', borderRadius: '8px', background: '#28a745', color: 'white', fontWeight: 600, cursor: 'pointer' }}
+            >
+              <FaPrint style={{ marginRight: '0.5rem' }} /> Print
+            </button>
+            <button
+              type="button"
+              onClick={closePrintView}
+              style={{ padding: '0.6rem 1.2rem', border: 'none', borderRadius: '8px', background: '#6c757d', color: 'white', fontWeight: 600, cursor: 'pointer' }}
+            >
+              Close
+            </button>
+          </div>
+          <ExpenseTablePrint
+            expenses={countedExpenses}
+            startDate={budgetRange.startDate}
+            endDate={budgetRange.endDate}
+            total={totalExpenses}
+            attachments={printView.attachments}
+          />
+        </div>
+      )}
     </div>
   );
 };
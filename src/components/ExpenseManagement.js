@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
 import { expensesAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
-import { EXPENSE_CATEGORIES, expenseCategoryUsesUnits } from '../constants/expenseCategories';
+import { expenseCategoryUsesUnits, findExpenseCategory, getExpenseCategoryOptions } from '../constants/expenseCategories';
+import { useExpenseCategoriesQuery } from '../hooks/expenses';
+import { getSubmitStatus } from '../utils/expenseApproval';
 
 const ExpenseManagement = () => {
   const { showSuccess, showError } = useToast();
   const [showForm, setShowForm] = useState(false);
+  const { categories } = useExpenseCategoriesQuery();
   const getCurrentDate = () => {
     const today = new Date();
     return today.toISOString().split('T')[0];
@@ -22,10 +25,10 @@ const ExpenseManagement = () => {
     expense_date: getCurrentDate()
   });
 
-  const usesUnits = expenseCategoryUsesUnits(formData.category);
+  const usesUnits = expenseCategoryUsesUnits(formData.category, categories);
 
   const normalizeFormForCategory = (nextFormData) => {
-    const nextUsesUnits = expenseCategoryUsesUnits(nextFormData.category);
+    const nextUsesUnits = expenseCategoryUsesUnits(nextFormData.category, categories);
     const updated = { ...nextFormData };
 
     if (!nextUsesUnits) {
@@ -53,7 +56,7 @@ const ExpenseManagement = () => {
 
     try {
       const payload = normalizeFormForCategory(formData);
-      await expensesAPI.create(payload);
+      await expensesAPI.create({ ...payload, status: getSubmitStatus(payload.amount) });
       setFormData({ description: '', quantity: '1', unit: 'PCS', unit_price: '', amount: '', category: '', payment_method: 'cash', expense_date: getCurrentDate() });
       setShowForm(false);
       showSuccess('Expense added successfully!');
@@ -78,7 +81,11 @@ const ExpenseManagement = () => {
   };
 
   const handleCategoryChange = (value) => {
-    const newFormData = normalizeFormForCategory({ ...formData, category: value });
+    const newFormData = normalizeFormForCategory({
+      ...formData,
+      category: value,
+      payment_method: findExpenseCategory(value, categories)?.defaultPaymentMethod || formData.payment_method
+    });
     setFormData(newFormData);
   };
 
@@ -232,8 +239,8 @@ const ExpenseManagement = () => {
                   onChange={(e) => handleCategoryChange(e.target.value)}
                 >
                   <option value="">Select Category</option>
-                  {EXPENSE_CATEGORIES.map((cat) => (
-                    <option key={cat} value={cat}>{cat}</option>
+                  {getExpenseCategoryOptions('', categories).map((opt) => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
                   ))}
                 </select>
               </div>
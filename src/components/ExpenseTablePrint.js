@@ -1,6 +1,16 @@
 import React from 'react';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
 
-const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
+/**
+ * Printable expense table. `attachments` (optional) maps expense id to its receipts,
+ * `{ id, name, type, src }` with `src` an image URL (null for PDFs); when given, the
+ * table gets a Receipts column and the receipts are printed after it.
+ */
+const ExpenseTablePrint = ({ expenses, startDate, endDate, total, attachments }) => {
+  const { name: businessName, currency } = useBusinessSettings();
+  const receiptsFor = (expense) => attachments?.[expense.id] || [];
+  const withReceipts = expenses.map((expense, index) => ({ expense, index, receipts: receiptsFor(expense) }))
+    .filter(row => row.receipts.length > 0);
   return (
     <div className="print-container" id="expense-print-table">
       <style>{`
@@ -151,6 +161,42 @@ const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
           font-size: 17px;
         }
 
+        .receipts-section {
+          margin-top: 30px;
+        }
+
+        .receipts-section h2 {
+          font-size: 20px;
+          color: #333;
+          border-bottom: 2px solid #333;
+          padding-bottom: 8px;
+        }
+
+        .receipt-group {
+          margin: 20px 0;
+          page-break-inside: avoid;
+        }
+
+        .receipt-group h3 {
+          margin: 0 0 10px;
+          font-size: 16px;
+          color: #333;
+        }
+
+        .receipt-image {
+          display: block;
+          max-width: 100%;
+          max-height: 900px;
+          margin: 10px 0;
+          border: 1px solid #ddd;
+        }
+
+        .receipt-file {
+          margin: 6px 0;
+          font-size: 14px;
+          color: #555;
+        }
+
         .no-data {
           text-align: center;
           padding: 40px;
@@ -194,7 +240,8 @@ const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
                 <th style={{ width: '8%' }} className="text-right">Qty</th>
                 <th style={{ width: '8%' }}>Unit</th>
                 <th style={{ width: '12%' }} className="text-right">Unit Price</th>
-                <th style={{ width: '15%' }} className="text-right">Amount (PKR)</th>
+                <th style={{ width: '15%' }} className="text-right">Amount ({currency})</th>
+                {attachments && <th style={{ width: '8%' }} className="text-center">Receipts</th>}
               </tr>
             </thead>
             <tbody>
@@ -216,6 +263,7 @@ const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
                   <td className="text-right amount-cell">
                     {parseFloat(expense.amount).toFixed(2)}
                   </td>
+                  {attachments && <td className="text-center">{receiptsFor(expense).length || '-'}</td>}
                 </tr>
               ))}
             </tbody>
@@ -225,12 +273,31 @@ const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
                   TOTAL EXPENSES:
                 </td>
                 <td className="text-right" style={{ fontSize: '20px', padding: '18px', color: '#d32f2f', fontWeight: 'bold' }}>
-                  PKR {total.toFixed(2)}
+                  {currency} {total.toFixed(2)}
                 </td>
+                {attachments && <td></td>}
               </tr>
             </tfoot>
           </table>
 
+          {withReceipts.length > 0 && (
+            <div className="receipts-section">
+              <h2>ATTACHED RECEIPTS</h2>
+              {withReceipts.map(({ expense, index, receipts }) => (
+                <div key={expense.id} className="receipt-group">
+                  <h3>#{index + 1} - {expense.description} ({currency} {parseFloat(expense.amount).toFixed(2)})</h3>
+                  {receipts.map(receipt => (receipt.src ? (
+                    <img key={receipt.id} src={receipt.src} alt={receipt.name} className="receipt-image" />
+                  ) : (
+                    <div key={receipt.id} className="receipt-file">
+                      {receipt.name} (PDF - open it from Expense History)
+                    </div>
+                  )))}
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="print-footer">
             <div className="summary">
               <div>
@@ -244,13 +311,13 @@ const ExpenseTablePrint = ({ expenses, startDate, endDate, total }) => {
             <div className="total-row">
               <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                 <h3>Grand Total:</h3>
-                <h3 style={{ color: '#d32f2f' }}>PKR {total.toFixed(2)}</h3>
+                <h3 style={{ color: '#d32f2f' }}>{currency} {total.toFixed(2)}</h3>
               </div>
             </div>
 
             <div className="generated-info">
               <p>This is a computer-generated report. No signature required.</p>
-              <p>Generated by Flamex - Expense Management Module</p>
+              <p>Generated by {businessName} - Expense Management Module</p>
             </div>
           </div>
         </>
@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getFloorPlan, normalizeFloorPlan, validateFloorPlan } from '../utils/floorPlan';
+import { loadFloorPlan, saveFloorPlan } from '../services/businessInfoService';
+import { generateOptionId } from '../utils/menuModifiers';
+import ConfirmationModal from './ConfirmationModal';
+
+const canvasStyle = {
+  position: 'relative',
+  height: '420px',
+  background: 'repeating-linear-gradient(0deg, #fafafa, #fafafa 39px, #f0f0f0 40px), white',
+  border: '2px dashed #dee2e6',
+  borderRadius: '12px',
+  overflow: 'hidden',
+  touchAction: 'none'
+};
+
+const nextTableNumber = (plan) => {
+  const numbers = plan.areas.flatMap(a => a.tables.map(t => parseInt(t.number, 10))).filter(n => !Number.isNaN(n));
+  return String(numbers.length ? Math.max(...numbers) + 1 : 1);
+};
+
+/**
+ * Admin floor-plan editor: areas, numbered tables, seat counts and positions.
+ * Tables are dragged around the area canvas; positions are stored in percent so
+ * the live floor view in DineInOrders scales to any screen.
+ */
+const FloorPlanEditor = () => {
+  const { showSuccess, showError } = useToast();
+  const [plan, setPlan] = useState(() => getFloorPlan());
+  const [activeAreaId, setActiveAreaId] = useState(() => getFloorPlan().areas[0]?.id || null);
+  const [selectedTableId, setSelectedTableId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [confirmRemoveArea, setConfirmRemoveArea] = useState(false);
+  const canvasRef = useRef(null);
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadFloorPlan().then(loaded => {
+      if (cancelled) return;
+      setPlan(loaded);
+      setActiveAreaId(prev => (loaded.areas.some(a => a.id === prev) ? prev : loaded.areas[0]?.id || null));
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const activeArea = plan.areas.find(a => a.id === activeAreaId) || null;
+  const selectedTable = activeArea?.tables.find(t => t.id === selectedTableId) || null;
+
+  const updateArea = (areaId, patch) => {
+    setPlan(prev => ({
+      ...prev,
+      areas: prev.areas.map(a => (a.id === areaId ? { ...a, ...patch } : a))
+    }));
+  };
+
+  const updateTable = (tableId, patch) => {
+    if (!activeArea) return;
+    updateArea(activeArea.id, {
+      tables: activeArea.tables.map(t => (t.id === tableId ? { ...t, ...patch } : t))
+    });
+  };
+
+  const handleAddArea = () => {
+    const area = { id: generateOptionId('area'), name: `Area ${plan.areas.length + 1}`, tables: [] };
+    setPlan(prev => ({ ...prev, areas: [...prev.areas, area] }));
+    setActiveAreaId(area.id);
+    setSelectedTableId(null);
+  };
+
+  const handleRemoveArea = () => {
+    if (!activeArea) return;
+    const remaining = plan.areas.filter(a => a.id !== activeArea.id);
+    setPlan(prev => ({ ...prev, areas: remaining }));
+    setActiveAreaId(remaining[0]?.id || null);
+    setSelectedTableId(null);
+  };
+
+  const handleAddTable = () => {
+    if (!activeArea) return;
+    const table = {
+      id: generateOptionId('table'),
+      number: nextTableNumber(plan),
+      name: '',
+      seats: 4,
+      x: 5 + (activeArea.tables.length % 5) * 18,
+      y: 5 + (Math.floor(activeArea.tables.length / 5) % 5) * 18
+    };
+    updateArea(activeArea.id, { tables: [...activeArea.tables, table] });
+    setSelectedTableId(table.id);
+  };
+
+  const handleRemoveTable = () => {
+    if (!activeArea || !selectedTable) return;
+    updateArea(activeArea.id, { tables: activeArea.tables.filter(t => t.id !== selectedTable.id) });
+    setSelectedTableId(null);
+  };
+
+  // Drag tables around the canvas; positions are kept in percent of the canvas size
+  const handlePointerDown = (e, table) => {
+    e.preventDefault();
+    setSelectedTableId(table.id);
+    const rect = canvasRef.current.getBoundingClientRect();
+    dragRef.current = {
+      tableId: table.id,
+      offsetX: e.clientX - rect.left - (table.x / 100) * rect.width,
+      offsetY: e.clientY - rect.top - (table.y / 100) * rect.height
+    };
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current || !canvasRef.current) return;
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left - dragRef.current.offsetX) / rect.width) * 100;
+    const y = ((e.clientY - rect.top - dragRef.current.offsetY) / rect.height) * 100;
+    updateTable(dragRef.current.tableId, {
+      x: Math.round(Math.min(90, Math.max(0, x))),
+      y: Math.round(Math.min(85, Math.max(0, y)))
+    });
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const handleSave = async () => {
+    const error = validateFloorPlan(plan);
+    if (error) {
+      showError(error);
+      return;
+    }
+    if (plan.areas.length === 0) {
+      showError('Add at least one area with tables');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveFloorPlan(normalizeFloorPlan(plan));
+      setPlan(saved);
+      showSuccess('Floor plan saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save floor plan');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="floor-plan-tab">
+      <div className="tab-header">
+        <h1>Floor Plan</h1>
+        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Floor Plan'}
+        </button>
+      </div>
+
+      <div className="settings-section">
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem' }}>
+          {plan.areas.map(area => (
+            <button
+              key={area.id}
+              type="button"
+              onClick={() => { setActiveAreaId(area.id); setSelectedTableId(null); }}
+              style={{
+                padding: '0.5rem 1rem',
+                borderRadius: '999px',
+                border: `2px solid ${area.id === activeAreaId ? 'var(--color-primary)' : '#dee2e6'}`,
+                background: area.id === activeAreaId ? 'var(--color-primary)' : 'white',
+                color: area.id === activeAreaId ? 'white' : '#495057',
+                fontWeight: 600,
+                cursor: 'pointer'
+              }}
+            >
+              {area.name} ({area.tables.length})
+            </button>
+          ))}
+          <button type="button" className="btn-secondary" onClick={handleAddArea}>+ Add Area</button>
+          <div className="form-group" style={{ marginLeft: 'auto', marginBottom: 0, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+            <label style={{ margin: 0, whiteSpace: 'nowrap' }}>Overdue after (min)</label>
+            <input
+              type="number"
+              min="1"
+              value={plan.overdueMinutes}
+              onChange={(e) => setPlan(prev => ({ ...prev, overdueMinutes: e.target.value }))}
+              style={{ width: '90px' }}
+            />
+          </div>
+        </div>
+
+        {activeArea ? (
+          <>
+            <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '1rem' }}>
+              <div className="form-group" style={{ marginBottom: 0, minWidth: '220px' }}>
+                <label>Area Name</label>
+                <input
+                  type="text"
+                  value={activeArea.name}
+                  onChange={(e) => updateArea(activeArea.id, { name: e.target.value })}
+                />
+              </div>
+              <button type="button" className="btn-primary" onClick={handleAddTable}>+ Add Table</button>
+              <button
+                type="button"
+                className="btn-delete"
+                onClick={() => (activeArea.tables.length > 0 ? setConfirmRemoveArea(true) : handleRemoveArea())}
+              >
+                Remove Area
+              </button>
+            </div>
+
+            <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+              <div
+                ref={canvasRef}
+                style={{ ...canvasStyle, flex: '1 1 480px' }}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerLeave={handlePointerUp}
+                onClick={(e) => { if (e.target === e.currentTarget) setSelectedTableId(null); }}
+              >
+                {activeArea.tables.map(table => (
+                  <div
+                    key={table.id}
+                    onPointerDown={(e) => handlePointerDown(e, table)}
+                    style={{
+                      position: 'absolute',
+                      left: `${table.x}%`,
+                      top: `${table.y}%`,
+                      width: '80px',
+                      height: '64px',
+                      borderRadius: table.seats > 4 ? '12px' : '50%',
+                      border: `3px solid ${table.id === selectedTableId ? 'var(--color-primary)' : '#adb5bd'}`,
+                      background: 'white',
+                      display: 'flex',
+                      flexDirection: 'column',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      cursor: 'grab',
+                      userSelect: 'none',
+                      boxShadow: '0 2px 6px rgba(0,0,0,0.1)'
+                    }}
+                  >
+                    <strong>{table.number}</strong>
+                    <span style={{ fontSize: '11px', color: '#6c757d' }}>{table.seats} seats</span>
+                  </div>
+                ))}
+                {activeArea.tables.length === 0 && (
+                  <div style={{ position: 'absolute', inset: 0, display: 'flex', alignItems: 'center', justifyContent: 'center', color: '#6c757d' }}>
+                    No tables yet. Use "Add Table" and drag tables into place.
+                  </div>
+                )}
+              </div>
+
+              <div style={{ flex: '0 0 240px' }}>
+                {selectedTable ? (
+                  <>
+                    <h3 style={{ marginTop: 0 }}>Table {selectedTable.number}</h3>
+                    <div className="form-group">
+                      <label>Table Number *</label>
+                      <input
+                        type="text"
+                        value={selectedTable.number}
+                        onChange={(e) => updateTable(selectedTable.id, { number: e.target.value.trim() })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Name</label>
+                      <input
+                        type="text"
+                        placeholder="e.g. Window booth"
+                        value={selectedTable.name}
+                        onChange={(e) => updateTable(selectedTable.id, { name: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Seats</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={selectedTable.seats}
+                        onChange={(e) => updateTable(selectedTable.id, { seats: e.target.value })}
+                      />
+                    </div>
+                    <button type="button" className="btn-delete" onClick={handleRemoveTable}>Remove Table</button>
+                  </>
+                ) : (
+                  <p style={{ color: '#6c757d' }}>Select a table to edit its number, name and seats.</p>
+                )}
+              </div>
+            </div>
+          </>
+        ) : (
+          <p style={{ color: '#6c757d' }}>Add an area (e.g. Hall, Rooftop, Family Section) to start placing tables.</p>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={confirmRemoveArea}
+        onClose={() => setConfirmRemoveArea(false)}
+        onConfirm={handleRemoveArea}
+        title="Remove Area"
+        message={`Remove ${activeArea?.name || 'this area'} and its ${activeArea?.tables.length || 0} tables? Changes apply after you save the floor plan.`}
+        variant="danger"
+      />
+    </div>
+  );
+};
+
+export default FloorPlanEditor;
@@ -0,0 +1,939 @@
+import React, { useState, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { expensesAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  useIngredientsQuery,
+  useStockMovementsQuery,
+  useStockTakesQuery,
+  useSaveIngredientMutation,
+  useDeleteIngredientMutation,
+  useStockMovementMutation,
+  useStockTakeMutation
+} from '../hooks/inventory';
+import {
+  STOCK_UNITS,
+  MOVEMENT_TYPES,
+  WASTAGE_REASONS,
+  INVENTORY_PURCHASE_CATEGORY,
+  roundQuantity,
+  isLowStock,
+  getLowStockIngredients,
+  getStockValue,
+  formatQuantity,
+  buildStockTakeLines,
+  summarizeVariance
+} from '../utils/inventory';
+import { getSubmitStatus } from '../utils/expenseApproval';
+import ConfirmationModal from './ConfirmationModal';
+import LowStockAlert from './LowStockAlert';
+import ScreenLoading from './ScreenLoading';
+import { FaBoxes, FaPlus, FaClipboardCheck } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5' };
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '1.25rem',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  marginBottom: '1.5rem'
+};
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '1rem'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.35rem', fontWeight: 600, color: '#495057' };
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const smallButtonStyle = (color) => ({
+  padding: '0.3rem 0.6rem',
+  border: `1px solid ${color}`,
+  borderRadius: '6px',
+  background: 'white',
+  color,
+  fontSize: '0.85rem',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+const tabStyle = (active) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderBottom: `3px solid ${active ? 'var(--color-primary)' : 'transparent'}`,
+  background: 'none',
+  color: active ? 'var(--color-primary)' : '#495057',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+const overlayStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle = {
+  background: 'white',
+  padding: '2rem',
+  borderRadius: '12px',
+  maxWidth: '520px',
+  width: '90%',
+  maxHeight: '90vh',
+  overflowY: 'auto'
+};
+
+const EMPTY_INGREDIENT = { name: '', unit: 'KG', reorderLevel: '', costPerUnit: '', openingStock: '', active: true };
+
+const MOVEMENT_TITLES = {
+  purchase: 'Receive Stock',
+  adjustment: 'Adjust Stock',
+  wastage: 'Log Wastage'
+};
+
+const formatSigned = (quantity, unit) => `${quantity > 0 ? '+' : ''}${formatQuantity(quantity, unit)}`;
+
+/**
+ * Ingredients, stock movements and stock takes. Shared by the admin and manager
+ * portals; `canRecordExpenses` lets stock received here be booked as an expense too.
+ */
+const InventoryManagement = ({ canRecordExpenses = false }) => {
+  const { showSuccess, showError } = useToast();
+  const [tab, setTab] = useState('stock');
+  const [search, setSearch] = useState('');
+  const [ingredientForm, setIngredientForm] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [movementForm, setMovementForm] = useState(null);
+  const [movementFilters, setMovementFilters] = useState(() => ({
+    startDate: dayjs().subtract(6, 'day').format('YYYY-MM-DD'),
+    endDate: dayjs().format('YYYY-MM-DD'),
+    type: '',
+    ingredientId: ''
+  }));
+  const [counts, setCounts] = useState(null);
+  const [countNote, setCountNote] = useState('');
+  const [confirmCount, setConfirmCount] = useState(false);
+  const [openStockTakeId, setOpenStockTakeId] = useState(null);
+
+  const { data: ingredients = [], isLoading } = useIngredientsQuery();
+  const movementParams = useMemo(() => ({
+    startDate: movementFilters.startDate,
+    endDate: movementFilters.endDate,
+    ...(movementFilters.type ? { type: movementFilters.type } : {}),
+    ...(movementFilters.ingredientId ? { ingredientId: movementFilters.ingredientId } : {})
+  }), [movementFilters]);
+  const { data: movements = [], isLoading: movementsLoading } = useStockMovementsQuery(movementParams, { enabled: tab === 'movements' });
+  const { data: stockTakes = [], isLoading: stockTakesLoading } = useStockTakesQuery({ enabled: tab === 'counts' });
+  const saveIngredient = useSaveIngredientMutation();
+  const deleteIngredient = useDeleteIngredientMutation();
+  const addMovement = useStockMovementMutation();
+  const createStockTake = useStockTakeMutation();
+
+  const ingredientsById = useMemo(() => new Map(ingredients.map(i => [String(i.id), i])), [ingredients]);
+  const activeIngredients = useMemo(() => ingredients.filter(i => i.active), [ingredients]);
+  const lowStock = useMemo(() => getLowStockIngredients(ingredients), [ingredients]);
+  const visibleIngredients = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q ? ingredients.filter(i => i.name.toLowerCase().includes(q)) : ingredients;
+  }, [ingredients, search]);
+
+  const countLines = useMemo(
+    () => (counts ? buildStockTakeLines(activeIngredients, counts) : []),
+    [activeIngredients, counts]
+  );
+  const countSummary = summarizeVariance(countLines);
+
+  const wastageValue = movements
+    .filter(m => m.type === 'wastage')
+    .reduce((sum, m) => sum + Math.abs(m.quantity) * m.unitCost, 0);
+
+  // ==================== INGREDIENTS ====================
+
+  const openIngredientForm = (ingredient = null) => {
+    setIngredientForm(ingredient
+      ? {
+        ...EMPTY_INGREDIENT,
+        id: ingredient.id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        reorderLevel: ingredient.reorderLevel ? String(ingredient.reorderLevel) : '',
+        costPerUnit: ingredient.costPerUnit ? String(ingredient.costPerUnit) : '',
+        active: ingredient.active
+      }
+      : EMPTY_INGREDIENT);
+  };
+
+  const handleSaveIngredient = async (e) => {
+    e.preventDefault();
+    const name = ingredientForm.name.trim();
+    if (!name) {
+      showError('Enter the ingredient name');
+      return;
+    }
+    if (ingredients.some(i => i.name.toLowerCase() === name.toLowerCase() && i.id !== ingredientForm.id)) {
+      showError(`${name} is already in the ingredient list`);
+      return;
+    }
+
+    const data = {
+      name,
+      unit: ingredientForm.unit,
+      reorderLevel: roundQuantity(ingredientForm.reorderLevel),
+      costPerUnit: Number(ingredientForm.costPerUnit) || 0,
+      active: ingredientForm.active
+    };
+
+    try {
+      const res = await saveIngredient.mutateAsync({ id: ingredientForm.id, data });
+      const openingStock = roundQuantity(ingredientForm.openingStock);
+      if (!ingredientForm.id && openingStock > 0) {
+        const saved = res.data?.data ?? res.data;
+        await addMovement.mutateAsync({
+          ingredientId: saved?.id,
+          type: 'adjustment',
+          quantity: openingStock,
+          unitCost: data.costPerUnit,
+          reason: 'Opening stock'
+        });
+      }
+      showSuccess(ingredientForm.id ? 'Ingredient updated' : 'Ingredient added');
+      setIngredientForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save ingredient');
+    }
+  };
+
+  const handleDeleteIngredient = async () => {
+    try {
+      await deleteIngredient.mutateAsync(pendingDelete.id);
+      showSuccess(`${pendingDelete.name} removed`);
+      setIngredientForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to remove ingredient');
+    }
+  };
+
+  // ==================== MOVEMENTS ====================
+
+  const openMovementForm = (ingredient, type) => {
+    setMovementForm({
+      ingredient,
+      type,
+      direction: 'add',
+      quantity: '',
+      unitCost: ingredient.costPerUnit ? String(ingredient.costPerUnit) : '',
+      reason: type === 'wastage' ? WASTAGE_REASONS[0] : '',
+      note: '',
+      recordExpense: canRecordExpenses
+    });
+  };
+
+  const handleSaveMovement = async (e) => {
+    e.preventDefault();
+    const { ingredient, type } = movementForm;
+    const quantity = roundQuantity(movementForm.quantity);
+    if (!(quantity > 0)) {
+      showError('Enter a quantity greater than 0');
+      return;
+    }
+    if (type === 'adjustment' && !movementForm.reason.trim()) {
+      showError('Enter a reason for the adjustment');
+      return;
+    }
+
+    const unitCost = type === 'purchase' ? Number(movementForm.unitCost) || 0 : ingredient.costPerUnit;
+    const signed = type === 'wastage' || (type === 'adjustment' && movementForm.direction === 'remove') ? -quantity : quantity;
+
+    try {
+      let expenseId = null;
+      if (type === 'purchase' && canRecordExpenses && movementForm.recordExpense && unitCost > 0) {
+        const amount = Math.round(quantity * unitCost * 100) / 100;
+        const res = await expensesAPI.create({
+          description: movementForm.note.trim() ? `${ingredient.name} - ${movementForm.note.trim()}` : ingredient.name,
+          amount,
+          category: INVENTORY_PURCHASE_CATEGORY,
+          paymentMethod: 'cash',
+          quantity,
+          unit: ingredient.unit,
+          unitPrice: unitCost,
+          expenseDate: new Date().toISOString(),
+          status: getSubmitStatus(amount)
+        });
+        const expense = res.data?.data ?? res.data;
+        expenseId = expense?.id ?? null;
+      }
+
+      await addMovement.mutateAsync({
+        ingredientId: ingredient.id,
+        type,
+        quantity: signed,
+        unitCost,
+        reason: movementForm.reason.trim(),
+        note: movementForm.note.trim(),
+        expenseId
+      });
+      showSuccess(`${MOVEMENT_TYPES[type].label} recorded: ${formatSigned(signed, ingredient.unit)} ${ingredient.name}`);
+      setMovementForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to record stock movement');
+    }
+  };
+
+  // ==================== STOCK TAKE ====================
+
+  const startCount = () => {
+    setCounts({});
+    setCountNote('');
+    setOpenStockTakeId(null);
+  };
+
+  const handleSaveStockTake = async () => {
+    try {
+      const res = await createStockTake.mutateAsync({
+        countedAt: new Date().toISOString(),
+        note: countNote.trim(),
+        lines: countLines
+      });
+      const saved = res.data?.data ?? res.data;
+      showSuccess(`Stock take saved: ${countSummary.withVariance} of ${countSummary.counted} items differed`);
+      setCounts(null);
+      setOpenStockTakeId(saved?.id ?? null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save stock take');
+      return false;
+    }
+  };
+
+  const renderVarianceSummary = (summary) => (
+    <div style={{ display: 'flex', gap: '1.5rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+      <span>Counted: <strong>{summary.counted}</strong></span>
+      <span>With variance: <strong>{summary.withVariance}</strong></span>
+      <span>Short: <strong style={{ color: '#dc3545' }}>{formatCurrency(summary.shortValue)}</strong></span>
+      <span>Over: <strong style={{ color: '#28a745' }}>{formatCurrency(summary.overValue)}</strong></span>
+      <span>Net: <strong style={{ color: summary.netValue < 0 ? '#dc3545' : '#28a745' }}>{formatCurrency(summary.netValue)}</strong></span>
+    </div>
+  );
+
+  if (isLoading) {
+    return <ScreenLoading label="Loading inventory..." />;
+  }
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <h1 style={{ margin: '0 0 1rem', color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <FaBoxes /> Inventory
+      </h1>
+
+      <div style={{ display: 'flex', gap: '0.5rem', borderBottom: '1px solid #e2e8f0', marginBottom: '1.5rem' }}>
+        <button type="button" style={tabStyle(tab === 'stock')} onClick={() => setTab('stock')}>Stock</button>
+        <button type="button" style={tabStyle(tab === 'movements')} onClick={() => setTab('movements')}>Movements</button>
+        <button type="button" style={tabStyle(tab === 'counts')} onClick={() => setTab('counts')}>Stock Take</button>
+      </div>
+
+      {tab === 'stock' && (
+        <>
+          <LowStockAlert ingredients={lowStock} />
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+            {[
+              { label: 'Ingredients', value: activeIngredients.length },
+              { label: 'Low Stock', value: lowStock.length, color: lowStock.length > 0 ? '#dc3545' : undefined },
+              { label: 'Stock Value', value: formatCurrency(getStockValue(activeIngredients)) }
+            ].map(stat => (
+              <div key={stat.label} style={{ ...cardStyle, marginBottom: 0 }}>
+                <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>{stat.label}</div>
+                <div style={{ fontSize: '1.6rem', fontWeight: 'bold', color: stat.color || '#2d3748' }}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search ingredients..."
+              style={{ ...inputStyle, minWidth: '260px' }}
+            />
+            <button type="button" style={buttonStyle('#28a745')} onClick={() => openIngredientForm()}>
+              <FaPlus /> Add Ingredient
+            </button>
+          </div>
+
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <th style={thStyle}>Ingredient</th>
+                  <th style={thStyle}>On Hand</th>
+                  <th style={thStyle}>Reorder At</th>
+                  <th style={thStyle}>Cost / Unit</th>
+                  <th style={thStyle}>Value</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleIngredients.length > 0 ? visibleIngredients.map(ingredient => {
+                  const low = isLowStock(ingredient);
+                  return (
+                    <tr key={ingredient.id} style={{ opacity: ingredient.active ? 1 : 0.5 }}>
+                      <td style={tdStyle}>
+                        {ingredient.name}
+                        {!ingredient.active && <span style={{ marginLeft: '0.5rem', color: '#6c757d', fontSize: '0.8rem' }}>(inactive)</span>}
+                      </td>
+                      <td style={{ ...tdStyle, color: low ? '#dc3545' : undefined, fontWeight: low ? 600 : undefined }}>
+                        {formatQuantity(ingredient.stock, ingredient.unit)}
+                        {low && <span style={{ marginLeft: '0.5rem', fontSize: '0.75rem', background: '#fdecea', padding: '0.1rem 0.4rem', borderRadius: '4px' }}>LOW</span>}
+                      </td>
+                      <td style={tdStyle}>{ingredient.reorderLevel > 0 ? formatQuantity(ingredient.reorderLevel, ingredient.unit) : '-'}</td>
+                      <td style={tdStyle}>{formatCurrency(ingredient.costPerUnit)} / {ingredient.unit}</td>
+                      <td style={tdStyle}>{formatCurrency(Math.max(0, ingredient.stock) * ingredient.costPerUnit)}</td>
+                      <td style={{ ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                        <span style={{ display: 'inline-flex', gap: '0.4rem' }}>
+                          <button type="button" style={smallButtonStyle('#28a745')} onClick={() => openMovementForm(ingredient, 'purchase')}>Receive</button>
+                          <button type="button" style={smallButtonStyle('#007bff')} onClick={() => openMovementForm(ingredient, 'adjustment')}>Adjust</button>
+                          <button type="button" style={smallButtonStyle('#dc3545')} onClick={() => openMovementForm(ingredient, 'wastage')}>Waste</button>
+                          <button type="button" style={smallButtonStyle('#6c757d')} onClick={() => openIngredientForm(ingredient)}>Edit</button>
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                }) : (
+                  <tr>
+                    <td colSpan="6" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>
+                      {ingredients.length === 0 ? 'No ingredients yet. Add the ones you buy and cook with.' : 'No ingredients match your search'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {tab === 'movements' && (
+        <>
+          <div style={{ ...cardStyle, display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+            <div>
+              <label style={labelStyle}>From</label>
+              <input
+                type="date"
+                value={movementFilters.startDate}
+                onChange={(e) => setMovementFilters(prev => ({ ...prev, startDate: e.target.value }))}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>To</label>
+              <input
+                type="date"
+                value={movementFilters.endDate}
+                onChange={(e) => setMovementFilters(prev => ({ ...prev, endDate: e.target.value }))}
+                style={inputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Type</label>
+              <select
+                value={movementFilters.type}
+                onChange={(e) => setMovementFilters(prev => ({ ...prev, type: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="">All</option>
+                {Object.entries(MOVEMENT_TYPES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Ingredient</label>
+              <select
+                value={movementFilters.ingredientId}
+                onChange={(e) => setMovementFilters(prev => ({ ...prev, ingredientId: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="">All</option>
+                {ingredients.map(i => (
+                  <option key={i.id} value={i.id}>{i.name}</option>
+                ))}
+              </select>
+            </div>
+            {wastageValue > 0 && (
+              <div style={{ marginLeft: 'auto', color: '#dc3545', fontWeight: 600 }}>
+                Wastage in range: {formatCurrency(wastageValue)}
+              </div>
+            )}
+          </div>
+
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+            {movementsLoading ? (
+              <ScreenLoading label="Loading movements..." />
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                    <th style={thStyle}>When</th>
+                    <th style={thStyle}>Ingredient</th>
+                    <th style={thStyle}>Type</th>
+                    <th style={thStyle}>Quantity</th>
+                    <th style={thStyle}>Value</th>
+                    <th style={thStyle}>Reason</th>
+                    <th style={thStyle}>By</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {movements.length > 0 ? movements.map(m => {
+                    const ingredient = ingredientsById.get(String(m.ingredientId));
+                    return (
+                      <tr key={m.id}>
+                        <td style={tdStyle}>{m.createdAt ? dayjs(m.createdAt).format('DD MMM YYYY, h:mm A') : '-'}</td>
+                        <td style={tdStyle}>{ingredient?.name || m.ingredientName || '-'}</td>
+                        <td style={{ ...tdStyle, color: MOVEMENT_TYPES[m.type].color, fontWeight: 600 }}>{MOVEMENT_TYPES[m.type].label}</td>
+                        <td style={tdStyle}>{formatSigned(m.quantity, ingredient?.unit)}</td>
+                        <td style={tdStyle}>{m.unitCost ? formatCurrency(m.quantity * m.unitCost) : '-'}</td>
+                        <td style={tdStyle}>{[m.reason, m.note].filter(Boolean).join(' - ') || (m.orderId ? `Order #${m.orderId}` : m.expenseId ? `Expense #${m.expenseId}` : '-')}</td>
+                        <td style={tdStyle}>{m.createdBy || '-'}</td>
+                      </tr>
+                    );
+                  }) : (
+                    <tr>
+                      <td colSpan="7" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No stock movements in this range</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+
+      {tab === 'counts' && (
+        counts ? (
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Count Sheet</h3>
+            <p style={{ color: '#6c757d', marginTop: 0 }}>
+              Enter what is on the shelf. Leave an item blank to skip it; counted items are set to the
+              counted quantity and the difference is kept as the variance.
+            </p>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                    <th style={thStyle}>Ingredient</th>
+                    <th style={thStyle}>Expected</th>
+                    <th style={thStyle}>Counted</th>
+                    <th style={thStyle}>Variance</th>
+                    <th style={thStyle}>Value</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {activeIngredients.map(ingredient => {
+                    const line = countLines.find(l => String(l.ingredientId) === String(ingredient.id));
+                    return (
+                      <tr key={ingredient.id}>
+                        <td style={tdStyle}>{ingredient.name}</td>
+                        <td style={tdStyle}>{formatQuantity(ingredient.stock, ingredient.unit)}</td>
+                        <td style={tdStyle}>
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.001"
+                            value={counts[String(ingredient.id)] ?? ''}
+                            onChange={(e) => setCounts(prev => ({ ...prev, [String(ingredient.id)]: e.target.value }))}
+                            style={{ ...inputStyle, width: '120px' }}
+                          />
+                          <span style={{ marginLeft: '0.4rem', color: '#6c757d' }}>{ingredient.unit}</span>
+                        </td>
+                        <td style={{ ...tdStyle, color: line?.variance < 0 ? '#dc3545' : line?.variance > 0 ? '#28a745' : undefined }}>
+                          {line ? formatSigned(line.variance, ingredient.unit) : '-'}
+                        </td>
+                        <td style={tdStyle}>{line ? formatCurrency(line.varianceValue) : '-'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+            <div style={{ marginTop: '1rem' }}>
+              {renderVarianceSummary(countSummary)}
+              <input
+                type="text"
+                value={countNote}
+                onChange={(e) => setCountNote(e.target.value)}
+                placeholder="Note (optional), e.g. month-end count"
+                style={{ ...inputStyle, width: '100%', marginBottom: '1rem' }}
+              />
+              <div style={{ display: 'flex', gap: '0.75rem' }}>
+                <button
+                  type="button"
+                  style={buttonStyle('#28a745', countLines.length === 0 || createStockTake.isPending)}
+                  disabled={countLines.length === 0 || createStockTake.isPending}
+                  onClick={() => setConfirmCount(true)}
+                >
+                  <FaClipboardCheck /> Save Stock Take
+                </button>
+                <button type="button" style={buttonStyle('#6c757d')} onClick={() => setCounts(null)}>
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <>
+            <div style={{ marginBottom: '1rem' }}>
+              <button type="button" style={buttonStyle('#007bff', activeIngredients.length === 0)} disabled={activeIngredients.length === 0} onClick={startCount}>
+                <FaClipboardCheck /> Start Stock Take
+              </button>
+            </div>
+            <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+              {stockTakesLoading ? (
+                <ScreenLoading label="Loading stock takes..." />
+              ) : (
+                <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                  <thead>
+                    <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                      <th style={thStyle}>Counted</th>
+                      <th style={thStyle}>By</th>
+                      <th style={thStyle}>Items</th>
+                      <th style={thStyle}>With Variance</th>
+                      <th style={thStyle}>Net Variance</th>
+                      <th style={thStyle}></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stockTakes.length > 0 ? stockTakes.map(take => {
+                      const summary = summarizeVariance(take.lines);
+                      const open = String(take.id) === String(openStockTakeId);
+                      return (
+                        <React.Fragment key={take.id}>
+                          <tr>
+                            <td style={tdStyle}>
+                              {take.countedAt ? dayjs(take.countedAt).format('DD MMM YYYY, h:mm A') : '-'}
+                              {take.note && <div style={{ color: '#6c757d', fontSize: '0.85rem' }}>{take.note}</div>}
+                            </td>
+                            <td style={tdStyle}>{take.createdBy || '-'}</td>
+                            <td style={tdStyle}>{summary.counted}</td>
+                            <td style={tdStyle}>{summary.withVariance}</td>
+                            <td style={{ ...tdStyle, color: summary.netValue < 0 ? '#dc3545' : '#28a745', fontWeight: 600 }}>
+                              {formatCurrency(summary.netValue)}
+                            </td>
+                            <td style={{ ...tdStyle, textAlign: 'right' }}>
+                              <button type="button" style={smallButtonStyle('#007bff')} onClick={() => setOpenStockTakeId(open ? null : take.id)}>
+                                {open ? 'Hide' : 'Variance Report'}
+                              </button>
+                            </td>
+                          </tr>
+                          {open && (
+                            <tr>
+                              <td colSpan="6" style={{ ...tdStyle, background: '#f8f9fa' }}>
+                                {renderVarianceSummary(summary)}
+                                {summary.withVariance === 0 ? (
+                                  <div style={{ color: '#28a745' }}>Every counted item matched the expected stock.</div>
+                                ) : (
+                                  <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                                    <thead>
+                                      <tr>
+                                        <th style={thStyle}>Ingredient</th>
+                                        <th style={thStyle}>Expected</th>
+                                        <th style={thStyle}>Counted</th>
+                                        <th style={thStyle}>Variance</th>
+                                        <th style={thStyle}>Value</th>
+                                      </tr>
+                                    </thead>
+                                    <tbody>
+                                      {take.lines
+                                        .filter(l => l.variance !== 0)
+                                        .sort((a, b) => a.varianceValue - b.varianceValue)
+                                        .map(l => (
+                                          <tr key={l.ingredientId}>
+                                            <td style={tdStyle}>{l.ingredientName || ingredientsById.get(String(l.ingredientId))?.name || '-'}</td>
+                                            <td style={tdStyle}>{formatQuantity(l.expected, l.unit)}</td>
+                                            <td style={tdStyle}>{formatQuantity(l.counted, l.unit)}</td>
+                                            <td style={{ ...tdStyle, color: l.variance < 0 ? '#dc3545' : '#28a745' }}>{formatSigned(l.variance, l.unit)}</td>
+                                            <td style={tdStyle}>{formatCurrency(l.varianceValue)}</td>
+                                          </tr>
+                                        ))}
+                                    </tbody>
+                                  </table>
+                                )}
+                              </td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    }) : (
+                      <tr>
+                        <td colSpan="6" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No stock takes yet</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </>
+        )
+      )}
+
+      {ingredientForm && (
+        <div style={overlayStyle}>
+          <form style={modalStyle} onSubmit={handleSaveIngredient}>
+            <h2 style={{ marginTop: 0 }}>{ingredientForm.id ? 'Edit Ingredient' : 'Add Ingredient'}</h2>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Name</label>
+              <input
+                type="text"
+                value={ingredientForm.name}
+                onChange={(e) => setIngredientForm(prev => ({ ...prev, name: e.target.value }))}
+                style={{ ...inputStyle, width: '100%' }}
+                autoFocus
+                required
+              />
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Stock Unit</label>
+                <select
+                  value={ingredientForm.unit}
+                  onChange={(e) => setIngredientForm(prev => ({ ...prev, unit: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                  disabled={!!ingredientForm.id}
+                  title={ingredientForm.id ? 'The unit can’t change once stock has been recorded in it' : undefined}
+                >
+                  {STOCK_UNITS.map(u => (
+                    <option key={u.value} value={u.value}>{u.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Cost per {ingredientForm.unit}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={ingredientForm.costPerUnit}
+                  onChange={(e) => setIngredientForm(prev => ({ ...prev, costPerUnit: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Reorder At ({ingredientForm.unit})</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={ingredientForm.reorderLevel}
+                  onChange={(e) => setIngredientForm(prev => ({ ...prev, reorderLevel: e.target.value }))}
+                  placeholder="0 = no alert"
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+              {!ingredientForm.id && (
+                <div>
+                  <label style={labelStyle}>Opening Stock ({ingredientForm.unit})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={ingredientForm.openingStock}
+                    onChange={(e) => setIngredientForm(prev => ({ ...prev, openingStock: e.target.value }))}
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                </div>
+              )}
+            </div>
+            {ingredientForm.id && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={ingredientForm.active}
+                  onChange={(e) => setIngredientForm(prev => ({ ...prev, active: e.target.checked }))}
+                />
+                Active (inactive ingredients are left out of stock takes and alerts)
+              </label>
+            )}
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+              {ingredientForm.id && (
+                <button
+                  type="button"
+                  style={{ ...buttonStyle('#dc3545'), marginRight: 'auto' }}
+                  onClick={() => setPendingDelete(ingredientsById.get(String(ingredientForm.id)))}
+                >
+                  Delete
+                </button>
+              )}
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setIngredientForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', saveIngredient.isPending)} disabled={saveIngredient.isPending}>
+                {saveIngredient.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {movementForm && (
+        <div style={overlayStyle}>
+          <form style={modalStyle} onSubmit={handleSaveMovement}>
+            <h2 style={{ marginTop: 0, marginBottom: '0.25rem' }}>{MOVEMENT_TITLES[movementForm.type]}</h2>
+            <div style={{ color: '#6c757d', marginBottom: '1.25rem' }}>
+              {movementForm.ingredient.name} - on hand {formatQuantity(movementForm.ingredient.stock, movementForm.ingredient.unit)}
+            </div>
+
+            {movementForm.type === 'adjustment' && (
+              <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1rem' }}>
+                {[['add', 'Add'], ['remove', 'Remove']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    style={{ ...smallButtonStyle(movementForm.direction === value ? '#007bff' : '#6c757d'), flex: 1, padding: '0.5rem' }}
+                    onClick={() => setMovementForm(prev => ({ ...prev, direction: value }))}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: movementForm.type === 'purchase' ? '1fr 1fr' : '1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Quantity ({movementForm.ingredient.unit})</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.001"
+                  value={movementForm.quantity}
+                  onChange={(e) => setMovementForm(prev => ({ ...prev, quantity: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                  autoFocus
+                  required
+                />
+              </div>
+              {movementForm.type === 'purchase' && (
+                <div>
+                  <label style={labelStyle}>Cost per {movementForm.ingredient.unit}</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={movementForm.unitCost}
+                    onChange={(e) => setMovementForm(prev => ({ ...prev, unitCost: e.target.value }))}
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                </div>
+              )}
+            </div>
+
+            {movementForm.type === 'wastage' && (
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={labelStyle}>Reason</label>
+                <select
+                  value={movementForm.reason}
+                  onChange={(e) => setMovementForm(prev => ({ ...prev, reason: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  {WASTAGE_REASONS.map(reason => (
+                    <option key={reason} value={reason}>{reason}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {movementForm.type === 'adjustment' && (
+              <div style={{ marginBottom: '1rem' }}>
+                <label style={labelStyle}>Reason</label>
+                <input
+                  type="text"
+                  value={movementForm.reason}
+                  onChange={(e) => setMovementForm(prev => ({ ...prev, reason: e.target.value }))}
+                  placeholder="e.g. Transferred to branch, found in store room"
+                  style={{ ...inputStyle, width: '100%' }}
+                  required
+                />
+              </div>
+            )}
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>{movementForm.type === 'purchase' ? 'Supplier / Invoice' : 'Note'}</label>
+              <input
+                type="text"
+                value={movementForm.note}
+                onChange={(e) => setMovementForm(prev => ({ ...prev, note: e.target.value }))}
+                style={{ ...inputStyle, width: '100%' }}
+              />
+            </div>
+
+            {movementForm.type === 'purchase' && canRecordExpenses && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={movementForm.recordExpense}
+                  onChange={(e) => setMovementForm(prev => ({ ...prev, recordExpense: e.target.checked }))}
+                />
+                Record {formatCurrency(roundQuantity(movementForm.quantity) * (Number(movementForm.unitCost) || 0))} as an expense under {INVENTORY_PURCHASE_CATEGORY}
+              </label>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setMovementForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', addMovement.isPending)} disabled={addMovement.isPending}>
+                {addMovement.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDeleteIngredient}
+        title="Remove Ingredient"
+        message={`Remove ${pendingDelete?.name || ''}? Its stock history is kept. Mark it inactive instead if you may stock it again.`}
+        variant="danger"
+      />
+
+      <ConfirmationModal
+        isOpen={confirmCount}
+        onClose={() => setConfirmCount(false)}
+        onConfirm={handleSaveStockTake}
+        title="Save Stock Take"
+        message={`Set ${countSummary.counted} items to their counted quantities? ${countSummary.withVariance} differ from the expected stock (net ${formatCurrency(countSummary.netValue)}).`}
+        confirmText="Save Stock Take"
+        variant="warning"
+      />
+    </div>
+  );
+};
+
+export default InventoryManagement;
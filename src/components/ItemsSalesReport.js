@@ -1,14 +1,20 @@
 import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
-import { ordersAPI } from '../services/api';
+import { ordersAPI, promotionsAPI, refundsAPI, menuItemsAPI, inventoryAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import { useOffline } from '../contexts/OfflineContext';
 import OfflineModal from './OfflineModal';
 import dayjs from 'dayjs';
 import jsPDF from 'jspdf';
-import { FaBox, FaFilePdf } from 'react-icons/fa';
+import { FaBox, FaFilePdf, FaTicketAlt, FaBalanceScale, FaChartLine } from 'react-icons/fa';
+import { normalizePromotionUsage } from '../utils/promotions';
+import { normalizeRefunds, getRefundedItemTotals, getRefundedTotal } from '../utils/refunds';
+import { normalizeIngredients } from '../utils/inventory';
+import { normalizeRecipe, hasRecipe, getFoodCost } from '../utils/recipes';
+import { getOrderItemOptions } from '../utils/menuModifiers';
 import AppliedFiltersBanner from './AppliedFiltersBanner';
 import ScreenLoading from './ScreenLoading';
 import { getDateFilterBannerLabel, isCustomDateRangeApplied } from '../utils/dateFilterBanner';
+import { getBusinessSettings, getCurrencySymbol, getPdfFooterLines } from '../utils/businessSettings';
 import {
   readFilterSession,
   writeFilterSession,
@@ -18,8 +24,8 @@ import {
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 const ItemsSalesReport = () => {
@@ -41,6 +47,10 @@ const ItemsSalesReport = () => {
   }, []);
 
   const [itemsSales, setItemsSales] = useState([]);
+  const [promotionUsage, setPromotionUsage] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [menuItems, setMenuItems] = useState([]);
+  const [ingredients, setIngredients] = useState([]);
   const [loading, setLoading] = useState(true);
   const hasLoadedItemsSalesOnceRef = useRef(false);
   const [error, setError] = useState('');
@@ -118,7 +128,34 @@ const ItemsSalesReport = () => {
         businessEnd: businessEndDate
       });
 
-      const response = await ordersAPI.getItemsSales(params);
+      // Promotion discount cost, refunds and recipe costs are reported alongside; a failure there shouldn't hide item sales
+      const [response, promotionsResponse, refundsResponse, menuResponse, ingredientsResponse] = await Promise.all([
+        // One row per item, size and modifiers sold, so each can be costed by its own recipe
+        ordersAPI.getItemsSales({ ...params, groupBy: 'options' }),
+        promotionsAPI.getUsageReport(params).catch((promoErr) => {
+          console.warn('Failed to load promotions usage', promoErr);
+          return null;
+        }),
+        refundsAPI.getAll({ startDate: businessStartDate, endDate: businessEndDate }).catch((refundErr) => {
+          console.warn('Failed to load refunds', refundErr);
+          return null;
+        }),
+        menuItemsAPI.getAll().catch((menuErr) => {
+          console.warn('Failed to load menu items for recipe costs', menuErr);
+          return null;
+        }),
+        inventoryAPI.getIngredients().catch((ingredientsErr) => {
+          console.warn('Failed to load ingredients for recipe costs', ingredientsErr);
+          return null;
+        })
+      ]);
+      setPromotionUsage(normalizePromotionUsage(promotionsResponse?.data?.data ?? promotionsResponse?.data));
+      const refundsData = refundsResponse?.data?.data ?? refundsResponse?.data;
+      setRefunds(normalizeRefunds(Array.isArray(refundsData) ? refundsData : refundsData?.refunds));
+      const menuData = menuResponse?.data?.data ?? menuResponse?.data;
+      setMenuItems(Array.isArray(menuData) ? menuData : (menuData?.menuItems || menuData?.items || []));
+      const ingredientsData = ingredientsResponse?.data?.data ?? ingredientsResponse?.data;
+      setIngredients(normalizeIngredients(Array.isArray(ingredientsData) ? ingredientsData : ingredientsData?.ingredients));
 
       // Handle wrapped response format {success: true, data: [...]}
       const salesData = response.data.data || response.data;
@@ -209,6 +246,7 @@ const ItemsSalesReport = () => {
       const quantity = parseFloat(item.quantity) || 0;
       const revenue = parseFloat(item.totalRevenue || item.total_revenue) || 0;
       const price = quantity > 0 ? revenue / quantity : 0;
+      const unitCost = getRowUnitCost(item);
 
       if (itemsMap[itemName]) {
         itemsMap[itemName].quantity += quantity;
@@ -225,16 +263,72 @@ const ItemsSalesReport = () => {
           price: price
         };
       }
+      if (unitCost !== undefined) {
+        itemsMap[itemName].sold_cogs = (itemsMap[itemName].sold_cogs || 0) + unitCost * quantity;
+        itemsMap[itemName].costed_quantity = (itemsMap[itemName].costed_quantity || 0) + quantity;
+      }
+    });
+
+    // Net off items refunded in the same range (including refunds on orders from earlier days)
+    Object.entries(getRefundedItemTotals(refunds)).forEach(([itemName, refunded]) => {
+      const entry = itemsMap[itemName] || { item_name: itemName, quantity: 0, total_revenue: 0, price: 0 };
+      entry.quantity -= refunded.quantity;
+      entry.total_revenue -= refunded.amount;
+      entry.refunded_quantity = refunded.quantity;
+      entry.refunded_amount = refunded.amount;
+      itemsMap[itemName] = entry;
+    });
+
+    // Theoretical cost of goods: each size and modifier combination sold at its recipe's
+    // cost today; refunded portions come off at the item's average cost per portion
+    Object.values(itemsMap).forEach(entry => {
+      const refundedQuantity = entry.refunded_quantity || 0;
+      let unitCost;
+      if (entry.sold_cogs !== undefined) {
+        unitCost = entry.costed_quantity > 0 ? entry.sold_cogs / entry.costed_quantity : 0;
+        entry.cogs = entry.sold_cogs - unitCost * refundedQuantity;
+      } else {
+        // Refunded in this range but not sold in it: cost at the base recipe
+        unitCost = getRowUnitCost({ itemName: entry.item_name });
+        if (unitCost === undefined) return;
+        entry.cogs = unitCost * entry.quantity;
+      }
+      entry.gross_profit = entry.total_revenue - entry.cogs;
     });
 
     return Object.values(itemsMap).sort((a, b) => b.quantity - a.quantity);
   };
 
+  // Cost of one portion of a sales row: its menu item (by id, else name) and the size and
+  // modifiers on the row; undefined when the item has no recipe
+  const getRowUnitCost = useMemo(() => {
+    const ingredientsById = new Map(ingredients.map(i => [String(i.id), i]));
+    const byId = new Map(menuItems.map(item => [String(item.id), item]));
+    const byName = new Map(menuItems.filter(item => item?.name).map(item => [item.name, item]));
+    return (row) => {
+      const menuItemId = row.menuItemId ?? row.menu_item_id;
+      const menuItem = (menuItemId !== undefined && menuItemId !== null && byId.get(String(menuItemId)))
+        || byName.get(row.itemName || row.item_name);
+      if (!menuItem) return undefined;
+      const recipe = normalizeRecipe(menuItem);
+      if (!hasRecipe(recipe)) return undefined;
+      return getFoodCost(recipe, ingredientsById, getOrderItemOptions(row));
+    };
+  }, [menuItems, ingredients]);
+
   const aggregatedItems = aggregateItemsSales();
   const totalQuantity = aggregatedItems.reduce((total, item) => total + (parseFloat(item.quantity) || 0), 0);
   const totalRevenue = aggregatedItems.reduce((total, item) => total + (parseFloat(item.total_revenue) || 0), 0);
   const uniqueItems = aggregatedItems.length;
   const averagePrice = totalQuantity > 0 ? totalRevenue / totalQuantity : 0;
+  const totalPromotionDiscount = promotionUsage.reduce((total, promo) => total + promo.amount, 0);
+  const totalRefunded = getRefundedTotal(refunds);
+  const costedItems = aggregatedItems.filter(item => item.cogs !== undefined);
+  const totalCogs = costedItems.reduce((total, item) => total + item.cogs, 0);
+  const costedRevenue = costedItems.reduce((total, item) => total + item.total_revenue, 0);
+  const totalGrossProfit = costedRevenue - totalCogs;
+  const grossMarginPercent = costedRevenue > 0 ? Math.round((totalGrossProfit / costedRevenue) * 1000) / 10 : null;
+  const uncostedCount = aggregatedItems.length - costedItems.length;
 
   // Export PDF function
   const handleExportPDF = () => {
@@ -262,7 +356,7 @@ const ItemsSalesReport = () => {
 
       doc.setFontSize(12);
       doc.setFont('helvetica', 'normal');
-      doc.text('Flamex', pageWidth / 2, yPosition, { align: 'center' });
+      doc.text(getBusinessSettings().name, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += lineHeight * 2;
 
       // Date Range - Show business day range (4am to 4am)
@@ -313,10 +407,52 @@ const ItemsSalesReport = () => {
       yPosition += lineHeight;
       doc.text(`Total Revenue: ${formatCurrency(totalRevenue)}`, margin, yPosition);
       yPosition += lineHeight;
+      if (refunds.length > 0) {
+        doc.text(`Refunds: -${formatCurrency(totalRefunded)} (${refunds.length} refunds, net of item revenue above)`, margin, yPosition);
+        yPosition += lineHeight;
+      }
       doc.text(`Unique Items: ${uniqueItems}`, margin, yPosition);
       yPosition += lineHeight;
       doc.text(`Average Price: ${formatCurrency(averagePrice)}`, margin, yPosition);
-      yPosition += sectionSpacing * 2;
+      yPosition += lineHeight;
+      if (costedItems.length > 0) {
+        doc.text(`Cost of Goods: ${formatCurrency(totalCogs)}`, margin, yPosition);
+        yPosition += lineHeight;
+        doc.text(`Gross Profit: ${formatCurrency(totalGrossProfit)}${grossMarginPercent !== null ? ` (${grossMarginPercent}% margin)` : ''}`, margin, yPosition);
+        yPosition += lineHeight;
+        doc.setFontSize(8);
+        doc.text(
+          `Theoretical, from current recipes and ingredient costs${uncostedCount > 0 ? `; ${uncostedCount} items without a recipe excluded` : ''}`,
+          margin,
+          yPosition
+        );
+        doc.setFontSize(10);
+        yPosition += lineHeight;
+      }
+      yPosition += sectionSpacing;
+
+      if (promotionUsage.length > 0) {
+        checkPageBreak(30);
+        doc.setLineWidth(0.5);
+        doc.line(margin, yPosition, pageWidth - margin, yPosition);
+        yPosition += sectionSpacing;
+
+        doc.setFontSize(14);
+        doc.setFont('helvetica', 'bold');
+        doc.text('PROMOTIONS', margin, yPosition);
+        yPosition += lineHeight * 1.5;
+
+        doc.setFontSize(10);
+        doc.setFont('helvetica', 'normal');
+        promotionUsage.forEach(promo => {
+          checkPageBreak(lineHeight);
+          doc.text(`${promo.name}${promo.code ? ` (${promo.code})` : ''} - ${promo.orders} orders: ${formatCurrency(promo.amount)}`, margin, yPosition);
+          yPosition += lineHeight;
+        });
+        doc.setFont('helvetica', 'bold');
+        doc.text(`Total Discount Cost: ${formatCurrency(totalPromotionDiscount)}`, margin, yPosition);
+        yPosition += sectionSpacing * 2;
+      }
 
       // Items List
       checkPageBreak(30);
@@ -348,6 +484,14 @@ const ItemsSalesReport = () => {
           yPosition += lineHeight;
           doc.text(`Price: ${formatCurrency(item.price || 0)}`, margin + 5, yPosition);
           yPosition += lineHeight;
+          if (item.refunded_quantity) {
+            doc.text(`Refunded: ${item.refunded_quantity} (-${formatCurrency(item.refunded_amount)})`, margin + 5, yPosition);
+            yPosition += lineHeight;
+          }
+          if (item.cogs !== undefined) {
+            doc.text(`COGS: ${formatCurrency(item.cogs)}  Gross Profit: ${formatCurrency(item.gross_profit)}`, margin + 5, yPosition);
+            yPosition += lineHeight;
+          }
           doc.setFont('helvetica', 'bold');
           doc.text(`Revenue: ${formatCurrency(item.total_revenue || 0)}`, margin + 5, yPosition);
           yPosition += sectionSpacing;
@@ -368,10 +512,10 @@ const ItemsSalesReport = () => {
 
       doc.setFontSize(9);
       doc.setFont('helvetica', 'normal');
-      doc.text('Easypaisa: 03307072222', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
-      doc.text('Abdullah Saleem', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
+      getPdfFooterLines().forEach(line => {
+        doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += lineHeight;
+      });
       doc.setFont('helvetica', 'bold');
       doc.text('THANK YOU!', pageWidth / 2, yPosition, { align: 'center' });
 
@@ -470,7 +614,9 @@ const ItemsSalesReport = () => {
           }}>
             <div style={{ fontSize: '0.9rem', opacity: 0.9 }}>Total Revenue</div>
             <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{formatCurrency(totalRevenue)}</div>
-            <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>{aggregatedItems.length} items</div>
+            <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>
+              {refunds.length > 0 ? `Net of ${formatCurrency(totalRefunded)} refunds` : `${aggregatedItems.length} items`}
+            </div>
           </div>
 
           {/* Average Price */}
@@ -489,6 +635,48 @@ const ItemsSalesReport = () => {
             <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{formatCurrency(averagePrice)}</div>
             <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>Per item</div>
           </div>
+
+          {costedItems.length > 0 && (
+            <>
+              {/* Cost of Goods */}
+              <div style={{
+                background: 'linear-gradient(135deg, #fd7e14 0%, #d9630b 100%)',
+                padding: '1.5rem',
+                borderRadius: '12px',
+                color: 'white',
+                boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                minHeight: '140px',
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'space-between'
+              }}>
+                <div style={{ fontSize: '0.9rem', opacity: 0.9 }}><FaBalanceScale /> Cost of Goods</div>
+                <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{formatCurrency(totalCogs)}</div>
+                <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>
+                  {uncostedCount > 0 ? `${uncostedCount} items without a recipe` : 'From current recipes'}
+                </div>
+              </div>
+
+              {/* Gross Profit */}
+              <div style={{
+                background: 'linear-gradient(135deg, #20c997 0%, #17a589 100%)',
+                padding: '1.5rem',
+                borderRadius: '12px',
+                color: 'white',
+                boxShadow: '0 4px 12px rgba(0,0,0,0.1)',
+                minHeight: '140px',
+                display: 'flex',
+                flexDirection: 'column',
+                justifyContent: 'space-between'
+              }}>
+                <div style={{ fontSize: '0.9rem', opacity: 0.9 }}><FaChartLine /> Gross Profit</div>
+                <div style={{ fontSize: '2rem', fontWeight: 'bold' }}>{formatCurrency(totalGrossProfit)}</div>
+                <div style={{ fontSize: '1.1rem', opacity: 0.9 }}>
+                  {grossMarginPercent !== null ? `${grossMarginPercent}% margin` : 'On costed items'}
+                </div>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Date Filters */}
@@ -688,15 +876,33 @@ const ItemsSalesReport = () => {
                   <th style={{ textAlign: 'center', padding: '1rem', fontWeight: '600', color: '#495057' }}>Quantity</th>
                   <th style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#495057' }}>Price</th>
                   <th style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#495057' }}>Total Revenue</th>
+                  <th style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#495057' }}>COGS</th>
+                  <th style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#495057' }}>Gross Profit</th>
                 </tr>
               </thead>
               <tbody>
                 {aggregatedItems.map((item, index) => (
                   <tr key={index} style={{ borderBottom: '1px solid #e2e8f0' }}>
                     <td style={{ padding: '1rem', fontWeight: '600', color: '#2d3748' }}>{item.item_name}</td>
-                    <td style={{ textAlign: 'center', padding: '1rem', color: '#495057' }}>{item.quantity}</td>
+                    <td style={{ textAlign: 'center', padding: '1rem', color: '#495057' }}>
+                      {item.quantity}
+                      {item.refunded_quantity > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: '#dc3545' }}>{item.refunded_quantity} refunded</div>
+                      )}
+                    </td>
                     <td style={{ textAlign: 'right', padding: '1rem', color: '#495057' }}>{formatCurrency(item.price)}</td>
                     <td style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#2d3748' }}>{formatCurrency(item.total_revenue)}</td>
+                    <td style={{ textAlign: 'right', padding: '1rem', color: '#495057' }}>
+                      {item.cogs !== undefined ? formatCurrency(item.cogs) : <span style={{ color: '#6c757d' }}>No recipe</span>}
+                    </td>
+                    <td style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: item.gross_profit < 0 ? '#dc3545' : '#2d3748' }}>
+                      {item.cogs !== undefined ? formatCurrency(item.gross_profit) : '-'}
+                      {item.cogs !== undefined && item.total_revenue > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: '#6c757d', fontWeight: 'normal' }}>
+                          {Math.round((item.gross_profit / item.total_revenue) * 1000) / 10}%
+                        </div>
+                      )}
+                    </td>
                   </tr>
                 ))}
               </tbody>
@@ -706,6 +912,56 @@ const ItemsSalesReport = () => {
                   <td style={{ textAlign: 'center', padding: '1rem', color: '#2d3748' }}>{totalQuantity}</td>
                   <td style={{ textAlign: 'right', padding: '1rem', color: '#6c757d' }}>-</td>
                   <td style={{ textAlign: 'right', padding: '1rem', color: '#2d3748' }}>{formatCurrency(totalRevenue)}</td>
+                  <td style={{ textAlign: 'right', padding: '1rem', color: '#2d3748' }}>{costedItems.length > 0 ? formatCurrency(totalCogs) : '-'}</td>
+                  <td style={{ textAlign: 'right', padding: '1rem', color: '#2d3748' }}>{costedItems.length > 0 ? formatCurrency(totalGrossProfit) : '-'}</td>
+                </tr>
+              </tfoot>
+            </table>
+            <div style={{ marginTop: '0.75rem', fontSize: '0.8rem', color: '#6c757d' }}>
+              COGS is theoretical: each size and modifier combination sold times its recipe at current ingredient costs. Gross profit totals cover items with a recipe only.
+            </div>
+          </div>
+        )}
+
+        {/* Promotions — discount cost per promotion for the same range */}
+        {!loading && !error && promotionUsage.length > 0 && (
+          <div style={{
+            background: 'white',
+            padding: '1.5rem',
+            borderRadius: '12px',
+            boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+            marginTop: '1.5rem'
+          }}>
+            <h3 style={{ marginTop: 0, marginBottom: '1rem', color: '#2d3748' }}>
+              <FaTicketAlt style={{ marginRight: '0.5rem' }} /> Promotions
+            </h3>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <th style={{ textAlign: 'left', padding: '1rem', fontWeight: '600', color: '#495057' }}>Promotion</th>
+                  <th style={{ textAlign: 'center', padding: '1rem', fontWeight: '600', color: '#495057' }}>Orders</th>
+                  <th style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#495057' }}>Discount Cost</th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotionUsage.map(promo => (
+                  <tr key={promo.promotionId || promo.name} style={{ borderBottom: '1px solid #e2e8f0' }}>
+                    <td style={{ padding: '1rem', fontWeight: '600', color: '#2d3748' }}>
+                      {promo.name}
+                      {promo.code && <span style={{ marginLeft: '0.5rem', color: '#6c757d', fontWeight: 'normal' }}>({promo.code})</span>}
+                    </td>
+                    <td style={{ textAlign: 'center', padding: '1rem', color: '#495057' }}>{promo.orders}</td>
+                    <td style={{ textAlign: 'right', padding: '1rem', fontWeight: '600', color: '#2d3748' }}>{formatCurrency(promo.amount)}</td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot>
+                <tr style={{ background: '#f8f9fa', fontWeight: 'bold' }}>
+                  <td style={{ padding: '1rem', color: '#2d3748' }}>TOTAL</td>
+                  <td style={{ textAlign: 'center', padding: '1rem', color: '#2d3748' }}>
+                    {promotionUsage.reduce((total, promo) => total + promo.orders, 0)}
+                  </td>
+                  <td style={{ textAlign: 'right', padding: '1rem', color: '#2d3748' }}>{formatCurrency(totalPromotionDiscount)}</td>
                 </tr>
               </tfoot>
             </table>
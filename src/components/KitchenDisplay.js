@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ordersAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { isOnline } from '../services/offlineSyncService';
+import { broadcastOrderUpdated, subscribeToOrderUpdates, subscribeToOrderCreated } from '../utils/multiTabSync';
+import { getOrderDuration, getDurationColor } from '../utils/orderTiming';
+import { getTableLabel } from '../utils/floorPlan';
+import {
+  buildKitchenTicket,
+  isKitchenOrder,
+  getDoneItems,
+  toggleDoneItem,
+  pruneDoneItems,
+  getRecalledTickets,
+  pushBumpedTicket,
+  removeBumpedTicket
+} from '../utils/kitchenTickets';
+import OfflineIndicator from './OfflineIndicator';
+import ScreenLoading from './ScreenLoading';
+import { FaFire, FaCheck, FaUndo, FaPlay, FaUtensils, FaTruck, FaCheckCircle, FaRegCircle } from 'react-icons/fa';
+
+const REFRESH_INTERVAL_MS = 20000;
+const CLOCK_INTERVAL_MS = 30000;
+
+const unwrapList = (res) => {
+  const data = res.data?.data ?? res.data;
+  return Array.isArray(data) ? data : (data?.orders || []);
+};
+
+/** Items embedded in the order, else fetched once and kept in `cache` while the ticket is open. */
+const loadTicketItems = async (order, cache) => {
+  const embedded = order.orderItems || order.order_items || order.items;
+  if (Array.isArray(embedded) && embedded.length > 0) return embedded;
+  const cached = cache.get(String(order.id));
+  if (cached) return cached;
+  try {
+    const res = await ordersAPI.getOrderItems(order.id);
+    const items = res.data?.data ?? res.data ?? [];
+    const list = Array.isArray(items) ? items : [];
+    cache.set(String(order.id), list);
+    return list;
+  } catch (err) {
+    console.warn('[KitchenDisplay] Failed to load items for order', order.id, err);
+    return [];
+  }
+};
+
+const cardButtonStyle = (background) => ({
+  flex: 1,
+  padding: '0.6rem',
+  border: 'none',
+  borderRadius: '8px',
+  background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: '0.35rem'
+});
+
+/**
+ * Kitchen display: a live grid of tickets for open dine-in and delivery orders.
+ *
+ * Cards are coloured by waiting time, items can be ticked off as they are plated,
+ * and bumping a ticket marks the order `ready` so the dine-in and delivery boards
+ * update. Recently bumped tickets can be recalled back onto the screen.
+ */
+const KitchenDisplay = () => {
+  const { showSuccess, showError } = useToast();
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [online, setOnline] = useState(true);
+  const [now, setNow] = useState(() => new Date());
+  const [doneItems, setDoneItems] = useState(() => getDoneItems());
+  const [recalled, setRecalled] = useState(() => getRecalledTickets());
+  const [showRecall, setShowRecall] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const itemsCacheRef = useRef(new Map());
+
+  const fetchTickets = useCallback(async () => {
+    setNow(new Date());
+    const connected = await isOnline();
+    setOnline(connected);
+    if (!connected) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const responses = await Promise.all([
+        ordersAPI.getDineInOrders({ status: 'pending' }),
+        ordersAPI.getDineInOrders({ status: 'preparing' }),
+        ordersAPI.getDeliveryOrders({ status: 'pending' }),
+        ordersAPI.getDeliveryOrders({ status: 'preparing' })
+      ]);
+      const byId = new Map();
+      responses.flatMap(unwrapList).filter(isKitchenOrder).forEach(order => byId.set(String(order.id), order));
+      const orders = [...byId.values()]
+        .sort((a, b) => new Date(a.created_at || a.createdAt) - new Date(b.created_at || b.createdAt));
+
+      const nextTickets = await Promise.all(orders.map(async order =>
+        buildKitchenTicket(order, await loadTicketItems(order, itemsCacheRef.current))
+      ));
+      setTickets(nextTickets);
+      setDoneItems(pruneDoneItems(nextTickets.map(t => t.id)));
+      // Forget item lists for orders that have left the screen
+      const activeIds = new Set(nextTickets.map(t => String(t.id)));
+      [...itemsCacheRef.current.keys()].forEach(id => {
+        if (!activeIds.has(id)) itemsCacheRef.current.delete(id);
+      });
+    } catch (err) {
+      console.warn('[KitchenDisplay] Failed to fetch kitchen orders:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTickets();
+    const refresh = setInterval(fetchTickets, REFRESH_INTERVAL_MS);
+    const clock = setInterval(() => setNow(new Date()), CLOCK_INTERVAL_MS);
+    const events = ['orderCreated', 'orderUpdated'];
+    events.forEach(name => window.addEventListener(name, fetchTickets));
+    const unsubscribeUpdates = subscribeToOrderUpdates(fetchTickets);
+    const unsubscribeCreated = subscribeToOrderCreated(fetchTickets);
+    return () => {
+      clearInterval(refresh);
+      clearInterval(clock);
+      events.forEach(name => window.removeEventListener(name, fetchTickets));
+      unsubscribeUpdates();
+      unsubscribeCreated();
+    };
+  }, [fetchTickets]);
+
+  const setOrderStatus = async (ticket, newStatus) => {
+    await ordersAPI.updateOrderStatus(ticket.id, newStatus);
+    const detail = { orderType: ticket.orderType, orderId: ticket.id, newStatus };
+    window.dispatchEvent(new CustomEvent('orderUpdated', { detail }));
+    broadcastOrderUpdated(detail);
+  };
+
+  const handleStart = async (ticket) => {
+    setBusyId(ticket.id);
+    try {
+      await setOrderStatus(ticket, 'preparing');
+      setTickets(prev => prev.map(t => (t.id === ticket.id ? { ...t, status: 'preparing' } : t)));
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to update order status');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleBump = async (ticket) => {
+    setBusyId(ticket.id);
+    try {
+      await setOrderStatus(ticket, 'ready');
+      setTickets(prev => prev.filter(t => t.id !== ticket.id));
+      setRecalled(pushBumpedTicket(ticket));
+      showSuccess(`Order #${ticket.orderNumber} is ready`);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to bump order');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRecall = async (ticket) => {
+    setBusyId(ticket.id);
+    try {
+      await setOrderStatus(ticket, 'preparing');
+      setRecalled(removeBumpedTicket(ticket.id));
+      setTickets(prev => [...prev.filter(t => t.id !== ticket.id), { ...ticket, status: 'preparing' }]
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt)));
+      showSuccess(`Order #${ticket.orderNumber} recalled`);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to recall order');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleItem = (ticket, itemKey) => {
+    setDoneItems(toggleDoneItem(ticket.id, itemKey));
+  };
+
+  const renderTicket = (ticket) => {
+    const color = getDurationColor(ticket.createdAt, now);
+    const done = new Set(doneItems[String(ticket.id)] || []);
+    const allDone = ticket.items.length > 0 && ticket.items.every(item => done.has(item.key));
+    const isDelivery = ticket.orderType === 'delivery';
+    const busy = busyId === ticket.id;
+
+    return (
+      <div
+        key={ticket.id}
+        style={{
+          background: 'white',
+          borderRadius: '12px',
+          borderTop: `8px solid ${color}`,
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ padding: '0.75rem 1rem', borderBottom: '1px solid #e9ecef' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <strong style={{ fontSize: '1.2rem' }}>#{ticket.orderNumber}</strong>
+            <span style={{ color, fontWeight: 700, fontSize: '1.1rem' }}>{getOrderDuration(ticket.createdAt, now)}</span>
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.25rem', color: '#495057', fontSize: '0.9rem' }}>
+            <span style={{ display: 'inline-flex', alignItems: 'center', gap: '0.35rem' }}>
+              {isDelivery ? <FaTruck /> : <FaUtensils />}
+              {isDelivery ? (ticket.customerName || 'Delivery') : getTableLabel(ticket.tableNumber)}
+            </span>
+            <span style={{
+              padding: '0.15rem 0.5rem',
+              borderRadius: '999px',
+              fontSize: '0.75rem',
+              fontWeight: 600,
+              background: ticket.status === 'preparing' ? '#fff3cd' : '#e2e3e5',
+              color: ticket.status === 'preparing' ? '#856404' : '#495057',
+              textTransform: 'capitalize'
+            }}>
+              {ticket.status}
+            </span>
+          </div>
+        </div>
+
+        <div style={{ padding: '0.5rem 1rem', flex: 1 }}>
+          {ticket.items.length === 0 && (
+            <p style={{ color: '#6c757d', margin: '0.5rem 0' }}>No items loaded</p>
+          )}
+          {ticket.items.map(item => {
+            const isDone = done.has(item.key);
+            return (
+              <button
+                key={item.key}
+                type="button"
+                onClick={() => handleToggleItem(ticket, item.key)}
+                style={{
+                  width: '100%',
+                  display: 'flex',
+                  alignItems: 'flex-start',
+                  gap: '0.5rem',
+                  padding: '0.4rem 0',
+                  border: 'none',
+                  borderBottom: '1px dashed #e9ecef',
+                  background: 'transparent',
+                  textAlign: 'left',
+                  cursor: 'pointer',
+                  color: isDone ? '#adb5bd' : '#212529'
+                }}
+              >
+                <span style={{ marginTop: '0.15rem', color: isDone ? '#28a745' : '#adb5bd' }}>
+                  {isDone ? <FaCheckCircle /> : <FaRegCircle />}
+                </span>
+                <span style={{ flex: 1, textDecoration: isDone ? 'line-through' : 'none' }}>
+                  <strong>{item.quantity}×</strong> {item.name}
+                  {item.options.map(line => (
+                    <span key={line} style={{ display: 'block', fontSize: '0.8rem', color: '#6c757d' }}>&gt; {line}</span>
+                  ))}
+                </span>
+              </button>
+            );
+          })}
+          {ticket.specialInstructions && (
+            <div style={{ marginTop: '0.5rem', padding: '0.5rem', background: '#fff3cd', borderRadius: '6px', fontSize: '0.85rem' }}>
+              {ticket.specialInstructions}
+            </div>
+          )}
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', padding: '0.75rem 1rem', borderTop: '1px solid #e9ecef' }}>
+          {ticket.status === 'pending' && (
+            <button type="button" style={cardButtonStyle('#17a2b8')} disabled={busy || !online} onClick={() => handleStart(ticket)}>
+              <FaPlay /> Start
+            </button>
+          )}
+          <button
+            type="button"
+            style={cardButtonStyle(allDone ? '#28a745' : '#495057')}
+            disabled={busy || !online}
+            onClick={() => handleBump(ticket)}
+          >
+            <FaCheck /> {busy ? 'Updating...' : 'Bump'}
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  if (loading) {
+    return <ScreenLoading label="Loading kitchen orders..." />;
+  }
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1600px', margin: '0 auto' }}>
+      <OfflineIndicator />
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h1 style={{ margin: 0, color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <FaFire /> Kitchen
+        </h1>
+        <span style={{ color: '#6c757d' }}>{tickets.length} open ticket{tickets.length === 1 ? '' : 's'}</span>
+        <button
+          type="button"
+          onClick={() => setShowRecall(prev => !prev)}
+          style={{
+            marginLeft: 'auto',
+            padding: '0.5rem 1rem',
+            borderRadius: '8px',
+            border: '2px solid #6c757d',
+            background: showRecall ? '#6c757d' : 'white',
+            color: showRecall ? 'white' : '#495057',
+            fontWeight: 600,
+            cursor: 'pointer',
+            display: 'flex',
+            alignItems: 'center',
+            gap: '0.35rem'
+          }}
+        >
+          <FaUndo /> Recall ({recalled.length})
+        </button>
+      </div>
+
+      {!online && (
+        <div style={{ background: '#fff3cd', color: '#856404', padding: '0.75rem 1rem', borderRadius: '8px', marginBottom: '1rem' }}>
+          You are offline. Tickets will refresh and bumping will be available once the connection is back.
+        </div>
+      )}
+
+      {showRecall && (
+        <div style={{ background: 'white', borderRadius: '12px', padding: '1rem', marginBottom: '1.5rem', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
+          <h3 style={{ marginTop: 0 }}>Recently Bumped</h3>
+          {recalled.length === 0 ? (
+            <p style={{ color: '#6c757d', margin: 0 }}>No bumped tickets yet.</p>
+          ) : (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+              {recalled.map(ticket => (
+                <div key={ticket.id} style={{ display: 'flex', alignItems: 'center', gap: '1rem', padding: '0.5rem 0', borderBottom: '1px solid #e9ecef' }}>
+                  <strong>#{ticket.orderNumber}</strong>
+                  <span style={{ color: '#495057' }}>
+                    {ticket.orderType === 'delivery' ? (ticket.customerName || 'Delivery') : getTableLabel(ticket.tableNumber)}
+                  </span>
+                  <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>
+                    {ticket.items.reduce((sum, item) => sum + item.quantity, 0)} items · bumped {getOrderDuration(ticket.bumpedAt, now)} ago
+                  </span>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    style={{ marginLeft: 'auto' }}
+                    disabled={busyId === ticket.id || !online}
+                    onClick={() => handleRecall(ticket)}
+                  >
+                    <FaUndo /> Recall
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {tickets.length === 0 ? (
+        <div style={{ background: 'white', padding: '3rem', borderRadius: '12px', textAlign: 'center', color: '#6c757d' }}>
+          No open tickets. New dine-in and delivery orders will appear here.
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '1rem', alignItems: 'start' }}>
+          {tickets.map(renderTicket)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default KitchenDisplay;
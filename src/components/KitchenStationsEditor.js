@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getKitchenStations, normalizeKitchenStations, validateKitchenStations } from '../utils/kitchenStations';
+import { loadKitchenStations, saveKitchenStations } from '../services/businessInfoService';
+import { generateOptionId } from '../utils/menuModifiers';
+
+const getCategoryId = (item) => item.categoryId ?? item.category_id ?? item.category?.id ?? null;
+
+/** Remove keys whose value is empty so "use default" doesn't get stored. */
+const setAssignment = (map, key, stationId) => {
+  const next = { ...map };
+  if (stationId) {
+    next[String(key)] = stationId;
+  } else {
+    delete next[String(key)];
+  }
+  return next;
+};
+
+/**
+ * Admin editor for kitchen prep stations. Categories are routed to a station, and
+ * individual menu items can override their category (e.g. a drink kept in "Deals"
+ * that should still print at the bar).
+ */
+const KitchenStationsEditor = ({ categories = [], menuItems = [] }) => {
+  const { showSuccess, showError } = useToast();
+  const [config, setConfig] = useState(() => getKitchenStations());
+  const [itemSearch, setItemSearch] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadKitchenStations().then(loaded => {
+      if (!cancelled) setConfig(loaded);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const stationNames = useMemo(() => new Map(config.stations.map(s => [s.id, s.name])), [config.stations]);
+  const defaultStationName = config.stations[0]?.name || '';
+
+  const filteredItems = useMemo(() => {
+    const q = itemSearch.trim().toLowerCase();
+    return menuItems.filter(item => {
+      if (!q) return true;
+      const categoryName = String(item.category?.name || item.category_name || '').toLowerCase();
+      return String(item.name || '').toLowerCase().includes(q) || categoryName.includes(q);
+    });
+  }, [menuItems, itemSearch]);
+
+  const handleAddStation = () => {
+    setConfig(prev => ({
+      ...prev,
+      stations: [...prev.stations, { id: generateOptionId('station'), name: '' }]
+    }));
+  };
+
+  const handleRenameStation = (stationId, name) => {
+    setConfig(prev => ({
+      ...prev,
+      stations: prev.stations.map(s => (s.id === stationId ? { ...s, name } : s))
+    }));
+  };
+
+  // Assignments to a removed station fall back to the default station
+  const handleRemoveStation = (stationId) => {
+    const dropStation = (map) => Object.fromEntries(Object.entries(map).filter(([, id]) => id !== stationId));
+    setConfig(prev => ({
+      stations: prev.stations.filter(s => s.id !== stationId),
+      categoryStations: dropStation(prev.categoryStations),
+      itemStations: dropStation(prev.itemStations)
+    }));
+  };
+
+  const handleSave = async () => {
+    const error = validateKitchenStations(config);
+    if (error) {
+      showError(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveKitchenStations(normalizeKitchenStations(config));
+      setConfig(saved);
+      showSuccess('Kitchen stations saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save kitchen stations');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const stationSelect = (value, onChange, placeholder) => (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)}>
+      <option value="">{placeholder}</option>
+      {config.stations.map(station => (
+        <option key={station.id} value={station.id}>{station.name || 'Unnamed station'}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="kitchen-stations-tab">
+      <div className="tab-header">
+        <h1>Kitchen Stations</h1>
+        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : 'Save Stations'}
+        </button>
+      </div>
+
+      <div className="settings-section">
+        <h2>Stations</h2>
+        <p>Each station gets its own kitchen ticket with only its items. Unassigned items print at the first station.</p>
+        {config.stations.map((station, idx) => (
+          <div key={station.id} style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+            <input
+              type="text"
+              placeholder="e.g. BBQ Counter"
+              value={station.name}
+              onChange={(e) => handleRenameStation(station.id, e.target.value)}
+              style={{ flex: 1, maxWidth: '320px' }}
+            />
+            {idx === 0 && <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>Default</span>}
+            <button type="button" className="btn-delete" onClick={() => handleRemoveStation(station.id)}>Remove</button>
+          </div>
+        ))}
+        {config.stations.length === 0 && (
+          <p style={{ color: '#6c757d' }}>No stations yet. Kitchen orders print as a single ticket.</p>
+        )}
+        <button type="button" className="btn-secondary" onClick={handleAddStation}>+ Add Station</button>
+      </div>
+
+      {config.stations.length > 0 && (
+        <>
+          <div className="settings-section">
+            <h2>Categories</h2>
+            <div className="table-responsive">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Category</th>
+                    <th>Station</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {categories.length > 0 ? categories.map(category => (
+                    <tr key={category.id}>
+                      <td>{category.name}</td>
+                      <td>
+                        {stationSelect(
+                          config.categoryStations[String(category.id)],
+                          (stationId) => setConfig(prev => ({
+                            ...prev,
+                            categoryStations: setAssignment(prev.categoryStations, category.id, stationId)
+                          })),
+                          `Default (${defaultStationName || 'first station'})`
+                        )}
+                      </td>
+                    </tr>
+                  )) : (
+                    <tr>
+                      <td colSpan="2" style={{ textAlign: 'center', color: '#6c757d' }}>No categories found</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <h2>Menu Item Overrides</h2>
+            <div className="form-group" style={{ maxWidth: '320px' }}>
+              <input
+                type="text"
+                placeholder="Search items or categories..."
+                value={itemSearch}
+                onChange={(e) => setItemSearch(e.target.value)}
+              />
+            </div>
+            <div className="table-responsive">
+              <table className="data-table">
+                <thead>
+                  <tr>
+                    <th>Item</th>
+                    <th>Category</th>
+                    <th>Station</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredItems.length > 0 ? filteredItems.map(item => {
+                    const categoryStationId = config.categoryStations[String(getCategoryId(item))];
+                    const inherited = stationNames.get(categoryStationId) || defaultStationName;
+                    return (
+                      <tr key={item.id}>
+                        <td>{item.name}</td>
+                        <td>{item.category?.name || item.category_name || 'Uncategorized'}</td>
+                        <td>
+                          {stationSelect(
+                            config.itemStations[String(item.id)],
+                            (stationId) => setConfig(prev => ({
+                              ...prev,
+                              itemStations: setAssignment(prev.itemStations, item.id, stationId)
+                            })),
+                            `From category (${inherited})`
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  }) : (
+                    <tr>
+                      <td colSpan="3" style={{ textAlign: 'center', color: '#6c757d' }}>No menu items found</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default KitchenStationsEditor;
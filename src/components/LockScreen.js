@@ -0,0 +1,246 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { FaBackspace, FaLock, FaUserCircle } from 'react-icons/fa';
+import dayjs from 'dayjs';
+import { loadPinUsers, signInWithPin } from '../services/pinLoginService';
+import { clockWithPin } from '../services/attendanceService';
+import { getCachedPinUsers, isValidPin, sanitizePin, PIN_MIN_LENGTH, PIN_MAX_LENGTH } from '../utils/terminalLock';
+import { getRoleName } from '../utils/permissions';
+import { getBusinessLogoUrl } from '../utils/businessSettings';
+import './Login.css';
+
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'back'];
+
+const tileStyle = (selected) => ({
+  display: 'flex',
+  flexDirection: 'column',
+  alignItems: 'center',
+  gap: '0.35rem',
+  padding: '0.9rem 0.5rem',
+  border: `2px solid ${selected ? 'var(--color-primary)' : '#e0e0e0'}`,
+  borderRadius: '10px',
+  background: selected ? '#fff8f0' : 'white',
+  cursor: 'pointer',
+  minWidth: 0
+});
+
+const keyStyle = {
+  padding: '0.9rem 0',
+  fontSize: '1.35rem',
+  fontWeight: 600,
+  border: '1px solid #e0e0e0',
+  borderRadius: '10px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+const clockButtonStyle = {
+  flex: 1,
+  padding: '0.7rem',
+  border: '1px solid #ced4da',
+  borderRadius: '8px',
+  background: 'white',
+  color: '#333',
+  fontWeight: 600,
+  cursor: 'pointer'
+};
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  color: 'var(--color-primary)',
+  cursor: 'pointer',
+  fontSize: '14px',
+  textDecoration: 'underline',
+  padding: 0
+};
+
+/**
+ * User tiles and a PIN pad for shared terminals. Shown as the sign-in screen when this
+ * terminal knows PIN users, and over the open portal (`overlay`) when the terminal is
+ * locked, so the portal and its carts stay mounted underneath. Staff also clock in and
+ * out here with the same PIN.
+ */
+const LockScreen = ({ lockedUser = null, overlay = false, onUnlock, onUsePassword }) => {
+  const [users, setUsers] = useState(getCachedPinUsers);
+  const [selectedId, setSelectedId] = useState(lockedUser?.id ?? null);
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [verifying, setVerifying] = useState(false);
+  const logoUrl = getBusinessLogoUrl('logo.png');
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPinUsers().then(list => {
+      if (!cancelled) setUsers(list);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const selectedUser = users.find(u => String(u.id) === String(selectedId)) || null;
+
+  const submit = useCallback(async () => {
+    if (!selectedUser || verifying) return;
+    if (!isValidPin(pin)) {
+      setError(`Enter your ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digit PIN`);
+      return;
+    }
+    setVerifying(true);
+    setError('');
+    setNotice('');
+    try {
+      const user = await signInWithPin(selectedUser.id, pin);
+      onUnlock(user);
+    } catch (err) {
+      setError(err.formattedMessage || err.response?.data?.error || 'Incorrect PIN');
+      setPin('');
+    } finally {
+      setVerifying(false);
+    }
+  }, [selectedUser, pin, verifying, onUnlock]);
+
+  // Clocking in or out doesn't sign anyone in; the terminal stays on this screen
+  const clock = async (direction) => {
+    if (!selectedUser || verifying) return;
+    if (!isValidPin(pin)) {
+      setError(`Enter your ${PIN_MIN_LENGTH}-${PIN_MAX_LENGTH} digit PIN`);
+      return;
+    }
+    setVerifying(true);
+    setError('');
+    setNotice('');
+    try {
+      const { queued, occurredAt } = await clockWithPin(selectedUser, pin, direction);
+      setNotice(`${selectedUser.name} clocked ${direction} at ${dayjs(occurredAt).format('h:mm A')}${queued ? ' (offline, will sync)' : ''}`);
+      setSelectedId(lockedUser?.id ?? null);
+    } catch (err) {
+      setError(err.formattedMessage || err.response?.data?.error || `Could not clock ${direction}`);
+    } finally {
+      setPin('');
+      setVerifying(false);
+    }
+  };
+
+  const pressKey = useCallback((key) => {
+    setError('');
+    setNotice('');
+    if (key === 'clear') setPin('');
+    else if (key === 'back') setPin(prev => prev.slice(0, -1));
+    else setPin(prev => sanitizePin(prev + key));
+  }, []);
+
+  // Hardware keyboards and USB keypads type the PIN as well
+  useEffect(() => {
+    if (!selectedUser) return undefined;
+    const handleKeyDown = (e) => {
+      if (/^\d$/.test(e.key)) pressKey(e.key);
+      else if (e.key === 'Backspace') pressKey('back');
+      else if (e.key === 'Escape') pressKey('clear');
+      else if (e.key === 'Enter') submit();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [selectedUser, pressKey, submit]);
+
+  const selectUser = (id) => {
+    setSelectedId(id);
+    setPin('');
+    setError('');
+    setNotice('');
+  };
+
+  return (
+    <div
+      className="login-container"
+      style={overlay ? { position: 'fixed', inset: 0, zIndex: 5000, overflowY: 'auto' } : undefined}
+    >
+      <div className="login-box" style={{ maxWidth: '560px' }}>
+        <div className="login-header" style={{ marginBottom: '1.25rem' }}>
+          <img src={logoUrl} alt="Logo" className="login-logo" style={{ width: '110px', marginBottom: '0.5rem' }} />
+          {lockedUser && (
+            <p style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.4rem' }}>
+              <FaLock /> Locked by {lockedUser.fullName || lockedUser.full_name || lockedUser.username}
+            </p>
+          )}
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {notice && (
+          <div className="error-message" style={{ background: '#e6f4ea', color: '#1e7e34', borderLeftColor: '#28a745' }}>
+            {notice}
+          </div>
+        )}
+
+        {users.length === 0 ? (
+          <p style={{ textAlign: 'center', color: '#666', marginBottom: '1.5rem' }}>
+            No users have a PIN yet. An admin can set PINs in the Users tab.
+          </p>
+        ) : (
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(110px, 1fr))', gap: '0.75rem', marginBottom: '1.5rem' }}>
+            {users.map(u => (
+              <button
+                key={u.id}
+                type="button"
+                style={tileStyle(String(u.id) === String(selectedId))}
+                onClick={() => selectUser(u.id)}
+              >
+                <FaUserCircle size={32} color="#888" />
+                <span style={{ fontWeight: 600, fontSize: '14px', color: '#333', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', maxWidth: '100%' }}>
+                  {u.name}
+                </span>
+                {u.role && <span style={{ fontSize: '12px', color: '#888' }}>{getRoleName(u.role)}</span>}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {selectedUser && (
+          <>
+            <div
+              style={{
+                textAlign: 'center',
+                fontSize: '1.75rem',
+                letterSpacing: '0.6rem',
+                minHeight: '2.5rem',
+                marginBottom: '1rem',
+                color: '#333'
+              }}
+              aria-label="PIN"
+            >
+              {pin ? '•'.repeat(pin.length) : <span style={{ fontSize: '14px', letterSpacing: 'normal', color: '#888' }}>PIN for {selectedUser.name}</span>}
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '0.6rem', marginBottom: '1rem' }}>
+              {KEYPAD.map(key => (
+                <button key={key} type="button" style={keyStyle} onClick={() => pressKey(key)} disabled={verifying}>
+                  {key === 'back' ? <FaBackspace /> : key === 'clear' ? <span style={{ fontSize: '0.95rem' }}>Clear</span> : key}
+                </button>
+              ))}
+            </div>
+            <button type="button" className="login-button" onClick={submit} disabled={verifying || pin.length < PIN_MIN_LENGTH}>
+              {verifying ? 'Checking...' : 'Unlock'}
+            </button>
+            <div style={{ display: 'flex', gap: '0.6rem', marginTop: '0.75rem' }}>
+              <button type="button" style={clockButtonStyle} onClick={() => clock('in')} disabled={verifying || pin.length < PIN_MIN_LENGTH}>
+                Clock In
+              </button>
+              <button type="button" style={clockButtonStyle} onClick={() => clock('out')} disabled={verifying || pin.length < PIN_MIN_LENGTH}>
+                Clock Out
+              </button>
+            </div>
+          </>
+        )}
+
+        <div style={{ textAlign: 'center', marginTop: '1.25rem' }}>
+          <button type="button" style={linkButtonStyle} onClick={onUsePassword}>
+            Sign in with username and password
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LockScreen;
@@ -1,16 +1,17 @@
 import React, { useState } from 'react';
 import { authAPI } from '../services/api';
 import { FaEye, FaEyeSlash } from 'react-icons/fa';
-import { getPublicAssetUrl } from '../utils/publicAssetUrl';
+import { getBusinessLogoUrl } from '../utils/businessSettings';
 import './Login.css';
 
-const Login = ({ onLoginSuccess }) => {
+const Login = ({ onLoginSuccess, onUsePin }) => {
   const [username, setUsername] = useState('manager');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
-  const logoUrl = getPublicAssetUrl('logo.png');
+  // Login sits outside the app providers; the last cached business logo is used
+  const logoUrl = getBusinessLogoUrl('logo.png');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -99,6 +100,12 @@ const Login = ({ onLoginSuccess }) => {
           <button type="submit" className="login-button" disabled={loading}>
             {loading ? 'Processing...' : 'Sign In'}
           </button>
+
+          {onUsePin && (
+            <button type="button" className="password-toggle-btn" onClick={onUsePin} style={{ position: 'static', margin: '16px auto 0', textDecoration: 'underline' }}>
+              Sign in with a PIN
+            </button>
+          )}
         </form>
 
         <div className="login-footer">
@@ -0,0 +1,57 @@
+import React from 'react';
+import { FaExclamationTriangle } from 'react-icons/fa';
+import { formatQuantity } from '../utils/inventory';
+
+const MAX_LISTED = 6;
+
+/** Banner listing ingredients at or below their reorder level; renders nothing when stock is fine. */
+const LowStockAlert = ({ ingredients = [], onOpen }) => {
+  if (ingredients.length === 0) return null;
+
+  const listed = ingredients.slice(0, MAX_LISTED);
+  const more = ingredients.length - listed.length;
+
+  return (
+    <div style={{
+      display: 'flex',
+      alignItems: 'flex-start',
+      gap: '0.75rem',
+      background: '#fff3cd',
+      border: '1px solid #ffe69c',
+      borderLeft: '4px solid #ffc107',
+      borderRadius: '8px',
+      padding: '0.9rem 1rem',
+      marginBottom: '1.5rem',
+      color: '#664d03'
+    }}>
+      <FaExclamationTriangle style={{ marginTop: '0.2rem', flexShrink: 0 }} />
+      <div style={{ flex: 1 }}>
+        <strong>{ingredients.length} {ingredients.length === 1 ? 'ingredient is' : 'ingredients are'} low on stock</strong>
+        <div style={{ marginTop: '0.25rem', fontSize: '0.9rem' }}>
+          {listed.map(i => `${i.name} (${formatQuantity(i.stock, i.unit)} left)`).join(', ')}
+          {more > 0 && ` and ${more} more`}
+        </div>
+      </div>
+      {onOpen && (
+        <button
+          type="button"
+          onClick={onOpen}
+          style={{
+            padding: '0.4rem 0.9rem',
+            border: '1px solid #664d03',
+            borderRadius: '6px',
+            background: 'transparent',
+            color: '#664d03',
+            fontWeight: 600,
+            cursor: 'pointer',
+            whiteSpace: 'nowrap'
+          }}
+        >
+          View Inventory
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LowStockAlert;
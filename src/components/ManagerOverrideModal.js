@@ -0,0 +1,101 @@
+import React, { useState, useEffect } from 'react';
+import { authAPI } from '../services/api';
+import { canApproveOverrides } from '../utils/managerOverride';
+import { sanitizePin } from '../utils/terminalLock';
+import ConfirmationModal from './ConfirmationModal';
+
+/**
+ * Asks a manager to enter their PIN on this terminal. The PIN is checked by the
+ * server; `onApproved` receives the approving manager and the approval token the server
+ * issued for `action`. Use through `useManagerOverride`.
+ */
+const ManagerOverrideModal = ({ isOpen, action, title, message, onApproved, onCancel }) => {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setPin('');
+      setError('');
+    }
+  }, [isOpen]);
+
+  const verify = async () => {
+    if (!pin) {
+      setError('Enter a manager PIN');
+      return false;
+    }
+    setVerifying(true);
+    try {
+      const res = await authAPI.verifyManagerPin({ pin, action });
+      const data = res.data?.data ?? res.data;
+      const approver = data?.user ?? data;
+      const token = data?.approvalToken ?? data?.approval_token;
+      if (!canApproveOverrides(approver)) {
+        setError('This PIN does not belong to a manager');
+        setPin('');
+        return false;
+      }
+      if (!token) {
+        setError('The server did not confirm the approval');
+        setPin('');
+        return false;
+      }
+      onApproved(approver, token);
+      return true;
+    } catch (err) {
+      setError(err.response
+        ? (err.formattedMessage || err.response?.data?.error || 'Incorrect PIN')
+        : 'Manager approval needs a connection to the server');
+      setPin('');
+      return false;
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <ConfirmationModal
+      isOpen={isOpen}
+      onClose={onCancel}
+      onConfirm={verify}
+      title={title || 'Manager Approval'}
+      message={message}
+      confirmText={verifying ? 'Checking...' : 'Approve'}
+      confirmDisabled={verifying}
+      variant="warning"
+    >
+      <input
+        type="password"
+        inputMode="numeric"
+        autoComplete="off"
+        autoFocus
+        value={pin}
+        onChange={(e) => {
+          setPin(sanitizePin(e.target.value));
+          setError('');
+        }}
+        onKeyDown={async (e) => {
+          if (e.key === 'Enter' && !verifying && await verify()) onCancel();
+        }}
+        placeholder="Manager PIN"
+        style={{
+          width: '100%',
+          marginTop: '1rem',
+          padding: '0.75rem',
+          border: `2px solid ${error ? '#dc3545' : '#dee2e6'}`,
+          borderRadius: '8px',
+          fontSize: '1.25rem',
+          letterSpacing: '0.4rem',
+          textAlign: 'center'
+        }}
+      />
+      {error && (
+        <div style={{ marginTop: '0.5rem', color: '#dc3545', fontSize: '0.875rem' }}>{error}</div>
+      )}
+    </ConfirmationModal>
+  );
+};
+
+export default ManagerOverrideModal;
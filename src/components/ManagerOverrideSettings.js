@@ -0,0 +1,98 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getOverridePolicy, normalizeOverridePolicy, OVERRIDE_ACTIONS } from '../utils/managerOverride';
+import { loadOverridePolicy, saveOverridePolicy } from '../services/businessInfoService';
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+/**
+ * Admin editor for which POS actions need a manager PIN.
+ * Saved through businessInfoAPI; the POS screens check it via `useManagerOverride`.
+ */
+const ManagerOverrideSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getOverridePolicy());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadOverridePolicy().then(policy => {
+      if (!cancelled) setForm(policy);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const toggleAction = (action, enabled) => {
+    setForm(prev => ({ ...prev, actions: { ...prev.actions, [action]: enabled } }));
+  };
+
+  const handleSave = async () => {
+    if (form.actions.discount && (form.discountThreshold === '' || Number(form.discountThreshold) < 0)) {
+      showError('Enter the discount percentage that needs a manager PIN');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveOverridePolicy(normalizeOverridePolicy(form));
+      setForm(saved);
+      showSuccess('Manager approval settings saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save manager approval settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Manager Approval</h3>
+      <p>
+        Staff need a manager to enter their PIN on the same terminal before these actions. Managers and admins
+        approve their own. Each approval is saved on the order with the approving manager. Refunds always need
+        a manager. Set a manager's PIN in the Users tab.
+      </p>
+
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', marginBottom: '1.25rem' }}>
+        {Object.entries(OVERRIDE_ACTIONS).map(([action, label]) => (
+          <label key={action} style={checkboxLabelStyle}>
+            <input
+              type="checkbox"
+              checked={!!form.actions[action]}
+              onChange={(e) => toggleAction(action, e.target.checked)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {form.actions.discount && (
+        <div className="form-group" style={{ width: '220px' }}>
+          <label>Discount Threshold %</label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            step="0.5"
+            value={form.discountThreshold}
+            onChange={(e) => setForm(prev => ({ ...prev, discountThreshold: e.target.value }))}
+          />
+        </div>
+      )}
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Approval Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default ManagerOverrideSettings;
@@ -1,7 +1,10 @@
 import React, { lazy, Suspense, useState, useRef, useEffect, useCallback } from 'react';
-import { Routes, Route, Link, useLocation } from 'react-router-dom';
+import { Routes, Route, Link, Navigate, useLocation } from 'react-router-dom';
 import { authAPI, ordersAPI } from '../services/api';
 import { getPublicAssetUrl } from '../utils/publicAssetUrl';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+import { usePermissions } from '../hooks/usePermissions';
+import { useLowStockIngredients } from '../hooks/inventory';
 import './ManagerPortal.css';
 import OrderSystem from './OrderSystem';
 import ScreenLoading from './ScreenLoading';
@@ -14,11 +17,17 @@ import {
   FaBox,
   FaUsers,
   FaSignOutAlt,
+  FaLock,
   FaBars,
   FaTimes,
   FaChevronLeft,
   FaChevronRight,
-  FaSync
+  FaSync,
+  FaFire,
+  FaCashRegister,
+  FaClipboardList,
+  FaBoxes,
+  FaTruckLoading
 } from 'react-icons/fa';
 
 // Lazy load heavy components
@@ -30,8 +39,23 @@ const DeliveryReports = lazy(() => import('./DeliveryReports'));
 const DineInOrders = lazy(() => import('./DineInOrders'));
 const DeliveryOrders = lazy(() => import('./DeliveryOrders'));
 const CustomerManagement = lazy(() => import('./CustomerManagement'));
-
-// Lazy load heavy components
+const KitchenDisplay = lazy(() => import('./KitchenDisplay'));
+const CashShift = lazy(() => import('./CashShift'));
+const ShiftHistory = lazy(() => import('./ShiftHistory'));
+const InventoryManagement = lazy(() => import('./InventoryManagement'));
+const SupplierManagement = lazy(() => import('./SupplierManagement'));
+
+// Where a role lands when it can't open the POS, in order of preference
+const HOME_SCREENS = [
+  ['take_orders', '/manager/orders'],
+  ['view_order_history', '/manager/order-history'],
+  ['view_reports', '/manager/daily-summary'],
+  ['manage_customers', '/manager/customers'],
+  ['kitchen_display', '/manager/kitchen'],
+  ['cash_drawer', '/manager/cash-drawer'],
+  ['manage_inventory', '/manager/inventory'],
+  ['manage_suppliers', '/manager/suppliers']
+];
 
 function NavLink({ to, children, badgeCount = 0, onClick }) {
   const location = useLocation();
@@ -50,7 +74,7 @@ function NavLink({ to, children, badgeCount = 0, onClick }) {
   );
 }
 
-const ManagerPortal = ({ user, onLogout }) => {
+const ManagerPortal = ({ user, onLogout, onLock }) => {
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const navLinksRef = useRef(null);
@@ -61,7 +85,11 @@ const ManagerPortal = ({ user, onLogout }) => {
   const [nextSyncTime, setNextSyncTime] = useState(null);
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncStatus, setSyncStatus] = useState(null);
-  const logoUrl = getPublicAssetUrl('logo.png');
+  const business = useBusinessSettings();
+  const logoUrl = business.logoUrl || getPublicAssetUrl('logo.png');
+  const { can } = usePermissions(user);
+  const homePath = HOME_SCREENS.find(([permission]) => can(permission))?.[1] || '/manager/orders';
+  const lowStock = useLowStockIngredients({ enabled: can('manage_inventory') });
 
   const handleLogout = async () => {
     try {
@@ -268,9 +296,9 @@ const ManagerPortal = ({ user, onLogout }) => {
     <div className="manager-portal">
       <nav className="navbar">
         <div className="nav-brand">
-          <img src={logoUrl} alt="Flamex" className="nav-logo" />
+          <img src={logoUrl} alt={business.name} className="nav-logo" />
           <div className="nav-brand-text">
-            <h1 className="nav-title">Flamex</h1>
+            <h1 className="nav-title">{business.name}</h1>
             <p className="nav-subtitle">POS System</p>
           </div>
         </div>
@@ -286,27 +314,66 @@ const ManagerPortal = ({ user, onLogout }) => {
             </button>
           )}
           <div className="nav-links" ref={navLinksRef}>
-            <NavLink to="/manager/orders">
-              <FaShoppingCart /> <span>Orders</span>
-            </NavLink>
-            <NavLink to="/manager/dine-in-orders" badgeCount={pendingBadges.dineIn}>
-              <FaUtensils /> <span>Dine-In</span>
-            </NavLink>
-            <NavLink to="/manager/delivery-orders" badgeCount={pendingBadges.delivery}>
-              <FaTruck /> <span>Delivery</span>
-            </NavLink>
-            <NavLink to="/manager/daily-summary">
-              <FaChartBar /> <span>Summary</span>
-            </NavLink>
-            <NavLink to="/manager/order-history">
-              <FaHistory /> <span>History</span>
-            </NavLink>
-            <NavLink to="/manager/items-sales">
-              <FaBox /> <span>Items</span>
-            </NavLink>
-            <NavLink to="/manager/customers">
-              <FaUsers /> <span>Customers</span>
-            </NavLink>
+            {can('take_orders') && (
+              <NavLink to="/manager/orders">
+                <FaShoppingCart /> <span>Orders</span>
+              </NavLink>
+            )}
+            {can('take_orders') && (
+              <NavLink to="/manager/dine-in-orders" badgeCount={pendingBadges.dineIn}>
+                <FaUtensils /> <span>Dine-In</span>
+              </NavLink>
+            )}
+            {can('take_orders') && (
+              <NavLink to="/manager/delivery-orders" badgeCount={pendingBadges.delivery}>
+                <FaTruck /> <span>Delivery</span>
+              </NavLink>
+            )}
+            {can('kitchen_display') && (
+              <NavLink to="/manager/kitchen">
+                <FaFire /> <span>Kitchen</span>
+              </NavLink>
+            )}
+            {can('view_reports') && (
+              <NavLink to="/manager/daily-summary">
+                <FaChartBar /> <span>Summary</span>
+              </NavLink>
+            )}
+            {can('view_order_history') && (
+              <NavLink to="/manager/order-history">
+                <FaHistory /> <span>History</span>
+              </NavLink>
+            )}
+            {can('view_reports') && (
+              <NavLink to="/manager/items-sales">
+                <FaBox /> <span>Items</span>
+              </NavLink>
+            )}
+            {can('manage_customers') && (
+              <NavLink to="/manager/customers">
+                <FaUsers /> <span>Customers</span>
+              </NavLink>
+            )}
+            {can('cash_drawer') && (
+              <NavLink to="/manager/cash-drawer">
+                <FaCashRegister /> <span>Drawer</span>
+              </NavLink>
+            )}
+            {can('view_reports') && (
+              <NavLink to="/manager/shifts">
+                <FaClipboardList /> <span>Shifts</span>
+              </NavLink>
+            )}
+            {can('manage_inventory') && (
+              <NavLink to="/manager/inventory" badgeCount={lowStock.length}>
+                <FaBoxes /> <span>Inventory</span>
+              </NavLink>
+            )}
+            {can('manage_suppliers') && (
+              <NavLink to="/manager/suppliers">
+                <FaTruckLoading /> <span>Suppliers</span>
+              </NavLink>
+            )}
             {/* Expenses are admin-only */}
           </div>
           {showScroll && (
@@ -350,6 +417,11 @@ const ManagerPortal = ({ user, onLogout }) => {
               <span className="user-role">{user?.role === 'manager' ? 'Manager' : 'Staff'}</span>
             </div>
           </div> */}
+          {onLock && (
+            <button className="logout-button lock-button" onClick={onLock}>
+              <FaLock /> <span>Lock</span>
+            </button>
+          )}
           <button className="logout-button" onClick={handleLogout}>
             <FaSignOutAlt /> <span>Logout</span>
           </button>
@@ -366,27 +438,66 @@ const ManagerPortal = ({ user, onLogout }) => {
       {/* Mobile Menu */}
       {mobileMenuOpen && (
         <div className="mobile-menu">
-          <NavLink to="/manager/orders" onClick={() => setMobileMenuOpen(false)}>
-            <FaShoppingCart /> <span>Orders</span>
-          </NavLink>
-          <NavLink to="/manager/dine-in-orders" badgeCount={pendingBadges.dineIn} onClick={() => setMobileMenuOpen(false)}>
-            <FaUtensils /> <span>Dine-In Orders</span>
-          </NavLink>
-          <NavLink to="/manager/delivery-orders" badgeCount={pendingBadges.delivery} onClick={() => setMobileMenuOpen(false)}>
-            <FaTruck /> <span>Delivery Orders</span>
-          </NavLink>
-          <NavLink to="/manager/daily-summary" onClick={() => setMobileMenuOpen(false)}>
-            <FaChartBar /> <span>Summary</span>
-          </NavLink>
-          <NavLink to="/manager/order-history" onClick={() => setMobileMenuOpen(false)}>
-            <FaHistory /> <span>Order History</span>
-          </NavLink>
-          <NavLink to="/manager/items-sales" onClick={() => setMobileMenuOpen(false)}>
-            <FaBox /> <span>Items Sales</span>
-          </NavLink>
-          <NavLink to="/manager/customers" onClick={() => setMobileMenuOpen(false)}>
-            <FaUsers /> <span>Customers</span>
-          </NavLink>
+          {can('take_orders') && (
+            <NavLink to="/manager/orders" onClick={() => setMobileMenuOpen(false)}>
+              <FaShoppingCart /> <span>Orders</span>
+            </NavLink>
+          )}
+          {can('take_orders') && (
+            <NavLink to="/manager/dine-in-orders" badgeCount={pendingBadges.dineIn} onClick={() => setMobileMenuOpen(false)}>
+              <FaUtensils /> <span>Dine-In Orders</span>
+            </NavLink>
+          )}
+          {can('take_orders') && (
+            <NavLink to="/manager/delivery-orders" badgeCount={pendingBadges.delivery} onClick={() => setMobileMenuOpen(false)}>
+              <FaTruck /> <span>Delivery Orders</span>
+            </NavLink>
+          )}
+          {can('kitchen_display') && (
+            <NavLink to="/manager/kitchen" onClick={() => setMobileMenuOpen(false)}>
+              <FaFire /> <span>Kitchen</span>
+            </NavLink>
+          )}
+          {can('view_reports') && (
+            <NavLink to="/manager/daily-summary" onClick={() => setMobileMenuOpen(false)}>
+              <FaChartBar /> <span>Summary</span>
+            </NavLink>
+          )}
+          {can('view_order_history') && (
+            <NavLink to="/manager/order-history" onClick={() => setMobileMenuOpen(false)}>
+              <FaHistory /> <span>Order History</span>
+            </NavLink>
+          )}
+          {can('view_reports') && (
+            <NavLink to="/manager/items-sales" onClick={() => setMobileMenuOpen(false)}>
+              <FaBox /> <span>Items Sales</span>
+            </NavLink>
+          )}
+          {can('manage_customers') && (
+            <NavLink to="/manager/customers" onClick={() => setMobileMenuOpen(false)}>
+              <FaUsers /> <span>Customers</span>
+            </NavLink>
+          )}
+          {can('cash_drawer') && (
+            <NavLink to="/manager/cash-drawer" onClick={() => setMobileMenuOpen(false)}>
+              <FaCashRegister /> <span>Drawer</span>
+            </NavLink>
+          )}
+          {can('view_reports') && (
+            <NavLink to="/manager/shifts" onClick={() => setMobileMenuOpen(false)}>
+              <FaClipboardList /> <span>Shifts</span>
+            </NavLink>
+          )}
+          {can('manage_inventory') && (
+            <NavLink to="/manager/inventory" badgeCount={lowStock.length} onClick={() => setMobileMenuOpen(false)}>
+              <FaBoxes /> <span>Inventory</span>
+            </NavLink>
+          )}
+          {can('manage_suppliers') && (
+            <NavLink to="/manager/suppliers" onClick={() => setMobileMenuOpen(false)}>
+              <FaTruckLoading /> <span>Suppliers</span>
+            </NavLink>
+          )}
           {/* Expenses are admin-only */}
         </div>
       )}
@@ -394,15 +505,21 @@ const ManagerPortal = ({ user, onLogout }) => {
       <main className={`main-content ${isFullScreen ? 'full-screen' : ''}`}>
         <Suspense fallback={<ScreenLoading label="Loading..." />}>
           <Routes>
-            <Route path="/" element={<OrderSystem />} />
-            <Route path="/orders" element={<OrderSystem />} />
-            <Route path="/dine-in-orders" element={<DineInOrders />} />
-            <Route path="/delivery-orders" element={<DeliveryOrders />} />
-            <Route path="/delivery-reports" element={<DeliveryReports />} />
-            <Route path="/daily-summary" element={<DailySalesSummary />} />
-            <Route path="/order-history" element={<OrderHistory />} />
-            <Route path="/items-sales" element={<ItemsSalesReport />} />
-            <Route path="/customers" element={<CustomerManagement />} />
+            <Route path="/" element={can('take_orders') ? <OrderSystem /> : <Navigate to={homePath} replace />} />
+            {can('take_orders') && <Route path="/orders" element={<OrderSystem />} />}
+            {can('take_orders') && <Route path="/dine-in-orders" element={<DineInOrders />} />}
+            {can('take_orders') && <Route path="/delivery-orders" element={<DeliveryOrders />} />}
+            {can('kitchen_display') && <Route path="/kitchen" element={<KitchenDisplay />} />}
+            {can('view_reports') && <Route path="/delivery-reports" element={<DeliveryReports />} />}
+            {can('view_reports') && <Route path="/daily-summary" element={<DailySalesSummary />} />}
+            {can('view_order_history') && <Route path="/order-history" element={<OrderHistory user={user} />} />}
+            {can('view_reports') && <Route path="/items-sales" element={<ItemsSalesReport />} />}
+            {can('manage_customers') && <Route path="/customers" element={<CustomerManagement />} />}
+            {can('cash_drawer') && <Route path="/cash-drawer" element={<CashShift user={user} />} />}
+            {can('view_reports') && <Route path="/shifts" element={<ShiftHistory />} />}
+            {can('manage_inventory') && <Route path="/inventory" element={<InventoryManagement canRecordExpenses={can('manage_expenses')} />} />}
+            {can('manage_suppliers') && <Route path="/suppliers" element={<SupplierManagement />} />}
+            <Route path="*" element={<Navigate to={homePath} replace />} />
           </Routes>
         </Suspense>
       </main>
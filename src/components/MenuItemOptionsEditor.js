@@ -0,0 +1,221 @@
+import React from 'react';
+import { generateOptionId } from '../utils/menuModifiers';
+
+const rowStyle = {
+  display: 'flex',
+  gap: '0.5rem',
+  alignItems: 'center',
+  marginBottom: '0.4rem'
+};
+
+const smallInputStyle = {
+  padding: '0.45rem 0.6rem',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '0.9rem'
+};
+
+const linkButtonStyle = {
+  background: 'transparent',
+  border: '1px dashed #adb5bd',
+  borderRadius: '6px',
+  padding: '0.35rem 0.75rem',
+  fontSize: '0.85rem',
+  cursor: 'pointer',
+  color: '#495057'
+};
+
+const removeButtonStyle = {
+  background: '#fff5f5',
+  border: '1px solid #ffc9c9',
+  color: '#c92a2a',
+  borderRadius: '6px',
+  width: '30px',
+  height: '30px',
+  cursor: 'pointer',
+  flexShrink: 0
+};
+
+/**
+ * Admin editor for menu item sizes (variants) and modifier groups.
+ * Values use the same shape `utils/menuModifiers` normalizes on the POS side.
+ */
+const MenuItemOptionsEditor = ({ variants = [], modifierGroups = [], onChange }) => {
+  const emit = (next) => onChange({ variants, modifierGroups, ...next });
+
+  const updateVariant = (idx, patch) => {
+    emit({ variants: variants.map((v, i) => (i === idx ? { ...v, ...patch } : v)) });
+  };
+
+  const updateGroup = (idx, patch) => {
+    emit({ modifierGroups: modifierGroups.map((g, i) => (i === idx ? { ...g, ...patch } : g)) });
+  };
+
+  const updateOption = (groupIdx, optIdx, patch) => {
+    const group = modifierGroups[groupIdx];
+    updateGroup(groupIdx, {
+      options: group.options.map((o, i) => (i === optIdx ? { ...o, ...patch } : o))
+    });
+  };
+
+  return (
+    <div className="form-group">
+      <label>Sizes / Variants</label>
+      <div style={{ fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.5rem' }}>
+        Each size has its own full price. Leave empty if the item has a single size.
+      </div>
+      {variants.map((variant, idx) => (
+        <div key={variant.id} style={rowStyle}>
+          <input
+            type="text"
+            placeholder="e.g. Large"
+            value={variant.name}
+            onChange={(e) => updateVariant(idx, { name: e.target.value })}
+            style={{ ...smallInputStyle, flex: 2 }}
+          />
+          <input
+            type="number"
+            step="0.01"
+            placeholder="Price"
+            value={variant.price}
+            onChange={(e) => updateVariant(idx, { price: e.target.value })}
+            style={{ ...smallInputStyle, flex: 1 }}
+          />
+          <button
+            type="button"
+            style={removeButtonStyle}
+            onClick={() => emit({ variants: variants.filter((_, i) => i !== idx) })}
+            aria-label="Remove size"
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        style={linkButtonStyle}
+        onClick={() => emit({ variants: [...variants, { id: generateOptionId('v'), name: '', price: '' }] })}
+      >
+        + Add size
+      </button>
+
+      <label style={{ marginTop: '1rem', display: 'block' }}>Modifier Groups</label>
+      <div style={{ fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.5rem' }}>
+        e.g. "Extras" (optional, up to 3) or "Sauce" (required, choose 1). Price changes are added to the item price.
+      </div>
+      {modifierGroups.map((group, groupIdx) => (
+        <div
+          key={group.id}
+          style={{
+            border: '1px solid #e9ecef',
+            borderRadius: '8px',
+            padding: '0.75rem',
+            marginBottom: '0.75rem',
+            background: '#f8f9fa'
+          }}
+        >
+          <div style={rowStyle}>
+            <input
+              type="text"
+              placeholder="Group name"
+              value={group.name}
+              onChange={(e) => updateGroup(groupIdx, { name: e.target.value })}
+              style={{ ...smallInputStyle, flex: 2 }}
+            />
+            <button
+              type="button"
+              style={removeButtonStyle}
+              onClick={() => emit({ modifierGroups: modifierGroups.filter((_, i) => i !== groupIdx) })}
+              aria-label="Remove group"
+            >
+              ×
+            </button>
+          </div>
+          <div style={{ ...rowStyle, fontSize: '0.85rem', flexWrap: 'wrap' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', margin: 0 }}>
+              <input
+                type="checkbox"
+                checked={!!group.required}
+                onChange={(e) => updateGroup(groupIdx, {
+                  required: e.target.checked,
+                  minSelections: e.target.checked ? Math.max(1, Number(group.minSelections) || 0) : 0
+                })}
+              />
+              Required
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', margin: 0 }}>
+              Min
+              <input
+                type="number"
+                min="0"
+                value={group.minSelections}
+                onChange={(e) => updateGroup(groupIdx, { minSelections: e.target.value })}
+                style={{ ...smallInputStyle, width: '70px' }}
+              />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.35rem', margin: 0 }}>
+              Max
+              <input
+                type="number"
+                min="1"
+                value={group.maxSelections}
+                onChange={(e) => updateGroup(groupIdx, { maxSelections: e.target.value })}
+                style={{ ...smallInputStyle, width: '70px' }}
+              />
+            </label>
+          </div>
+          {group.options.map((option, optIdx) => (
+            <div key={option.id} style={{ ...rowStyle, paddingLeft: '1rem' }}>
+              <input
+                type="text"
+                placeholder="Option, e.g. Extra cheese"
+                value={option.name}
+                onChange={(e) => updateOption(groupIdx, optIdx, { name: e.target.value })}
+                style={{ ...smallInputStyle, flex: 2 }}
+              />
+              <input
+                type="number"
+                step="0.01"
+                placeholder="+/- price"
+                value={option.priceDelta}
+                onChange={(e) => updateOption(groupIdx, optIdx, { priceDelta: e.target.value })}
+                style={{ ...smallInputStyle, flex: 1 }}
+              />
+              <button
+                type="button"
+                style={removeButtonStyle}
+                onClick={() => updateGroup(groupIdx, { options: group.options.filter((_, i) => i !== optIdx) })}
+                aria-label="Remove option"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            style={{ ...linkButtonStyle, marginLeft: '1rem' }}
+            onClick={() => updateGroup(groupIdx, {
+              options: [...group.options, { id: generateOptionId('o'), name: '', priceDelta: '' }]
+            })}
+          >
+            + Add option
+          </button>
+        </div>
+      ))}
+      <button
+        type="button"
+        style={linkButtonStyle}
+        onClick={() => emit({
+          modifierGroups: [
+            ...modifierGroups,
+            { id: generateOptionId('g'), name: '', required: false, minSelections: 0, maxSelections: 1, options: [] }
+          ]
+        })}
+      >
+        + Add modifier group
+      </button>
+    </div>
+  );
+};
+
+export default MenuItemOptionsEditor;
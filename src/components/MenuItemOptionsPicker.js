@@ -0,0 +1,130 @@
+import React from 'react';
+import {
+  normalizeVariants,
+  normalizeModifierGroups,
+  toggleModifierSelection,
+} from '../utils/menuModifiers';
+import { getCurrencySymbol } from '../utils/businessSettings';
+
+const formatDelta = (delta) => {
+  const n = Number(delta) || 0;
+  if (n === 0) return '';
+  return `${n > 0 ? '+' : '-'} ${getCurrencySymbol()} ${Math.abs(n).toFixed(0)}`;
+};
+
+const groupHint = (group) => {
+  if (group.minSelections > 0 && group.maxSelections === group.minSelections) {
+    return group.minSelections === 1 ? 'Required · choose 1' : `Required · choose ${group.minSelections}`;
+  }
+  if (group.minSelections > 0) {
+    return `Required · choose ${group.minSelections}-${group.maxSelections}`;
+  }
+  return group.maxSelections === 1 ? 'Optional · up to 1' : `Optional · up to ${group.maxSelections}`;
+};
+
+/**
+ * Size and modifier selection used inside the POS item modal.
+ * Controlled: `selections` is `{ variantId, modifiers: { [groupId]: optionId[] } }`.
+ */
+const MenuItemOptionsPicker = ({ item, selections, onChange }) => {
+  const variants = normalizeVariants(item);
+  const groups = normalizeModifierGroups(item);
+
+  if (variants.length === 0 && groups.length === 0) return null;
+
+  const chipStyle = (active) => ({
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '0.5rem',
+    width: '100%',
+    padding: '0.55rem 0.75rem',
+    borderRadius: '8px',
+    border: `2px solid ${active ? 'var(--color-primary)' : '#dee2e6'}`,
+    background: active ? 'rgba(0,0,0,0.03)' : 'white',
+    cursor: 'pointer',
+    fontSize: '0.9rem',
+    fontWeight: active ? 600 : 500,
+    color: '#212529',
+    textAlign: 'left',
+  });
+
+  const sectionTitleStyle = {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: '0.4rem',
+    fontSize: '0.9rem',
+    fontWeight: 700,
+    color: '#495057',
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '1rem', marginTop: '0.5rem' }}>
+      {variants.length > 0 && (
+        <div>
+          <div style={sectionTitleStyle}>
+            <span>Size</span>
+            <span style={{ fontSize: '0.75rem', fontWeight: 500, color: '#6c757d' }}>Required · choose 1</span>
+          </div>
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+            {variants.map(variant => {
+              const active = selections?.variantId === variant.id;
+              return (
+                <button
+                  key={variant.id}
+                  type="button"
+                  onClick={() => onChange({ ...selections, variantId: variant.id })}
+                  style={chipStyle(active)}
+                >
+                  <span>{active ? '◉' : '○'} {variant.name}</span>
+                  <span style={{ color: 'var(--color-primary)' }}>{getCurrencySymbol()} {Number(variant.price).toFixed(0)}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
+      {groups.map(group => {
+        const chosen = selections?.modifiers?.[group.id] || [];
+        const atMax = chosen.length >= group.maxSelections;
+        return (
+          <div key={group.id}>
+            <div style={sectionTitleStyle}>
+              <span>{group.name}</span>
+              <span style={{ fontSize: '0.75rem', fontWeight: 500, color: '#6c757d' }}>{groupHint(group)}</span>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+              {group.options.map(option => {
+                const active = chosen.includes(option.id);
+                const disabled = !active && atMax && group.maxSelections !== 1;
+                const marker = group.maxSelections === 1
+                  ? (active ? '◉' : '○')
+                  : (active ? '☑' : '☐');
+                return (
+                  <button
+                    key={option.id}
+                    type="button"
+                    disabled={disabled}
+                    onClick={() => onChange(toggleModifierSelection(selections, group, option.id))}
+                    style={{
+                      ...chipStyle(active),
+                      cursor: disabled ? 'not-allowed' : 'pointer',
+                      opacity: disabled ? 0.5 : 1,
+                    }}
+                  >
+                    <span>{marker} {option.name}</span>
+                    <span style={{ color: '#6c757d', fontSize: '0.85rem' }}>{formatDelta(option.priceDelta)}</span>
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MenuItemOptionsPicker;
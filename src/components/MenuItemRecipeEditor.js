@@ -0,0 +1,237 @@
+import React, { useMemo } from 'react';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  TARGET_FOOD_COST_PERCENT,
+  costRecipeLines,
+  getFoodCost,
+  getMargin,
+  isOverFoodCostTarget
+} from '../utils/recipes';
+
+const rowStyle = {
+  display: 'flex',
+  gap: '0.5rem',
+  alignItems: 'center',
+  marginBottom: '0.4rem'
+};
+
+const smallInputStyle = {
+  padding: '0.45rem 0.6rem',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  fontSize: '0.9rem'
+};
+
+const linkButtonStyle = {
+  background: 'transparent',
+  border: '1px dashed #adb5bd',
+  borderRadius: '6px',
+  padding: '0.35rem 0.75rem',
+  fontSize: '0.85rem',
+  cursor: 'pointer',
+  color: '#495057'
+};
+
+const removeButtonStyle = {
+  background: '#fff5f5',
+  border: '1px solid #ffc9c9',
+  color: '#c92a2a',
+  borderRadius: '6px',
+  width: '30px',
+  height: '30px',
+  cursor: 'pointer',
+  flexShrink: 0
+};
+
+const blockStyle = {
+  border: '1px solid #e9ecef',
+  borderRadius: '8px',
+  padding: '0.75rem',
+  marginBottom: '0.75rem',
+  background: '#f8f9fa'
+};
+
+const formatMoney = (value) => `${getCurrencySymbol()} ${(Number(value) || 0).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+
+const MarginLine = ({ price, cost }) => {
+  const margin = getMargin(price, cost);
+  const over = isOverFoodCostTarget(margin);
+  return (
+    <div style={{ fontSize: '0.85rem', color: over ? '#c92a2a' : '#2b8a3e', fontWeight: 600 }}>
+      Food cost {formatMoney(margin.cost)}
+      {margin.foodCostPercent !== null && ` (${margin.foodCostPercent}%)`}
+      {' · '}Margin {formatMoney(margin.margin)}
+      {margin.marginPercent !== null && ` (${margin.marginPercent}%)`}
+      {over && ` · above the ${TARGET_FOOD_COST_PERCENT}% target`}
+    </div>
+  );
+};
+
+/** Ingredient rows for one recipe (base, a size or a modifier option). */
+const RecipeLines = ({ lines, ingredients, ingredientsById, onChange, allowNegative = false }) => {
+  const update = (idx, patch) => onChange(lines.map((l, i) => (i === idx ? { ...l, ...patch } : l)));
+
+  return (
+    <>
+      {lines.map((line, idx) => {
+        const ingredient = ingredientsById.get(String(line.ingredientId));
+        const lineCost = costRecipeLines([{ ...line, quantity: Number(line.quantity) || 0 }], ingredientsById).cost;
+        return (
+          <div key={idx} style={rowStyle}>
+            <select
+              value={line.ingredientId ?? ''}
+              onChange={(e) => update(idx, { ingredientId: e.target.value })}
+              style={{ ...smallInputStyle, flex: 2, background: 'white' }}
+            >
+              <option value="">Choose ingredient</option>
+              {!ingredient && line.ingredientId && <option value={line.ingredientId}>Removed ingredient</option>}
+              {ingredients.map(i => (
+                <option key={i.id} value={i.id}>{i.name}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="0.001"
+              min={allowNegative ? undefined : '0'}
+              placeholder="Qty"
+              value={line.quantity}
+              onChange={(e) => update(idx, { quantity: e.target.value })}
+              style={{ ...smallInputStyle, flex: 1, minWidth: 0 }}
+            />
+            <span style={{ width: '48px', fontSize: '0.8rem', color: '#6c757d' }}>{ingredient?.unit || ''}</span>
+            <span style={{ width: '90px', fontSize: '0.8rem', color: '#495057', textAlign: 'right' }}>{ingredient ? formatMoney(lineCost) : '—'}</span>
+            <button
+              type="button"
+              style={removeButtonStyle}
+              onClick={() => onChange(lines.filter((_, i) => i !== idx))}
+              aria-label="Remove ingredient"
+            >
+              ×
+            </button>
+          </div>
+        );
+      })}
+      <button
+        type="button"
+        style={linkButtonStyle}
+        onClick={() => onChange([...lines, { ingredientId: '', quantity: '' }])}
+        disabled={ingredients.length === 0}
+      >
+        + Add ingredient
+      </button>
+    </>
+  );
+};
+
+/**
+ * Admin editor for a menu item's recipe, with the food cost and margin worked out live
+ * from current ingredient costs. Shape as in `utils/recipes`.
+ */
+const MenuItemRecipeEditor = ({ recipe, price, variants = [], modifierGroups = [], ingredients = [], onChange }) => {
+  const ingredientsById = useMemo(() => new Map(ingredients.map(i => [String(i.id), i])), [ingredients]);
+  const activeIngredients = useMemo(() => ingredients.filter(i => i.active), [ingredients]);
+  const namedVariants = variants.filter(v => String(v.name || '').trim() !== '');
+  const options = modifierGroups.flatMap(g => (g.options || [])
+    .filter(o => String(o.name || '').trim() !== '')
+    .map(o => ({ ...o, groupName: g.name })));
+
+  // Costs are worked out on what has been typed so far; blank quantities count as 0
+  const costable = useMemo(() => {
+    const clean = (lines) => (lines || []).map(l => ({ ingredientId: l.ingredientId, quantity: Number(l.quantity) || 0 }));
+    return {
+      ingredients: clean(recipe.ingredients),
+      variants: Object.fromEntries(Object.entries(recipe.variants || {}).map(([k, v]) => [k, clean(v)])),
+      modifiers: Object.fromEntries(Object.entries(recipe.modifiers || {}).map(([k, v]) => [k, clean(v)]))
+    };
+  }, [recipe]);
+
+  const emit = (patch) => onChange({ ...recipe, ...patch });
+  const setVariantLines = (id, lines) => emit({ variants: { ...recipe.variants, [String(id)]: lines } });
+  const setModifierLines = (id, lines) => emit({ modifiers: { ...recipe.modifiers, [String(id)]: lines } });
+
+  return (
+    <div className="form-group">
+      <label>Recipe</label>
+      <div style={{ fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.5rem' }}>
+        Quantities for one portion, in each ingredient's stock unit. Completing an order deducts them from stock.
+      </div>
+      {ingredients.length === 0 ? (
+        <div style={{ fontSize: '0.85rem', color: '#6c757d' }}>Add ingredients in the Inventory tab to build recipes.</div>
+      ) : (
+        <>
+          <RecipeLines
+            lines={recipe.ingredients || []}
+            ingredients={activeIngredients}
+            ingredientsById={ingredientsById}
+            onChange={(lines) => emit({ ingredients: lines })}
+          />
+          {(recipe.ingredients || []).length > 0 && (
+            <div style={{ marginTop: '0.5rem' }}>
+              <MarginLine price={price} cost={getFoodCost(costable, ingredientsById)} />
+            </div>
+          )}
+
+          {namedVariants.length > 0 && (
+            <>
+              <label style={{ marginTop: '1rem', display: 'block' }}>Recipe by Size</label>
+              <div style={{ fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.5rem' }}>
+                Leave a size empty to use the recipe above.
+              </div>
+              {namedVariants.map(variant => {
+                const lines = recipe.variants?.[String(variant.id)] || [];
+                return (
+                  <div key={variant.id} style={blockStyle}>
+                    <div style={{ fontWeight: 600, marginBottom: '0.4rem' }}>{variant.name}</div>
+                    <RecipeLines
+                      lines={lines}
+                      ingredients={activeIngredients}
+                      ingredientsById={ingredientsById}
+                      onChange={(next) => setVariantLines(variant.id, next)}
+                    />
+                    <div style={{ marginTop: '0.5rem' }}>
+                      <MarginLine price={variant.price} cost={getFoodCost(costable, ingredientsById, { variant })} />
+                    </div>
+                  </div>
+                );
+              })}
+            </>
+          )}
+
+          {options.length > 0 && (
+            <>
+              <label style={{ marginTop: '1rem', display: 'block' }}>Recipe by Modifier</label>
+              <div style={{ fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.5rem' }}>
+                Added to the portion when the option is chosen. Use a negative quantity for "No ..." options.
+              </div>
+              {options.map(option => {
+                const lines = recipe.modifiers?.[String(option.id)] || [];
+                const extraCost = costRecipeLines(costable.modifiers[String(option.id)] || [], ingredientsById).cost;
+                return (
+                  <div key={option.id} style={blockStyle}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: 600, marginBottom: '0.4rem' }}>
+                      <span>{option.groupName}: {option.name}</span>
+                      {lines.length > 0 && (
+                        <span style={{ fontSize: '0.85rem', color: '#495057' }}>
+                          {extraCost >= 0 ? '+' : ''}{formatMoney(extraCost)} cost · {formatMoney(option.priceDelta)} price
+                        </span>
+                      )}
+                    </div>
+                    <RecipeLines
+                      lines={lines}
+                      ingredients={activeIngredients}
+                      ingredientsById={ingredientsById}
+                      onChange={(next) => setModifierLines(option.id, next)}
+                      allowNegative
+                    />
+                  </div>
+                );
+              })}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MenuItemRecipeEditor;
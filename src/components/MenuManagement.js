@@ -2,9 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { menuItemsAPI, categoriesAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import ConfirmationModal from './ConfirmationModal';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
 
 const MenuManagement = () => {
   const { showSuccess, showError } = useToast();
+  const { currency } = useBusinessSettings();
   const [menuItems, setMenuItems] = useState([]);
   const [categories, setCategories] = useState([]);
   const [showForm, setShowForm] = useState(false);
@@ -178,7 +180,7 @@ const MenuManagement = () => {
             <div key={item.id} className="menu-item">
               <h3>{item.name}</h3>
               <p>{item.description}</p>
-              <p className="price">PKR {item.price}</p>
+              <p className="price">{currency} {item.price}</p>
               <p style={{ fontSize: '0.8rem', color: '#a0aec0' }}>
                 {item.category_name || 'Uncategorized'}
               </p>
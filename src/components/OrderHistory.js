@@ -7,10 +7,19 @@ import { useOffline } from '../contexts/OfflineContext';
 import OfflineModal from './OfflineModal';
 import jsPDF from 'jspdf';
 import { printReceipt } from './Receipt';
+import { pickReceiptItemOptions } from '../utils/menuModifiers';
+import { getOrderPricing, repriceForPaymentMethod } from '../utils/pricing';
+import { normalizePayments } from '../utils/splitBill';
 import ConfirmationModal from './ConfirmationModal';
+import RefundModal from './RefundModal';
+import ManagerOverrideModal from './ManagerOverrideModal';
+import { useManagerOverride } from '../hooks/useManagerOverride';
+import { usePermissions } from '../hooks/usePermissions';
+import { maskPhone } from '../utils/permissions';
 import AppliedFiltersBanner from './AppliedFiltersBanner';
 import ScreenLoading from './ScreenLoading';
 import { getDateFilterBannerLabel, isCustomDateRangeApplied } from '../utils/dateFilterBanner';
+import { getBusinessSettings, getCurrencySymbol, getPdfFooterLines } from '../utils/businessSettings';
 import {
   readFilterSession,
   writeFilterSession,
@@ -40,15 +49,16 @@ import {
   FaMapMarkerAlt,
   FaCopy,
   FaExclamationTriangle,
-  FaCoins
+  FaCoins,
+  FaUndo
 } from 'react-icons/fa';
 
 dayjs.extend(relativeTime);
 
 const formatCurrency = (value) => {
   const amount = Number(value || 0);
-  if (Number.isNaN(amount)) return 'PKR 0';
-  return `PKR ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+  if (Number.isNaN(amount)) return `${getCurrencySymbol()} 0`;
+  return `${getCurrencySymbol()} ${amount.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
 };
 
 /** Dine-in: completed or cancelled; delivery: paid+delivered or cancelled — default Order History view. */
@@ -71,8 +81,11 @@ const isHistoryCompleteOrder = (order) => {
   return orderStatus === 'completed';
 };
 
-const OrderHistory = () => {
+const OrderHistory = ({ user }) => {
   const { showSuccess, showError } = useToast();
+  const { requestOverride, overrideModalProps } = useManagerOverride();
+  const { can } = usePermissions(user);
+  const showPhone = (phone) => (can('view_customer_phone') ? phone : maskPhone(phone));
   const { online } = useOffline();
   const isElectron = typeof window !== 'undefined' && !!window.electronAPI;
 
@@ -119,6 +132,7 @@ const OrderHistory = () => {
   const [loadingDetails, setLoadingDetails] = useState(false);
   const [generatingReceiptId, setGeneratingReceiptId] = useState(null);
   const [cancellingOrderId, setCancellingOrderId] = useState(null);
+  const [refundOrder, setRefundOrder] = useState(null);
   const [confirmModal, setConfirmModal] = useState({
     isOpen: false,
     title: '',
@@ -704,6 +718,15 @@ const OrderHistory = () => {
 
   // Generate receipt for individual order
   const handleGenerateReceipt = async (order) => {
+    // Every receipt printed from history is a reprint
+    const { approved, approval } = await requestOverride('reprint', {
+      details: `Receipt for order #${order.order_number || order.orderNumber || order.id}`
+    });
+    if (!approved) return;
+    if (approval) {
+      ordersAPI.addApproval(order.id, approval).catch(err => console.error('[OrderHistory] Failed to record reprint approval:', err.message));
+    }
+
     setGeneratingReceiptId(order.id);
     try {
       // Fetch full order details and items
@@ -791,7 +814,15 @@ const OrderHistory = () => {
       // Recalculate total amount: subtotal after discount + delivery charge
       // Use API total_amount only if it matches our calculation (within 1 PKR tolerance)
       const calculatedTotal = subtotalAfterDiscount + deliveryCharge;
-      const totalAmount = (Math.abs(apiTotalAmount - calculatedTotal) <= 1) ? apiTotalAmount : calculatedTotal;
+      // Orders taken with tax / service charge carry their own pricing breakdown
+      const orderPricing = repriceForPaymentMethod(
+        getOrderPricing(fullOrder) || getOrderPricing(order),
+        fullOrder.payment_method || order.payment_method || 'cash',
+        normalizePayments(fullOrder.payments || order.payments)
+      );
+      const totalAmount = orderPricing
+        ? orderPricing.grandTotal
+        : (Math.abs(apiTotalAmount - calculatedTotal) <= 1) ? apiTotalAmount : calculatedTotal;
 
       // Payment amounts (support partial payments/negatives)
       const amountTaken = fullOrder.amount_taken !== undefined && fullOrder.amount_taken !== null
@@ -845,13 +876,15 @@ const OrderHistory = () => {
         items: orderItems.map(item => ({
           name: item.menuItem?.name || item.item_name || item.name || 'Unknown Item',
           quantity: parseInt(item.quantity || 0),
-          price: parseFloat(item.price || item.item_price || 0)
+          price: parseFloat(item.price || item.item_price || 0),
+          ...pickReceiptItemOptions(item)
         })).filter(item => item.name && item.name !== 'Unknown Item' && item.quantity > 0),
         subtotal: subtotal,
         total_amount: totalAmount,
         discount_percent: discountPercent,
         discountPercent: discountPercent,
         delivery_charge: deliveryCharge,
+        pricing: orderPricing || undefined,
         payment_method: fullOrder.payment_method || order.payment_method || 'cash',
         amount_taken: amountTaken !== undefined ? amountTaken : null,
         return_amount: returnAmount !== undefined ? returnAmount : null,
@@ -902,9 +935,15 @@ const OrderHistory = () => {
       title: 'Cancel Order',
       message: 'Are you sure you want to cancel this order? This action cannot be undone. All order statuses will be set to cancelled.',
       onConfirm: async () => {
+        const targetOrder = orders.find(o => o.id === orderId);
+        const { approved, approval } = await requestOverride('cancel', {
+          details: `Order #${targetOrder?.order_number || targetOrder?.orderNumber || orderId}`
+        });
+        if (!approved) return;
+
         setCancellingOrderId(orderId);
         try {
-          await ordersAPI.cancelOrder(orderId);
+          await ordersAPI.cancelOrder(orderId, approval ? { approval } : undefined);
           showSuccess('Order cancelled successfully');
 
           // Refresh orders to show updated status
@@ -948,7 +987,7 @@ const OrderHistory = () => {
 
       doc.setFontSize(12);
       doc.setFont('helvetica', 'normal');
-      doc.text('Flamex', pageWidth / 2, yPosition, { align: 'center' });
+      doc.text(getBusinessSettings().name, pageWidth / 2, yPosition, { align: 'center' });
       yPosition += lineHeight * 2;
 
       // Date Range and Filters
@@ -1053,7 +1092,7 @@ const OrderHistory = () => {
           }
 
           if (order.customer_phone) {
-            doc.text(`Phone: ${order.customer_phone}`, margin, yPosition);
+            doc.text(`Phone: ${showPhone(order.customer_phone)}`, margin, yPosition);
             yPosition += lineHeight;
           }
 
@@ -1095,10 +1134,10 @@ const OrderHistory = () => {
 
       doc.setFontSize(9);
       doc.setFont('helvetica', 'normal');
-      doc.text('Easypaisa: 03307072222', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
-      doc.text('Abdullah Saleem', pageWidth / 2, yPosition, { align: 'center' });
-      yPosition += lineHeight;
+      getPdfFooterLines().forEach(line => {
+        doc.text(line, pageWidth / 2, yPosition, { align: 'center' });
+        yPosition += lineHeight;
+      });
       doc.setFont('helvetica', 'bold');
       doc.text('THANK YOU!', pageWidth / 2, yPosition, { align: 'center' });
 
@@ -1726,7 +1765,7 @@ const OrderHistory = () => {
 
                           const customer = order.customer;
                           const customerName = customer?.name || order.customer_name || order.customerName;
-                          const customerPhone = customer?.phone || order.customer_phone || order.customerPhone;
+                          const customerPhone = showPhone(customer?.phone || order.customer_phone || order.customerPhone);
                           const deliveryAddress = order.delivery_address || order.deliveryAddress;
 
                           if (!customerName && !customerPhone && !deliveryAddress) return null;
@@ -2115,25 +2154,48 @@ const OrderHistory = () => {
 
                     if (!isCancelled) {
                       return (
-                        <button
-                          onClick={() => handleCancelOrder(order.id)}
-                          disabled={cancellingOrderId === order.id}
-                          style={{
-                            flex: 1,
-                            minWidth: '120px',
-                            padding: '0.75rem',
-                            border: '2px solid #dc3545',
-                            borderRadius: '8px',
-                            background: '#dc3545',
-                            color: 'white',
-                            fontWeight: 'bold',
-                            cursor: cancellingOrderId === order.id ? 'not-allowed' : 'pointer',
-                            fontSize: '0.9rem',
-                            opacity: cancellingOrderId === order.id ? 0.6 : 1
-                          }}
-                        >
-                          {cancellingOrderId === order.id ? 'Cancelling...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel Order</>}
-                        </button>
+                        <>
+                          {paymentStatus === 'completed' && can('refund_orders') && (
+                            <button
+                              onClick={() => setRefundOrder(order)}
+                              style={{
+                                flex: 1,
+                                minWidth: '120px',
+                                padding: '0.75rem',
+                                border: '2px solid #fd7e14',
+                                borderRadius: '8px',
+                                background: 'white',
+                                color: '#fd7e14',
+                                fontWeight: 'bold',
+                                cursor: 'pointer',
+                                fontSize: '0.9rem'
+                              }}
+                            >
+                              <FaUndo style={{ marginRight: '0.25rem' }} /> Refund
+                            </button>
+                          )}
+                          {can('cancel_orders') && (
+                            <button
+                              onClick={() => handleCancelOrder(order.id)}
+                              disabled={cancellingOrderId === order.id}
+                              style={{
+                                flex: 1,
+                                minWidth: '120px',
+                                padding: '0.75rem',
+                                border: '2px solid #dc3545',
+                                borderRadius: '8px',
+                                background: '#dc3545',
+                                color: 'white',
+                                fontWeight: 'bold',
+                                cursor: cancellingOrderId === order.id ? 'not-allowed' : 'pointer',
+                                fontSize: '0.9rem',
+                                opacity: cancellingOrderId === order.id ? 0.6 : 1
+                              }}
+                            >
+                              {cancellingOrderId === order.id ? 'Cancelling...' : <><FaTimes style={{ marginRight: '0.25rem' }} /> Cancel Order</>}
+                            </button>
+                          )}
+                        </>
                       );
                     }
                     return null;
@@ -2175,7 +2237,7 @@ const OrderHistory = () => {
 
                       const customer = orderDetails.order.customer;
                       const customerName = customer?.name || orderDetails.order.customer_name || orderDetails.order.customerName;
-                      const customerPhone = customer?.phone || orderDetails.order.customer_phone || orderDetails.order.customerPhone;
+                      const customerPhone = showPhone(customer?.phone || orderDetails.order.customer_phone || orderDetails.order.customerPhone);
                       const deliveryAddress = orderDetails.order.deliveryAddress || orderDetails.order.delivery_address;
                       let deliveryNotes = orderDetails.order.deliveryNotes || orderDetails.order.delivery_notes;
                       const deliveryCharge = orderDetails.order.deliveryCharge || orderDetails.order.delivery_charge || 0;
@@ -2439,6 +2501,15 @@ const OrderHistory = () => {
         )}
       </div>
 
+      {refundOrder && (
+        <RefundModal
+          order={refundOrder}
+          user={user}
+          onClose={() => setRefundOrder(null)}
+          onRefunded={() => fetchOrders()}
+        />
+      )}
+
       {/* Confirmation Modal */}
       <ConfirmationModal
         isOpen={confirmModal.isOpen}
@@ -2448,6 +2519,8 @@ const OrderHistory = () => {
         message={confirmModal.message}
         variant={confirmModal.variant}
       />
+
+      <ManagerOverrideModal {...overrideModalProps} />
     </div>
   );
 };
@@ -10,7 +10,41 @@ import { useToast } from '../contexts/ToastContext';
 import { keyboardShortcuts } from '../utils/keyboardShortcuts';
 import EmptyState from './EmptyState';
 import CustomerAddressSelector from './CustomerAddressSelector';
+import MenuItemOptionsPicker from './MenuItemOptionsPicker';
+import ManagerOverrideModal from './ManagerOverrideModal';
 import { Spinner } from './LoadingSkeleton';
+import {
+  itemHasOptions,
+  getDefaultSelections,
+  validateSelections,
+  resolveSelections,
+  getUnitPrice,
+  buildCartLine,
+  buildCartLineKey,
+  getCartLineKey,
+  getOrderItemOptions,
+  serializeLineOptions,
+  pickReceiptItemOptions,
+  formatItemOptionLines
+} from '../utils/menuModifiers';
+import { getLineRecipeUsage } from '../utils/recipes';
+import { calculateOrderTotals, serializePricing, formatTaxLineLabel } from '../utils/pricing';
+import { usePricingConfig } from '../hooks/usePricingConfig';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+import { useFloorPlan } from '../hooks/useFloorPlan';
+import { getAllTables, isKnownTable, isSameTable, TAKEAWAY_TABLE } from '../utils/floorPlan';
+import { buildKitchenDelta } from '../utils/kitchenStations';
+import { subscribeToTablesUpdated } from '../utils/multiTabSync';
+import { usePromotionsQuery } from '../hooks/promotions';
+import { useManagerOverride } from '../hooks/useManagerOverride';
+import { usePermissions } from '../hooks/usePermissions';
+import {
+  applyPromotions,
+  validateCoupon,
+  normalizeCouponCode,
+  formatPromotionLabel,
+  getOrderPromotionLines
+} from '../utils/promotions';
 import {
   FaUtensils,
   FaSearch,
@@ -21,7 +55,8 @@ import {
   FaExclamationTriangle,
   FaTag,
   FaStickyNote,
-  FaLightbulb
+  FaLightbulb,
+  FaTicketAlt
 } from 'react-icons/fa';
 
 const createCartTemplate = (id, name = `Cart ${id}`) => ({
@@ -42,7 +77,8 @@ const createCartTemplate = (id, name = `Cart ${id}`) => ({
   googleMapsLink: '',
   deliveryCharge: '',
   deliveryPaymentType: 'cod',
-  discountPercent: 0
+  discountPercent: 0,
+  couponCodes: []
 });
 
 function getPosCartStorageKey() {
@@ -126,6 +162,8 @@ let lastMenuItemsSnapshot = null;
 const OrderSystem = ({ basePath = '/manager' }) => {
   const [searchParams, setSearchParams] = useSearchParams();
   const { showSuccess, showError, showInfo } = useToast();
+  const { requestOverride, overrideModalProps } = useManagerOverride();
+  const { can } = usePermissions();
   const [menuItems, setMenuItems] = useState(() => lastMenuItemsSnapshot ?? []);
   const [menuInitialLoading, setMenuInitialLoading] = useState(
     () => !((lastMenuItemsSnapshot?.length) > 0)
@@ -188,6 +226,9 @@ const OrderSystem = ({ basePath = '/manager' }) => {
   const checkoutSubmittingRef = useRef(false);
   const [checkoutSubmitting, setCheckoutSubmitting] = useState(false);
   const [editingOrder, setEditingOrder] = useState(null);
+  const [priceEdit, setPriceEdit] = useState(null);
+  // Set by Escape so the blur that follows discards the edit instead of committing it
+  const priceEditCancelledRef = useRef(false);
   const [editLoading, setEditLoading] = useState(false);
   const [editLoadError, setEditLoadError] = useState('');
   const [occupiedTables, setOccupiedTables] = useState([]);
@@ -201,12 +242,20 @@ const OrderSystem = ({ basePath = '/manager' }) => {
   const [selectedMenuItem, setSelectedMenuItem] = useState(null);
   const [isItemModalOpen, setIsItemModalOpen] = useState(false);
   const [selectedItemImageIndex, setSelectedItemImageIndex] = useState(0);
+  const [itemSelections, setItemSelections] = useState({ variantId: null, modifiers: {} });
+  const [itemSelectionError, setItemSelectionError] = useState('');
   const reserveTableRef = useRef(null);
   const releaseTableRef = useRef(null);
   const updateCustomerDebounceRef = useRef(null);
   const cartPersistDebounceRef = useRef(null);
 
-  const getCartStorageKey = useCallback(() => getPosCartStorageKey(), []);
+  // Fixed per mount: switching users on the lock screen remounts the POS, and a late
+  // write must not land in the next user's carts
+  const cartStorageKeyRef = useRef(null);
+  if (cartStorageKeyRef.current === null) {
+    cartStorageKeyRef.current = getPosCartStorageKey();
+  }
+  const getCartStorageKey = useCallback(() => cartStorageKeyRef.current, []);
 
   const clearPersistedCartState = useCallback(() => {
     try {
@@ -285,8 +334,14 @@ const OrderSystem = ({ basePath = '/manager' }) => {
   const deliveryCharge = activeCart.deliveryCharge === 0 ? '0' : (activeCart.deliveryCharge || '');
   const deliveryPaymentType = activeCart.deliveryPaymentType || 'cod';
   const discountPercent = activeCart.discountPercent || 0;
+  const couponCodes = useMemo(() => activeCart.couponCodes || [], [activeCart.couponCodes]);
   const isDelivery = orderType === 'delivery';
   const parsedDeliveryCharge = deliveryCharge === '' ? 0 : (parseFloat(deliveryCharge) || 0);
+  const pricingConfig = usePricingConfig();
+  const { currency } = useBusinessSettings();
+  const floorPlan = useFloorPlan();
+  const { data: promotions = [] } = usePromotionsQuery();
+  const [couponInput, setCouponInput] = useState('');
 
   const getLocalDateKey = useCallback((value) => {
     if (!value) return '';
@@ -390,7 +445,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
             // Check if this table is already in the list
             const exists = combinedTables.some(t => {
               const tNum = t.tableNumber || t.table_number;
-              return tNum !== null && tNum !== undefined && parseInt(tNum) === parseInt(tableNum);
+              return isSameTable(tNum, tableNum);
             });
             if (!exists) {
               combinedTables.push(offlineTable);
@@ -510,7 +565,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         // Combine cached tables and offline orders, removing duplicates
         const combinedTables = [...cachedTables].filter(t => {
           const tNum = t.tableNumber || t.table_number;
-          return offlineOccupiedTables.some(o => parseInt(o.tableNumber) === parseInt(tNum));
+          return offlineOccupiedTables.some(o => isSameTable(o.tableNumber, tNum));
         });
         offlineOccupiedTables.forEach(offlineTable => {
           const tableNum = offlineTable.tableNumber;
@@ -542,16 +597,16 @@ const OrderSystem = ({ basePath = '/manager' }) => {
   // Helpers to reserve/release tables locally and persist to cache
   reserveTableRef.current = useCallback(async (tableNum, orderInfo = {}) => {
     if (isDelivery) return;
-    const numericTable = parseInt(tableNum);
-    if (Number.isNaN(numericTable)) return;
+    if (!tableNum || String(tableNum) === TAKEAWAY_TABLE) return;
+    const tableKey = String(tableNum).trim();
 
     // Update local state so the UI immediately disables the table
     setOccupiedTables(prev => {
-      const exists = prev.some(t => parseInt(t.tableNumber || t.table_number) === numericTable);
+      const exists = prev.some(t => isSameTable(t.tableNumber || t.table_number, tableKey));
       if (exists) return prev;
       return [...prev, {
-        tableNumber: numericTable,
-        table_number: numericTable,
+        tableNumber: tableKey,
+        table_number: tableKey,
         id: orderInfo.orderId || orderInfo.id || null,
         orderId: orderInfo.orderId || orderInfo.id || null,
         orderNumber: orderInfo.orderNumber || orderInfo.order_number || null,
@@ -562,11 +617,11 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     // Persist to cached table availability so refresh keeps it reserved
     try {
       const cached = await getCachedTableAvailability();
-      const exists = cached.some(t => parseInt(t.tableNumber || t.table_number) === numericTable);
+      const exists = cached.some(t => isSameTable(t.tableNumber || t.table_number, tableKey));
       if (!exists) {
         const merged = [...cached, {
-          tableNumber: numericTable,
-          table_number: numericTable,
+          tableNumber: tableKey,
+          table_number: tableKey,
           id: orderInfo.orderId || orderInfo.id || null,
           orderId: orderInfo.orderId || orderInfo.id || null,
           orderNumber: orderInfo.orderNumber || orderInfo.order_number || null,
@@ -581,14 +636,13 @@ const OrderSystem = ({ basePath = '/manager' }) => {
 
   releaseTableRef.current = useCallback(async (tableNum) => {
     if (isDelivery) return;
-    const numericTable = parseInt(tableNum);
-    if (Number.isNaN(numericTable)) return;
+    if (!tableNum || String(tableNum) === TAKEAWAY_TABLE) return;
 
-    setOccupiedTables(prev => prev.filter(t => parseInt(t.tableNumber || t.table_number) !== numericTable));
+    setOccupiedTables(prev => prev.filter(t => !isSameTable(t.tableNumber || t.table_number, tableNum)));
 
     try {
       const cached = await getCachedTableAvailability();
-      const filtered = cached.filter(t => parseInt(t.tableNumber || t.table_number) !== numericTable);
+      const filtered = cached.filter(t => !isSameTable(t.tableNumber || t.table_number, tableNum));
       await cacheTableAvailability(filtered);
     } catch (err) {
       console.warn('[OrderSystem] Failed to persist table release:', err);
@@ -608,6 +662,13 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     return () => window.removeEventListener('tableFreed', handleTableFreed);
   }, []);
 
+  // Table moves, merges and splits made in another tab push the new occupancy
+  useEffect(() => {
+    return subscribeToTablesUpdated((tables) => {
+      if (Array.isArray(tables)) setOccupiedTables(tables);
+    });
+  }, []);
+
 
 
   const updateActiveCart = useCallback((updates) => {
@@ -635,38 +696,26 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     // when a table becomes available again.
     if (tableNumber === 'takeaway' && !autoTableNumber) return;
 
-    // If a numeric table is already selected and available, keep it
-    if (tableNumber) {
-      const tableNum = parseInt(tableNumber);
-      if (!isNaN(tableNum)) {
-        const isOccupied = occupiedTables.some(t => {
-          const occupiedTableNum = t.tableNumber || t.table_number;
-          if (occupiedTableNum === null || occupiedTableNum === undefined) return false;
-          return String(occupiedTableNum) === String(tableNum);
-        });
-        if (!isOccupied) {
-          return; // Current table is available, keep it
-        }
+    // If a floor-plan table is already selected and available, keep it
+    if (tableNumber && tableNumber !== 'takeaway' && isKnownTable(tableNumber, floorPlan)) {
+      const isOccupied = occupiedTables.some(t => isSameTable(t.tableNumber || t.table_number, tableNumber));
+      if (!isOccupied) {
+        return; // Current table is available, keep it
       }
     }
-    
-    // Find first available table (1-9)
-    const allTables = [1, 2, 3, 4, 5, 6, 7, 8, 9];
-    const availableTable = allTables.find(tableNum => {
-      return !occupiedTables.some(t => {
-        const occupiedTableNum = t.tableNumber || t.table_number;
-        if (occupiedTableNum === null || occupiedTableNum === undefined) return false;
-        return String(occupiedTableNum) === String(tableNum);
-      });
+
+    // Find first available table in floor-plan order
+    const availableTable = getAllTables(floorPlan).find(table => {
+      return !occupiedTables.some(t => isSameTable(t.tableNumber || t.table_number, table.number));
     });
-    
+
     // Select first available table, or "takeaway" if all are occupied
-    if (availableTable !== undefined) {
-      updateActiveCart({ tableNumber: availableTable.toString(), autoTableNumber: true });
+    if (availableTable) {
+      updateActiveCart({ tableNumber: availableTable.number, autoTableNumber: true });
     } else {
       updateActiveCart({ tableNumber: 'takeaway', autoTableNumber: true });
     }
-  }, [isDelivery, occupiedTables, editingOrder, tableNumber, autoTableNumber, updateActiveCart]); // Re-run when order type or occupied tables change
+  }, [isDelivery, occupiedTables, editingOrder, tableNumber, autoTableNumber, updateActiveCart, floorPlan]); // Re-run when order type, occupied tables or the floor plan change
 
   useEffect(() => {
     // Re-check if the cart tabs row overflows whenever carts change.
@@ -784,8 +833,8 @@ const OrderSystem = ({ basePath = '/manager' }) => {
   const handleTableNumberChange = (value) => {
     // Check if table is occupied before allowing selection (skip check for "takeaway")
     if (value && !isDelivery && value !== 'takeaway') {
-      const tableNum = parseInt(value);
-      if (!isNaN(tableNum)) {
+      const tableNum = String(value).trim();
+      if (tableNum) {
         const isOccupied = occupiedTables.some(t => {
           // If editing and this is the same order, don't consider it occupied
           const occupiedOrderId = t.orderId || t.order_id || t.id;
@@ -797,17 +846,12 @@ const OrderSystem = ({ basePath = '/manager' }) => {
           )) {
             return false;
           }
-          // Check both tableNumber and table_number fields, ensure proper comparison
-          const occupiedTableNum = t.tableNumber || t.table_number;
-          if (occupiedTableNum === null || occupiedTableNum === undefined) return false;
-          return String(occupiedTableNum) === String(tableNum);
+          // Check both tableNumber and table_number fields
+          return isSameTable(t.tableNumber || t.table_number, tableNum);
         });
 
         if (isOccupied) {
-          const occupiedOrder = occupiedTables.find(t => {
-            const occupiedTableNum = t.tableNumber || t.table_number;
-            return occupiedTableNum !== null && occupiedTableNum !== undefined && String(occupiedTableNum) === String(tableNum);
-          });
+          const occupiedOrder = occupiedTables.find(t => isSameTable(t.tableNumber || t.table_number, tableNum));
           const orderNumber = occupiedOrder?.orderNumber || occupiedOrder?.order_number || 'N/A';
           showError(`Table #${tableNum} is already reserved (Order #${orderNumber}). Please select a different table.`);
           return; // Don't update the table number
@@ -1410,12 +1454,19 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         if (offlineOrder) {
           const orderData = offlineOrder.data || offlineOrder;
           orderDetails = orderData;
-          itemDetails = (orderData.orderItems || orderData.items || []).map(item => ({
-            id: item.menuItemId || item.menu_item_id || item.id,
-            name: item.itemName || item.name || item.item_name || item.menuItem?.name || 'Item',
-            price: Number(item.price || item.item_price || 0),
-            quantity: item.quantity || 1
-          }));
+          itemDetails = (orderData.orderItems || orderData.items || []).map(item => {
+            const { variant, modifiers } = getOrderItemOptions(item);
+            const id = item.menuItemId || item.menu_item_id || item.id;
+            return {
+              id,
+              name: item.itemName || item.name || item.item_name || item.menuItem?.name || 'Item',
+              price: Number(item.price || item.item_price || 0),
+              quantity: item.quantity || 1,
+              variant,
+              modifiers,
+              lineKey: buildCartLineKey(id, variant, modifiers)
+            };
+          });
         } else {
           throw new Error('Offline order not found');
         }
@@ -1427,12 +1478,19 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         ]);
 
         orderDetails = orderRes.data?.data ?? orderRes.data ?? {};
-        itemDetails = (itemsRes.data?.data ?? itemsRes.data ?? []).map(item => ({
-          id: item.menuItemId || item.menu_item_id,
-          name: item.itemName || item.name || item.item_name,
-          price: Number(item.price) || 0,
-          quantity: item.quantity || 1
-        }));
+        itemDetails = (itemsRes.data?.data ?? itemsRes.data ?? []).map(item => {
+          const { variant, modifiers } = getOrderItemOptions(item);
+          const id = item.menuItemId || item.menu_item_id;
+          return {
+            id,
+            name: item.itemName || item.name || item.item_name,
+            price: Number(item.price) || 0,
+            quantity: item.quantity || 1,
+            variant,
+            modifiers,
+            lineKey: buildCartLineKey(id, variant, modifiers)
+          };
+        });
       }
 
       if (!orderDetails || !orderDetails.id) {
@@ -1481,7 +1539,8 @@ const OrderSystem = ({ basePath = '/manager' }) => {
             deliveryNotes: orderDetails.deliveryNotes || orderDetails.delivery_notes || '',
             deliveryCharge: deliveryCharge,
             deliveryPaymentType: paymentMethod === 'cash' && paymentStatus !== 'completed' ? 'cod' : 'prepaid',
-            discountPercent: orderDetails.discountPercent || orderDetails.discount_percent || 0
+            discountPercent: orderDetails.discountPercent || orderDetails.discount_percent || 0,
+            couponCodes: getOrderPromotionLines(orderDetails).map(line => line.code).filter(Boolean)
           };
         })
       );
@@ -1491,7 +1550,10 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         order_number: orderDetails.orderNumber || orderDetails.order_number,
         orderType: orderDetails.orderType || orderDetails.order_type || 'dine_in',
         offline: orderMeta.offline || false,
-        offlineId: orderMeta.offlineId || null
+        offlineId: orderMeta.offlineId || null,
+        discountPercent: orderDetails.discountPercent || orderDetails.discount_percent || 0,
+        // What the kitchen already has, so the edit prints only the changes
+        originalItems: itemDetails
       });
       setCheckoutError('');
     } catch (error) {
@@ -1617,22 +1679,27 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     }
   }, [searchParams, editingOrder, editLoading, loadOrderForEditing, setSearchParams]);
 
-  const addToCart = useCallback((item) => {
+  // Cart lines are keyed by item + selected size/modifiers, so "Zinger, extra cheese"
+  // and a plain "Zinger" stay on separate lines.
+  const addToCart = useCallback((item, selections = null) => {
+    const line = selections
+      ? buildCartLine(item, selections)
+      : { ...item, lineKey: String(item.id), quantity: 1 };
     setCarts(prevCarts =>
       prevCarts.map(c =>
         c.id === activeCartId
           ? {
             ...c,
             items: (() => {
-              const existingItem = c.items.find(cartItem => cartItem.id === item.id);
+              const existingItem = c.items.find(cartItem => getCartLineKey(cartItem) === line.lineKey);
               if (existingItem) {
                 return c.items.map(cartItem =>
-                  cartItem.id === item.id
+                  getCartLineKey(cartItem) === line.lineKey
                     ? { ...cartItem, quantity: cartItem.quantity + 1 }
                     : cartItem
                 );
               } else {
-                return [...c.items, { ...item, quantity: 1 }];
+                return [...c.items, line];
               }
             })()
           }
@@ -1641,16 +1708,16 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     );
   }, [activeCartId]);
 
-  const updateQuantity = useCallback((itemId, quantity) => {
+  const updateQuantity = useCallback((lineKey, quantity) => {
     setCarts(prevCarts =>
       prevCarts.map(c =>
         c.id === activeCartId
           ? {
             ...c,
             items: quantity <= 0
-              ? c.items.filter(item => item.id !== itemId)
+              ? c.items.filter(item => getCartLineKey(item) !== lineKey)
               : c.items.map(item =>
-                item.id === itemId ? { ...item, quantity } : item
+                getCartLineKey(item) === lineKey ? { ...item, quantity } : item
               )
           }
           : c
@@ -1658,16 +1725,70 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     );
   }, [activeCartId]);
 
-  const removeFromCart = useCallback((itemId) => {
+  // A changed price keeps the menu price and the manager's approval on the line. Runs
+  // only from the input's blur (Enter blurs it), so one edit asks for one override.
+  const commitLinePrice = async (item) => {
+    const edit = priceEdit;
+    setPriceEdit(null);
+    if (priceEditCancelledRef.current) {
+      priceEditCancelledRef.current = false;
+      return;
+    }
+    const price = parseFloat(edit?.value);
+    if (!edit || !Number.isFinite(price) || price < 0 || price === parseFloat(item.price)) return;
+
+    const { approved, approval } = await requestOverride('price_override', {
+      details: `${item.name}: ${currency} ${item.price} -> ${currency} ${price}`
+    });
+    if (!approved) return;
+
+    const lineKey = getCartLineKey(item);
+    setCarts(prevCarts =>
+      prevCarts.map(c =>
+        c.id === activeCartId
+          ? {
+            ...c,
+            items: c.items.map(cartItem =>
+              getCartLineKey(cartItem) === lineKey
+                ? {
+                  ...cartItem,
+                  price,
+                  originalPrice: cartItem.originalPrice ?? cartItem.price,
+                  priceApproval: approval
+                }
+                : cartItem
+            )
+          }
+          : c
+      )
+    );
+  };
+
+  const removeFromCart = useCallback((lineKey) => {
     setCarts(prevCarts =>
       prevCarts.map(c =>
         c.id === activeCartId
-          ? { ...c, items: c.items.filter(item => item.id !== itemId) }
+          ? { ...c, items: c.items.filter(item => getCartLineKey(item) !== lineKey) }
           : c
       )
     );
   }, [activeCartId]);
 
+  const openItemModal = useCallback((item) => {
+    setSelectedMenuItem(item);
+    setSelectedItemImageIndex(0);
+    setItemSelections(getDefaultSelections(item));
+    setItemSelectionError('');
+    setIsItemModalOpen(true);
+  }, []);
+
+  const closeItemModal = useCallback(() => {
+    setIsItemModalOpen(false);
+    setSelectedMenuItem(null);
+    setSelectedItemImageIndex(0);
+    setItemSelectionError('');
+  }, []);
+
   const getTotal = useCallback(() => {
     return cart.reduce((total, item) => total + (parseFloat(item.price) || 0) * (item.quantity || 0), 0);
   }, [cart]);
@@ -1678,6 +1799,19 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     return Math.max(0, taken - total);
   }, [getTotal, amountTaken]);
 
+  // Receipt line for a cart item, tagged with what kitchen station routing needs
+  const toReceiptItem = (item) => {
+    const menuItem = menuItems.find(m => String(m.id) === String(item.id)) || item;
+    return {
+      name: item.name,
+      quantity: item.quantity,
+      price: item.price,
+      menu_item_id: item.id,
+      category_id: menuItem.categoryId ?? menuItem.category_id ?? menuItem.category?.id ?? null,
+      ...pickReceiptItemOptions(item)
+    };
+  };
+
   const handleCheckout = async () => {
     if (cart.length === 0) {
       setCheckoutError('Cart is empty. Add items before checking out.');
@@ -1695,18 +1829,15 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         setCheckoutError('Table number is required for dine-in orders.');
         return;
       }
-      // Allow "takeaway" or numeric table numbers 1-9
-      if (tableNumber !== 'takeaway') {
-        const tableNum = parseInt(tableNumber);
-        if (isNaN(tableNum) || tableNum < 1) {
-          setCheckoutError('Please enter a valid table number (1-9) or select "Take Away".');
-          return;
-        }
+      // Allow "takeaway" or any table on the floor plan
+      if (!isKnownTable(tableNumber, floorPlan)) {
+        setCheckoutError(`Table "${tableNumber}" is not on the floor plan. Pick a table or select "Take Away".`);
+        return;
       }
 
       // Check if table is occupied (excluding current order if editing, skip check for "takeaway")
       if (tableNumber !== 'takeaway') {
-        const tableNum = parseInt(tableNumber);
+        const tableNum = String(tableNumber).trim();
         const isOccupied = occupiedTables.some(t => {
           // If editing and this is the same order, don't consider it occupied
           const occupiedOrderId = t.orderId || t.order_id || t.id;
@@ -1725,7 +1856,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         });
 
         if (isOccupied) {
-          const occupiedOrder = occupiedTables.find(t => String(t.tableNumber || t.table_number) === String(tableNum));
+          const occupiedOrder = occupiedTables.find(t => isSameTable(t.tableNumber || t.table_number, tableNum));
           setCheckoutError(`Table #${tableNum} already has a pending order (Order #${occupiedOrder?.orderNumber || occupiedOrder?.order_number || 'N/A'}). Please complete or cancel the existing order first.`);
           return;
         }
@@ -1739,6 +1870,16 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     setCheckoutSubmitting(true);
 
     try {
+      // Only a discount raised above what the order already had needs approval
+      const { approved, approval: discountApproval } = discountPercent > (editingOrder?.discountPercent || 0)
+        ? await requestOverride('discount', {
+          context: { discountPercent },
+          details: `${discountPercent}% discount`
+        })
+        : { approved: true, approval: null };
+      if (!approved) return;
+      const approvals = [discountApproval, ...cart.map(item => item.priceApproval)].filter(Boolean);
+
       const subtotal = subtotalAmount; // Use memoized value
       const deliveryChargeValue = deliveryFee; // Use memoized value
       const discount = discountAmount; // Use memoized value
@@ -1768,11 +1909,16 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         }
       }
 
-      const orderItems = cart.map(item => ({
-        menuItemId: item.id,
-        quantity: item.quantity,
-        price: parseFloat(item.price)
-      }));
+      const orderItems = cart.map(item => {
+        const recipeUsage = getLineRecipeUsage(menuItems.find(m => String(m.id) === String(item.id)) || item, item);
+        return {
+          menuItemId: item.id,
+          quantity: item.quantity,
+          price: parseFloat(item.price),
+          ...serializeLineOptions(item),
+          ...(recipeUsage.length > 0 && { recipeUsage })
+        };
+      });
 
       let orderId = editingOrder ? editingOrder.id : null;
       let orderNumber = null;
@@ -1796,7 +1942,9 @@ const OrderSystem = ({ basePath = '/manager' }) => {
             tableNumber: tableNumber || undefined
           }),
           specialInstructions: typeof specialInstructions === 'string' ? specialInstructions.trim() : undefined,
-          discountPercent: discountPercent || 0
+          discountPercent: discountPercent || 0,
+          ...serializePricing(pricing),
+          ...(approvals.length > 0 && { approvals })
         };
 
         // Check if editing an offline order
@@ -1883,7 +2031,9 @@ const OrderSystem = ({ basePath = '/manager' }) => {
             tableNumber: tableNumber || undefined
           }),
           specialInstructions: typeof specialInstructions === 'string' ? specialInstructions.trim() : undefined,
-          discountPercent: discountPercent || 0
+          discountPercent: discountPercent || 0,
+          ...serializePricing(pricing),
+          ...(approvals.length > 0 && { approvals })
         };
 
         // Check if server is actually reachable (not just browser online status)
@@ -2062,21 +2212,22 @@ const OrderSystem = ({ basePath = '/manager' }) => {
       }
 
       // Prepare receipt data
+      const receiptItems = cart.map(toReceiptItem);
       const receiptData = {
         id: orderId,
         order_number: orderNumber || orderId,
         table_number: !isDelivery ? (tableNumber || null) : null,
-        items: cart.map(item => ({
-          name: item.name,
-          quantity: item.quantity,
-          price: item.price
-        })),
+        items: receiptItems,
+        ...(editingOrder?.originalItems && {
+          kitchen_changes: buildKitchenDelta(editingOrder.originalItems.map(toReceiptItem), receiptItems)
+        }),
         subtotal: subtotal,
         total_amount: totalAmount,
         // pass discount so receipts show it
         discount_percent: discountPercent || 0,
         discountPercent: discountPercent || 0,
         delivery_charge: deliveryChargeValue,
+        pricing,
         payment_method: paymentMethod,
         payment_status: paymentStatus,
         cashier_name: 'Cashier',
@@ -2193,22 +2344,54 @@ const OrderSystem = ({ basePath = '/manager' }) => {
     )];
   }, [menuItems]);
 
-  // Memoize cart calculations
-  const subtotalAmount = useMemo(() => {
-    return cart.reduce((total, item) => total + (parseFloat(item.price) || 0) * (item.quantity || 0), 0);
-  }, [cart]);
-
-  const discountAmount = useMemo(() => {
-    return subtotalAmount * (discountPercent / 100);
-  }, [subtotalAmount, discountPercent]);
+  // Automatic promotions plus any coupons entered on this cart
+  const promotionResult = useMemo(() => {
+    const subtotal = cart.reduce((sum, item) => sum + item.price * item.quantity, 0);
+    return applyPromotions({
+      items: cart,
+      promotions,
+      couponCodes,
+      orderType,
+      maxDiscount: subtotal * (1 - Math.min(100, discountPercent) / 100)
+    });
+  }, [cart, promotions, couponCodes, orderType, discountPercent]);
+
+  // Memoize cart calculations (discount, tax and service charge come from the shared pricing module)
+  // Dine-in and COD orders are priced at cash rates; card rates apply if they are later paid by transfer
+  const pricing = useMemo(() => calculateOrderTotals({
+    items: cart,
+    discountPercent,
+    deliveryCharge: isDelivery ? parsedDeliveryCharge : 0,
+    orderType,
+    paymentMethod: isDelivery && deliveryPaymentType === 'prepaid' ? 'bank_transfer' : 'cash',
+    promotionLines: promotionResult.lines,
+    config: pricingConfig
+  }), [cart, discountPercent, isDelivery, parsedDeliveryCharge, orderType, deliveryPaymentType, promotionResult, pricingConfig]);
+
+  const handleApplyCoupon = () => {
+    const code = normalizeCouponCode(couponInput);
+    if (couponCodes.includes(code)) {
+      setCouponInput('');
+      return;
+    }
+    const { promotion, error } = validateCoupon(code, promotions, { items: cart, orderType });
+    if (!promotion) {
+      showError(error);
+      return;
+    }
+    updateActiveCart({ couponCodes: [...couponCodes, code] });
+    setCouponInput('');
+    showSuccess(`Coupon applied: ${promotion.name}`);
+  };
 
-  const deliveryFee = useMemo(() => {
-    return isDelivery ? parsedDeliveryCharge : 0;
-  }, [isDelivery, parsedDeliveryCharge]);
+  const handleRemoveCoupon = (code) => {
+    updateActiveCart({ couponCodes: couponCodes.filter(c => c !== code) });
+  };
 
-  const grandTotalAmount = useMemo(() => {
-    return (subtotalAmount - discountAmount) + deliveryFee;
-  }, [subtotalAmount, discountAmount, deliveryFee]);
+  const subtotalAmount = pricing.subtotal;
+  const discountAmount = pricing.discountAmount;
+  const deliveryFee = pricing.deliveryCharge;
+  const grandTotalAmount = pricing.grandTotal;
 
   const deliveryFormComplete = !isDelivery || (
     (typeof deliveryName === 'string' ? deliveryName.trim() : '') &&
@@ -2218,10 +2401,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
 
   // Check if selected table is occupied (for dine-in orders)
   const isSelectedTableOccupied = useMemo(() => {
-    if (isDelivery || !tableNumber) return false;
-
-    const tableNum = parseInt(tableNumber);
-    if (isNaN(tableNum)) return false;
+    if (isDelivery || !tableNumber || tableNumber === 'takeaway') return false;
 
     return occupiedTables.some(t => {
       // If editing and this is the same order, don't consider it occupied
@@ -2235,10 +2415,8 @@ const OrderSystem = ({ basePath = '/manager' }) => {
         return false;
       }
 
-      // Check both tableNumber and table_number fields, ensure proper number comparison
-      const occupiedTableNum = t.tableNumber || t.table_number;
-      if (occupiedTableNum === null || occupiedTableNum === undefined) return false;
-      return parseInt(occupiedTableNum) === tableNum;
+      // Check both tableNumber and table_number fields
+      return isSameTable(t.tableNumber || t.table_number, tableNumber);
     });
   }, [isDelivery, tableNumber, occupiedTables, editingOrder]);
 
@@ -2439,11 +2617,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
               filteredItems.map(item => (
                 <div
                   key={item.id}
-                  onClick={() => {
-                    setSelectedMenuItem(item);
-                    setSelectedItemImageIndex(0);
-                    setIsItemModalOpen(true);
-                  }}
+                  onClick={() => openItemModal(item)}
                   style={{
                     background: 'white',
                     borderRadius: '12px',
@@ -2622,13 +2796,18 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                       fontWeight: 'bold',
                       color: 'var(--color-primary)'
                     }}>
-                      PKR {parseFloat(item.price).toFixed(2)}
+                      {currency} {parseFloat(item.price).toFixed(2)}
                     </div>
                     <button
                       disabled={!(item.available === 1 || item.available === true)}
                       onClick={(e) => {
                         e.stopPropagation();
-                        if (item.available === 1 || item.available === true) addToCart(item);
+                        if (!(item.available === 1 || item.available === true)) return;
+                        if (itemHasOptions(item)) {
+                          openItemModal(item);
+                        } else {
+                          addToCart(item);
+                        }
                       }}
                       style={{
                         background: (item.available === 1 || item.available === true) ? 'var(--gradient-primary)' : '#ccc',
@@ -3026,14 +3205,21 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                     Table Number <span style={{ color: '#dc3545' }}>*</span>
                   </label>
 
-                  {/* Quick Table Selection (1-9 + Take Away) */}
+                  {/* Quick Table Selection (floor plan areas + Take Away) */}
+                  {floorPlan.areas.filter(area => area.tables.length > 0).map(area => (
+                  <div key={area.id} style={{ marginBottom: '0.75rem' }}>
+                    {floorPlan.areas.length > 1 && (
+                      <div style={{ fontSize: '0.8rem', fontWeight: 600, color: '#6c757d', marginBottom: '0.35rem' }}>
+                        {area.name}
+                      </div>
+                    )}
                   <div style={{
                     display: 'grid',
                     gridTemplateColumns: 'repeat(5, 1fr)',
-                    gap: '0.5rem',
-                    marginBottom: '0.75rem'
+                    gap: '0.5rem'
                   }}>
-                    {[1, 2, 3, 4, 5, 6, 7, 8, 9].map(tableNum => {
+                    {area.tables.map(table => {
+                      const tableNum = table.number;
                       const isOccupied = occupiedTables.some(t => {
                         // If editing and this is the same order, don't consider it occupied
                         const occupiedOrderId = t.orderId || t.order_id || t.id;
@@ -3046,24 +3232,19 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                           return false;
                         }
                         // Check both tableNumber and table_number fields
-                        const occupiedTableNum = t.tableNumber || t.table_number;
-                        // Ensure we're comparing numbers
-                        return occupiedTableNum !== null && occupiedTableNum !== undefined && String(occupiedTableNum) === String(tableNum);
+                        return isSameTable(t.tableNumber || t.table_number, tableNum);
                       });
-                      const isSelected = String(tableNumber) === String(tableNum);
+                      const isSelected = isSameTable(tableNumber, tableNum);
                       return (
                         <button
-                          key={tableNum}
+                          key={table.id}
                           type="button"
                           onClick={() => {
                             if (!isOccupied) {
-                              handleTableNumberChange(tableNum.toString());
+                              handleTableNumberChange(tableNum);
                             } else {
                               // Show error message when clicking on occupied table
-                              const occupiedOrder = occupiedTables.find(t => {
-                                const occupiedTableNum = t.tableNumber || t.table_number;
-                                return occupiedTableNum !== null && occupiedTableNum !== undefined && String(occupiedTableNum) === String(tableNum);
-                              });
+                              const occupiedOrder = occupiedTables.find(t => isSameTable(t.tableNumber || t.table_number, tableNum));
                               const orderNumber = occupiedOrder?.orderNumber || occupiedOrder?.order_number || 'N/A';
                               showError(`Table #${tableNum} is already reserved (Order #${orderNumber}). Please select a different table.`);
                             }
@@ -3081,9 +3262,16 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                             position: 'relative',
                             opacity: isOccupied ? 0.7 : 1
                           }}
-                          title={isOccupied ? `Table ${tableNum} is occupied` : `Select Table ${tableNum}`}
+                          title={isOccupied
+                            ? `Table ${tableNum} is occupied`
+                            : `Select Table ${tableNum}${table.name ? ` (${table.name})` : ''} · ${table.seats} seats`}
                         >
                           {tableNum}
+                          {table.name && (
+                            <div style={{ fontSize: '0.65rem', fontWeight: 500, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                              {table.name}
+                            </div>
+                          )}
                           {isOccupied && (
                             <span style={{
                               position: 'absolute',
@@ -3096,6 +3284,15 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                         </button>
                       );
                     })}
+                  </div>
+                  </div>
+                  ))}
+                  <div style={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(5, 1fr)',
+                    gap: '0.5rem',
+                    marginBottom: '0.75rem'
+                  }}>
                     {/* Take Away Button */}
                     <button
                       type="button"
@@ -3109,7 +3306,7 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                         fontWeight: tableNumber === 'takeaway' ? 'bold' : '600',
                         cursor: 'pointer',
                         fontSize: '0.85rem',
-                        gridColumn: 'span 1'
+                        gridColumn: 'span 2'
                       }}
                       title="Select Take Away"
                     >
@@ -3145,10 +3342,8 @@ const OrderSystem = ({ basePath = '/manager' }) => {
                     )) {
                       return false;
                     }
-                    // Check both tableNumber and table_number fields, ensure proper comparison
-                    const occupiedTableNum = t.tableNumber || t.table_number;
-                    if (occupiedTableNum === null || occupiedTableNum === undefined) return false;
-                    return String(occupiedTableNum) === String(tableNumber);
+                    // Check both tableNumber and table_number fields
+                    return isSameTable(t.tableNumber || t.table_number, tableNumber);
                   }) && tableNumber && tableNumber !== 'takeaway' && (
                       <div style={{
                         marginTop: '0.5rem',
@@ -3194,9 +3389,9 @@ Address: ${deliveryAddress || 'N/A'}
 Notes / Instructions: ${deliveryNotes || 'N/A'}
 Google Maps Link: ${googleMapsLink || 'N/A'}
 Payment Status: ${deliveryPaymentType === 'cod' ? 'COD (Pending)' : 'Prepaid (Paid)'}
-Subtotal: PKR ${subtotalAmount.toFixed(0)}
-Delivery Charge: PKR ${deliveryFee.toFixed(0)}
-Total: PKR ${grandTotalAmount.toFixed(0)}`;
+Subtotal: ${currency} ${subtotalAmount.toFixed(0)}
+Delivery Charge: ${currency} ${deliveryFee.toFixed(0)}
+Total: ${currency} ${grandTotalAmount.toFixed(0)}`;
                       navigator.clipboard.writeText(formattedText).then(() => {
                         showSuccess('Delivery details copied to clipboard!');
                       }).catch(() => {
@@ -3658,7 +3853,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                 <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
                   <div style={{ flex: '1 1 150px' }}>
                     <label style={{ display: 'block', marginBottom: '0.4rem', fontWeight: 600 }}>
-                      Delivery Charge (PKR)
+                      Delivery Charge ({currency})
                     </label>
                     <input
                       type="number"
@@ -3736,7 +3931,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                 }}>
                   {cart.map(item => (
                     <div
-                      key={item.id}
+                      key={getCartLineKey(item)}
                       style={{
                         background: '#f8f9fa',
                         borderRadius: '12px',
@@ -3760,15 +3955,61 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                           }}>
                             {item.name}
                           </strong>
-                          <span style={{
-                            fontSize: '0.85rem',
-                            color: '#6c757d'
-                          }}>
-                            PKR {item.price} each
-                          </span>
+                          {formatItemOptionLines(item).length > 0 && (
+                            <span style={{
+                              display: 'block',
+                              fontSize: '0.8rem',
+                              color: '#495057',
+                              marginBottom: '0.2rem'
+                            }}>
+                              {formatItemOptionLines(item).join(' · ')}
+                            </span>
+                          )}
+                          {priceEdit?.lineKey === getCartLineKey(item) ? (
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              autoFocus
+                              value={priceEdit.value}
+                              onChange={(e) => setPriceEdit({ ...priceEdit, value: e.target.value })}
+                              onBlur={() => commitLinePrice(item)}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') e.currentTarget.blur();
+                                if (e.key === 'Escape') {
+                                  priceEditCancelledRef.current = true;
+                                  e.currentTarget.blur();
+                                }
+                              }}
+                              style={{
+                                width: '100px',
+                                padding: '0.2rem 0.4rem',
+                                border: '2px solid #667eea',
+                                borderRadius: '6px',
+                                fontSize: '0.85rem'
+                              }}
+                            />
+                          ) : (
+                            <span
+                              onClick={() => setPriceEdit({ lineKey: getCartLineKey(item), value: String(item.price) })}
+                              title="Change price"
+                              style={{
+                                fontSize: '0.85rem',
+                                color: '#6c757d',
+                                cursor: 'pointer'
+                              }}
+                            >
+                              {currency} {item.price} each
+                              {item.originalPrice !== undefined && (
+                                <span style={{ marginLeft: '0.4rem', textDecoration: 'line-through', color: '#adb5bd' }}>
+                                  {currency} {item.originalPrice}
+                                </span>
+                              )}
+                            </span>
+                          )}
                         </div>
                         <button
-                          onClick={() => removeFromCart(item.id)}
+                          onClick={() => removeFromCart(getCartLineKey(item))}
                           style={{
                             background: '#dc3545',
                             border: 'none',
@@ -3804,7 +4045,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                           border: '2px solid #dee2e6'
                         }}>
                           <button
-                            onClick={() => updateQuantity(item.id, item.quantity - 1)}
+                            onClick={() => updateQuantity(getCartLineKey(item), item.quantity - 1)}
                             style={{
                               background: '#f8f9fa',
                               border: 'none',
@@ -3837,7 +4078,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                             {item.quantity}
                           </span>
                           <button
-                            onClick={() => updateQuantity(item.id, item.quantity + 1)}
+                            onClick={() => updateQuantity(getCartLineKey(item), item.quantity + 1)}
                             style={{
                               background: '#f8f9fa',
                               border: 'none',
@@ -3867,7 +4108,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                           fontWeight: 'bold',
                           color: 'var(--color-primary)'
                         }}>
-                          PKR {(item.price * item.quantity).toFixed(0)}
+                          {currency} {(item.price * item.quantity).toFixed(0)}
                         </div>
                       </div>
                     </div>
@@ -3882,18 +4123,36 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                 }}>
                   <div style={{ display: 'flex', justifyContent: 'space-between', fontWeight: '600', fontSize: '0.9rem' }}>
                     <span>Subtotal</span>
-                    <span>PKR {subtotalAmount.toFixed(0)}</span>
+                    <span>{currency} {subtotalAmount.toFixed(0)}</span>
                   </div>
                   {discountPercent > 0 && (
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.3rem', opacity: 0.85, fontSize: '0.85rem' }}>
                       <span>Discount ({discountPercent}%)</span>
-                      <span>- PKR {discountAmount.toFixed(0)}</span>
+                      <span>- {currency} {discountAmount.toFixed(0)}</span>
+                    </div>
+                  )}
+                  {pricing.promotionLines.map(line => (
+                    <div key={line.promotionId} style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.3rem', opacity: 0.85, fontSize: '0.85rem' }}>
+                      <span>{formatPromotionLabel(line)}</span>
+                      <span>- {currency} {line.amount.toFixed(0)}</span>
+                    </div>
+                  ))}
+                  {pricing.serviceChargeAmount > 0 && (
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.3rem', opacity: 0.85, fontSize: '0.85rem' }}>
+                      <span>Service Charge ({pricing.serviceChargePercent}%)</span>
+                      <span>{currency} {pricing.serviceChargeAmount.toFixed(0)}</span>
                     </div>
                   )}
+                  {pricing.taxLines.map(line => (
+                    <div key={line.id} style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.3rem', opacity: 0.85, fontSize: '0.85rem' }}>
+                      <span>{formatTaxLineLabel(line)}</span>
+                      <span>{currency} {line.amount.toFixed(0)}</span>
+                    </div>
+                  ))}
                   {isDelivery && (
                     <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.3rem', opacity: 0.85, fontSize: '0.85rem' }}>
                       <span>Delivery Charge</span>
-                      <span>PKR {deliveryFee.toFixed(0)}</span>
+                      <span>{currency} {deliveryFee.toFixed(0)}</span>
                     </div>
                   )}
                   <div style={{
@@ -3904,7 +4163,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                     fontWeight: 'bold'
                   }}>
                     <span>Total</span>
-                    <span>PKR {grandTotalAmount.toFixed(0)}</span>
+                    <span>{currency} {grandTotalAmount.toFixed(0)}</span>
                   </div>
                 </div>
                 {/* Payment and Checkout Section */}
@@ -3915,6 +4174,42 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                   flexShrink: 0
                 }}>
                   {/* Discount Percentage */}
+                  {can('apply_discounts') && (
+                    <div style={{ marginBottom: '0.75rem' }}>
+                      <label style={{
+                        display: 'block',
+                        marginBottom: '0.4rem',
+                        fontWeight: 'bold',
+                        color: '#495057',
+                        fontSize: '0.8rem'
+                      }}>
+                        <FaTag style={{ marginRight: '0.25rem' }} /> Discount Percentage (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="100"
+                        step="0.01"
+                        value={discountPercent || ''}
+                        onWheel={(e) => e.target.blur()}
+                        onChange={(e) => {
+                          const value = e.target.value === '' ? 0 : Math.max(0, Math.min(100, parseFloat(e.target.value) || 0));
+                          updateActiveCart({ discountPercent: value });
+                        }}
+                        placeholder="0"
+                        style={{
+                          width: '100%',
+                          padding: '0.6rem',
+                          border: '2px solid #dee2e6',
+                          borderRadius: '8px',
+                          fontSize: '0.9rem',
+                          background: 'white'
+                        }}
+                      />
+                    </div>
+                  )}
+
+                  {/* Coupon Code */}
                   <div style={{ marginBottom: '0.75rem' }}>
                     <label style={{
                       display: 'block',
@@ -3923,29 +4218,81 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                       color: '#495057',
                       fontSize: '0.8rem'
                     }}>
-                      <FaTag style={{ marginRight: '0.25rem' }} /> Discount Percentage (%)
+                      <FaTicketAlt style={{ marginRight: '0.25rem' }} /> Coupon Code
                     </label>
-                    <input
-                      type="number"
-                      min="0"
-                      max="100"
-                      step="0.01"
-                      value={discountPercent || ''}
-                      onWheel={(e) => e.target.blur()}
-                      onChange={(e) => {
-                        const value = e.target.value === '' ? 0 : Math.max(0, Math.min(100, parseFloat(e.target.value) || 0));
-                        updateActiveCart({ discountPercent: value });
-                      }}
-                      placeholder="0"
-                      style={{
-                        width: '100%',
-                        padding: '0.6rem',
-                        border: '2px solid #dee2e6',
-                        borderRadius: '8px',
-                        fontSize: '0.9rem',
-                        background: 'white'
-                      }}
-                    />
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                      <input
+                        type="text"
+                        value={couponInput}
+                        onChange={(e) => setCouponInput(e.target.value.toUpperCase())}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') {
+                            e.preventDefault();
+                            handleApplyCoupon();
+                          }
+                        }}
+                        placeholder="e.g. SAVE10"
+                        style={{
+                          flex: 1,
+                          padding: '0.6rem',
+                          border: '2px solid #dee2e6',
+                          borderRadius: '8px',
+                          fontSize: '0.9rem',
+                          background: 'white'
+                        }}
+                      />
+                      <button
+                        type="button"
+                        onClick={handleApplyCoupon}
+                        disabled={!couponInput.trim() || cart.length === 0}
+                        style={{
+                          padding: '0.6rem 1rem',
+                          border: 'none',
+                          borderRadius: '8px',
+                          background: 'var(--gradient-primary)',
+                          color: 'white',
+                          fontWeight: '600',
+                          fontSize: '0.85rem',
+                          cursor: !couponInput.trim() || cart.length === 0 ? 'not-allowed' : 'pointer',
+                          opacity: !couponInput.trim() || cart.length === 0 ? 0.6 : 1
+                        }}
+                      >
+                        Apply
+                      </button>
+                    </div>
+                    {couponCodes.length > 0 && (
+                      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem', marginTop: '0.5rem' }}>
+                        {couponCodes.map(code => {
+                          const applied = pricing.promotionLines.some(line => line.code === code);
+                          return (
+                            <span
+                              key={code}
+                              title={applied ? 'Applied' : 'Not valid for the current cart'}
+                              style={{
+                                display: 'inline-flex',
+                                alignItems: 'center',
+                                gap: '0.35rem',
+                                padding: '0.25rem 0.6rem',
+                                borderRadius: '999px',
+                                fontSize: '0.75rem',
+                                fontWeight: '600',
+                                background: applied ? '#d4edda' : '#fff3cd',
+                                color: applied ? '#155724' : '#856404'
+                              }}
+                            >
+                              {code}
+                              <button
+                                type="button"
+                                onClick={() => handleRemoveCoupon(code)}
+                                style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: 'inherit', padding: 0 }}
+                              >
+                                ×
+                              </button>
+                            </span>
+                          );
+                        })}
+                      </div>
+                    )}
                   </div>
 
                   {/* Special Instructions */}
@@ -4097,11 +4444,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
             justifyContent: 'center',
             zIndex: 1000,
           }}
-          onClick={() => {
-            setIsItemModalOpen(false);
-            setSelectedMenuItem(null);
-            setSelectedItemImageIndex(0);
-          }}
+          onClick={closeItemModal}
         >
           <div
             style={{
@@ -4332,11 +4675,7 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
             >
               {/* Close button */}
               <button
-                onClick={() => {
-                  setIsItemModalOpen(false);
-                  setSelectedMenuItem(null);
-                  setSelectedItemImageIndex(0);
-                }}
+                onClick={closeItemModal}
                 style={{
                   position: 'sticky',
                   top: '0.75rem',
@@ -4382,7 +4721,13 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                   color: 'var(--color-primary)',
                 }}
               >
-                PKR {parseFloat(selectedMenuItem.price || 0).toFixed(2)}
+                {currency} {(itemHasOptions(selectedMenuItem)
+                  ? (() => {
+                    const { variant, modifiers } = resolveSelections(selectedMenuItem, itemSelections);
+                    return getUnitPrice(selectedMenuItem, variant, modifiers);
+                  })()
+                  : parseFloat(selectedMenuItem.price || 0)
+                ).toFixed(2)}
               </div>
 
               {selectedMenuItem.description && (
@@ -4438,6 +4783,28 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                 )}
               </div>
 
+              <MenuItemOptionsPicker
+                item={selectedMenuItem}
+                selections={itemSelections}
+                onChange={(next) => {
+                  setItemSelections(next);
+                  setItemSelectionError('');
+                }}
+              />
+
+              {itemSelectionError && (
+                <div style={{
+                  padding: '0.5rem 0.75rem',
+                  background: '#fff5f5',
+                  border: '1px solid #ffc9c9',
+                  borderRadius: '8px',
+                  color: '#c92a2a',
+                  fontSize: '0.85rem'
+                }}>
+                  {itemSelectionError}
+                </div>
+              )}
+
               <div style={{ flex: 1 }} />
 
               {/* Actions */}
@@ -4445,10 +4812,17 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
                 disabled={!(selectedMenuItem.available === 1 || selectedMenuItem.available === true)}
                 onClick={() => {
                   if (selectedMenuItem.available === 1 || selectedMenuItem.available === true) {
-                    addToCart(selectedMenuItem);
-                    setIsItemModalOpen(false);
-                    setSelectedMenuItem(null);
-                    setSelectedItemImageIndex(0);
+                    if (itemHasOptions(selectedMenuItem)) {
+                      const selectionError = validateSelections(selectedMenuItem, itemSelections);
+                      if (selectionError) {
+                        setItemSelectionError(selectionError);
+                        return;
+                      }
+                      addToCart(selectedMenuItem, itemSelections);
+                    } else {
+                      addToCart(selectedMenuItem);
+                    }
+                    closeItemModal();
                   }
                 }}
                 style={{
@@ -4487,6 +4861,8 @@ Total: PKR ${grandTotalAmount.toFixed(0)}`;
           </div>
         </div>
       )}
+
+      <ManagerOverrideModal {...overrideModalProps} />
     </>
   );
 };
@@ -0,0 +1,267 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getPricingConfig, normalizePricingConfig } from '../utils/pricing';
+import { loadPricingConfig, savePricingConfig } from '../services/businessInfoService';
+import { generateOptionId } from '../utils/menuModifiers';
+
+const rowStyle = {
+  display: 'flex',
+  gap: '0.75rem',
+  alignItems: 'flex-end',
+  flexWrap: 'wrap'
+};
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+const ORDER_TYPE_OPTIONS = [
+  { value: 'dine_in', label: 'Dine-In' },
+  { value: 'delivery', label: 'Delivery' }
+];
+
+const emptyTax = () => ({
+  id: generateOptionId('tax'),
+  name: '',
+  cashRate: '',
+  cardRate: '',
+  inclusive: false,
+  categoryIds: [],
+  enabled: true
+});
+
+/**
+ * Admin editor for sales tax rates and the service charge.
+ * Saved through businessInfoAPI; the POS and receipts price with it via `utils/pricing`.
+ */
+const PricingSettings = ({ categories = [] }) => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getPricingConfig());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadPricingConfig().then(config => {
+      if (!cancelled) setForm(config);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const updateTax = (idx, patch) => {
+    setForm(prev => ({
+      ...prev,
+      taxes: prev.taxes.map((t, i) => (i === idx ? { ...t, ...patch } : t))
+    }));
+  };
+
+  const toggleTaxCategory = (idx, categoryId) => {
+    const tax = form.taxes[idx];
+    const id = String(categoryId);
+    updateTax(idx, {
+      categoryIds: tax.categoryIds.includes(id)
+        ? tax.categoryIds.filter(c => c !== id)
+        : [...tax.categoryIds, id]
+    });
+  };
+
+  const updateServiceCharge = (patch) => {
+    setForm(prev => ({ ...prev, serviceCharge: { ...prev.serviceCharge, ...patch } }));
+  };
+
+  const handleSave = async () => {
+    const invalid = form.taxes.find(t => !String(t.name || '').trim() || t.cashRate === '' || Number(t.cashRate) < 0);
+    if (invalid) {
+      showError('Each tax needs a name and a cash rate');
+      return;
+    }
+    if (form.serviceCharge.enabled && !(Number(form.serviceCharge.percent) > 0)) {
+      showError('Enter a service charge percentage or turn the service charge off');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await savePricingConfig(normalizePricingConfig(form));
+      setForm(saved);
+      showSuccess('Tax and service charge settings saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save tax settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Tax & Service Charge</h3>
+      <p>
+        Rates apply to new orders in the POS and are printed on receipts. Inclusive taxes are already part of
+        menu prices and are only shown on the receipt; exclusive taxes are added on top. Leave the card rate
+        empty to use the cash rate for card and bank transfer payments.
+      </p>
+
+      {form.taxes.map((tax, idx) => (
+        <div
+          key={tax.id}
+          style={{
+            border: '1px solid #eee',
+            borderRadius: '8px',
+            padding: '1rem',
+            marginBottom: '1rem',
+            background: tax.enabled ? 'white' : '#f8f9fa'
+          }}
+        >
+          <div style={rowStyle}>
+            <div className="form-group" style={{ flex: 2, minWidth: '160px' }}>
+              <label>Tax Name</label>
+              <input
+                type="text"
+                placeholder="e.g. GST"
+                value={tax.name}
+                onChange={(e) => updateTax(idx, { name: e.target.value })}
+              />
+            </div>
+            <div className="form-group" style={{ flex: 1, minWidth: '110px' }}>
+              <label>Cash Rate %</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={tax.cashRate}
+                onChange={(e) => updateTax(idx, { cashRate: e.target.value })}
+              />
+            </div>
+            <div className="form-group" style={{ flex: 1, minWidth: '110px' }}>
+              <label>Card Rate %</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Same as cash"
+                value={tax.cardRate}
+                onChange={(e) => updateTax(idx, { cardRate: e.target.value })}
+              />
+            </div>
+            <div className="form-group">
+              <button
+                type="button"
+                className="btn-delete"
+                onClick={() => setForm(prev => ({ ...prev, taxes: prev.taxes.filter((_, i) => i !== idx) }))}
+              >
+                Remove
+              </button>
+            </div>
+          </div>
+
+          <div style={{ ...rowStyle, marginBottom: '0.75rem' }}>
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={tax.inclusive}
+                onChange={(e) => updateTax(idx, { inclusive: e.target.checked })}
+              />
+              Included in menu prices
+            </label>
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={tax.enabled}
+                onChange={(e) => updateTax(idx, { enabled: e.target.checked })}
+              />
+              Active
+            </label>
+          </div>
+
+          <div style={{ fontSize: '13px', color: '#444', marginBottom: '0.4rem' }}>
+            Categories {tax.categoryIds.length === 0 && <span style={{ color: '#888' }}>(all categories)</span>}
+          </div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem' }}>
+            {categories.map(category => {
+              const active = tax.categoryIds.includes(String(category.id));
+              return (
+                <button
+                  key={category.id}
+                  type="button"
+                  onClick={() => toggleTaxCategory(idx, category.id)}
+                  style={{
+                    padding: '0.3rem 0.7rem',
+                    borderRadius: '999px',
+                    border: `1px solid ${active ? 'var(--color-primary)' : '#ddd'}`,
+                    background: active ? 'var(--color-primary)' : 'white',
+                    color: active ? 'white' : '#444',
+                    fontSize: '12px',
+                    cursor: 'pointer'
+                  }}
+                >
+                  {category.name}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        className="btn-secondary"
+        style={{ marginBottom: '1.5rem' }}
+        onClick={() => setForm(prev => ({ ...prev, taxes: [...prev.taxes, emptyTax()] }))}
+      >
+        + Add Tax
+      </button>
+
+      <div style={{ borderTop: '1px solid #eee', paddingTop: '1rem', marginBottom: '1.5rem' }}>
+        <label style={{ ...checkboxLabelStyle, fontWeight: 600, marginBottom: '0.75rem' }}>
+          <input
+            type="checkbox"
+            checked={form.serviceCharge.enabled}
+            onChange={(e) => updateServiceCharge({ enabled: e.target.checked })}
+          />
+          Charge a service charge
+        </label>
+        {form.serviceCharge.enabled && (
+          <div style={rowStyle}>
+            <div className="form-group" style={{ width: '160px' }}>
+              <label>Service Charge %</label>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.serviceCharge.percent}
+                onChange={(e) => updateServiceCharge({ percent: e.target.value })}
+              />
+            </div>
+            <div className="form-group" style={{ display: 'flex', gap: '1rem' }}>
+              {ORDER_TYPE_OPTIONS.map(option => (
+                <label key={option.value} style={checkboxLabelStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.serviceCharge.orderTypes.includes(option.value)}
+                    onChange={(e) => updateServiceCharge({
+                      orderTypes: e.target.checked
+                        ? [...form.serviceCharge.orderTypes, option.value]
+                        : form.serviceCharge.orderTypes.filter(t => t !== option.value)
+                    })}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Tax Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default PricingSettings;
@@ -0,0 +1,154 @@
+import React, { useState } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import {
+  PRINTER_TRANSPORTS,
+  connectUsbPrinter,
+  getPrinterSettings,
+  printTestReceipt,
+  savePrinterSettings
+} from '../services/printerService';
+
+const rowStyle = {
+  display: 'flex',
+  gap: '0.75rem',
+  flexWrap: 'wrap'
+};
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+};
+
+/**
+ * Receipt printer connection for this terminal. Stored in the browser rather than on
+ * the server because each till has its own printer.
+ */
+const PrinterSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getPrinterSettings());
+  const [busy, setBusy] = useState(false);
+
+  const update = (patch) => setForm(prev => ({ ...prev, ...patch }));
+  const isRaw = form.transport !== 'html';
+
+  const handleSave = () => {
+    if (form.transport === 'agent' && !/^https?:\/\//i.test(form.agentUrl.trim())) {
+      showError('Print agent URL must start with http:// or https://');
+      return;
+    }
+    setForm(savePrinterSettings({ ...form, agentUrl: form.agentUrl.trim(), qrText: form.qrText.trim() }));
+    showSuccess('Printer settings saved');
+  };
+
+  const handleConnectUsb = async () => {
+    try {
+      const name = await connectUsbPrinter();
+      showSuccess(`Connected to ${name}`);
+    } catch (err) {
+      // Closing the device picker is not an error worth reporting
+      if (err.name !== 'NotFoundError') showError(err.message || 'Failed to connect USB printer');
+    }
+  };
+
+  const handleTestPrint = async () => {
+    setBusy(true);
+    try {
+      await printTestReceipt(form);
+      showSuccess('Test receipt sent');
+    } catch (err) {
+      showError(err.message || 'Test print failed');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Receipt Printer</h3>
+      <p>This terminal only. Thermal printers print fastest with raw ESC/POS; if raw printing fails the browser print dialog is used instead.</p>
+
+      <div style={rowStyle}>
+        <div className="form-group" style={{ flex: 2, minWidth: '220px' }}>
+          <label>Connection</label>
+          <select value={form.transport} onChange={(e) => update({ transport: e.target.value })}>
+            {Object.entries(PRINTER_TRANSPORTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {isRaw && (
+          <div className="form-group" style={{ flex: 1, minWidth: '120px' }}>
+            <label>Paper Width</label>
+            <select value={form.paperWidth} onChange={(e) => update({ paperWidth: Number(e.target.value) })}>
+              <option value={80}>80 mm</option>
+              <option value={58}>58 mm</option>
+            </select>
+          </div>
+        )}
+      </div>
+
+      {form.transport === 'agent' && (
+        <div className="form-group">
+          <label>Print Agent URL</label>
+          <input
+            type="text"
+            placeholder="http://localhost:9100/print"
+            value={form.agentUrl}
+            onChange={(e) => update({ agentUrl: e.target.value })}
+          />
+        </div>
+      )}
+
+      {isRaw && (
+        <>
+          <div className="form-group" style={{ display: 'flex', gap: '1.25rem', flexWrap: 'wrap' }}>
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={form.printLogo}
+                onChange={(e) => update({ printLogo: e.target.checked })}
+              />
+              Print logo
+            </label>
+            <label style={checkboxLabelStyle}>
+              <input
+                type="checkbox"
+                checked={form.openDrawer}
+                onChange={(e) => update({ openDrawer: e.target.checked })}
+              />
+              Open cash drawer on cash payments
+            </label>
+          </div>
+
+          <div className="form-group">
+            <label>QR Code on Customer Receipts</label>
+            <input
+              type="text"
+              placeholder="e.g. a feedback or menu link (leave blank for none)"
+              value={form.qrText}
+              onChange={(e) => update({ qrText: e.target.value })}
+            />
+          </div>
+        </>
+      )}
+
+      <div style={{ ...rowStyle, alignItems: 'center' }}>
+        <button className="btn-primary" onClick={handleSave}>Save Printer Settings</button>
+        {form.transport === 'webusb' && (
+          <button type="button" className="btn-secondary" onClick={handleConnectUsb}>Connect USB Printer</button>
+        )}
+        {isRaw && (
+          <button type="button" className="btn-secondary" onClick={handleTestPrint} disabled={busy}>
+            {busy ? 'Printing...' : 'Test Print'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrinterSettings;
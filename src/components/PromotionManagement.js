@@ -0,0 +1,438 @@
+import React, { useState, useMemo } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { usePromotionsQuery, useSavePromotionMutation, useDeletePromotionMutation } from '../hooks/promotions';
+import { PROMOTION_TYPES, WEEKDAYS, isPromotionActiveAt, normalizeCouponCode } from '../utils/promotions';
+import ConfirmationModal from './ConfirmationModal';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+const ORDER_TYPE_OPTIONS = [
+  { value: 'dine_in', label: 'Dine-In' },
+  { value: 'delivery', label: 'Delivery' }
+];
+
+const emptyForm = () => ({
+  name: '',
+  code: '',
+  type: 'percent',
+  value: '',
+  categoryIds: [],
+  menuItemIds: [],
+  buyQuantity: 1,
+  getQuantity: 1,
+  minSubtotal: '',
+  orderTypes: [],
+  startsAt: '',
+  endsAt: '',
+  daysOfWeek: [],
+  startTime: '',
+  endTime: '',
+  active: true
+});
+
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+const describeRule = (promo, currency) => {
+  switch (promo.type) {
+    case 'fixed':
+      return `${currency} ${promo.value} off`;
+    case 'category':
+      return `${promo.value}% off ${promo.categoryIds.length} ${promo.categoryIds.length === 1 ? 'category' : 'categories'}`;
+    case 'bogo':
+      return `Buy ${promo.buyQuantity} get ${promo.getQuantity} free`;
+    default:
+      return `${promo.value}% off`;
+  }
+};
+
+const describeSchedule = (promo) => {
+  const parts = [];
+  if (promo.daysOfWeek.length) parts.push(promo.daysOfWeek.map(d => WEEKDAYS[d]).join(', '));
+  if (promo.startTime && promo.endTime) parts.push(`${promo.startTime}–${promo.endTime}`);
+  if (promo.startsAt || promo.endsAt) parts.push(`${toDateInput(promo.startsAt) || '…'} to ${toDateInput(promo.endsAt) || '…'}`);
+  return parts.join(' · ') || 'Always';
+};
+
+/**
+ * Admin list and editor for coupon codes and automatic promotions (happy hour, BOGO, ...).
+ * The POS evaluates them through `utils/promotions`.
+ */
+const PromotionManagement = ({ categories = [] }) => {
+  const { showSuccess, showError } = useToast();
+  const { currency } = useBusinessSettings();
+  const { data: promotions = [], isLoading } = usePromotionsQuery();
+  const savePromotion = useSavePromotionMutation();
+  const deletePromotion = useDeletePromotionMutation();
+  const [showModal, setShowModal] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const categoryNames = useMemo(
+    () => new Map(categories.map(c => [String(c.id), c.name])),
+    [categories]
+  );
+
+  const openEditor = (promo = null) => {
+    setEditingPromotion(promo);
+    setForm(promo
+      ? {
+        ...promo,
+        value: promo.value || '',
+        minSubtotal: promo.minSubtotal || '',
+        startsAt: toDateInput(promo.startsAt),
+        endsAt: toDateInput(promo.endsAt)
+      }
+      : emptyForm());
+    setShowModal(true);
+  };
+
+  const toggleInList = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(v => v !== value)
+        : [...prev[field], value]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.type !== 'bogo' && !(Number(form.value) > 0)) {
+      showError('Enter a discount value greater than 0');
+      return;
+    }
+    if ((form.type === 'percent' || form.type === 'category') && Number(form.value) > 100) {
+      showError('Percentage discounts cannot exceed 100%');
+      return;
+    }
+    if (form.type === 'category' && form.categoryIds.length === 0) {
+      showError('Select at least one category');
+      return;
+    }
+    if ((form.startTime && !form.endTime) || (!form.startTime && form.endTime)) {
+      showError('Enter both a start and end time, or leave both empty');
+      return;
+    }
+
+    const code = normalizeCouponCode(form.code);
+    if (code && promotions.some(p => p.code === code && p.id !== editingPromotion?.id)) {
+      showError(`Coupon code ${code} is already in use`);
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      code: code || null,
+      type: form.type,
+      value: form.type === 'bogo' ? 0 : Number(form.value),
+      categoryIds: form.categoryIds,
+      menuItemIds: form.menuItemIds,
+      buyQuantity: Number(form.buyQuantity) || 1,
+      getQuantity: Number(form.getQuantity) || 1,
+      minSubtotal: Number(form.minSubtotal) || 0,
+      orderTypes: form.orderTypes,
+      startsAt: form.startsAt || null,
+      endsAt: form.endsAt ? `${form.endsAt}T23:59:59` : null,
+      daysOfWeek: form.daysOfWeek,
+      startTime: form.startTime || null,
+      endTime: form.endTime || null,
+      active: form.active
+    };
+
+    try {
+      await savePromotion.mutateAsync({ id: editingPromotion?.id, data });
+      showSuccess(editingPromotion ? 'Promotion updated successfully' : 'Promotion created successfully');
+      setShowModal(false);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || err.message || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deletePromotion.mutateAsync(pendingDelete.id);
+      showSuccess('Promotion deleted successfully');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || err.message || 'Operation failed');
+    }
+  };
+
+  return (
+    <div className="promotions-tab">
+      <div className="tab-header">
+        <h1>Promotions & Coupons</h1>
+        <button className="btn-primary" onClick={() => openEditor()}>
+          Add New Promotion
+        </button>
+      </div>
+
+      <div className="table-responsive">
+        <table className="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Code</th>
+              <th>Rule</th>
+              <th>Schedule</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {promotions.length > 0 ? (
+              promotions.map(promo => {
+                const liveNow = isPromotionActiveAt(promo);
+                return (
+                  <tr key={promo.id}>
+                    <td>
+                      <span className="cell-truncate" style={{ maxWidth: 220 }} title={promo.name}>
+                        {promo.name}
+                      </span>
+                    </td>
+                    <td>{promo.code || <span style={{ color: '#6c757d' }}>Automatic</span>}</td>
+                    <td>
+                      <span
+                        className="cell-truncate"
+                        style={{ maxWidth: 260 }}
+                        title={promo.categoryIds.map(id => categoryNames.get(id) || id).join(', ')}
+                      >
+                        {describeRule(promo, currency)}
+                        {promo.minSubtotal > 0 && ` · min ${currency} ${promo.minSubtotal}`}
+                      </span>
+                    </td>
+                    <td>{describeSchedule(promo)}</td>
+                    <td>
+                      <span style={{ color: !promo.active ? '#6c757d' : liveNow ? '#28a745' : '#fd7e14', fontWeight: 600 }}>
+                        {!promo.active ? 'Disabled' : liveNow ? 'Live' : 'Scheduled'}
+                      </span>
+                    </td>
+                    <td>
+                      <button className="btn-edit" onClick={() => openEditor(promo)}>Edit</button>
+                      <button className="btn-delete" onClick={() => setPendingDelete(promo)}>Delete</button>
+                    </td>
+                  </tr>
+                );
+              })
+            ) : (
+              <tr>
+                <td colSpan={6} style={{ textAlign: 'center', color: '#6c757d', padding: '1rem' }}>
+                  {isLoading ? 'Loading promotions...' : 'No promotions yet.'}
+                </td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      {showModal && (
+        <div className="modal-overlay" onClick={() => setShowModal(false)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>{editingPromotion ? 'Edit Promotion' : 'Add New Promotion'}</h2>
+            <form onSubmit={handleSubmit}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Name *</label>
+                  <input
+                    type="text"
+                    placeholder="e.g. Happy Hour"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Coupon Code</label>
+                  <input
+                    type="text"
+                    placeholder="Leave empty to apply automatically"
+                    value={form.code}
+                    onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                  />
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Type *</label>
+                  <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                    {PROMOTION_TYPES.map(t => (
+                      <option key={t.value} value={t.value}>{t.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {form.type === 'bogo' ? (
+                  <>
+                    <div className="form-group">
+                      <label>Buy Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.buyQuantity}
+                        onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+                      />
+                    </div>
+                    <div className="form-group">
+                      <label>Free Quantity</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={form.getQuantity}
+                        onChange={(e) => setForm({ ...form, getQuantity: e.target.value })}
+                      />
+                    </div>
+                  </>
+                ) : (
+                  <div className="form-group">
+                    <label>{form.type === 'fixed' ? `Amount (${currency}) *` : 'Discount % *'}</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form.value}
+                      onChange={(e) => setForm({ ...form, value: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+
+              <div className="form-group">
+                <label>
+                  Categories {form.type !== 'category' && form.categoryIds.length === 0 && <span style={{ color: '#888', fontWeight: 'normal' }}>(whole menu)</span>}
+                </label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem' }}>
+                  {categories.map(category => {
+                    const selected = form.categoryIds.includes(String(category.id));
+                    return (
+                      <button
+                        key={category.id}
+                        type="button"
+                        onClick={() => toggleInList('categoryIds', String(category.id))}
+                        style={{
+                          padding: '0.3rem 0.7rem',
+                          borderRadius: '999px',
+                          border: `1px solid ${selected ? 'var(--color-primary)' : '#ddd'}`,
+                          background: selected ? 'var(--color-primary)' : 'white',
+                          color: selected ? 'white' : '#444',
+                          fontSize: '12px',
+                          cursor: 'pointer'
+                        }}
+                      >
+                        {category.name}
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Minimum Order ({currency})</label>
+                  <input
+                    type="number"
+                    min="0"
+                    value={form.minSubtotal}
+                    onChange={(e) => setForm({ ...form, minSubtotal: e.target.value })}
+                  />
+                </div>
+                <div className="form-group">
+                  <label>Order Types</label>
+                  <div style={{ display: 'flex', gap: '1rem', paddingTop: '0.5rem' }}>
+                    {ORDER_TYPE_OPTIONS.map(option => (
+                      <label key={option.value} style={checkboxLabelStyle}>
+                        <input
+                          type="checkbox"
+                          checked={form.orderTypes.includes(option.value)}
+                          onChange={() => toggleInList('orderTypes', option.value)}
+                        />
+                        {option.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Starts On</label>
+                  <input type="date" value={form.startsAt} onChange={(e) => setForm({ ...form, startsAt: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label>Ends On</label>
+                  <input type="date" value={form.endsAt} onChange={(e) => setForm({ ...form, endsAt: e.target.value })} />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label>Days</label>
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+                  {WEEKDAYS.map((day, idx) => (
+                    <label key={day} style={checkboxLabelStyle}>
+                      <input
+                        type="checkbox"
+                        checked={form.daysOfWeek.includes(idx)}
+                        onChange={() => toggleInList('daysOfWeek', idx)}
+                      />
+                      {day}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div className="form-row">
+                <div className="form-group">
+                  <label>From (time)</label>
+                  <input type="time" value={form.startTime} onChange={(e) => setForm({ ...form, startTime: e.target.value })} />
+                </div>
+                <div className="form-group">
+                  <label>Until (time)</label>
+                  <input type="time" value={form.endTime} onChange={(e) => setForm({ ...form, endTime: e.target.value })} />
+                </div>
+              </div>
+
+              <div className="form-group">
+                <label style={checkboxLabelStyle}>
+                  <input
+                    type="checkbox"
+                    checked={form.active}
+                    onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                  />
+                  Active
+                </label>
+              </div>
+
+              <div className="modal-actions">
+                <button type="button" className="btn-secondary" onClick={() => setShowModal(false)}>
+                  Cancel
+                </button>
+                <button type="submit" className="btn-primary" disabled={savePromotion.isPending}>
+                  {editingPromotion ? 'Update' : 'Create'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDelete}
+        title="Delete Promotion"
+        message={`Are you sure you want to delete "${pendingDelete?.name || ''}"? Past orders keep their recorded discounts.`}
+        variant="danger"
+      />
+    </div>
+  );
+};
+
+export default PromotionManagement;
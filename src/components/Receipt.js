@@ -1,18 +1,53 @@
 import React from 'react';
-import { getPublicAssetUrl } from '../utils/publicAssetUrl';
+import { formatItemOptionLines } from '../utils/menuModifiers';
+import { formatTaxLineLabel } from '../utils/pricing';
+import { formatPromotionLabel } from '../utils/promotions';
+import { getBusinessSettings, getBusinessLogoUrl, splitSettingLines } from '../utils/businessSettings';
+import { getKitchenTicketOrders } from '../utils/kitchenStations';
+import { buildReceiptModel } from '../utils/receiptModel';
+import { printRawCombinedReceipt, printRawReceipt, printRawRefundSlip, printRawShiftReport } from '../services/printerService';
+import { SHIFT_REPORT_TITLES, getShiftReportSections } from '../utils/cashShift';
+import { getRefundSlipSections } from '../utils/refunds';
+
+// Business details are admin-entered free text
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Thermal printers set up for raw ESC/POS get bytes; otherwise print the HTML receipt
+export const printReceipt = async (orderData, printStage) => {
+  if (orderData && await printRawReceipt(orderData, printStage)) return;
+  return printHTMLReceipt(orderData, printStage);
+};
 
 // JavaScript-controlled printing function
-export const printReceipt = (orderData, printStage) => {
-  return new Promise((resolve, reject) => {
-    if (!orderData) {
-      console.error('No order data provided for printing');
-      reject(new Error('No order data provided'));
-      return;
+const printHTMLReceipt = (orderData, printStage) => {
+  if (!orderData) {
+    console.error('No order data provided for printing');
+    return Promise.reject(new Error('No order data provided'));
+  }
+
+  // Generate HTML receipt; kitchen orders get one ticket per prep station
+  let htmlReceipt;
+  if (printStage === 'kitchen') {
+    const tickets = generateKitchenTickets(orderData);
+    if (tickets.length === 0) {
+      // An edit that didn't change any items has nothing for the kitchen
+      return Promise.resolve();
     }
+    htmlReceipt = tickets.join('<div class="cut-line"></div>');
+  } else {
+    htmlReceipt = generateHTMLReceipt(orderData, printStage);
+  }
 
-    // Generate HTML receipt
-    const htmlReceipt = generateHTMLReceipt(orderData, printStage);
+  return printReceiptDocument(htmlReceipt, `Receipt - ${printStage === 'customer' ? 'Customer' : 'Kitchen'}`);
+};
 
+// Print receipt markup with the thermal-printer styles through a hidden iframe
+const printReceiptDocument = (htmlReceipt, title) => {
+  return new Promise((resolve, reject) => {
     // Create hidden iframe for printing (no popup window)
     const iframeId = `print-iframe-${Date.now()}`;
     const iframe = document.createElement('iframe');
@@ -42,7 +77,7 @@ export const printReceipt = (orderData, printStage) => {
     <html>
     <head>
       <meta charset="UTF-8">
-      <title>Receipt - ${printStage === 'customer' ? 'Customer' : 'Kitchen'}</title>
+      <title>${title}</title>
       <style>
         /* RESET EVERYTHING FOR THERMAL PRINTING */
         * {
@@ -370,6 +405,14 @@ export const printReceipt = (orderData, printStage) => {
           height: 2px;
         }
       }
+
+      /* Cut line between station tickets */
+      .cut-line {
+        border: none;
+        border-top: 1px dashed #000;
+        margin: 5mm 0;
+        page-break-after: always;
+      }
     </style>
   </head>
   <body>
@@ -496,90 +539,42 @@ export const printReceipt = (orderData, printStage) => {
 // Generate HTML receipt
 const generateHTMLReceipt = (orderData, printStage) => {
   // Resolve public assets under both http(s) and file://
-  const logoUrl = getPublicAssetUrl('b-logo.png');
+  const logoUrl = getBusinessLogoUrl('b-logo.png');
+  // Business details, totals and change are shared with the ESC/POS renderer
   const {
-    items = [],
-    total_amount,
-    delivery_charge,
+    business,
+    displayOrderId,
+    dateStr,
+    timeStr,
+    isDelivery,
     payment_method,
-    amount_taken,
-    return_amount,
-    order_type,
+    table_number,
     customer_name,
     customer_phone,
     customer_address,
-    order_number,
-    table_number,
+    finalDeliveryNotes,
     special_instructions,
-    delivery_notes,
-    subtotal,
-    discount_percent,
-    discountPercent,
-    customer
-  } = orderData || {};
-
-  const orderId = orderData?.id || Date.now();
-  const date = new Date();
-  // Format time as "4:33 PM" style
-  const hours = date.getHours();
-  const minutes = date.getMinutes();
-  const ampm = hours >= 12 ? 'PM' : 'AM';
-  const displayHours = hours % 12 || 12;
-  const timeStr = `${displayHours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
-  const dateStr = date.toLocaleDateString();
-  const isDelivery = order_type === 'delivery';
-  
-  // Extract notes - check order notes first, then customer address notes as fallback
-  let finalDeliveryNotes = delivery_notes || null;
-  if (!finalDeliveryNotes && isDelivery && customer) {
-    // Try to get notes from customer's matching address
-    const addresses = customer.addresses || [];
-    if (addresses.length > 0 && customer_address) {
-      const matchingAddress = addresses.find(addr => 
-        addr.address === customer_address || 
-        addr.address?.toLowerCase() === customer_address?.toLowerCase()
-      );
-      if (matchingAddress && matchingAddress.notes) {
-        finalDeliveryNotes = matchingAddress.notes;
-      }
-    }
-  }
-  const displayOrderId = order_number ? `#${order_number}` : `#${orderId}`;
-  const deliveryFee = delivery_charge ? Number(delivery_charge) : 0;
-  const safeItems = Array.isArray(items) ? items : [];
-
-  // Calculate totals
-  const calculatedSubtotal = safeItems.reduce((sum, item) => {
-    return sum + (Number(item.price || 0) * Number(item.quantity || 0));
-  }, 0);
-  const subtotalBeforeDiscount = subtotal || calculatedSubtotal;
-  const discountPercentValue = discount_percent || discountPercent || 0;
-  const discountAmount = discountPercentValue > 0 ? (subtotalBeforeDiscount * discountPercentValue / 100) : 0;
-  const subtotalAfterDiscount = subtotalBeforeDiscount - discountAmount;
-  const calculatedTotal = subtotalAfterDiscount + deliveryFee;
-  const apiTotalAmount = Number(total_amount) || 0;
-  // Use API total_amount only if it matches our calculation (within 1 PKR tolerance), otherwise recalculate
-  const total = (apiTotalAmount > 0 && Math.abs(apiTotalAmount - calculatedTotal) <= 1) ? apiTotalAmount : calculatedTotal;
-  const hasCashInfo = payment_method === 'cash' && amount_taken !== undefined && amount_taken !== null;
-  const hasReturnAmount = return_amount !== undefined && return_amount !== null;
-  const apiReturnAmount = hasReturnAmount ? Number(return_amount) : null;
-  const calculatedChange = hasCashInfo ? ((Number(amount_taken) || 0) - total) : null;
-  const tolerance = 1; // 1 PKR tolerance for rounding
-  const useApiReturnAmount = apiReturnAmount !== null && calculatedChange !== null
-    ? Math.abs(apiReturnAmount - calculatedChange) <= tolerance
-    : false;
-  const effectiveReturnAmount = hasCashInfo
-    ? (useApiReturnAmount && apiReturnAmount !== null ? apiReturnAmount : (calculatedChange !== null ? calculatedChange : 0))
-    : null;
-  const hasReturnToShow = effectiveReturnAmount !== null;
-  const isReturnNegative = hasReturnToShow && effectiveReturnAmount < 0;
-  const returnLabel = isReturnNegative ? 'Amount Due:' : 'Change Return:';
-  const returnDisplayValue = hasReturnToShow ? Math.abs(effectiveReturnAmount) : 0;
+    deliveryFee,
+    safeItems,
+    pricing,
+    subtotalBeforeDiscount,
+    discountPercentValue,
+    discountAmount,
+    total,
+    split_payment,
+    hasCashInfo,
+    hasReturnToShow,
+    amount_taken,
+    returnLabel,
+    returnDisplayValue,
+    station_name,
+    isKitchenDelta
+  } = buildReceiptModel(orderData);
 
   // Format currency
   const formatCurrency = (amount) => {
     const num = Number(amount) || 0;
-    return `PKR ${num.toFixed(0)}`;
+    return `${escapeHtml(business.currency)} ${num.toFixed(0)}`;
   };
 
   // Truncate text to fit thermal printer width - adjusted for larger font
@@ -597,7 +592,10 @@ const generateHTMLReceipt = (orderData, printStage) => {
         <!-- LOGO SECTION -->
         <div class="logo-container">
           <img src="${logoUrl}" alt="Logo" class="logo-image" />
-          <div class="center-text">Shally Vallay Chock</div>
+          <div class="center-text">${escapeHtml(business.name)}</div>
+          ${splitSettingLines(business.receiptHeader).map(line => `<div class="center-text">${escapeHtml(line)}</div>`).join('')}
+          ${business.address ? `<div class="center-text">${escapeHtml(business.address)}</div>` : ''}
+          ${business.taxNumber ? `<div class="center-text">NTN: ${escapeHtml(business.taxNumber)}</div>` : ''}
         </div>
         <div class="center-text">---------------------------------</div>
         
@@ -686,9 +684,10 @@ const generateHTMLReceipt = (orderData, printStage) => {
             ${safeItems.length > 0 ? safeItems.map(item => {
       const itemName = item.name || 'Unknown Item';
       const shortName = truncateText(itemName, 25); // Adjusted for larger font
+      const optionLines = formatItemOptionLines(item, { withPrices: true });
       return `
               <tr>
-                <td class="col-item">${shortName}</td>
+                <td class="col-item">${shortName}${optionLines.map(line => `<br/>&nbsp;&nbsp;- ${truncateText(line, 23)}`).join('')}</td>
                 <td class="col-qty">${item.quantity || 0}</td>
                 <td class="col-price">${formatCurrency((Number(item.quantity) || 0) * (Number(item.price) || 0))}</td>
               </tr>
@@ -715,6 +714,24 @@ const generateHTMLReceipt = (orderData, printStage) => {
             <td class="col-price">-${formatCurrency(discountAmount)}</td>
           </tr>
           ` : ''}
+          ${pricing.promotionLines.map(line => `
+          <tr>
+            <td class="col-item">${formatPromotionLabel(line)}:</td>
+            <td class="col-price">-${formatCurrency(line.amount)}</td>
+          </tr>
+          `).join('')}
+          ${pricing.serviceChargeAmount > 0 ? `
+          <tr>
+            <td class="col-item">Service Charge (${pricing.serviceChargePercent}%):</td>
+            <td class="col-price">${formatCurrency(pricing.serviceChargeAmount)}</td>
+          </tr>
+          ` : ''}
+          ${pricing.taxLines.filter(line => !line.inclusive).map(line => `
+          <tr>
+            <td class="col-item">${formatTaxLineLabel(line)}:</td>
+            <td class="col-price">${formatCurrency(line.amount)}</td>
+          </tr>
+          `).join('')}
           ${isDelivery && deliveryFee > 0 ? `
           <tr>
             <td class="col-item">Delivery:</td>
@@ -725,8 +742,38 @@ const generateHTMLReceipt = (orderData, printStage) => {
             <td class="col-item" style="font-size: 13px !important; font-weight: 600 !important;">GRAND TOTAL:</td>
             <td class="col-price" style="font-size: 13px !important; font-weight: 600 !important;">${formatCurrency(total)}</td>
           </tr>
+          ${pricing.taxLines.filter(line => line.inclusive).map(line => `
+          <tr>
+            <td class="col-item">Incl. ${formatTaxLineLabel({ ...line, inclusive: false })}:</td>
+            <td class="col-price">${formatCurrency(line.amount)}</td>
+          </tr>
+          `).join('')}
         </table>
         
+        ${split_payment ? `
+        <div class="center-text">---------------------------------</div>
+        <div class="center-text" style="font-weight: 600 !important;">SPLIT BILL - PAYMENT ${split_payment.index}${split_payment.count ? ` OF ${split_payment.count}` : ''}</div>
+        ${split_payment.label ? `<div class="center-text">${split_payment.label}</div>` : ''}
+        <table class="order-info">
+          <tr>
+            <td class="col-item">Order Total:</td>
+            <td class="col-price">${formatCurrency(split_payment.order_total)}</td>
+          </tr>
+          <tr>
+            <td class="col-item" style="font-weight: 600 !important;">This Payment:</td>
+            <td class="col-price" style="font-weight: 600 !important;">${formatCurrency(split_payment.amount)}</td>
+          </tr>
+          <tr>
+            <td class="col-item">Paid So Far:</td>
+            <td class="col-price">${formatCurrency(split_payment.paid_to_date)}</td>
+          </tr>
+          <tr>
+            <td class="col-item">Balance Due:</td>
+            <td class="col-price">${formatCurrency(split_payment.remaining)}</td>
+          </tr>
+        </table>
+        ` : ''}
+        
         ${hasCashInfo && hasReturnToShow ? `
         <div class="spacer"></div>
         <table class="order-info">
@@ -746,8 +793,8 @@ const generateHTMLReceipt = (orderData, printStage) => {
           │        THANK YOU !          │
           └─────────────────────────────┘</div>
         <div class="center-text" style="font-size: 14px !important;">${isDelivery ? 'We hope to serve you again !' : 'COME AGAIN SOON!'}</div>
-        <div class="center-text">0330-7072222</div>
-        <div class="center-text">Abdullah Saleem</div>
+        ${business.phone ? `<div class="center-text">${escapeHtml(business.phone)}</div>` : ''}
+        ${splitSettingLines(business.receiptFooter).map(line => `<div class="center-text">${escapeHtml(line)}</div>`).join('')}
         
         <!-- CUT LINE -->
         <div class="spacer"></div>
@@ -763,12 +810,13 @@ const generateHTMLReceipt = (orderData, printStage) => {
         <div class="logo-container">
  
           <img src="${logoUrl}" alt="Logo" class="logo-image" />
-          <div class="center-text">Shally Vallay Chock</div>
+          <div class="center-text">${escapeHtml(business.name)}</div>
         </div>
         <div class="center-text">---------------------------------</div>
         
         <!-- ORDER TITLE - Larger -->
-        <div class="header-text" style="font-size: 15px !important;">KITCHEN ORDER</div>
+        <div class="header-text" style="font-size: 15px !important;">${isKitchenDelta ? 'ORDER UPDATE' : 'KITCHEN ORDER'}</div>
+        ${station_name ? `<div class="header-text">${escapeHtml(station_name).toUpperCase()}</div>` : ''}
         <div class="center-text">---------------------------------</div>
         
         <!-- ORDER INFO - Compact -->
@@ -815,10 +863,13 @@ const generateHTMLReceipt = (orderData, printStage) => {
           <tbody>
             ${safeItems.length > 0 ? safeItems.map(item => {
       const itemName = item.name || 'Unknown Item';
-      const shortName = truncateText(itemName, 28); // Adjusted for larger font
+      // Delta tickets for edited orders say what to add or stop making
+      const changePrefix = item.change === 'void' ? 'VOID ' : item.change === 'add' ? 'ADD ' : '';
+      const shortName = truncateText(`${changePrefix}${itemName}`, 28); // Adjusted for larger font
+      const optionLines = formatItemOptionLines(item);
       return `
               <tr>
-                <td class="col-item" style="width: 70% !important;">${shortName}</td>
+                <td class="col-item" style="width: 70% !important;">${shortName}${optionLines.map(line => `<br/>&nbsp;&nbsp;&gt; ${truncateText(line, 26)}`).join('')}</td>
                 <td class="col-qty" style="width: 30% !important; font-size: 13px !important;">${item.quantity || 0}</td>
               </tr>
               `;
@@ -858,8 +909,75 @@ const generateHTMLReceipt = (orderData, printStage) => {
   return html;
 };
 
+// X-report (mid-shift) or Z-report (shift close); raw ESC/POS when configured
+export const printShiftReport = async (report, kind) => {
+  if (await printRawShiftReport(report, kind)) return;
+  return printReceiptDocument(generateShiftReportHTML(report, kind), `Shift ${kind}-Report`);
+};
+
+// Titled [label, value] sections under the business header, as used by shift reports and refund slips
+const generateSectionsHTML = (title, sections, footerLines = []) => {
+  const business = getBusinessSettings();
+
+  return `
+      <div class="receipt-container">
+        <div class="logo-container">
+          <img src="${getBusinessLogoUrl('b-logo.png')}" alt="Logo" class="logo-image" />
+          <div class="center-text">${escapeHtml(business.name)}</div>
+        </div>
+        <div class="center-text">---------------------------------</div>
+        <div class="header-text">${title}</div>
+        <div class="center-text">---------------------------------</div>
+        ${sections.map(section => `
+        <div class="header-text-left">${section.title}</div>
+        <table class="order-info">
+          ${section.rows.map(([label, value]) => (value ? `
+          <tr>
+            <td class="col-item">${escapeHtml(label)}</td>
+            <td class="col-price">${escapeHtml(value)}</td>
+          </tr>` : `
+          <tr>
+            <td colspan="2" class="col-item address-cell">${escapeHtml(label)}</td>
+          </tr>`)).join('')}
+        </table>`).join('')}
+        ${footerLines.map(line => `
+        <div class="spacer"></div>
+        <div class="center-text">${escapeHtml(line)}</div>`).join('')}
+        <div class="spacer"></div>
+        <div class="center-text">══════════════════════════════</div>
+        <div class="spacer"></div>
+      </div>
+  `;
+};
+
+const formatBusinessCurrency = (amount) => `${getBusinessSettings().currency} ${(Number(amount) || 0).toFixed(0)}`;
+
+const generateShiftReportHTML = (report, kind) => generateSectionsHTML(
+  SHIFT_REPORT_TITLES[kind],
+  getShiftReportSections(report, kind, formatBusinessCurrency),
+  kind === 'Z' ? ['Counted by: ________________', 'Checked by: ________________'] : []
+);
+
+// Refund slip for the customer to sign; raw ESC/POS when configured
+export const printRefundSlip = async (refund, order) => {
+  if (await printRawRefundSlip(refund, order)) return;
+  return printReceiptDocument(
+    generateSectionsHTML('REFUND', getRefundSlipSections(refund, order, formatBusinessCurrency), ['Customer signature: ______________']),
+    'Refund Slip'
+  );
+};
+
+// One kitchen ticket per prep station (see getKitchenTicketOrders)
+const generateKitchenTickets = (orderData) =>
+  getKitchenTicketOrders(orderData).map(ticket => generateHTMLReceipt(ticket, 'kitchen'));
+
+export const printCombinedReceipt = async (orderData) => {
+  if (orderData && await printRawCombinedReceipt(orderData)) return;
+  return printHTMLCombinedReceipt(orderData);
+};
+
 // Combined receipt printing for delivery orders (kitchen + customer in one window)
-export const printCombinedReceipt = (orderData) => {
+const printHTMLCombinedReceipt = (orderData) => {
   return new Promise((resolve, reject) => {
     if (!orderData) {
       console.error('No order data provided for printing');
@@ -867,8 +985,8 @@ export const printCombinedReceipt = (orderData) => {
       return;
     }
 
-    // Generate both receipts
-    const kitchenReceipt = generateHTMLReceipt(orderData, 'kitchen');
+    // Generate both receipts; the kitchen part is one ticket per prep station
+    const kitchenReceipt = generateKitchenTickets(orderData).join('<div class="cut-line"></div>');
     const customerReceipt = generateHTMLReceipt(orderData, 'customer');
     // Keep asset URLs file://-safe for packaged builds
     // (HTML uses the same `generateHTMLReceipt` which already resolves assets)
@@ -1160,8 +1278,8 @@ export const printCombinedReceipt = (orderData) => {
       </style>
     </head>
     <body>
-      ${kitchenReceipt}
-      <div class="cut-line"></div>
+      ${kitchenReceipt ? `${kitchenReceipt}
+      <div class="cut-line"></div>` : ''}
       ${customerReceipt}
       <script>
         var iframeId = '${iframeId}';
@@ -1342,7 +1460,7 @@ const Receipt = ({ orderData, printStage }) => {
   // Format currency
   const formatCurrency = (amount) => {
     const num = Number(amount) || 0;
-    return `PKR ${num.toFixed(0)}`;
+    return `${business.currency} ${num.toFixed(0)}`;
   };
 
   // Truncate text
@@ -1352,7 +1470,8 @@ const Receipt = ({ orderData, printStage }) => {
     return text.substring(0, maxLength - 3) + '...';
   };
 
-  const logoUrl = getPublicAssetUrl('b-logo.png');
+  const business = getBusinessSettings();
+  const logoUrl = getBusinessLogoUrl('b-logo.png');
 
   // Screen preview styles
   const receiptStyle = {
@@ -1526,7 +1645,12 @@ const Receipt = ({ orderData, printStage }) => {
               console.error('Logo image failed to load:', e.target.src);
             }}
           />
-          <div style={centerTextStyle}>Shally Vallay Chock</div>
+          <div style={centerTextStyle}>{business.name}</div>
+          {splitSettingLines(business.receiptHeader).map(line => (
+            <div key={line} style={centerTextStyle}>{line}</div>
+          ))}
+          {business.address && <div style={centerTextStyle}>{business.address}</div>}
+          {business.taxNumber && <div style={centerTextStyle}>NTN: {business.taxNumber}</div>}
         </div>
         <div style={centerTextStyle}>----------------------------------------</div>
         
@@ -1628,9 +1752,15 @@ const Receipt = ({ orderData, printStage }) => {
             {safeItems.length > 0 ? safeItems.map((item, index) => {
               const itemName = item.name || 'Unknown Item';
               const shortName = truncateText(itemName, 25);
+              const optionLines = formatItemOptionLines(item, { withPrices: true });
               return (
                 <tr key={index}>
-                  <td style={tdLeftStyle}>{shortName}</td>
+                  <td style={tdLeftStyle}>
+                    {shortName}
+                    {optionLines.map((line, lineIdx) => (
+                      <div key={lineIdx} style={{ paddingLeft: '8px' }}>- {truncateText(line, 23)}</div>
+                    ))}
+                  </td>
                   <td style={tdCenterStyle}>{item.quantity || 0}</td>
                   <td style={tdRightStyle}>{formatCurrency((Number(item.quantity) || 0) * (Number(item.price) || 0))}</td>
                 </tr>
@@ -1692,8 +1822,10 @@ const Receipt = ({ orderData, printStage }) => {
         {/* FOOTER */}
         <div style={{ ...centerTextStyle, fontSize: '14px', marginBottom: '2px' }}>꧁𓊈𒆜 THANK YOU 𒆜𓊉꧂</div>
         <div style={{ ...centerTextStyle, fontSize: '14px' }}>{isDelivery ? 'Thank You! we hope to serve you again' : 'COME AGAIN SOON!'}</div>
-        <div style={centerTextStyle}>0330-7072222</div>
-        <div style={centerTextStyle}>Abdullah Saleem</div>
+        {business.phone && <div style={centerTextStyle}>{business.phone}</div>}
+        {splitSettingLines(business.receiptFooter).map(line => (
+          <div key={line} style={centerTextStyle}>{line}</div>
+        ))}
 
         {/* CUT LINE */}
         <div style={{ height: '2px' }}></div>
@@ -1723,7 +1855,7 @@ const Receipt = ({ orderData, printStage }) => {
               console.error('Logo image failed to load:', e.target.src);
             }}
           />
-          <div style={centerTextStyle}>Shally Vallay Chock</div>
+          <div style={centerTextStyle}>{business.name}</div>
         </div>
         <div style={centerTextStyle}>---------------------------------</div>
 
@@ -1780,9 +1912,15 @@ const Receipt = ({ orderData, printStage }) => {
             {safeItems.map((item, index) => {
               const itemName = item.name || 'Unknown Item';
               const shortName = truncateText(itemName, 28);
+              const optionLines = formatItemOptionLines(item);
               return (
                 <tr key={index}>
-                  <td style={{ ...tdLeftStyle, width: '70%' }}>{shortName}</td>
+                  <td style={{ ...tdLeftStyle, width: '70%' }}>
+                    {shortName}
+                    {optionLines.map((line, lineIdx) => (
+                      <div key={lineIdx} style={{ paddingLeft: '8px' }}>&gt; {truncateText(line, 26)}</div>
+                    ))}
+                  </td>
                   <td style={{ ...tdCenterStyle, width: '30%', fontSize: '13px' }}>{item.quantity || 0}</td>
                 </tr>
               );
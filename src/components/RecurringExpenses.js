@@ -0,0 +1,506 @@
+import React, { useState, useEffect, useRef } from 'react';
+import dayjs from 'dayjs';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import { findExpenseCategory, getExpenseCategoryOptions } from '../constants/expenseCategories';
+import {
+  useRecurringExpensesQuery,
+  useDraftExpensesQuery,
+  useSaveRecurringExpenseMutation,
+  useDeleteRecurringExpenseMutation,
+  useGenerateRecurringDraftsMutation,
+  useApproveDraftExpenseMutation,
+  useDiscardDraftExpenseMutation,
+  useExpenseCategoriesQuery
+} from '../hooks/expenses';
+import {
+  RECURRENCE_FREQUENCIES,
+  getDueOccurrences,
+  getNextDueDate,
+  describeFrequency
+} from '../utils/recurringExpenses';
+import { getSubmitStatus } from '../utils/expenseApproval';
+import ConfirmationModal from './ConfirmationModal';
+import { FaRedo, FaPlus } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const cardStyle = {
+  background: 'white',
+  padding: '1.5rem',
+  borderRadius: '12px',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  marginBottom: '2rem'
+};
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '1rem'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.35rem', fontWeight: 600, color: '#495057' };
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const overlayStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle = {
+  background: 'white',
+  padding: '2rem',
+  borderRadius: '12px',
+  maxWidth: '520px',
+  width: '90%',
+  maxHeight: '90vh',
+  overflowY: 'auto'
+};
+
+const emptyTemplate = () => ({
+  description: '',
+  category: '',
+  amount: '',
+  paymentMethod: 'bank_transfer',
+  frequency: 'monthly',
+  intervalDays: '14',
+  startDate: dayjs().format('YYYY-MM-DD'),
+  endDate: '',
+  active: true
+});
+
+/**
+ * Recurring expense templates and the drafts they generate. Opening the screen
+ * creates drafts for anything that has come due; each draft is checked (utility bills
+ * vary) and approved before it counts as an expense. `onPosted` runs after an approval.
+ */
+const RecurringExpenses = ({ readOnly = false, onPosted }) => {
+  const { showSuccess, showError } = useToast();
+  const [templateForm, setTemplateForm] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [draftAmounts, setDraftAmounts] = useState({});
+  const generatedRef = useRef(false);
+
+  const { data: templates = [], isSuccess: templatesLoaded } = useRecurringExpensesQuery();
+  const { data: drafts = [] } = useDraftExpensesQuery();
+  const { categories } = useExpenseCategoriesQuery();
+  const saveTemplate = useSaveRecurringExpenseMutation();
+  const deleteTemplate = useDeleteRecurringExpenseMutation();
+  const generateDrafts = useGenerateRecurringDraftsMutation();
+  const approveDraft = useApproveDraftExpenseMutation();
+  const discardDraft = useDiscardDraftExpenseMutation();
+
+  // Catch up once per visit; the mutation is sequential and moves each template on as it goes
+  const { mutateAsync: runGenerate } = generateDrafts;
+  useEffect(() => {
+    if (readOnly || !templatesLoaded || generatedRef.current) return;
+    const due = templates.filter(t => getDueOccurrences(t).length > 0);
+    if (due.length === 0) return;
+    generatedRef.current = true;
+    runGenerate({ templates: due, categories })
+      .then(count => {
+        if (count > 0) showSuccess(`${count} recurring expense${count === 1 ? '' : 's'} ready for approval`);
+      })
+      .catch(err => {
+        showError(err.formattedMessage || err.response?.data?.error || 'Failed to create recurring expense drafts');
+      });
+  }, [readOnly, templatesLoaded, templates, categories, runGenerate, showSuccess, showError]);
+
+  const handleSaveTemplate = async (e) => {
+    e.preventDefault();
+    const description = templateForm.description.trim();
+    const amount = parseFloat(templateForm.amount);
+    if (!description || !Number.isFinite(amount) || amount <= 0) {
+      showError('Enter a description and an amount');
+      return;
+    }
+    if (templateForm.endDate && templateForm.endDate < templateForm.startDate) {
+      showError('The end date is before the start date');
+      return;
+    }
+
+    const data = {
+      description,
+      category: templateForm.category,
+      amount,
+      paymentMethod: templateForm.paymentMethod,
+      frequency: templateForm.frequency,
+      intervalDays: templateForm.frequency === 'custom' ? Math.max(1, parseInt(templateForm.intervalDays, 10) || 1) : undefined,
+      startDate: templateForm.startDate,
+      endDate: templateForm.endDate || null,
+      active: templateForm.active
+    };
+
+    try {
+      await saveTemplate.mutateAsync({ id: templateForm.id, data });
+      showSuccess(templateForm.id ? 'Recurring expense updated' : 'Recurring expense added');
+      setTemplateForm(null);
+      generatedRef.current = false;
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save recurring expense');
+    }
+  };
+
+  const handleDeleteTemplate = async () => {
+    try {
+      await deleteTemplate.mutateAsync(pendingDelete.id);
+      showSuccess(`${pendingDelete.description} will no longer repeat`);
+      setTemplateForm(null);
+      setPendingDelete(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to delete recurring expense');
+      return false;
+    }
+  };
+
+  const getDraftAmount = (draft) => draftAmounts[draft.id] ?? String(draft.amount ?? '');
+
+  const handleApprove = async (draft) => {
+    const amount = parseFloat(getDraftAmount(draft));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      showError('Enter the amount before approving');
+      return;
+    }
+    const status = getSubmitStatus(amount);
+    try {
+      await approveDraft.mutateAsync({ id: draft.id, amount, status });
+      showSuccess(status === 'submitted'
+        ? `${draft.description} submitted for approval`
+        : `${draft.description} posted as an expense`);
+      setDraftAmounts(prev => {
+        const { [draft.id]: _, ...rest } = prev;
+        return rest;
+      });
+      if (onPosted) onPosted();
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to approve expense');
+    }
+  };
+
+  const handleDiscard = async (draft) => {
+    try {
+      await discardDraft.mutateAsync(draft.id);
+      showSuccess(`${draft.description} skipped`);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to skip expense');
+    }
+  };
+
+  if (readOnly && templates.length === 0 && drafts.length === 0) return null;
+
+  return (
+    <>
+      {drafts.length > 0 && (
+        <div style={{ ...cardStyle, border: '2px solid #fd7e14' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '1rem', flexWrap: 'wrap' }}>
+            <h3 style={{ margin: 0, color: '#2d3748', fontSize: '1.2rem', fontWeight: '700' }}>Awaiting Approval ({drafts.length})</h3>
+            <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>
+              Drafts from recurring expenses. They don't count in the totals until approved.
+            </div>
+          </div>
+          <div className="table-responsive" style={{ marginTop: '1rem' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Category</th>
+                  <th style={{ textAlign: 'right' }}>Amount</th>
+                  {!readOnly && <th style={{ textAlign: 'center' }}>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {drafts.map(draft => (
+                  <tr key={draft.id}>
+                    <td>{dayjs(draft.expenseDate || draft.expense_date).format('MMM D, YYYY')}</td>
+                    <td style={{ fontWeight: '600', color: '#2d3748' }}>{draft.description}</td>
+                    <td>{draft.category || '-'}</td>
+                    <td style={{ textAlign: 'right' }}>
+                      {readOnly ? formatCurrency(draft.amount) : (
+                        <input
+                          type="number"
+                          step="0.01"
+                          min="0.01"
+                          value={getDraftAmount(draft)}
+                          onChange={(e) => setDraftAmounts(prev => ({ ...prev, [draft.id]: e.target.value }))}
+                          style={{ ...inputStyle, width: '120px', textAlign: 'right' }}
+                        />
+                      )}
+                    </td>
+                    {!readOnly && (
+                      <td className="table-actions-cell" style={{ textAlign: 'center' }}>
+                        <div className="table-action-buttons">
+                          <button
+                            type="button"
+                            className="btn-edit"
+                            onClick={() => handleApprove(draft)}
+                            disabled={approveDraft.isPending}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            className="btn-delete"
+                            onClick={() => handleDiscard(draft)}
+                            disabled={discardDraft.isPending}
+                          >
+                            Skip
+                          </button>
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <details style={cardStyle} open={templates.length > 0 && !readOnly}>
+        <summary style={{ cursor: 'pointer', display: 'flex', alignItems: 'center', gap: '0.5rem', color: '#2d3748', fontSize: '1.2rem', fontWeight: '700' }}>
+          <FaRedo /> Recurring Expenses ({templates.length})
+        </summary>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '1rem', flexWrap: 'wrap', marginTop: '0.75rem' }}>
+          <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>
+            Rent, utilities and other regular bills. A draft is created on each due date for you to approve.
+          </div>
+          {!readOnly && (
+            <button type="button" style={buttonStyle('var(--color-primary)')} onClick={() => setTemplateForm(emptyTemplate())}>
+              <FaPlus /> New Recurring Expense
+            </button>
+          )}
+        </div>
+        {templates.length > 0 && (
+          <div className="table-responsive" style={{ marginTop: '1rem' }}>
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Description</th>
+                  <th>Category</th>
+                  <th style={{ textAlign: 'right' }}>Amount</th>
+                  <th>Repeats</th>
+                  <th>Next Draft</th>
+                  {!readOnly && <th style={{ textAlign: 'center' }}>Actions</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {templates.map(template => {
+                  const next = getNextDueDate(template);
+                  return (
+                    <tr key={template.id} style={{ opacity: template.active ? 1 : 0.6 }}>
+                      <td style={{ fontWeight: '600', color: '#2d3748' }}>{template.description}</td>
+                      <td>{template.category || '-'}</td>
+                      <td style={{ textAlign: 'right' }}>{formatCurrency(template.amount)}</td>
+                      <td>{describeFrequency(template)}</td>
+                      <td>
+                        {!template.active ? 'Paused' : (next ? dayjs(next).format('MMM D, YYYY') : 'Ended')}
+                      </td>
+                      {!readOnly && (
+                        <td className="table-actions-cell" style={{ textAlign: 'center' }}>
+                          <div className="table-action-buttons">
+                            <button
+                              type="button"
+                              className="btn-edit"
+                              onClick={() => setTemplateForm({
+                                ...template,
+                                amount: String(template.amount),
+                                intervalDays: String(template.intervalDays),
+                                endDate: template.endDate || ''
+                              })}
+                            >
+                              Edit
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </details>
+
+      {templateForm && (
+        <div style={overlayStyle}>
+          <form style={modalStyle} onSubmit={handleSaveTemplate}>
+            <h2 style={{ marginTop: 0 }}>{templateForm.id ? 'Edit Recurring Expense' : 'New Recurring Expense'}</h2>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Description</label>
+              <input
+                type="text"
+                value={templateForm.description}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, description: e.target.value }))}
+                placeholder="e.g. Shop rent"
+                style={{ ...inputStyle, width: '100%' }}
+                autoFocus
+                required
+              />
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Category</label>
+                <select
+                  value={templateForm.category}
+                  onChange={(e) => {
+                    const category = e.target.value;
+                    setTemplateForm(prev => ({
+                      ...prev,
+                      category,
+                      paymentMethod: findExpenseCategory(category, categories)?.defaultPaymentMethod || prev.paymentMethod
+                    }));
+                  }}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  <option value="">Uncategorized</option>
+                  {getExpenseCategoryOptions(templateForm.category, categories).map(opt => (
+                    <option key={opt.value} value={opt.value}>{opt.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Amount ({getCurrencySymbol()})</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0.01"
+                  value={templateForm.amount}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, amount: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                  required
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Repeats</label>
+                <select
+                  value={templateForm.frequency}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, frequency: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  {RECURRENCE_FREQUENCIES.map(f => (
+                    <option key={f.value} value={f.value}>{f.label}</option>
+                  ))}
+                </select>
+              </div>
+              {templateForm.frequency === 'custom' && (
+                <div>
+                  <label style={labelStyle}>Every (days)</label>
+                  <input
+                    type="number"
+                    step="1"
+                    min="1"
+                    value={templateForm.intervalDays}
+                    onChange={(e) => setTemplateForm(prev => ({ ...prev, intervalDays: e.target.value }))}
+                    style={{ ...inputStyle, width: '100%' }}
+                    required
+                  />
+                </div>
+              )}
+              <div>
+                <label style={labelStyle}>Paid by</label>
+                <select
+                  value={templateForm.paymentMethod}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, paymentMethod: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  <option value="bank_transfer">Bank Transfer</option>
+                  <option value="cash">Cash</option>
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>{templateForm.id ? 'Started' : 'First Due'}</label>
+                <input
+                  type="date"
+                  value={templateForm.startDate}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, startDate: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                  required
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Ends (optional)</label>
+                <input
+                  type="date"
+                  value={templateForm.endDate}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, endDate: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+            </div>
+            {!templateForm.id && dayjs(templateForm.startDate).isBefore(dayjs(), 'day') && (
+              <div style={{ marginBottom: '1rem', fontSize: '0.85rem', color: '#856404', background: '#fff3cd', padding: '0.5rem 0.75rem', borderRadius: '6px' }}>
+                The first due date is in the past, so drafts will be created for the dates already due.
+              </div>
+            )}
+            {templateForm.id && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={templateForm.active}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, active: e.target.checked }))}
+                />
+                Active (paused expenses don't create drafts)
+              </label>
+            )}
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+              {templateForm.id && (
+                <button
+                  type="button"
+                  style={{ ...buttonStyle('#dc3545'), marginRight: 'auto' }}
+                  onClick={() => setPendingDelete(templateForm)}
+                >
+                  Delete
+                </button>
+              )}
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setTemplateForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', saveTemplate.isPending)} disabled={saveTemplate.isPending}>
+                {saveTemplate.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDeleteTemplate}
+        title="Delete Recurring Expense"
+        message={`Stop repeating ${pendingDelete?.description || ''}? Expenses already posted and drafts awaiting approval are kept.`}
+        confirmText="Delete"
+        confirmDisabled={deleteTemplate.isPending}
+        variant="danger"
+      />
+    </>
+  );
+};
+
+export default RecurringExpenses;
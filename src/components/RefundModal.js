@@ -0,0 +1,391 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FaMoneyBillWave, FaUniversity, FaMinus, FaPlus } from 'react-icons/fa';
+import { ordersAPI } from '../services/api';
+import { isOnline } from '../services/offlineSyncService';
+import { useToast } from '../contexts/ToastContext';
+import { printRefundSlip } from './Receipt';
+import ManagerOverrideModal from './ManagerOverrideModal';
+import { useManagerOverride } from '../hooks/useManagerOverride';
+import { canApproveOverrides } from '../utils/managerOverride';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import { normalizeSplitItems } from '../utils/splitBill';
+import { roundMoney } from '../utils/money';
+import {
+  REFUND_REASONS,
+  normalizeRefund,
+  normalizeRefunds,
+  getRefundedTotal,
+  getRefundedQuantities,
+  getRefundableBalance,
+  getRefundItemsAmount,
+} from '../utils/refunds';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toFixed(0)}`;
+};
+
+const sectionLabelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '600',
+  color: '#495057'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #dee2e6',
+  borderRadius: '8px',
+  fontSize: '1rem'
+};
+
+const toggleStyle = (active, color = 'var(--color-primary)') => ({
+  flex: 1,
+  padding: '0.6rem',
+  border: `2px solid ${active ? color : '#dee2e6'}`,
+  borderRadius: '8px',
+  background: active ? color : 'white',
+  color: active ? 'white' : '#495057',
+  fontWeight: 'bold',
+  cursor: 'pointer'
+});
+
+const stepButtonStyle = {
+  width: '28px',
+  height: '28px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+/**
+ * Refund some or all of a paid order. Lines are picked by quantity (or the amount is
+ * entered by hand for amount-only refunds); the refund needs a reason and a manager's
+ * PIN (managers approve their own). It is saved against the order and prints a refund
+ * slip.
+ */
+const RefundModal = ({ order, user, onClose, onRefunded }) => {
+  const { showSuccess, showError } = useToast();
+  const { requestOverride, overrideModalProps } = useManagerOverride();
+  const [items, setItems] = useState([]);
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [selectedQuantities, setSelectedQuantities] = useState({});
+  const [customAmount, setCustomAmount] = useState(null);
+  const [refundMethod, setRefundMethod] = useState(
+    (order.payment_method || order.paymentMethod) === 'bank_transfer' ? 'bank_transfer' : 'cash'
+  );
+  const [reason, setReason] = useState('');
+  const [notes, setNotes] = useState('');
+
+  const orderTotal = parseFloat(order.total_amount || order.totalAmount) || 0;
+  const deliveryCharge = parseFloat(order.delivery_charge || order.deliveryCharge) || 0;
+  const canApprove = canApproveOverrides(user);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const [itemsRes, refundsRes] = await Promise.all([
+          ordersAPI.getOrderItems(order.id),
+          ordersAPI.getRefunds(order.id).catch(() => null)
+        ]);
+        if (cancelled) return;
+        setItems(normalizeSplitItems(itemsRes.data?.data ?? itemsRes.data));
+        setRefunds(refundsRes ? normalizeRefunds(refundsRes.data?.data ?? refundsRes.data) : []);
+      } catch (err) {
+        if (!cancelled) showError(err.formattedMessage || err.response?.data?.error || 'Failed to load order items');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [order, showError]);
+
+  const refundedTotal = getRefundedTotal(refunds);
+  const refundable = getRefundableBalance(orderTotal, refunds);
+  const refundedQuantities = useMemo(() => getRefundedQuantities(refunds), [refunds]);
+
+  const suggestedAmount = useMemo(
+    () => Math.min(refundable, getRefundItemsAmount(items, selectedQuantities, orderTotal, deliveryCharge)),
+    [refundable, items, selectedQuantities, orderTotal, deliveryCharge]
+  );
+  const amount = customAmount !== null ? (parseFloat(customAmount) || 0) : suggestedAmount;
+
+  const adjustItemQuantity = (item, delta) => {
+    const open = item.quantity - (refundedQuantities[item.key] || 0);
+    setSelectedQuantities(prev => {
+      const next = Math.min(open, Math.max(0, (prev[item.key] || 0) + delta));
+      return { ...prev, [item.key]: next };
+    });
+    setCustomAmount(null);
+  };
+
+  const handleRefund = async () => {
+    if (amount <= 0) {
+      showError('Select items or enter an amount to refund');
+      return;
+    }
+    if (roundMoney(amount) > refundable + 0.5) {
+      showError(`Refund cannot exceed ${formatCurrency(refundable)} still refundable on this order`);
+      return;
+    }
+    if (!reason) {
+      showError('Select a reason for the refund');
+      return;
+    }
+    if (reason === 'Other' && !notes.trim()) {
+      showError('Describe the reason for the refund');
+      return;
+    }
+    if (!(await isOnline())) {
+      showError('Refunds need a connection to the server');
+      return;
+    }
+
+    const { approved, approval } = await requestOverride('refund', {
+      details: `Refund ${formatCurrency(amount)} on Order #${order.order_number || order.orderNumber || order.id}`
+    });
+    if (!approved) return;
+
+    const byKey = new Map(items.map(i => [i.key, i]));
+    const record = {
+      amount: roundMoney(amount),
+      refundMethod,
+      reason,
+      notes: notes.trim(),
+      items: Object.entries(selectedQuantities)
+        .filter(([, qty]) => qty > 0)
+        .map(([key, quantity]) => {
+          const item = byKey.get(key);
+          return { key, orderItemId: key, menuItemId: item.menuItemId, name: item.name, quantity, unitPrice: item.price };
+        }),
+      approval
+    };
+
+    setSaving(true);
+    try {
+      const res = await ordersAPI.createRefund(order.id, record);
+      const saved = normalizeRefund({
+        orderId: order.id,
+        orderNumber: order.order_number || order.orderNumber,
+        userName: user?.fullName,
+        approvedByName: approval.approvedByName,
+        createdAt: new Date().toISOString(),
+        ...record,
+        ...(res.data?.data ?? res.data ?? {})
+      });
+
+      try {
+        await printRefundSlip(saved, order);
+      } catch (printErr) {
+        console.error('Failed to print refund slip:', printErr.message);
+      }
+
+      showSuccess(`Refunded ${formatCurrency(saved.amount)} on Order #${order.order_number || order.id}`);
+      window.dispatchEvent(new CustomEvent('orderUpdated', { detail: { orderId: order.id } }));
+      if (onRefunded) onRefunded(order, saved);
+      onClose();
+    } catch (err) {
+      console.error('Failed to record refund:', err.message);
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to record refund');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canRefund = !saving && !loading && refundable > 0 && amount > 0 && !!reason;
+
+  return (
+    <>
+      <div style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000
+      }}>
+        <div style={{
+          background: 'white',
+          padding: '2rem',
+          borderRadius: '12px',
+          maxWidth: '600px',
+          width: '90%',
+          maxHeight: '90vh',
+          overflowY: 'auto'
+        }}>
+          <h2 style={{ marginTop: 0, marginBottom: '1rem' }}>Refund</h2>
+
+          <div style={{ marginBottom: '1.25rem', color: '#6c757d' }}>
+            Order #{order.order_number || order.id}
+          </div>
+
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(3, 1fr)',
+            gap: '0.5rem',
+            marginBottom: '1.5rem',
+            textAlign: 'center'
+          }}>
+            {[
+              { label: 'Paid', value: orderTotal, color: '#212529' },
+              { label: 'Refunded', value: refundedTotal, color: '#dc3545' },
+              { label: 'Refundable', value: refundable, color: '#28a745' }
+            ].map(stat => (
+              <div key={stat.label} style={{ background: '#f8f9fa', borderRadius: '8px', padding: '0.75rem' }}>
+                <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{stat.label}</div>
+                <div style={{ fontSize: '1.2rem', fontWeight: 'bold', color: stat.color }}>{formatCurrency(stat.value)}</div>
+              </div>
+            ))}
+          </div>
+
+          {loading ? (
+            <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>Loading order...</div>
+          ) : refundable <= 0 ? (
+            <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>This order has been fully refunded.</div>
+          ) : (
+            <>
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Items returned</label>
+                {items.map(item => {
+                  const open = item.quantity - (refundedQuantities[item.key] || 0);
+                  const chosen = selectedQuantities[item.key] || 0;
+                  return (
+                    <div
+                      key={item.key}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'space-between',
+                        padding: '0.4rem 0',
+                        opacity: open > 0 ? 1 : 0.5
+                      }}
+                    >
+                      <span style={{ fontSize: '0.9rem' }}>
+                        {item.name}{item.variant_name ? ` (${item.variant_name})` : ''}
+                        <span style={{ color: '#6c757d' }}> · {formatCurrency(item.price)} · {open} of {item.quantity} refundable</span>
+                      </span>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                        <button type="button" style={stepButtonStyle} disabled={chosen <= 0} onClick={() => adjustItemQuantity(item, -1)}>
+                          <FaMinus size={10} />
+                        </button>
+                        <strong style={{ minWidth: '1.5rem', textAlign: 'center' }}>{chosen}</strong>
+                        <button type="button" style={stepButtonStyle} disabled={chosen >= open} onClick={() => adjustItemQuantity(item, 1)}>
+                          <FaPlus size={10} />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Refund amount</label>
+                <input
+                  type="number"
+                  value={customAmount !== null ? customAmount : String(roundMoney(suggestedAmount))}
+                  onChange={(e) => setCustomAmount(e.target.value)}
+                  style={{ ...inputStyle, fontWeight: 'bold' }}
+                />
+                <div style={{ fontSize: '0.85rem', color: '#6c757d', marginTop: '0.4rem' }}>
+                  Item amounts include the order discount. Enter an amount without selecting items for a partial refund.
+                </div>
+              </div>
+
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Refund To *</label>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                  <button type="button" onClick={() => setRefundMethod('cash')} style={toggleStyle(refundMethod === 'cash', '#28a745')}>
+                    <FaMoneyBillWave style={{ marginRight: '0.25rem' }} /> Cash
+                  </button>
+                  <button type="button" onClick={() => setRefundMethod('bank_transfer')} style={toggleStyle(refundMethod === 'bank_transfer', '#007bff')}>
+                    <FaUniversity style={{ marginRight: '0.25rem' }} /> Bank Transfer
+                  </button>
+                </div>
+              </div>
+
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Reason *</label>
+                <select value={reason} onChange={(e) => setReason(e.target.value)} style={inputStyle}>
+                  <option value="">Select a reason...</option>
+                  {REFUND_REASONS.map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <input
+                  type="text"
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                  placeholder={reason === 'Other' ? 'Describe the reason *' : 'Notes (optional)'}
+                  style={{ ...inputStyle, marginTop: '0.5rem' }}
+                />
+              </div>
+
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Manager Approval *</label>
+                <div style={{ fontSize: '0.9rem', color: '#495057' }}>
+                  {canApprove
+                    ? <>Approved by <strong>{user.fullName || 'you'}</strong></>
+                    : 'A manager enters their PIN when you confirm the refund'}
+                </div>
+              </div>
+            </>
+          )}
+
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              onClick={onClose}
+              disabled={saving}
+              style={{
+                flex: 1,
+                padding: '0.75rem',
+                border: '2px solid #dee2e6',
+                borderRadius: '8px',
+                background: 'white',
+                color: '#495057',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}
+            >
+              Close
+            </button>
+            {refundable > 0 && (
+              <button
+                onClick={handleRefund}
+                disabled={!canRefund}
+                style={{
+                  flex: 1,
+                  padding: '0.75rem',
+                  border: 'none',
+                  borderRadius: '8px',
+                  background: '#dc3545',
+                  color: 'white',
+                  fontWeight: 'bold',
+                  cursor: canRefund ? 'pointer' : 'not-allowed',
+                  opacity: canRefund ? 1 : 0.5
+                }}
+              >
+                {saving ? 'Processing...' : `Refund ${formatCurrency(amount)}`}
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <ManagerOverrideModal {...overrideModalProps} />
+    </>
+  );
+};
+
+export default RefundModal;
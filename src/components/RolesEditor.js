@@ -0,0 +1,186 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getRolesConfig, isLockedRole, PERMISSION_GROUPS, slugifyRoleId } from '../utils/permissions';
+import { loadRolesConfig, saveRolesConfig } from '../services/businessInfoService';
+
+const checkboxLabelStyle = {
+  display: 'flex',
+  alignItems: 'center',
+  gap: '0.35rem',
+  fontSize: '13px',
+  color: '#444',
+  margin: 0,
+  cursor: 'pointer'
+};
+
+/**
+ * Admin editor for roles and what each may do. Built-in roles keep their id; the
+ * admin role always has every permission. Saved through businessInfoAPI.
+ */
+const RolesEditor = ({ users = [] }) => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getRolesConfig());
+  const [newRoleName, setNewRoleName] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadRolesConfig().then(config => {
+      if (!cancelled) setForm(config);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const updateRole = (roleId, patch) => {
+    setForm(prev => ({
+      ...prev,
+      roles: prev.roles.map(r => (r.id === roleId ? { ...r, ...patch } : r))
+    }));
+  };
+
+  const togglePermission = (role, permission, enabled) => {
+    updateRole(role.id, {
+      permissions: enabled
+        ? [...role.permissions, permission]
+        : role.permissions.filter(p => p !== permission)
+    });
+  };
+
+  const handleAddRole = () => {
+    const id = slugifyRoleId(newRoleName);
+    if (!id) {
+      showError('Enter a name for the role');
+      return;
+    }
+    if (form.roles.some(r => r.id === id)) {
+      showError('A role with this name already exists');
+      return;
+    }
+    setForm(prev => ({
+      ...prev,
+      roles: [...prev.roles, { id, name: newRoleName.trim(), permissions: [], builtIn: false }]
+    }));
+    setNewRoleName('');
+  };
+
+  const handleRemoveRole = (role) => {
+    const assigned = users.filter(u => u.role === role.id).length;
+    if (assigned > 0) {
+      showError(`${assigned} user${assigned === 1 ? ' has' : 's have'} the ${role.name} role. Move them to another role first.`);
+      return;
+    }
+    setForm(prev => ({ ...prev, roles: prev.roles.filter(r => r.id !== role.id) }));
+  };
+
+  const handleSave = async () => {
+    if (form.roles.some(r => !String(r.name || '').trim())) {
+      showError('Each role needs a name');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveRolesConfig(form);
+      setForm(saved);
+      showSuccess('Roles saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save roles');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section" style={{ marginTop: '2rem' }}>
+      <h3>Roles & Permissions</h3>
+      <p>
+        Choose what each role can see and do. Roles with back-office permissions sign in to the admin portal,
+        roles that can see history, reports or customers to the manager portal, and all others to the staff
+        portal. Changes apply the next time a screen loads.
+      </p>
+
+      {form.roles.map(role => {
+        const locked = isLockedRole(role.id);
+        return (
+          <div
+            key={role.id}
+            style={{
+              border: '1px solid #eee',
+              borderRadius: '8px',
+              padding: '1rem',
+              marginBottom: '1rem',
+              background: locked ? '#f8f9fa' : 'white'
+            }}
+          >
+            <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '0.75rem' }}>
+              <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                <label>Role Name{role.builtIn ? ' (built in)' : ''}</label>
+                <input
+                  type="text"
+                  value={role.name}
+                  disabled={role.builtIn}
+                  onChange={(e) => updateRole(role.id, { name: e.target.value })}
+                />
+              </div>
+              {!role.builtIn && (
+                <button type="button" className="btn-delete" onClick={() => handleRemoveRole(role)}>
+                  Remove
+                </button>
+              )}
+            </div>
+
+            {locked && (
+              <div style={{ fontSize: '13px', color: '#6c757d', marginBottom: '0.5rem' }}>
+                Admins always have every permission.
+              </div>
+            )}
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '1rem' }}>
+              {PERMISSION_GROUPS.map(group => (
+                <div key={group.label}>
+                  <div style={{ fontSize: '12px', fontWeight: 600, color: '#666', marginBottom: '0.4rem', textTransform: 'uppercase' }}>
+                    {group.label}
+                  </div>
+                  <div style={{ display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+                    {Object.entries(group.permissions).map(([permission, label]) => (
+                      <label key={permission} style={{ ...checkboxLabelStyle, cursor: locked ? 'default' : 'pointer' }}>
+                        <input
+                          type="checkbox"
+                          checked={role.permissions.includes(permission)}
+                          disabled={locked}
+                          onChange={(e) => togglePermission(role, permission, e.target.checked)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+
+      <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'flex-end', marginBottom: '1.5rem' }}>
+        <div className="form-group" style={{ width: '260px', marginBottom: 0 }}>
+          <label>New Role</label>
+          <input
+            type="text"
+            value={newRoleName}
+            onChange={(e) => setNewRoleName(e.target.value)}
+            placeholder="e.g. Cashier"
+          />
+        </div>
+        <button type="button" className="btn-secondary" onClick={handleAddRole}>
+          + Add Role
+        </button>
+      </div>
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Roles'}
+      </button>
+    </div>
+  );
+};
+
+export default RolesEditor;
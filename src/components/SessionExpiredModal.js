@@ -0,0 +1,254 @@
+import React, { useState, useEffect } from 'react';
+import { FaEye, FaEyeSlash, FaUserClock } from 'react-icons/fa';
+import { authAPI } from '../services/api';
+import { sessionService } from '../services/sessionService';
+
+/**
+ * Asks the signed-in user for their password when the session can't be refreshed.
+ * Shown over the current screen so carts and forms stay as they were; requests that
+ * failed meanwhile are retried after sign-in (see sessionService).
+ */
+const SessionExpiredModal = ({ user, onLogout }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [password, setPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [waitingCount, setWaitingCount] = useState(0);
+
+  useEffect(() => {
+    sessionService.setExpiredHandler(() => {
+      setIsOpen(true);
+      setWaitingCount(sessionService.getWaitingCount());
+    });
+    return () => {
+      sessionService.clearExpiredHandler();
+    };
+  }, []);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const response = await authAPI.login({ username: user?.username, password });
+      if (response.data.success) {
+        const { accessToken, refreshToken, user: userData } = response.data.data;
+        if (accessToken) localStorage.setItem('token', accessToken);
+        if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+        if (userData) localStorage.setItem('user', JSON.stringify(userData));
+        setPassword('');
+        setIsOpen(false);
+        sessionService.resume();
+      }
+    } catch (err) {
+      setError(err.formattedMessage || err.response?.data?.message || err.response?.data?.error || 'Sign in failed. Please check your password.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignOut = () => {
+    setIsOpen(false);
+    setPassword('');
+    sessionService.abandon();
+    onLogout();
+  };
+
+  return (
+    <div style={styles.backdrop}>
+      <form style={styles.modal} onSubmit={handleSubmit}>
+        <div style={styles.header}>
+          <div style={styles.iconContainer}>
+            <FaUserClock />
+          </div>
+          <div>
+            <h2 style={styles.title}>Session Expired</h2>
+            <p style={styles.subtitle}>Sign in again to carry on where you left off.</p>
+          </div>
+        </div>
+
+        <div style={styles.body}>
+          {waitingCount > 0 && (
+            <div style={styles.info}>
+              {waitingCount} request{waitingCount === 1 ? ' is' : 's are'} waiting and will be sent once you sign in.
+            </div>
+          )}
+          {error && <div style={styles.alert}>{error}</div>}
+          <div>
+            <label style={styles.label}>Username</label>
+            <input style={styles.input} type="text" value={user?.username || ''} disabled />
+          </div>
+          <div>
+            <label style={styles.label} htmlFor="session-expired-password">Password</label>
+            <div style={{ position: 'relative' }}>
+              <input
+                id="session-expired-password"
+                style={{ ...styles.input, paddingRight: '2.75rem' }}
+                type={showPassword ? 'text' : 'password'}
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Enter password"
+                autoFocus
+                required
+              />
+              <button
+                type="button"
+                style={styles.toggleBtn}
+                onClick={() => setShowPassword(!showPassword)}
+                aria-label={showPassword ? 'Hide password' : 'Show password'}
+              >
+                {showPassword ? <FaEyeSlash /> : <FaEye />}
+              </button>
+            </div>
+          </div>
+        </div>
+
+        <div style={styles.footer}>
+          <button type="button" style={styles.secondaryBtn} onClick={handleSignOut}>
+            Sign out
+          </button>
+          <button
+            type="submit"
+            style={{ ...styles.primaryBtn, ...(loading ? styles.disabledBtn : {}) }}
+            disabled={loading}
+          >
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+const styles = {
+  backdrop: {
+    position: 'fixed',
+    inset: 0,
+    background: 'rgba(0,0,0,0.4)',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    zIndex: 9998,
+    padding: '1rem',
+  },
+  modal: {
+    background: '#fff',
+    borderRadius: '12px',
+    maxWidth: '440px',
+    width: '100%',
+    boxShadow: '0 12px 30px rgba(0,0,0,0.18)',
+    padding: '1.5rem',
+    fontFamily: 'inherit',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '0.75rem',
+    marginBottom: '1rem',
+  },
+  iconContainer: {
+    width: '44px',
+    height: '44px',
+    borderRadius: '12px',
+    background: '#edf2f7',
+    display: 'grid',
+    placeItems: 'center',
+    fontSize: '1.25rem',
+    color: '#2b6cb0',
+  },
+  title: {
+    margin: 0,
+    fontSize: '1.3rem',
+    color: '#1a202c',
+  },
+  subtitle: {
+    margin: '0.15rem 0 0 0',
+    color: '#4a5568',
+    fontSize: '0.95rem',
+  },
+  body: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '0.75rem',
+    marginBottom: '1.25rem',
+  },
+  info: {
+    padding: '0.75rem',
+    background: '#ebf8ff',
+    border: '1px solid #bee3f8',
+    borderRadius: '8px',
+    color: '#2c5282',
+    fontSize: '0.9rem',
+  },
+  alert: {
+    padding: '0.75rem',
+    background: '#fff5f5',
+    border: '1px solid #fed7d7',
+    borderRadius: '8px',
+    color: '#c53030',
+    fontWeight: 500,
+  },
+  label: {
+    display: 'block',
+    marginBottom: '0.35rem',
+    color: '#2d3748',
+    fontWeight: 600,
+    fontSize: '0.9rem',
+  },
+  input: {
+    width: '100%',
+    padding: '0.65rem 0.75rem',
+    border: '1px solid #cbd5e0',
+    borderRadius: '8px',
+    fontSize: '0.95rem',
+    boxSizing: 'border-box',
+  },
+  toggleBtn: {
+    position: 'absolute',
+    right: '0.75rem',
+    top: '50%',
+    transform: 'translateY(-50%)',
+    background: 'none',
+    border: 'none',
+    color: '#718096',
+    cursor: 'pointer',
+    display: 'flex',
+    padding: 0,
+  },
+  footer: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '0.5rem',
+    alignItems: 'center',
+  },
+  primaryBtn: {
+    background: '#2b6cb0',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '8px',
+    padding: '0.65rem 1rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+    display: 'inline-flex',
+    alignItems: 'center',
+    transition: 'background 0.2s ease',
+  },
+  secondaryBtn: {
+    background: '#edf2f7',
+    color: '#2d3748',
+    border: 'none',
+    borderRadius: '8px',
+    padding: '0.65rem 1rem',
+    fontWeight: 600,
+    cursor: 'pointer',
+  },
+  disabledBtn: {
+    opacity: 0.7,
+    cursor: 'not-allowed',
+  },
+};
+
+export default SessionExpiredModal;
@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import dayjs from 'dayjs';
+import { shiftsAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  normalizeShift,
+  normalizeShiftReport,
+  getShiftReportSections,
+  getCashVariance,
+  formatVariance
+} from '../utils/cashShift';
+import { printShiftReport } from './Receipt';
+import DateRangeFilter from './DateRangeFilter';
+import ScreenLoading from './ScreenLoading';
+import { FaCashRegister, FaPrint } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 0 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5' };
+
+const buttonStyle = (background) => ({
+  padding: '0.45rem 1rem',
+  border: 'none',
+  borderRadius: '6px',
+  background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const formatDateTime = (value) => (value ? dayjs(value).format('DD MMM YYYY, h:mm A') : '-');
+
+/**
+ * Past and open cash drawer shifts across terminals, with the X/Z report for each.
+ */
+const ShiftHistory = () => {
+  const { showError } = useToast();
+  const [startDate, setStartDate] = useState(() => dayjs().startOf('month').format('YYYY-MM-DD'));
+  const [endDate, setEndDate] = useState(() => dayjs().format('YYYY-MM-DD'));
+  const [shifts, setShifts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [loadingReportId, setLoadingReportId] = useState(null);
+
+  const fetchShifts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await shiftsAPI.getAll({ startDate, endDate });
+      const data = res.data?.data ?? res.data;
+      const list = Array.isArray(data) ? data : (data?.shifts || []);
+      setShifts(list.map(normalizeShift).filter(Boolean));
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to load shifts');
+    } finally {
+      setLoading(false);
+    }
+  }, [startDate, endDate, showError]);
+
+  useEffect(() => {
+    fetchShifts();
+  }, [fetchShifts]);
+
+  const handleView = async (shift) => {
+    setLoadingReportId(shift.id);
+    try {
+      const res = await shiftsAPI.getReport(shift.id);
+      setSelected(normalizeShiftReport(res.data));
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to load shift report');
+    } finally {
+      setLoadingReportId(null);
+    }
+  };
+
+  const selectedKind = selected?.shift.status === 'closed' ? 'Z' : 'X';
+
+  const handlePrint = async () => {
+    try {
+      await printShiftReport(selected, selectedKind);
+    } catch (err) {
+      showError(err.message || 'Failed to print shift report');
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <h1 style={{ margin: '0 0 1.5rem', color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <FaCashRegister /> Shift History
+      </h1>
+
+      <DateRangeFilter
+        startDate={startDate}
+        endDate={endDate}
+        onChange={(start, end) => {
+          setStartDate(start);
+          setEndDate(end);
+        }}
+      />
+
+      {loading ? (
+        <ScreenLoading label="Loading shifts..." />
+      ) : (
+        <div style={{ overflowX: 'auto', marginTop: '1.5rem' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                <th style={thStyle}>Terminal</th>
+                <th style={thStyle}>Cashier</th>
+                <th style={thStyle}>Opened</th>
+                <th style={thStyle}>Closed</th>
+                <th style={thStyle}>Float</th>
+                <th style={thStyle}>Expected</th>
+                <th style={thStyle}>Counted</th>
+                <th style={thStyle}>Variance</th>
+                <th style={thStyle}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {shifts.length > 0 ? shifts.map(shift => {
+                const variance = shift.expectedCash === null ? null : getCashVariance(shift.expectedCash, shift.countedCash);
+                return (
+                  <tr key={shift.id}>
+                    <td style={tdStyle}>{shift.terminalId || '-'}</td>
+                    <td style={tdStyle}>{shift.userName || '-'}</td>
+                    <td style={tdStyle}>{formatDateTime(shift.openedAt)}</td>
+                    <td style={tdStyle}>
+                      {shift.status === 'open' ? (
+                        <span style={{ color: '#28a745', fontWeight: 600 }}>Open</span>
+                      ) : formatDateTime(shift.closedAt)}
+                    </td>
+                    <td style={tdStyle}>{formatCurrency(shift.openingFloat)}</td>
+                    <td style={tdStyle}>{shift.expectedCash === null ? '-' : formatCurrency(shift.expectedCash)}</td>
+                    <td style={tdStyle}>{shift.countedCash === null ? '-' : formatCurrency(shift.countedCash)}</td>
+                    <td style={{ ...tdStyle, color: !variance ? '#212529' : '#dc3545', fontWeight: variance ? 600 : 400 }}>
+                      {formatVariance(variance, formatCurrency)}
+                    </td>
+                    <td style={tdStyle}>
+                      <button
+                        type="button"
+                        style={buttonStyle('#6c757d')}
+                        disabled={loadingReportId === shift.id}
+                        onClick={() => handleView(shift)}
+                      >
+                        {loadingReportId === shift.id ? 'Loading...' : 'View'}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              }) : (
+                <tr>
+                  <td colSpan="9" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No shifts in this period</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {selected && (
+        <div
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+          }}
+          onClick={() => setSelected(null)}
+        >
+          <div
+            style={{
+              background: 'white',
+              padding: '2rem',
+              borderRadius: '12px',
+              maxWidth: '520px',
+              width: '90%',
+              maxHeight: '90vh',
+              overflowY: 'auto'
+            }}
+            onClick={(e) => e.stopPropagation()}
+          >
+            <h2 style={{ marginTop: 0 }}>{selectedKind}-Report</h2>
+            {getShiftReportSections(selected, selectedKind, formatCurrency).map(section => (
+              <div key={section.title} style={{ marginBottom: '1rem' }}>
+                <div style={{ fontWeight: 700, fontSize: '0.8rem', color: '#6c757d', marginBottom: '0.25rem' }}>{section.title}</div>
+                {section.rows.map(([label, value], idx) => (
+                  <div
+                    key={`${label}-${idx}`}
+                    style={{ display: 'flex', justifyContent: 'space-between', padding: '0.2rem 0', borderBottom: '1px solid #f1f3f5', fontSize: '0.9rem' }}
+                  >
+                    <span>{label}</span>
+                    <strong>{value}</strong>
+                  </div>
+                ))}
+              </div>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '0.75rem' }}>
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setSelected(null)}>Close</button>
+              <button type="button" style={buttonStyle('#007bff')} onClick={handlePrint}>
+                <FaPrint /> Print {selectedKind}-Report
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShiftHistory;
@@ -0,0 +1,618 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FaMoneyBillWave, FaUniversity, FaMinus, FaPlus } from 'react-icons/fa';
+import { ordersAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { printReceipt } from './Receipt';
+import { updateOfflineOrder, addPendingOperation } from '../utils/offlineDB';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  SPLIT_TYPES,
+  normalizeSplitItems,
+  normalizePayment,
+  normalizePayments,
+  getPaidTotal,
+  getRemainingBalance,
+  splitEvenly,
+  getPaidQuantities,
+  getItemsShareAmount,
+  getSeatShares,
+  getPaymentReceiptItems,
+} from '../utils/splitBill';
+import { roundMoney } from '../utils/money';
+import { getOrderPricing, priceSplitTender, repriceForPaymentMethod } from '../utils/pricing';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toFixed(0)}`;
+};
+
+const sectionLabelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '600',
+  color: '#495057'
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '2px solid #dee2e6',
+  borderRadius: '8px',
+  fontSize: '1rem',
+  fontWeight: 'bold'
+};
+
+const toggleStyle = (active, color = 'var(--color-primary)') => ({
+  flex: 1,
+  padding: '0.6rem',
+  border: `2px solid ${active ? color : '#dee2e6'}`,
+  borderRadius: '8px',
+  background: active ? color : 'white',
+  color: active ? 'white' : '#495057',
+  fontWeight: 'bold',
+  cursor: 'pointer'
+});
+
+const stepButtonStyle = {
+  width: '28px',
+  height: '28px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+/**
+ * Split-bill workflow for one dine-in order. Every tender is saved as its own
+ * payment record and prints its own customer receipt; `onSettled` fires once
+ * the remaining balance reaches zero so the caller can complete the order.
+ */
+const SplitBillModal = ({ order, offlineEffective = false, onClose, onPaymentRecorded, onSettled }) => {
+  const { showSuccess, showError } = useToast();
+  const [items, setItems] = useState([]);
+  const [payments, setPayments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [splitType, setSplitType] = useState('evenly');
+  const [ways, setWays] = useState(2);
+  const [seatCount, setSeatCount] = useState(2);
+  const [seatAssignments, setSeatAssignments] = useState({});
+  const [selectedSeat, setSelectedSeat] = useState(null);
+  const [selectedQuantities, setSelectedQuantities] = useState({});
+  const [customAmount, setCustomAmount] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState('cash');
+  const [amountTaken, setAmountTaken] = useState('');
+
+  const orderTotal = parseFloat(order.totalAmount || order.total_amount) || 0;
+  const orderPricing = useMemo(() => getOrderPricing(order), [order]);
+  const orderKey = order.offlineId || order.id;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      const localItems = order.orderItems || order.order_items || order.items || [];
+      let nextItems = normalizeSplitItems(localItems);
+      let nextPayments = normalizePayments(order.payments);
+
+      if (!order.offline && !offlineEffective) {
+        try {
+          const [itemsRes, paymentsRes] = await Promise.all([
+            ordersAPI.getOrderItems(order.id),
+            ordersAPI.getPayments(order.id).catch(() => null)
+          ]);
+          const fetchedItems = itemsRes.data?.data ?? itemsRes.data;
+          if (Array.isArray(fetchedItems) && fetchedItems.length) {
+            nextItems = normalizeSplitItems(fetchedItems);
+          }
+          if (paymentsRes) {
+            nextPayments = normalizePayments(paymentsRes.data?.data ?? paymentsRes.data);
+          }
+        } catch (err) {
+          console.error('Failed to load order for split bill:', err.message);
+        }
+      }
+
+      if (!cancelled) {
+        setItems(nextItems);
+        setPayments(nextPayments);
+        setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [order, offlineEffective]);
+
+  const paidTotal = getPaidTotal(payments);
+  const remaining = getRemainingBalance(orderTotal, payments);
+  const paidQuantities = useMemo(() => getPaidQuantities(payments), [payments]);
+  const evenShares = useMemo(() => splitEvenly(orderTotal, ways), [orderTotal, ways]);
+  const evenSharesPaid = payments.filter(p => p.splitType === 'evenly').length;
+  const seatShares = useMemo(
+    () => getSeatShares(items, seatAssignments, orderTotal, paidQuantities),
+    [items, seatAssignments, orderTotal, paidQuantities]
+  );
+  const activeSeatShare = seatShares.find(s => s.seat === selectedSeat) || null;
+
+  const selectionQuantities = splitType === 'items'
+    ? selectedQuantities
+    : splitType === 'seat'
+      ? (activeSeatShare?.quantities || {})
+      : {};
+
+  const suggestedAmount = useMemo(() => {
+    if (splitType === 'evenly') {
+      return Math.min(remaining, evenShares[evenSharesPaid] ?? remaining);
+    }
+    if (splitType === 'items') {
+      return Math.min(remaining, getItemsShareAmount(items, selectedQuantities, orderTotal));
+    }
+    return Math.min(remaining, activeSeatShare?.amount || 0);
+  }, [splitType, remaining, evenShares, evenSharesPaid, items, selectedQuantities, orderTotal, activeSeatShare]);
+
+  // `amount` is the share of the order total; the tender is charged that share at
+  // the tax rates for its own method
+  const amount = customAmount !== null ? (parseFloat(customAmount) || 0) : suggestedAmount;
+  const tenderPricing = priceSplitTender(orderPricing, amount, paymentMethod);
+  const chargeAmount = tenderPricing ? tenderPricing.grandTotal : roundMoney(amount);
+  const changeDue = paymentMethod === 'cash' && amountTaken !== ''
+    ? (parseFloat(amountTaken) || 0) - chargeAmount
+    : null;
+
+  const resetTender = () => {
+    setCustomAmount(null);
+    setAmountTaken('');
+  };
+
+  const changeSplitType = (value) => {
+    setSplitType(value);
+    setSelectedQuantities({});
+    setSelectedSeat(null);
+    resetTender();
+  };
+
+  const adjustItemQuantity = (item, delta) => {
+    const open = item.quantity - (paidQuantities[item.key] || 0);
+    setSelectedQuantities(prev => {
+      const next = Math.min(open, Math.max(0, (prev[item.key] || 0) + delta));
+      return { ...prev, [item.key]: next };
+    });
+    setCustomAmount(null);
+  };
+
+  const getShareLabel = () => {
+    if (splitType === 'evenly') return `Share ${Math.min(evenSharesPaid + 1, ways)} of ${ways}`;
+    if (splitType === 'seat') return `Seat ${selectedSeat}`;
+    return 'Selected items';
+  };
+
+  const printPaymentReceipt = (payment, allPayments) => {
+    const receiptItems = getPaymentReceiptItems(items, payment);
+    const itemsSubtotal = receiptItems.reduce((sum, i) => sum + i.price * i.quantity, 0);
+    const discountPercent = parseFloat(order.discount_percent || order.discountPercent || 0);
+    const paidToDate = getPaidTotal(allPayments);
+    // Item receipts print the tender's own breakdown; whole-order receipts (even / custom
+    // shares) print the order's, at the rates for this tender's method
+    const receiptPricing = payment.items.length
+      ? payment.pricing
+      : repriceForPaymentMethod(orderPricing, payment.paymentMethod);
+    printReceipt({
+      id: order.id,
+      order_number: order.order_number || order.orderNumber,
+      table_number: order.table_number || order.tableNumber,
+      items: receiptItems,
+      subtotal: itemsSubtotal,
+      total_amount: receiptPricing
+        ? receiptPricing.grandTotal
+        : payment.items.length
+          ? getItemsShareAmount(items, Object.fromEntries(payment.items.map(i => [i.key, i.quantity])), orderTotal)
+          : orderTotal,
+      discount_percent: discountPercent,
+      discountPercent,
+      delivery_charge: 0,
+      pricing: receiptPricing || undefined,
+      payment_method: payment.paymentMethod,
+      amount_taken: payment.amountTaken,
+      return_amount: payment.returnAmount,
+      payment_status: getRemainingBalance(orderTotal, allPayments) === 0 ? 'completed' : 'pending',
+      order_type: 'dine_in',
+      special_instructions: order.special_instructions || null,
+      cashier_name: order.cashier_name || 'Cashier',
+      split_payment: {
+        index: allPayments.length,
+        count: payment.splitType === 'evenly' ? ways : null,
+        label: payment.label,
+        amount: payment.amount,
+        order_total: orderTotal,
+        paid_to_date: paidToDate,
+        remaining: getRemainingBalance(orderTotal, allPayments)
+      }
+    }, 'customer');
+  };
+
+  const handleTakePayment = async () => {
+    if (amount <= 0) {
+      showError('Select items or enter an amount to pay');
+      return;
+    }
+    if (roundMoney(amount) > remaining + 0.5) {
+      showError(`Amount cannot exceed the remaining balance of ${formatCurrency(remaining)}`);
+      return;
+    }
+    if (paymentMethod === 'cash' && (parseFloat(amountTaken) || 0) < chargeAmount) {
+      showError('Amount received must cover this payment');
+      return;
+    }
+    if (offlineEffective && !order.offline) {
+      showError('This order was created online. Reconnect to take payments.');
+      return;
+    }
+
+    const record = {
+      amount: chargeAmount,
+      shareAmount: roundMoney(amount),
+      pricing: tenderPricing,
+      paymentMethod,
+      amountTaken: paymentMethod === 'cash' ? parseFloat(amountTaken) : null,
+      returnAmount: paymentMethod === 'cash' ? roundMoney(changeDue) : 0,
+      splitType,
+      label: getShareLabel(),
+      items: Object.entries(selectionQuantities)
+        .filter(([, qty]) => qty > 0)
+        .map(([key, quantity]) => ({ key, orderItemId: key, quantity })),
+      seat: splitType === 'seat' ? selectedSeat : null,
+      createdAt: new Date().toISOString()
+    };
+
+    setSaving(true);
+    try {
+      let saved;
+      if (order.offline) {
+        saved = normalizePayment(record);
+        await updateOfflineOrder(orderKey, {
+          payments: [...payments, saved],
+          amount_paid: roundMoney(paidTotal + saved.shareAmount)
+        });
+        await addPendingOperation({
+          type: 'add_order_payment',
+          endpoint: `/api/orders/${order.id}/payments`,
+          method: 'POST',
+          data: record,
+          offlineId: orderKey
+        });
+      } else {
+        const res = await ordersAPI.addPayment(order.id, record);
+        saved = normalizePayment({ ...record, ...(res.data?.data ?? res.data ?? {}) });
+      }
+
+      const nextPayments = [...payments, saved];
+      setPayments(nextPayments);
+      setSelectedQuantities({});
+      setSelectedSeat(null);
+      resetTender();
+
+      printPaymentReceipt(saved, nextPayments);
+      if (onPaymentRecorded) onPaymentRecorded(order, nextPayments);
+
+      if (getRemainingBalance(orderTotal, nextPayments) === 0) {
+        await onSettled(order, nextPayments);
+      } else {
+        showSuccess(`Payment of ${formatCurrency(saved.amount)} recorded. Remaining: ${formatCurrency(getRemainingBalance(orderTotal, nextPayments))}`);
+      }
+    } catch (err) {
+      console.error('Failed to record split payment:', err.message);
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to record payment');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const canPay = !saving && !loading && remaining > 0 && amount > 0 &&
+    (paymentMethod !== 'cash' || amountTaken !== '');
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '2rem',
+        borderRadius: '12px',
+        maxWidth: '600px',
+        width: '90%',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <h2 style={{ marginTop: 0, marginBottom: '1rem' }}>Split Bill</h2>
+
+        <div style={{ marginBottom: '1.25rem', color: '#6c757d' }}>
+          Order #{order.order_number || order.id}
+          {order.table_number && (
+            <span style={{ marginLeft: '0.5rem' }}>• Table #{order.table_number}</span>
+          )}
+        </div>
+
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(3, 1fr)',
+          gap: '0.5rem',
+          marginBottom: '1.5rem',
+          textAlign: 'center'
+        }}>
+          {[
+            { label: 'Total', value: orderTotal, color: '#212529' },
+            { label: 'Paid', value: paidTotal, color: '#28a745' },
+            { label: 'Remaining', value: remaining, color: remaining > 0 ? '#dc3545' : '#28a745' }
+          ].map(stat => (
+            <div key={stat.label} style={{ background: '#f8f9fa', borderRadius: '8px', padding: '0.75rem' }}>
+              <div style={{ fontSize: '0.8rem', color: '#6c757d' }}>{stat.label}</div>
+              <div style={{ fontSize: '1.2rem', fontWeight: 'bold', color: stat.color }}>{formatCurrency(stat.value)}</div>
+            </div>
+          ))}
+        </div>
+
+        {payments.length > 0 && (
+          <div style={{ marginBottom: '1.5rem' }}>
+            <label style={sectionLabelStyle}>Payments</label>
+            {payments.map((p, idx) => (
+              <div
+                key={p.id ?? idx}
+                style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  padding: '0.4rem 0',
+                  borderBottom: '1px solid #f1f3f5',
+                  fontSize: '0.9rem'
+                }}
+              >
+                <span>
+                  {idx + 1}. {p.label || 'Payment'} · {p.paymentMethod === 'cash' ? 'Cash' : 'Bank Transfer'}
+                </span>
+                <strong>{formatCurrency(p.amount)}</strong>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {loading ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>Loading order...</div>
+        ) : remaining > 0 && (
+          <>
+            <div style={{ marginBottom: '1.25rem' }}>
+              <label style={sectionLabelStyle}>Split</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                {SPLIT_TYPES.map(type => (
+                  <button
+                    key={type.value}
+                    type="button"
+                    onClick={() => changeSplitType(type.value)}
+                    style={toggleStyle(splitType === type.value)}
+                  >
+                    {type.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {splitType === 'evenly' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Number of guests</label>
+                <input
+                  type="number"
+                  min="2"
+                  value={ways}
+                  disabled={evenSharesPaid > 0}
+                  onChange={(e) => {
+                    setWays(Math.max(2, parseInt(e.target.value, 10) || 2));
+                    setCustomAmount(null);
+                  }}
+                  style={inputStyle}
+                />
+                <div style={{ fontSize: '0.85rem', color: '#6c757d', marginTop: '0.4rem' }}>
+                  {formatCurrency(evenShares[0])} each · paying share {Math.min(evenSharesPaid + 1, ways)} of {ways}
+                </div>
+              </div>
+            )}
+
+            {splitType === 'items' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Items in this payment</label>
+                {items.map(item => {
+                  const open = item.quantity - (paidQuantities[item.key] || 0);
+                  const chosen = selectedQuantities[item.key] || 0;
+                  return (
+                    <div
+                      key={item.key}
+                      style={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'space-between',
+                        padding: '0.4rem 0',
+                        opacity: open > 0 ? 1 : 0.5
+                      }}
+                    >
+                      <span style={{ fontSize: '0.9rem' }}>
+                        {item.name}{item.variant_name ? ` (${item.variant_name})` : ''}
+                        <span style={{ color: '#6c757d' }}> · {formatCurrency(item.price)} · {open} left</span>
+                      </span>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                        <button type="button" style={stepButtonStyle} disabled={chosen <= 0} onClick={() => adjustItemQuantity(item, -1)}>
+                          <FaMinus size={10} />
+                        </button>
+                        <strong style={{ minWidth: '1.5rem', textAlign: 'center' }}>{chosen}</strong>
+                        <button type="button" style={stepButtonStyle} disabled={chosen >= open} onClick={() => adjustItemQuantity(item, 1)}>
+                          <FaPlus size={10} />
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {splitType === 'seat' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Seats</label>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '0.75rem' }}>
+                  <span style={{ fontSize: '0.9rem' }}>Number of seats</span>
+                  <input
+                    type="number"
+                    min="1"
+                    value={seatCount}
+                    onChange={(e) => setSeatCount(Math.max(1, parseInt(e.target.value, 10) || 1))}
+                    style={{ ...inputStyle, width: '80px', padding: '0.4rem' }}
+                  />
+                </div>
+                {items.filter(item => item.quantity - (paidQuantities[item.key] || 0) > 0).map(item => (
+                  <div
+                    key={item.key}
+                    style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0.3rem 0' }}
+                  >
+                    <span style={{ fontSize: '0.9rem' }}>
+                      {item.quantity - (paidQuantities[item.key] || 0)}× {item.name}
+                    </span>
+                    <select
+                      value={seatAssignments[item.key] || 1}
+                      onChange={(e) => {
+                        setSeatAssignments(prev => ({ ...prev, [item.key]: parseInt(e.target.value, 10) }));
+                        setCustomAmount(null);
+                      }}
+                      style={{ padding: '0.35rem', borderRadius: '6px', border: '1px solid #dee2e6' }}
+                    >
+                      {Array.from({ length: seatCount }, (_, i) => i + 1).map(seat => (
+                        <option key={seat} value={seat}>Seat {seat}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', marginTop: '0.75rem' }}>
+                  {seatShares.map(share => (
+                    <button
+                      key={share.seat}
+                      type="button"
+                      onClick={() => {
+                        setSelectedSeat(share.seat);
+                        setCustomAmount(null);
+                      }}
+                      style={{ ...toggleStyle(selectedSeat === share.seat), flex: '0 0 auto' }}
+                    >
+                      Seat {share.seat} · {formatCurrency(share.amount)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div style={{ marginBottom: '1.25rem' }}>
+              <label style={sectionLabelStyle}>Amount for this payment</label>
+              <input
+                type="number"
+                value={customAmount !== null ? customAmount : String(roundMoney(suggestedAmount))}
+                onChange={(e) => setCustomAmount(e.target.value)}
+                style={inputStyle}
+              />
+              {chargeAmount !== roundMoney(amount) && (
+                <div style={{ marginTop: '0.5rem', fontSize: '0.9rem', color: '#6c757d' }}>
+                  Charged at {paymentMethod === 'cash' ? 'cash' : 'bank transfer'} tax rates: <strong>{formatCurrency(chargeAmount)}</strong>
+                </div>
+              )}
+            </div>
+
+            <div style={{ marginBottom: '1.25rem' }}>
+              <label style={sectionLabelStyle}>Payment Method *</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <button type="button" onClick={() => setPaymentMethod('cash')} style={toggleStyle(paymentMethod === 'cash', '#28a745')}>
+                  <FaMoneyBillWave style={{ marginRight: '0.25rem' }} /> Cash
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setPaymentMethod('bank_transfer');
+                    setAmountTaken('');
+                  }}
+                  style={toggleStyle(paymentMethod === 'bank_transfer', '#007bff')}
+                >
+                  <FaUniversity style={{ marginRight: '0.25rem' }} /> Bank Transfer
+                </button>
+              </div>
+            </div>
+
+            {paymentMethod === 'cash' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Amount Received *</label>
+                <input
+                  type="number"
+                  value={amountTaken}
+                  onChange={(e) => setAmountTaken(e.target.value)}
+                  placeholder="Enter amount..."
+                  style={inputStyle}
+                />
+                {changeDue !== null && (
+                  <div style={{
+                    marginTop: '0.5rem',
+                    fontWeight: 'bold',
+                    color: changeDue < 0 ? '#dc3545' : '#28a745'
+                  }}>
+                    {changeDue < 0 ? 'Short by' : 'Change'}: {formatCurrency(Math.abs(changeDue))}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            style={{
+              flex: 1,
+              padding: '0.75rem',
+              border: '2px solid #dee2e6',
+              borderRadius: '8px',
+              background: 'white',
+              color: '#495057',
+              fontWeight: 'bold',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+          {remaining > 0 && (
+            <button
+              onClick={handleTakePayment}
+              disabled={!canPay}
+              style={{
+                flex: 1,
+                padding: '0.75rem',
+                border: 'none',
+                borderRadius: '8px',
+                background: 'var(--gradient-primary)',
+                color: 'white',
+                fontWeight: 'bold',
+                cursor: canPay ? 'pointer' : 'not-allowed',
+                opacity: canPay ? 1 : 0.5
+              }}
+            >
+              {saving ? 'Processing...' : `Take ${formatCurrency(chargeAmount)}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SplitBillModal;
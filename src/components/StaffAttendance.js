@@ -0,0 +1,398 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { attendanceAPI, payrollAPI, usersAPI, expensesAPI } from '../services/api';
+import { loadAttendancePolicy } from '../services/businessInfoService';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  DAY_STATUSES,
+  WEEKDAYS,
+  getAttendancePolicy,
+  normalizeAttendanceRecords,
+  normalizePayrollRun,
+  summarizeAttendance,
+  calculatePayrollLine,
+  buildSalaryExpense,
+  formatWorkedMinutes,
+  PAYROLL_EXPENSE_CATEGORY
+} from '../utils/attendance';
+import { getSubmitStatus } from '../utils/expenseApproval';
+import ConfirmationModal from './ConfirmationModal';
+import ScreenLoading from './ScreenLoading';
+import { FaUserClock, FaChevronLeft, FaChevronRight, FaMoneyCheckAlt } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5' };
+
+const buttonStyle = (background) => ({
+  padding: '0.45rem 1rem',
+  border: 'none',
+  borderRadius: '6px',
+  background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const amountInputStyle = {
+  width: '100px',
+  padding: '0.35rem 0.5rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px'
+};
+
+const formatTime = (value) => (value ? dayjs(value).format('h:mm A') : '-');
+
+const getUserName = (user) => user.fullName || user.full_name || user.username || `User #${user.id}`;
+const getSalary = (user) => Number(user.monthlySalary ?? user.monthly_salary) || 0;
+
+/**
+ * Staff attendance by month: who was late or absent, a calendar per person, and the
+ * payroll run that posts each salary as an expense under "Staff salaries".
+ */
+const StaffAttendance = () => {
+  const { showSuccess, showError } = useToast();
+  const [month, setMonth] = useState(() => dayjs().format('YYYY-MM'));
+  const [users, setUsers] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [policy, setPolicy] = useState(getAttendancePolicy);
+  const [payrollRun, setPayrollRun] = useState(null);
+  const [adjustments, setAdjustments] = useState({});
+  const [selectedUserId, setSelectedUserId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [posting, setPosting] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  const fetchMonth = useCallback(async () => {
+    setLoading(true);
+    const start = dayjs(`${month}-01`);
+    try {
+      const [usersRes, attendanceRes, payrollRes, loadedPolicy] = await Promise.all([
+        usersAPI.getAll(),
+        attendanceAPI.getAll({ startDate: start.format('YYYY-MM-DD'), endDate: start.endOf('month').format('YYYY-MM-DD') }),
+        payrollAPI.getAll({ month }),
+        loadAttendancePolicy()
+      ]);
+      const userList = usersRes.data?.data ?? usersRes.data;
+      const attendance = attendanceRes.data?.data ?? attendanceRes.data;
+      const runs = payrollRes.data?.data ?? payrollRes.data;
+      const run = normalizePayrollRun((Array.isArray(runs) ? runs : [runs]).find(r => r && (r.month ?? month) === month));
+
+      setUsers((Array.isArray(userList) ? userList : []).filter(u => (u.status || 'active') === 'active'));
+      setRecords(normalizeAttendanceRecords(Array.isArray(attendance) ? attendance : attendance?.records));
+      setPolicy(loadedPolicy);
+      setPayrollRun(run);
+      // An interrupted run keeps the deductions and advances that were entered
+      setAdjustments(Object.fromEntries((run?.lines || []).map(l => [
+        String(l.userId),
+        { deductions: l.deductions ? String(l.deductions) : '', advances: l.advances ? String(l.advances) : '' }
+      ])));
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to load attendance');
+    } finally {
+      setLoading(false);
+    }
+  }, [month, showError]);
+
+  useEffect(() => {
+    fetchMonth();
+  }, [fetchMonth]);
+
+  const summaries = useMemo(() => {
+    const map = new Map();
+    users.forEach(user => {
+      const since = user.createdAt || user.created_at;
+      map.set(String(user.id), summarizeAttendance(
+        records.filter(r => String(r.userId) === String(user.id)),
+        month,
+        policy,
+        { since: since ? dayjs(since).format('YYYY-MM-DD') : null }
+      ));
+    });
+    return map;
+  }, [users, records, month, policy]);
+
+  const payrollLines = useMemo(() => users
+    .filter(user => getSalary(user) > 0)
+    .map(user => calculatePayrollLine(
+      user,
+      summaries.get(String(user.id)),
+      adjustments[String(user.id)] || {},
+      policy
+    )), [users, summaries, adjustments, policy]);
+
+  const isPosted = payrollRun?.status === 'posted';
+  const shownLines = isPosted ? payrollRun.lines : payrollLines;
+  const totalNetPay = shownLines.reduce((sum, l) => sum + l.netPay, 0);
+  const postedSoFar = (payrollRun?.lines || []).filter(l => l.expenseId).length;
+
+  const selectedUser = users.find(u => String(u.id) === String(selectedUserId)) || null;
+  const selectedSummary = selectedUser ? summaries.get(String(selectedUser.id)) : null;
+  const leadingBlanks = dayjs(`${month}-01`).day();
+
+  const setAdjustment = (userId, field, value) => {
+    setAdjustments(prev => ({ ...prev, [String(userId)]: { ...prev[String(userId)], [field]: value } }));
+  };
+
+  const shiftMonth = (delta) => {
+    setMonth(prev => dayjs(`${prev}-01`).add(delta, 'month').format('YYYY-MM'));
+    setSelectedUserId(null);
+  };
+
+  // The run is saved first so an interruption can be finished later without posting a salary twice
+  const handlePostPayroll = async () => {
+    setPosting(true);
+    let run = payrollRun;
+    const lines = payrollLines.map(line => ({
+      ...line,
+      expenseId: run?.lines.find(l => String(l.userId) === String(line.userId))?.expenseId ?? null
+    }));
+    let completed = false;
+    try {
+      if (!run) {
+        const res = await payrollAPI.create({ month, status: 'draft', lines });
+        run = normalizePayrollRun(res.data?.data ?? res.data);
+      }
+      for (const line of lines) {
+        if (line.expenseId || line.netPay <= 0) continue;
+        const salary = buildSalaryExpense(line, month);
+        const res = await expensesAPI.create({ ...salary, status: getSubmitStatus(salary.amount) });
+        const expense = res.data?.data ?? res.data;
+        line.expenseId = expense?.id ?? null;
+      }
+      const res = await payrollAPI.update(run.id, { status: 'posted', lines });
+      setPayrollRun(normalizePayrollRun(res.data?.data ?? res.data) || { ...run, status: 'posted', lines });
+      completed = true;
+      showSuccess(`Payroll posted: ${lines.filter(l => l.expenseId).length} salary expenses under ${PAYROLL_EXPENSE_CATEGORY}`);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to post payroll');
+    } finally {
+      if (!completed && run?.id) {
+        try {
+          const res = await payrollAPI.update(run.id, { status: 'draft', lines });
+          setPayrollRun(normalizePayrollRun(res.data?.data ?? res.data) || { ...run, lines });
+        } catch (saveErr) {
+          console.error('Failed to save payroll progress:', saveErr);
+        }
+      }
+      setPosting(false);
+    }
+  };
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1.5rem' }}>
+        <h1 style={{ margin: 0, color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <FaUserClock /> Attendance & Payroll
+        </h1>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+          <button type="button" style={buttonStyle('#6c757d')} onClick={() => shiftMonth(-1)} aria-label="Previous month">
+            <FaChevronLeft />
+          </button>
+          <input
+            type="month"
+            value={month}
+            onChange={(e) => e.target.value && setMonth(e.target.value)}
+            style={{ padding: '0.4rem 0.6rem', border: '1px solid #ced4da', borderRadius: '6px' }}
+          />
+          <button type="button" style={buttonStyle('#6c757d')} onClick={() => shiftMonth(1)} aria-label="Next month">
+            <FaChevronRight />
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <ScreenLoading label="Loading attendance..." />
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <th style={thStyle}>Staff</th>
+                  <th style={thStyle}>Present</th>
+                  <th style={thStyle}>Late</th>
+                  <th style={thStyle}>Absent</th>
+                  <th style={thStyle}>Hours</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.length > 0 ? users.map(user => {
+                  const summary = summaries.get(String(user.id));
+                  const selected = String(user.id) === String(selectedUserId);
+                  return (
+                    <tr key={user.id} style={{ background: selected ? '#f8f9fa' : 'transparent' }}>
+                      <td style={tdStyle}>{getUserName(user)}</td>
+                      <td style={tdStyle}>{summary.presentDays} / {summary.workingDays}</td>
+                      <td style={{ ...tdStyle, color: summary.lateCount > 0 ? DAY_STATUSES.late.color : undefined }}>{summary.lateCount}</td>
+                      <td style={{ ...tdStyle, color: summary.absentDays > 0 ? DAY_STATUSES.absent.color : undefined }}>{summary.absentDays}</td>
+                      <td style={tdStyle}>{formatWorkedMinutes(summary.workedMinutes)}</td>
+                      <td style={{ ...tdStyle, textAlign: 'right' }}>
+                        <button type="button" style={buttonStyle('#007bff')} onClick={() => setSelectedUserId(selected ? null : user.id)}>
+                          {selected ? 'Hide' : 'Calendar'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                }) : (
+                  <tr>
+                    <td colSpan="6" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No active staff</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+
+          {selectedUser && selectedSummary && (
+            <div style={{ marginTop: '1.5rem', background: 'white', border: '1px solid #e2e8f0', borderRadius: '8px', padding: '1rem' }}>
+              <h3 style={{ margin: '0 0 1rem' }}>{getUserName(selectedUser)} - {dayjs(`${month}-01`).format('MMMM YYYY')}</h3>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(7, 1fr)', gap: '0.4rem' }}>
+                {WEEKDAYS.map(name => (
+                  <div key={name} style={{ textAlign: 'center', fontWeight: 600, color: '#6c757d', fontSize: '0.85rem' }}>{name}</div>
+                ))}
+                {Array.from({ length: leadingBlanks }, (_, i) => <div key={`blank-${i}`} />)}
+                {selectedSummary.days.map(day => {
+                  const status = DAY_STATUSES[day.status];
+                  const first = day.records[0];
+                  const last = day.records[day.records.length - 1];
+                  return (
+                    <div
+                      key={day.date}
+                      style={{ minHeight: '78px', padding: '0.4rem', borderRadius: '6px', border: '1px solid #e9ecef', background: status.background, fontSize: '0.8rem' }}
+                    >
+                      <div style={{ fontWeight: 600 }}>{dayjs(day.date).date()}</div>
+                      {status.label && <div style={{ color: status.color, fontWeight: 600 }}>{status.label}{day.lateMinutes > 0 ? ` ${day.lateMinutes}m` : ''}</div>}
+                      {first && (
+                        <div style={{ color: '#495057' }}>
+                          {formatTime(first.clockIn)} - {formatTime(last.clockOut)}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <div style={{ marginTop: '2rem' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '1rem', marginBottom: '1rem' }}>
+              <h2 style={{ margin: 0, fontSize: '1.4rem', color: '#2d3748', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                <FaMoneyCheckAlt /> Payroll
+              </h2>
+              {!isPosted && (
+                <button
+                  type="button"
+                  style={buttonStyle('#28a745')}
+                  onClick={() => setConfirmOpen(true)}
+                  disabled={posting || payrollLines.length === 0}
+                >
+                  {posting ? 'Posting...' : payrollRun ? 'Finish Posting Salaries' : 'Post Salaries to Expenses'}
+                </button>
+              )}
+            </div>
+
+            {isPosted && (
+              <div style={{ marginBottom: '1rem', color: '#28a745', fontWeight: 600 }}>
+                Posted{payrollRun.postedAt ? ` on ${dayjs(payrollRun.postedAt).format('DD MMM YYYY')}` : ''}{payrollRun.postedBy ? ` by ${payrollRun.postedBy}` : ''}.
+              </div>
+            )}
+            {!isPosted && payrollRun && (
+              <div style={{ marginBottom: '1rem', color: '#856404' }}>
+                A previous run stopped part-way: {postedSoFar} of {payrollRun.lines.length} salaries were posted. Posting again
+                finishes the rest without repeating them.
+              </div>
+            )}
+
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                    <th style={thStyle}>Staff</th>
+                    <th style={thStyle}>Salary</th>
+                    <th style={thStyle}>Absences</th>
+                    <th style={thStyle}>Lates</th>
+                    <th style={thStyle}>Other Deductions</th>
+                    <th style={thStyle}>Advances</th>
+                    <th style={thStyle}>Net Pay</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shownLines.length > 0 ? shownLines.map(line => (
+                    <tr key={line.userId}>
+                      <td style={tdStyle}>{line.userName}</td>
+                      <td style={tdStyle}>{formatCurrency(line.salary)}</td>
+                      <td style={tdStyle}>
+                        {line.absentDays} {line.absentDeduction > 0 && <span style={{ color: '#dc3545' }}>(-{formatCurrency(line.absentDeduction)})</span>}
+                      </td>
+                      <td style={tdStyle}>
+                        {line.lateCount} {line.lateDeduction > 0 && <span style={{ color: '#dc3545' }}>(-{formatCurrency(line.lateDeduction)})</span>}
+                      </td>
+                      <td style={tdStyle}>
+                        {isPosted ? formatCurrency(line.deductions) : (
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            style={amountInputStyle}
+                            value={adjustments[String(line.userId)]?.deductions ?? ''}
+                            onChange={(e) => setAdjustment(line.userId, 'deductions', e.target.value)}
+                          />
+                        )}
+                      </td>
+                      <td style={tdStyle}>
+                        {isPosted ? formatCurrency(line.advances) : (
+                          <input
+                            type="number"
+                            min="0"
+                            step="0.01"
+                            style={amountInputStyle}
+                            value={adjustments[String(line.userId)]?.advances ?? ''}
+                            onChange={(e) => setAdjustment(line.userId, 'advances', e.target.value)}
+                          />
+                        )}
+                      </td>
+                      <td style={{ ...tdStyle, fontWeight: 600 }}>{formatCurrency(line.netPay)}</td>
+                    </tr>
+                  )) : (
+                    <tr>
+                      <td colSpan="7" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>
+                        No staff have a monthly salary. Set it in the Users tab.
+                      </td>
+                    </tr>
+                  )}
+                  {shownLines.length > 0 && (
+                    <tr>
+                      <td colSpan="6" style={{ ...tdStyle, textAlign: 'right', fontWeight: 600 }}>Total</td>
+                      <td style={{ ...tdStyle, fontWeight: 700 }}>{formatCurrency(totalNetPay)}</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+
+      <ConfirmationModal
+        isOpen={confirmOpen}
+        onClose={() => setConfirmOpen(false)}
+        onConfirm={handlePostPayroll}
+        title="Post Payroll"
+        message={`Post ${formatCurrency(totalNetPay)} in salaries for ${dayjs(`${month}-01`).format('MMMM YYYY')} as expenses under ${PAYROLL_EXPENSE_CATEGORY}? Advances already recorded as expenses are not posted again.`}
+        confirmText="Post Salaries"
+        variant="warning"
+      />
+    </div>
+  );
+};
+
+export default StaffAttendance;
@@ -1,27 +1,42 @@
 import React, { lazy, Suspense, useState, useRef, useEffect, useCallback } from 'react';
-import { Routes, Route, Link, useLocation } from 'react-router-dom';
+import { Routes, Route, Link, Navigate, useLocation } from 'react-router-dom';
 import { authAPI, ordersAPI } from '../services/api';
 import { getPublicAssetUrl } from '../utils/publicAssetUrl';
+import { useBusinessSettings } from '../hooks/useBusinessSettings';
+import { usePermissions } from '../hooks/usePermissions';
 import './ManagerPortal.css';
 import OrderSystem from './OrderSystem';
 import ScreenLoading from './ScreenLoading';
+import EmptyState from './EmptyState';
 import {
   FaShoppingCart,
   FaUtensils,
   FaTruck,
   FaSignOutAlt,
+  FaLock,
   FaBars,
   FaTimes,
   FaChevronLeft,
   FaChevronRight,
-  FaSync
+  FaSync,
+  FaFire,
+  FaCashRegister
 } from 'react-icons/fa';
 
 const DineInOrders = lazy(() => import('./DineInOrders'));
 const DeliveryOrders = lazy(() => import('./DeliveryOrders'));
+const KitchenDisplay = lazy(() => import('./KitchenDisplay'));
+const CashShift = lazy(() => import('./CashShift'));
 
 const STAFF_BASE = '/staff';
 
+// Where a role lands when it can't open the POS, in order of preference
+const HOME_SCREENS = [
+  ['take_orders', `${STAFF_BASE}/orders`],
+  ['kitchen_display', `${STAFF_BASE}/kitchen`],
+  ['cash_drawer', `${STAFF_BASE}/cash-drawer`]
+];
+
 function NavLink({ to, children, badgeCount = 0, onClick }) {
   const location = useLocation();
   const isActive =
@@ -38,7 +53,7 @@ function NavLink({ to, children, badgeCount = 0, onClick }) {
   );
 }
 
-const StaffPortal = ({ user, onLogout }) => {
+const StaffPortal = ({ user, onLogout, onLock }) => {
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const navLinksRef = useRef(null);
@@ -49,7 +64,13 @@ const StaffPortal = ({ user, onLogout }) => {
   const [nextSyncTime, setNextSyncTime] = useState(null);
   const [isSyncing, setIsSyncing] = useState(false);
   const [syncStatus, setSyncStatus] = useState(null);
-  const logoUrl = getPublicAssetUrl('logo.png');
+  const business = useBusinessSettings();
+  const logoUrl = business.logoUrl || getPublicAssetUrl('logo.png');
+  const { can } = usePermissions(user);
+  const homePath = HOME_SCREENS.find(([permission]) => can(permission))?.[1];
+  const fallbackScreen = homePath ? <Navigate to={homePath} replace /> : (
+    <EmptyState icon="🔒" title="No screens available" message="Your role has no permissions yet. Ask an admin to update it." />
+  );
 
   const handleLogout = async () => {
     try {
@@ -204,9 +225,9 @@ const StaffPortal = ({ user, onLogout }) => {
     <div className="manager-portal">
       <nav className="navbar">
         <div className="nav-brand">
-          <img src={logoUrl} alt="Flamex" className="nav-logo" />
+          <img src={logoUrl} alt={business.name} className="nav-logo" />
           <div className="nav-brand-text">
-            <h1 className="nav-title">Flamex</h1>
+            <h1 className="nav-title">{business.name}</h1>
             <p className="nav-subtitle">POS System</p>
           </div>
         </div>
@@ -222,15 +243,31 @@ const StaffPortal = ({ user, onLogout }) => {
             </button>
           )}
           <div className="nav-links" ref={navLinksRef}>
-            <NavLink to={`${STAFF_BASE}/orders`}>
-              <FaShoppingCart /> <span>Orders</span>
-            </NavLink>
-            <NavLink to={`${STAFF_BASE}/dine-in-orders`} badgeCount={pendingBadges.dineIn}>
-              <FaUtensils /> <span>Dine-In</span>
-            </NavLink>
-            <NavLink to={`${STAFF_BASE}/delivery-orders`} badgeCount={pendingBadges.delivery}>
-              <FaTruck /> <span>Delivery</span>
-            </NavLink>
+            {can('take_orders') && (
+              <NavLink to={`${STAFF_BASE}/orders`}>
+                <FaShoppingCart /> <span>Orders</span>
+              </NavLink>
+            )}
+            {can('take_orders') && (
+              <NavLink to={`${STAFF_BASE}/dine-in-orders`} badgeCount={pendingBadges.dineIn}>
+                <FaUtensils /> <span>Dine-In</span>
+              </NavLink>
+            )}
+            {can('take_orders') && (
+              <NavLink to={`${STAFF_BASE}/delivery-orders`} badgeCount={pendingBadges.delivery}>
+                <FaTruck /> <span>Delivery</span>
+              </NavLink>
+            )}
+            {can('kitchen_display') && (
+              <NavLink to={`${STAFF_BASE}/kitchen`}>
+                <FaFire /> <span>Kitchen</span>
+              </NavLink>
+            )}
+            {can('cash_drawer') && (
+              <NavLink to={`${STAFF_BASE}/cash-drawer`}>
+                <FaCashRegister /> <span>Drawer</span>
+              </NavLink>
+            )}
           </div>
           {showScroll && (
             <button
@@ -264,6 +301,11 @@ const StaffPortal = ({ user, onLogout }) => {
               )}
             </button>
           )}
+          {onLock && (
+            <button className="logout-button lock-button" onClick={onLock}>
+              <FaLock /> <span>Lock</span>
+            </button>
+          )}
           <button className="logout-button" onClick={handleLogout}>
             <FaSignOutAlt /> <span>Logout</span>
           </button>
@@ -279,25 +321,44 @@ const StaffPortal = ({ user, onLogout }) => {
 
       {mobileMenuOpen && (
         <div className="mobile-menu">
-          <NavLink to={`${STAFF_BASE}/orders`} onClick={() => setMobileMenuOpen(false)}>
-            <FaShoppingCart /> <span>Orders</span>
-          </NavLink>
-          <NavLink to={`${STAFF_BASE}/dine-in-orders`} badgeCount={pendingBadges.dineIn} onClick={() => setMobileMenuOpen(false)}>
-            <FaUtensils /> <span>Dine-In Orders</span>
-          </NavLink>
-          <NavLink to={`${STAFF_BASE}/delivery-orders`} badgeCount={pendingBadges.delivery} onClick={() => setMobileMenuOpen(false)}>
-            <FaTruck /> <span>Delivery Orders</span>
-          </NavLink>
+          {can('take_orders') && (
+            <NavLink to={`${STAFF_BASE}/orders`} onClick={() => setMobileMenuOpen(false)}>
+              <FaShoppingCart /> <span>Orders</span>
+            </NavLink>
+          )}
+          {can('take_orders') && (
+            <NavLink to={`${STAFF_BASE}/dine-in-orders`} badgeCount={pendingBadges.dineIn} onClick={() => setMobileMenuOpen(false)}>
+              <FaUtensils /> <span>Dine-In Orders</span>
+            </NavLink>
+          )}
+          {can('take_orders') && (
+            <NavLink to={`${STAFF_BASE}/delivery-orders`} badgeCount={pendingBadges.delivery} onClick={() => setMobileMenuOpen(false)}>
+              <FaTruck /> <span>Delivery Orders</span>
+            </NavLink>
+          )}
+          {can('kitchen_display') && (
+            <NavLink to={`${STAFF_BASE}/kitchen`} onClick={() => setMobileMenuOpen(false)}>
+              <FaFire /> <span>Kitchen</span>
+            </NavLink>
+          )}
+          {can('cash_drawer') && (
+            <NavLink to={`${STAFF_BASE}/cash-drawer`} onClick={() => setMobileMenuOpen(false)}>
+              <FaCashRegister /> <span>Cash Drawer</span>
+            </NavLink>
+          )}
         </div>
       )}
 
       <main className={`main-content ${isFullScreen ? 'full-screen' : ''}`}>
         <Suspense fallback={<ScreenLoading label="Loading..." />}>
           <Routes>
-            <Route path="/" element={<OrderSystem basePath={STAFF_BASE} />} />
-            <Route path="/orders" element={<OrderSystem basePath={STAFF_BASE} />} />
-            <Route path="/dine-in-orders" element={<DineInOrders basePath={STAFF_BASE} />} />
-            <Route path="/delivery-orders" element={<DeliveryOrders basePath={STAFF_BASE} />} />
+            <Route path="/" element={can('take_orders') ? <OrderSystem basePath={STAFF_BASE} /> : fallbackScreen} />
+            {can('take_orders') && <Route path="/orders" element={<OrderSystem basePath={STAFF_BASE} />} />}
+            {can('take_orders') && <Route path="/dine-in-orders" element={<DineInOrders basePath={STAFF_BASE} />} />}
+            {can('take_orders') && <Route path="/delivery-orders" element={<DeliveryOrders basePath={STAFF_BASE} />} />}
+            {can('kitchen_display') && <Route path="/kitchen" element={<KitchenDisplay />} />}
+            {can('cash_drawer') && <Route path="/cash-drawer" element={<CashShift user={user} />} />}
+            <Route path="*" element={fallbackScreen} />
           </Routes>
         </Suspense>
       </main>
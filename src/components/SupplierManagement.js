@@ -0,0 +1,899 @@
+import React, { useState, useMemo } from 'react';
+import dayjs from 'dayjs';
+import { useToast } from '../contexts/ToastContext';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  useSuppliersQuery,
+  usePurchaseOrdersQuery,
+  useSaveSupplierMutation,
+  useDeleteSupplierMutation,
+  useSavePurchaseOrderMutation,
+  useReceivePurchaseOrderMutation,
+  useUnpaidExpensesQuery
+} from '../hooks/suppliers';
+import { useIngredientsQuery } from '../hooks/inventory';
+import {
+  PAYMENT_TERMS,
+  PO_STATUSES,
+  getPaymentTerm,
+  getOutstandingQuantity,
+  getPurchaseOrderTotal,
+  getReceivedValue,
+  canReceivePurchaseOrder,
+  buildReceiptExpense,
+  buildPayablesReport
+} from '../utils/suppliers';
+import {
+  STOCK_UNITS,
+  roundQuantity,
+  formatQuantity,
+  getPurchaseUnits,
+  buildPurchaseMovement
+} from '../utils/inventory';
+import { getSubmitStatus } from '../utils/expenseApproval';
+import ConfirmationModal from './ConfirmationModal';
+import ScreenLoading from './ScreenLoading';
+import { FaTruckLoading, FaPlus, FaClipboardCheck } from 'react-icons/fa';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+};
+
+const thStyle = { textAlign: 'left', padding: '0.75rem', fontWeight: '600', color: '#495057' };
+const tdStyle = { padding: '0.75rem', borderBottom: '1px solid #f1f3f5' };
+
+const cardStyle = {
+  background: 'white',
+  borderRadius: '12px',
+  padding: '1.25rem',
+  boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+  marginBottom: '1.5rem'
+};
+
+const inputStyle = {
+  padding: '0.5rem 0.75rem',
+  border: '1px solid #ced4da',
+  borderRadius: '6px',
+  fontSize: '1rem'
+};
+
+const labelStyle = { display: 'block', marginBottom: '0.35rem', fontWeight: 600, color: '#495057' };
+
+const buttonStyle = (background, disabled) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderRadius: '8px',
+  background: disabled ? '#adb5bd' : background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: disabled ? 'not-allowed' : 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  gap: '0.4rem'
+});
+
+const smallButtonStyle = (color) => ({
+  padding: '0.3rem 0.6rem',
+  border: `1px solid ${color}`,
+  borderRadius: '6px',
+  background: 'white',
+  color,
+  fontSize: '0.85rem',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+const tabStyle = (active) => ({
+  padding: '0.6rem 1.2rem',
+  border: 'none',
+  borderBottom: `3px solid ${active ? 'var(--color-primary)' : 'transparent'}`,
+  background: 'none',
+  color: active ? 'var(--color-primary)' : '#495057',
+  fontWeight: 600,
+  cursor: 'pointer'
+});
+
+const overlayStyle = {
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  bottom: 0,
+  background: 'rgba(0,0,0,0.5)',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  zIndex: 1000
+};
+
+const modalStyle = {
+  background: 'white',
+  padding: '2rem',
+  borderRadius: '12px',
+  maxWidth: '520px',
+  width: '90%',
+  maxHeight: '90vh',
+  overflowY: 'auto'
+};
+
+const EMPTY_SUPPLIER = { name: '', contactName: '', phone: '', email: '', address: '', paymentTerms: 'cod', notes: '', active: true };
+const EMPTY_LINE = { ingredientId: '', description: '', quantity: '', unit: 'KG', unitPrice: '' };
+
+/**
+ * Suppliers and purchase orders. Receiving a PO books each delivered line as an
+ * "Inventory purchases" expense against the supplier and stocks in its ingredient.
+ */
+const SupplierManagement = () => {
+  const { showSuccess, showError } = useToast();
+  const [tab, setTab] = useState('suppliers');
+  const [search, setSearch] = useState('');
+  const [supplierForm, setSupplierForm] = useState(null);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const [orderFilters, setOrderFilters] = useState({ status: '', supplierId: '' });
+  const [orderForm, setOrderForm] = useState(null);
+  const [receiveForm, setReceiveForm] = useState(null);
+  const [receiving, setReceiving] = useState(false);
+  const [pendingCancel, setPendingCancel] = useState(null);
+  const [openOrderId, setOpenOrderId] = useState(null);
+
+  const { data: suppliers = [], isLoading } = useSuppliersQuery();
+  const orderParams = useMemo(() => ({
+    ...(orderFilters.status ? { status: orderFilters.status } : {}),
+    ...(orderFilters.supplierId ? { supplierId: orderFilters.supplierId } : {})
+  }), [orderFilters]);
+  const { data: orders = [], isLoading: ordersLoading } = usePurchaseOrdersQuery(orderParams, { enabled: tab === 'orders' });
+  const { data: ingredients = [], isLoading: ingredientsLoading } = useIngredientsQuery({ enabled: !!orderForm || !!receiveForm });
+  const saveSupplier = useSaveSupplierMutation();
+  const deleteSupplier = useDeleteSupplierMutation();
+  const saveOrder = useSavePurchaseOrderMutation();
+  const receiveOrder = useReceivePurchaseOrderMutation();
+
+  const suppliersById = useMemo(() => new Map(suppliers.map(s => [String(s.id), s])), [suppliers]);
+  const ingredientsById = useMemo(() => new Map(ingredients.map(i => [String(i.id), i])), [ingredients]);
+  const activeSuppliers = useMemo(() => suppliers.filter(s => s.active), [suppliers]);
+  const visibleSuppliers = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q
+      ? suppliers.filter(s => [s.name, s.contactName, s.phone, s.email].some(v => v.toLowerCase().includes(q)))
+      : suppliers;
+  }, [suppliers, search]);
+  const { data: payableExpenses, isSuccess: payablesLoaded } = useUnpaidExpensesQuery();
+  // The server's balance can include bills still awaiting approval; use the payables when loaded
+  const balancesById = useMemo(() => (payablesLoaded
+    ? new Map(buildPayablesReport(payableExpenses, suppliers).map(row => [String(row.supplierId), row.total]))
+    : null), [payablesLoaded, payableExpenses, suppliers]);
+  const getBalance = (supplier) => (balancesById ? (balancesById.get(String(supplier.id)) || 0) : supplier.balance);
+  const totalOwed = suppliers.reduce((sum, s) => sum + getBalance(s), 0);
+
+  // ==================== SUPPLIERS ====================
+
+  const handleSaveSupplier = async (e) => {
+    e.preventDefault();
+    const name = supplierForm.name.trim();
+    if (!name) {
+      showError('Enter the supplier name');
+      return;
+    }
+    if (suppliers.some(s => s.name.toLowerCase() === name.toLowerCase() && s.id !== supplierForm.id)) {
+      showError(`${name} is already a supplier`);
+      return;
+    }
+
+    const data = {
+      name,
+      contactName: supplierForm.contactName.trim(),
+      phone: supplierForm.phone.trim(),
+      email: supplierForm.email.trim(),
+      address: supplierForm.address.trim(),
+      paymentTerms: supplierForm.paymentTerms,
+      notes: supplierForm.notes.trim(),
+      active: supplierForm.active
+    };
+
+    try {
+      await saveSupplier.mutateAsync({ id: supplierForm.id, data });
+      showSuccess(supplierForm.id ? 'Supplier updated' : 'Supplier added');
+      setSupplierForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save supplier');
+    }
+  };
+
+  const handleDeleteSupplier = async () => {
+    try {
+      await deleteSupplier.mutateAsync(pendingDelete.id);
+      showSuccess(`${pendingDelete.name} removed`);
+      setSupplierForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to remove supplier');
+    }
+  };
+
+  // ==================== PURCHASE ORDERS ====================
+
+  const openOrderForm = (supplier = null) => {
+    setOrderForm({
+      supplierId: supplier ? String(supplier.id) : '',
+      expectedAt: dayjs().add(1, 'day').format('YYYY-MM-DD'),
+      note: '',
+      lines: [{ ...EMPTY_LINE }]
+    });
+  };
+
+  const updateOrderLine = (idx, patch) => {
+    setOrderForm(prev => ({ ...prev, lines: prev.lines.map((l, i) => (i === idx ? { ...l, ...patch } : l)) }));
+  };
+
+  // Picking an ingredient fills in its name, stock unit and last cost
+  const handleOrderLineIngredient = (idx, value) => {
+    const ingredient = ingredientsById.get(String(value));
+    const line = orderForm.lines[idx];
+    updateOrderLine(idx, {
+      ingredientId: value,
+      description: ingredient && !line.description ? ingredient.name : line.description,
+      unit: ingredient ? ingredient.unit : line.unit,
+      unitPrice: ingredient && !line.unitPrice && ingredient.costPerUnit ? String(ingredient.costPerUnit) : line.unitPrice
+    });
+  };
+
+  const orderFormLines = orderForm
+    ? orderForm.lines
+      .map(l => ({ ...l, quantity: roundQuantity(l.quantity), unitPrice: Number(l.unitPrice) || 0 }))
+      .filter(l => l.description.trim() && l.quantity > 0)
+    : [];
+
+  const handleSaveOrder = async (e) => {
+    e.preventDefault();
+    if (!orderForm.supplierId) {
+      showError('Choose a supplier');
+      return;
+    }
+    if (orderFormLines.length === 0) {
+      showError('Add at least one line with a description and quantity');
+      return;
+    }
+
+    try {
+      await saveOrder.mutateAsync({
+        data: {
+          supplierId: orderForm.supplierId,
+          status: 'ordered',
+          orderedAt: new Date().toISOString(),
+          expectedAt: orderForm.expectedAt || null,
+          note: orderForm.note.trim(),
+          lines: orderFormLines.map(l => ({
+            ingredientId: l.ingredientId || null,
+            description: l.description.trim(),
+            quantity: l.quantity,
+            unit: l.unit,
+            unitPrice: l.unitPrice
+          }))
+        }
+      });
+      showSuccess(`Purchase order raised with ${suppliersById.get(String(orderForm.supplierId))?.name || 'the supplier'}`);
+      setOrderForm(null);
+      setTab('orders');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save purchase order');
+    }
+  };
+
+  const openReceiveForm = (order) => {
+    setReceiveForm({
+      order,
+      // Same key for every retry of this delivery, so the server books it only once
+      receiptKey: `po-${order.id}-${Date.now().toString(36)}`,
+      receivedOn: dayjs().format('YYYY-MM-DD'),
+      quantities: Object.fromEntries(order.lines.map(l => [l.id, String(getOutstandingQuantity(l))]))
+    });
+  };
+
+  const receiveLines = receiveForm
+    ? receiveForm.order.lines
+      .map(line => ({ line, quantity: Math.min(roundQuantity(receiveForm.quantities[line.id]), getOutstandingQuantity(line)) }))
+      .filter(r => r.quantity > 0)
+    : [];
+
+  // One call per delivery: the server books the expenses, stock and PO lines together
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const { order, receiptKey } = receiveForm;
+    const supplier = suppliersById.get(String(order.supplierId));
+    const receivedOn = dayjs(receiveForm.receivedOn).hour(dayjs().hour()).minute(dayjs().minute()).toDate();
+    const notStocked = [];
+
+    const lines = receiveLines.map(({ line, quantity }) => {
+      const expense = buildReceiptExpense(order, line, quantity, supplier, receivedOn);
+      const ingredient = line.ingredientId ? ingredientsById.get(String(line.ingredientId)) : null;
+      const movement = ingredient
+        ? buildPurchaseMovement(ingredient, { quantity, unit: line.unit, unitPrice: line.unitPrice, note: `PO #${order.number}` })
+        : null;
+      if (ingredient && !movement) notStocked.push(line.description);
+      return {
+        lineId: line.id,
+        quantity,
+        expense: { ...expense, status: getSubmitStatus(expense.amount) },
+        movement
+      };
+    });
+
+    setReceiving(true);
+    try {
+      await receiveOrder.mutateAsync({
+        id: order.id,
+        data: { receiptKey, receivedAt: receivedOn.toISOString(), lines }
+      });
+      showSuccess(`Received ${lines.length} line${lines.length === 1 ? '' : 's'} on PO #${order.number}`);
+      if (notStocked.length > 0) {
+        showError(`Not added to stock (unit doesn't match the ingredient): ${notStocked.join(', ')}`);
+      }
+      setReceiveForm(null);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to receive purchase order');
+    } finally {
+      setReceiving(false);
+    }
+  };
+
+  const handleCancelOrder = async () => {
+    try {
+      await saveOrder.mutateAsync({ id: pendingCancel.id, data: { status: 'cancelled' } });
+      showSuccess(`PO #${pendingCancel.number} cancelled`);
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to cancel purchase order');
+    }
+  };
+
+  if (isLoading) {
+    return <ScreenLoading label="Loading suppliers..." />;
+  }
+
+  return (
+    <div style={{ padding: '2rem', maxWidth: '1400px', margin: '0 auto' }}>
+      <h1 style={{ margin: '0 0 1rem', color: '#2d3748', fontSize: '2rem', fontWeight: 'bold', display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+        <FaTruckLoading /> Suppliers
+      </h1>
+
+      <div style={{ display: 'flex', gap: '0.5rem', borderBottom: '1px solid #e2e8f0', marginBottom: '1.5rem' }}>
+        <button type="button" style={tabStyle(tab === 'suppliers')} onClick={() => setTab('suppliers')}>Suppliers</button>
+        <button type="button" style={tabStyle(tab === 'orders')} onClick={() => setTab('orders')}>Purchase Orders</button>
+      </div>
+
+      {tab === 'suppliers' && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+            {[
+              { label: 'Suppliers', value: activeSuppliers.length },
+              { label: 'We Owe', value: formatCurrency(totalOwed), color: totalOwed > 0 ? '#dc3545' : undefined },
+              { label: 'Suppliers Owed', value: suppliers.filter(s => getBalance(s) > 0).length }
+            ].map(stat => (
+              <div key={stat.label} style={{ ...cardStyle, marginBottom: 0 }}>
+                <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>{stat.label}</div>
+                <div style={{ fontSize: '1.6rem', fontWeight: 'bold', color: stat.color || '#2d3748' }}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between', gap: '1rem', flexWrap: 'wrap', marginBottom: '1rem' }}>
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search suppliers..."
+              style={{ ...inputStyle, minWidth: '260px' }}
+            />
+            <button type="button" style={buttonStyle('#28a745')} onClick={() => setSupplierForm(EMPTY_SUPPLIER)}>
+              <FaPlus /> Add Supplier
+            </button>
+          </div>
+
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <th style={thStyle}>Supplier</th>
+                  <th style={thStyle}>Contact</th>
+                  <th style={thStyle}>Terms</th>
+                  <th style={thStyle}>Balance</th>
+                  <th style={thStyle}></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleSuppliers.length > 0 ? visibleSuppliers.map(supplier => (
+                  <tr key={supplier.id} style={{ opacity: supplier.active ? 1 : 0.5 }}>
+                    <td style={tdStyle}>
+                      <strong>{supplier.name}</strong>
+                      {!supplier.active && <span style={{ marginLeft: '0.5rem', color: '#6c757d', fontSize: '0.8rem' }}>(inactive)</span>}
+                      {supplier.contactName && <div style={{ color: '#6c757d', fontSize: '0.85rem' }}>{supplier.contactName}</div>}
+                    </td>
+                    <td style={tdStyle}>
+                      {[supplier.phone, supplier.email].filter(Boolean).join(' · ') || '-'}
+                    </td>
+                    <td style={tdStyle}>{getPaymentTerm(supplier.paymentTerms).label}</td>
+                    <td style={{ ...tdStyle, color: getBalance(supplier) > 0 ? '#dc3545' : undefined, fontWeight: getBalance(supplier) > 0 ? 600 : undefined }}>
+                      {formatCurrency(getBalance(supplier))}
+                    </td>
+                    <td style={{ ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                      <span style={{ display: 'inline-flex', gap: '0.4rem' }}>
+                        {supplier.active && (
+                          <button type="button" style={smallButtonStyle('#28a745')} onClick={() => openOrderForm(supplier)}>New PO</button>
+                        )}
+                        <button type="button" style={smallButtonStyle('#6c757d')} onClick={() => setSupplierForm({ ...EMPTY_SUPPLIER, ...supplier })}>Edit</button>
+                      </span>
+                    </td>
+                  </tr>
+                )) : (
+                  <tr>
+                    <td colSpan="5" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>
+                      {suppliers.length === 0 ? 'No suppliers yet. Add the businesses you buy from.' : 'No suppliers match your search'}
+                    </td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      {tab === 'orders' && (
+        <>
+          <div style={{ ...cardStyle, display: 'flex', gap: '1rem', flexWrap: 'wrap', alignItems: 'flex-end' }}>
+            <div>
+              <label style={labelStyle}>Status</label>
+              <select
+                value={orderFilters.status}
+                onChange={(e) => setOrderFilters(prev => ({ ...prev, status: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="">All</option>
+                {Object.entries(PO_STATUSES).map(([value, { label }]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={labelStyle}>Supplier</label>
+              <select
+                value={orderFilters.supplierId}
+                onChange={(e) => setOrderFilters(prev => ({ ...prev, supplierId: e.target.value }))}
+                style={inputStyle}
+              >
+                <option value="">All</option>
+                {suppliers.map(s => (
+                  <option key={s.id} value={s.id}>{s.name}</option>
+                ))}
+              </select>
+            </div>
+            <button
+              type="button"
+              style={{ ...buttonStyle('#28a745', activeSuppliers.length === 0), marginLeft: 'auto' }}
+              disabled={activeSuppliers.length === 0}
+              onClick={() => openOrderForm()}
+            >
+              <FaPlus /> New Purchase Order
+            </button>
+          </div>
+
+          <div style={{ ...cardStyle, padding: 0, overflowX: 'auto' }}>
+            {ordersLoading ? (
+              <ScreenLoading label="Loading purchase orders..." />
+            ) : (
+              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                <thead>
+                  <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                    <th style={thStyle}>PO</th>
+                    <th style={thStyle}>Supplier</th>
+                    <th style={thStyle}>Ordered</th>
+                    <th style={thStyle}>Expected</th>
+                    <th style={thStyle}>Status</th>
+                    <th style={thStyle}>Total</th>
+                    <th style={thStyle}>Received</th>
+                    <th style={thStyle}></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {orders.length > 0 ? orders.map(order => {
+                    const open = String(order.id) === String(openOrderId);
+                    const overdue = canReceivePurchaseOrder(order) && order.expectedAt && dayjs(order.expectedAt).isBefore(dayjs(), 'day');
+                    return (
+                      <React.Fragment key={order.id}>
+                        <tr>
+                          <td style={tdStyle}>#{order.number}</td>
+                          <td style={tdStyle}>{suppliersById.get(String(order.supplierId))?.name || order.supplierName || '-'}</td>
+                          <td style={tdStyle}>{order.orderedAt ? dayjs(order.orderedAt).format('DD MMM YYYY') : '-'}</td>
+                          <td style={{ ...tdStyle, color: overdue ? '#dc3545' : undefined }}>
+                            {order.expectedAt ? dayjs(order.expectedAt).format('DD MMM YYYY') : '-'}
+                            {overdue && <div style={{ fontSize: '0.75rem' }}>Late</div>}
+                          </td>
+                          <td style={{ ...tdStyle, color: PO_STATUSES[order.status].color, fontWeight: 600 }}>{PO_STATUSES[order.status].label}</td>
+                          <td style={tdStyle}>{formatCurrency(getPurchaseOrderTotal(order.lines))}</td>
+                          <td style={tdStyle}>{formatCurrency(getReceivedValue(order.lines))}</td>
+                          <td style={{ ...tdStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                            <span style={{ display: 'inline-flex', gap: '0.4rem' }}>
+                              {canReceivePurchaseOrder(order) && (
+                                <button type="button" style={smallButtonStyle('#28a745')} onClick={() => openReceiveForm(order)}>Receive</button>
+                              )}
+                              <button type="button" style={smallButtonStyle('#007bff')} onClick={() => setOpenOrderId(open ? null : order.id)}>
+                                {open ? 'Hide' : 'Lines'}
+                              </button>
+                              {canReceivePurchaseOrder(order) && (
+                                <button type="button" style={smallButtonStyle('#dc3545')} onClick={() => setPendingCancel(order)}>Cancel</button>
+                              )}
+                            </span>
+                          </td>
+                        </tr>
+                        {open && (
+                          <tr>
+                            <td colSpan="8" style={{ ...tdStyle, background: '#f8f9fa' }}>
+                              {order.note && <div style={{ color: '#6c757d', marginBottom: '0.5rem' }}>{order.note}</div>}
+                              <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+                                <thead>
+                                  <tr>
+                                    <th style={thStyle}>Item</th>
+                                    <th style={thStyle}>Ordered</th>
+                                    <th style={thStyle}>Received</th>
+                                    <th style={thStyle}>Outstanding</th>
+                                    <th style={thStyle}>Unit Price</th>
+                                    <th style={thStyle}>Value</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {order.lines.map(line => (
+                                    <tr key={line.id}>
+                                      <td style={tdStyle}>{line.description}</td>
+                                      <td style={tdStyle}>{formatQuantity(line.quantity, line.unit)}</td>
+                                      <td style={tdStyle}>{formatQuantity(line.received, line.unit)}</td>
+                                      <td style={{ ...tdStyle, color: getOutstandingQuantity(line) > 0 ? '#fd7e14' : '#28a745' }}>
+                                        {formatQuantity(getOutstandingQuantity(line), line.unit)}
+                                      </td>
+                                      <td style={tdStyle}>{formatCurrency(line.unitPrice)}</td>
+                                      <td style={tdStyle}>{formatCurrency(line.quantity * line.unitPrice)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  }) : (
+                    <tr>
+                      <td colSpan="8" style={{ ...tdStyle, textAlign: 'center', color: '#6c757d' }}>No purchase orders</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      )}
+
+      {supplierForm && (
+        <div style={overlayStyle}>
+          <form style={modalStyle} onSubmit={handleSaveSupplier}>
+            <h2 style={{ marginTop: 0 }}>{supplierForm.id ? 'Edit Supplier' : 'Add Supplier'}</h2>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Name</label>
+              <input
+                type="text"
+                value={supplierForm.name}
+                onChange={(e) => setSupplierForm(prev => ({ ...prev, name: e.target.value }))}
+                style={{ ...inputStyle, width: '100%' }}
+                autoFocus
+                required
+              />
+            </div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Contact Person</label>
+                <input
+                  type="text"
+                  value={supplierForm.contactName}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, contactName: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Phone</label>
+                <input
+                  type="tel"
+                  value={supplierForm.phone}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, phone: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Email</label>
+                <input
+                  type="email"
+                  value={supplierForm.email}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, email: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+              <div>
+                <label style={labelStyle}>Payment Terms</label>
+                <select
+                  value={supplierForm.paymentTerms}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, paymentTerms: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                >
+                  {PAYMENT_TERMS.map(t => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Address</label>
+              <input
+                type="text"
+                value={supplierForm.address}
+                onChange={(e) => setSupplierForm(prev => ({ ...prev, address: e.target.value }))}
+                style={{ ...inputStyle, width: '100%' }}
+              />
+            </div>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Notes</label>
+              <textarea
+                value={supplierForm.notes}
+                onChange={(e) => setSupplierForm(prev => ({ ...prev, notes: e.target.value }))}
+                rows={2}
+                style={{ ...inputStyle, width: '100%', resize: 'vertical' }}
+              />
+            </div>
+            {supplierForm.id && (
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', marginBottom: '1rem' }}>
+                <input
+                  type="checkbox"
+                  checked={supplierForm.active}
+                  onChange={(e) => setSupplierForm(prev => ({ ...prev, active: e.target.checked }))}
+                />
+                Active (inactive suppliers can't be sent new purchase orders)
+              </label>
+            )}
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end' }}>
+              {supplierForm.id && (
+                <button
+                  type="button"
+                  style={{ ...buttonStyle('#dc3545'), marginRight: 'auto' }}
+                  onClick={() => setPendingDelete(suppliersById.get(String(supplierForm.id)))}
+                >
+                  Delete
+                </button>
+              )}
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setSupplierForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', saveSupplier.isPending)} disabled={saveSupplier.isPending}>
+                {saveSupplier.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {orderForm && (
+        <div style={overlayStyle}>
+          <form style={{ ...modalStyle, maxWidth: '860px' }} onSubmit={handleSaveOrder}>
+            <h2 style={{ marginTop: 0 }}>New Purchase Order</h2>
+            <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '1rem', marginBottom: '1rem' }}>
+              <div>
+                <label style={labelStyle}>Supplier</label>
+                <select
+                  value={orderForm.supplierId}
+                  onChange={(e) => setOrderForm(prev => ({ ...prev, supplierId: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                  required
+                >
+                  <option value="">Choose supplier</option>
+                  {activeSuppliers.map(s => (
+                    <option key={s.id} value={s.id}>{s.name} ({getPaymentTerm(s.paymentTerms).label})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Expected</label>
+                <input
+                  type="date"
+                  value={orderForm.expectedAt}
+                  onChange={(e) => setOrderForm(prev => ({ ...prev, expectedAt: e.target.value }))}
+                  style={{ ...inputStyle, width: '100%' }}
+                />
+              </div>
+            </div>
+
+            <label style={labelStyle}>Lines</label>
+            {orderForm.lines.map((line, idx) => {
+              const ingredient = ingredientsById.get(String(line.ingredientId));
+              const units = ingredient ? getPurchaseUnits(ingredient.unit) : STOCK_UNITS.map(u => u.value);
+              return (
+                <div key={idx} style={{ display: 'grid', gridTemplateColumns: '1.4fr 1.6fr 0.8fr 0.8fr 0.9fr auto', gap: '0.5rem', marginBottom: '0.5rem', alignItems: 'center' }}>
+                  <select
+                    value={line.ingredientId}
+                    onChange={(e) => handleOrderLineIngredient(idx, e.target.value)}
+                    style={{ ...inputStyle, width: '100%' }}
+                  >
+                    <option value="">Not stocked</option>
+                    {ingredients.filter(i => i.active).map(i => (
+                      <option key={i.id} value={i.id}>{i.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={line.description}
+                    onChange={(e) => updateOrderLine(idx, { description: e.target.value })}
+                    placeholder="Description"
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.001"
+                    value={line.quantity}
+                    onChange={(e) => updateOrderLine(idx, { quantity: e.target.value })}
+                    placeholder="Qty"
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                  <select
+                    value={units.includes(line.unit) ? line.unit : units[0]}
+                    onChange={(e) => updateOrderLine(idx, { unit: e.target.value })}
+                    style={{ ...inputStyle, width: '100%' }}
+                  >
+                    {units.map(u => (
+                      <option key={u} value={u}>{u}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unitPrice}
+                    onChange={(e) => updateOrderLine(idx, { unitPrice: e.target.value })}
+                    placeholder="Unit price"
+                    style={{ ...inputStyle, width: '100%' }}
+                  />
+                  <button
+                    type="button"
+                    style={smallButtonStyle('#dc3545')}
+                    onClick={() => setOrderForm(prev => ({ ...prev, lines: prev.lines.filter((_, i) => i !== idx) }))}
+                    disabled={orderForm.lines.length === 1}
+                    aria-label="Remove line"
+                  >
+                    ×
+                  </button>
+                </div>
+              );
+            })}
+            <button
+              type="button"
+              style={{ ...smallButtonStyle('#007bff'), marginBottom: '1rem' }}
+              onClick={() => setOrderForm(prev => ({ ...prev, lines: [...prev.lines, { ...EMPTY_LINE }] }))}
+            >
+              + Add Line
+            </button>
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Note</label>
+              <input
+                type="text"
+                value={orderForm.note}
+                onChange={(e) => setOrderForm(prev => ({ ...prev, note: e.target.value }))}
+                placeholder="e.g. Deliver before 10 AM"
+                style={{ ...inputStyle, width: '100%' }}
+              />
+            </div>
+
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end', alignItems: 'center' }}>
+              <strong style={{ marginRight: 'auto' }}>Total: {formatCurrency(getPurchaseOrderTotal(orderFormLines))}</strong>
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setOrderForm(null)}>
+                Cancel
+              </button>
+              <button type="submit" style={buttonStyle('#28a745', saveOrder.isPending)} disabled={saveOrder.isPending}>
+                {saveOrder.isPending ? 'Saving...' : 'Raise PO'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {receiveForm && (
+        <div style={overlayStyle}>
+          <form style={{ ...modalStyle, maxWidth: '720px' }} onSubmit={handleReceive}>
+            <h2 style={{ marginTop: 0, marginBottom: '0.25rem' }}>Receive PO #{receiveForm.order.number}</h2>
+            <div style={{ color: '#6c757d', marginBottom: '1.25rem' }}>
+              {suppliersById.get(String(receiveForm.order.supplierId))?.name || receiveForm.order.supplierName}
+              {' - '}{getPaymentTerm(suppliersById.get(String(receiveForm.order.supplierId))?.paymentTerms).label}.
+              {' '}Each line is booked as an expense and stocked in if it names an ingredient.
+            </div>
+            <table style={{ width: '100%', borderCollapse: 'collapse', marginBottom: '1rem' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e2e8f0' }}>
+                  <th style={thStyle}>Item</th>
+                  <th style={thStyle}>Outstanding</th>
+                  <th style={thStyle}>Received Now</th>
+                  <th style={thStyle}>Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {receiveForm.order.lines.map(line => {
+                  const outstanding = getOutstandingQuantity(line);
+                  const quantity = Math.min(roundQuantity(receiveForm.quantities[line.id]), outstanding);
+                  return (
+                    <tr key={line.id} style={{ opacity: outstanding > 0 ? 1 : 0.5 }}>
+                      <td style={tdStyle}>{line.description}</td>
+                      <td style={tdStyle}>{formatQuantity(outstanding, line.unit)}</td>
+                      <td style={tdStyle}>
+                        <input
+                          type="number"
+                          min="0"
+                          max={outstanding}
+                          step="0.001"
+                          value={receiveForm.quantities[line.id] ?? ''}
+                          onChange={(e) => setReceiveForm(prev => ({ ...prev, quantities: { ...prev.quantities, [line.id]: e.target.value } }))}
+                          disabled={outstanding === 0}
+                          style={{ ...inputStyle, width: '110px' }}
+                        />
+                        <span style={{ marginLeft: '0.4rem', color: '#6c757d' }}>{line.unit}</span>
+                      </td>
+                      <td style={tdStyle}>{formatCurrency(Math.max(0, quantity) * line.unitPrice)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>Received On</label>
+              <input
+                type="date"
+                value={receiveForm.receivedOn}
+                onChange={(e) => setReceiveForm(prev => ({ ...prev, receivedOn: e.target.value }))}
+                max={dayjs().format('YYYY-MM-DD')}
+                style={inputStyle}
+                required
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '0.75rem', justifyContent: 'flex-end', alignItems: 'center' }}>
+              <strong style={{ marginRight: 'auto' }}>
+                Expense: {formatCurrency(receiveLines.reduce((sum, r) => sum + r.quantity * r.line.unitPrice, 0))}
+              </strong>
+              <button type="button" style={buttonStyle('#6c757d')} onClick={() => setReceiveForm(null)} disabled={receiving}>
+                Cancel
+              </button>
+              <button
+                type="submit"
+                style={buttonStyle('#28a745', receiving || ingredientsLoading || receiveLines.length === 0)}
+                disabled={receiving || ingredientsLoading || receiveLines.length === 0}
+              >
+                <FaClipboardCheck /> {receiving ? 'Receiving...' : 'Receive'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      <ConfirmationModal
+        isOpen={!!pendingDelete}
+        onClose={() => setPendingDelete(null)}
+        onConfirm={handleDeleteSupplier}
+        title="Remove Supplier"
+        message={`Remove ${pendingDelete?.name || ''}? Their expenses and purchase orders are kept. Mark them inactive instead if you may buy from them again.`}
+        variant="danger"
+      />
+
+      <ConfirmationModal
+        isOpen={!!pendingCancel}
+        onClose={() => setPendingCancel(null)}
+        onConfirm={handleCancelOrder}
+        title="Cancel Purchase Order"
+        message={`Cancel PO #${pendingCancel?.number || ''}? Anything already received stays booked; the rest won't be expected.`}
+        confirmText="Cancel PO"
+        variant="warning"
+      />
+    </div>
+  );
+};
+
+export default SupplierManagement;
@@ -0,0 +1,472 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FaMinus, FaPlus, FaExchangeAlt } from 'react-icons/fa';
+import { ordersAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { useFloorPlan } from '../hooks/useFloorPlan';
+import { getAllTables, isSameTable } from '../utils/floorPlan';
+import { getPaidTotal, normalizePayments } from '../utils/splitBill';
+import { getCurrencySymbol } from '../utils/businessSettings';
+import {
+  updateOfflineOrder,
+  saveOfflineOrder,
+  deleteOfflineOrder,
+  addPendingOperation,
+  getCachedTableAvailability
+} from '../utils/offlineDB';
+import {
+  TABLE_ACTIONS,
+  getLineKey,
+  splitOrderItems,
+  countItems,
+  repriceOrderItems,
+  buildTableHistoryEntry,
+  getTableHistory
+} from '../utils/tableActions';
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return `${getCurrencySymbol()} ${num.toFixed(0)}`;
+};
+
+const sectionLabelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: '600',
+  color: '#495057'
+};
+
+const toggleStyle = (active, color = 'var(--color-primary)') => ({
+  flex: 1,
+  padding: '0.6rem',
+  border: `2px solid ${active ? color : '#dee2e6'}`,
+  borderRadius: '8px',
+  background: active ? color : 'white',
+  color: active ? 'white' : '#495057',
+  fontWeight: 'bold',
+  cursor: 'pointer'
+});
+
+const stepButtonStyle = {
+  width: '28px',
+  height: '28px',
+  border: '1px solid #dee2e6',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+};
+
+const getTableNumber = (order) => order?.tableNumber ?? order?.table_number ?? null;
+const getOrderItems = (order) => {
+  const items = order?.orderItems || order?.order_items || order?.items || [];
+  return Array.isArray(items) ? items : [];
+};
+const hasPayments = (order) =>
+  getPaidTotal(normalizePayments(order?.payments)) > 0 || parseFloat(order?.amount_paid || order?.amountPaid) > 0;
+
+/**
+ * Move a dine-in order to another table, merge another table's order into it, or
+ * split selected items into a new order. `onCompleted` receives the occupancy change
+ * ({ release, reserve }) so the caller can update the table cache and refresh.
+ */
+const TableActionsModal = ({ order, pendingOrders = [], offlineEffective = false, onClose, onCompleted }) => {
+  const { showSuccess, showError } = useToast();
+  const floorPlan = useFloorPlan();
+  const [action, setAction] = useState('transfer');
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [cachedOccupied, setCachedOccupied] = useState([]);
+  const [targetTable, setTargetTable] = useState('');
+  const [mergeOrderId, setMergeOrderId] = useState(null);
+  const [splitQuantities, setSplitQuantities] = useState({});
+
+  const orderKey = order.offlineId || order.id;
+  const currentTable = getTableNumber(order);
+  const isOfflineOrder = order.offline === true;
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      setLoading(true);
+      let nextItems = getOrderItems(order);
+      if (!isOfflineOrder && !offlineEffective) {
+        try {
+          const res = await ordersAPI.getOrderItems(order.id);
+          const fetched = res.data?.data ?? res.data;
+          if (Array.isArray(fetched) && fetched.length) nextItems = fetched;
+        } catch (err) {
+          console.error('Failed to load order items for table actions:', err.message);
+        }
+      }
+      const occupied = await getCachedTableAvailability();
+      if (!cancelled) {
+        setItems(nextItems);
+        setCachedOccupied(occupied);
+        setLoading(false);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [order, isOfflineOrder, offlineEffective]);
+
+  const freeTables = useMemo(() => {
+    const occupiedNumbers = [
+      ...pendingOrders.map(getTableNumber),
+      ...cachedOccupied.map(t => t.tableNumber ?? t.table_number)
+    ].filter(num => num !== null && num !== undefined);
+    return getAllTables(floorPlan).filter(table => !occupiedNumbers.some(num => isSameTable(num, table.number)));
+  }, [floorPlan, pendingOrders, cachedOccupied]);
+
+  const mergeCandidates = useMemo(() => pendingOrders.filter(o => {
+    const table = getTableNumber(o);
+    return o.id !== order.id && table && String(table) !== 'takeaway';
+  }), [pendingOrders, order.id]);
+
+  const mergeOrder = mergeCandidates.find(o => o.id === mergeOrderId) || null;
+  const splitCount = Object.values(splitQuantities).reduce((sum, qty) => sum + qty, 0);
+  const totalCount = countItems(items);
+
+  const changeAction = (value) => {
+    setAction(value);
+    setTargetTable('');
+    setMergeOrderId(null);
+    setSplitQuantities({});
+  };
+
+  const adjustSplitQuantity = (key, max, delta) => {
+    setSplitQuantities(prev => ({ ...prev, [key]: Math.min(max, Math.max(0, (prev[key] || 0) + delta)) }));
+  };
+
+  // Offline orders never reached the server, so record the change as a queued history entry
+  const queueHistoryEntry = (targetOrder, entry) => addPendingOperation({
+    type: 'order_table_history',
+    endpoint: `/api/orders/${targetOrder.id}/history`,
+    method: 'POST',
+    data: entry,
+    offlineId: targetOrder.offlineId || targetOrder.id
+  });
+
+  const handleTransfer = async () => {
+    const entry = buildTableHistoryEntry('transfer', { order, toTable: targetTable });
+    if (isOfflineOrder) {
+      await updateOfflineOrder(orderKey, {
+        tableNumber: targetTable,
+        table_number: targetTable,
+        table_history: [...getTableHistory(order), entry]
+      });
+      await queueHistoryEntry(order, entry);
+    } else {
+      await ordersAPI.transferTable(order.id, { tableNumber: targetTable, note: entry.note });
+    }
+    showSuccess(entry.note);
+    return {
+      release: [currentTable],
+      reserve: [{ tableNumber: targetTable, orderId: order.id, orderNumber: order.order_number || order.orderNumber }]
+    };
+  };
+
+  const handleMerge = async () => {
+    const entry = buildTableHistoryEntry('merge', { order, relatedOrder: mergeOrder });
+    if (isOfflineOrder) {
+      const mergedItems = [...items, ...getOrderItems(mergeOrder)];
+      await updateOfflineOrder(orderKey, {
+        ...repriceOrderItems(order, mergedItems),
+        table_history: [...getTableHistory(order), entry]
+      });
+      // The merged order was never synced, so dropping it keeps it off the server entirely
+      await deleteOfflineOrder(mergeOrder.offlineId || mergeOrder.id);
+      await queueHistoryEntry(order, entry);
+    } else {
+      await ordersAPI.mergeOrders(order.id, { sourceOrderId: mergeOrder.id, note: entry.note });
+    }
+    showSuccess(entry.note);
+    return { release: [getTableNumber(mergeOrder)], reserve: [] };
+  };
+
+  const handleSplit = async () => {
+    const destination = targetTable || currentTable;
+    const { kept, moved } = splitOrderItems(items, splitQuantities, isOfflineOrder);
+    const entry = buildTableHistoryEntry('split', { order, toTable: destination, items: moved });
+    let newOrder;
+
+    if (isOfflineOrder) {
+      await updateOfflineOrder(orderKey, {
+        ...repriceOrderItems(order, kept),
+        table_history: [...getTableHistory(order), entry]
+      });
+      newOrder = await saveOfflineOrder({
+        orderType: 'dine_in',
+        order_type: 'dine_in',
+        tableNumber: destination,
+        table_number: destination,
+        paymentMethod: 'cash',
+        paymentStatus: 'pending',
+        discountPercent: order.discount_percent ?? order.discountPercent ?? 0,
+        specialInstructions: order.special_instructions || order.specialInstructions || undefined,
+        ...repriceOrderItems(order, moved),
+        table_history: [buildTableHistoryEntry('split', { order, toTable: destination, relatedOrder: order, items: moved })]
+      });
+      await queueHistoryEntry(order, entry);
+    } else {
+      const res = await ordersAPI.splitOrder(order.id, {
+        items: Object.entries(splitQuantities)
+          .filter(([, quantity]) => quantity > 0)
+          .map(([orderItemId, quantity]) => ({ orderItemId, quantity })),
+        tableNumber: destination,
+        note: entry.note
+      });
+      newOrder = res.data?.data ?? res.data ?? {};
+    }
+
+    const newOrderNumber = newOrder?.order_number || newOrder?.orderNumber || newOrder?.id;
+    showSuccess(`Split ${countItems(moved)} item(s) into Order #${newOrderNumber || 'new'} on Table ${destination}`);
+    return isSameTable(destination, currentTable)
+      ? { release: [], reserve: [] }
+      : { release: [], reserve: [{ tableNumber: destination, orderId: newOrder?.id ?? null, orderNumber: newOrderNumber ?? null }] };
+  };
+
+  const validate = () => {
+    if (offlineEffective && !isOfflineOrder) {
+      return 'This order was created online. Reconnect to change its table.';
+    }
+    if (action === 'transfer' && !targetTable) return 'Select a free table to move to';
+    if (action === 'merge') {
+      if (!mergeOrder) return 'Select the table to merge into this bill';
+      if (offlineEffective && mergeOrder.offline !== true) return 'That order was created online. Reconnect to merge it.';
+      if (isOfflineOrder !== (mergeOrder.offline === true)) return 'Sync offline orders before merging them with online orders';
+      if (hasPayments(order) || hasPayments(mergeOrder)) return 'Orders with split payments cannot be merged';
+    }
+    if (action === 'split') {
+      if (hasPayments(order)) return 'Orders with split payments cannot be split';
+      if (splitCount === 0) return 'Select the items to move to the new order';
+      if (splitCount >= totalCount) return 'Leave at least one item on this order, or move the table instead';
+    }
+    return '';
+  };
+
+  const handleConfirm = async () => {
+    const error = validate();
+    if (error) {
+      showError(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let change;
+      if (action === 'transfer') change = await handleTransfer();
+      else if (action === 'merge') change = await handleMerge();
+      else change = await handleSplit();
+      await onCompleted(order, action, change);
+    } catch (err) {
+      console.error(`Failed to ${action} order:`, err.message);
+      showError(err.formattedMessage || err.response?.data?.error || `Failed to ${TABLE_ACTIONS.find(a => a.value === action)?.label.toLowerCase()}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderTablePicker = (includeCurrent) => (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '0.5rem' }}>
+      {includeCurrent && (
+        <button
+          type="button"
+          onClick={() => setTargetTable('')}
+          style={{ ...toggleStyle(!targetTable), gridColumn: 'span 2', fontSize: '0.85rem' }}
+        >
+          Same table
+        </button>
+      )}
+      {freeTables.map(table => (
+        <button
+          key={table.id}
+          type="button"
+          title={`${table.areaName}${table.name ? ` · ${table.name}` : ''} · ${table.seats} seats`}
+          onClick={() => setTargetTable(table.number)}
+          style={toggleStyle(isSameTable(targetTable, table.number))}
+        >
+          {table.number}
+        </button>
+      ))}
+      {freeTables.length === 0 && !includeCurrent && (
+        <div style={{ gridColumn: '1 / -1', color: '#6c757d', fontSize: '0.9rem' }}>No free tables right now.</div>
+      )}
+    </div>
+  );
+
+  const confirmLabel = action === 'transfer'
+    ? (targetTable ? `Move to Table ${targetTable}` : 'Move Table')
+    : action === 'merge'
+      ? (mergeOrder ? `Merge Table ${getTableNumber(mergeOrder)} into this bill` : 'Merge Tables')
+      : `Split ${splitCount} item(s)`;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div style={{
+        background: 'white',
+        padding: '2rem',
+        borderRadius: '12px',
+        maxWidth: '600px',
+        width: '90%',
+        maxHeight: '90vh',
+        overflowY: 'auto'
+      }}>
+        <h2 style={{ marginTop: 0, marginBottom: '1rem' }}>
+          <FaExchangeAlt style={{ marginRight: '0.5rem' }} /> Table Actions
+        </h2>
+
+        <div style={{ marginBottom: '1.25rem', color: '#6c757d' }}>
+          Order #{order.order_number || order.id}
+          {currentTable && <span style={{ marginLeft: '0.5rem' }}>• Table #{currentTable}</span>}
+          <span style={{ marginLeft: '0.5rem' }}>• {formatCurrency(order.totalAmount || order.total_amount)}</span>
+        </div>
+
+        <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '1.25rem' }}>
+          {TABLE_ACTIONS.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => changeAction(option.value)}
+              style={toggleStyle(action === option.value)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {loading ? (
+          <div style={{ padding: '1.5rem', textAlign: 'center', color: '#6c757d' }}>Loading order...</div>
+        ) : (
+          <>
+            {action === 'transfer' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Move to</label>
+                {renderTablePicker(false)}
+              </div>
+            )}
+
+            {action === 'merge' && (
+              <div style={{ marginBottom: '1.25rem' }}>
+                <label style={sectionLabelStyle}>Merge into this bill</label>
+                {mergeCandidates.length === 0 ? (
+                  <div style={{ color: '#6c757d', fontSize: '0.9rem' }}>No other open tables to merge.</div>
+                ) : mergeCandidates.map(candidate => (
+                  <button
+                    key={candidate.id}
+                    type="button"
+                    onClick={() => setMergeOrderId(candidate.id)}
+                    style={{
+                      ...toggleStyle(mergeOrderId === candidate.id),
+                      width: '100%',
+                      display: 'flex',
+                      justifyContent: 'space-between',
+                      marginBottom: '0.5rem'
+                    }}
+                  >
+                    <span>Table #{getTableNumber(candidate)} · Order #{candidate.order_number || candidate.id}</span>
+                    <span>{formatCurrency(candidate.totalAmount || candidate.total_amount)}</span>
+                  </button>
+                ))}
+                {mergeOrder && (
+                  <div style={{ fontSize: '0.85rem', color: '#6c757d', marginTop: '0.25rem' }}>
+                    Table #{getTableNumber(mergeOrder)} will be freed and its items added to this order.
+                  </div>
+                )}
+              </div>
+            )}
+
+            {action === 'split' && (
+              <>
+                <div style={{ marginBottom: '1.25rem' }}>
+                  <label style={sectionLabelStyle}>Items for the new order</label>
+                  {items.map((item, idx) => {
+                    const key = getLineKey(item, idx, isOfflineOrder);
+                    const quantity = parseInt(item.quantity || 0, 10);
+                    const chosen = splitQuantities[key] || 0;
+                    return (
+                      <div
+                        key={key}
+                        style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '0.4rem 0' }}
+                      >
+                        <span style={{ fontSize: '0.9rem' }}>
+                          {item.menuItem?.name || item.item_name || item.name || 'Unknown Item'}
+                          {item.variant_name ? ` (${item.variant_name})` : ''}
+                          <span style={{ color: '#6c757d' }}> · {quantity} on order</span>
+                        </span>
+                        <div style={{ display: 'flex', alignItems: 'center', gap: '0.4rem' }}>
+                          <button type="button" style={stepButtonStyle} disabled={chosen <= 0} onClick={() => adjustSplitQuantity(key, quantity, -1)}>
+                            <FaMinus size={10} />
+                          </button>
+                          <strong style={{ minWidth: '1.5rem', textAlign: 'center' }}>{chosen}</strong>
+                          <button type="button" style={stepButtonStyle} disabled={chosen >= quantity} onClick={() => adjustSplitQuantity(key, quantity, 1)}>
+                            <FaPlus size={10} />
+                          </button>
+                        </div>
+                      </div>
+                    );
+                  })}
+                </div>
+                <div style={{ marginBottom: '1.25rem' }}>
+                  <label style={sectionLabelStyle}>New order goes to</label>
+                  {renderTablePicker(true)}
+                </div>
+              </>
+            )}
+          </>
+        )}
+
+        <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button
+            onClick={onClose}
+            disabled={saving}
+            style={{
+              flex: 1,
+              padding: '0.75rem',
+              border: '2px solid #dee2e6',
+              borderRadius: '8px',
+              background: 'white',
+              color: '#495057',
+              fontWeight: 'bold',
+              cursor: 'pointer'
+            }}
+          >
+            Close
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={saving || loading}
+            style={{
+              flex: 1,
+              padding: '0.75rem',
+              border: 'none',
+              borderRadius: '8px',
+              background: 'var(--gradient-primary)',
+              color: 'white',
+              fontWeight: 'bold',
+              cursor: saving || loading ? 'not-allowed' : 'pointer',
+              opacity: saving || loading ? 0.5 : 1
+            }}
+          >
+            {saving ? 'Processing...' : confirmLabel}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TableActionsModal;
@@ -0,0 +1,254 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { ordersAPI } from '../services/api';
+import { isOnline } from '../services/offlineSyncService';
+import { useFloorPlan } from '../hooks/useFloorPlan';
+import { getTableState, isSameTable, TABLE_STATES } from '../utils/floorPlan';
+import { FaPrint, FaMoneyBillWave, FaCut, FaTimes, FaExchangeAlt } from 'react-icons/fa';
+
+const REFRESH_INTERVAL_MS = 30000;
+
+const actionButtonStyle = (background) => ({
+  flex: 1,
+  padding: '0.6rem',
+  border: 'none',
+  borderRadius: '8px',
+  background,
+  color: 'white',
+  fontWeight: 600,
+  cursor: 'pointer',
+  display: 'flex',
+  alignItems: 'center',
+  justifyContent: 'center',
+  gap: '0.35rem'
+});
+
+/**
+ * Live floor view for the dine-in screen. Each table from the floor plan is coloured
+ * by its state (free, occupied, bill printed, overdue).
+ *
+ * Occupancy comes from `getTableAvailability` when online, merged with the pending
+ * orders already loaded by DineInOrders so offline orders still show up.
+ */
+const TableFloorView = ({ orders, getOrderDuration, onPrintBill, onMarkPaid, onSplitBill, onTableActions }) => {
+  const floorPlan = useFloorPlan();
+  const [activeAreaId, setActiveAreaId] = useState(null);
+  const [occupiedTables, setOccupiedTables] = useState([]);
+  const [selectedTableNumber, setSelectedTableNumber] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const fetchAvailability = useCallback(async () => {
+    setNow(new Date());
+    if (!(await isOnline())) return;
+    try {
+      const response = await ordersAPI.getTableAvailability();
+      const tables = response.data?.data?.occupied_tables || [];
+      setOccupiedTables(tables.map(t => ({
+        tableNumber: t.tableNumber || t.table_number,
+        orderId: t.id,
+        orderNumber: t.orderNumber || t.order_number,
+        createdAt: t.createdAt || t.created_at || null
+      })));
+    } catch (error) {
+      console.warn('[TableFloorView] Failed to fetch table availability:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAvailability();
+    const interval = setInterval(fetchAvailability, REFRESH_INTERVAL_MS);
+    const events = ['orderCreated', 'orderUpdated', 'tableFreed'];
+    events.forEach(name => window.addEventListener(name, fetchAvailability));
+    return () => {
+      clearInterval(interval);
+      events.forEach(name => window.removeEventListener(name, fetchAvailability));
+    };
+  }, [fetchAvailability]);
+
+  const areas = floorPlan.areas;
+  const activeArea = areas.find(a => a.id === activeAreaId) || areas[0] || null;
+
+  // Open order per table: loaded pending orders first (full details), then the availability feed
+  const ordersByTable = useMemo(() => {
+    const map = new Map();
+    (orders || []).forEach(order => {
+      const tableNum = order.tableNumber || order.table_number;
+      if (!tableNum || String(tableNum) === 'takeaway') return;
+      const key = String(tableNum).trim();
+      const existing = map.get(key);
+      // Keep the oldest open order so the waiting time reflects the first seating
+      if (!existing || new Date(order.createdAt || order.created_at) < new Date(existing.createdAt || existing.created_at)) {
+        map.set(key, order);
+      }
+    });
+    occupiedTables.forEach(t => {
+      const key = String(t.tableNumber ?? '').trim();
+      if (!key || map.has(key)) return;
+      map.set(key, { id: t.orderId, order_number: t.orderNumber, table_number: key, created_at: t.createdAt });
+    });
+    return map;
+  }, [orders, occupiedTables]);
+
+  const getOrderForTable = (tableNumber) => ordersByTable.get(String(tableNumber).trim()) || null;
+
+  const selectedOrder = selectedTableNumber ? getOrderForTable(selectedTableNumber) : null;
+  // Orders only known from the availability feed have no items loaded, so only offer actions on full orders
+  const selectedOrderLoaded = !!selectedOrder && (orders || []).some(o => o.id === selectedOrder.id);
+
+  const handlePrintBill = async () => {
+    await onPrintBill(selectedOrder);
+    // Re-evaluate table states so the printed bill shows immediately
+    setNow(new Date());
+  };
+
+  const stateCounts = useMemo(() => {
+    const counts = { free: 0, occupied: 0, bill_printed: 0, overdue: 0 };
+    areas.forEach(area => area.tables.forEach(table => {
+      const state = getTableState(ordersByTable.get(table.number) || null, { now, overdueMinutes: floorPlan.overdueMinutes });
+      counts[state] += 1;
+    }));
+    return counts;
+  }, [areas, ordersByTable, now, floorPlan.overdueMinutes]);
+
+  if (!activeArea) {
+    return (
+      <div style={{ background: 'white', padding: '3rem', borderRadius: '12px', textAlign: 'center', color: '#6c757d' }}>
+        No floor plan configured. Ask an admin to add areas and tables under Floor Plan.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ background: 'white', padding: '1.25rem', borderRadius: '12px', boxShadow: '0 2px 8px rgba(0,0,0,0.1)' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', alignItems: 'center', marginBottom: '1rem' }}>
+        {areas.length > 1 && areas.map(area => (
+          <button
+            key={area.id}
+            type="button"
+            onClick={() => { setActiveAreaId(area.id); setSelectedTableNumber(null); }}
+            style={{
+              padding: '0.4rem 0.9rem',
+              borderRadius: '999px',
+              border: `2px solid ${area.id === activeArea.id ? 'var(--color-primary)' : '#dee2e6'}`,
+              background: area.id === activeArea.id ? 'var(--color-primary)' : 'white',
+              color: area.id === activeArea.id ? 'white' : '#495057',
+              fontWeight: 600,
+              cursor: 'pointer'
+            }}
+          >
+            {area.name}
+          </button>
+        ))}
+        <div style={{ marginLeft: 'auto', display: 'flex', flexWrap: 'wrap', gap: '0.75rem', fontSize: '0.85rem' }}>
+          {Object.entries(TABLE_STATES).map(([state, meta]) => (
+            <span key={state} style={{ display: 'inline-flex', alignItems: 'center', gap: '0.35rem', color: '#495057' }}>
+              <span style={{ width: '12px', height: '12px', borderRadius: '50%', background: meta.color, display: 'inline-block' }} />
+              {meta.label} ({stateCounts[state]})
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '1rem', flexWrap: 'wrap' }}>
+        <div style={{
+          position: 'relative',
+          flex: '1 1 480px',
+          height: '420px',
+          background: '#fafafa',
+          border: '1px solid #e9ecef',
+          borderRadius: '12px',
+          overflow: 'hidden'
+        }}>
+          {activeArea.tables.map(table => {
+            const order = getOrderForTable(table.number);
+            const state = getTableState(order, { now, overdueMinutes: floorPlan.overdueMinutes });
+            const meta = TABLE_STATES[state];
+            const isSelected = isSameTable(selectedTableNumber, table.number);
+            return (
+              <button
+                key={table.id}
+                type="button"
+                onClick={() => setSelectedTableNumber(order ? table.number : null)}
+                title={`${table.name || `Table ${table.number}`} · ${table.seats} seats · ${meta.label}`}
+                style={{
+                  position: 'absolute',
+                  left: `${table.x}%`,
+                  top: `${table.y}%`,
+                  width: '84px',
+                  height: '68px',
+                  borderRadius: table.seats > 4 ? '12px' : '50%',
+                  border: `3px solid ${isSelected ? '#212529' : meta.color}`,
+                  background: meta.background,
+                  color: meta.color,
+                  display: 'flex',
+                  flexDirection: 'column',
+                  alignItems: 'center',
+                  justifyContent: 'center',
+                  cursor: order ? 'pointer' : 'default',
+                  boxShadow: '0 2px 6px rgba(0,0,0,0.1)',
+                  padding: 0
+                }}
+              >
+                <strong style={{ fontSize: '1.1rem' }}>{table.number}</strong>
+                <span style={{ fontSize: '0.7rem', fontWeight: 600 }}>
+                  {order ? getOrderDuration(order.createdAt || order.created_at) : `${table.seats} seats`}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+
+        <div style={{ flex: '0 0 260px' }}>
+          {selectedOrder ? (
+            <div style={{ border: '1px solid #e9ecef', borderRadius: '12px', padding: '1rem' }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <h3 style={{ margin: 0 }}>Table {selectedTableNumber}</h3>
+                <button
+                  type="button"
+                  onClick={() => setSelectedTableNumber(null)}
+                  style={{ border: 'none', background: 'transparent', cursor: 'pointer', color: '#6c757d' }}
+                  aria-label="Close"
+                >
+                  <FaTimes />
+                </button>
+              </div>
+              <p style={{ margin: '0.5rem 0 0.25rem 0' }}>
+                Order #{selectedOrder.order_number || selectedOrder.orderNumber || selectedOrder.id}
+              </p>
+              <p style={{ margin: '0 0 1rem 0', color: '#6c757d', fontSize: '0.9rem' }}>
+                Waiting: {getOrderDuration(selectedOrder.createdAt || selectedOrder.created_at)}
+              </p>
+              {selectedOrderLoaded ? (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                  <button type="button" style={actionButtonStyle('#6f42c1')} onClick={handlePrintBill}>
+                    <FaPrint /> Print Bill
+                  </button>
+                  <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button type="button" style={actionButtonStyle('#28a745')} onClick={() => onMarkPaid(selectedOrder)}>
+                      <FaMoneyBillWave /> Mark Paid
+                    </button>
+                    <button type="button" style={actionButtonStyle('#17a2b8')} onClick={() => onSplitBill(selectedOrder)}>
+                      <FaCut /> Split Bill
+                    </button>
+                  </div>
+                  {onTableActions && (
+                    <button type="button" style={actionButtonStyle('#495057')} onClick={() => onTableActions(selectedOrder)}>
+                      <FaExchangeAlt /> Move / Merge / Split Table
+                    </button>
+                  )}
+                </div>
+              ) : (
+                <p style={{ margin: 0, color: '#6c757d', fontSize: '0.85rem' }}>
+                  This order is outside the selected date range. Widen the date filter to manage it here.
+                </p>
+              )}
+            </div>
+          ) : (
+            <p style={{ color: '#6c757d' }}>Tap an occupied table to print the bill or take payment.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TableFloorView;
@@ -0,0 +1,68 @@
+import React, { useState, useEffect } from 'react';
+import { useToast } from '../contexts/ToastContext';
+import { getTerminalLock, normalizeTerminalLock } from '../utils/terminalLock';
+import { loadTerminalLock, saveTerminalLock } from '../services/businessInfoService';
+
+/**
+ * Admin setting for how long a terminal may sit idle before it locks to the PIN screen.
+ * Saved through businessInfoAPI; App applies it via `useInactivityLock`.
+ */
+const TerminalLockSettings = () => {
+  const { showSuccess, showError } = useToast();
+  const [form, setForm] = useState(() => getTerminalLock());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadTerminalLock().then(settings => {
+      if (!cancelled) setForm(settings);
+    });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleSave = async () => {
+    if (form.autoLockMinutes === '' || Number(form.autoLockMinutes) < 0) {
+      showError('Enter the minutes before a terminal locks, or 0 to turn auto-lock off');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const saved = await saveTerminalLock(normalizeTerminalLock(form));
+      setForm(saved);
+      showSuccess('Terminal lock settings saved');
+    } catch (err) {
+      showError(err.formattedMessage || err.response?.data?.error || 'Failed to save terminal lock settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="settings-section">
+      <h3>Terminal Lock</h3>
+      <p>
+        Idle terminals lock to a screen of user tiles, and the next person signs in with their PIN. Open carts
+        are kept for each user. Set PINs in the Users tab.
+      </p>
+
+      <div className="form-group" style={{ width: '220px' }}>
+        <label>Auto-lock After (minutes)</label>
+        <input
+          type="number"
+          min="0"
+          max="240"
+          step="1"
+          value={form.autoLockMinutes}
+          onChange={(e) => setForm(prev => ({ ...prev, autoLockMinutes: e.target.value }))}
+        />
+      </div>
+
+      <button className="btn-primary" onClick={handleSave} disabled={saving}>
+        {saving ? 'Saving...' : 'Save Lock Settings'}
+      </button>
+    </div>
+  );
+};
+
+export default TerminalLockSettings;
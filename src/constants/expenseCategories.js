@@ -1,37 +1,117 @@
-export const EXPENSE_CATEGORIES = [
-  'Inventory purchases',
-  'Staff salaries',
-  'Utilities (electricity, gas)',
-  'Rent',
-  'Maintenance',
-  'Marketing',
-];
+/**
+ * Expense categories are managed by admins and stored on the server (`expenseCategoriesAPI`):
+ *   { id, name, parentId, usesUnits, defaultPaymentMethod, archived }
+ * Expenses store the category's `name`, so names are unique across the whole tree and
+ * the server renames the category on its expenses when an admin renames it.
+ * The server seeds the built-in list below on first run; until it answers (offline,
+ * older server) the built-ins are used as they are.
+ *
+ * Archived categories are hidden from pickers (along with their sub-categories) but
+ * still recognised on existing expenses.
+ */
 
-export const EXPENSE_CATEGORY_SET = new Set(EXPENSE_CATEGORIES);
+const BUILT_IN_CATEGORIES = [
+  { name: 'Inventory purchases', usesUnits: true },
+  { name: 'Staff salaries', defaultPaymentMethod: 'bank_transfer' },
+  { name: 'Utilities (electricity, gas)' },
+  { name: 'Rent', defaultPaymentMethod: 'bank_transfer' },
+  { name: 'Maintenance' },
+  { name: 'Marketing' },
+];
 
-// Only categories that represent item-based purchases should require Quantity/Unit.
-// Everything else is typically a single amount (e.g., salaries, rent, utilities).
-export const EXPENSE_CATEGORIES_WITH_UNITS = [
-  'Inventory purchases',
+export const PAYMENT_METHOD_OPTIONS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'bank_transfer', label: 'Bank Transfer' },
 ];
 
-const EXPENSE_CATEGORIES_WITH_UNITS_SET = new Set(EXPENSE_CATEGORIES_WITH_UNITS);
+export function normalizeExpenseCategory(raw) {
+  if (!raw) return null;
+  const method = raw.defaultPaymentMethod ?? raw.default_payment_method ?? '';
+  return {
+    id: raw.id ?? null,
+    name: String(raw.name ?? '').trim(),
+    parentId: raw.parentId ?? raw.parent_id ?? null,
+    usesUnits: raw.usesUnits === true || raw.uses_units === true || raw.uses_units === 1,
+    defaultPaymentMethod: PAYMENT_METHOD_OPTIONS.some(o => o.value === method) ? method : '',
+    archived: raw.archived === true || raw.archived === 1,
+  };
+}
+
+/**
+ * Flat list in tree order (each parent followed by its sub-categories, alphabetical
+ * within a level) with `depth`, `path` ('Utilities / Gas') and `hidden` (archived
+ * itself or under an archived parent). Orphans are treated as top level.
+ */
+export function normalizeExpenseCategories(list) {
+  const categories = (Array.isArray(list) ? list : [])
+    .map(normalizeExpenseCategory)
+    .filter(c => c && c.name);
+  const ids = new Set(categories.map(c => String(c.id)));
+  const childrenOf = new Map();
+  categories.forEach(c => {
+    const parentKey = c.parentId !== null && ids.has(String(c.parentId)) && String(c.parentId) !== String(c.id)
+      ? String(c.parentId)
+      : '';
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(c);
+  });
+
+  const ordered = [];
+  const visited = new Set();
+  const walk = (parentKey, depth, parentPath, parentHidden) => {
+    (childrenOf.get(parentKey) || [])
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(c => {
+        if (visited.has(String(c.id))) return;
+        visited.add(String(c.id));
+        const path = parentPath ? `${parentPath} / ${c.name}` : c.name;
+        const hidden = parentHidden || c.archived;
+        ordered.push({ ...c, depth, path, hidden });
+        walk(String(c.id), depth + 1, path, hidden);
+      });
+  };
+  walk('', 0, '', false);
+  return ordered;
+}
+
+export const DEFAULT_EXPENSE_CATEGORIES = normalizeExpenseCategories(BUILT_IN_CATEGORIES);
+
+/** Names of the categories that can be picked for new expenses. */
+export const getActiveCategoryNames = (categories = DEFAULT_EXPENSE_CATEGORIES) =>
+  categories.filter(c => !c.hidden).map(c => c.name);
+
+export const findExpenseCategory = (name, categories = DEFAULT_EXPENSE_CATEGORIES) => {
+  const val = (name || '').trim().toLowerCase();
+  return categories.find(c => c.name.toLowerCase() === val) || null;
+};
 
-export function expenseCategoryUsesUnits(category) {
+// Only categories that represent item-based purchases should require Quantity/Unit.
+// Everything else is typically a single amount (e.g., salaries, rent, utilities).
+export function expenseCategoryUsesUnits(category, categories = DEFAULT_EXPENSE_CATEGORIES) {
   const val = (category || '').trim();
   if (!val) return true; // default UI state before selection
-  return EXPENSE_CATEGORIES_WITH_UNITS_SET.has(val);
+  return !!findExpenseCategory(val, categories)?.usesUnits;
 }
 
-export function getExpenseCategoryOptions(currentCategory) {
+const indent = (depth) => '\u00A0\u00A0\u00A0'.repeat(depth);
+
+/**
+ * `{ value, label }` options for a category picker: active categories in tree order
+ * (sub-categories indented), plus the current value if it has been archived.
+ */
+export function getExpenseCategoryOptions(currentCategory, categories = DEFAULT_EXPENSE_CATEGORIES) {
   const current = (currentCategory || '').trim();
-  if (!current || EXPENSE_CATEGORIES.includes(current)) return EXPENSE_CATEGORIES;
+  const options = categories
+    .filter(c => !c.hidden || c.name === current)
+    .map(c => ({ value: c.name, label: `${indent(c.depth)}${c.name}${c.hidden ? ' (archived)' : ''}` }));
+  if (!current || options.some(o => o.value === current)) return options;
   // Preserve legacy / custom category values in edit mode without blocking save.
-  return [...EXPENSE_CATEGORIES, current];
+  return [...options, { value: current, label: current }];
 }
 
-export function isValidExpenseCategory(category) {
+/** Blank, or any known category (archived ones included, for existing expenses). */
+export function isValidExpenseCategory(category, categories = DEFAULT_EXPENSE_CATEGORIES) {
   const val = (category || '').trim();
   if (!val) return true; // allow blank/uncategorized
-  return EXPENSE_CATEGORY_SET.has(val);
+  return !!findExpenseCategory(val, categories);
 }
@@ -0,0 +1,23 @@
+export {
+  useRecurringExpensesQuery,
+  useDraftExpensesQuery,
+  useExpenseApprovalsQuery,
+  useExpenseBudgetsQuery,
+  useExpenseCategoriesQuery,
+  useExpenseAttachmentsQuery,
+  useExpenseAttachmentFileQuery,
+  fetchExpenseAttachments,
+  fetchExpenseAttachmentBlob
+} from './useExpenseQueries';
+export {
+  useSaveRecurringExpenseMutation,
+  useDeleteRecurringExpenseMutation,
+  useGenerateRecurringDraftsMutation,
+  useApproveDraftExpenseMutation,
+  useDiscardDraftExpenseMutation,
+  useReviewExpenseMutation,
+  useSaveExpenseBudgetsMutation,
+  useSaveExpenseCategoryMutation,
+  useAddExpenseAttachmentsMutation,
+  useDeleteExpenseAttachmentMutation
+} from './useExpenseMutations';
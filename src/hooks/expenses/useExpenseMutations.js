@@ -0,0 +1,153 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { recurringExpensesAPI, expenseBudgetsAPI, expensesAPI, expenseCategoriesAPI, expenseAttachmentsAPI } from '../../services/api';
+import { syncExpenseAttachments } from '../../services/offlineSyncService';
+import { expenseKeys } from '../../lib/queryKeys';
+import { getDueOccurrences, buildDraftExpense } from '../../utils/recurringExpenses';
+import { serializeBudgets } from '../../utils/expenseBudgets';
+import { prepareAttachment } from '../../utils/receiptAttachments';
+import { saveExpenseAttachment, deleteExpenseAttachment } from '../../utils/offlineDB';
+
+// Categories, templates, drafts and budgets all feed the expense screen, so refresh them together
+function invalidateExpenses(queryClient) {
+  queryClient.invalidateQueries({ queryKey: expenseKeys.all });
+}
+
+export function useSaveRecurringExpenseMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? recurringExpensesAPI.update(id, data) : recurringExpensesAPI.create(data)),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+export function useDeleteRecurringExpenseMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => recurringExpensesAPI.delete(id),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/**
+ * Creates a draft for every due occurrence of `templates`. Each template's
+ * `lastGeneratedFor` moves on after every draft, so a failure part way through
+ * never duplicates the drafts already made. Resolves to the number created.
+ */
+export function useGenerateRecurringDraftsMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: async ({ templates, categories, today = new Date() }) => {
+      let created = 0;
+      for (const template of templates) {
+        for (const date of getDueOccurrences(template, today)) {
+          await expensesAPI.create(buildDraftExpense(template, date, categories));
+          await recurringExpensesAPI.update(template.id, { lastGeneratedFor: date });
+          created += 1;
+        }
+      }
+      return created;
+    },
+    onSettled: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/**
+ * Posts a draft at the checked amount: approved, or submitted when `status` says it
+ * needs someone else's approval (see `getSubmitStatus`).
+ */
+export function useApproveDraftExpenseMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, amount, status = 'approved' }) => expensesAPI.update(id, { status, amount, unitPrice: amount }),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+export function useDiscardDraftExpenseMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => expensesAPI.delete(id),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/** Approves or rejects a submitted expense with the reviewer's comment. */
+export function useReviewExpenseMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, status, comment }) => expensesAPI.review(id, { status, comment }),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+export function useSaveExpenseBudgetsMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (budgets) => expenseBudgetsAPI.save({ budgets: serializeBudgets(budgets) }),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/** Creates or updates a category; archiving is an update with `archived: true`. */
+export function useSaveExpenseCategoryMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? expenseCategoriesAPI.update(id, data) : expenseCategoriesAPI.create(data)),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/**
+ * Compresses `files` and keeps them in IndexedDB against the expense, then tries to
+ * upload them straight away. Anything that can't go up yet is sent by the background
+ * sync. Rejects before saving anything if one of the files isn't a usable receipt.
+ * Resolves to `{ saved, synced }`.
+ */
+export function useAddExpenseAttachmentsMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: async ({ expenseId, files }) => {
+      const prepared = [];
+      for (const file of files) {
+        prepared.push(await prepareAttachment(file));
+      }
+      for (const attachment of prepared) {
+        await saveExpenseAttachment({ expenseId, ...attachment });
+      }
+      const { synced } = await syncExpenseAttachments(expenseId);
+      return { saved: prepared.length, synced };
+    },
+    onSettled: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
+
+/** Removes an uploaded receipt, or drops one that is still waiting to sync. */
+export function useDeleteExpenseAttachmentMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ expenseId, attachment }) => (attachment.pending
+      ? deleteExpenseAttachment(attachment.id)
+      : expenseAttachmentsAPI.delete(expenseId, attachment.id)),
+    onSuccess: () => {
+      invalidateExpenses(queryClient);
+    },
+  });
+}
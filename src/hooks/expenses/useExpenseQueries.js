@@ -0,0 +1,116 @@
+import { useQuery } from '@tanstack/react-query';
+import { recurringExpensesAPI, expenseBudgetsAPI, expensesAPI, expenseCategoriesAPI, expenseAttachmentsAPI } from '../../services/api';
+import { expenseKeys } from '../../lib/queryKeys';
+import { normalizeRecurringExpenses, isDraftExpense } from '../../utils/recurringExpenses';
+import { normalizeBudgets } from '../../utils/expenseBudgets';
+import { DEFAULT_EXPENSE_CATEGORIES, normalizeExpenseCategories } from '../../constants/expenseCategories';
+import { normalizeAttachment } from '../../utils/receiptAttachments';
+import { getPendingExpenseAttachments } from '../../utils/offlineDB';
+import { getExpenseStatus } from '../../utils/expenseApproval';
+
+const unwrapList = (res, key) => {
+  const data = res?.data?.data ?? res?.data;
+  return Array.isArray(data?.[key]) ? data[key] : data;
+};
+
+export function useRecurringExpensesQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.recurring(),
+    queryFn: async () => normalizeRecurringExpenses(unwrapList(await recurringExpensesAPI.getAll(), 'recurringExpenses')),
+    enabled,
+  });
+}
+
+/** Drafts generated from recurring templates, whatever their date, oldest first. */
+export function useDraftExpensesQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.drafts(),
+    queryFn: async () => {
+      const list = unwrapList(await expensesAPI.getAll({ status: 'draft', limit: 10000 }), 'expenses');
+      return (Array.isArray(list) ? list : [])
+        .filter(isDraftExpense)
+        .sort((a, b) => new Date(a.expenseDate || a.expense_date || 0) - new Date(b.expenseDate || b.expense_date || 0));
+    },
+    enabled,
+  });
+}
+
+/** Expenses submitted for approval, whatever their date, oldest first. */
+export function useExpenseApprovalsQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.approvals(),
+    queryFn: async () => {
+      const list = unwrapList(await expensesAPI.getAll({ status: 'submitted', limit: 10000 }), 'expenses');
+      return (Array.isArray(list) ? list : [])
+        .filter(e => getExpenseStatus(e) === 'submitted')
+        .sort((a, b) => new Date(a.expenseDate || a.expense_date || 0) - new Date(b.expenseDate || b.expense_date || 0));
+    },
+    enabled,
+  });
+}
+
+export function useExpenseBudgetsQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.budgets(),
+    queryFn: async () => normalizeBudgets(unwrapList(await expenseBudgetsAPI.get(), 'budgets')),
+    enabled,
+    staleTime: 5 * 60 * 1000,
+  });
+}
+
+/**
+ * Expense categories in tree order. Falls back to the built-in list while loading,
+ * when offline or if the server has none, so pickers always have something to show.
+ */
+export function useExpenseCategoriesQuery({ enabled = true } = {}) {
+  const query = useQuery({
+    queryKey: expenseKeys.categories(),
+    queryFn: async () => normalizeExpenseCategories(unwrapList(await expenseCategoriesAPI.getAll(), 'categories')),
+    enabled,
+    staleTime: 5 * 60 * 1000,
+  });
+  const categories = query.data?.length ? query.data : DEFAULT_EXPENSE_CATEGORIES;
+  return { ...query, categories };
+}
+
+/**
+ * An expense's uploaded receipts followed by the ones still waiting in IndexedDB
+ * (`pending: true`, with their `blob`). Offline, the waiting ones are still returned.
+ */
+export async function fetchExpenseAttachments(expenseId) {
+  const pending = (await getPendingExpenseAttachments(expenseId))
+    .map(a => ({ ...normalizeAttachment(a), pending: true, blob: a.blob }));
+  let uploaded = [];
+  try {
+    const list = unwrapList(await expenseAttachmentsAPI.getAll(expenseId), 'attachments');
+    uploaded = (Array.isArray(list) ? list : []).map(normalizeAttachment).filter(Boolean);
+  } catch (err) {
+    if (!pending.length) throw err;
+  }
+  return [...uploaded, ...pending];
+}
+
+/** The file behind an attachment from `fetchExpenseAttachments`, as a Blob. */
+export async function fetchExpenseAttachmentBlob(expenseId, attachment) {
+  if (attachment.pending) return attachment.blob;
+  const res = await expenseAttachmentsAPI.getFile(expenseId, attachment.id);
+  return res.data;
+}
+
+export function useExpenseAttachmentsQuery(expenseId, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.attachments(expenseId),
+    queryFn: () => fetchExpenseAttachments(expenseId),
+    enabled: enabled && expenseId != null,
+  });
+}
+
+// Uploaded files never change, so each one is only downloaded once per session
+export function useExpenseAttachmentFileQuery(expenseId, attachment, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: expenseKeys.attachmentFile(expenseId, attachment?.id),
+    queryFn: () => fetchExpenseAttachmentBlob(expenseId, attachment),
+    enabled: enabled && !!attachment,
+    staleTime: Infinity,
+  });
+}
@@ -1,2 +1,12 @@
 export { useDebouncedValue } from './useDebouncedValue';
+export { usePricingConfig } from './usePricingConfig';
+export { useBusinessSettings } from './useBusinessSettings';
+export { useFloorPlan } from './useFloorPlan';
+export { useManagerOverride } from './useManagerOverride';
+export { usePermissions } from './usePermissions';
+export { useInactivityLock } from './useInactivityLock';
 export * from './customers';
+export * from './promotions';
+export * from './inventory';
+export * from './suppliers';
+export * from './expenses';
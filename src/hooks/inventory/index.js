@@ -0,0 +1,12 @@
+export {
+  useIngredientsQuery,
+  useLowStockIngredients,
+  useStockMovementsQuery,
+  useStockTakesQuery
+} from './useInventoryQueries';
+export {
+  useSaveIngredientMutation,
+  useDeleteIngredientMutation,
+  useStockMovementMutation,
+  useStockTakeMutation
+} from './useInventoryMutations';
@@ -0,0 +1,48 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { inventoryAPI } from '../../services/api';
+import { inventoryKeys } from '../../lib/queryKeys';
+
+// Every inventory write changes stock, so refresh ingredients, movements and stock takes together
+function invalidateInventory(queryClient) {
+  queryClient.invalidateQueries({ queryKey: inventoryKeys.all });
+}
+
+export function useSaveIngredientMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? inventoryAPI.updateIngredient(id, data) : inventoryAPI.createIngredient(data)),
+    onSuccess: () => {
+      invalidateInventory(queryClient);
+    },
+  });
+}
+
+export function useDeleteIngredientMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => inventoryAPI.deleteIngredient(id),
+    onSuccess: () => {
+      invalidateInventory(queryClient);
+    },
+  });
+}
+
+export function useStockMovementMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => inventoryAPI.addMovement(data),
+    onSuccess: () => {
+      invalidateInventory(queryClient);
+    },
+  });
+}
+
+export function useStockTakeMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (data) => inventoryAPI.createStockTake(data),
+    onSuccess: () => {
+      invalidateInventory(queryClient);
+    },
+  });
+}
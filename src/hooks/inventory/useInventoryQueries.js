@@ -0,0 +1,46 @@
+import { useQuery } from '@tanstack/react-query';
+import { inventoryAPI } from '../../services/api';
+import { inventoryKeys } from '../../lib/queryKeys';
+import {
+  normalizeIngredients,
+  normalizeMovements,
+  normalizeStockTakes,
+  getLowStockIngredients
+} from '../../utils/inventory';
+
+const unwrapList = (res, key) => {
+  const data = res?.data?.data ?? res?.data;
+  return Array.isArray(data?.[key]) ? data[key] : data;
+};
+
+export function useIngredientsQuery({ enabled = true, refetchInterval = false } = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.ingredients(),
+    queryFn: async () => normalizeIngredients(unwrapList(await inventoryAPI.getIngredients(), 'ingredients')),
+    enabled,
+    refetchInterval,
+    staleTime: 30 * 1000,
+  });
+}
+
+/** Low-stock ingredients for the portal alerts; refreshed every few minutes. */
+export function useLowStockIngredients({ enabled = true } = {}) {
+  const query = useIngredientsQuery({ enabled, refetchInterval: 5 * 60 * 1000 });
+  return getLowStockIngredients(query.data);
+}
+
+export function useStockMovementsQuery(params, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.movements(params),
+    queryFn: async () => normalizeMovements(unwrapList(await inventoryAPI.getMovements(params), 'movements')),
+    enabled,
+  });
+}
+
+export function useStockTakesQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: inventoryKeys.stockTakes(),
+    queryFn: async () => normalizeStockTakes(unwrapList(await inventoryAPI.getStockTakes(), 'stockTakes')),
+    enabled,
+  });
+}
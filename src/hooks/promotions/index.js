@@ -0,0 +1,2 @@
+export { usePromotionsQuery } from './usePromotionsQuery';
+export { useSavePromotionMutation, useDeletePromotionMutation } from './usePromotionMutations';
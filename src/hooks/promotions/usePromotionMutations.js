@@ -0,0 +1,27 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { promotionsAPI } from '../../services/api';
+import { promotionKeys } from '../../lib/queryKeys';
+
+function invalidatePromotions(queryClient) {
+  queryClient.invalidateQueries({ queryKey: promotionKeys.all });
+}
+
+export function useSavePromotionMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? promotionsAPI.update(id, data) : promotionsAPI.create(data)),
+    onSuccess: () => {
+      invalidatePromotions(queryClient);
+    },
+  });
+}
+
+export function useDeletePromotionMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => promotionsAPI.delete(id),
+    onSuccess: () => {
+      invalidatePromotions(queryClient);
+    },
+  });
+}
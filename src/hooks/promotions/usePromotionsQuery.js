@@ -0,0 +1,17 @@
+import { useQuery } from '@tanstack/react-query';
+import { promotionsAPI } from '../../services/api';
+import { promotionKeys } from '../../lib/queryKeys';
+import { normalizePromotions } from '../../utils/promotions';
+
+export function usePromotionsQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: promotionKeys.lists(),
+    queryFn: async () => {
+      const res = await promotionsAPI.getAll();
+      const data = res?.data?.data ?? res?.data;
+      return normalizePromotions(Array.isArray(data?.promotions) ? data.promotions : data);
+    },
+    enabled,
+    staleTime: 60 * 1000,
+  });
+}
@@ -0,0 +1,12 @@
+export {
+  useSuppliersQuery,
+  usePurchaseOrdersQuery,
+  useUnpaidExpensesQuery
+} from './useSupplierQueries';
+export {
+  useSaveSupplierMutation,
+  useDeleteSupplierMutation,
+  useSavePurchaseOrderMutation,
+  useReceivePurchaseOrderMutation,
+  useMarkExpensesPaidMutation
+} from './useSupplierMutations';
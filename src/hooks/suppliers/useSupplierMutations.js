@@ -0,0 +1,62 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+import { suppliersAPI, purchaseOrdersAPI, expensesAPI } from '../../services/api';
+import { supplierKeys, expenseKeys, inventoryKeys } from '../../lib/queryKeys';
+
+// Receipts and payments move supplier balances, so refresh suppliers, POs and payables together
+function invalidateSuppliers(queryClient) {
+  queryClient.invalidateQueries({ queryKey: supplierKeys.all });
+}
+
+export function useSaveSupplierMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? suppliersAPI.update(id, data) : suppliersAPI.create(data)),
+    onSuccess: () => {
+      invalidateSuppliers(queryClient);
+    },
+  });
+}
+
+export function useDeleteSupplierMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: (id) => suppliersAPI.delete(id),
+    onSuccess: () => {
+      invalidateSuppliers(queryClient);
+    },
+  });
+}
+
+export function useSavePurchaseOrderMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => (id ? purchaseOrdersAPI.update(id, data) : purchaseOrdersAPI.create(data)),
+    onSuccess: () => {
+      invalidateSuppliers(queryClient);
+    },
+  });
+}
+
+export function useReceivePurchaseOrderMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ id, data }) => purchaseOrdersAPI.receive(id, data),
+    onSuccess: () => {
+      invalidateSuppliers(queryClient);
+      // The receipt also books expenses and stock
+      queryClient.invalidateQueries({ queryKey: expenseKeys.all });
+      queryClient.invalidateQueries({ queryKey: inventoryKeys.all });
+    },
+  });
+}
+
+export function useMarkExpensesPaidMutation() {
+  const queryClient = useQueryClient();
+  return useMutation({
+    mutationFn: ({ ids, paymentMethod, paidAt = new Date().toISOString() }) =>
+      Promise.all(ids.map(id => expensesAPI.update(id, { paymentStatus: 'paid', paymentMethod, paidAt }))),
+    onSuccess: () => {
+      invalidateSuppliers(queryClient);
+    },
+  });
+}
@@ -0,0 +1,41 @@
+import { useQuery } from '@tanstack/react-query';
+import { suppliersAPI, purchaseOrdersAPI, expensesAPI } from '../../services/api';
+import { supplierKeys } from '../../lib/queryKeys';
+import { normalizeSuppliers, normalizePurchaseOrders, isPayable } from '../../utils/suppliers';
+
+const unwrapList = (res, key) => {
+  const data = res?.data?.data ?? res?.data;
+  return Array.isArray(data?.[key]) ? data[key] : data;
+};
+
+export function useSuppliersQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: supplierKeys.list(),
+    queryFn: async () => normalizeSuppliers(unwrapList(await suppliersAPI.getAll(), 'suppliers')),
+    enabled,
+    staleTime: 30 * 1000,
+  });
+}
+
+export function usePurchaseOrdersQuery(params, { enabled = true } = {}) {
+  return useQuery({
+    queryKey: supplierKeys.purchaseOrders(params),
+    queryFn: async () => normalizePurchaseOrders(unwrapList(await purchaseOrdersAPI.getAll(params), 'purchaseOrders')),
+    enabled,
+  });
+}
+
+/**
+ * Every payable supplier expense, whatever its date, for the payables report. Bills
+ * awaiting approval or rejected are left out.
+ */
+export function useUnpaidExpensesQuery({ enabled = true } = {}) {
+  return useQuery({
+    queryKey: supplierKeys.payables(),
+    queryFn: async () => {
+      const list = unwrapList(await expensesAPI.getAll({ paymentStatus: 'unpaid', limit: 10000 }), 'expenses');
+      return Array.isArray(list) ? list.filter(isPayable) : [];
+    },
+    enabled,
+  });
+}
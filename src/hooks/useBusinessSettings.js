@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getBusinessSettings, BUSINESS_SETTINGS_EVENT } from '../utils/businessSettings';
+
+/**
+ * Business name, currency, logo and receipt text; re-renders when an admin saves new settings.
+ */
+export function useBusinessSettings() {
+  const [settings, setSettings] = useState(getBusinessSettings);
+
+  useEffect(() => {
+    const handleUpdate = () => setSettings(getBusinessSettings());
+    window.addEventListener(BUSINESS_SETTINGS_EVENT, handleUpdate);
+    return () => window.removeEventListener(BUSINESS_SETTINGS_EVENT, handleUpdate);
+  }, []);
+
+  return settings;
+}
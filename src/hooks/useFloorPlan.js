@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getFloorPlan, FLOOR_PLAN_EVENT } from '../utils/floorPlan';
+
+/**
+ * Current dine-in floor plan; re-renders when an admin saves a new layout.
+ */
+export function useFloorPlan() {
+  const [plan, setPlan] = useState(getFloorPlan);
+
+  useEffect(() => {
+    const handleUpdate = () => setPlan(getFloorPlan());
+    window.addEventListener(FLOOR_PLAN_EVENT, handleUpdate);
+    return () => window.removeEventListener(FLOOR_PLAN_EVENT, handleUpdate);
+  }, []);
+
+  return plan;
+}
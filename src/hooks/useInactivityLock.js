@@ -0,0 +1,39 @@
+import { useState, useEffect, useRef } from 'react';
+import { getTerminalLock, TERMINAL_LOCK_EVENT } from '../utils/terminalLock';
+
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+/**
+ * Calls `onLock` after the admin-set minutes without a tap, click or key press.
+ * Does nothing while `enabled` is false or auto-lock is off.
+ */
+export function useInactivityLock(onLock, enabled = true) {
+  const [settings, setSettings] = useState(getTerminalLock);
+  const onLockRef = useRef(onLock);
+  onLockRef.current = onLock;
+
+  useEffect(() => {
+    const handleUpdate = () => setSettings(getTerminalLock());
+    window.addEventListener(TERMINAL_LOCK_EVENT, handleUpdate);
+    return () => window.removeEventListener(TERMINAL_LOCK_EVENT, handleUpdate);
+  }, []);
+
+  const minutes = settings.autoLockMinutes;
+
+  useEffect(() => {
+    if (!enabled || !minutes) return undefined;
+
+    let timer = null;
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => onLockRef.current(), minutes * 60 * 1000);
+    };
+
+    reset();
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, reset, { passive: true }));
+    return () => {
+      clearTimeout(timer);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, reset));
+    };
+  }, [enabled, minutes]);
+}
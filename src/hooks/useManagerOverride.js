@@ -0,0 +1,63 @@
+import { useState, useCallback } from 'react';
+import {
+  buildApprovalRecord,
+  canApproveOverrides,
+  getOverrideActionLabel,
+  isOverrideAction
+} from '../utils/managerOverride';
+import { getSessionUser } from '../utils/permissions';
+
+/**
+ * Gate a POS action behind the manager PIN policy.
+ *
+ *   const { requestOverride, overrideModalProps } = useManagerOverride();
+ *   const { approved, approval } = await requestOverride('cancel', { message, details });
+ *   if (!approved) return;
+ *   // ...send `approval` with the change so it is recorded on the order
+ *
+ * Render `<ManagerOverrideModal {...overrideModalProps} />` once in the screen.
+ * `approval` is null when the action doesn't need one. A manager's PIN approval carries
+ * the server's approval token; managers and admins get their own approval record
+ * without a prompt or token, and the server checks their permission instead.
+ */
+export function useManagerOverride() {
+  const [request, setRequest] = useState(null);
+
+  const requestOverride = useCallback((action, { title, message, details = '', context } = {}) => {
+    const user = getSessionUser();
+    if (!isOverrideAction(action, context)) {
+      return Promise.resolve({ approved: true, approval: null });
+    }
+    if (canApproveOverrides(user)) {
+      return Promise.resolve({ approved: true, approval: buildApprovalRecord(action, user, user, details) });
+    }
+    return new Promise(resolve => {
+      setRequest({ action, title, message, details, user, resolve });
+    });
+  }, []);
+
+  // A promise only settles once, so the close that follows an approval is a no-op
+  const handleApproved = useCallback((approver, token) => {
+    if (!request) return;
+    request.resolve({ approved: true, approval: buildApprovalRecord(request.action, approver, request.user, request.details, token) });
+    setRequest(null);
+  }, [request]);
+
+  const handleCancel = useCallback(() => {
+    if (!request) return;
+    request.resolve({ approved: false, approval: null });
+    setRequest(null);
+  }, [request]);
+
+  return {
+    requestOverride,
+    overrideModalProps: {
+      isOpen: !!request,
+      action: request?.action,
+      title: request?.title || (request ? `Manager Approval: ${getOverrideActionLabel(request.action)}` : ''),
+      message: request?.message || 'A manager must enter their PIN to continue.',
+      onApproved: handleApproved,
+      onCancel: handleCancel
+    }
+  };
+}
@@ -0,0 +1,25 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getRolesConfig, getSessionUser, hasPermission, ROLES_EVENT } from '../utils/permissions';
+
+/**
+ * `can(permission)` for the signed-in user (or `user` when given); re-renders when an
+ * admin saves new role permissions.
+ */
+export function usePermissions(user) {
+  const [config, setConfig] = useState(getRolesConfig);
+
+  useEffect(() => {
+    const handleUpdate = () => setConfig(getRolesConfig());
+    window.addEventListener(ROLES_EVENT, handleUpdate);
+    return () => window.removeEventListener(ROLES_EVENT, handleUpdate);
+  }, []);
+
+  const currentUser = user ?? getSessionUser();
+  const can = useCallback(
+    (permission) => hasPermission(currentUser, permission, config),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [currentUser?.role, config]
+  );
+
+  return { can, config };
+}
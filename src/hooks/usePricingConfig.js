@@ -0,0 +1,17 @@
+import { useState, useEffect } from 'react';
+import { getPricingConfig, PRICING_CONFIG_EVENT } from '../utils/pricing';
+
+/**
+ * Current tax / service charge config; re-renders when an admin saves new settings.
+ */
+export function usePricingConfig() {
+  const [config, setConfig] = useState(getPricingConfig);
+
+  useEffect(() => {
+    const handleUpdate = () => setConfig(getPricingConfig());
+    window.addEventListener(PRICING_CONFIG_EVENT, handleUpdate);
+    return () => window.removeEventListener(PRICING_CONFIG_EVENT, handleUpdate);
+  }, []);
+
+  return config;
+}
@@ -12,3 +12,34 @@ export const customerKeys = {
   addressesRoot: () => [...customerKeys.all, 'addresses'],
   addresses: (id) => [...customerKeys.addressesRoot(), id],
 };
+
+export const promotionKeys = {
+  all: ['promotions'],
+  lists: () => [...promotionKeys.all, 'list'],
+  usage: (start, end) => [...promotionKeys.all, 'usage', { start, end }],
+};
+
+export const inventoryKeys = {
+  all: ['inventory'],
+  ingredients: () => [...inventoryKeys.all, 'ingredients'],
+  movements: (params) => [...inventoryKeys.all, 'movements', params],
+  stockTakes: () => [...inventoryKeys.all, 'stock-takes'],
+};
+
+export const supplierKeys = {
+  all: ['suppliers'],
+  list: () => [...supplierKeys.all, 'list'],
+  purchaseOrders: (params) => [...supplierKeys.all, 'purchase-orders', params],
+  payables: () => [...supplierKeys.all, 'payables'],
+};
+
+export const expenseKeys = {
+  all: ['expenses'],
+  recurring: () => [...expenseKeys.all, 'recurring'],
+  drafts: () => [...expenseKeys.all, 'drafts'],
+  budgets: () => [...expenseKeys.all, 'budgets'],
+  categories: () => [...expenseKeys.all, 'categories'],
+  approvals: () => [...expenseKeys.all, 'approvals'],
+  attachments: (expenseId) => [...expenseKeys.all, 'attachments', String(expenseId)],
+  attachmentFile: (expenseId, id) => [...expenseKeys.attachments(expenseId), 'file', String(id)],
+};
@@ -2,6 +2,7 @@ import axios from 'axios';
 import { cacheAPIResponse, getCachedAPIResponse } from '../services/cacheService';
 import { isOnline } from './offlineSyncService';
 import { serverErrorService } from './serverErrorService';
+import { sessionService } from './sessionService';
 
 // Use environment variable for API URL
 // Debug: Log all environment variables that start with REACT_APP
@@ -23,6 +24,67 @@ const api = axios.create({
   withCredentials: true,
 });
 
+let refreshPromise = null;
+
+// Single flight: every request that gets a 401 while a refresh is running waits for the same one.
+// Plain axios, so a failed refresh doesn't come back through the interceptors.
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshPromise = (refreshToken
+      ? axios.post(`${API_BASE_URL}/api/auth/refresh`, { refreshToken }, { withCredentials: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then((response) => {
+        const data = response.data?.data ?? response.data;
+        if (!data?.accessToken) {
+          throw new Error('Refresh response had no access token');
+        }
+        localStorage.setItem('token', data.accessToken);
+        if (data.refreshToken) {
+          localStorage.setItem('refreshToken', data.refreshToken);
+        }
+        return data.accessToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Retries a 401 with a fresh token. If the refresh fails the request waits for the re-login
+// modal (sessionService) instead of being dropped, so carts and unsynced work stay put.
+const recoverFromUnauthorized = async (error, url) => {
+  const config = error.config;
+
+  if (!config._refreshed) {
+    // Another request already refreshed the token while this one was in flight
+    const currentToken = localStorage.getItem('token');
+    if (currentToken && config.headers?.Authorization !== `Bearer ${currentToken}`) {
+      config._refreshed = true;
+      return api(config);
+    }
+    try {
+      await refreshAccessToken();
+      config._refreshed = true;
+      return api(config);
+    } catch (refreshError) {
+      console.warn('🔴 Token refresh failed:', refreshError.message);
+    }
+  }
+
+  // The startup session check has nothing to keep; App shows the login screen
+  if (url.includes('/auth/me')) {
+    localStorage.removeItem('token');
+    localStorage.removeItem('user');
+    return Promise.reject(error);
+  }
+
+  await sessionService.waitForReauth(error);
+  config._refreshed = true;
+  return api(config);
+};
+
 // Add request interceptor for auth token and logging
 api.interceptors.request.use(
   (config) => {
@@ -174,24 +236,13 @@ api.interceptors.response.use(
       serverErrorService.triggerError(error);
     }
 
-    // Handle unauthorized - clear auth and redirect
-    if (error.response?.status === 401) {
-      // Don't redirect if we're already on the login page or if it's the me check
-      const isAuthCheck = url.includes('/auth/me');
-      const isLoginPage = window.location.pathname === '/login';
-
-      if (!isAuthCheck && !isLoginPage) {
-        console.warn('🔴 Unauthorized - redirecting to login');
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
-      } else {
-        // Just clear local storage if auth check failed (so we don't try again with invalid token)
-        if (isAuthCheck) {
-          localStorage.removeItem('token');
-          localStorage.removeItem('user');
-        }
-      }
+    // Handle unauthorized - refresh the token and retry, or hold the request until the user signs in again
+    // A wrong password or PIN is answered with 401 but leaves the current session alone
+    const isCredentialCheck = ['/auth/login', '/auth/refresh', '/auth/logout', '/auth/pin-login', '/auth/verify-pin', '/attendance/clock-']
+      .some(path => url.includes(path));
+
+    if (error.response?.status === 401 && error.config && !isCredentialCheck) {
+      return recoverFromUnauthorized(error, url);
     }
 
     return Promise.reject(error);
@@ -203,6 +254,12 @@ export const authAPI = {
   login: (credentials) => api.post('/api/auth/login', credentials),
   logout: () => api.post('/api/auth/logout'),
   getCurrentUser: () => api.get('/api/auth/me'),
+  // Checks a manager PIN for an override; returns the approving user and a short-lived
+  // approvalToken for that action, which the order endpoints check (utils/managerOverride)
+  verifyManagerPin: (data) => api.post('/api/auth/verify-pin', data),
+  // Lock screen tiles: users with a PIN set
+  getPinUsers: () => api.get('/api/auth/pin-users'),
+  pinLogin: (data) => api.post('/api/auth/pin-login', data),
 };
 
 // Categories API
@@ -228,7 +285,7 @@ export const ordersAPI = {
   getById: (id) => api.get(`/api/orders/${id}`),
   getOrderItems: (id) => api.get(`/api/orders/${id}/items`),
   update: (id, data) => api.put(`/api/orders/${id}`, data),
-  cancelOrder: (id) => api.put(`/api/orders/${id}/cancel`),
+  cancelOrder: (id, data) => api.put(`/api/orders/${id}/cancel`, data),
 
   // Dine-in orders
   getDineInOrders: (params = {}) => {
@@ -237,7 +294,18 @@ export const ordersAPI = {
   },
   getDineInStats: (params = {}, config = {}) => api.get('/api/orders/dine-in/stats', { params, ...config }),
   markAsPaid: (id, data) => api.put(`/api/orders/${id}/mark-paid`, data),
+  getPayments: (id) => api.get(`/api/orders/${id}/payments`),
+  addPayment: (id, data) => api.post(`/api/orders/${id}/payments`, data),
   getTableAvailability: () => api.get('/api/orders/dine-in/tables/availability'),
+  transferTable: (id, data) => api.put(`/api/orders/${id}/table`, data),
+  mergeOrders: (id, data) => api.post(`/api/orders/${id}/merge`, data),
+  splitOrder: (id, data) => api.post(`/api/orders/${id}/split`, data),
+  addHistoryEntry: (id, data) => api.post(`/api/orders/${id}/history`, data),
+  addApproval: (id, data) => api.post(`/api/orders/${id}/approvals`, data),
+
+  // Refunds (server checks the approval token and the refundable quantities)
+  getRefunds: (id) => api.get(`/api/orders/${id}/refunds`),
+  createRefund: (id, data) => api.post(`/api/orders/${id}/refunds`, data),
 
   // Delivery orders
   getDeliveryOrders: (params = {}) => {
@@ -302,6 +370,115 @@ export const expensesAPI = {
   create: (data) => api.post('/api/expenses', data),
   update: (id, data) => api.put(`/api/expenses/${id}`, data),
   delete: (id) => api.delete(`/api/expenses/${id}`),
+  // Approve or reject a submitted expense: { status, comment }; the server adds it to approvalHistory
+  review: (id, data) => api.post(`/api/expenses/${id}/review`, data),
+};
+
+// Expense attachments API (receipt photos and PDFs; files go up as multipart and come back as blobs)
+export const expenseAttachmentsAPI = {
+  getAll: (expenseId) => api.get(`/api/expenses/${expenseId}/attachments`),
+  upload: (expenseId, file, name) => {
+    const form = new FormData();
+    form.append('file', file, name);
+    return api.post(`/api/expenses/${expenseId}/attachments`, form, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  getFile: (expenseId, id) => api.get(`/api/expenses/${expenseId}/attachments/${id}/file`, { responseType: 'blob' }),
+  delete: (expenseId, id) => api.delete(`/api/expenses/${expenseId}/attachments/${id}`),
+};
+
+// Expense categories API (nested, archived rather than deleted; expenses store the name)
+export const expenseCategoriesAPI = {
+  getAll: (params) => api.get('/api/expense-categories', { params }),
+  create: (data) => api.post('/api/expense-categories', data),
+  update: (id, data) => api.put(`/api/expense-categories/${id}`, data),
+};
+
+// Recurring expenses API (templates; their drafts are posted through expensesAPI)
+export const recurringExpensesAPI = {
+  getAll: (params) => api.get('/api/recurring-expenses', { params }),
+  create: (data) => api.post('/api/recurring-expenses', data),
+  update: (id, data) => api.put(`/api/recurring-expenses/${id}`, data),
+  delete: (id) => api.delete(`/api/recurring-expenses/${id}`),
+};
+
+// Expense budgets API (one monthly amount per category, saved as a whole list)
+export const expenseBudgetsAPI = {
+  get: () => api.get('/api/expense-budgets'),
+  save: (data) => api.put('/api/expense-budgets', data),
+};
+
+// Audit log API (every order and money mutation, with before/after snapshots)
+export const auditAPI = {
+  getAll: (params) => api.get('/api/audit-log', { params }),
+};
+
+// Refunds API (all refunds in a date range, for the sales reports)
+export const refundsAPI = {
+  getAll: (params) => api.get('/api/refunds', { params }),
+};
+
+// Cash drawer shifts API (opening float, cash in/out, close with counted cash)
+export const shiftsAPI = {
+  getAll: (params) => api.get('/api/shifts', { params }),
+  getCurrent: (params) => api.get('/api/shifts/current', { params }),
+  getReport: (id) => api.get(`/api/shifts/${id}/report`),
+  open: (data) => api.post('/api/shifts', data),
+  addMovement: (id, data) => api.post(`/api/shifts/${id}/movements`, data),
+  close: (id, data) => api.put(`/api/shifts/${id}/close`, data),
+};
+
+// Inventory API (ingredients, stock movements and stock takes; the server keeps stock in sync)
+export const inventoryAPI = {
+  getIngredients: (params) => api.get('/api/inventory/ingredients', { params }),
+  createIngredient: (data) => api.post('/api/inventory/ingredients', data),
+  updateIngredient: (id, data) => api.put(`/api/inventory/ingredients/${id}`, data),
+  deleteIngredient: (id) => api.delete(`/api/inventory/ingredients/${id}`),
+  getMovements: (params) => api.get('/api/inventory/movements', { params }),
+  addMovement: (data) => api.post('/api/inventory/movements', data),
+  getStockTakes: (params) => api.get('/api/inventory/stock-takes', { params }),
+  createStockTake: (data) => api.post('/api/inventory/stock-takes', data),
+};
+
+// Suppliers API (each supplier's balance is its unpaid expenses)
+export const suppliersAPI = {
+  getAll: (params) => api.get('/api/suppliers', { params }),
+  create: (data) => api.post('/api/suppliers', data),
+  update: (id, data) => api.put(`/api/suppliers/${id}`, data),
+  delete: (id) => api.delete(`/api/suppliers/${id}`),
+};
+
+// Purchase orders API (a receipt books its expenses, stock-in movements and PO lines in one call;
+// a repeated `receiptKey` returns the first result instead of booking the delivery again)
+export const purchaseOrdersAPI = {
+  getAll: (params) => api.get('/api/purchase-orders', { params }),
+  create: (data) => api.post('/api/purchase-orders', data),
+  update: (id, data) => api.put(`/api/purchase-orders/${id}`, data),
+  receive: (id, data) => api.post(`/api/purchase-orders/${id}/receipts`, data),
+};
+
+// Attendance API (clock in/out with a PIN from the lock screen)
+export const attendanceAPI = {
+  getAll: (params) => api.get('/api/attendance', { params }),
+  clockIn: (data) => api.post('/api/attendance/clock-in', data),
+  clockOut: (data) => api.post('/api/attendance/clock-out', data),
+};
+
+// Payroll API (one run per month; its salary expenses are posted through expensesAPI)
+export const payrollAPI = {
+  getAll: (params) => api.get('/api/payroll', { params }),
+  create: (data) => api.post('/api/payroll', data),
+  update: (id, data) => api.put(`/api/payroll/${id}`, data),
+};
+
+// Promotions API (coupon codes and automatic deals)
+export const promotionsAPI = {
+  getAll: (params) => api.get('/api/promotions', { params }),
+  create: (data) => api.post('/api/promotions', data),
+  update: (id, data) => api.put(`/api/promotions/${id}`, data),
+  delete: (id) => api.delete(`/api/promotions/${id}`),
+  getUsageReport: (params) => api.get('/api/promotions/report', { params }),
 };
 
 // Printer API - UPDATED TO MATCH BACKEND ROUTES
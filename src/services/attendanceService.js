@@ -0,0 +1,48 @@
+/**
+ * Clock in / out from the lock screen. Online, the server checks the PIN. Offline, the
+ * PIN is checked against the cached hash and the punch is queued; the sync replays it
+ * without the PIN, with the original actor and time (see utils/auditLog). Wrong PINs
+ * count towards the same per-user limit as PIN sign-in.
+ */
+import { attendanceAPI } from './api';
+import { isOnline } from './offlineSyncService';
+import { assertPinAllowed, registerPinFailure, verifyCachedPin } from './pinLoginService';
+import { addPendingOperation } from '../utils/offlineDB';
+import { getTerminalId } from '../utils/cashShift';
+import { clearPinFailures } from '../utils/terminalLock';
+import { normalizeAttendanceRecord } from '../utils/attendance';
+
+/**
+ * @param {Object} pinUser - Lock screen tile ({ id, name })
+ * @param {string} pin
+ * @param {'in'|'out'} direction
+ * @returns {Promise<{ record: Object|null, queued: boolean, occurredAt: string }>}
+ */
+export async function clockWithPin(pinUser, pin, direction) {
+  const punch = { userId: pinUser.id, terminalId: getTerminalId(), occurredAt: new Date().toISOString() };
+  assertPinAllowed(pinUser.id);
+
+  if (await isOnline()) {
+    try {
+      const call = direction === 'out' ? attendanceAPI.clockOut : attendanceAPI.clockIn;
+      const response = await call({ ...punch, pin });
+      const record = normalizeAttendanceRecord(response.data?.data ?? response.data);
+      clearPinFailures(pinUser.id);
+      return { record, queued: false, occurredAt: punch.occurredAt };
+    } catch (err) {
+      if (err.response?.status === 401) throw await registerPinFailure(pinUser.id);
+      if (err.response) throw err;
+      console.warn('[attendance] Server unreachable, queueing the punch');
+    }
+  }
+
+  await verifyCachedPin(pinUser.id, pin);
+  await addPendingOperation({
+    type: direction === 'out' ? 'clock_out' : 'clock_in',
+    endpoint: `/api/attendance/clock-${direction === 'out' ? 'out' : 'in'}`,
+    method: 'POST',
+    data: { ...punch, offline: true },
+    actor: { id: pinUser.id, name: pinUser.name }
+  });
+  return { record: null, queued: true, occurredAt: punch.occurredAt };
+}
@@ -0,0 +1,200 @@
+import { businessInfoAPI } from './api';
+import { PRICING_CONFIG_KEY, setPricingConfig, getPricingConfig } from '../utils/pricing';
+import { BUSINESS_INFO_KEYS, getBusinessSettings, setBusinessSettings } from '../utils/businessSettings';
+import { FLOOR_PLAN_KEY, getFloorPlan, setFloorPlan } from '../utils/floorPlan';
+import { KITCHEN_STATIONS_KEY, getKitchenStations, setKitchenStations } from '../utils/kitchenStations';
+import { OVERRIDE_POLICY_KEY, getOverridePolicy, setOverridePolicy } from '../utils/managerOverride';
+import { ROLES_CONFIG_KEY, getRolesConfig, setRolesConfig } from '../utils/permissions';
+import { TERMINAL_LOCK_KEY, getTerminalLock, setTerminalLock } from '../utils/terminalLock';
+import { ATTENDANCE_POLICY_KEY, getAttendancePolicy, setAttendancePolicy } from '../utils/attendance';
+import { EXPENSE_APPROVAL_POLICY_KEY, getExpenseApprovalPolicy, setExpenseApprovalPolicy } from '../utils/expenseApproval';
+
+/**
+ * Business-info is a key/value store on the backend. Depending on the server
+ * version `getAll` returns either `[{ key, value }]` or a plain `{ key: value }` map.
+ */
+export const readBusinessInfoValue = (data, key) => {
+  const root = data?.data ?? data;
+  if (Array.isArray(root)) {
+    const row = root.find(r => r?.key === key || r?.info_key === key);
+    return row ? (row.value ?? row.info_value) : undefined;
+  }
+  return root && typeof root === 'object' ? root[key] : undefined;
+};
+
+/** Refresh the pricing config from the server; keeps the cached copy when offline. */
+export const loadPricingConfig = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, PRICING_CONFIG_KEY);
+    if (value !== undefined && value !== null) {
+      return setPricingConfig(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached pricing config:', err.message);
+  }
+  return getPricingConfig();
+};
+
+export const savePricingConfig = async (config) => {
+  await businessInfoAPI.update(PRICING_CONFIG_KEY, JSON.stringify(config));
+  return setPricingConfig(config);
+};
+
+/** Refresh business details (name, currency, logo, ...) from the server; keeps the cached copy when offline. */
+export const loadBusinessSettings = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const next = { ...getBusinessSettings() };
+    Object.entries(BUSINESS_INFO_KEYS).forEach(([field, key]) => {
+      const value = readBusinessInfoValue(response.data, key);
+      if (value !== undefined && value !== null) next[field] = value;
+    });
+    return setBusinessSettings(next);
+  } catch (err) {
+    console.warn('[businessInfo] Using cached business settings:', err.message);
+  }
+  return getBusinessSettings();
+};
+
+/** Save only the fields that changed; each one is its own business-info key. */
+export const saveBusinessSettings = async (settings) => {
+  const current = getBusinessSettings();
+  const changed = Object.entries(BUSINESS_INFO_KEYS).filter(([field]) => settings[field] !== current[field]);
+  await Promise.all(changed.map(([field, key]) => businessInfoAPI.update(key, settings[field])));
+  return setBusinessSettings({ ...current, ...settings });
+};
+
+/** Refresh the dine-in floor plan from the server; keeps the cached copy when offline. */
+export const loadFloorPlan = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, FLOOR_PLAN_KEY);
+    if (value !== undefined && value !== null) {
+      return setFloorPlan(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached floor plan:', err.message);
+  }
+  return getFloorPlan();
+};
+
+export const saveFloorPlan = async (plan) => {
+  await businessInfoAPI.update(FLOOR_PLAN_KEY, JSON.stringify(plan));
+  return setFloorPlan(plan);
+};
+
+/** Refresh kitchen prep stations and their item assignments; keeps the cached copy when offline. */
+export const loadKitchenStations = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, KITCHEN_STATIONS_KEY);
+    if (value !== undefined && value !== null) {
+      return setKitchenStations(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached kitchen stations:', err.message);
+  }
+  return getKitchenStations();
+};
+
+export const saveKitchenStations = async (config) => {
+  await businessInfoAPI.update(KITCHEN_STATIONS_KEY, JSON.stringify(config));
+  return setKitchenStations(config);
+};
+
+/** Refresh which POS actions need a manager PIN; keeps the cached copy when offline. */
+export const loadOverridePolicy = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, OVERRIDE_POLICY_KEY);
+    if (value !== undefined && value !== null) {
+      return setOverridePolicy(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached override policy:', err.message);
+  }
+  return getOverridePolicy();
+};
+
+export const saveOverridePolicy = async (policy) => {
+  await businessInfoAPI.update(OVERRIDE_POLICY_KEY, JSON.stringify(policy));
+  return setOverridePolicy(policy);
+};
+
+/** Refresh the roles and their permissions; keeps the cached copy when offline. */
+export const loadRolesConfig = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, ROLES_CONFIG_KEY);
+    if (value !== undefined && value !== null) {
+      return setRolesConfig(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached roles:', err.message);
+  }
+  return getRolesConfig();
+};
+
+export const saveRolesConfig = async (config) => {
+  const roles = config.roles.map(({ id, name, permissions }) => ({ id, name, permissions }));
+  await businessInfoAPI.update(ROLES_CONFIG_KEY, JSON.stringify({ roles }));
+  return setRolesConfig({ roles });
+};
+
+/** Refresh the terminal auto-lock settings; keeps the cached copy when offline. */
+export const loadTerminalLock = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, TERMINAL_LOCK_KEY);
+    if (value !== undefined && value !== null) {
+      return setTerminalLock(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached terminal lock settings:', err.message);
+  }
+  return getTerminalLock();
+};
+
+export const saveTerminalLock = async (settings) => {
+  await businessInfoAPI.update(TERMINAL_LOCK_KEY, JSON.stringify(settings));
+  return setTerminalLock(settings);
+};
+
+/** Refresh the shift start, grace period and working days; keeps the cached copy when offline. */
+export const loadAttendancePolicy = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, ATTENDANCE_POLICY_KEY);
+    if (value !== undefined && value !== null) {
+      return setAttendancePolicy(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached attendance policy:', err.message);
+  }
+  return getAttendancePolicy();
+};
+
+export const saveAttendancePolicy = async (policy) => {
+  await businessInfoAPI.update(ATTENDANCE_POLICY_KEY, JSON.stringify(policy));
+  return setAttendancePolicy(policy);
+};
+
+/** Refresh whether large expenses need approval and above what amount; keeps the cached copy when offline. */
+export const loadExpenseApprovalPolicy = async () => {
+  try {
+    const response = await businessInfoAPI.getAll();
+    const value = readBusinessInfoValue(response.data, EXPENSE_APPROVAL_POLICY_KEY);
+    if (value !== undefined && value !== null) {
+      return setExpenseApprovalPolicy(value);
+    }
+  } catch (err) {
+    console.warn('[businessInfo] Using cached expense approval policy:', err.message);
+  }
+  return getExpenseApprovalPolicy();
+};
+
+export const saveExpenseApprovalPolicy = async (policy) => {
+  await businessInfoAPI.update(EXPENSE_APPROVAL_POLICY_KEY, JSON.stringify(policy));
+  return setExpenseApprovalPolicy(policy);
+};
@@ -1,7 +1,7 @@
 // Unified offline sync service for complete PWA offline-first architecture
 import api, { API_BASE_URL } from './api';
 import { customerAPI } from './customerAPI';
-import { ordersAPI } from './api';
+import { ordersAPI, expenseAttachmentsAPI } from './api';
 import {
   getPendingOperations,
   markOperationComplete,
@@ -18,9 +18,12 @@ import {
   getCachedTableAvailability,
   updateSyncMetadata,
   getSyncMetadata,
-  saveCustomer
+  saveCustomer,
+  getPendingExpenseAttachments,
+  deleteExpenseAttachment
 } from '../utils/offlineDB';
 import { clearAllCache } from './cacheService';
+import { getAuditReplayHeaders } from '../utils/auditLog';
 
 // Sync configuration
 const SYNC_INTERVAL = 30000; // 30 seconds polling interval for pending operations (quick sync)
@@ -170,7 +173,7 @@ const processOperation = async (operation) => {
     // Handle delete_customer_address explicitly to allow offline queueing
     if (operation.type === 'delete_customer_address' && operation.endpoint.includes('/customers/addresses/')) {
       try {
-        response = await api.delete(operation.endpoint);
+        response = await api.delete(operation.endpoint, { headers: getAuditReplayHeaders(operation) });
         await markOperationComplete(operation.id);
         // Refresh customer cache if we know the customerId
         const customerId = operation.data?.customerId;
@@ -269,18 +272,21 @@ const processOperation = async (operation) => {
     }
 
 
+    // Original actor and time, for the audit log
+    const replayConfig = { headers: getAuditReplayHeaders(operation) };
+
     switch (operation.method) {
       case 'POST':
-        response = await api.post(endpointToUse, operation.data);
+        response = await api.post(endpointToUse, operation.data, replayConfig);
         break;
       case 'PUT':
-        response = await api.put(endpointToUse, operation.data);
+        response = await api.put(endpointToUse, operation.data, replayConfig);
         break;
       case 'PATCH':
-        response = await api.patch(endpointToUse, operation.data);
+        response = await api.patch(endpointToUse, operation.data, replayConfig);
         break;
       case 'DELETE':
-        response = await api.delete(endpointToUse);
+        response = await api.delete(endpointToUse, replayConfig);
         break;
       default:
         throw new Error(`Unsupported method: ${operation.method}`);
@@ -426,6 +432,36 @@ export const syncPendingOperations = async () => {
   return results;
 };
 
+// Receipts currently uploading, so the background sync and the expense screen don't both send one
+const attachmentsUploading = new Set();
+
+// Upload receipts saved in IndexedDB (all of them, or one expense's) and drop each once the server has it
+export const syncExpenseAttachments = async (expenseId) => {
+  if (!(await isOnline())) {
+    return { synced: 0, failed: 0 };
+  }
+
+  const pending = await getPendingExpenseAttachments(expenseId);
+  const results = { synced: 0, failed: 0 };
+
+  for (const attachment of pending) {
+    if (attachmentsUploading.has(attachment.id)) continue;
+    attachmentsUploading.add(attachment.id);
+    try {
+      await expenseAttachmentsAPI.upload(attachment.expenseId, attachment.blob, attachment.name);
+      await deleteExpenseAttachment(attachment.id);
+      results.synced++;
+    } catch (error) {
+      console.warn(`[Sync] Receipt ${attachment.name} for expense ${attachment.expenseId} not uploaded:`, error.message);
+      results.failed++;
+    } finally {
+      attachmentsUploading.delete(attachment.id);
+    }
+  }
+
+  return results;
+};
+
 // Fetch and cache menu items
 export const syncMenuItems = async () => {
   try {
@@ -903,6 +939,7 @@ export const performFullSync = async () => {
 
   try {
     const opResults = await syncPendingOperations();
+    await syncExpenseAttachments();
 
     // 2. Then fetch fresh data (in parallel where possible)
     // Note: syncCustomers now includes addresses, so it may take longer
@@ -1092,6 +1129,7 @@ export const getSyncStatus = async () => {
 const offlineSyncService = {
   isOnline,
   syncPendingOperations,
+  syncExpenseAttachments,
   performFullSync,
   startAutoSync,
   stopAutoSync,
@@ -0,0 +1,58 @@
+import api from './api';
+import { syncPendingOperations } from './offlineSyncService';
+import { getPendingOperations, markOperationComplete } from '../utils/offlineDB';
+
+jest.mock('./api', () => ({
+  __esModule: true,
+  default: { post: jest.fn(), put: jest.fn(), patch: jest.fn(), delete: jest.fn() },
+  API_BASE_URL: '',
+  ordersAPI: {},
+  expenseAttachmentsAPI: {},
+}));
+jest.mock('./customerAPI', () => ({ customerAPI: {} }));
+jest.mock('./cacheService', () => ({ clearAllCache: jest.fn() }));
+jest.mock('../utils/auditLog', () => ({ getAuditReplayHeaders: () => ({}) }));
+
+// Local orders by IndexedDB key; a synced offline order keeps its key and takes the server id
+let mockLocalOrders = {};
+const mockIdbRequest = (result) => {
+  const request = { result };
+  setTimeout(() => request.onsuccess());
+  return request;
+};
+
+jest.mock('../utils/offlineDB', () => ({
+  getPendingOperations: jest.fn(),
+  markOperationComplete: jest.fn(),
+  markOperationFailed: jest.fn(),
+  markOrderSynced: jest.fn(),
+  openDB: async () => ({
+    transaction: () => ({
+      objectStore: () => ({ get: (key) => mockIdbRequest(mockLocalOrders[key]) }),
+    }),
+  }),
+}));
+
+describe('syncPendingOperations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    api.post.mockResolvedValue({ data: { data: {} } });
+  });
+
+  it('sends a split payment taken on an offline order to the synced order', async () => {
+    mockLocalOrders = { 'OFFLINE-abc': { id: '42', synced: true } };
+    const payment = { amount: 600, shareAmount: 600, paymentMethod: 'cash' };
+    getPendingOperations.mockResolvedValue([{
+      id: 1,
+      type: 'add_order_payment',
+      endpoint: '/api/orders/OFFLINE-abc/payments',
+      method: 'POST',
+      data: payment,
+      offlineId: 'OFFLINE-abc',
+    }]);
+
+    await expect(syncPendingOperations()).resolves.toMatchObject({ synced: 1, failed: 0 });
+    expect(api.post).toHaveBeenCalledWith('/api/orders/42/payments', payment, { headers: {} });
+    expect(markOperationComplete).toHaveBeenCalledWith(1);
+  });
+});
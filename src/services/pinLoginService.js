@@ -0,0 +1,124 @@
+/**
+ * PIN sign-in for the terminal lock screen. Online, the server checks the PIN and a
+ * hash of it is cached with the user's profile; offline, the cached hash is checked
+ * instead and the user is signed in without a server session, so the first request
+ * once the connection is back asks them to sign in again (sessionService).
+ *
+ * Wrong PINs are throttled per user on both paths (utils/terminalLock `recordPinFailure`).
+ */
+import { authAPI } from './api';
+import { isOnline } from './offlineSyncService';
+import { savePinCredential, getPinCredential, clearPinCredential } from '../utils/offlineDB';
+import {
+  cachePinUsers,
+  getCachedPinUsers,
+  createPinCredential,
+  verifyPinCredential,
+  getPinRetryDelay,
+  recordPinFailure,
+  clearPinFailures
+} from '../utils/terminalLock';
+import { getTerminalId } from '../utils/cashShift';
+
+const pinError = (message) => Object.assign(new Error(message), { formattedMessage: message });
+
+// Same keys the password login uses (see components/Login.js)
+function storeAuthSession({ accessToken, refreshToken, user }) {
+  if (accessToken) localStorage.setItem('token', accessToken);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+  if (user) localStorage.setItem('user', JSON.stringify(user));
+}
+
+// Stored tokens belong to whoever last signed in online; anyone else signing in offline
+// must not inherit that server session
+function storeOfflineSession(user) {
+  let current = null;
+  try {
+    current = JSON.parse(localStorage.getItem('user') || 'null');
+  } catch {
+    // treat as another user
+  }
+  if (String(current?.id) !== String(user.id)) {
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+  }
+  storeAuthSession({ user });
+}
+
+/** Throws while `userId` has to wait after too many wrong PINs. */
+export function assertPinAllowed(userId) {
+  const wait = getPinRetryDelay(userId);
+  if (wait > 0) {
+    throw pinError(`Too many wrong PINs. Try again in ${wait} second${wait === 1 ? '' : 's'}`);
+  }
+}
+
+/**
+ * Counts a wrong PIN (checked here or rejected by the server) and returns the error to
+ * show. The last allowed miss wipes the user's offline credential.
+ */
+export async function registerPinFailure(userId) {
+  const { exhausted } = recordPinFailure(userId);
+  if (exhausted) {
+    await clearPinCredential(userId);
+    return pinError('Too many wrong PINs. Sign in online to use this PIN offline again');
+  }
+  return pinError('Incorrect PIN');
+}
+
+/** Users with a PIN, for the lock screen tiles; the cached list when offline. */
+export const loadPinUsers = async () => {
+  if (!(await isOnline())) return getCachedPinUsers();
+  try {
+    const response = await authAPI.getPinUsers();
+    const data = response.data?.data ?? response.data;
+    return cachePinUsers(Array.isArray(data) ? data : data?.users);
+  } catch (err) {
+    console.warn('[pinLogin] Using cached PIN users:', err.message);
+    return getCachedPinUsers();
+  }
+};
+
+/** Signs `userId` in with their PIN and returns the user; throws with `formattedMessage`. */
+export async function signInWithPin(userId, pin) {
+  assertPinAllowed(userId);
+
+  if (await isOnline()) {
+    try {
+      const response = await authAPI.pinLogin({ userId, pin, terminalId: getTerminalId() });
+      const { accessToken, refreshToken, user } = response.data?.data ?? response.data;
+      storeAuthSession({ accessToken, refreshToken, user });
+      clearPinFailures(userId);
+      savePinCredential(user, await createPinCredential(pin));
+      return user;
+    } catch (err) {
+      if (err.response) {
+        // A wrong or changed PIN must stop working offline too
+        if (err.response.status === 401) {
+          await clearPinCredential(userId);
+          recordPinFailure(userId);
+        }
+        throw err;
+      }
+      console.warn('[pinLogin] Server unreachable, checking the cached PIN');
+    }
+  }
+
+  const cached = await verifyCachedPin(userId, pin);
+  storeOfflineSession(cached.user);
+  return cached.user;
+}
+
+/** Checks a PIN against the offline credential cache; returns the cached record or throws. */
+export async function verifyCachedPin(userId, pin) {
+  assertPinAllowed(userId);
+  const cached = await getPinCredential(userId);
+  if (!cached) {
+    throw pinError('This user has not signed in with their PIN on this terminal while online yet');
+  }
+  if (!(await verifyPinCredential(pin, cached.credential))) {
+    throw await registerPinFailure(userId);
+  }
+  clearPinFailures(userId);
+  return cached;
+}
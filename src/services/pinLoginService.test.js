@@ -0,0 +1,68 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import { verifyCachedPin } from './pinLoginService';
+import { createPinCredential } from '../utils/terminalLock';
+import { getPinCredential, clearPinCredential } from '../utils/offlineDB';
+
+jest.mock('./api', () => ({ authAPI: {} }));
+jest.mock('./offlineSyncService', () => ({ isOnline: jest.fn() }));
+jest.mock('../utils/offlineDB', () => ({
+  savePinCredential: jest.fn(),
+  getPinCredential: jest.fn(),
+  clearPinCredential: jest.fn(),
+}));
+
+// jsdom has no SubtleCrypto or TextEncoder; use Node's
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+const user = { id: 7, fullName: 'Ayesha' };
+
+describe('verifyCachedPin', () => {
+  let cached;
+
+  beforeAll(async () => {
+    cached = { user, credential: await createPinCredential('4321') };
+  });
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.clearAllMocks();
+    getPinCredential.mockResolvedValue(cached);
+  });
+
+  it('returns the cached user for the right PIN', async () => {
+    await expect(verifyCachedPin(7, '4321')).resolves.toBe(cached);
+  });
+
+  it('needs an earlier online sign-in', async () => {
+    getPinCredential.mockResolvedValue(null);
+    await expect(verifyCachedPin(7, '4321')).rejects.toThrow('has not signed in with their PIN');
+  });
+
+  it('makes the user wait after repeated wrong PINs', async () => {
+    await expect(verifyCachedPin(7, '0000')).rejects.toThrow('Incorrect PIN');
+    await expect(verifyCachedPin(7, '0000')).rejects.toThrow('Incorrect PIN');
+    await expect(verifyCachedPin(7, '0000')).rejects.toThrow('Incorrect PIN');
+    await expect(verifyCachedPin(7, '4321')).rejects.toThrow('Try again in 30 seconds');
+  });
+
+  it('wipes the offline credential on the last allowed miss', async () => {
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    try {
+      for (let i = 0; i < 4; i += 1) {
+        await expect(verifyCachedPin(7, '0000')).rejects.toThrow('Incorrect PIN');
+        now += 10 * 60 * 1000;
+      }
+      const error = await verifyCachedPin(7, '0000').catch(e => e);
+      expect(error.formattedMessage).toBe('Too many wrong PINs. Sign in online to use this PIN offline again');
+      expect(clearPinCredential).toHaveBeenCalledWith(7);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+});
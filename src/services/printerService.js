@@ -0,0 +1,205 @@
+/**
+ * Raw ESC/POS printing for thermal receipt printers.
+ *
+ * Each terminal picks how its printer is reached (saved in localStorage, since the
+ * till in the kitchen and the one at the counter usually differ):
+ *   html     the browser print dialog (components/Receipt.js), the default
+ *   electron the desktop app's `electronAPI.printer.printRaw` bridge
+ *   webusb   a USB printer claimed directly by Chrome/Edge
+ *   agent    a local print agent accepting raw bytes over HTTP
+ *
+ * `printRawReceipt` / `printRawCombinedReceipt` return false whenever raw printing is
+ * off or fails, and the caller falls back to the HTML receipt.
+ */
+import { PAPER_WIDTHS, toRasterBitmap } from '../utils/escpos';
+import { buildCombinedReceiptBytes, buildReceiptBytes, buildRefundSlipBytes, buildShiftReportBytes } from '../utils/escposReceipt';
+import { getBusinessLogoUrl } from '../utils/businessSettings';
+
+const STORAGE_KEY = 'pos:printer-settings';
+
+export const PRINTER_TRANSPORTS = {
+  html: 'Browser print dialog',
+  electron: 'Desktop app (USB / serial)',
+  webusb: 'USB printer (WebUSB)',
+  agent: 'Local print agent (HTTP)',
+};
+
+export const DEFAULT_PRINTER_SETTINGS = {
+  transport: 'html',
+  agentUrl: 'http://localhost:9100/print',
+  paperWidth: 80,
+  printLogo: true,
+  openDrawer: false,
+  qrText: '',
+};
+
+export function getPrinterSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    const settings = { ...DEFAULT_PRINTER_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    return {
+      ...settings,
+      transport: PRINTER_TRANSPORTS[settings.transport] ? settings.transport : 'html',
+      paperWidth: PAPER_WIDTHS[settings.paperWidth] ? Number(settings.paperWidth) : 80,
+    };
+  } catch {
+    return DEFAULT_PRINTER_SETTINGS;
+  }
+}
+
+export function savePrinterSettings(settings) {
+  const next = { ...getPrinterSettings(), ...settings };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  return getPrinterSettings();
+}
+
+// ==================== TRANSPORTS ====================
+
+// ESC/POS printers use the USB printer class (7)
+const USB_PRINTER_CLASS = 0x07;
+let usbDevice = null;
+
+const findBulkOutEndpoint = (device) => {
+  for (const iface of device.configuration?.interfaces || []) {
+    const alternate = iface.alternate || iface.alternates?.[0];
+    const endpoint = alternate?.endpoints?.find(e => e.direction === 'out' && e.type === 'bulk');
+    if (endpoint) return { interfaceNumber: iface.interfaceNumber, endpointNumber: endpoint.endpointNumber };
+  }
+  return null;
+};
+
+const openUsbDevice = async (device) => {
+  if (!device.opened) await device.open();
+  if (!device.configuration) await device.selectConfiguration(1);
+  const target = findBulkOutEndpoint(device);
+  if (!target) throw new Error('Printer has no bulk OUT endpoint');
+  const claimed = device.configuration.interfaces.find(i => i.interfaceNumber === target.interfaceNumber)?.claimed;
+  if (!claimed) await device.claimInterface(target.interfaceNumber);
+  usbDevice = { device, endpointNumber: target.endpointNumber };
+  return usbDevice;
+};
+
+/**
+ * Ask the user to pick a USB printer. Browsers only allow this from a click, so it is
+ * called from the printer settings; afterwards the device is reopened automatically.
+ */
+export async function connectUsbPrinter() {
+  if (!navigator.usb) throw new Error('WebUSB is not supported in this browser');
+  const device = await navigator.usb.requestDevice({ filters: [{ classCode: USB_PRINTER_CLASS }] });
+  await openUsbDevice(device);
+  return device.productName || 'USB printer';
+}
+
+const getUsbDevice = async () => {
+  if (usbDevice?.device.opened) return usbDevice;
+  if (!navigator.usb) throw new Error('WebUSB is not supported in this browser');
+  const [device] = await navigator.usb.getDevices();
+  if (!device) throw new Error('No USB printer connected');
+  return openUsbDevice(device);
+};
+
+const transports = {
+  electron: async (bytes) => {
+    const printer = window.electronAPI?.printer;
+    if (!printer?.printRaw) throw new Error('Desktop printer bridge is not available');
+    const result = await printer.printRaw(Array.from(bytes));
+    if (result && result.success === false) throw new Error(result.error || 'Printer error');
+  },
+
+  webusb: async (bytes) => {
+    const { device, endpointNumber } = await getUsbDevice();
+    await device.transferOut(endpointNumber, bytes);
+  },
+
+  agent: async (bytes, settings) => {
+    const response = await fetch(settings.agentUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: bytes,
+    });
+    if (!response.ok) throw new Error(`Print agent responded ${response.status}`);
+  },
+};
+
+// ==================== LOGO ====================
+
+let logoCache = null;
+
+/** Business logo scaled to fit the paper and reduced to 1-bit, cached per URL. */
+const loadLogoRaster = (url, maxDots) => {
+  const cacheKey = `${url}|${maxDots}`;
+  if (logoCache?.key === cacheKey) return logoCache.promise;
+
+  const promise = new Promise((resolve) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    img.onload = () => {
+      try {
+        // Keep the logo to about half the paper so it doesn't feed half a receipt
+        const width = Math.min(Math.round(maxDots / 2), img.naturalWidth);
+        const height = Math.round(img.naturalHeight * (width / img.naturalWidth));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, width, height);
+        resolve(toRasterBitmap(ctx.getImageData(0, 0, width, height)));
+      } catch (e) {
+        // Cross-origin logos taint the canvas; print without one
+        console.warn('[printer] Could not rasterize logo:', e.message);
+        resolve(null);
+      }
+    };
+    img.onerror = () => resolve(null);
+    img.src = url;
+  });
+  logoCache = { key: cacheKey, promise };
+  return promise;
+};
+
+// ==================== PRINTING ====================
+
+const getRenderOptions = async (settings) => {
+  const { columns, dots } = PAPER_WIDTHS[settings.paperWidth];
+  const logo = settings.printLogo ? await loadLogoRaster(getBusinessLogoUrl(), dots) : null;
+  return { columns, logo, qrText: settings.qrText, openDrawer: settings.openDrawer };
+};
+
+const sendBytes = async (settings, buildBytes) => {
+  const transport = transports[settings.transport];
+  if (!transport) return false;
+  try {
+    const bytes = buildBytes(await getRenderOptions(settings));
+    // Nothing to print (e.g. an order edit with no kitchen changes) still counts as handled
+    if (bytes) await transport(bytes, settings);
+    return true;
+  } catch (err) {
+    console.warn(`[printer] ${settings.transport} printing failed, falling back to browser print:`, err.message);
+    return false;
+  }
+};
+
+/** Print a customer or kitchen receipt as raw ESC/POS; false means use the HTML receipt. */
+export const printRawReceipt = (orderData, printStage) =>
+  sendBytes(getPrinterSettings(), options => buildReceiptBytes(orderData, printStage, options));
+
+export const printRawCombinedReceipt = (orderData) =>
+  sendBytes(getPrinterSettings(), options => buildCombinedReceiptBytes(orderData, options));
+
+export const printRawShiftReport = (report, kind) =>
+  sendBytes(getPrinterSettings(), options => buildShiftReportBytes(report, kind, options));
+
+export const printRawRefundSlip = (refund, order) =>
+  sendBytes(getPrinterSettings(), options => buildRefundSlipBytes(refund, order, options));
+
+/** Short sample receipt to check the connection from the settings screen. */
+export async function printTestReceipt(settings = getPrinterSettings()) {
+  const transport = transports[settings.transport];
+  if (!transport) throw new Error('Select a raw printer connection first');
+  const bytes = buildReceiptBytes({
+    order_type: 'dine_in',
+    order_number: 'TEST',
+    items: [{ name: 'Test item', quantity: 1, price: 0 }],
+  }, 'customer', { ...(await getRenderOptions(settings)), openDrawer: false });
+  await transport(bytes, settings);
+}
@@ -5,6 +5,7 @@
  */
 
 import { openDB } from './cacheService';
+import { getAuditActor } from '../utils/auditLog';
 
 const MAX_RETRIES = 5;
 const INITIAL_RETRY_DELAY = 1000; // 1 second
@@ -49,6 +50,7 @@ export const queueOperation = async (operation) => {
         // Create new operation
         const queuedOperation = {
           ...operation,
+          actor: operation.actor ?? getAuditActor(),
           idempotencyKey,
           status: 'pending',
           retryCount: 0,
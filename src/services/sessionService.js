@@ -0,0 +1,63 @@
+/**
+ * Service to bridge an expired session between the axios interceptor and the re-login modal.
+ * Requests that get a 401 after the token refresh failed wait here until the user signs
+ * in again, then api.js retries them. Signing out instead rejects them.
+ */
+
+let expiredCallback = null;
+let waiting = [];
+
+export const sessionService = {
+  /**
+   * Register a callback to be called when the session can't be refreshed
+   * @param {Function} callback - Called with no arguments
+   */
+  setExpiredHandler: (callback) => {
+    expiredCallback = callback;
+  },
+
+  /**
+   * Unregister the expired handler
+   */
+  clearExpiredHandler: () => {
+    expiredCallback = null;
+  },
+
+  /**
+   * Hold a failed request until the user signs in again
+   * @param {Error} error - The 401 error; the promise rejects with it if nobody can sign in
+   * @returns {Promise<void>} Resolves once the session is back
+   */
+  waitForReauth: (error) => {
+    if (typeof expiredCallback !== 'function') {
+      return Promise.reject(error);
+    }
+    return new Promise((resolve, reject) => {
+      waiting.push({ resolve, reject, error });
+      expiredCallback();
+    });
+  },
+
+  /**
+   * Number of requests waiting for the user to sign in again
+   */
+  getWaitingCount: () => waiting.length,
+
+  /**
+   * Release the waiting requests after a successful sign-in
+   */
+  resume: () => {
+    const released = waiting;
+    waiting = [];
+    released.forEach(({ resolve }) => resolve());
+  },
+
+  /**
+   * Reject the waiting requests (the user signed out instead)
+   */
+  abandon: () => {
+    const released = waiting;
+    waiting = [];
+    released.forEach(({ reject, error }) => reject(error));
+  }
+};
@@ -10,6 +10,7 @@ import { getPendingOperations, markOperationComplete, markOperationFailed, getRe
 import { invalidateCache, getCachedAPIResponse } from './cacheService';
 import { isOnline } from './offlineSyncService';
 import { broadcastChannel } from './dataService';
+import { getAuditReplayHeaders } from '../utils/auditLog';
 
 const SYNC_INTERVAL = 10000; // 10 seconds
 const SYNC_BATCH_SIZE = 5;
@@ -82,19 +83,21 @@ const processOperation = async (operation) => {
     }
     
     let response;
+    // Original actor and time, for the audit log
+    const replayConfig = { headers: getAuditReplayHeaders(operation) };
     
     switch (operation.method) {
       case 'POST':
-        response = await api.post(operation.endpoint, operation.data);
+        response = await api.post(operation.endpoint, operation.data, replayConfig);
         break;
       case 'PUT':
-        response = await api.put(operation.endpoint, operation.data);
+        response = await api.put(operation.endpoint, operation.data, replayConfig);
         break;
       case 'PATCH':
-        response = await api.patch(operation.endpoint, operation.data);
+        response = await api.patch(operation.endpoint, operation.data, replayConfig);
         break;
       case 'DELETE':
-        response = await api.delete(operation.endpoint);
+        response = await api.delete(operation.endpoint, replayConfig);
         break;
       default:
         throw new Error(`Unsupported method: ${operation.method}`);
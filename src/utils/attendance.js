@@ -0,0 +1,224 @@
+/**
+ * Staff attendance and the monthly payroll run.
+ *
+ * Staff clock in and out from the lock screen with their PIN. The server keeps one
+ * record per clock-in:
+ *   { id, userId, userName, date, clockIn, clockOut, terminalId, offline }
+ * Lateness and absences are worked out here against the admin-set policy (stored under
+ * the `attendance_policy` business-info key):
+ *   shiftStart: 'HH:mm'     when staff are due
+ *   graceMinutes: number    clock-ins up to this many minutes after shiftStart are on time
+ *   workingDays: number[]   days of the week staff work (0 = Sunday)
+ *   latesPerAbsence: number this many late arrivals cost one day's pay (0 = never)
+ *
+ * Payroll pays `monthly_salary` from the Users tab, less a day's pay for each absence,
+ * the late penalty, other deductions and advances already paid. Posting a run records it
+ * (`payrollAPI`) and adds one expense per person under "Staff salaries".
+ */
+import dayjs from 'dayjs';
+import { roundMoney } from './money';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const ATTENDANCE_POLICY_KEY = 'attendance_policy';
+const STORAGE_KEY = 'pos:attendance-policy';
+export const ATTENDANCE_POLICY_EVENT = 'attendancePolicyUpdated';
+
+export const PAYROLL_EXPENSE_CATEGORY = 'Staff salaries';
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const DEFAULT_ATTENDANCE_POLICY = {
+  shiftStart: '10:00',
+  graceMinutes: 10,
+  workingDays: [1, 2, 3, 4, 5, 6],
+  latesPerAbsence: 3,
+};
+
+export const DAY_STATUSES = {
+  present: { label: 'Present', color: '#28a745', background: '#e6f4ea' },
+  late: { label: 'Late', color: '#b7791f', background: '#fff8e1' },
+  absent: { label: 'Absent', color: '#dc3545', background: '#fdecea' },
+  off: { label: 'Day off', color: '#6c757d', background: '#f1f3f5' },
+  upcoming: { label: '', color: '#adb5bd', background: 'white' },
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+export function normalizeAttendancePolicy(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const shiftStart = /^\d{2}:\d{2}$/.test(value.shiftStart ?? value.shift_start ?? '')
+    ? (value.shiftStart ?? value.shift_start)
+    : DEFAULT_ATTENDANCE_POLICY.shiftStart;
+  const workingDays = Array.isArray(value.workingDays ?? value.working_days)
+    ? [...new Set((value.workingDays ?? value.working_days).map(Number).filter(d => d >= 0 && d <= 6))].sort()
+    : DEFAULT_ATTENDANCE_POLICY.workingDays;
+  const grace = parseInt(value.graceMinutes ?? value.grace_minutes, 10);
+  const lates = parseInt(value.latesPerAbsence ?? value.lates_per_absence, 10);
+  return {
+    shiftStart,
+    graceMinutes: Number.isFinite(grace) ? Math.max(0, grace) : DEFAULT_ATTENDANCE_POLICY.graceMinutes,
+    workingDays,
+    latesPerAbsence: Number.isFinite(lates) ? Math.max(0, lates) : DEFAULT_ATTENDANCE_POLICY.latesPerAbsence,
+  };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeAttendancePolicy, ATTENDANCE_POLICY_EVENT);
+
+export const getAttendancePolicy = store.get;
+export const setAttendancePolicy = store.set;
+
+// ==================== NORMALIZATION ====================
+
+export function normalizeAttendanceRecord(raw) {
+  if (!raw) return null;
+  const clockIn = raw.clockIn ?? raw.clock_in ?? null;
+  return {
+    id: raw.id ?? null,
+    userId: raw.userId ?? raw.user_id ?? null,
+    userName: raw.userName ?? raw.user_name ?? raw.fullName ?? raw.full_name ?? '',
+    date: raw.date ?? raw.work_date ?? (clockIn ? dayjs(clockIn).format('YYYY-MM-DD') : null),
+    clockIn,
+    clockOut: raw.clockOut ?? raw.clock_out ?? null,
+    terminalId: raw.terminalId ?? raw.terminal_id ?? null,
+    offline: raw.offline === true || raw.offline === 1,
+  };
+}
+
+export const normalizeAttendanceRecords = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeAttendanceRecord).filter(r => r && r.date);
+
+export function normalizePayrollRun(raw) {
+  if (!raw) return null;
+  const lines = parseMaybeJson(raw.lines) || [];
+  return {
+    id: raw.id ?? null,
+    month: raw.month ?? '',
+    status: raw.status === 'posted' ? 'posted' : 'draft',
+    lines: (Array.isArray(lines) ? lines : []).map(l => ({
+      userId: l.userId ?? l.user_id ?? null,
+      userName: l.userName ?? l.user_name ?? '',
+      salary: toNumber(l.salary),
+      workingDays: toNumber(l.workingDays ?? l.working_days),
+      presentDays: toNumber(l.presentDays ?? l.present_days),
+      absentDays: toNumber(l.absentDays ?? l.absent_days),
+      lateCount: toNumber(l.lateCount ?? l.late_count),
+      absentDeduction: toNumber(l.absentDeduction ?? l.absent_deduction),
+      lateDeduction: toNumber(l.lateDeduction ?? l.late_deduction),
+      deductions: toNumber(l.deductions),
+      advances: toNumber(l.advances),
+      netPay: toNumber(l.netPay ?? l.net_pay),
+      expenseId: l.expenseId ?? l.expense_id ?? null,
+    })),
+    postedBy: raw.postedByName ?? raw.posted_by_name ?? raw.postedBy ?? raw.posted_by ?? null,
+    postedAt: raw.postedAt ?? raw.posted_at ?? null,
+  };
+}
+
+// ==================== ATTENDANCE ====================
+
+/** Minutes after the grace period that the first clock-in of the day came in; 0 when on time. */
+export function getLateMinutes(record, policy = getAttendancePolicy()) {
+  if (!record?.clockIn) return 0;
+  const [hours, minutes] = policy.shiftStart.split(':').map(Number);
+  const due = dayjs(record.date).hour(hours).minute(minutes).second(0).add(policy.graceMinutes, 'minute');
+  const late = dayjs(record.clockIn).diff(due, 'minute');
+  return late > 0 ? late : 0;
+}
+
+export function getWorkedMinutes(record) {
+  if (!record?.clockIn || !record?.clockOut) return 0;
+  return Math.max(0, dayjs(record.clockOut).diff(dayjs(record.clockIn), 'minute'));
+}
+
+export const isWorkingDay = (date, policy = getAttendancePolicy()) => policy.workingDays.includes(dayjs(date).day());
+
+/** 'YYYY-MM-DD' for every day of a 'YYYY-MM' month. */
+export function getMonthDates(month) {
+  const start = dayjs(`${month}-01`);
+  return Array.from({ length: start.daysInMonth() }, (_, i) => start.add(i, 'day').format('YYYY-MM-DD'));
+}
+
+/**
+ * One user's month: a status per day plus the totals payroll needs.
+ * Days before `since` (e.g. the user's start date) and after `today` are never absences.
+ */
+export function summarizeAttendance(records, month, policy = getAttendancePolicy(), { today = dayjs().format('YYYY-MM-DD'), since = null } = {}) {
+  const byDate = new Map();
+  records.forEach(r => {
+    if (!byDate.has(r.date)) byDate.set(r.date, []);
+    byDate.get(r.date).push(r);
+  });
+
+  const days = getMonthDates(month).map(date => {
+    const dayRecords = (byDate.get(date) || []).sort((a, b) => String(a.clockIn).localeCompare(String(b.clockIn)));
+    const first = dayRecords[0] || null;
+    let status;
+    if (first) status = getLateMinutes(first, policy) > 0 ? 'late' : 'present';
+    else if (!isWorkingDay(date, policy)) status = 'off';
+    else if (date >= today || (since && date < since)) status = 'upcoming';
+    else status = 'absent';
+    return {
+      date,
+      status,
+      records: dayRecords,
+      lateMinutes: first ? getLateMinutes(first, policy) : 0,
+      workedMinutes: dayRecords.reduce((sum, r) => sum + getWorkedMinutes(r), 0),
+    };
+  });
+
+  return {
+    days,
+    workingDays: days.filter(d => isWorkingDay(d.date, policy)).length,
+    presentDays: days.filter(d => d.status === 'present' || d.status === 'late').length,
+    lateCount: days.filter(d => d.status === 'late').length,
+    absentDays: days.filter(d => d.status === 'absent').length,
+    workedMinutes: days.reduce((sum, d) => sum + d.workedMinutes, 0),
+  };
+}
+
+export const formatWorkedMinutes = (minutes) => `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+
+// ==================== PAYROLL ====================
+
+/** Pay for one person: a day's pay per absence and per `latesPerAbsence` lates, less deductions and advances. */
+export function calculatePayrollLine(user, summary, { deductions = 0, advances = 0 } = {}, policy = getAttendancePolicy()) {
+  const salary = toNumber(user.monthlySalary ?? user.monthly_salary);
+  const dayRate = summary.workingDays > 0 ? salary / summary.workingDays : 0;
+  const lateDays = policy.latesPerAbsence > 0 ? Math.floor(summary.lateCount / policy.latesPerAbsence) : 0;
+  const absentDeduction = roundMoney(dayRate * summary.absentDays);
+  const lateDeduction = roundMoney(dayRate * lateDays);
+  const netPay = roundMoney(Math.max(0, salary - absentDeduction - lateDeduction - toNumber(deductions) - toNumber(advances)));
+  return {
+    userId: user.id,
+    userName: user.fullName || user.full_name || user.username || '',
+    salary: roundMoney(salary),
+    workingDays: summary.workingDays,
+    presentDays: summary.presentDays,
+    absentDays: summary.absentDays,
+    lateCount: summary.lateCount,
+    absentDeduction,
+    lateDeduction,
+    deductions: roundMoney(deductions),
+    advances: roundMoney(advances),
+    netPay,
+  };
+}
+
+/** Expense payload for one payroll line, dated the last day of the month. */
+export function buildSalaryExpense(line, month) {
+  const monthEnd = dayjs(`${month}-01`).endOf('month');
+  const paidOn = monthEnd.isAfter(dayjs()) ? dayjs() : monthEnd;
+  return {
+    description: `Salary - ${line.userName} (${dayjs(`${month}-01`).format('MMMM YYYY')})`,
+    amount: line.netPay,
+    category: PAYROLL_EXPENSE_CATEGORY,
+    paymentMethod: 'cash',
+    quantity: 1,
+    unit: 'N/A',
+    unitPrice: line.netPay,
+    expenseDate: paidOn.toISOString(),
+  };
+}
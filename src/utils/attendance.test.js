@@ -0,0 +1,95 @@
+import {
+  normalizeAttendancePolicy,
+  normalizeAttendanceRecords,
+  getLateMinutes,
+  summarizeAttendance,
+  calculatePayrollLine,
+  formatWorkedMinutes,
+} from './attendance';
+
+// 10:00 start, 10 minutes grace, Monday to Saturday, 3 lates cost a day
+const policy = normalizeAttendancePolicy(null);
+
+// February 2026 starts on a Sunday: 24 working days
+const records = normalizeAttendanceRecords([
+  { id: 1, user_id: 5, clock_in: '2026-02-02T10:05:00', clock_out: '2026-02-02T18:05:00' },
+  { id: 2, user_id: 5, clock_in: '2026-02-03T10:20:00' },
+  { id: 3, user_id: 5, clock_in: '2026-02-04T10:30:00' },
+  { id: 4, user_id: 5, clock_in: '2026-02-05T10:30:00' },
+  { id: 5, user_id: 5, clock_in: '2026-02-06T10:30:00' },
+]);
+
+const summarize = (options = {}) => summarizeAttendance(records, '2026-02', policy, { today: '2026-02-10', ...options });
+
+describe('getLateMinutes', () => {
+  it('counts from the end of the grace period', () => {
+    expect(getLateMinutes(records[0], policy)).toBe(0);
+    expect(getLateMinutes(records[1], policy)).toBe(10);
+  });
+});
+
+describe('summarizeAttendance', () => {
+  it('marks lates and past working days without a clock-in as absences', () => {
+    const summary = summarize();
+    const status = (date) => summary.days.find(d => d.date === date).status;
+    expect(status('2026-02-01')).toBe('off');
+    expect(status('2026-02-02')).toBe('present');
+    expect(status('2026-02-03')).toBe('late');
+    expect(status('2026-02-07')).toBe('absent');
+    expect(status('2026-02-10')).toBe('upcoming');
+    expect(summary).toMatchObject({ workingDays: 24, presentDays: 5, lateCount: 4, absentDays: 2, workedMinutes: 480 });
+  });
+
+  it('never counts days before the start date as absences', () => {
+    expect(summarize({ since: '2026-02-08' }).absentDays).toBe(1);
+  });
+});
+
+describe('calculatePayrollLine', () => {
+  it("takes a day's pay per absence and per three lates, then deductions and advances", () => {
+    const line = calculatePayrollLine({ id: 5, fullName: 'Bilal', monthlySalary: 48000 }, summarize(), { deductions: 500, advances: 1500 }, policy);
+    expect(line).toMatchObject({
+      userId: 5,
+      userName: 'Bilal',
+      salary: 48000,
+      absentDeduction: 4000,
+      lateDeduction: 2000,
+      deductions: 500,
+      advances: 1500,
+      netPay: 40000,
+    });
+  });
+
+  it('rounds the day rate deductions to paisa', () => {
+    const summary = { workingDays: 24, presentDays: 23, absentDays: 1, lateCount: 0 };
+    expect(calculatePayrollLine({ id: 5, monthly_salary: '50000' }, summary, {}, policy).netPay).toBe(47916.67);
+  });
+
+  it('ignores lates when latesPerAbsence is 0', () => {
+    const lenient = normalizeAttendancePolicy({ latesPerAbsence: 0 });
+    const line = calculatePayrollLine({ id: 5, monthlySalary: 48000 }, summarize(), {}, lenient);
+    expect(line.lateDeduction).toBe(0);
+    expect(line.netPay).toBe(44000);
+  });
+
+  it('never pays less than nothing', () => {
+    expect(calculatePayrollLine({ id: 5, monthlySalary: 48000 }, summarize(), { advances: 60000 }, policy).netPay).toBe(0);
+  });
+});
+
+describe('normalizeAttendancePolicy', () => {
+  it('falls back to the defaults for bad values', () => {
+    expect(normalizeAttendancePolicy('{"shift_start":"9am","working_days":[5,1,9,1],"grace_minutes":-5}')).toEqual({
+      shiftStart: '10:00',
+      graceMinutes: 0,
+      workingDays: [1, 5],
+      latesPerAbsence: 3,
+    });
+  });
+});
+
+describe('formatWorkedMinutes', () => {
+  it('shows hours and zero-padded minutes', () => {
+    expect(formatWorkedMinutes(485)).toBe('8h 05m');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Audit trail of order and money mutations.
+ *
+ * The server writes one entry per mutation:
+ *   { id, userId, userName, action, entityType, entityId, entityLabel,
+ *     before, after, offline, occurredAt, recordedAt }
+ * `before` / `after` are snapshots of the changed record. Actions queued offline are
+ * replayed later by the sync queue; the queue sends the original actor and time with
+ * the replay (`getAuditReplayHeaders`) so the entry is attributed to whoever did it,
+ * when they did it, rather than to the sync.
+ */
+import dayjs from 'dayjs';
+import { getSessionUser } from './permissions';
+import { parseMaybeJson } from './configStore';
+
+export const AUDIT_ENTITIES = {
+  order: 'Order',
+  payment: 'Payment',
+  refund: 'Refund',
+  expense: 'Expense',
+  cash_shift: 'Cash drawer',
+  customer: 'Customer',
+  user: 'User',
+  settings: 'Settings',
+};
+
+export const AUDIT_ACTIONS = {
+  create: 'Created',
+  update: 'Edited',
+  delete: 'Deleted',
+  cancel: 'Cancelled',
+  mark_paid: 'Marked paid',
+  revert_payment: 'Payment reverted',
+  refund: 'Refunded',
+  approval: 'Manager approval',
+  role_change: 'Role changed',
+  open: 'Opened',
+  close: 'Closed',
+  cash_movement: 'Cash in / out',
+};
+
+// Before/after snapshots that aren't JSON are shown as they are
+const parseJsonOrRaw = (value) => parseMaybeJson(value, value);
+
+export function normalizeAuditEntry(raw) {
+  if (!raw) return null;
+  return {
+    id: raw.id ?? null,
+    userId: raw.userId ?? raw.user_id ?? null,
+    userName: raw.userName ?? raw.user_name ?? raw.fullName ?? raw.full_name ?? '',
+    action: String(raw.action ?? ''),
+    entityType: String(raw.entityType ?? raw.entity_type ?? ''),
+    entityId: raw.entityId ?? raw.entity_id ?? null,
+    entityLabel: raw.entityLabel ?? raw.entity_label ?? '',
+    before: parseJsonOrRaw(raw.before ?? raw.before_data ?? null),
+    after: parseJsonOrRaw(raw.after ?? raw.after_data ?? null),
+    offline: raw.offline === true || raw.offline === 1,
+    occurredAt: raw.occurredAt ?? raw.occurred_at ?? raw.createdAt ?? raw.created_at ?? null,
+    recordedAt: raw.recordedAt ?? raw.recorded_at ?? raw.createdAt ?? raw.created_at ?? null,
+  };
+}
+
+export const normalizeAuditEntries = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeAuditEntry).filter(Boolean);
+
+export const getAuditActionLabel = (action) => AUDIT_ACTIONS[action] || action.replace(/_/g, ' ');
+export const getAuditEntityLabel = (entityType) => AUDIT_ENTITIES[entityType] || entityType.replace(/_/g, ' ');
+
+/** "Order #1042" style name for the entry's record. */
+export const getAuditSubject = (entry) =>
+  entry.entityLabel || `${getAuditEntityLabel(entry.entityType)}${entry.entityId !== null ? ` #${entry.entityId}` : ''}`;
+
+// ==================== DIFF ====================
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Nested objects become dotted paths so a diff row is one field
+function flatten(value, prefix = '', out = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) out[prefix] = value;
+    return out;
+  }
+  Object.entries(value).forEach(([key, v]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(v)) flatten(v, path, out);
+    else out[path] = v;
+  });
+  return out;
+}
+
+export const formatAuditValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/** Changed fields between two snapshots: [{ field, before, after }], sorted by field. */
+export function getAuditDiff(before, after) {
+  const a = flatten(isPlainObject(before) ? before : {});
+  const b = flatten(isPlainObject(after) ? after : {});
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => formatAuditValue(a[field]) !== formatAuditValue(b[field]))
+    .sort()
+    .map(field => ({ field, before: a[field], after: b[field] }));
+}
+
+// ==================== CSV EXPORT ====================
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatTimestamp = (value) => (value ? dayjs(value).format('YYYY-MM-DD HH:mm:ss') : '');
+
+/** One row per changed field, so the CSV can be filtered like the screen. */
+export function auditEntriesToCsv(entries) {
+  const header = ['Time', 'User', 'Action', 'Entity', 'Record', 'Field', 'Before', 'After', 'Offline', 'Synced At'];
+  const rows = [];
+  entries.forEach(entry => {
+    const base = [
+      formatTimestamp(entry.occurredAt),
+      entry.userName || entry.userId || '',
+      getAuditActionLabel(entry.action),
+      getAuditEntityLabel(entry.entityType),
+      getAuditSubject(entry),
+    ];
+    const tail = [entry.offline ? 'yes' : 'no', entry.offline ? formatTimestamp(entry.recordedAt) : ''];
+    const diff = getAuditDiff(entry.before, entry.after);
+    if (diff.length === 0) {
+      rows.push([...base, '', '', '', ...tail]);
+    } else {
+      diff.forEach(d => rows.push([...base, d.field, formatAuditValue(d.before), formatAuditValue(d.after), ...tail]));
+    }
+  });
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n');
+}
+
+// ==================== OFFLINE REPLAY ====================
+
+/** Who queued an offline operation; stored on the operation when it is queued. */
+export function getAuditActor() {
+  const user = getSessionUser();
+  return user ? { id: user.id ?? null, name: user.fullName || user.full_name || user.username || '' } : null;
+}
+
+/** Headers that tell the server a replayed request happened earlier, by someone else. */
+export function getAuditReplayHeaders(operation) {
+  const headers = { 'X-Offline-Replay': '1' };
+  if (operation?.actor?.id !== undefined && operation?.actor?.id !== null) {
+    headers['X-Offline-Actor-Id'] = String(operation.actor.id);
+  }
+  const occurredAt = operation?.createdAt || operation?.timestamp;
+  if (occurredAt) headers['X-Offline-Occurred-At'] = occurredAt;
+  return headers;
+}
@@ -0,0 +1,74 @@
+/**
+ * Business details shown on receipts, PDF exports and the portals.
+ *
+ * Each field is its own business-info key on the backend (see BUSINESS_INFO_KEYS).
+ * Like the pricing config, the active settings live in a module store mirrored to
+ * localStorage, so receipts generated outside React and offline sessions still
+ * print the right name, currency and logo.
+ */
+import { getPublicAssetUrl } from './publicAssetUrl';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+const STORAGE_KEY = 'pos:business-settings';
+export const BUSINESS_SETTINGS_EVENT = 'businessSettingsUpdated';
+
+export const BUSINESS_INFO_KEYS = {
+  name: 'business_name',
+  address: 'business_address',
+  phone: 'business_phone',
+  taxNumber: 'tax_number',
+  receiptHeader: 'receipt_header',
+  receiptFooter: 'receipt_footer',
+  currency: 'currency_symbol',
+  logoUrl: 'logo_url',
+};
+
+export const DEFAULT_BUSINESS_SETTINGS = {
+  name: 'Shally Vallay Chock',
+  address: '',
+  phone: '0330-7072222',
+  taxNumber: '',
+  receiptHeader: '',
+  receiptFooter: 'Abdullah Saleem',
+  currency: 'PKR',
+  logoUrl: '',
+};
+
+export function normalizeBusinessSettings(raw) {
+  const parsed = parseMaybeJson(raw);
+  const value = parsed && typeof parsed === 'object' ? parsed : {};
+  return Object.keys(DEFAULT_BUSINESS_SETTINGS).reduce((acc, field) => {
+    const v = value[field];
+    acc[field] = v === undefined || v === null ? DEFAULT_BUSINESS_SETTINGS[field] : String(v).trim();
+    return acc;
+  }, {});
+}
+
+// ==================== SETTINGS STORE ====================
+
+const store = createConfigStore(STORAGE_KEY, normalizeBusinessSettings, BUSINESS_SETTINGS_EVENT);
+
+export const getBusinessSettings = store.get;
+export const setBusinessSettings = store.set;
+
+// ==================== DISPLAY HELPERS ====================
+
+/** Currency prefix for amounts, e.g. "PKR". */
+export const getCurrencySymbol = () => getBusinessSettings().currency || DEFAULT_BUSINESS_SETTINGS.currency;
+
+/**
+ * Logo to show; falls back to the bundled asset (receipts use `b-logo.png`,
+ * the portals `logo.png`) when no custom logo is configured.
+ */
+export const getBusinessLogoUrl = (fallbackAsset = 'logo.png') =>
+  getBusinessSettings().logoUrl || getPublicAssetUrl(fallbackAsset);
+
+/** Non-empty lines of a multi-line header/footer setting. */
+export const splitSettingLines = (text) =>
+  String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+
+/** Footer lines for PDF exports: phone, then the receipt footer text. */
+export const getPdfFooterLines = () => {
+  const settings = getBusinessSettings();
+  return [settings.phone, ...splitSettingLines(settings.receiptFooter)].filter(Boolean);
+};
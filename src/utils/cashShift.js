@@ -0,0 +1,209 @@
+/**
+ * Cash drawer shifts: one open shift per terminal, owned by the cashier who opened it.
+ *
+ * The server keeps the shifts and works out the sales taken while each was open
+ * (`shiftsAPI.getReport`); this module normalizes what it returns and does the drawer
+ * arithmetic:
+ *
+ *   expected cash = opening float + cash sales - cash refunds + cash in - cash out
+ *
+ * X-reports (mid-shift) and Z-reports (at close) print the same rows from
+ * `getShiftReportSections`, on paper or as ESC/POS bytes.
+ */
+import dayjs from 'dayjs';
+import { parseMaybeJson } from './configStore';
+
+const TERMINAL_STORAGE_KEY = 'pos:terminal-id';
+
+/** Notes and coins counted at close, largest first. */
+export const DENOMINATIONS = [5000, 1000, 500, 100, 50, 20, 10, 5, 2, 1];
+
+export const CASH_MOVEMENT_TYPES = {
+  in: 'Cash In',
+  out: 'Cash Out',
+};
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+const toNullableNumber = (value) => (value === null || value === undefined || value === '' ? null : toNumber(value));
+
+/** Stable id for this browser/till, generated on first use. */
+export function getTerminalId() {
+  try {
+    let id = localStorage.getItem(TERMINAL_STORAGE_KEY);
+    if (!id) {
+      id = `T-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+      localStorage.setItem(TERMINAL_STORAGE_KEY, id);
+    }
+    return id;
+  } catch {
+    return 'T-DEFAULT';
+  }
+}
+
+// ==================== NORMALIZATION ====================
+
+export function normalizeCashMovement(raw) {
+  return {
+    id: raw?.id ?? null,
+    type: raw?.type === 'out' ? 'out' : 'in',
+    amount: toNumber(raw?.amount),
+    reason: String(raw?.reason ?? ''),
+    expenseId: raw?.expenseId ?? raw?.expense_id ?? null,
+    userName: raw?.userName ?? raw?.user_name ?? '',
+    createdAt: raw?.createdAt ?? raw?.created_at ?? null,
+  };
+}
+
+/** Denomination counts keyed by face value; missing or negative counts become 0. */
+export function normalizeDenominations(raw) {
+  const value = parseMaybeJson(raw);
+  return Object.fromEntries(DENOMINATIONS.map(d => [d, Math.max(0, parseInt(value?.[d] ?? 0, 10) || 0)]));
+}
+
+export function normalizeShift(raw) {
+  if (!raw) return null;
+  const movements = raw.movements ?? raw.cash_movements ?? [];
+  return {
+    id: raw.id,
+    terminalId: raw.terminalId ?? raw.terminal_id ?? '',
+    userId: raw.userId ?? raw.user_id ?? null,
+    userName: raw.userName ?? raw.user_name ?? raw.cashier_name ?? '',
+    status: (raw.status ?? (raw.closed_at || raw.closedAt ? 'closed' : 'open')) === 'closed' ? 'closed' : 'open',
+    openedAt: raw.openedAt ?? raw.opened_at ?? null,
+    closedAt: raw.closedAt ?? raw.closed_at ?? null,
+    openingFloat: toNumber(raw.openingFloat ?? raw.opening_float),
+    countedCash: toNullableNumber(raw.countedCash ?? raw.counted_cash),
+    expectedCash: toNullableNumber(raw.expectedCash ?? raw.expected_cash),
+    denominations: normalizeDenominations(raw.denominations),
+    notes: String(raw.notes ?? raw.closing_notes ?? ''),
+    movements: (Array.isArray(movements) ? movements : []).map(normalizeCashMovement),
+  };
+}
+
+/** Server report for one shift: the shift itself plus what was sold while it was open. */
+export function normalizeShiftReport(raw) {
+  const data = raw?.data ?? raw;
+  const sales = data?.sales ?? data ?? {};
+  return {
+    shift: normalizeShift(data?.shift ?? data),
+    orderCount: toNumber(sales.orderCount ?? sales.order_count ?? sales.orders),
+    cashSales: toNumber(sales.cashSales ?? sales.cash_sales),
+    bankSales: toNumber(sales.bankSales ?? sales.bank_sales),
+    cashRefunds: toNumber(sales.cashRefunds ?? sales.cash_refunds),
+    discounts: toNumber(sales.discounts ?? sales.discount_total),
+  };
+}
+
+// ==================== DRAWER MATHS ====================
+
+export const sumDenominations = (counts) =>
+  DENOMINATIONS.reduce((sum, d) => sum + d * (parseInt(counts?.[d] ?? 0, 10) || 0), 0);
+
+export function summarizeCashMovements(movements) {
+  return (movements || []).reduce((acc, m) => {
+    if (m.type === 'out') acc.cashOut += m.amount;
+    else acc.cashIn += m.amount;
+    return acc;
+  }, { cashIn: 0, cashOut: 0 });
+}
+
+export function calculateExpectedCash(report) {
+  const { cashIn, cashOut } = summarizeCashMovements(report.shift?.movements);
+  return (report.shift?.openingFloat || 0) + report.cashSales - report.cashRefunds + cashIn - cashOut;
+}
+
+/** Counted minus expected: positive is over, negative is short. */
+export const getCashVariance = (expected, counted) =>
+  (counted === null || counted === undefined ? null : toNumber(counted) - toNumber(expected));
+
+export const formatVariance = (variance, formatAmount) => {
+  if (variance === null) return '-';
+  if (variance === 0) return formatAmount(0);
+  return `${variance > 0 ? '+' : '-'}${formatAmount(Math.abs(variance))} ${variance > 0 ? '(over)' : '(short)'}`;
+};
+
+// ==================== REPORTS ====================
+
+export const SHIFT_REPORT_TITLES = {
+  X: 'X-REPORT (MID-SHIFT)',
+  Z: 'Z-REPORT (END OF SHIFT)',
+};
+
+const formatDateTime = (value) => (value ? dayjs(value).format('DD MMM YYYY, h:mm A') : '-');
+
+/**
+ * Report content as sections of [label, value] rows. `kind` is 'X' or 'Z'; Z-reports
+ * add the counted cash, the variance and the denomination breakdown.
+ */
+export function getShiftReportSections(report, kind, formatAmount) {
+  const { shift } = report;
+  const { cashIn, cashOut } = summarizeCashMovements(shift.movements);
+  // A closed shift keeps the expected figure it was closed with
+  const expected = shift.status === 'closed' && shift.expectedCash !== null ? shift.expectedCash : calculateExpectedCash(report);
+
+  const sections = [
+    {
+      title: 'SHIFT',
+      rows: [
+        ['Terminal:', shift.terminalId || '-'],
+        ['Cashier:', shift.userName || '-'],
+        ['Opened:', formatDateTime(shift.openedAt)],
+        [kind === 'Z' ? 'Closed:' : 'Printed:', formatDateTime(kind === 'Z' ? shift.closedAt || new Date() : new Date())],
+      ],
+    },
+    {
+      title: 'SALES',
+      rows: [
+        ['Orders:', String(report.orderCount)],
+        ['Cash Sales:', formatAmount(report.cashSales)],
+        ['Bank Sales:', formatAmount(report.bankSales)],
+        ['Total Sales:', formatAmount(report.cashSales + report.bankSales)],
+        ...(report.discounts > 0 ? [['Discounts:', formatAmount(report.discounts)]] : []),
+      ],
+    },
+    {
+      title: 'CASH DRAWER',
+      rows: [
+        ['Opening Float:', formatAmount(shift.openingFloat)],
+        ['+ Cash Sales:', formatAmount(report.cashSales)],
+        ...(report.cashRefunds > 0 ? [['- Cash Refunds:', formatAmount(report.cashRefunds)]] : []),
+        ['+ Cash In:', formatAmount(cashIn)],
+        ['- Cash Out:', formatAmount(cashOut)],
+        ['Expected Cash:', formatAmount(expected)],
+        ...(kind === 'Z' ? [
+          ['Counted Cash:', shift.countedCash === null ? '-' : formatAmount(shift.countedCash)],
+          ['Variance:', formatVariance(getCashVariance(expected, shift.countedCash), formatAmount)],
+        ] : []),
+      ],
+    },
+  ];
+
+  if (shift.movements.length > 0) {
+    sections.push({
+      title: 'CASH IN / OUT',
+      rows: shift.movements.map(m => [
+        `${m.type === 'out' ? '-' : '+'} ${m.reason || CASH_MOVEMENT_TYPES[m.type]}`,
+        formatAmount(m.amount),
+      ]),
+    });
+  }
+
+  if (kind === 'Z') {
+    const counted = DENOMINATIONS.filter(d => shift.denominations[d] > 0);
+    if (counted.length > 0) {
+      sections.push({
+        title: 'DENOMINATIONS',
+        rows: counted.map(d => [`${d} x ${shift.denominations[d]}`, formatAmount(d * shift.denominations[d])]),
+      });
+    }
+    if (shift.notes) {
+      sections.push({ title: 'NOTES', rows: [[shift.notes, '']] });
+    }
+  }
+
+  return sections;
+}
@@ -0,0 +1,50 @@
+/**
+ * Admin settings that are read outside React (handlers, route guards, receipt and
+ * ticket printing, the idle timer) keep their active value in a module-level store,
+ * mirrored to localStorage so it still applies offline and across reloads.
+ *
+ * Loading and saving against the server lives in services/businessInfoService.js,
+ * which hands the result to the store's `set`.
+ */
+
+/** Parses JSON strings from the server or localStorage; anything else passes through. */
+export const parseMaybeJson = (value, fallback = null) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Store for one setting. `normalize` must accept a raw value, a JSON string or null
+ * (returning the defaults). `set` normalizes, caches and dispatches `eventName` with
+ * the normalized value as the event detail.
+ */
+export function createConfigStore(storageKey, normalize, eventName) {
+  let active = null;
+
+  const get = () => {
+    if (active) return active;
+    try {
+      active = normalize(localStorage.getItem(storageKey));
+    } catch {
+      active = normalize(null);
+    }
+    return active;
+  };
+
+  const set = (raw) => {
+    active = normalize(raw);
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(active));
+    } catch (e) {
+      console.warn(`[configStore] Failed to cache ${storageKey}:`, e);
+    }
+    window.dispatchEvent(new CustomEvent(eventName, { detail: active }));
+    return active;
+  };
+
+  return { get, set };
+}
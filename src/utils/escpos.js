@@ -0,0 +1,221 @@
+/**
+ * ESC/POS command builder for thermal receipt printers.
+ *
+ * Pure byte generation with no DOM or hardware access, so receipts can be checked in
+ * unit tests. Sending the bytes is up to `services/printerService`.
+ *
+ *   const bytes = createEscPosBuilder({ columns: 48 })
+ *     .init().align('center').bold(true).line('KITCHEN ORDER').bold(false)
+ *     .row('Order:', '#42').cut().build();
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+export const PAPER_WIDTHS = {
+  80: { columns: 48, dots: 576 },
+  58: { columns: 32, dots: 384 },
+};
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Printers run in a single-byte code page; swap the few non-ASCII characters the
+// receipts use for plain equivalents and replace anything else with '?'.
+const CHAR_REPLACEMENTS = {
+  '×': 'x',
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '·': '-',
+  '─': '-',
+  '═': '=',
+  '│': '|',
+  '┌': '+',
+  '┐': '+',
+  '└': '+',
+  '┘': '+',
+  '\u00a0': ' ',
+};
+
+export function encodeText(text) {
+  const bytes = [];
+  for (const ch of String(text ?? '')) {
+    const replaced = CHAR_REPLACEMENTS[ch] ?? ch;
+    for (const c of replaced) {
+      const code = c.charCodeAt(0);
+      bytes.push(code === LF || (code >= 0x20 && code <= 0x7e) ? code : 0x3f);
+    }
+  }
+  return bytes;
+}
+
+/** Break text into lines of at most `width` characters, preferring word boundaries. */
+export function wrapText(text, width) {
+  const lines = [];
+  String(text ?? '').split('\n').forEach(paragraph => {
+    let current = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      while (word.length > width) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (!word) return;
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current = `${current} ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+    lines.push(current);
+  });
+  return lines;
+}
+
+/**
+ * 1-bit raster from RGBA pixels (canvas ImageData shape). Dark, opaque pixels print;
+ * rows are packed MSB-first as GS v 0 expects.
+ */
+export function toRasterBitmap({ width, height, data }, { threshold = 128 } = {}) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const bits = new Uint8Array(bytesPerRow * height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const i = (y * width + x) * 4;
+      const alpha = data[i + 3] / 255;
+      // Transparent pixels count as white paper
+      const luminance = 255 - alpha * (255 - (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]));
+      if (luminance < threshold) {
+        bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+  return { width, height, bytesPerRow, bits };
+}
+
+// ==================== BUILDER ====================
+
+export function createEscPosBuilder({ columns = PAPER_WIDTHS[80].columns } = {}) {
+  const bytes = [];
+  // Double-width text fits half as many characters per line
+  let widthScale = 1;
+  const lineWidth = () => Math.floor(columns / widthScale);
+
+  const builder = {
+    columns,
+
+    raw(data) {
+      // Logo rasters run to tens of kilobytes, too many for push(...spread)
+      for (let i = 0; i < data.length; i += 1) bytes.push(data[i]);
+      return builder;
+    },
+
+    /** ESC @ — reset styles left over from the previous job. */
+    init() {
+      widthScale = 1;
+      return builder.raw([ESC, 0x40]);
+    },
+
+    align(alignment) {
+      return builder.raw([ESC, 0x61, ALIGNMENTS[alignment] ?? 0]);
+    },
+
+    bold(on = true) {
+      return builder.raw([ESC, 0x45, on ? 1 : 0]);
+    },
+
+    underline(on = true) {
+      return builder.raw([ESC, 0x2d, on ? 1 : 0]);
+    },
+
+    /** GS ! — character size multipliers, 1-8 each way. */
+    size(width = 1, height = 1) {
+      const w = Math.min(8, Math.max(1, width));
+      const h = Math.min(8, Math.max(1, height));
+      widthScale = w;
+      return builder.raw([GS, 0x21, ((w - 1) << 4) | (h - 1)]);
+    },
+
+    text(value) {
+      return builder.raw(encodeText(value));
+    },
+
+    /** Text followed by a line feed, wrapped to the paper width. */
+    line(value = '') {
+      wrapText(value, lineWidth()).forEach(part => builder.raw([...encodeText(part), LF]));
+      return builder;
+    },
+
+    feed(lines = 1) {
+      return builder.raw([ESC, 0x64, Math.min(255, Math.max(0, lines))]);
+    },
+
+    divider(char = '-') {
+      return builder.line(char.repeat(lineWidth()));
+    },
+
+    /**
+     * Label on the left, value flush right (e.g. "Subtotal:        PKR 1200"). A label
+     * too long for the line wraps above the value.
+     */
+    row(left, right = '') {
+      const width = lineWidth();
+      const rightText = String(right ?? '');
+      const leftLines = wrapText(left, Math.max(1, width - rightText.length - 1));
+      leftLines.slice(0, -1).forEach(part => builder.line(part));
+      const last = leftLines[leftLines.length - 1] || '';
+      const gap = Math.max(1, width - last.length - rightText.length);
+      return builder.raw([...encodeText(`${last}${' '.repeat(gap)}${rightText}`), LF]);
+    },
+
+    /** GS ( k — store and print a QR code (model 2, error level M). */
+    qr(data, { moduleSize = 6 } = {}) {
+      const payload = encodeText(data);
+      const storeLength = payload.length + 3;
+      return builder.raw([
+        GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,
+        GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, Math.min(16, Math.max(1, moduleSize)),
+        GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31,
+        GS, 0x28, 0x6b, storeLength & 0xff, (storeLength >> 8) & 0xff, 0x31, 0x50, 0x30, ...payload,
+        GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30,
+      ]);
+    },
+
+    /** GS v 0 — print a bitmap from `toRasterBitmap`. */
+    raster({ bytesPerRow, height, bits }) {
+      return builder.raw([
+        GS, 0x76, 0x30, 0x00,
+        bytesPerRow & 0xff, (bytesPerRow >> 8) & 0xff,
+        height & 0xff, (height >> 8) & 0xff,
+        ...bits,
+      ]);
+    },
+
+    /** Feed past the cutter and partial-cut (GS V 66). */
+    cut() {
+      return builder.raw([GS, 0x56, 0x42, 0x03]);
+    },
+
+    /** ESC p — kick the cash drawer on connector pin 2 (or 5). */
+    pulseDrawer(pin = 2) {
+      return builder.raw([ESC, 0x70, pin === 5 ? 1 : 0, 0x19, 0xfa]);
+    },
+
+    build() {
+      return Uint8Array.from(bytes);
+    },
+  };
+
+  return builder;
+}
@@ -0,0 +1,178 @@
+import { createEscPosBuilder, encodeText, toRasterBitmap, wrapText } from './escpos';
+import { buildCombinedReceiptBytes, buildReceiptBytes, buildRefundSlipBytes, buildShiftReportBytes } from './escposReceipt';
+import { normalizeShiftReport } from './cashShift';
+import { normalizeRefund } from './refunds';
+
+// businessSettings pulls in publicAssetUrl, which uses import.meta and can't load under jest
+jest.mock('./businessSettings', () => ({
+  getBusinessSettings: () => ({
+    name: 'Test Kitchen',
+    currency: 'PKR',
+    address: '',
+    phone: '',
+    taxNumber: '',
+    receiptHeader: '',
+    receiptFooter: '',
+  }),
+  splitSettingLines: (text) => String(text || '').split('\n').map(line => line.trim()).filter(Boolean),
+}));
+
+const ascii = (bytes) => String.fromCharCode(...bytes);
+const indexOfSequence = (bytes, sequence) => {
+  for (let i = 0; i <= bytes.length - sequence.length; i += 1) {
+    if (sequence.every((b, j) => bytes[i + j] === b)) return i;
+  }
+  return -1;
+};
+
+describe('encodeText', () => {
+  it('keeps printable ASCII and swaps receipt symbols', () => {
+    expect(ascii(encodeText('2 × Tea – hot'))).toBe('2 x Tea - hot');
+  });
+
+  it('replaces characters the printer code page cannot show', () => {
+    expect(ascii(encodeText('Biryani 🍛'))).toBe('Biryani ?');
+  });
+});
+
+describe('wrapText', () => {
+  it('breaks on word boundaries', () => {
+    expect(wrapText('Chicken Karahi half portion', 12)).toEqual(['Chicken', 'Karahi half', 'portion']);
+  });
+
+  it('splits words longer than the line', () => {
+    expect(wrapText('ABCDEFGHIJ', 4)).toEqual(['ABCD', 'EFGH', 'IJ']);
+  });
+});
+
+describe('createEscPosBuilder', () => {
+  it('emits init, alignment, bold and cut commands', () => {
+    const bytes = Array.from(createEscPosBuilder().init().align('center').bold(true).cut().build());
+    expect(bytes).toEqual([0x1b, 0x40, 0x1b, 0x61, 1, 0x1b, 0x45, 1, 0x1d, 0x56, 0x42, 0x03]);
+  });
+
+  it('pads rows to the paper width', () => {
+    const bytes = createEscPosBuilder({ columns: 32 }).row('Subtotal:', 'PKR 1200').build();
+    const text = ascii(bytes);
+    expect(text).toBe(`Subtotal:${' '.repeat(15)}PKR 1200\n`);
+    expect(text.length - 1).toBe(32);
+  });
+
+  it('halves the line width for double-width text', () => {
+    const bytes = createEscPosBuilder({ columns: 32 }).size(2, 2).divider().build();
+    expect(ascii(bytes.slice(3))).toBe(`${'-'.repeat(16)}\n`);
+  });
+
+  it('pulses the cash drawer', () => {
+    expect(Array.from(createEscPosBuilder().pulseDrawer().build())).toEqual([0x1b, 0x70, 0, 0x19, 0xfa]);
+  });
+
+  it('stores and prints a QR code', () => {
+    const bytes = Array.from(createEscPosBuilder().qr('HELLO').build());
+    // Store command length is the payload plus 3 header bytes
+    expect(indexOfSequence(bytes, [0x1d, 0x28, 0x6b, 8, 0, 0x31, 0x50, 0x30, ...encodeText('HELLO')])).toBeGreaterThan(-1);
+    expect(bytes.slice(-8)).toEqual([0x1d, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]);
+  });
+});
+
+describe('toRasterBitmap', () => {
+  it('packs dark pixels MSB first and treats transparency as paper', () => {
+    // 10x1: black, white, transparent black, then black to the end
+    const pixels = [];
+    for (let x = 0; x < 10; x += 1) {
+      if (x === 1) pixels.push(255, 255, 255, 255);
+      else if (x === 2) pixels.push(0, 0, 0, 0);
+      else pixels.push(0, 0, 0, 255);
+    }
+    const bitmap = toRasterBitmap({ width: 10, height: 1, data: pixels });
+    expect(bitmap.bytesPerRow).toBe(2);
+    expect(Array.from(bitmap.bits)).toEqual([0b10011111, 0b11000000]);
+
+    const bytes = Array.from(createEscPosBuilder().raster(bitmap).build());
+    expect(bytes.slice(0, 8)).toEqual([0x1d, 0x76, 0x30, 0x00, 2, 0, 1, 0]);
+  });
+});
+
+describe('receipt bytes', () => {
+  const order = {
+    order_type: 'dine_in',
+    order_number: 42,
+    table_number: 5,
+    payment_method: 'cash',
+    payment_status: 'completed',
+    amount_taken: 1000,
+    items: [{ name: 'Chicken Tikka', quantity: 2, price: 350 }],
+  };
+
+  it('renders the customer receipt with totals and cash change', () => {
+    const text = ascii(buildReceiptBytes(order, 'customer', { columns: 48 }));
+    expect(text).toContain('CUSTOMER RECEIPT');
+    expect(text).toContain('2 x Chicken Tikka');
+    expect(text).toMatch(/Change Return: +\S+ 300/);
+  });
+
+  it('only opens the drawer when asked to', () => {
+    const drawer = [0x1b, 0x70, 0, 0x19, 0xfa];
+    expect(indexOfSequence(Array.from(buildReceiptBytes(order, 'customer')), drawer)).toBe(-1);
+    expect(indexOfSequence(Array.from(buildReceiptBytes(order, 'customer', { openDrawer: true })), drawer)).toBeGreaterThan(-1);
+  });
+
+  it('skips kitchen tickets for edits without item changes', () => {
+    expect(buildReceiptBytes({ ...order, kitchen_changes: [] }, 'kitchen')).toBeNull();
+  });
+
+  it('prints kitchen tickets before the customer receipt', () => {
+    const text = ascii(buildCombinedReceiptBytes(order));
+    expect(text.indexOf('KITCHEN ORDER')).toBeGreaterThan(-1);
+    expect(text.indexOf('KITCHEN ORDER')).toBeLessThan(text.indexOf('CUSTOMER RECEIPT'));
+  });
+});
+
+describe('shift report bytes', () => {
+  it('prints expected and counted cash with the variance on a Z-report', () => {
+    const report = normalizeShiftReport({
+      shift: {
+        id: 7,
+        terminal_id: 'T-1',
+        status: 'closed',
+        opening_float: 5000,
+        counted_cash: 11800,
+        movements: [{ type: 'out', amount: 300, reason: 'Ice' }],
+        denominations: { 1000: 11, 500: 1, 100: 3 },
+      },
+      sales: { order_count: 4, cash_sales: 7000, bank_sales: 2500 },
+    });
+    const text = ascii(buildShiftReportBytes(report, 'Z', { columns: 48 }));
+    expect(text).toContain('Z-REPORT (END OF SHIFT)');
+    expect(text).toMatch(/Expected Cash: +PKR 11700/);
+    expect(text).toMatch(/Variance: +\+PKR 100 \(over\)/);
+    expect(text).toMatch(/1000 x 11 +PKR 11000/);
+  });
+});
+
+describe('refund slip bytes', () => {
+  const refund = normalizeRefund({
+    order_number: 42,
+    amount: 315,
+    refund_method: 'cash',
+    reason: 'Wrong item',
+    approved_by_name: 'Sara',
+    items: [{ order_item_id: 9, name: 'Chicken Tikka', quantity: 1, unit_price: 350 }],
+  });
+
+  it('lists returned items, the refund total and the reason', () => {
+    const text = ascii(buildRefundSlipBytes(refund, { order_number: 42 }, { columns: 48 }));
+    expect(text).toContain('REFUND');
+    expect(text).toMatch(/1 x Chicken Tikka +PKR 350/);
+    expect(text).toMatch(/Refund Total: +PKR 315/);
+    expect(text).toMatch(/Approved by: +Sara/);
+    expect(text).toContain('Wrong item');
+  });
+
+  it('opens the drawer only for cash refunds', () => {
+    const drawer = [0x1b, 0x70, 0, 0x19, 0xfa];
+    const bank = { ...refund, refundMethod: 'bank_transfer' };
+    expect(indexOfSequence(Array.from(buildRefundSlipBytes(refund, null, { openDrawer: true })), drawer)).toBeGreaterThan(-1);
+    expect(indexOfSequence(Array.from(buildRefundSlipBytes(bank, null, { openDrawer: true })), drawer)).toBe(-1);
+  });
+});
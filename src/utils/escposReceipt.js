@@ -0,0 +1,219 @@
+/**
+ * Customer, kitchen and combined receipts as ESC/POS byte streams.
+ *
+ * Mirrors the HTML receipts in components/Receipt.js line for line, using the same
+ * `buildReceiptModel` figures. Options:
+ *   columns    characters per line (48 on 80mm paper, 32 on 58mm)
+ *   logo       bitmap from `toRasterBitmap`, printed at the top when set
+ *   qrText     printed as a QR code under customer receipts when set
+ *   openDrawer kick the cash drawer after customer receipts paid in cash
+ */
+import { createEscPosBuilder, PAPER_WIDTHS } from './escpos';
+import { buildReceiptModel } from './receiptModel';
+import { getKitchenTicketOrders } from './kitchenStations';
+import { formatItemOptionLines } from './menuModifiers';
+import { formatTaxLineLabel } from './pricing';
+import { formatPromotionLabel } from './promotions';
+import { getBusinessSettings, splitSettingLines } from './businessSettings';
+import { SHIFT_REPORT_TITLES, getShiftReportSections } from './cashShift';
+import { getRefundSlipSections } from './refunds';
+
+const formatCurrencyFor = (business) => (amount) => `${business.currency} ${(Number(amount) || 0).toFixed(0)}`;
+
+const renderHeader = (b, business, logo) => {
+  b.align('center');
+  if (logo) b.raster(logo);
+  b.bold(true).line(business.name).bold(false);
+};
+
+const renderCustomerReceipt = (b, model, { logo, qrText }) => {
+  const { business, isDelivery } = model;
+  const formatCurrency = formatCurrencyFor(business);
+
+  renderHeader(b, business, logo);
+  splitSettingLines(business.receiptHeader).forEach(line => b.line(line));
+  if (business.address) b.line(business.address);
+  if (business.taxNumber) b.line(`NTN: ${business.taxNumber}`);
+  b.divider();
+  b.bold(true).line('CUSTOMER RECEIPT').bold(false);
+  b.divider();
+
+  b.align('left');
+  if (!isDelivery && model.tableLabel) b.row('Table:', model.tableLabel);
+  b.row('Date:', model.dateStr);
+  b.row('Time:', model.timeStr);
+  if (model.paymentLabel) b.row('Payment:', model.paymentLabel);
+
+  if (model.customer_name || model.customer_phone || model.customer_address || model.finalDeliveryNotes) {
+    b.feed(1).bold(true).line(isDelivery ? 'DELIVERY DETAILS' : 'CUSTOMER INFORMATION').bold(false);
+    if (model.customer_name) b.row('Name:', model.customer_name);
+    if (model.customer_phone) b.row('Phone:', model.customer_phone);
+    if (model.customer_address) b.line(`Address: ${model.customer_address}`);
+    if (model.finalDeliveryNotes) b.line(`Notes / Instructions: ${model.finalDeliveryNotes}`);
+  }
+
+  b.feed(1).bold(true).line('ORDER ITEMS').bold(false);
+  if (model.safeItems.length === 0) {
+    b.align('center').line('No items found').align('left');
+  }
+  model.safeItems.forEach(item => {
+    const amount = (Number(item.quantity) || 0) * (Number(item.price) || 0);
+    b.row(`${item.quantity || 0} x ${item.name || 'Unknown Item'}`, formatCurrency(amount));
+    formatItemOptionLines(item, { withPrices: true }).forEach(line => b.line(`    - ${line}`));
+  });
+
+  b.divider();
+  b.row('Subtotal:', formatCurrency(model.subtotalBeforeDiscount));
+  if (model.discountPercentValue > 0) {
+    b.row(`Discount (${model.discountPercentValue}%):`, `-${formatCurrency(model.discountAmount)}`);
+  }
+  model.pricing.promotionLines.forEach(line => b.row(`${formatPromotionLabel(line)}:`, `-${formatCurrency(line.amount)}`));
+  if (model.pricing.serviceChargeAmount > 0) {
+    b.row(`Service Charge (${model.pricing.serviceChargePercent}%):`, formatCurrency(model.pricing.serviceChargeAmount));
+  }
+  model.pricing.taxLines.filter(line => !line.inclusive)
+    .forEach(line => b.row(`${formatTaxLineLabel(line)}:`, formatCurrency(line.amount)));
+  if (isDelivery && model.deliveryFee > 0) b.row('Delivery:', formatCurrency(model.deliveryFee));
+  b.bold(true).row('GRAND TOTAL:', formatCurrency(model.total)).bold(false);
+  model.pricing.taxLines.filter(line => line.inclusive)
+    .forEach(line => b.row(`Incl. ${formatTaxLineLabel({ ...line, inclusive: false })}:`, formatCurrency(line.amount)));
+
+  const split = model.split_payment;
+  if (split) {
+    b.divider().align('center').bold(true)
+      .line(`SPLIT BILL - PAYMENT ${split.index}${split.count ? ` OF ${split.count}` : ''}`)
+      .bold(false);
+    if (split.label) b.line(split.label);
+    b.align('left');
+    b.row('Order Total:', formatCurrency(split.order_total));
+    b.bold(true).row('This Payment:', formatCurrency(split.amount)).bold(false);
+    b.row('Paid So Far:', formatCurrency(split.paid_to_date));
+    b.row('Balance Due:', formatCurrency(split.remaining));
+  }
+
+  if (model.hasCashInfo && model.hasReturnToShow) {
+    b.feed(1);
+    b.row('Cash Received:', formatCurrency(model.amount_taken));
+    b.row(model.returnLabel, formatCurrency(model.returnDisplayValue));
+  }
+
+  b.feed(1).align('center').bold(true).line('THANK YOU !').bold(false);
+  b.line(isDelivery ? 'We hope to serve you again !' : 'COME AGAIN SOON!');
+  if (business.phone) b.line(business.phone);
+  splitSettingLines(business.receiptFooter).forEach(line => b.line(line));
+  if (qrText) b.feed(1).qr(qrText);
+  b.feed(3).cut();
+};
+
+const renderKitchenTicket = (b, model, { logo }) => {
+  const { business, isDelivery } = model;
+
+  renderHeader(b, business, logo);
+  b.divider();
+  b.size(2, 2).line(model.isKitchenDelta ? 'ORDER UPDATE' : 'KITCHEN ORDER').size(1, 1);
+  if (model.station_name) b.bold(true).line(String(model.station_name).toUpperCase()).bold(false);
+  b.divider();
+
+  b.align('left');
+  b.row('Order:', model.displayOrderId);
+  if (!isDelivery && model.tableLabel) b.row('Table:', model.tableLabel);
+  b.row('Date:', model.dateStr);
+  b.row('Time:', model.timeStr);
+  b.row('Type:', isDelivery ? 'DELIVERY' : 'DINE-IN');
+  if (isDelivery && model.customer_name) b.row('Customer:', model.customer_name);
+
+  b.feed(1).bold(true).line('ORDER ITEMS').bold(false);
+  if (model.safeItems.length === 0) {
+    b.align('center').line('No items found').align('left');
+  }
+  model.safeItems.forEach(item => {
+    // Delta tickets for edited orders say what to add or stop making
+    const changePrefix = item.change === 'void' ? 'VOID ' : item.change === 'add' ? 'ADD ' : '';
+    b.size(1, 2).line(`${changePrefix}${item.quantity || 0} x ${item.name || 'Unknown Item'}`).size(1, 1);
+    formatItemOptionLines(item).forEach(line => b.line(`    > ${line}`));
+  });
+
+  if (model.special_instructions) {
+    b.feed(1).bold(true).line('SPECIAL INSTRUCTIONS').bold(false);
+    b.line(model.special_instructions);
+  }
+
+  b.feed(1).align('center').bold(true).line('PLEASE PREPARE IMMEDIATELY').bold(false);
+  b.line('THANK YOU KITCHEN TEAM!');
+  b.feed(3).cut();
+};
+
+const isPaidInCash = (orderData) =>
+  orderData?.payment_method === 'cash' && orderData?.payment_status === 'completed';
+
+const createBuilder = (options) =>
+  createEscPosBuilder({ columns: options.columns || PAPER_WIDTHS[80].columns }).init();
+
+/**
+ * Bytes for one print job. Kitchen jobs print one ticket per prep station and return
+ * null when an edited order has nothing new for the kitchen.
+ */
+export function buildReceiptBytes(orderData, printStage, options = {}) {
+  const b = createBuilder(options);
+  if (printStage === 'customer') {
+    renderCustomerReceipt(b, buildReceiptModel(orderData), options);
+    if (options.openDrawer && isPaidInCash(orderData)) b.pulseDrawer();
+    return b.build();
+  }
+  const tickets = getKitchenTicketOrders(orderData);
+  if (tickets.length === 0) return null;
+  tickets.forEach(ticket => renderKitchenTicket(b, buildReceiptModel(ticket), options));
+  return b.build();
+}
+
+/** Kitchen tickets followed by the customer receipt, as printCombinedReceipt does for delivery orders. */
+export function buildCombinedReceiptBytes(orderData, options = {}) {
+  const b = createBuilder(options);
+  getKitchenTicketOrders(orderData).forEach(ticket => renderKitchenTicket(b, buildReceiptModel(ticket), options));
+  renderCustomerReceipt(b, buildReceiptModel(orderData), options);
+  if (options.openDrawer && isPaidInCash(orderData)) b.pulseDrawer();
+  return b.build();
+}
+
+// Titled [label, value] sections; rows without a value print as a full line
+const renderSections = (b, sections) => {
+  b.align('left');
+  sections.forEach(section => {
+    b.feed(1).bold(true).line(section.title).bold(false);
+    section.rows.forEach(([label, value]) => (value ? b.row(label, value) : b.line(label)));
+  });
+};
+
+/** X-report (mid-shift) or Z-report (shift close) for the cash drawer; `kind` is 'X' or 'Z'. */
+export function buildShiftReportBytes(report, kind, options = {}) {
+  const b = createBuilder(options);
+  const business = getBusinessSettings();
+
+  renderHeader(b, business, options.logo);
+  b.divider();
+  b.bold(true).line(SHIFT_REPORT_TITLES[kind]).bold(false);
+  b.divider();
+  renderSections(b, getShiftReportSections(report, kind, formatCurrencyFor(business)));
+  if (kind === 'Z') {
+    b.feed(2).line('Counted by: ____________________');
+    b.feed(1).line('Checked by: ____________________');
+  }
+  b.feed(3).cut();
+  return b.build();
+}
+
+/** Refund slip for the customer to sign; opens the drawer for cash refunds when enabled. */
+export function buildRefundSlipBytes(refund, order, options = {}) {
+  const b = createBuilder(options);
+  const business = getBusinessSettings();
+
+  renderHeader(b, business, options.logo);
+  b.divider();
+  b.bold(true).size(2, 2).line('REFUND').size(1, 1).bold(false);
+  b.divider();
+  renderSections(b, getRefundSlipSections(refund, order, formatCurrencyFor(business)));
+  b.feed(2).line('Customer signature: ______________');
+  b.feed(3).cut();
+  if (options.openDrawer && refund.refundMethod === 'cash') b.pulseDrawer();
+  return b.build();
+}
@@ -0,0 +1,107 @@
+/**
+ * Approval of large expenses.
+ *
+ * Admin-configured policy (stored under the `expense_approval_policy` business-info key):
+ *   enabled: boolean
+ *   threshold: number   expenses above this amount need approval
+ *
+ * An expense's `status` moves draft → submitted → approved or rejected. Drafts are the
+ * ones generated from recurring templates; expenses with no status predate the workflow
+ * and count as approved. Users who can approve expenses (admins by default) post their
+ * own straight to approved; anyone else's expense above the threshold is submitted and
+ * left out of the totals until it is approved. Editing a rejected expense submits it
+ * again. The server records every step, with the comment given, in `approvalHistory`:
+ *   [{ status, comment, userId, userName, createdAt }]
+ */
+import { hasPermission, getSessionUser } from './permissions';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const EXPENSE_APPROVAL_POLICY_KEY = 'expense_approval_policy';
+const STORAGE_KEY = 'pos:expense-approval';
+export const EXPENSE_APPROVAL_EVENT = 'expenseApprovalPolicyUpdated';
+
+export const DEFAULT_EXPENSE_APPROVAL_POLICY = {
+  enabled: false,
+  threshold: 10000,
+};
+
+export const EXPENSE_STATUSES = {
+  draft: { label: 'Draft', color: '#6c757d' },
+  submitted: { label: 'Awaiting approval', color: '#fd7e14' },
+  approved: { label: 'Approved', color: '#28a745' },
+  rejected: { label: 'Rejected', color: '#dc3545' },
+};
+
+// Which statuses each status can move to
+export const EXPENSE_STATUS_TRANSITIONS = {
+  draft: ['submitted', 'approved'],
+  submitted: ['approved', 'rejected'],
+  rejected: ['submitted', 'approved'],
+  approved: ['submitted'],
+};
+
+export function normalizeExpenseApprovalPolicy(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const threshold = parseFloat(value.threshold);
+  return {
+    enabled: value.enabled === true || value.enabled === 1,
+    threshold: Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_EXPENSE_APPROVAL_POLICY.threshold,
+  };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeExpenseApprovalPolicy, EXPENSE_APPROVAL_EVENT);
+
+export const getExpenseApprovalPolicy = store.get;
+export const setExpenseApprovalPolicy = store.set;
+
+// ==================== CHECKS ====================
+
+export const canApproveExpenses = (user = getSessionUser()) => hasPermission(user, 'approve_expenses');
+
+export const getExpenseStatus = (expense) =>
+  (EXPENSE_STATUSES[expense?.status] ? expense.status : 'approved');
+
+/** Only approved expenses (and those from before the workflow) count towards totals. */
+export const isCountedExpense = (expense) => getExpenseStatus(expense) === 'approved';
+
+export const canTransitionExpense = (from, to) =>
+  (EXPENSE_STATUS_TRANSITIONS[from] || []).includes(to);
+
+export const needsExpenseApproval = (amount, policy = getExpenseApprovalPolicy()) =>
+  policy.enabled && (parseFloat(amount) || 0) > policy.threshold;
+
+/** Status a new (or posted draft) expense is saved with. */
+export const getSubmitStatus = (amount, user = getSessionUser(), policy = getExpenseApprovalPolicy()) =>
+  (needsExpenseApproval(amount, policy) && !canApproveExpenses(user) ? 'submitted' : 'approved');
+
+/**
+ * Status after `user` edits `expense` to `amount`. Approvers leave it as it is; for
+ * anyone else it is worked out again with `getSubmitStatus`, as far as the transitions
+ * allow (an approved expense raised over the limit is submitted, a rejected one goes
+ * back to submitted or, now under the limit, approved).
+ */
+export function getStatusAfterEdit(expense, amount, user = getSessionUser(), policy = getExpenseApprovalPolicy()) {
+  const current = getExpenseStatus(expense);
+  if (canApproveExpenses(user)) return current;
+  const next = getSubmitStatus(amount, user, policy);
+  return canTransitionExpense(current, next) ? next : current;
+}
+
+export function normalizeApprovalHistory(expense) {
+  const list = expense?.approvalHistory ?? expense?.approval_history ?? [];
+  return (Array.isArray(list) ? list : [])
+    .map(entry => ({
+      status: entry?.status ?? '',
+      comment: String(entry?.comment ?? '').trim(),
+      userName: entry?.userName ?? entry?.user_name ?? '',
+      createdAt: entry?.createdAt ?? entry?.created_at ?? null,
+    }))
+    .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
+}
+
+/** Who submitted the expense, from its history or whoever created it. */
+export function getSubmittedBy(expense) {
+  const history = normalizeApprovalHistory(expense);
+  const submitted = [...history].reverse().find(entry => entry.status === 'submitted');
+  return submitted?.userName || expense?.createdByName || expense?.created_by_name || '';
+}
@@ -0,0 +1,93 @@
+import {
+  normalizeExpenseApprovalPolicy,
+  needsExpenseApproval,
+  getSubmitStatus,
+  getStatusAfterEdit,
+  getExpenseStatus,
+  isCountedExpense,
+  canTransitionExpense,
+  getSubmittedBy,
+} from './expenseApproval';
+
+const policy = normalizeExpenseApprovalPolicy({ enabled: true, threshold: 5000 });
+const admin = { id: 1, role: 'admin' };
+const manager = { id: 2, role: 'manager' };
+
+describe('needsExpenseApproval', () => {
+  it('only flags amounts above the threshold', () => {
+    expect(needsExpenseApproval(5000, policy)).toBe(false);
+    expect(needsExpenseApproval('5000.01', policy)).toBe(true);
+  });
+
+  it('never flags anything while approval is off', () => {
+    expect(needsExpenseApproval(50000, { ...policy, enabled: false })).toBe(false);
+  });
+});
+
+describe('getSubmitStatus', () => {
+  it('submits large expenses from users who cannot approve them', () => {
+    expect(getSubmitStatus(6000, manager, policy)).toBe('submitted');
+    expect(getSubmitStatus(4000, manager, policy)).toBe('approved');
+  });
+
+  it('posts approvers straight to approved', () => {
+    expect(getSubmitStatus(6000, admin, policy)).toBe('approved');
+  });
+});
+
+describe('getStatusAfterEdit', () => {
+  it('resubmits an approved expense raised over the limit', () => {
+    expect(getStatusAfterEdit({ status: 'approved' }, 6000, manager, policy)).toBe('submitted');
+    expect(getStatusAfterEdit({}, 6000, manager, policy)).toBe('submitted');
+  });
+
+  it('sends a fixed rejected expense back for approval, or approves it under the limit', () => {
+    expect(getStatusAfterEdit({ status: 'rejected' }, 6000, manager, policy)).toBe('submitted');
+    expect(getStatusAfterEdit({ status: 'rejected' }, 4000, manager, policy)).toBe('approved');
+  });
+
+  it('leaves the status alone when an approver edits', () => {
+    expect(getStatusAfterEdit({ status: 'submitted' }, 6000, admin, policy)).toBe('submitted');
+    expect(getStatusAfterEdit({ status: 'rejected' }, 4000, admin, policy)).toBe('rejected');
+  });
+});
+
+describe('statuses', () => {
+  it('counts approved expenses and those from before the workflow', () => {
+    expect(isCountedExpense({ status: 'approved' })).toBe(true);
+    expect(isCountedExpense({ status: null })).toBe(true);
+    expect(isCountedExpense({ status: 'submitted' })).toBe(false);
+    expect(isCountedExpense({ status: 'rejected' })).toBe(false);
+    expect(isCountedExpense({ status: 'draft' })).toBe(false);
+    expect(getExpenseStatus({ status: 'bogus' })).toBe('approved');
+  });
+
+  it('only allows the listed transitions', () => {
+    expect(canTransitionExpense('submitted', 'approved')).toBe(true);
+    expect(canTransitionExpense('approved', 'rejected')).toBe(false);
+    expect(canTransitionExpense('draft', 'rejected')).toBe(false);
+  });
+});
+
+describe('normalizeExpenseApprovalPolicy', () => {
+  it('keeps the default threshold for negative or missing values', () => {
+    expect(normalizeExpenseApprovalPolicy('{"enabled":1,"threshold":-1}')).toEqual({ enabled: true, threshold: 10000 });
+    expect(normalizeExpenseApprovalPolicy(null)).toEqual({ enabled: false, threshold: 10000 });
+    expect(normalizeExpenseApprovalPolicy({ threshold: '0' }).threshold).toBe(0);
+  });
+});
+
+describe('getSubmittedBy', () => {
+  it('names whoever submitted it last, falling back to the creator', () => {
+    const expense = {
+      created_by_name: 'Sana',
+      approval_history: [
+        { status: 'submitted', user_name: 'Sana', created_at: '2026-10-01T09:00:00Z' },
+        { status: 'rejected', user_name: 'Admin', created_at: '2026-10-02T09:00:00Z' },
+        { status: 'submitted', user_name: 'Omar', created_at: '2026-10-03T09:00:00Z' },
+      ],
+    };
+    expect(getSubmittedBy(expense)).toBe('Omar');
+    expect(getSubmittedBy({ created_by_name: 'Sana' })).toBe('Sana');
+  });
+});
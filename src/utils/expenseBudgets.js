@@ -0,0 +1,77 @@
+/**
+ * Monthly budgets per expense category, and budget vs actual for a date range.
+ *
+ * Budgets are stored as `[{ category, amount }]`, one monthly amount per category.
+ * For a range that isn't a whole month the budget is pro-rated by day, so "this month"
+ * on the 10th compares spend so far with a third of the month's budget.
+ */
+import dayjs from 'dayjs';
+import { roundMoney } from './money';
+
+// Spend at or above this share of the budget is flagged before it goes over
+export const BUDGET_WARNING_PERCENT = 90;
+
+export const BUDGET_STATUSES = {
+  over: { label: 'Over budget', color: '#dc3545' },
+  near: { label: 'Near limit', color: '#fd7e14' },
+  under: { label: 'On track', color: '#28a745' },
+  unbudgeted: { label: 'No budget', color: '#6c757d' },
+};
+
+/** `{ [category]: monthlyAmount }`, skipping blank and zero budgets. */
+export function normalizeBudgets(raw) {
+  const list = Array.isArray(raw) ? raw : (Array.isArray(raw?.budgets) ? raw.budgets : []);
+  return list.reduce((acc, b) => {
+    const category = String(b?.category ?? '').trim();
+    const amount = roundMoney(b?.amount ?? b?.monthlyAmount ?? b?.monthly_amount);
+    if (category && amount > 0) acc[category] = amount;
+    return acc;
+  }, {});
+}
+
+export const serializeBudgets = (budgets) =>
+  Object.entries(budgets)
+    .map(([category, amount]) => ({ category, amount: roundMoney(amount) }))
+    .filter(b => b.amount > 0);
+
+/** Share of one month's budget that falls in `startDate`..`endDate` (inclusive). */
+export function getBudgetForRange(monthlyAmount, startDate, endDate) {
+  const end = dayjs(endDate).startOf('day');
+  let cursor = dayjs(startDate).startOf('day');
+  let total = 0;
+  while (!cursor.isAfter(end, 'day')) {
+    const monthEnd = cursor.endOf('month').startOf('day');
+    const chunkEnd = monthEnd.isAfter(end) ? end : monthEnd;
+    total += monthlyAmount * (chunkEnd.diff(cursor, 'day') + 1) / cursor.daysInMonth();
+    cursor = chunkEnd.add(1, 'day');
+  }
+  return roundMoney(total);
+}
+
+const getStatus = (budget, actual) => {
+  if (budget <= 0) return 'unbudgeted';
+  if (actual > budget) return 'over';
+  if (actual * 100 >= budget * BUDGET_WARNING_PERCENT) return 'near';
+  return 'under';
+};
+
+/**
+ * Rows for every budgeted category plus any category with spend but no budget,
+ * budgeted ones first (largest budget first).
+ */
+export function buildBudgetReport(categoryTotals, budgets, startDate, endDate) {
+  const categories = new Set([...Object.keys(budgets), ...Object.keys(categoryTotals)]);
+  const rows = [...categories].map(category => {
+    const budget = budgets[category] ? getBudgetForRange(budgets[category], startDate, endDate) : 0;
+    const actual = roundMoney(categoryTotals[category] || 0);
+    return {
+      category,
+      budget,
+      actual,
+      variance: roundMoney(budget - actual),
+      percentUsed: budget > 0 ? Math.round((actual / budget) * 100) : null,
+      status: getStatus(budget, actual),
+    };
+  });
+  return rows.sort((a, b) => (b.budget - a.budget) || (b.actual - a.actual));
+}
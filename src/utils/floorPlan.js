@@ -0,0 +1,173 @@
+/**
+ * Dine-in floor plan: areas (hall, rooftop, family section) holding numbered tables.
+ *
+ * Stored under the `floor_plan` business-info key:
+ *   { overdueMinutes, areas: [{ id, name, tables: [{ id, number, name, seats, x, y }] }] }
+ *
+ * `number` is what orders store in `table_number`, so it must be unique across areas.
+ * `x` / `y` are the table's position on the area canvas in percent (0-100).
+ *
+ * Like the pricing config, the active plan lives in a module store mirrored to
+ * localStorage so the POS can pick tables offline.
+ */
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const FLOOR_PLAN_KEY = 'floor_plan';
+const STORAGE_KEY = 'pos:floor-plan';
+const BILL_PRINTED_STORAGE_KEY = 'pos:bill-printed';
+export const FLOOR_PLAN_EVENT = 'floorPlanUpdated';
+
+export const TAKEAWAY_TABLE = 'takeaway';
+
+const DEFAULT_OVERDUE_MINUTES = 45;
+
+const toNumber = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const clampPercent = (value) => Math.min(95, Math.max(0, toNumber(value)));
+
+/** The layout the POS shipped with: one hall, tables 1-9 on a 3x3 grid. */
+const buildDefaultFloorPlan = () => ({
+  overdueMinutes: DEFAULT_OVERDUE_MINUTES,
+  areas: [{
+    id: 'area-main',
+    name: 'Main Hall',
+    tables: Array.from({ length: 9 }, (_, idx) => ({
+      id: `table-${idx + 1}`,
+      number: String(idx + 1),
+      name: '',
+      seats: 4,
+      x: 10 + (idx % 3) * 30,
+      y: 10 + Math.floor(idx / 3) * 30,
+    })),
+  }],
+});
+
+export const DEFAULT_FLOOR_PLAN = buildDefaultFloorPlan();
+
+export function normalizeFloorPlan(raw) {
+  const value = parseMaybeJson(raw);
+  if (!value || !Array.isArray(value.areas)) return DEFAULT_FLOOR_PLAN;
+  const areas = value.areas
+    .filter(a => a && String(a.name || '').trim() !== '')
+    .map((a, areaIdx) => ({
+      id: String(a.id ?? `area-${areaIdx}`),
+      name: String(a.name).trim(),
+      tables: (Array.isArray(a.tables) ? a.tables : [])
+        .filter(t => t && String(t.number ?? '').trim() !== '')
+        .map((t, idx) => ({
+          id: String(t.id ?? `table-${areaIdx}-${idx}`),
+          number: String(t.number).trim(),
+          name: String(t.name || '').trim(),
+          seats: Math.max(1, parseInt(t.seats, 10) || 1),
+          x: clampPercent(t.x),
+          y: clampPercent(t.y),
+        })),
+    }));
+  return {
+    overdueMinutes: Math.max(1, parseInt(value.overdueMinutes ?? value.overdue_minutes, 10) || DEFAULT_OVERDUE_MINUTES),
+    areas,
+  };
+}
+
+/** Duplicate table numbers or empty names; returns an error message or ''. */
+export function validateFloorPlan(plan) {
+  const seen = new Set();
+  for (const area of plan.areas) {
+    if (!String(area.name || '').trim()) return 'Every area needs a name';
+    for (const table of area.tables) {
+      const number = String(table.number || '').trim();
+      if (!number) return `Every table in ${area.name} needs a number`;
+      if (number.toLowerCase() === TAKEAWAY_TABLE) return `"${number}" is reserved for take away orders`;
+      if (seen.has(number)) return `Table number ${number} is used more than once`;
+      seen.add(number);
+    }
+  }
+  return '';
+}
+
+// ==================== PLAN STORE ====================
+
+const store = createConfigStore(STORAGE_KEY, normalizeFloorPlan, FLOOR_PLAN_EVENT);
+
+export const getFloorPlan = store.get;
+export const setFloorPlan = store.set;
+
+// ==================== LOOKUPS ====================
+
+/** Every table in plan order, with its area attached. */
+export const getAllTables = (plan = getFloorPlan()) =>
+  plan.areas.flatMap(area => area.tables.map(table => ({ ...table, areaId: area.id, areaName: area.name })));
+
+/**
+ * Table numbers arrive as numbers from older orders and as strings from the floor
+ * plan, so compare them as trimmed strings.
+ */
+export const isSameTable = (a, b) =>
+  a !== null && a !== undefined && b !== null && b !== undefined && String(a).trim() === String(b).trim();
+
+export const findTable = (tableNumber, plan = getFloorPlan()) =>
+  getAllTables(plan).find(t => isSameTable(t.number, tableNumber)) || null;
+
+export const isKnownTable = (tableNumber, plan = getFloorPlan()) =>
+  String(tableNumber) === TAKEAWAY_TABLE || !!findTable(tableNumber, plan);
+
+/** "Table 5", or "Table 5 · Window" when the table has a name. */
+export function getTableLabel(tableNumber, plan = getFloorPlan()) {
+  if (String(tableNumber) === TAKEAWAY_TABLE) return 'Take Away';
+  const table = findTable(tableNumber, plan);
+  return table?.name ? `Table ${tableNumber} · ${table.name}` : `Table ${tableNumber}`;
+}
+
+// ==================== TABLE STATE ====================
+
+export const TABLE_STATES = {
+  free: { label: 'Free', color: '#28a745', background: '#e9f7ef' },
+  occupied: { label: 'Occupied', color: '#0d6efd', background: '#e7f1ff' },
+  bill_printed: { label: 'Bill Printed', color: '#6f42c1', background: '#f1eafc' },
+  overdue: { label: 'Overdue', color: '#dc3545', background: '#fdecee' },
+};
+
+const readBillPrinted = () => {
+  try {
+    return JSON.parse(localStorage.getItem(BILL_PRINTED_STORAGE_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+};
+
+/** Remember that the bill for a pending order has been handed to the table. */
+export function markBillPrinted(orderId) {
+  if (orderId === null || orderId === undefined) return;
+  const map = readBillPrinted();
+  map[String(orderId)] = new Date().toISOString();
+  // Keep the map small; entries only matter while the order is open
+  const recent = Object.entries(map).sort((a, b) => (a[1] < b[1] ? 1 : -1)).slice(0, 200);
+  try {
+    localStorage.setItem(BILL_PRINTED_STORAGE_KEY, JSON.stringify(Object.fromEntries(recent)));
+  } catch (e) {
+    console.warn('[floorPlan] Failed to record printed bill:', e);
+  }
+}
+
+export const hasBillPrinted = (order) => {
+  if (!order) return false;
+  if (order.billPrintedAt || order.bill_printed_at) return true;
+  if (toNumber(order.amountPaid ?? order.amount_paid) > 0) return true;
+  return !!readBillPrinted()[String(order.id)];
+};
+
+/**
+ * State used to colour a table on the floor view. `order` is the open order on the
+ * table (or null); overdue wins over bill printed so long-waiting tables stand out.
+ */
+export function getTableState(order, { now = new Date(), overdueMinutes = getFloorPlan().overdueMinutes } = {}) {
+  if (!order) return 'free';
+  const createdAt = order.createdAt || order.created_at;
+  const minutes = createdAt ? (now - new Date(createdAt)) / 60000 : 0;
+  if (minutes >= overdueMinutes) return 'overdue';
+  if (hasBillPrinted(order)) return 'bill_printed';
+  return 'occupied';
+}
@@ -0,0 +1,223 @@
+/**
+ * Ingredient stock.
+ *
+ * An ingredient is stocked in one unit:
+ *   { id, name, unit, stock, reorderLevel, costPerUnit, active }
+ * Stock only changes through movements, which the server applies to `stock` (purchases
+ * also update `costPerUnit`):
+ *   { id, ingredientId, type, quantity, unitCost, reason, note, expenseId, stockTakeId,
+ *     orderId, createdBy, createdAt }
+ * `quantity` is signed in the ingredient's unit (+ in, - out). A stock take records what
+ * was counted against what the system expected; the server posts the differences as
+ * `count` movements so `stock` matches the shelf afterwards.
+ *
+ * "Inventory purchases" expenses can name an ingredient, in which case the bought
+ * quantity is converted to the ingredient's unit and booked in as a `purchase`.
+ * Completed orders book the recipe usage sent with each line out as `sale` movements
+ * (see `utils/recipes`).
+ */
+import { roundMoney } from './money';
+
+// Same codes as the expense form's unit list, so a purchase maps onto an ingredient
+export const STOCK_UNITS = [
+  { value: 'PCS', label: 'PCS (Pieces)' },
+  { value: 'KG', label: 'KG (Kilograms)' },
+  { value: 'G', label: 'G (Grams)' },
+  { value: 'L', label: 'L (Liters)' },
+  { value: 'ML', label: 'ML (Milliliters)' },
+  { value: 'BOX', label: 'BOX (Boxes)' },
+  { value: 'PACK', label: 'PACK (Packs)' },
+  { value: 'BAG', label: 'BAG (Bags)' },
+  { value: 'DOZEN', label: 'DOZEN (Dozens)' },
+  { value: 'OTHER', label: 'OTHER' },
+];
+
+// How many of the second unit make one of the first
+const UNIT_FACTORS = {
+  KG: { G: 1000 },
+  G: { KG: 0.001 },
+  L: { ML: 1000 },
+  ML: { L: 0.001 },
+  DOZEN: { PCS: 12 },
+  PCS: { DOZEN: 1 / 12 },
+};
+
+export const MOVEMENT_TYPES = {
+  purchase: { label: 'Stock in', color: '#28a745' },
+  adjustment: { label: 'Adjustment', color: '#007bff' },
+  wastage: { label: 'Wastage', color: '#dc3545' },
+  count: { label: 'Stock take', color: '#6f42c1' },
+  sale: { label: 'Sold', color: '#fd7e14' },
+};
+
+export const WASTAGE_REASONS = [
+  'Expired',
+  'Spoiled',
+  'Damaged',
+  'Kitchen mistake',
+  'Other',
+];
+
+export const INVENTORY_PURCHASE_CATEGORY = 'Inventory purchases';
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+// Quantities keep three decimals so grams and millilitres survive a KG/L round trip
+export const roundQuantity = (value) => Math.round(toNumber(value) * 1000) / 1000;
+
+// ==================== NORMALIZATION ====================
+
+export function normalizeIngredient(raw) {
+  if (!raw) return null;
+  return {
+    id: raw.id ?? null,
+    name: String(raw.name ?? '').trim(),
+    unit: String(raw.unit || 'PCS').toUpperCase(),
+    stock: roundQuantity(raw.stock ?? raw.quantity ?? raw.on_hand),
+    reorderLevel: roundQuantity(raw.reorderLevel ?? raw.reorder_level),
+    costPerUnit: toNumber(raw.costPerUnit ?? raw.cost_per_unit),
+    active: raw.active !== false && raw.active !== 0,
+  };
+}
+
+export const normalizeIngredients = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map(normalizeIngredient)
+    .filter(i => i && i.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export function normalizeMovement(raw) {
+  if (!raw) return null;
+  return {
+    id: raw.id ?? null,
+    ingredientId: raw.ingredientId ?? raw.ingredient_id ?? null,
+    ingredientName: raw.ingredientName ?? raw.ingredient_name ?? '',
+    type: MOVEMENT_TYPES[raw.type] ? raw.type : 'adjustment',
+    quantity: roundQuantity(raw.quantity),
+    unitCost: toNumber(raw.unitCost ?? raw.unit_cost),
+    reason: String(raw.reason ?? ''),
+    note: String(raw.note ?? raw.notes ?? ''),
+    expenseId: raw.expenseId ?? raw.expense_id ?? null,
+    stockTakeId: raw.stockTakeId ?? raw.stock_take_id ?? null,
+    orderId: raw.orderId ?? raw.order_id ?? null,
+    createdBy: raw.createdByName ?? raw.created_by_name ?? raw.createdBy ?? raw.created_by ?? null,
+    createdAt: raw.createdAt ?? raw.created_at ?? null,
+  };
+}
+
+export const normalizeMovements = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeMovement).filter(Boolean);
+
+export function normalizeStockTake(raw) {
+  if (!raw) return null;
+  const lines = Array.isArray(raw.lines) ? raw.lines : [];
+  return {
+    id: raw.id ?? null,
+    countedAt: raw.countedAt ?? raw.counted_at ?? raw.createdAt ?? raw.created_at ?? null,
+    note: String(raw.note ?? raw.notes ?? ''),
+    createdBy: raw.createdByName ?? raw.created_by_name ?? raw.createdBy ?? raw.created_by ?? null,
+    lines: lines.map(l => {
+      const expected = roundQuantity(l.expected);
+      const counted = roundQuantity(l.counted);
+      const unitCost = toNumber(l.unitCost ?? l.unit_cost);
+      return {
+        ingredientId: l.ingredientId ?? l.ingredient_id ?? null,
+        ingredientName: l.ingredientName ?? l.ingredient_name ?? '',
+        unit: String(l.unit || 'PCS').toUpperCase(),
+        expected,
+        counted,
+        variance: roundQuantity(counted - expected),
+        unitCost,
+        varianceValue: roundMoney((counted - expected) * unitCost),
+      };
+    }),
+  };
+}
+
+export const normalizeStockTakes = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeStockTake).filter(Boolean);
+
+// ==================== STOCK ====================
+
+/** `quantity` of `fromUnit` in `toUnit`, or null when the units don't convert. */
+export function convertQuantity(quantity, fromUnit, toUnit) {
+  const from = String(fromUnit || '').toUpperCase();
+  const to = String(toUnit || '').toUpperCase();
+  if (from === to) return roundQuantity(quantity);
+  const factor = UNIT_FACTORS[from]?.[to];
+  return factor ? roundQuantity(toNumber(quantity) * factor) : null;
+}
+
+/** Units an expense line can be bought in for this ingredient. */
+export const getPurchaseUnits = (ingredientUnit) => {
+  const unit = String(ingredientUnit || '').toUpperCase();
+  return [unit, ...Object.keys(UNIT_FACTORS[unit] || {})];
+};
+
+export const isLowStock = (ingredient) =>
+  !!ingredient && ingredient.active && ingredient.reorderLevel > 0 && ingredient.stock <= ingredient.reorderLevel;
+
+export const getLowStockIngredients = (ingredients) =>
+  (ingredients || []).filter(isLowStock).sort((a, b) => (a.stock / a.reorderLevel) - (b.stock / b.reorderLevel));
+
+export const getStockValue = (ingredients) =>
+  roundMoney((ingredients || []).reduce((sum, i) => sum + Math.max(0, i.stock) * i.costPerUnit, 0));
+
+export const formatQuantity = (quantity, unit) =>
+  `${roundQuantity(quantity).toLocaleString(undefined, { maximumFractionDigits: 3 })} ${unit || ''}`.trim();
+
+/**
+ * Movement for stock bought on an "Inventory purchases" expense, or null if the
+ * expense's unit can't be converted to the ingredient's.
+ */
+export function buildPurchaseMovement(ingredient, { quantity, unit, unitPrice, expenseId = null, note = '' }) {
+  const converted = convertQuantity(quantity, unit, ingredient.unit);
+  if (converted === null || converted <= 0) return null;
+  const total = toNumber(quantity) * toNumber(unitPrice);
+  return {
+    ingredientId: ingredient.id,
+    type: 'purchase',
+    quantity: converted,
+    unitCost: Math.round((total / converted) * 10000) / 10000,
+    expenseId,
+    note,
+  };
+}
+
+// ==================== STOCK TAKE ====================
+
+/** Count sheet lines for the ingredients that were counted (blank counts are skipped). */
+export function buildStockTakeLines(ingredients, counts) {
+  return ingredients
+    .filter(i => counts[String(i.id)] !== undefined && counts[String(i.id)] !== '')
+    .map(i => {
+      const counted = roundQuantity(counts[String(i.id)]);
+      return {
+        ingredientId: i.id,
+        ingredientName: i.name,
+        unit: i.unit,
+        expected: i.stock,
+        counted,
+        variance: roundQuantity(counted - i.stock),
+        unitCost: i.costPerUnit,
+        varianceValue: roundMoney((counted - i.stock) * i.costPerUnit),
+      };
+    });
+}
+
+/** Totals for a variance report: what went missing, what turned up, and the net. */
+export function summarizeVariance(lines) {
+  const withVariance = lines.filter(l => l.variance !== 0);
+  const shortValue = roundMoney(withVariance.filter(l => l.variance < 0).reduce((sum, l) => sum + l.varianceValue, 0));
+  const overValue = roundMoney(withVariance.filter(l => l.variance > 0).reduce((sum, l) => sum + l.varianceValue, 0));
+  return {
+    counted: lines.length,
+    withVariance: withVariance.length,
+    shortValue,
+    overValue,
+    netValue: roundMoney(shortValue + overValue),
+  };
+}
@@ -0,0 +1,133 @@
+/**
+ * Kitchen prep stations (grill, fryer, drinks bar) and which menu items each one makes.
+ *
+ * Stored under the `kitchen_stations` business-info key:
+ *   { stations: [{ id, name }],
+ *     categoryStations: { [categoryId]: stationId },
+ *     itemStations: { [menuItemId]: stationId } }
+ *
+ * An item's own assignment wins over its category's. Anything left unassigned goes to
+ * the first station, and with no stations configured the kitchen gets a single ticket
+ * as before. Like the floor plan, the active config lives in a module store mirrored to
+ * localStorage so tickets still split correctly offline.
+ */
+import { formatItemOptionLines } from './menuModifiers';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const KITCHEN_STATIONS_KEY = 'kitchen_stations';
+const STORAGE_KEY = 'pos:kitchen-stations';
+export const KITCHEN_STATIONS_EVENT = 'kitchenStationsUpdated';
+
+export const DEFAULT_KITCHEN_STATIONS = { stations: [], categoryStations: {}, itemStations: {} };
+
+/** Drop assignments that point at stations which no longer exist. */
+const normalizeAssignments = (raw, stationIds) => Object.fromEntries(
+  Object.entries(raw && typeof raw === 'object' ? raw : {})
+    .map(([key, stationId]) => [String(key), String(stationId ?? '')])
+    .filter(([, stationId]) => stationIds.has(stationId))
+);
+
+export function normalizeKitchenStations(raw) {
+  const value = parseMaybeJson(raw);
+  if (!value || !Array.isArray(value.stations)) return DEFAULT_KITCHEN_STATIONS;
+  const stations = value.stations
+    .filter(s => s && String(s.name || '').trim() !== '')
+    .map((s, idx) => ({ id: String(s.id ?? `station-${idx}`), name: String(s.name).trim() }));
+  const stationIds = new Set(stations.map(s => s.id));
+  return {
+    stations,
+    categoryStations: normalizeAssignments(value.categoryStations ?? value.category_stations, stationIds),
+    itemStations: normalizeAssignments(value.itemStations ?? value.item_stations, stationIds),
+  };
+}
+
+/** Empty or duplicate station names; returns an error message or ''. */
+export function validateKitchenStations(config) {
+  const seen = new Set();
+  for (const station of config.stations) {
+    const name = String(station.name || '').trim();
+    if (!name) return 'Every station needs a name';
+    if (seen.has(name.toLowerCase())) return `Station "${name}" is listed more than once`;
+    seen.add(name.toLowerCase());
+  }
+  return '';
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeKitchenStations, KITCHEN_STATIONS_EVENT);
+
+export const getKitchenStations = store.get;
+export const setKitchenStations = store.set;
+
+// ==================== ROUTING ====================
+
+const getMenuItemId = (item) => item?.menu_item_id ?? item?.menuItemId ?? null;
+const getCategoryId = (item) => item?.category_id ?? item?.categoryId ?? item?.category?.id ?? null;
+
+/** Station id for a ticket item, or null when no stations are configured. */
+export function getItemStationId(item, config = getKitchenStations()) {
+  if (config.stations.length === 0) return null;
+  const menuItemId = getMenuItemId(item);
+  const categoryId = getCategoryId(item);
+  return (menuItemId != null && config.itemStations[String(menuItemId)])
+    || (categoryId != null && config.categoryStations[String(categoryId)])
+    || config.stations[0].id;
+}
+
+/**
+ * Ticket items grouped per station, in station order, skipping stations with nothing
+ * to make: [{ station: { id, name } | null, items }].
+ */
+export function groupItemsByStation(items, config = getKitchenStations()) {
+  const list = Array.isArray(items) ? items : [];
+  if (config.stations.length === 0) {
+    return list.length > 0 ? [{ station: null, items: list }] : [];
+  }
+  return config.stations
+    .map(station => ({ station, items: list.filter(item => getItemStationId(item, config) === station.id) }))
+    .filter(group => group.items.length > 0);
+}
+
+/**
+ * Receipt payloads for the kitchen, one per station with only that station's items and
+ * `station_name` set. When `kitchen_changes` is present (an edited order) the tickets
+ * list only the added and voided items, and an empty list means nothing to print.
+ */
+export function getKitchenTicketOrders(orderData, config = getKitchenStations()) {
+  const isDelta = Array.isArray(orderData?.kitchen_changes);
+  const groups = groupItemsByStation(isDelta ? orderData.kitchen_changes : orderData?.items, config);
+  if (groups.length === 0) {
+    return isDelta ? [] : [orderData];
+  }
+  return groups.map(({ station, items }) => ({ ...orderData, items, station_name: station?.name || null }));
+}
+
+// ==================== DELTA TICKETS ====================
+
+/** Same dish with the same variant and modifiers, so quantities can be compared. */
+const getDeltaKey = (item) =>
+  [getMenuItemId(item) ?? item.name, ...formatItemOptionLines(item)].join('|');
+
+/**
+ * What changed between the items the kitchen already has and the edited order, as
+ * ticket items with `change: 'add' | 'void'` and the quantity added or removed.
+ */
+export function buildKitchenDelta(previousItems, nextItems) {
+  const totals = new Map();
+  const tally = (items, sign) => (Array.isArray(items) ? items : []).forEach(item => {
+    const key = getDeltaKey(item);
+    const entry = totals.get(key) || { item, quantity: 0 };
+    entry.quantity += sign * (parseInt(item.quantity || 0, 10) || 0);
+    if (sign > 0) entry.item = item;
+    totals.set(key, entry);
+  });
+  tally(previousItems, -1);
+  tally(nextItems, 1);
+
+  const changes = [];
+  totals.forEach(({ item, quantity }) => {
+    if (quantity === 0) return;
+    changes.push({ ...item, quantity: Math.abs(quantity), change: quantity > 0 ? 'add' : 'void' });
+  });
+  // Voids first so the line sees what to stop making before what to start
+  return changes.sort((a, b) => (a.change === b.change ? 0 : a.change === 'void' ? -1 : 1));
+}
@@ -0,0 +1,80 @@
+import {
+  normalizeKitchenStations,
+  getItemStationId,
+  getKitchenTicketOrders,
+  buildKitchenDelta,
+} from './kitchenStations';
+
+const config = normalizeKitchenStations({
+  stations: [{ id: 'grill', name: 'Grill' }, { id: 'bar', name: 'Drinks Bar' }],
+  categoryStations: { 2: 'bar', 3: 'deleted-station' },
+  itemStations: { 5: 'bar' },
+});
+
+const burger = { menu_item_id: 1, category_id: 1, name: 'Burger', quantity: 2 };
+const lassi = { menu_item_id: 2, category_id: 2, name: 'Lassi', quantity: 1 };
+const fries = { menu_item_id: 5, category_id: 1, name: 'Fries', quantity: 1 };
+const soup = { menu_item_id: 7, category_id: 3, name: 'Soup', quantity: 1 };
+
+describe('getItemStationId', () => {
+  it("routes by the item's own station before its category's", () => {
+    expect(getItemStationId(lassi, config)).toBe('bar');
+    expect(getItemStationId(fries, config)).toBe('bar');
+  });
+
+  it('sends unassigned items to the first station', () => {
+    expect(getItemStationId(burger, config)).toBe('grill');
+    // Assigned to a station that no longer exists
+    expect(getItemStationId(soup, config)).toBe('grill');
+  });
+
+  it('returns null with no stations configured', () => {
+    expect(getItemStationId(lassi, normalizeKitchenStations(null))).toBeNull();
+  });
+});
+
+describe('getKitchenTicketOrders', () => {
+  const order = { order_number: 12, items: [burger, lassi, fries] };
+
+  it('prints one ticket per station with only its items', () => {
+    const tickets = getKitchenTicketOrders(order, config);
+    expect(tickets.map(t => [t.station_name, t.items.map(i => i.name)])).toEqual([
+      ['Grill', ['Burger']],
+      ['Drinks Bar', ['Lassi', 'Fries']],
+    ]);
+    expect(tickets[0].order_number).toBe(12);
+  });
+
+  it('prints the whole order as one ticket with no stations configured', () => {
+    expect(getKitchenTicketOrders(order, normalizeKitchenStations(null))).toEqual([{ ...order, station_name: null }]);
+  });
+
+  it('only prints stations with changes for an edited order', () => {
+    const edited = { ...order, kitchen_changes: [{ ...lassi, change: 'add' }] };
+    expect(getKitchenTicketOrders(edited, config).map(t => t.station_name)).toEqual(['Drinks Bar']);
+    expect(getKitchenTicketOrders({ ...order, kitchen_changes: [] }, config)).toEqual([]);
+  });
+});
+
+describe('buildKitchenDelta', () => {
+  it('lists added and voided quantities, voids first', () => {
+    const delta = buildKitchenDelta([burger, lassi, fries], [{ ...burger, quantity: 3 }, { ...fries }]);
+    expect(delta.map(i => [i.name, i.change, i.quantity])).toEqual([
+      ['Lassi', 'void', 1],
+      ['Burger', 'add', 1],
+    ]);
+  });
+
+  it('treats a line with different options as a different dish', () => {
+    const noSugar = { ...lassi, modifiers: [{ optionId: 'no-sugar', name: 'No sugar' }] };
+    const delta = buildKitchenDelta([lassi], [noSugar]);
+    expect(delta.map(i => [i.name, i.change, i.modifiers?.length ?? 0])).toEqual([
+      ['Lassi', 'void', 0],
+      ['Lassi', 'add', 1],
+    ]);
+  });
+
+  it('is empty when nothing changed', () => {
+    expect(buildKitchenDelta([burger, lassi], [lassi, { ...burger }])).toEqual([]);
+  });
+});
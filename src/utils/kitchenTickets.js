@@ -0,0 +1,104 @@
+/**
+ * Kitchen display tickets: open dine-in and delivery orders shown as cards on the
+ * kitchen screen.
+ *
+ * Bumping a ticket sets the order to `ready` through the regular status endpoint;
+ * the per-item "done" ticks and the recall list are kitchen-screen state only, so
+ * they live in localStorage rather than on the order.
+ */
+import { formatItemOptionLines } from './menuModifiers';
+
+const DONE_ITEMS_STORAGE_KEY = 'pos:kds-done-items';
+const RECALL_STORAGE_KEY = 'pos:kds-recall';
+const RECALL_LIMIT = 10;
+
+/** Order statuses that still belong on the kitchen screen. */
+export const KITCHEN_STATUSES = ['pending', 'preparing'];
+
+export const getOrderStatus = (order) => order?.orderStatus || order?.order_status || 'pending';
+
+export const isKitchenOrder = (order) => KITCHEN_STATUSES.includes(getOrderStatus(order));
+
+const readJson = (key, fallback) => {
+  try {
+    return JSON.parse(localStorage.getItem(key) || 'null') ?? fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const writeJson = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn('[kitchenTickets] Failed to persist kitchen state:', e);
+  }
+};
+
+// ==================== TICKETS ====================
+
+/** Card data for one order; `items` are the order items from the API. */
+export function buildKitchenTicket(order, items = []) {
+  const orderType = order.order_type || order.orderType || 'dine_in';
+  return {
+    id: order.id,
+    orderNumber: order.order_number || order.orderNumber || order.id,
+    orderType,
+    tableNumber: order.table_number ?? order.tableNumber ?? null,
+    customerName: order.customer_name || order.customerName || '',
+    createdAt: order.created_at || order.createdAt,
+    status: getOrderStatus(order),
+    specialInstructions: order.special_instructions || order.specialInstructions || '',
+    items: (Array.isArray(items) ? items : []).map((item, idx) => ({
+      key: String(item.id ?? item.order_item_id ?? idx),
+      name: item.menuItem?.name || item.item_name || item.name || 'Unknown Item',
+      quantity: parseInt(item.quantity || 0, 10),
+      options: formatItemOptionLines(item),
+    })),
+  };
+}
+
+// ==================== ITEM DONE TICKS ====================
+
+/** `{ [orderId]: [itemKey, ...] }` for the items the line has marked done. */
+export const getDoneItems = () => readJson(DONE_ITEMS_STORAGE_KEY, {});
+
+export function toggleDoneItem(orderId, itemKey) {
+  const map = getDoneItems();
+  const current = new Set(map[String(orderId)] || []);
+  if (current.has(itemKey)) {
+    current.delete(itemKey);
+  } else {
+    current.add(itemKey);
+  }
+  map[String(orderId)] = [...current];
+  writeJson(DONE_ITEMS_STORAGE_KEY, map);
+  return map;
+}
+
+/** Drop ticks for orders no longer on the screen so the map doesn't grow forever. */
+export function pruneDoneItems(activeOrderIds) {
+  const keep = new Set((activeOrderIds || []).map(String));
+  const map = getDoneItems();
+  const next = Object.fromEntries(Object.entries(map).filter(([orderId]) => keep.has(orderId)));
+  writeJson(DONE_ITEMS_STORAGE_KEY, next);
+  return next;
+}
+
+// ==================== RECALL ====================
+
+/** Most recently bumped tickets first, capped at RECALL_LIMIT. */
+export const getRecalledTickets = () => readJson(RECALL_STORAGE_KEY, []);
+
+export function pushBumpedTicket(ticket) {
+  const list = getRecalledTickets().filter(t => String(t.id) !== String(ticket.id));
+  const next = [{ ...ticket, bumpedAt: new Date().toISOString() }, ...list].slice(0, RECALL_LIMIT);
+  writeJson(RECALL_STORAGE_KEY, next);
+  return next;
+}
+
+export function removeBumpedTicket(orderId) {
+  const next = getRecalledTickets().filter(t => String(t.id) !== String(orderId));
+  writeJson(RECALL_STORAGE_KEY, next);
+  return next;
+}
@@ -0,0 +1,100 @@
+/**
+ * Manager PIN overrides for sensitive POS actions.
+ *
+ * Admin-configured policy (stored under the `manager_override_policy` business-info key):
+ *   actions: { [action]: boolean }  which actions need a manager PIN
+ *   discountThreshold: number       discounts above this percent need a PIN
+ *
+ * Refunds always need a manager and are not part of the policy.
+ *
+ * Users whose role can approve overrides (managers and admins by default) are never
+ * prompted and approve their own actions; anyone else has a manager enter their PIN on
+ * the same terminal (`useManagerOverride`). Each approval is sent with the change and
+ * recorded on the order:
+ *   { action, token, approvedBy, approvedByName, requestedBy, details, approvedAt }
+ * `token` is the short-lived approval token `/auth/verify-pin` issues for that action.
+ * The order, cancel, revert and refund endpoints take the approver from it (or, with no
+ * token, from the signed-in user, who must be able to approve overrides) and reject the
+ * change otherwise; the other fields are for display.
+ */
+import { hasPermission } from './permissions';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const OVERRIDE_POLICY_KEY = 'manager_override_policy';
+const STORAGE_KEY = 'pos:override-policy';
+export const OVERRIDE_POLICY_EVENT = 'overridePolicyUpdated';
+
+export const OVERRIDE_ACTIONS = {
+  discount: 'Discounts above the threshold',
+  cancel: 'Cancel orders',
+  revert_payment: 'Revert payments',
+  price_override: 'Change item prices',
+  reprint: 'Reprint receipts',
+};
+
+const REQUIRED_OVERRIDE_ACTIONS = {
+  refund: 'Refunds',
+};
+
+export const getOverrideActionLabel = (action) =>
+  OVERRIDE_ACTIONS[action] || REQUIRED_OVERRIDE_ACTIONS[action] || action;
+
+export const DEFAULT_OVERRIDE_POLICY = {
+  actions: {
+    discount: false,
+    cancel: false,
+    revert_payment: false,
+    price_override: false,
+    reprint: false,
+  },
+  discountThreshold: 10,
+};
+
+export function normalizeOverridePolicy(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const actions = value.actions || {};
+  const threshold = parseFloat(value.discountThreshold ?? value.discount_threshold);
+  return {
+    actions: Object.fromEntries(Object.keys(OVERRIDE_ACTIONS).map(action => [
+      action,
+      actions[action] === undefined ? DEFAULT_OVERRIDE_POLICY.actions[action] : actions[action] === true || actions[action] === 1,
+    ])),
+    discountThreshold: Number.isFinite(threshold) ? Math.min(100, Math.max(0, threshold)) : DEFAULT_OVERRIDE_POLICY.discountThreshold,
+  };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeOverridePolicy, OVERRIDE_POLICY_EVENT);
+
+export const getOverridePolicy = store.get;
+export const setOverridePolicy = store.set;
+
+// ==================== CHECKS ====================
+
+export const canApproveOverrides = (user) => hasPermission(user, 'approve_overrides');
+
+/**
+ * Whether `action` needs an override: always for refunds, otherwise when the policy
+ * covers it. `context.discountPercent` is compared against the threshold for discounts.
+ */
+export function isOverrideAction(action, context = {}, policy = getOverridePolicy()) {
+  if (REQUIRED_OVERRIDE_ACTIONS[action]) return true;
+  if (!policy.actions[action]) return false;
+  if (action === 'discount') return (Number(context.discountPercent) || 0) > policy.discountThreshold;
+  return true;
+}
+
+/** Whether this user has to get a manager's PIN before doing `action`. */
+export const requiresOverride = (action, user, context = {}, policy = getOverridePolicy()) =>
+  !canApproveOverrides(user) && isOverrideAction(action, context, policy);
+
+export function buildApprovalRecord(action, approver, requester, details = '', token = null) {
+  return {
+    action,
+    token,
+    approvedBy: approver?.id ?? null,
+    approvedByName: approver?.fullName || approver?.full_name || approver?.username || '',
+    requestedBy: requester?.id ?? null,
+    details,
+    approvedAt: new Date().toISOString(),
+  };
+}
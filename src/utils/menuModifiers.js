@@ -0,0 +1,234 @@
+/**
+ * Menu item variants (sizes) and modifier groups (extras / removals).
+ *
+ * Menu items may carry:
+ *   variants:       [{ id, name, price }]                       — pick exactly one; price replaces the base price
+ *   modifierGroups: [{ id, name, required, minSelections, maxSelections,
+ *                      options: [{ id, name, priceDelta }] }]   — pick within min/max; deltas add to the unit price
+ *
+ * The API may send camelCase or snake_case, and JSON columns may arrive as strings,
+ * so everything is normalized here before the POS, receipts or admin screens use it.
+ */
+import { parseMaybeJson } from './configStore';
+
+const toNumber = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export const generateOptionId = (prefix = 'opt') =>
+  `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 5)}`;
+
+export function normalizeVariants(item) {
+  const raw = parseMaybeJson(item?.variants ?? item?.sizes ?? []);
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(v => v && String(v.name || '').trim() !== '')
+    .map((v, idx) => ({
+      id: String(v.id ?? v.variantId ?? v.variant_id ?? `v${idx}`),
+      name: String(v.name).trim(),
+      price: toNumber(v.price, toNumber(item?.price)),
+    }));
+}
+
+export function normalizeModifierGroups(item) {
+  const raw = parseMaybeJson(item?.modifierGroups ?? item?.modifier_groups ?? []);
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter(g => g && String(g.name || '').trim() !== '')
+    .map((g, idx) => {
+      const options = (Array.isArray(g.options) ? g.options : [])
+        .filter(o => o && String(o.name || '').trim() !== '')
+        .map((o, oIdx) => ({
+          id: String(o.id ?? o.optionId ?? o.option_id ?? `o${oIdx}`),
+          name: String(o.name).trim(),
+          priceDelta: toNumber(o.priceDelta ?? o.price_delta ?? o.price),
+        }));
+      const required = g.required === true || g.required === 1;
+      const rawMin = parseInt(g.minSelections ?? g.min_selections ?? (required ? 1 : 0), 10);
+      const minSelections = Math.max(required ? 1 : 0, Number.isNaN(rawMin) ? 0 : rawMin);
+      const rawMax = parseInt(g.maxSelections ?? g.max_selections ?? options.length, 10);
+      const maxSelections = Math.max(minSelections, Number.isNaN(rawMax) || rawMax <= 0 ? options.length : rawMax);
+      return {
+        id: String(g.id ?? g.groupId ?? g.group_id ?? `g${idx}`),
+        name: String(g.name).trim(),
+        required: minSelections > 0,
+        minSelections,
+        maxSelections,
+        options,
+      };
+    })
+    .filter(g => g.options.length > 0);
+}
+
+/** True when the POS must open the item modal instead of adding the item straight to the cart. */
+export function itemHasOptions(item) {
+  return normalizeVariants(item).length > 0 || normalizeModifierGroups(item).length > 0;
+}
+
+/** Default selection state for the item modal: first variant, nothing else ticked. */
+export function getDefaultSelections(item) {
+  const variants = normalizeVariants(item);
+  return {
+    variantId: variants[0]?.id ?? null,
+    modifiers: {},
+  };
+}
+
+/**
+ * Toggle an option inside a group, respecting maxSelections.
+ * Single-choice groups (max 1) behave like radio buttons.
+ */
+export function toggleModifierSelection(selections, group, optionId) {
+  const current = selections?.modifiers?.[group.id] || [];
+  let next;
+  if (current.includes(optionId)) {
+    next = current.filter(id => id !== optionId);
+  } else if (group.maxSelections === 1) {
+    next = [optionId];
+  } else if (current.length >= group.maxSelections) {
+    return selections;
+  } else {
+    next = [...current, optionId];
+  }
+  return {
+    ...selections,
+    modifiers: { ...(selections?.modifiers || {}), [group.id]: next },
+  };
+}
+
+/** Returns an error message for the first unmet rule, or '' when the selection is valid. */
+export function validateSelections(item, selections) {
+  const variants = normalizeVariants(item);
+  if (variants.length > 0 && !variants.some(v => v.id === selections?.variantId)) {
+    return 'Please choose a size.';
+  }
+  for (const group of normalizeModifierGroups(item)) {
+    const count = (selections?.modifiers?.[group.id] || []).length;
+    if (count < group.minSelections) {
+      return group.minSelections === 1
+        ? `Please choose an option for "${group.name}".`
+        : `Please choose at least ${group.minSelections} options for "${group.name}".`;
+    }
+    if (count > group.maxSelections) {
+      return `Choose at most ${group.maxSelections} options for "${group.name}".`;
+    }
+  }
+  return '';
+}
+
+/** Resolve selections into the variant object and a flat modifier list. */
+export function resolveSelections(item, selections) {
+  const variant = normalizeVariants(item).find(v => v.id === selections?.variantId) || null;
+  const modifiers = [];
+  normalizeModifierGroups(item).forEach(group => {
+    const chosen = selections?.modifiers?.[group.id] || [];
+    group.options
+      .filter(o => chosen.includes(o.id))
+      .forEach(o => modifiers.push({
+        groupId: group.id,
+        groupName: group.name,
+        optionId: o.id,
+        name: o.name,
+        priceDelta: o.priceDelta,
+      }));
+  });
+  return { variant, modifiers };
+}
+
+export function getUnitPrice(item, variant, modifiers = []) {
+  const base = variant ? toNumber(variant.price) : toNumber(item?.price);
+  return base + modifiers.reduce((sum, m) => sum + toNumber(m.priceDelta), 0);
+}
+
+/** Cart lines are merged only when item, size and modifiers all match. */
+export function buildCartLineKey(itemId, variant, modifiers = []) {
+  const modKey = modifiers
+    .map(m => `${m.groupId}:${m.optionId}`)
+    .sort()
+    .join(',');
+  return [String(itemId), variant ? `v=${variant.id}` : '', modKey ? `m=${modKey}` : '']
+    .filter(Boolean)
+    .join('|');
+}
+
+/** Key for a cart line, falling back to the item id for carts persisted before options existed. */
+export const getCartLineKey = (line) => line?.lineKey || String(line?.id);
+
+export function buildCartLine(item, selections) {
+  const { variant, modifiers } = resolveSelections(item, selections);
+  return {
+    ...item,
+    lineKey: buildCartLineKey(item.id, variant, modifiers),
+    basePrice: toNumber(item.price),
+    price: getUnitPrice(item, variant, modifiers),
+    variant,
+    modifiers,
+    quantity: 1,
+  };
+}
+
+/** Read variant + modifiers back from a saved order item (API or IndexedDB shape). */
+export function getOrderItemOptions(orderItem) {
+  if (!orderItem) return { variant: null, modifiers: [] };
+  const rawVariant = parseMaybeJson(orderItem.variant);
+  const variantName = rawVariant?.name || orderItem.variantName || orderItem.variant_name || null;
+  const variantId = rawVariant?.id ?? orderItem.variantId ?? orderItem.variant_id ?? null;
+  const variant = variantName
+    ? { id: variantId !== null ? String(variantId) : variantName, name: variantName, price: toNumber(rawVariant?.price) }
+    : null;
+
+  const rawModifiers = parseMaybeJson(orderItem.modifiers ?? orderItem.selectedModifiers ?? orderItem.selected_modifiers ?? []);
+  const modifiers = (Array.isArray(rawModifiers) ? rawModifiers : [])
+    .filter(m => m && (m.name || m.optionName || m.option_name))
+    .map(m => ({
+      groupId: String(m.groupId ?? m.group_id ?? ''),
+      groupName: m.groupName || m.group_name || '',
+      optionId: String(m.optionId ?? m.option_id ?? m.name),
+      name: m.name || m.optionName || m.option_name,
+      priceDelta: toNumber(m.priceDelta ?? m.price_delta),
+    }));
+  return { variant, modifiers };
+}
+
+/** Fields to spread into receipt item objects so tickets can print the selections. */
+export function pickReceiptItemOptions(orderItem) {
+  const { variant, modifiers } = getOrderItemOptions(orderItem);
+  return {
+    variant_name: variant?.name || null,
+    modifiers,
+  };
+}
+
+/** Order payload fields for one cart line. */
+export function serializeLineOptions(line) {
+  const { variant, modifiers } = getOrderItemOptions(line);
+  if (!variant && modifiers.length === 0) return {};
+  return {
+    variantId: variant ? variant.id : undefined,
+    variantName: variant ? variant.name : undefined,
+    modifiers: modifiers.map(m => ({
+      groupId: m.groupId,
+      groupName: m.groupName,
+      optionId: m.optionId,
+      name: m.name,
+      priceDelta: m.priceDelta,
+    })),
+  };
+}
+
+/**
+ * Human-readable option lines for a cart line or order item, e.g.
+ * ['Large', '+ Extra cheese (+50)', 'No mayo'].
+ */
+export function formatItemOptionLines(orderItem, { withPrices = false } = {}) {
+  const { variant, modifiers } = getOrderItemOptions(orderItem);
+  const lines = [];
+  if (variant) lines.push(variant.name);
+  modifiers.forEach(m => {
+    const delta = toNumber(m.priceDelta);
+    const suffix = withPrices && delta !== 0 ? ` (${delta > 0 ? '+' : ''}${delta.toFixed(0)})` : '';
+    lines.push(`${m.name}${suffix}`);
+  });
+  return lines;
+}
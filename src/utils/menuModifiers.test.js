@@ -0,0 +1,115 @@
+import {
+  buildCartLine,
+  getCartLineKey,
+  getDefaultSelections,
+  toggleModifierSelection,
+  validateSelections,
+  normalizeModifierGroups,
+  getOrderItemOptions,
+  serializeLineOptions,
+  formatItemOptionLines,
+} from './menuModifiers';
+import { calculateOrderTotals } from './pricing';
+
+const pizza = {
+  id: 9,
+  name: 'Pizza',
+  price: 800,
+  variants: [
+    { id: 'm', name: 'Medium', price: 1000 },
+    { id: 'l', name: 'Large', price: 1400 },
+  ],
+  modifier_groups: JSON.stringify([
+    {
+      id: 'extras',
+      name: 'Extras',
+      max_selections: 2,
+      options: [
+        { id: 'cheese', name: 'Extra cheese', price_delta: 150 },
+        { id: 'olives', name: 'Olives', price_delta: 100 },
+        { id: 'jalapeno', name: 'Jalapeno', price_delta: 50 },
+      ],
+    },
+    { id: 'crust', name: 'Crust', required: true, max_selections: 1, options: [{ id: 'thin', name: 'Thin' }, { id: 'pan', name: 'Pan' }] },
+  ]),
+};
+
+const line = (variantId, extras, crust = ['thin']) =>
+  buildCartLine(pizza, { variantId, modifiers: { extras, crust } });
+
+describe('cart line keys', () => {
+  it('keeps the same item with different options on separate lines', () => {
+    const keys = [
+      line('m', []),
+      line('l', []),
+      line('m', ['cheese']),
+      line('m', [], ['pan']),
+    ].map(getCartLineKey);
+    expect(new Set(keys).size).toBe(4);
+  });
+
+  it('merges lines with the same options in any order', () => {
+    expect(getCartLineKey(line('m', ['cheese', 'olives']))).toBe(getCartLineKey(line('m', ['olives', 'cheese'])));
+  });
+
+  it('falls back to the item id for lines saved before options existed', () => {
+    expect(getCartLineKey({ id: 9, name: 'Pizza' })).toBe('9');
+  });
+});
+
+describe('line prices', () => {
+  it('starts from the size price and adds each priced option', () => {
+    const cartLine = line('l', ['cheese', 'olives']);
+    expect(cartLine).toMatchObject({ basePrice: 800, price: 1650, quantity: 1 });
+  });
+
+  it('adds the options to the line total for every unit', () => {
+    const cartLine = { ...line('m', ['cheese']), quantity: 2 };
+    expect(calculateOrderTotals({ items: [cartLine], config: null }).subtotal).toBe(2300);
+  });
+
+  it('prices options from a saved order item', () => {
+    const saved = { quantity: 1, price: 1150, variant_name: 'Medium', variant_id: 'm', modifiers: '[{"option_id":"cheese","name":"Extra cheese","price_delta":150}]' };
+    expect(getOrderItemOptions(saved).modifiers[0]).toMatchObject({ optionId: 'cheese', priceDelta: 150 });
+    expect(formatItemOptionLines(saved, { withPrices: true })).toEqual(['Medium', 'Extra cheese (+150)']);
+  });
+});
+
+describe('selections', () => {
+  const [extras, crust] = normalizeModifierGroups(pizza);
+
+  it('requires a size and the required groups', () => {
+    expect(validateSelections(pizza, { variantId: null, modifiers: {} })).toBe('Please choose a size.');
+    expect(validateSelections(pizza, getDefaultSelections(pizza))).toBe('Please choose an option for "Crust".');
+    expect(validateSelections(pizza, { variantId: 'm', modifiers: { crust: ['thin'] } })).toBe('');
+  });
+
+  it('stops at the group maximum and swaps single-choice options', () => {
+    let selections = getDefaultSelections(pizza);
+    ['cheese', 'olives', 'jalapeno'].forEach(id => {
+      selections = toggleModifierSelection(selections, extras, id);
+    });
+    expect(selections.modifiers.extras).toEqual(['cheese', 'olives']);
+
+    selections = toggleModifierSelection(selections, crust, 'thin');
+    selections = toggleModifierSelection(selections, crust, 'pan');
+    expect(selections.modifiers.crust).toEqual(['pan']);
+  });
+});
+
+describe('serializeLineOptions', () => {
+  it('sends nothing extra for a plain item', () => {
+    expect(serializeLineOptions({ id: 3, name: 'Naan', price: 50 })).toEqual({});
+  });
+
+  it('sends the size and options for a line with options', () => {
+    expect(serializeLineOptions(line('m', ['olives']))).toMatchObject({
+      variantId: 'm',
+      variantName: 'Medium',
+      modifiers: [
+        { groupId: 'extras', optionId: 'olives', priceDelta: 100 },
+        { groupId: 'crust', optionId: 'thin', priceDelta: 0 },
+      ],
+    });
+  });
+});
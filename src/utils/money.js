@@ -0,0 +1,9 @@
+/**
+ * Money helpers shared by pricing, bills, refunds, expenses, inventory and payroll.
+ */
+
+/** Rounds to 2 decimal places; anything that isn't a number counts as 0. */
+export const roundMoney = (value) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? Math.round(n * 100) / 100 : 0;
+};
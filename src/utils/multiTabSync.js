@@ -152,6 +152,10 @@ export const subscribeToSyncCompleted = (callback) => {
   return multiTabSync.subscribe(MESSAGE_TYPES.SYNC_COMPLETED, callback);
 };
 
+export const subscribeToTablesUpdated = (callback) => {
+  return multiTabSync.subscribe(MESSAGE_TYPES.TABLES_UPDATED, callback);
+};
+
 export const subscribeToDataRefresh = (callback) => {
   return multiTabSync.subscribe(MESSAGE_TYPES.DATA_REFRESH, callback);
 };
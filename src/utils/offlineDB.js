@@ -1,6 +1,8 @@
 // Enhanced IndexedDB utility for complete offline-first PWA
+import { getAuditActor } from './auditLog';
+
 const DB_NAME = 'flamex-pos-db';
-const DB_VERSION = 3; // Upgraded for universal caching
+const DB_VERSION = 4; // Expense receipt attachments
 
 // Open or create the database with all stores
 export const openDB = () => {
@@ -121,6 +123,13 @@ export const openDB = () => {
         conflictsStore.createIndex('resolved', 'resolved', { unique: false });
       }
 
+      // 13. Expense receipt attachments waiting to upload - Version 4
+      if (!db.objectStoreNames.contains('expense-attachments')) {
+        const attachmentsStore = db.createObjectStore('expense-attachments', { keyPath: 'id' });
+        attachmentsStore.createIndex('expenseId', 'expenseId', { unique: false });
+        attachmentsStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
       // Upgrade pendingOperations store - Version 3
       if (oldVersion < 3 && db.objectStoreNames.contains('pendingOperations')) {
         const tx = event.target.transaction;
@@ -967,29 +976,18 @@ export const cacheTableAvailability = async (occupiedTables) => {
     const store = tx.objectStore('tables');
 
     const now = new Date().toISOString();
-    // Normalize table numbers - ensure we're comparing numbers
-    const occupiedTableNumbers = new Set(
-      occupiedTables
-        .map(t => {
-          const tableNum = t.tableNumber || t.table_number;
-          return tableNum !== null && tableNum !== undefined ? parseInt(tableNum) : null;
-        })
-        .filter(num => num !== null && num >= 1 && num <= 10)
-    );
+    // Table numbers come from the floor plan and are not limited to 1-10, so
+    // replace the whole store with the occupied tables (keyed by table number string)
+    await store.clear();
+    for (const occupiedTable of occupiedTables) {
+      const tableNum = occupiedTable.tableNumber || occupiedTable.table_number;
+      if (tableNum === null || tableNum === undefined || String(tableNum).trim() === '') continue;
 
-    // Update all tables (1-10)
-    for (let i = 1; i <= 10; i++) {
-      const isOccupied = occupiedTableNumbers.has(i);
-      const occupiedTable = occupiedTables.find(t => {
-        const tableNum = t.tableNumber || t.table_number;
-        return tableNum !== null && tableNum !== undefined && parseInt(tableNum) === i;
-      });
-      
       await store.put({
-        tableNumber: i,
-        occupied: isOccupied,
-        orderId: occupiedTable?.id || occupiedTable?.orderId || null,
-        orderNumber: occupiedTable?.orderNumber || occupiedTable?.order_number || null,
+        tableNumber: String(tableNum).trim(),
+        occupied: true,
+        orderId: occupiedTable.id || occupiedTable.orderId || null,
+        orderNumber: occupiedTable.orderNumber || occupiedTable.order_number || null,
         lastSynced: now
       });
     }
@@ -1044,6 +1042,8 @@ export const addPendingOperation = async (operation) => {
       endpoint: operation.endpoint,
       method: operation.method,
       data: operation.data,
+      // Replayed with the sync so the audit log credits whoever did it offline
+      actor: operation.actor ?? getAuditActor(),
       status: 'pending',
       timestamp: new Date().toISOString(),
       retryCount: 0,
@@ -1215,6 +1215,62 @@ export const clearUserSession = async () => {
   }
 };
 
+/**
+ * Offline PIN sign-in: a hashed PIN (see utils/terminalLock `createPinCredential`)
+ * with the user's profile, one record per user, kept next to the session. No tokens:
+ * a PIN that leaks from here must not open a server session.
+ */
+export const savePinCredential = async (user, credential) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('user-session', 'readwrite');
+    const store = tx.objectStore('user-session');
+    await store.put({
+      key: `pin:${user.id}`,
+      user,
+      credential,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error saving PIN credential:', error);
+  }
+};
+
+export const getPinCredential = async (userId) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('user-session', 'readonly');
+    const store = tx.objectStore('user-session');
+    const request = store.get(`pin:${userId}`);
+
+    const record = await new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+    // Records saved before tokens were left out still carry them; drop them
+    if (record && ('accessToken' in record || 'refreshToken' in record)) {
+      const { accessToken, refreshToken, ...rest } = record;
+      await savePinCredential(rest.user, rest.credential);
+      return rest;
+    }
+    return record;
+  } catch (error) {
+    console.error('Error getting PIN credential:', error);
+    return null;
+  }
+};
+
+export const clearPinCredential = async (userId) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('user-session', 'readwrite');
+    const store = tx.objectStore('user-session');
+    await store.delete(`pin:${userId}`);
+  } catch (error) {
+    console.error('Error clearing PIN credential:', error);
+  }
+};
+
 // ==================== LEGACY SUPPORT (for backward compatibility) ====================
 
 /**
@@ -1285,6 +1341,79 @@ export const deleteOfflineOrder = async (orderId) => {
   }
 };
 
+// ==================== EXPENSE ATTACHMENTS ====================
+
+/**
+ * Saves a receipt (compressed image or PDF blob) for an expense until it is uploaded.
+ * Records are deleted once the server has the file, so everything in this store is pending.
+ *
+ * @param {Object} attachment - { expenseId, name, type, size, blob }
+ * @returns {Promise<Object>} Saved record, with its local `id`
+ */
+export const saveExpenseAttachment = async (attachment) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('expense-attachments', 'readwrite');
+    const store = tx.objectStore('expense-attachments');
+    const record = {
+      ...attachment,
+      id: attachment.id || `ATT-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      expenseId: String(attachment.expenseId),
+      createdAt: attachment.createdAt || new Date().toISOString()
+    };
+    const request = store.put(record);
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(record);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error saving expense attachment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pending attachments, for one expense or (without `expenseId`) all of them, oldest first.
+ */
+export const getPendingExpenseAttachments = async (expenseId) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('expense-attachments', 'readonly');
+    const store = tx.objectStore('expense-attachments');
+    const request = expenseId === undefined
+      ? store.getAll()
+      : store.index('expenseId').getAll(String(expenseId));
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(
+        (request.result || []).sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      );
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error getting pending expense attachments:', error);
+    return [];
+  }
+};
+
+export const deleteExpenseAttachment = async (id) => {
+  try {
+    const db = await openDB();
+    const tx = db.transaction('expense-attachments', 'readwrite');
+    const store = tx.objectStore('expense-attachments');
+    const request = store.delete(id);
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error('Error deleting expense attachment:', error);
+    throw error;
+  }
+};
+
 // ==================== UTILITY ====================
 
 export const clearAllOfflineData = async () => {
@@ -0,0 +1,24 @@
+/**
+ * Elapsed-time helpers shared by the dine-in, delivery and kitchen screens.
+ */
+import dayjs from 'dayjs';
+
+/** Time since the order was placed, e.g. "12m" or "1h 5m". */
+export const getOrderDuration = (createdAt, now = dayjs()) => {
+  const minutes = dayjs(now).diff(dayjs(createdAt), 'minute');
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${mins}m`;
+  }
+  return `${mins}m`;
+};
+
+/** Green under 15 minutes, amber under 30, red after that. */
+export const getDurationColor = (createdAt, now = dayjs()) => {
+  const minutes = dayjs(now).diff(dayjs(createdAt), 'minute');
+  if (minutes < 15) return '#28a745';
+  if (minutes < 30) return '#ffc107';
+  return '#dc3545';
+};
@@ -0,0 +1,159 @@
+/**
+ * Roles and permissions.
+ *
+ * Every screen, nav link and sensitive action is gated by a permission rather than a
+ * role name. `admin`, `manager` and `staff` are built in; admins can change what
+ * manager and staff may do and add custom roles in the Users tab. The role config is
+ * stored under the `roles_permissions` business-info key:
+ *   { roles: [{ id, name, permissions: string[] }] }
+ * A user's `role` holds the role id. Unknown roles get no permissions.
+ */
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const ROLES_CONFIG_KEY = 'roles_permissions';
+const STORAGE_KEY = 'pos:roles';
+export const ROLES_EVENT = 'rolesUpdated';
+
+export const PERMISSION_GROUPS = [
+  {
+    label: 'Point of Sale',
+    permissions: {
+      take_orders: 'Take orders (Orders, Dine-In and Delivery screens)',
+      apply_discounts: 'Apply discounts',
+      cancel_orders: 'Cancel orders',
+      revert_payments: 'Revert payments',
+      kitchen_display: 'Kitchen display',
+      cash_drawer: 'Open and close the cash drawer',
+    },
+  },
+  {
+    label: 'Orders & Reports',
+    permissions: {
+      view_order_history: 'View order history',
+      refund_orders: 'Refund orders',
+      view_reports: 'View reports and shift history',
+      manage_customers: 'Manage customers',
+      view_customer_phone: 'See customer phone numbers',
+      approve_overrides: 'Approve manager PIN overrides',
+    },
+  },
+  {
+    label: 'Back Office',
+    permissions: {
+      edit_menu: 'Edit menu, categories and kitchen stations',
+      manage_promotions: 'Manage promotions',
+      manage_expenses: 'Manage expenses',
+      approve_expenses: 'Approve expenses above the approval limit',
+      manage_inventory: 'Manage inventory, wastage and stock takes',
+      manage_suppliers: 'Manage suppliers and purchase orders',
+      manage_payroll: 'Staff attendance and payroll',
+      manage_users: 'Manage users and roles',
+      view_audit_log: 'View the audit log',
+      manage_settings: 'Change system settings and the floor plan',
+    },
+  },
+];
+
+export const PERMISSIONS = Object.assign({}, ...PERMISSION_GROUPS.map(g => g.permissions));
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Defaults match what each portal showed before permissions were configurable
+export const BUILT_IN_ROLES = [
+  { id: 'admin', name: 'Admin', permissions: ALL_PERMISSIONS },
+  {
+    id: 'manager',
+    name: 'Manager',
+    permissions: [
+      'take_orders', 'apply_discounts', 'cancel_orders', 'revert_payments', 'kitchen_display', 'cash_drawer',
+      'view_order_history', 'refund_orders', 'view_reports', 'manage_customers', 'view_customer_phone',
+      'approve_overrides', 'manage_inventory', 'manage_suppliers',
+    ],
+  },
+  {
+    id: 'staff',
+    name: 'Staff',
+    permissions: [
+      'take_orders', 'apply_discounts', 'cancel_orders', 'revert_payments', 'kitchen_display', 'cash_drawer',
+      'view_customer_phone',
+    ],
+  },
+];
+
+// Admin always has every permission, so nobody can be locked out of the Users tab
+export const isLockedRole = (roleId) => roleId === 'admin';
+
+export const slugifyRoleId = (name) =>
+  String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+/** Built-in roles first (with any saved changes), then custom roles. */
+export function normalizeRolesConfig(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const saved = (Array.isArray(value.roles) ? value.roles : [])
+    .map(r => ({
+      id: slugifyRoleId(r?.id ?? r?.name),
+      name: String(r?.name ?? '').trim(),
+      permissions: (Array.isArray(r?.permissions) ? r.permissions : []).filter(p => PERMISSIONS[p]),
+    }))
+    .filter(r => r.id);
+  const byId = new Map(saved.map(r => [r.id, r]));
+
+  const builtIn = BUILT_IN_ROLES.map(role => {
+    const override = byId.get(role.id);
+    if (!override || isLockedRole(role.id)) return { ...role, builtIn: true };
+    return { ...role, permissions: override.permissions, builtIn: true };
+  });
+  const custom = saved
+    .filter(r => !BUILT_IN_ROLES.some(b => b.id === r.id))
+    .map(r => ({ ...r, name: r.name || r.id, builtIn: false }));
+
+  return { roles: [...builtIn, ...custom] };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeRolesConfig, ROLES_EVENT);
+
+export const getRolesConfig = store.get;
+export const setRolesConfig = store.set;
+
+// ==================== CHECKS ====================
+
+/** Signed-in user as cached by the login screen, or null. */
+export function getSessionUser() {
+  try {
+    const raw = localStorage.getItem('user');
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export const getRole = (roleId, config = getRolesConfig()) =>
+  config.roles.find(r => r.id === roleId) || null;
+
+export const getRoleName = (roleId, config = getRolesConfig()) =>
+  getRole(roleId, config)?.name || roleId || '';
+
+export function hasPermission(user, permission, config = getRolesConfig()) {
+  const role = getRole(user?.role, config);
+  return !!role && role.permissions.includes(permission);
+}
+
+// Screens that only exist in the admin portal, and in the manager portal
+const ADMIN_PORTAL_PERMISSIONS = ['edit_menu', 'manage_promotions', 'manage_expenses', 'approve_expenses', 'manage_payroll', 'manage_users', 'view_audit_log', 'manage_settings'];
+const MANAGER_PORTAL_PERMISSIONS = ['view_order_history', 'view_reports', 'manage_customers', 'manage_inventory', 'manage_suppliers'];
+
+/**
+ * Which portal the user signs in to: back-office permissions open the admin portal,
+ * history/reports/customers/inventory/suppliers the manager portal, anything else the staff portal.
+ */
+export function getPortalForUser(user, config = getRolesConfig()) {
+  if (ADMIN_PORTAL_PERMISSIONS.some(p => hasPermission(user, p, config))) return 'admin';
+  if (MANAGER_PORTAL_PERMISSIONS.some(p => hasPermission(user, p, config))) return 'manager';
+  return 'staff';
+}
+
+/** Phone number with all but the last 4 digits hidden, for users who can't see phone numbers. */
+export function maskPhone(phone) {
+  const value = String(phone ?? '');
+  if (!value) return value;
+  return value.length <= 4 ? '****' : `${'*'.repeat(value.length - 4)}${value.slice(-4)}`;
+}
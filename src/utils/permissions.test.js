@@ -0,0 +1,95 @@
+import {
+  PERMISSIONS,
+  normalizeRolesConfig,
+  slugifyRoleId,
+  getRoleName,
+  hasPermission,
+  getPortalForUser,
+  maskPhone,
+} from './permissions';
+
+const defaults = normalizeRolesConfig(null);
+
+describe('normalizeRolesConfig', () => {
+  it('starts with the built-in roles', () => {
+    expect(defaults.roles.map(r => r.id)).toEqual(['admin', 'manager', 'staff']);
+    expect(defaults.roles[0].permissions).toEqual(Object.keys(PERMISSIONS));
+  });
+
+  it('applies saved changes to manager and staff but never to admin', () => {
+    const config = normalizeRolesConfig(JSON.stringify({
+      roles: [
+        { id: 'admin', permissions: ['take_orders'] },
+        { id: 'staff', permissions: ['take_orders', 'not_a_permission'] },
+      ],
+    }));
+    expect(config.roles.find(r => r.id === 'admin').permissions).toEqual(Object.keys(PERMISSIONS));
+    expect(config.roles.find(r => r.id === 'staff').permissions).toEqual(['take_orders']);
+  });
+
+  it('adds custom roles after the built-in ones, with slug ids', () => {
+    const config = normalizeRolesConfig({ roles: [{ name: 'Shift Lead', permissions: ['view_reports'] }] });
+    expect(config.roles[3]).toEqual({ id: 'shift_lead', name: 'Shift Lead', permissions: ['view_reports'], builtIn: false });
+  });
+});
+
+describe('slugifyRoleId', () => {
+  it('lowercases and joins words with underscores', () => {
+    expect(slugifyRoleId('  Head Chef (Nights) ')).toBe('head_chef_nights');
+  });
+});
+
+describe('hasPermission', () => {
+  it('checks the permission against the user role', () => {
+    expect(hasPermission({ role: 'manager' }, 'refund_orders', defaults)).toBe(true);
+    expect(hasPermission({ role: 'staff' }, 'refund_orders', defaults)).toBe(false);
+  });
+
+  it('gives unknown roles and signed-out users nothing', () => {
+    expect(hasPermission({ role: 'ghost' }, 'take_orders', defaults)).toBe(false);
+    expect(hasPermission(null, 'take_orders', defaults)).toBe(false);
+  });
+});
+
+describe('getPortalForUser', () => {
+  const config = normalizeRolesConfig({
+    roles: [
+      { id: 'bookkeeper', name: 'Bookkeeper', permissions: ['manage_expenses'] },
+      { id: 'shift_lead', name: 'Shift Lead', permissions: ['take_orders', 'view_reports'] },
+      { id: 'cashier', name: 'Cashier', permissions: ['take_orders', 'cash_drawer'] },
+    ],
+  });
+
+  it('sends the built-in roles to their own portals', () => {
+    expect(getPortalForUser({ role: 'admin' }, config)).toBe('admin');
+    expect(getPortalForUser({ role: 'manager' }, config)).toBe('manager');
+    expect(getPortalForUser({ role: 'staff' }, config)).toBe('staff');
+  });
+
+  it('picks the portal for custom roles from their permissions', () => {
+    expect(getPortalForUser({ role: 'bookkeeper' }, config)).toBe('admin');
+    expect(getPortalForUser({ role: 'shift_lead' }, config)).toBe('manager');
+    expect(getPortalForUser({ role: 'cashier' }, config)).toBe('staff');
+    expect(getPortalForUser({ role: 'ghost' }, config)).toBe('staff');
+  });
+
+  it('follows permission changes to a built-in role', () => {
+    const promoted = normalizeRolesConfig({ roles: [{ id: 'staff', permissions: ['take_orders', 'view_order_history'] }] });
+    expect(getPortalForUser({ role: 'staff' }, promoted)).toBe('manager');
+  });
+});
+
+describe('getRoleName', () => {
+  it('falls back to the role id', () => {
+    expect(getRoleName('manager', defaults)).toBe('Manager');
+    expect(getRoleName('ghost', defaults)).toBe('ghost');
+  });
+});
+
+describe('maskPhone', () => {
+  it('keeps only the last 4 digits', () => {
+    expect(maskPhone('03001234567')).toBe('*******4567');
+    expect(maskPhone('123')).toBe('****');
+    expect(maskPhone('')).toBe('');
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * Shared order pricing: discount, sales tax and service charge.
+ *
+ * The cart, order payloads, receipts, receipt regeneration and the daily summary
+ * all price through `calculateOrderTotals`, so the numbers always agree.
+ *
+ * Admin-configured settings (stored under the `pricing_config` business-info key):
+ *   taxes: [{ id, name, cashRate, cardRate, inclusive, categoryIds, enabled }]
+ *     - cashRate applies to cash payments, cardRate to card / bank transfer
+ *     - inclusive taxes are already inside the menu price and only reported
+ *     - empty categoryIds means the tax applies to every category
+ *   serviceCharge: { enabled, percent, orderTypes }
+ *
+ * Promotion lines (see `utils/promotions`) are taken off after the percentage
+ * discount and before tax and service charge.
+ *
+ * The calculated breakdown is stored on the order (`pricing`) so receipts printed
+ * later reflect the rates that were in force when the order was taken.
+ */
+import { getOrderPromotionLines } from './promotions';
+import { roundMoney } from './money';
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const PRICING_CONFIG_KEY = 'pricing_config';
+const STORAGE_KEY = 'pos:pricing-config';
+export const PRICING_CONFIG_EVENT = 'pricingConfigUpdated';
+
+export const DEFAULT_PRICING_CONFIG = {
+  taxes: [],
+  serviceCharge: {
+    enabled: false,
+    percent: 0,
+    orderTypes: ['dine_in'],
+  },
+};
+
+const toNumber = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+export function normalizePricingConfig(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const taxes = (Array.isArray(value.taxes) ? value.taxes : [])
+    .filter(t => t && String(t.name || '').trim() !== '')
+    .map((t, idx) => {
+      const cashRate = toNumber(t.cashRate ?? t.cash_rate ?? t.rate);
+      return {
+        id: String(t.id ?? `tax-${idx}`),
+        name: String(t.name).trim(),
+        cashRate,
+        cardRate: toNumber(t.cardRate ?? t.card_rate, cashRate),
+        inclusive: t.inclusive === true || t.inclusive === 1,
+        categoryIds: (Array.isArray(t.categoryIds ?? t.category_ids) ? (t.categoryIds ?? t.category_ids) : []).map(String),
+        enabled: t.enabled !== false && t.enabled !== 0,
+      };
+    });
+  const sc = value.serviceCharge || value.service_charge || {};
+  const orderTypes = Array.isArray(sc.orderTypes ?? sc.order_types) ? (sc.orderTypes ?? sc.order_types) : ['dine_in'];
+  return {
+    taxes,
+    serviceCharge: {
+      enabled: sc.enabled === true || sc.enabled === 1,
+      percent: toNumber(sc.percent),
+      orderTypes,
+    },
+  };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizePricingConfig, PRICING_CONFIG_EVENT);
+
+export const getPricingConfig = store.get;
+export const setPricingConfig = store.set;
+
+// ==================== CALCULATION ====================
+
+// 'mixed' (a split bill settled with several methods) has no rate of its own; each
+// tender carries a breakdown priced for its method (`priceSplitTender`)
+const isCardPayment = (paymentMethod) =>
+  !!paymentMethod && paymentMethod !== 'cash' && paymentMethod !== 'mixed';
+
+export const getTaxRate = (tax, paymentMethod) =>
+  isCardPayment(paymentMethod) ? tax.cardRate : tax.cashRate;
+
+const taxAppliesToItem = (tax, item) => {
+  if (!tax.categoryIds.length) return true;
+  const categoryId = item.categoryId ?? item.category_id ?? item.category?.id;
+  return categoryId !== undefined && categoryId !== null && tax.categoryIds.includes(String(categoryId));
+};
+
+const computeTaxAmount = (taxableAmount, rate, inclusive) => {
+  if (rate <= 0 || taxableAmount <= 0) return 0;
+  return inclusive
+    ? roundMoney(taxableAmount - taxableAmount / (1 + rate / 100))
+    : roundMoney(taxableAmount * rate / 100);
+};
+
+const finalizeTotals = (base, taxLines, serviceChargeAmount) => {
+  const taxTotal = roundMoney(taxLines.filter(l => !l.inclusive).reduce((sum, l) => sum + l.amount, 0));
+  const inclusiveTaxTotal = roundMoney(taxLines.filter(l => l.inclusive).reduce((sum, l) => sum + l.amount, 0));
+  return {
+    ...base,
+    taxLines,
+    taxTotal,
+    inclusiveTaxTotal,
+    serviceChargeAmount,
+    grandTotal: roundMoney(base.discountedSubtotal + taxTotal + serviceChargeAmount + base.deliveryCharge),
+  };
+};
+
+/**
+ * Price an order.
+ * `items` are cart lines or order items: `{ price, quantity, categoryId }`.
+ * Pass `config: null` to price without tax or service charge (legacy orders).
+ */
+export function calculateOrderTotals({
+  items = [],
+  discountPercent = 0,
+  deliveryCharge = 0,
+  orderType = 'dine_in',
+  paymentMethod = 'cash',
+  promotionLines = [],
+  config = getPricingConfig(),
+} = {}) {
+  const safeItems = Array.isArray(items) ? items : [];
+  const discountRate = Math.min(100, Math.max(0, toNumber(discountPercent))) / 100;
+  const lineTotal = (item) => toNumber(item.price) * toNumber(item.quantity);
+
+  const subtotal = roundMoney(safeItems.reduce((sum, item) => sum + lineTotal(item), 0));
+  const discountAmount = roundMoney(subtotal * discountRate);
+  const afterDiscount = roundMoney(subtotal - discountAmount);
+  const promotionTotal = Math.min(
+    afterDiscount,
+    roundMoney((promotionLines || []).reduce((sum, line) => sum + toNumber(line.amount), 0))
+  );
+  const discountedSubtotal = roundMoney(afterDiscount - promotionTotal);
+  // Promotions reduce every line's taxable amount proportionally
+  const promotionRate = afterDiscount > 0 ? discountedSubtotal / afterDiscount : 1;
+  const pricingConfig = config ? normalizePricingConfig(config) : DEFAULT_PRICING_CONFIG;
+
+  const taxLines = pricingConfig.taxes
+    .filter(tax => tax.enabled)
+    .map(tax => {
+      const taxableAmount = roundMoney(safeItems
+        .filter(item => taxAppliesToItem(tax, item))
+        .reduce((sum, item) => sum + lineTotal(item) * (1 - discountRate) * promotionRate, 0));
+      const rate = getTaxRate(tax, paymentMethod);
+      return {
+        id: tax.id,
+        name: tax.name,
+        inclusive: tax.inclusive,
+        cashRate: tax.cashRate,
+        cardRate: tax.cardRate,
+        rate,
+        taxableAmount,
+        amount: computeTaxAmount(taxableAmount, rate, tax.inclusive),
+      };
+    })
+    .filter(line => line.taxableAmount > 0 && line.rate > 0);
+
+  const sc = pricingConfig.serviceCharge;
+  const serviceChargePercent = sc.enabled && sc.orderTypes.includes(orderType) ? sc.percent : 0;
+  const serviceChargeAmount = roundMoney(discountedSubtotal * serviceChargePercent / 100);
+
+  return finalizeTotals({
+    paymentMethod,
+    subtotal,
+    discountPercent: toNumber(discountPercent),
+    discountAmount,
+    promotionLines: promotionTotal > 0 ? promotionLines : [],
+    promotionTotal,
+    discountedSubtotal,
+    serviceChargePercent,
+    deliveryCharge: roundMoney(deliveryCharge),
+  }, taxLines, serviceChargeAmount);
+}
+
+/**
+ * Re-price a stored breakdown for the method the customer actually paid with.
+ * Dine-in orders are priced at cash rates when taken and settled later. A 'mixed'
+ * settlement is priced from its split `payments`, tender by tender.
+ */
+export function repriceForPaymentMethod(pricing, paymentMethod, payments = []) {
+  if (!pricing || pricing.paymentMethod === paymentMethod) return pricing;
+  if (paymentMethod === 'mixed') return combineTenderPricing(pricing, payments);
+  const taxLines = pricing.taxLines.map(line => {
+    const rate = isCardPayment(paymentMethod) ? line.cardRate : line.cashRate;
+    return { ...line, rate, amount: computeTaxAmount(line.taxableAmount, rate, line.inclusive) };
+  });
+  return finalizeTotals({ ...pricing, paymentMethod }, taxLines, pricing.serviceChargeAmount);
+}
+
+/**
+ * Breakdown for one tender of a split bill covering `shareAmount` of the order's
+ * stored total, priced at the rates for `paymentMethod`. Its `grandTotal` is what
+ * the tender is charged.
+ */
+export function priceSplitTender(pricing, shareAmount, paymentMethod) {
+  if (!pricing) return null;
+  const fraction = pricing.grandTotal > 0 ? toNumber(shareAmount) / pricing.grandTotal : 0;
+  const repriced = repriceForPaymentMethod(pricing, paymentMethod);
+  const scale = (value) => roundMoney(value * fraction);
+  const taxLines = repriced.taxLines.map(line => ({
+    ...line,
+    taxableAmount: scale(line.taxableAmount),
+    amount: scale(line.amount),
+  }));
+  return finalizeTotals({
+    ...repriced,
+    subtotal: scale(repriced.subtotal),
+    discountAmount: scale(repriced.discountAmount),
+    promotionLines: repriced.promotionLines.map(line => ({ ...line, amount: scale(line.amount) })),
+    promotionTotal: scale(repriced.promotionTotal),
+    discountedSubtotal: scale(repriced.discountedSubtotal),
+    deliveryCharge: scale(repriced.deliveryCharge),
+  }, taxLines, scale(repriced.serviceChargeAmount));
+}
+
+/**
+ * Whole-order breakdown for a split bill: the tenders' tax lines added up, one line
+ * per tax and rate (so cash and card shares of the same tax print separately).
+ * Payments from before tenders carried their own pricing were charged from the
+ * stored total, so the stored breakdown is kept for them.
+ */
+function combineTenderPricing(pricing, payments) {
+  const tenders = (Array.isArray(payments) ? payments : []).map(p => getOrderPricing(p));
+  if (!tenders.length || tenders.some(t => !t)) return pricing;
+  const byTaxRate = new Map();
+  tenders.forEach(tender => tender.taxLines.forEach(line => {
+    const key = `${line.id}|${line.rate}`;
+    const existing = byTaxRate.get(key);
+    byTaxRate.set(key, existing
+      ? {
+        ...existing,
+        taxableAmount: roundMoney(existing.taxableAmount + line.taxableAmount),
+        amount: roundMoney(existing.amount + line.amount),
+      }
+      : line);
+  }));
+  return finalizeTotals({ ...pricing, paymentMethod: 'mixed' }, [...byTaxRate.values()], pricing.serviceChargeAmount);
+}
+
+/** Read a stored breakdown off an order (API or IndexedDB shape), or null for legacy orders. */
+export function getOrderPricing(order) {
+  const raw = parseMaybeJson(order?.pricing ?? order?.pricing_breakdown ?? order?.pricingBreakdown);
+  if (!raw || typeof raw !== 'object') return null;
+  const taxLines = (Array.isArray(raw.taxLines ?? raw.tax_lines) ? (raw.taxLines ?? raw.tax_lines) : []).map(l => ({
+    id: String(l.id),
+    name: l.name,
+    inclusive: l.inclusive === true || l.inclusive === 1,
+    cashRate: toNumber(l.cashRate ?? l.cash_rate ?? l.rate),
+    cardRate: toNumber(l.cardRate ?? l.card_rate ?? l.rate),
+    rate: toNumber(l.rate),
+    taxableAmount: toNumber(l.taxableAmount ?? l.taxable_amount),
+    amount: toNumber(l.amount),
+  }));
+  const promotionLines = getOrderPromotionLines({ promotions: raw.promotionLines ?? raw.promotion_lines });
+  return finalizeTotals({
+    paymentMethod: raw.paymentMethod || raw.payment_method || 'cash',
+    subtotal: toNumber(raw.subtotal),
+    discountPercent: toNumber(raw.discountPercent ?? raw.discount_percent),
+    discountAmount: toNumber(raw.discountAmount ?? raw.discount_amount),
+    promotionLines,
+    promotionTotal: toNumber(raw.promotionTotal ?? raw.promotion_total),
+    discountedSubtotal: toNumber(raw.discountedSubtotal ?? raw.discounted_subtotal),
+    serviceChargePercent: toNumber(raw.serviceChargePercent ?? raw.service_charge_percent),
+    deliveryCharge: toNumber(raw.deliveryCharge ?? raw.delivery_charge),
+  }, taxLines, toNumber(raw.serviceChargeAmount ?? raw.service_charge_amount));
+}
+
+/** Flat order payload fields for a breakdown, so the backend can store and report them. */
+export function serializePricing(pricing) {
+  return {
+    taxAmount: pricing.taxTotal,
+    inclusiveTaxAmount: pricing.inclusiveTaxTotal,
+    serviceChargePercent: pricing.serviceChargePercent,
+    serviceChargeAmount: pricing.serviceChargeAmount,
+    promotionDiscount: pricing.promotionTotal,
+    promotions: pricing.promotionLines,
+    pricing,
+  };
+}
+
+/** Tax line label for carts and receipts, e.g. "GST 16%" or "GST 16% (incl.)". */
+export const formatTaxLineLabel = (line) =>
+  `${line.name} ${Number(line.rate.toFixed(2))}%${line.inclusive ? ' (incl.)' : ''}`;
+
+/**
+ * Tax and service charge collected, and discount given per promotion, across a list
+ * of orders (cancelled orders excluded), for the daily summary. Orders without a
+ * stored breakdown fall back to flat fields.
+ */
+export function summarizeOrderCharges(orders) {
+  const byTax = {};
+  const byPromotion = {};
+  let promotionTotal = 0;
+  let taxTotal = 0;
+  let inclusiveTaxTotal = 0;
+  let serviceChargeTotal = 0;
+
+  (Array.isArray(orders) ? orders : []).forEach(order => {
+    const status = order.order_status || order.orderStatus;
+    const paymentStatus = order.payment_status || order.paymentStatus;
+    if (status === 'cancelled' || paymentStatus === 'cancelled') return;
+
+    const promotionLines = getOrderPromotionLines(order);
+    (promotionLines.length ? promotionLines : getOrderPromotionLines(getOrderPricing(order))).forEach(line => {
+      const key = line.promotionId || line.name;
+      if (!byPromotion[key]) byPromotion[key] = { promotionId: line.promotionId, name: line.name, code: line.code, orders: 0, amount: 0 };
+      byPromotion[key].orders += 1;
+      byPromotion[key].amount = roundMoney(byPromotion[key].amount + line.amount);
+      promotionTotal += line.amount;
+    });
+
+    const pricing = getOrderPricing(order);
+    if (!pricing) {
+      taxTotal += toNumber(order.tax_amount ?? order.taxAmount);
+      serviceChargeTotal += toNumber(order.service_charge_amount ?? order.serviceChargeAmount);
+      return;
+    }
+    pricing.taxLines.forEach(line => {
+      const key = `${line.name}|${line.inclusive ? 'incl' : 'excl'}`;
+      if (!byTax[key]) byTax[key] = { name: line.name, inclusive: line.inclusive, amount: 0 };
+      byTax[key].amount = roundMoney(byTax[key].amount + line.amount);
+    });
+    taxTotal += pricing.taxTotal;
+    inclusiveTaxTotal += pricing.inclusiveTaxTotal;
+    serviceChargeTotal += pricing.serviceChargeAmount;
+  });
+
+  return {
+    taxTotal: roundMoney(taxTotal),
+    inclusiveTaxTotal: roundMoney(inclusiveTaxTotal),
+    serviceChargeTotal: roundMoney(serviceChargeTotal),
+    byTax: Object.values(byTax),
+    promotionTotal: roundMoney(promotionTotal),
+    byPromotion: Object.values(byPromotion).sort((a, b) => b.amount - a.amount),
+  };
+}
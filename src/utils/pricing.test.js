@@ -0,0 +1,131 @@
+import {
+  calculateOrderTotals,
+  repriceForPaymentMethod,
+  priceSplitTender,
+  getOrderPricing,
+  formatTaxLineLabel,
+} from './pricing';
+
+const config = {
+  taxes: [{ id: 'gst', name: 'GST', cashRate: 10, cardRate: 20 }],
+  serviceCharge: { enabled: false },
+};
+
+const items = [{ price: 100, quantity: 2, categoryId: 1 }];
+
+const price = (overrides = {}) => calculateOrderTotals({ items, config, ...overrides });
+
+describe('calculateOrderTotals', () => {
+  it('taxes cash and card payments at their own rates', () => {
+    expect(price({ paymentMethod: 'cash' })).toMatchObject({ subtotal: 200, taxTotal: 20, grandTotal: 220 });
+    expect(price({ paymentMethod: 'bank_transfer' })).toMatchObject({ taxTotal: 40, grandTotal: 240 });
+  });
+
+  it('reports inclusive tax without adding it to the total', () => {
+    const totals = calculateOrderTotals({
+      items: [{ price: 116, quantity: 1 }],
+      config: { taxes: [{ id: 'gst', name: 'GST', cashRate: 16, inclusive: true }] },
+    });
+    expect(totals).toMatchObject({ taxTotal: 0, inclusiveTaxTotal: 16, grandTotal: 116 });
+  });
+
+  it('only taxes items in the tax categories', () => {
+    const totals = calculateOrderTotals({
+      items: [...items, { price: 50, quantity: 1, categoryId: 2 }],
+      config: { taxes: [{ ...config.taxes[0], categoryIds: [1] }] },
+    });
+    expect(totals.taxLines[0]).toMatchObject({ taxableAmount: 200, amount: 20 });
+    expect(totals.grandTotal).toBe(270);
+  });
+
+  it('takes the discount and promotions off before tax and service charge', () => {
+    const totals = price({
+      discountPercent: 10,
+      promotionLines: [{ id: 1, name: 'Happy Hour', amount: 20 }],
+      config: { ...config, serviceCharge: { enabled: true, percent: 5, orderTypes: ['dine_in'] } },
+    });
+    expect(totals).toMatchObject({
+      discountAmount: 20,
+      promotionTotal: 20,
+      discountedSubtotal: 160,
+      taxTotal: 16,
+      serviceChargeAmount: 8,
+      grandTotal: 184,
+    });
+  });
+
+  it('only adds the service charge for the configured order types', () => {
+    const serviceCharge = { enabled: true, percent: 5, orderTypes: ['dine_in'] };
+    expect(price({ orderType: 'takeaway', config: { ...config, serviceCharge } }).serviceChargeAmount).toBe(0);
+  });
+
+  it('prices without tax when config is null', () => {
+    expect(price({ config: null })).toMatchObject({ taxLines: [], grandTotal: 200 });
+  });
+});
+
+describe('repriceForPaymentMethod', () => {
+  it('moves a cash breakdown to card rates', () => {
+    const repriced = repriceForPaymentMethod(price(), 'card');
+    expect(repriced).toMatchObject({ paymentMethod: 'card', taxTotal: 40, grandTotal: 240 });
+  });
+
+  it('returns the breakdown unchanged for the same method', () => {
+    const pricing = price();
+    expect(repriceForPaymentMethod(pricing, 'cash')).toBe(pricing);
+  });
+
+  describe('mixed', () => {
+    const pricing = price();
+
+    it('adds up the tenders, one tax line per rate', () => {
+      const payments = [
+        { pricing: priceSplitTender(pricing, 110, 'cash') },
+        { pricing: priceSplitTender(pricing, 110, 'card') },
+      ];
+      const mixed = repriceForPaymentMethod(pricing, 'mixed', payments);
+      expect(mixed.taxLines.map(l => [l.rate, l.amount])).toEqual([[10, 10], [20, 20]]);
+      expect(mixed).toMatchObject({ paymentMethod: 'mixed', taxTotal: 30, grandTotal: 230 });
+    });
+
+    it('keeps the stored breakdown when a payment has no pricing', () => {
+      const payments = [{ pricing: priceSplitTender(pricing, 110, 'card') }, { amount: 110 }];
+      expect(repriceForPaymentMethod(pricing, 'mixed', payments)).toBe(pricing);
+      expect(repriceForPaymentMethod(pricing, 'mixed')).toBe(pricing);
+    });
+  });
+});
+
+describe('priceSplitTender', () => {
+  it('scales the breakdown to the share and prices it for the tender', () => {
+    const tender = priceSplitTender(price(), 110, 'card');
+    expect(tender).toMatchObject({ paymentMethod: 'card', subtotal: 100, taxTotal: 20, grandTotal: 120 });
+  });
+
+  it('returns null without a breakdown', () => {
+    expect(priceSplitTender(null, 100, 'cash')).toBeNull();
+  });
+});
+
+describe('getOrderPricing', () => {
+  it('reads a snake_case JSON breakdown', () => {
+    const stored = JSON.stringify({
+      payment_method: 'card',
+      subtotal: 200,
+      discounted_subtotal: 200,
+      tax_lines: [{ id: 'gst', name: 'GST', rate: 20, cash_rate: 10, card_rate: 20, taxable_amount: 200, amount: 40 }],
+    });
+    expect(getOrderPricing({ pricing_breakdown: stored })).toMatchObject({ paymentMethod: 'card', taxTotal: 40, grandTotal: 240 });
+  });
+
+  it('returns null for legacy orders', () => {
+    expect(getOrderPricing({ total_amount: 200 })).toBeNull();
+  });
+});
+
+describe('formatTaxLineLabel', () => {
+  it('shows the rate and marks inclusive taxes', () => {
+    expect(formatTaxLineLabel({ name: 'GST', rate: 16, inclusive: true })).toBe('GST 16% (incl.)');
+    expect(formatTaxLineLabel({ name: 'PST', rate: 12.5 })).toBe('PST 12.5%');
+  });
+});
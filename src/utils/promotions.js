@@ -0,0 +1,217 @@
+/**
+ * Promotions and coupon codes.
+ *
+ * Promotion shape (API may send camelCase or snake_case):
+ *   { id, name, code, type, value, categoryIds, menuItemIds, buyQuantity, getQuantity,
+ *     minSubtotal, orderTypes, startsAt, endsAt, daysOfWeek, startTime, endTime, active }
+ *
+ * Types:
+ *   percent   — `value`% off the order
+ *   fixed     — `value` off the order
+ *   category  — `value`% off items in `categoryIds`
+ *   bogo      — buy `buyQuantity`, get `getQuantity` of the cheapest eligible units free
+ *
+ * Promotions without a `code` apply automatically when their rules and time window
+ * match (e.g. happy hour); promotions with a code only apply once the coupon is entered.
+ * `applyPromotions` returns one line per applied promotion so receipts can print them
+ * separately and reports can total discount cost per promotion.
+ */
+import { roundMoney } from './money';
+
+export const PROMOTION_TYPES = [
+  { value: 'percent', label: 'Percentage off order' },
+  { value: 'fixed', label: 'Fixed amount off order' },
+  { value: 'category', label: 'Percentage off categories' },
+  { value: 'bogo', label: 'Buy X get Y free' },
+];
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toNumber = (value, fallback = 0) => {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+const toIdList = (value) => (Array.isArray(value) ? value.map(String) : []);
+
+export const normalizeCouponCode = (code) => String(code || '').trim().toUpperCase();
+
+export function normalizePromotion(raw) {
+  if (!raw) return null;
+  const days = raw.daysOfWeek ?? raw.days_of_week;
+  return {
+    id: String(raw.id),
+    name: String(raw.name || '').trim() || 'Promotion',
+    code: normalizeCouponCode(raw.code),
+    type: raw.type || 'percent',
+    value: toNumber(raw.value),
+    categoryIds: toIdList(raw.categoryIds ?? raw.category_ids),
+    menuItemIds: toIdList(raw.menuItemIds ?? raw.menu_item_ids),
+    buyQuantity: Math.max(1, parseInt(raw.buyQuantity ?? raw.buy_quantity ?? 1, 10) || 1),
+    getQuantity: Math.max(1, parseInt(raw.getQuantity ?? raw.get_quantity ?? 1, 10) || 1),
+    minSubtotal: toNumber(raw.minSubtotal ?? raw.min_subtotal),
+    orderTypes: Array.isArray(raw.orderTypes ?? raw.order_types) ? (raw.orderTypes ?? raw.order_types) : [],
+    startsAt: raw.startsAt || raw.starts_at || null,
+    endsAt: raw.endsAt || raw.ends_at || null,
+    daysOfWeek: Array.isArray(days) ? days.map(Number) : [],
+    startTime: raw.startTime || raw.start_time || '',
+    endTime: raw.endTime || raw.end_time || '',
+    active: raw.active !== false && raw.active !== 0,
+  };
+}
+
+export const normalizePromotions = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizePromotion).filter(Boolean);
+
+const minutesOfDay = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null;
+};
+
+/** Date range, weekday and time-of-day window; time windows may run past midnight. */
+export function isPromotionActiveAt(promotion, now = new Date()) {
+  if (!promotion.active) return false;
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) return false;
+  if (promotion.endsAt && now > new Date(promotion.endsAt)) return false;
+  if (promotion.daysOfWeek.length && !promotion.daysOfWeek.includes(now.getDay())) return false;
+
+  const start = minutesOfDay(promotion.startTime);
+  const end = minutesOfDay(promotion.endTime);
+  if (start !== null && end !== null && start !== end) {
+    const current = now.getHours() * 60 + now.getMinutes();
+    const inWindow = start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!inWindow) return false;
+  }
+  return true;
+}
+
+const itemIsEligible = (promotion, item) => {
+  const hasCategoryRule = promotion.categoryIds.length > 0;
+  const hasItemRule = promotion.menuItemIds.length > 0;
+  if (!hasCategoryRule && !hasItemRule) return true;
+  const categoryId = item.categoryId ?? item.category_id ?? item.category?.id;
+  const menuItemId = item.menuItemId ?? item.menu_item_id ?? item.id;
+  return (hasCategoryRule && categoryId != null && promotion.categoryIds.includes(String(categoryId)))
+    || (hasItemRule && menuItemId != null && promotion.menuItemIds.includes(String(menuItemId)));
+};
+
+const lineTotal = (item) => toNumber(item.price) * toNumber(item.quantity);
+
+/** Discount a single promotion gives on `items`, before any capping. */
+export function getPromotionDiscount(promotion, items) {
+  const eligible = items.filter(item => itemIsEligible(promotion, item));
+  const eligibleSubtotal = eligible.reduce((sum, item) => sum + lineTotal(item), 0);
+
+  switch (promotion.type) {
+    case 'fixed':
+      return roundMoney(Math.min(promotion.value, eligibleSubtotal));
+    case 'percent':
+    case 'category':
+      return roundMoney(eligibleSubtotal * Math.min(100, promotion.value) / 100);
+    case 'bogo': {
+      const units = eligible
+        .flatMap(item => Array.from({ length: Math.max(0, parseInt(item.quantity, 10) || 0) }, () => toNumber(item.price)))
+        .sort((a, b) => b - a);
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      let free = 0;
+      for (let i = 0; i + groupSize <= units.length; i += groupSize) {
+        free += units.slice(i + promotion.buyQuantity, i + groupSize).reduce((sum, p) => sum + p, 0);
+      }
+      return roundMoney(free);
+    }
+    default:
+      return 0;
+  }
+}
+
+/** Why a promotion does not apply right now, or '' when it does. */
+export function getPromotionIneligibility(promotion, { items, orderType, now = new Date() }) {
+  if (!isPromotionActiveAt(promotion, now)) return `"${promotion.name}" is not available right now`;
+  if (promotion.orderTypes.length && !promotion.orderTypes.includes(orderType)) {
+    return `"${promotion.name}" is not valid for this order type`;
+  }
+  const subtotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+  if (promotion.minSubtotal > 0 && subtotal < promotion.minSubtotal) {
+    return `"${promotion.name}" needs a minimum order of ${promotion.minSubtotal.toFixed(0)}`;
+  }
+  if (getPromotionDiscount(promotion, items) <= 0) return `"${promotion.name}" does not apply to the items in the cart`;
+  return '';
+}
+
+/** Look up a coupon code; returns `{ promotion, error }`. */
+export function validateCoupon(code, promotions, context) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) return { promotion: null, error: 'Enter a coupon code' };
+  const promotion = promotions.find(p => p.code && p.code === normalized);
+  if (!promotion) return { promotion: null, error: `Coupon "${normalized}" is not valid` };
+  const error = getPromotionIneligibility(promotion, context);
+  return { promotion: error ? null : promotion, error };
+}
+
+/**
+ * Apply automatic promotions plus any entered coupons.
+ * Returns `{ lines: [{ promotionId, name, code, type, amount }], total }`;
+ * later promotions are capped so the combined discount never exceeds `maxDiscount`.
+ */
+export function applyPromotions({ items = [], promotions = [], couponCodes = [], orderType, maxDiscount, now = new Date() }) {
+  const safeItems = Array.isArray(items) ? items : [];
+  const codes = couponCodes.map(normalizeCouponCode);
+  const context = { items: safeItems, orderType, now };
+  const cap = maxDiscount ?? safeItems.reduce((sum, item) => sum + lineTotal(item), 0);
+
+  const lines = [];
+  let total = 0;
+  promotions
+    .filter(p => (p.code ? codes.includes(p.code) : true))
+    .filter(p => !getPromotionIneligibility(p, context))
+    .forEach(promotion => {
+      const amount = roundMoney(Math.min(getPromotionDiscount(promotion, safeItems), cap - total));
+      if (amount <= 0) return;
+      total = roundMoney(total + amount);
+      lines.push({
+        promotionId: promotion.id,
+        name: promotion.name,
+        code: promotion.code || null,
+        type: promotion.type,
+        amount,
+      });
+    });
+
+  return { lines, total };
+}
+
+/** Stored promotion lines off an order (API or IndexedDB shape). */
+export function getOrderPromotionLines(order) {
+  let raw = order?.promotions ?? order?.promotion_lines ?? order?.promotionLines ?? order?.pricing?.promotionLines;
+  if (typeof raw === 'string') {
+    try {
+      raw = JSON.parse(raw);
+    } catch {
+      raw = null;
+    }
+  }
+  return (Array.isArray(raw) ? raw : []).map(line => ({
+    promotionId: String(line.promotionId ?? line.promotion_id ?? line.id ?? ''),
+    name: line.name || 'Promotion',
+    code: line.code || null,
+    type: line.type || null,
+    amount: toNumber(line.amount),
+  })).filter(line => line.amount > 0);
+}
+
+/** Receipt / cart label, e.g. "Happy Hour" or "Coupon SAVE10". */
+export const formatPromotionLabel = (line) => (line.code ? `${line.name} (${line.code})` : line.name);
+
+/** Rows from the promotions usage report: `{ promotionId, name, code, orders, amount }`. */
+export function normalizePromotionUsage(data) {
+  const rows = Array.isArray(data?.promotions) ? data.promotions : data;
+  return (Array.isArray(rows) ? rows : []).map(row => ({
+    promotionId: String(row.promotionId ?? row.promotion_id ?? row.id ?? ''),
+    name: row.name || 'Promotion',
+    code: row.code || null,
+    orders: parseInt(row.orders ?? row.orderCount ?? row.order_count ?? 0, 10) || 0,
+    amount: toNumber(row.amount ?? row.totalDiscount ?? row.total_discount),
+  })).sort((a, b) => b.amount - a.amount);
+}
@@ -0,0 +1,107 @@
+import {
+  normalizePromotion,
+  isPromotionActiveAt,
+  getPromotionDiscount,
+  validateCoupon,
+  applyPromotions,
+  getOrderPromotionLines,
+} from './promotions';
+
+// Monday 19 Oct 2026, 18:00
+const now = new Date(2026, 9, 19, 18, 0);
+
+const items = [
+  { id: 1, categoryId: 1, price: 500, quantity: 2 },
+  { id: 2, categoryId: 2, price: 200, quantity: 1 },
+];
+
+const promo = (raw) => normalizePromotion({ id: raw.name, ...raw });
+
+const happyHour = promo({ name: 'Happy Hour', type: 'percent', value: 10, startTime: '17:00', endTime: '19:00' });
+const save200 = promo({ name: 'Save 200', code: 'save200', type: 'fixed', value: 200 });
+const halfSides = promo({ name: 'Half Sides', type: 'category', value: 50, category_ids: [2] });
+
+const apply = (options) => applyPromotions({ items, orderType: 'dine_in', now, ...options });
+
+describe('applyPromotions', () => {
+  it('stacks automatic promotions with entered coupons, one line each', () => {
+    const { lines, total } = apply({ promotions: [happyHour, save200, halfSides], couponCodes: [' SAVE200 '] });
+    expect(lines.map(l => [l.name, l.code, l.amount])).toEqual([
+      ['Happy Hour', null, 120],
+      ['Save 200', 'SAVE200', 200],
+      ['Half Sides', null, 100],
+    ]);
+    expect(total).toBe(420);
+  });
+
+  it('leaves out coupons that were not entered', () => {
+    expect(apply({ promotions: [happyHour, save200] }).total).toBe(120);
+  });
+
+  it('caps later promotions so the discount never exceeds the subtotal', () => {
+    const big = promo({ name: 'Big', type: 'fixed', value: 1000 });
+    const half = promo({ name: 'Half', type: 'percent', value: 50 });
+    const { lines, total } = apply({ promotions: [big, half] });
+    expect(lines.map(l => l.amount)).toEqual([1000, 200]);
+    expect(total).toBe(1200);
+  });
+
+  it('honours a lower maxDiscount and drops promotions with nothing left', () => {
+    const { lines, total } = apply({ promotions: [save200, happyHour], couponCodes: ['SAVE200'], maxDiscount: 200 });
+    expect(lines).toHaveLength(1);
+    expect(total).toBe(200);
+  });
+
+  it('skips promotions outside their order types or minimum order', () => {
+    const takeawayOnly = promo({ name: 'Takeaway', type: 'fixed', value: 50, orderTypes: ['takeaway'] });
+    const bigOrders = promo({ name: 'Big Orders', type: 'fixed', value: 50, minSubtotal: 2000 });
+    expect(apply({ promotions: [takeawayOnly, bigOrders] })).toEqual({ lines: [], total: 0 });
+  });
+});
+
+describe('getPromotionDiscount', () => {
+  it('gives the cheapest units of each buy-get group free', () => {
+    const bogo = promo({ name: 'BOGO', type: 'bogo', buyQuantity: 1, getQuantity: 1, categoryIds: [1] });
+    const burgers = [
+      { categoryId: 1, price: 600, quantity: 1 },
+      { categoryId: 1, price: 500, quantity: 1 },
+      { categoryId: 1, price: 400, quantity: 1 },
+    ];
+    expect(getPromotionDiscount(bogo, burgers)).toBe(500);
+  });
+
+  it('limits a fixed discount to the eligible items', () => {
+    const drinks = promo({ name: 'Drinks', type: 'fixed', value: 500, menuItemIds: [2] });
+    expect(getPromotionDiscount(drinks, items)).toBe(200);
+  });
+});
+
+describe('isPromotionActiveAt', () => {
+  it('handles time windows that run past midnight', () => {
+    const lateNight = promo({ name: 'Late Night', startTime: '22:00', endTime: '02:00' });
+    expect(isPromotionActiveAt(lateNight, new Date(2026, 9, 19, 1, 0))).toBe(true);
+    expect(isPromotionActiveAt(lateNight, now)).toBe(false);
+  });
+
+  it('checks the weekday and date range', () => {
+    expect(isPromotionActiveAt(promo({ name: 'Weekend', daysOfWeek: [0, 6] }), now)).toBe(false);
+    expect(isPromotionActiveAt(promo({ name: 'Ended', endsAt: '2026-10-01' }), now)).toBe(false);
+  });
+});
+
+describe('validateCoupon', () => {
+  it('explains why a code is rejected', () => {
+    expect(validateCoupon('', [save200], { items, now }).error).toBe('Enter a coupon code');
+    expect(validateCoupon('nope', [save200], { items, now }).error).toBe('Coupon "NOPE" is not valid');
+    expect(validateCoupon('save200', [save200], { items, now })).toEqual({ promotion: save200, error: '' });
+  });
+});
+
+describe('getOrderPromotionLines', () => {
+  it('reads stored JSON lines and drops empty ones', () => {
+    const order = { promotions: JSON.stringify([{ promotion_id: 3, name: 'Happy Hour', amount: '120' }, { id: 4, amount: 0 }]) };
+    expect(getOrderPromotionLines(order)).toEqual([
+      { promotionId: '3', name: 'Happy Hour', code: null, type: null, amount: 120 },
+    ]);
+  });
+});
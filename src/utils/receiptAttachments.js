@@ -0,0 +1,100 @@
+/**
+ * Receipt attachments on expenses: photos of supplier bills or PDFs.
+ *
+ * Photos are shrunk to JPEG in the browser before they are stored. Every attachment is
+ * saved to IndexedDB first (`saveExpenseAttachment`) and removed from there once it has
+ * uploaded, so a receipt taken with no connection is kept until the next sync.
+ *
+ * An uploaded attachment as the server returns it:
+ *   { id, expenseId, name, type, size, createdAt }
+ * Expenses report how many they have as `attachmentCount`.
+ */
+
+export const RECEIPT_ACCEPT = 'image/*,application/pdf';
+
+// Longest side of a compressed photo; plenty to read a till slip
+export const MAX_IMAGE_DIMENSION = 1600;
+export const IMAGE_QUALITY = 0.7;
+// PDFs can't be compressed here, so very large ones are refused
+export const MAX_PDF_BYTES = 10 * 1024 * 1024;
+
+export const isImageType = (type) => String(type || '').startsWith('image/');
+export const isPdfType = (type) => type === 'application/pdf';
+
+export function normalizeAttachment(raw) {
+  if (!raw) return null;
+  return {
+    id: raw.id ?? null,
+    expenseId: raw.expenseId ?? raw.expense_id ?? null,
+    name: String(raw.name ?? raw.fileName ?? raw.file_name ?? 'Receipt'),
+    type: String(raw.type ?? raw.mimeType ?? raw.mime_type ?? ''),
+    size: Number(raw.size ?? raw.fileSize ?? raw.file_size) || 0,
+    createdAt: raw.createdAt ?? raw.created_at ?? null,
+    pending: false,
+  };
+}
+
+export const getAttachmentCount = (expense) =>
+  Number(expense?.attachmentCount ?? expense?.attachment_count) || 0;
+
+export function formatFileSize(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not read the image'));
+  img.src = src;
+});
+
+/** JPEG no larger than MAX_IMAGE_DIMENSION; the original if that wouldn't be smaller. */
+export async function compressImage(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    const img = await loadImage(url);
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    const ctx = canvas.getContext('2d');
+    // Transparent PNGs would turn black as JPEG
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', IMAGE_QUALITY));
+    return blob && blob.size < file.size ? blob : file;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+/** Message for the user when `file` can't be attached, otherwise null. */
+export function getReceiptFileError(file) {
+  if (isPdfType(file.type)) {
+    return file.size > MAX_PDF_BYTES ? `${file.name} is larger than ${formatFileSize(MAX_PDF_BYTES)}` : null;
+  }
+  return isImageType(file.type) ? null : `${file.name} isn't a photo or PDF`;
+}
+
+/**
+ * `{ name, type, size, blob }` ready to store, or throws with the
+ * `getReceiptFileError` message.
+ */
+export async function prepareAttachment(file) {
+  const error = getReceiptFileError(file);
+  if (error) throw new Error(error);
+  if (isPdfType(file.type)) {
+    return { name: file.name, type: file.type, size: file.size, blob: file };
+  }
+  const blob = await compressImage(file);
+  const compressed = blob !== file;
+  return {
+    name: compressed ? `${(file.name || 'receipt').replace(/\.[^.]+$/, '')}.jpg` : file.name,
+    type: compressed ? 'image/jpeg' : file.type,
+    size: blob.size,
+    blob,
+  };
+}
@@ -0,0 +1,146 @@
+/**
+ * Everything a printed receipt shows, worked out once from the order data so the
+ * HTML receipts and the ESC/POS byte renderer print the same figures.
+ *
+ * `orderData` is the receipt payload built by OrderSystem / DineInOrders (snake_case
+ * order fields plus `items`, `pricing`, `split_payment`, ...).
+ */
+import { calculateOrderTotals, getOrderPricing, repriceForPaymentMethod } from './pricing';
+import { getOrderPromotionLines } from './promotions';
+import { normalizePayments } from './splitBill';
+import { getBusinessSettings } from './businessSettings';
+
+export const PAYMENT_METHOD_LABELS = {
+  cash: 'Cash',
+  bank_transfer: 'Bank Transfer',
+};
+
+export function buildReceiptModel(orderData) {
+  // Business name, logo and receipt text come from the admin settings (cached for offline)
+  const business = getBusinessSettings();
+  const {
+    items = [],
+    total_amount,
+    delivery_charge,
+    payment_method,
+    amount_taken,
+    return_amount,
+    order_type,
+    customer_name,
+    customer_phone,
+    customer_address,
+    order_number,
+    table_number,
+    special_instructions,
+    delivery_notes,
+    subtotal,
+    discount_percent,
+    discountPercent,
+    customer,
+    split_payment,
+    station_name,
+    kitchen_changes
+  } = orderData || {};
+
+  const orderId = orderData?.id || Date.now();
+  const date = new Date();
+  // Format time as "4:33 PM" style
+  const hours = date.getHours();
+  const minutes = date.getMinutes();
+  const ampm = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 || 12;
+  const timeStr = `${displayHours}:${minutes.toString().padStart(2, '0')} ${ampm}`;
+  const dateStr = date.toLocaleDateString();
+  const isDelivery = order_type === 'delivery';
+  
+  // Extract notes - check order notes first, then customer address notes as fallback
+  let finalDeliveryNotes = delivery_notes || null;
+  if (!finalDeliveryNotes && isDelivery && customer) {
+    // Try to get notes from customer's matching address
+    const addresses = customer.addresses || [];
+    if (addresses.length > 0 && customer_address) {
+      const matchingAddress = addresses.find(addr => 
+        addr.address === customer_address || 
+        addr.address?.toLowerCase() === customer_address?.toLowerCase()
+      );
+      if (matchingAddress && matchingAddress.notes) {
+        finalDeliveryNotes = matchingAddress.notes;
+      }
+    }
+  }
+  const displayOrderId = order_number ? `#${order_number}` : `#${orderId}`;
+  const deliveryFee = delivery_charge ? Number(delivery_charge) : 0;
+  const safeItems = Array.isArray(items) ? items : [];
+
+  // Calculate totals through the shared pricing module. Orders carry the breakdown
+  // (tax, service charge) that was in force when they were taken; older orders have
+  // none and are priced as subtotal - discount + delivery, honouring a passed-in subtotal.
+  const storedPricing = getOrderPricing(orderData);
+  const pricing = storedPricing
+    ? repriceForPaymentMethod(storedPricing, payment_method || storedPricing.paymentMethod, normalizePayments(orderData.payments))
+    : calculateOrderTotals({
+      items: subtotal ? [{ price: subtotal, quantity: 1 }] : safeItems,
+      discountPercent: discount_percent || discountPercent || 0,
+      deliveryCharge: deliveryFee,
+      orderType: order_type,
+      promotionLines: getOrderPromotionLines(orderData),
+      config: null
+    });
+  const subtotalBeforeDiscount = pricing.subtotal;
+  const discountPercentValue = pricing.discountPercent;
+  const discountAmount = pricing.discountAmount;
+  const calculatedTotal = pricing.grandTotal;
+  const apiTotalAmount = Number(total_amount) || 0;
+  // Use API total_amount only if it matches our calculation (within 1 PKR tolerance), otherwise recalculate
+  const total = (apiTotalAmount > 0 && Math.abs(apiTotalAmount - calculatedTotal) <= 1) ? apiTotalAmount : calculatedTotal;
+  const hasCashInfo = payment_method === 'cash' && amount_taken !== undefined && amount_taken !== null;
+  const hasReturnAmount = return_amount !== undefined && return_amount !== null;
+  const apiReturnAmount = hasReturnAmount ? Number(return_amount) : null;
+  // Split-bill receipts settle only this payment's share, so change is worked out against it
+  const amountDueNow = split_payment ? (Number(split_payment.amount) || 0) : total;
+  const calculatedChange = hasCashInfo ? ((Number(amount_taken) || 0) - amountDueNow) : null;
+  const tolerance = 1; // 1 PKR tolerance for rounding
+  const useApiReturnAmount = apiReturnAmount !== null && calculatedChange !== null
+    ? Math.abs(apiReturnAmount - calculatedChange) <= tolerance
+    : false;
+  const effectiveReturnAmount = hasCashInfo
+    ? (useApiReturnAmount && apiReturnAmount !== null ? apiReturnAmount : (calculatedChange !== null ? calculatedChange : 0))
+    : null;
+  const hasReturnToShow = effectiveReturnAmount !== null;
+  const isReturnNegative = hasReturnToShow && effectiveReturnAmount < 0;
+  const returnLabel = isReturnNegative ? 'Amount Due:' : 'Change Return:';
+  const returnDisplayValue = hasReturnToShow ? Math.abs(effectiveReturnAmount) : 0;
+
+  return {
+    business,
+    displayOrderId,
+    dateStr,
+    timeStr,
+    isDelivery,
+    tableLabel: table_number ? (table_number === 'takeaway' ? 'Take Away' : `#${table_number}`) : null,
+    paymentLabel: payment_method ? (PAYMENT_METHOD_LABELS[payment_method] || payment_method) : null,
+    payment_method,
+    table_number,
+    customer_name,
+    customer_phone,
+    customer_address,
+    finalDeliveryNotes,
+    special_instructions,
+    deliveryFee,
+    safeItems,
+    pricing,
+    subtotalBeforeDiscount,
+    discountPercentValue,
+    discountAmount,
+    total,
+    split_payment,
+    hasCashInfo,
+    hasReturnToShow,
+    amount_taken,
+    returnLabel,
+    returnDisplayValue,
+    station_name,
+    kitchen_changes,
+    isKitchenDelta: Array.isArray(kitchen_changes),
+  };
+}
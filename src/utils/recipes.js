@@ -0,0 +1,130 @@
+/**
+ * Menu item recipes and theoretical food cost.
+ *
+ * A menu item's `recipe` lists ingredient quantities (in each ingredient's stock unit)
+ * for one portion:
+ *   { ingredients: [{ ingredientId, quantity }],
+ *     variants:    { [variantId]: [{ ingredientId, quantity }] },   replaces `ingredients` for that size
+ *     modifiers:   { [optionId]:  [{ ingredientId, quantity }] } }  added on top; negative for "No ..." options
+ *
+ * Each order line is sent with its `recipeUsage`, the ingredients it uses resolved for
+ * its size, modifiers and quantity (`getLineRecipeUsage`). The server books that out as
+ * `sale` movements when the order is completed, so offline orders carry their usage
+ * with them and are deducted when they sync, as the recipe stood when they were taken.
+ * Costs here use the ingredients' current `costPerUnit`.
+ */
+import { roundMoney } from './money';
+import { roundQuantity } from './inventory';
+import { parseMaybeJson } from './configStore';
+import { getOrderItemOptions } from './menuModifiers';
+
+// Food cost above this share of the price is flagged in the menu and reports
+export const TARGET_FOOD_COST_PERCENT = 35;
+
+const normalizeLines = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map(l => ({
+      ingredientId: l?.ingredientId ?? l?.ingredient_id ?? null,
+      quantity: roundQuantity(l?.quantity),
+    }))
+    .filter(l => l.ingredientId !== null && l.ingredientId !== '');
+
+const normalizeLineMap = (map) =>
+  Object.fromEntries(
+    Object.entries(map && typeof map === 'object' ? map : {})
+      .map(([key, lines]) => [String(key), normalizeLines(lines)])
+      .filter(([, lines]) => lines.length > 0)
+  );
+
+export function normalizeRecipe(item) {
+  const raw = parseMaybeJson(item?.recipe) || {};
+  return {
+    ingredients: normalizeLines(raw.ingredients),
+    variants: normalizeLineMap(raw.variants),
+    modifiers: normalizeLineMap(raw.modifiers),
+  };
+}
+
+export const hasRecipe = (recipe) =>
+  recipe.ingredients.length > 0 || Object.keys(recipe.variants).length > 0 || Object.keys(recipe.modifiers).length > 0;
+
+/**
+ * Recipe to save with a menu item: zero quantities dropped, and sizes or options that
+ * no longer exist on the item left out.
+ */
+export function serializeRecipe(recipe, variants = [], modifierGroups = []) {
+  const keep = (lines) => normalizeLines(lines).filter(l => l.quantity !== 0);
+  const variantIds = new Set(variants.map(v => String(v.id)));
+  const optionIds = new Set(modifierGroups.flatMap(g => g.options.map(o => String(o.id))));
+  const pick = (map, ids) => Object.fromEntries(
+    Object.entries(map || {})
+      .filter(([key]) => ids.has(String(key)))
+      .map(([key, lines]) => [key, keep(lines)])
+      .filter(([, lines]) => lines.length > 0)
+  );
+  return {
+    ingredients: keep(recipe?.ingredients),
+    variants: pick(recipe?.variants, variantIds),
+    modifiers: pick(recipe?.modifiers, optionIds),
+  };
+}
+
+/** Ingredient quantities for one portion with the given size and modifiers. */
+export function getRecipeUsage(recipe, { variant = null, modifiers = [] } = {}) {
+  const variantLines = variant ? recipe.variants[String(variant.id)] : null;
+  const lines = [
+    ...(variantLines && variantLines.length > 0 ? variantLines : recipe.ingredients),
+    ...modifiers.flatMap(m => recipe.modifiers[String(m.optionId ?? m.id)] || []),
+  ];
+  const totals = new Map();
+  lines.forEach(l => {
+    const key = String(l.ingredientId);
+    totals.set(key, roundQuantity((totals.get(key) || 0) + l.quantity));
+  });
+  return [...totals.entries()].map(([ingredientId, quantity]) => ({ ingredientId, quantity }));
+}
+
+/**
+ * Ingredients an order line uses: its menu item's recipe for the line's size and
+ * modifiers, times the quantity. Empty when the item has no recipe.
+ */
+export function getLineRecipeUsage(menuItem, line) {
+  const recipe = normalizeRecipe(menuItem);
+  if (!hasRecipe(recipe)) return [];
+  const quantity = Number(line?.quantity) || 0;
+  return getRecipeUsage(recipe, getOrderItemOptions(line))
+    .map(l => ({ ingredientId: l.ingredientId, quantity: roundQuantity(l.quantity * quantity) }))
+    .filter(l => l.quantity !== 0);
+}
+
+/** Cost of recipe lines; `missing` lists ingredient ids that no longer exist. */
+export function costRecipeLines(lines, ingredientsById) {
+  let cost = 0;
+  const missing = [];
+  lines.forEach(l => {
+    const ingredient = ingredientsById.get(String(l.ingredientId));
+    if (!ingredient) {
+      missing.push(l.ingredientId);
+      return;
+    }
+    cost += l.quantity * ingredient.costPerUnit;
+  });
+  return { cost: roundMoney(cost), missing };
+}
+
+export const getFoodCost = (recipe, ingredientsById, selection) =>
+  costRecipeLines(getRecipeUsage(recipe, selection), ingredientsById).cost;
+
+/** Margin figures for a selling price and food cost; percentages are null when price is 0. */
+export function getMargin(price, cost) {
+  const p = Number(price) || 0;
+  return {
+    cost: roundMoney(cost),
+    margin: roundMoney(p - cost),
+    marginPercent: p > 0 ? Math.round(((p - cost) / p) * 1000) / 10 : null,
+    foodCostPercent: p > 0 ? Math.round((cost / p) * 1000) / 10 : null,
+  };
+}
+
+export const isOverFoodCostTarget = (margin) =>
+  margin.foodCostPercent !== null && margin.foodCostPercent > TARGET_FOOD_COST_PERCENT;
@@ -0,0 +1,111 @@
+/**
+ * Recurring expense templates (rent, utilities, subscriptions...).
+ *
+ * A template:
+ *   { id, description, amount, category, paymentMethod, frequency, intervalDays,
+ *     startDate, endDate, lastGeneratedFor, active }
+ * Dates are 'YYYY-MM-DD'. Occurrences are counted from `startDate` (monthly ones keep its
+ * day of the month, clamped in short months). Each occurrence after `lastGeneratedFor`
+ * becomes a draft expense (`status: 'draft'`, `recurringExpenseId`) that is left out of
+ * the totals until someone checks the amount and approves it.
+ */
+import dayjs from 'dayjs';
+import { roundMoney } from './money';
+import { expenseCategoryUsesUnits } from '../constants/expenseCategories';
+
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'custom', label: 'Every N days' },
+];
+
+export const DRAFT_STATUS = 'draft';
+
+// A template that has been paused for a long time only catches up this many drafts per run
+export const MAX_DRAFTS_PER_RUN = 12;
+
+const toYMD = (value) => (value ? dayjs(value).format('YYYY-MM-DD') : null);
+
+export function normalizeRecurringExpense(raw) {
+  if (!raw) return null;
+  const frequency = RECURRENCE_FREQUENCIES.some(f => f.value === raw.frequency) ? raw.frequency : 'monthly';
+  return {
+    id: raw.id ?? null,
+    description: String(raw.description ?? '').trim(),
+    amount: roundMoney(raw.amount),
+    category: String(raw.category ?? ''),
+    paymentMethod: raw.paymentMethod ?? raw.payment_method ?? 'cash',
+    frequency,
+    intervalDays: Math.max(1, parseInt(raw.intervalDays ?? raw.interval_days, 10) || 1),
+    startDate: toYMD(raw.startDate ?? raw.start_date) || dayjs().format('YYYY-MM-DD'),
+    endDate: toYMD(raw.endDate ?? raw.end_date),
+    lastGeneratedFor: toYMD(raw.lastGeneratedFor ?? raw.last_generated_for),
+    active: raw.active !== false && raw.active !== 0,
+  };
+}
+
+export const normalizeRecurringExpenses = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map(normalizeRecurringExpense)
+    .filter(t => t && t.description)
+    .sort((a, b) => a.description.localeCompare(b.description));
+
+export const isDraftExpense = (expense) => expense?.status === DRAFT_STATUS;
+
+/** Date of the `n`th occurrence (0 = start date). */
+export function getOccurrenceDate(template, n) {
+  const start = dayjs(template.startDate);
+  if (template.frequency === 'monthly') return start.add(n, 'month');
+  if (template.frequency === 'weekly') return start.add(n * 7, 'day');
+  return start.add(n * template.intervalDays, 'day');
+}
+
+const isPastEnd = (template, date) => !!template.endDate && date.isAfter(dayjs(template.endDate), 'day');
+
+/** Occurrences not yet turned into drafts, up to and including `today`, oldest first. */
+export function getDueOccurrences(template, today = new Date()) {
+  if (!template.active) return [];
+  const last = template.lastGeneratedFor ? dayjs(template.lastGeneratedFor) : null;
+  const due = [];
+  for (let n = 0; due.length < MAX_DRAFTS_PER_RUN; n += 1) {
+    const date = getOccurrenceDate(template, n);
+    if (date.isAfter(today, 'day') || isPastEnd(template, date)) break;
+    if (!last || date.isAfter(last, 'day')) due.push(date.format('YYYY-MM-DD'));
+  }
+  return due;
+}
+
+/** Next date a draft will be created, or null once the template has ended or is paused. */
+export function getNextDueDate(template) {
+  if (!template.active) return null;
+  const last = template.lastGeneratedFor ? dayjs(template.lastGeneratedFor) : null;
+  for (let n = 0; ; n += 1) {
+    const date = getOccurrenceDate(template, n);
+    if (isPastEnd(template, date)) return null;
+    if (!last || date.isAfter(last, 'day')) return date.format('YYYY-MM-DD');
+  }
+}
+
+export function describeFrequency(template) {
+  const start = dayjs(template.startDate);
+  if (template.frequency === 'monthly') return `Monthly on day ${start.date()}`;
+  if (template.frequency === 'weekly') return `Weekly on ${start.format('dddd')}`;
+  return template.intervalDays === 1 ? 'Daily' : `Every ${template.intervalDays} days`;
+}
+
+/** Draft expense for one occurrence, in the same shape the add-expense form posts. */
+export function buildDraftExpense(template, date, categories) {
+  const usesUnits = expenseCategoryUsesUnits(template.category, categories);
+  return {
+    description: template.description,
+    amount: template.amount,
+    category: template.category,
+    paymentMethod: template.paymentMethod,
+    quantity: 1,
+    unit: usesUnits ? 'PCS' : 'N/A',
+    unitPrice: template.amount,
+    expenseDate: dayjs(date).toISOString(),
+    status: DRAFT_STATUS,
+    recurringExpenseId: template.id,
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * Refunds and partial returns on paid orders.
+ *
+ * A refund is a record against one order:
+ *   { id, orderId, orderNumber, amount, refundMethod: 'cash' | 'bank_transfer', reason,
+ *     items: [{ key, menuItemId, name, quantity, unitPrice }], approvedBy, createdAt }
+ *
+ * Item lines are priced from the order's own total (less delivery) the same way split
+ * bills are, so a discount on the order is refunded proportionally. Refunds with no
+ * items are amount-only (e.g. an overcharge). The sales reports subtract refunds in
+ * the same range to show net figures.
+ */
+import dayjs from 'dayjs';
+import { getItemsShareAmount } from './splitBill';
+import { roundMoney } from './money';
+import { PAYMENT_METHOD_LABELS } from './receiptModel';
+
+export const REFUND_REASONS = [
+  'Wrong item',
+  'Item unavailable',
+  'Quality complaint',
+  'Overcharged',
+  'Customer changed mind',
+  'Other',
+];
+
+export const REFUND_METHODS = ['cash', 'bank_transfer'];
+
+export function normalizeRefund(raw) {
+  if (!raw) return null;
+  const items = Array.isArray(raw.items) ? raw.items : [];
+  return {
+    id: raw.id ?? null,
+    orderId: raw.orderId ?? raw.order_id ?? null,
+    orderNumber: raw.orderNumber ?? raw.order_number ?? null,
+    amount: roundMoney(raw.amount),
+    refundMethod: (raw.refundMethod ?? raw.refund_method) === 'bank_transfer' ? 'bank_transfer' : 'cash',
+    reason: String(raw.reason ?? ''),
+    notes: String(raw.notes ?? ''),
+    items: items.map(i => ({
+      key: String(i.key ?? i.orderItemId ?? i.order_item_id),
+      menuItemId: i.menuItemId ?? i.menu_item_id ?? null,
+      name: i.name || i.item_name || '',
+      quantity: parseInt(i.quantity || 0, 10),
+      unitPrice: parseFloat(i.unitPrice ?? i.unit_price ?? i.price ?? 0) || 0,
+    })),
+    approvedBy: raw.approvedBy ?? raw.approved_by ?? null,
+    approvedByName: raw.approvedByName ?? raw.approved_by_name ?? '',
+    userName: raw.userName ?? raw.user_name ?? raw.cashier_name ?? '',
+    createdAt: raw.createdAt ?? raw.created_at ?? null,
+  };
+}
+
+export const normalizeRefunds = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizeRefund).filter(Boolean);
+
+export const getRefundedTotal = (refunds) =>
+  roundMoney(refunds.reduce((sum, r) => sum + r.amount, 0));
+
+/** Quantities already refunded per order item key. */
+export function getRefundedQuantities(refunds) {
+  return refunds.reduce((acc, r) => {
+    r.items.forEach(i => {
+      acc[i.key] = (acc[i.key] || 0) + i.quantity;
+    });
+    return acc;
+  }, {});
+}
+
+/** What is left to refund on an order: its total less earlier refunds, never negative. */
+export const getRefundableBalance = (orderTotal, refunds) =>
+  Math.max(0, roundMoney(orderTotal - getRefundedTotal(refunds)));
+
+/**
+ * Suggested refund for a `{ [key]: quantity }` selection. Delivery is left out of the
+ * item share and only refunded by entering the amount by hand.
+ */
+export function getRefundItemsAmount(items, quantities, orderTotal, deliveryCharge = 0) {
+  return getItemsShareAmount(items, quantities, Math.max(0, orderTotal - deliveryCharge));
+}
+
+// ==================== REPORT TOTALS ====================
+
+/** Refund totals split by tender, for netting against sales and cash in hand. */
+export function summarizeRefunds(refunds) {
+  return refunds.reduce((acc, r) => {
+    acc.total = roundMoney(acc.total + r.amount);
+    if (r.refundMethod === 'cash') acc.cash = roundMoney(acc.cash + r.amount);
+    else acc.bank = roundMoney(acc.bank + r.amount);
+    acc.count += 1;
+    return acc;
+  }, { total: 0, cash: 0, bank: 0, count: 0 });
+}
+
+/**
+ * Refunded quantity and amount per item name. The amount is the item's share of the
+ * refund, so amount-only refunds don't show against any item.
+ */
+export function getRefundedItemTotals(refunds) {
+  return refunds.reduce((acc, r) => {
+    const gross = r.items.reduce((sum, i) => sum + i.unitPrice * i.quantity, 0);
+    r.items.forEach(i => {
+      const share = gross > 0 ? (i.unitPrice * i.quantity / gross) * r.amount : 0;
+      const entry = acc[i.name] || { quantity: 0, amount: 0 };
+      acc[i.name] = { quantity: entry.quantity + i.quantity, amount: roundMoney(entry.amount + share) };
+    });
+    return acc;
+  }, {});
+}
+
+// ==================== REFUND SLIP ====================
+
+const formatDateTime = (value) => (value ? dayjs(value).format('DD MMM YYYY, h:mm A') : '-');
+
+/** Refund slip content as sections of [label, value] rows, shared by the HTML and ESC/POS slips. */
+export function getRefundSlipSections(refund, order, formatAmount) {
+  const sections = [
+    {
+      title: 'ORDER',
+      rows: [
+        ['Order #:', String(refund.orderNumber ?? order?.order_number ?? order?.orderNumber ?? refund.orderId ?? '-')],
+        ['Order Date:', formatDateTime(order?.created_at ?? order?.createdAt)],
+        ['Refunded:', formatDateTime(refund.createdAt || new Date())],
+        ['Processed by:', refund.userName || '-'],
+        ['Approved by:', refund.approvedByName || '-'],
+      ],
+    },
+  ];
+
+  if (refund.items.length > 0) {
+    sections.push({
+      title: 'ITEMS RETURNED',
+      rows: refund.items.map(i => [`${i.quantity} x ${i.name}`, formatAmount(i.unitPrice * i.quantity)]),
+    });
+  }
+
+  sections.push({
+    title: 'REFUND',
+    rows: [
+      ['Refund Total:', formatAmount(refund.amount)],
+      ['Refunded by:', PAYMENT_METHOD_LABELS[refund.refundMethod] || refund.refundMethod],
+    ],
+  });
+  sections.push({ title: 'REASON', rows: [[refund.notes ? `${refund.reason}: ${refund.notes}` : refund.reason, '']] });
+
+  return sections;
+}
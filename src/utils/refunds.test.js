@@ -0,0 +1,82 @@
+import {
+  normalizeRefunds,
+  getRefundedTotal,
+  getRefundedQuantities,
+  getRefundableBalance,
+  getRefundItemsAmount,
+  summarizeRefunds,
+  getRefundedItemTotals,
+} from './refunds';
+import { normalizeSplitItems } from './splitBill';
+
+// receiptModel pulls in businessSettings, which uses import.meta and can't load under jest
+jest.mock('./businessSettings', () => ({
+  getBusinessSettings: () => ({ name: 'Test Kitchen', currency: 'PKR' }),
+}));
+
+const refunds = normalizeRefunds([
+  {
+    id: 1,
+    amount: '90',
+    refund_method: 'cash',
+    items: [
+      { order_item_id: 2, name: 'Naan', quantity: 2, unit_price: 50 },
+      { order_item_id: 3, name: 'Lassi', quantity: 1, unit_price: 100 },
+    ],
+  },
+  { id: 2, amount: 45.5, refundMethod: 'bank_transfer', items: [{ key: 2, name: 'Naan', quantity: 1, unitPrice: 50 }] },
+  { id: 3, amount: 20, refundMethod: 'cash', items: [] },
+]);
+
+describe('summarizeRefunds', () => {
+  it('totals refunds by tender', () => {
+    expect(summarizeRefunds(refunds)).toEqual({ total: 155.5, cash: 110, bank: 45.5, count: 3 });
+  });
+
+  it('is all zeros with no refunds', () => {
+    expect(summarizeRefunds([])).toEqual({ total: 0, cash: 0, bank: 0, count: 0 });
+  });
+});
+
+describe('getRefundedItemTotals', () => {
+  it('splits each refund across its items by value and skips amount-only refunds', () => {
+    expect(getRefundedItemTotals(refunds)).toEqual({
+      Naan: { quantity: 3, amount: 90.5 },
+      Lassi: { quantity: 1, amount: 45 },
+    });
+  });
+});
+
+describe('balances', () => {
+  it('adds up refunded amounts and quantities', () => {
+    expect(getRefundedTotal(refunds)).toBe(155.5);
+    expect(getRefundedQuantities(refunds)).toEqual({ 2: 3, 3: 1 });
+  });
+
+  it('never leaves a negative refundable balance', () => {
+    expect(getRefundableBalance(200, refunds)).toBe(44.5);
+    expect(getRefundableBalance(100, refunds)).toBe(0);
+  });
+});
+
+describe('getRefundItemsAmount', () => {
+  const items = normalizeSplitItems([
+    { id: 1, name: 'Karahi', quantity: 1, price: 1200 },
+    { id: 2, name: 'Naan', quantity: 4, price: 50 },
+  ]);
+
+  it('leaves delivery out of the item share', () => {
+    expect(getRefundItemsAmount(items, { 2: 2 }, 1500, 100)).toBe(100);
+  });
+
+  it('refunds an order discount proportionally', () => {
+    // 10% off a 1400 subtotal, plus 100 delivery
+    expect(getRefundItemsAmount(items, { 2: 2 }, 1360, 100)).toBe(90);
+  });
+});
+
+describe('normalizeRefund', () => {
+  it('treats any method but bank transfer as cash', () => {
+    expect(normalizeRefunds([{ amount: 10, refund_method: 'card' }])[0].refundMethod).toBe('cash');
+  });
+});
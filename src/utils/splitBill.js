@@ -0,0 +1,147 @@
+/**
+ * Split-bill helpers for dine-in orders.
+ *
+ * A split bill is a list of payment records against one order:
+ *   { id, amount, shareAmount, pricing, paymentMethod, amountTaken, returnAmount,
+ *     splitType: 'full' | 'evenly' | 'items' | 'seat', label,
+ *     items: [{ key, quantity }], seat, createdAt }
+ *
+ * Item and seat shares are priced from the order's own total so any
+ * discount on the order is spread proportionally across the shares.
+ * `shareAmount` is the part of that total a payment settles; `amount` is what
+ * it was charged, which differs when card and cash carry different tax rates
+ * (`pricing` holds the tender's breakdown, see utils/pricing `priceSplitTender`).
+ */
+import { pickReceiptItemOptions } from './menuModifiers';
+import { roundMoney } from './money';
+
+export const SPLIT_TYPES = [
+  { value: 'evenly', label: 'Evenly' },
+  { value: 'items', label: 'By Item' },
+  { value: 'seat', label: 'By Seat' },
+];
+
+// Amounts within half a rupee are treated as settled
+const SETTLE_TOLERANCE = 0.5;
+
+const getItemKey = (item, idx) =>
+  String(item.id ?? item.order_item_id ?? item.orderItemId ?? `${item.menu_item_id ?? item.menuItemId ?? 'item'}-${idx}`);
+
+/** Flatten API / IndexedDB order items into the shape the split screen works with. */
+export function normalizeSplitItems(orderItems) {
+  if (!Array.isArray(orderItems)) return [];
+  return orderItems.map((item, idx) => ({
+    key: getItemKey(item, idx),
+    menuItemId: item.menu_item_id ?? item.menuItemId ?? item.menuItem?.id ?? null,
+    name: item.menuItem?.name || item.item_name || item.name || 'Unknown Item',
+    quantity: parseInt(item.quantity || 0, 10),
+    price: parseFloat(item.price || item.item_price || 0),
+    ...pickReceiptItemOptions(item),
+  }));
+}
+
+export function normalizePayment(raw) {
+  if (!raw) return null;
+  const items = Array.isArray(raw.items) ? raw.items : [];
+  return {
+    id: raw.id ?? raw.paymentId ?? raw.payment_id ?? null,
+    amount: roundMoney(raw.amount),
+    shareAmount: roundMoney(raw.shareAmount ?? raw.share_amount ?? raw.amount),
+    pricing: raw.pricing ?? null,
+    paymentMethod: raw.paymentMethod || raw.payment_method || 'cash',
+    amountTaken: raw.amountTaken ?? raw.amount_taken ?? null,
+    returnAmount: raw.returnAmount ?? raw.return_amount ?? 0,
+    splitType: raw.splitType || raw.split_type || 'full',
+    label: raw.label || '',
+    items: items.map(i => ({ key: String(i.key ?? i.orderItemId ?? i.order_item_id), quantity: parseInt(i.quantity || 0, 10) })),
+    seat: raw.seat ?? null,
+    createdAt: raw.createdAt || raw.created_at || null,
+  };
+}
+
+export const normalizePayments = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizePayment).filter(Boolean);
+
+/** Part of the order total settled so far; balances are worked out from this. */
+export const getPaidTotal = (payments) =>
+  roundMoney(payments.reduce((sum, p) => sum + (Number(p.shareAmount ?? p.amount) || 0), 0));
+
+/** What the customer was actually charged across all payments. */
+export const getChargedTotal = (payments) =>
+  roundMoney(payments.reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+
+export function getRemainingBalance(orderTotal, payments) {
+  const remaining = roundMoney(orderTotal - getPaidTotal(payments));
+  return remaining <= SETTLE_TOLERANCE ? 0 : remaining;
+}
+
+export const isSettled = (orderTotal, payments) => getRemainingBalance(orderTotal, payments) === 0;
+
+/** Split a total into `ways` whole-rupee shares; any remainder goes on the last share. */
+export function splitEvenly(total, ways) {
+  const count = Math.max(1, parseInt(ways, 10) || 1);
+  const base = Math.floor((Number(total) || 0) / count);
+  const shares = Array.from({ length: count }, () => base);
+  shares[count - 1] = roundMoney(total - base * (count - 1));
+  return shares;
+}
+
+/** Quantities already paid per item key across item and seat splits. */
+export function getPaidQuantities(payments) {
+  return payments.reduce((acc, p) => {
+    p.items.forEach(i => {
+      acc[i.key] = (acc[i.key] || 0) + i.quantity;
+    });
+    return acc;
+  }, {});
+}
+
+const getShareRatio = (items, orderTotal) => {
+  const subtotal = items.reduce((sum, i) => sum + i.price * i.quantity, 0);
+  return subtotal > 0 ? orderTotal / subtotal : 1;
+};
+
+/** Amount owed for a `{ [key]: quantity }` selection of items. */
+export function getItemsShareAmount(items, quantities, orderTotal) {
+  const ratio = getShareRatio(items, orderTotal);
+  const selected = items.reduce((sum, i) => sum + i.price * (quantities[i.key] || 0), 0);
+  return roundMoney(selected * ratio);
+}
+
+/**
+ * Group item quantities by seat. `seatAssignments` maps item key to seat number;
+ * unassigned items fall on seat 1.
+ */
+export function getSeatShares(items, seatAssignments, orderTotal, paidQuantities = {}) {
+  const seats = {};
+  items.forEach(item => {
+    const open = item.quantity - (paidQuantities[item.key] || 0);
+    if (open <= 0) return;
+    const seat = parseInt(seatAssignments[item.key], 10) || 1;
+    if (!seats[seat]) seats[seat] = { seat, quantities: {} };
+    seats[seat].quantities[item.key] = open;
+  });
+  return Object.values(seats)
+    .sort((a, b) => a.seat - b.seat)
+    .map(s => ({ ...s, amount: getItemsShareAmount(items, s.quantities, orderTotal) }));
+}
+
+/** Payment method to store on the order once every share is paid. */
+export function summarizePaymentMethod(payments) {
+  const methods = [...new Set(payments.map(p => p.paymentMethod))];
+  return methods.length === 1 ? methods[0] : 'mixed';
+}
+
+/** Receipt line items for one payment; even and custom splits print the whole order. */
+export function getPaymentReceiptItems(items, payment) {
+  if (!payment.items.length) {
+    return items.map(({ name, quantity, price, variant_name, modifiers }) => ({ name, quantity, price, variant_name, modifiers }));
+  }
+  const byKey = new Map(items.map(i => [i.key, i]));
+  return payment.items
+    .filter(i => byKey.has(i.key) && i.quantity > 0)
+    .map(i => {
+      const { name, price, variant_name, modifiers } = byKey.get(i.key);
+      return { name, quantity: i.quantity, price, variant_name, modifiers };
+    });
+}
@@ -0,0 +1,132 @@
+import {
+  normalizeSplitItems,
+  normalizePayment,
+  getPaidTotal,
+  getChargedTotal,
+  getRemainingBalance,
+  isSettled,
+  splitEvenly,
+  getPaidQuantities,
+  getItemsShareAmount,
+  getSeatShares,
+  summarizePaymentMethod,
+  getPaymentReceiptItems,
+} from './splitBill';
+
+const items = normalizeSplitItems([
+  { id: 1, name: 'Karahi', quantity: 1, price: 1200 },
+  { id: 2, name: 'Naan', quantity: 4, price: 50 },
+  { id: 3, name: 'Lassi', quantity: 2, price: 200 },
+]);
+
+describe('splitEvenly', () => {
+  it('gives whole-rupee shares with the remainder on the last one', () => {
+    expect(splitEvenly(1000, 3)).toEqual([333, 333, 334]);
+  });
+
+  it('keeps paisa on the last share', () => {
+    expect(splitEvenly(100.5, 2)).toEqual([50, 50.5]);
+  });
+
+  it('treats a bad count as one share', () => {
+    expect(splitEvenly(500, 0)).toEqual([500]);
+  });
+});
+
+describe('getItemsShareAmount', () => {
+  it('prices items at menu price when the total matches the subtotal', () => {
+    expect(getItemsShareAmount(items, { 2: 2, 3: 1 }, 1800)).toBe(300);
+  });
+
+  it('spreads an order discount across the selected items', () => {
+    // 10% off an 1800 subtotal
+    expect(getItemsShareAmount(items, { 1: 1 }, 1620)).toBe(1080);
+  });
+
+  it('rounds to paisa', () => {
+    expect(getItemsShareAmount(items, { 2: 1 }, 1799)).toBe(49.97);
+  });
+});
+
+describe('getSeatShares', () => {
+  it('groups open quantities by seat, unassigned items on seat 1', () => {
+    const shares = getSeatShares(items, { 1: 2, 3: 2 }, 1800);
+    expect(shares).toEqual([
+      { seat: 1, quantities: { 2: 4 }, amount: 200 },
+      { seat: 2, quantities: { 1: 1, 3: 2 }, amount: 1600 },
+    ]);
+  });
+
+  it('leaves out quantities already paid', () => {
+    const shares = getSeatShares(items, {}, 1800, { 1: 1, 2: 1 });
+    expect(shares).toEqual([{ seat: 1, quantities: { 2: 3, 3: 2 }, amount: 550 }]);
+  });
+});
+
+describe('balances', () => {
+  const payments = [
+    normalizePayment({ amount: 600, paymentMethod: 'cash' }),
+    normalizePayment({ amount: 612, shareAmount: 600, paymentMethod: 'bank_transfer' }),
+  ];
+
+  it('settles against the share of the order total, not the amount charged', () => {
+    expect(getPaidTotal(payments)).toBe(1200);
+    expect(getChargedTotal(payments)).toBe(1212);
+    expect(getRemainingBalance(1800, payments)).toBe(600);
+  });
+
+  it('treats less than half a rupee outstanding as settled', () => {
+    expect(getRemainingBalance(1200.4, payments)).toBe(0);
+    expect(isSettled(1200.4, payments)).toBe(true);
+    expect(isSettled(1201, payments)).toBe(false);
+  });
+});
+
+describe('normalizePayment', () => {
+  it('reads snake_case records and defaults the share to the amount', () => {
+    expect(normalizePayment({
+      payment_id: 7,
+      amount: '450.456',
+      payment_method: 'cash',
+      split_type: 'items',
+      items: [{ order_item_id: 2, quantity: '3' }],
+    })).toMatchObject({
+      id: 7,
+      amount: 450.46,
+      shareAmount: 450.46,
+      paymentMethod: 'cash',
+      splitType: 'items',
+      items: [{ key: '2', quantity: 3 }],
+    });
+  });
+});
+
+describe('getPaidQuantities', () => {
+  it('adds up item quantities across payments', () => {
+    const payments = [
+      normalizePayment({ amount: 100, items: [{ key: 2, quantity: 2 }] }),
+      normalizePayment({ amount: 100, items: [{ key: 2, quantity: 1 }, { key: 3, quantity: 1 }] }),
+    ];
+    expect(getPaidQuantities(payments)).toEqual({ 2: 3, 3: 1 });
+  });
+});
+
+describe('summarizePaymentMethod', () => {
+  it('keeps a single method and reports several as mixed', () => {
+    expect(summarizePaymentMethod([{ paymentMethod: 'cash' }, { paymentMethod: 'cash' }])).toBe('cash');
+    expect(summarizePaymentMethod([{ paymentMethod: 'cash' }, { paymentMethod: 'bank_transfer' }])).toBe('mixed');
+  });
+});
+
+describe('getPaymentReceiptItems', () => {
+  it('prints the whole order for even and custom shares', () => {
+    expect(getPaymentReceiptItems(items, normalizePayment({ amount: 900 }))).toHaveLength(3);
+  });
+
+  it('prints only the paid quantities for item shares', () => {
+    const payment = normalizePayment({ amount: 100, items: [{ key: 2, quantity: 2 }] });
+    expect(getPaymentReceiptItems(items, payment)).toEqual([
+      { name: 'Naan', quantity: 2, price: 50, variant_name: null, modifiers: [] },
+    ]);
+  });
+});
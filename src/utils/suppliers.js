@@ -0,0 +1,210 @@
+/**
+ * Suppliers, purchase orders and what we owe them.
+ *
+ * A supplier:
+ *   { id, name, contactName, phone, email, address, paymentTerms, notes, active, balance }
+ * `balance` is worked out by the server: the supplier's unpaid expenses. Bills still
+ * awaiting approval, or rejected, aren't owed yet and are left out of the payables and
+ * the balances shown here (`isPayable`).
+ *
+ * A purchase order lists what was ordered; each line tracks how much has arrived:
+ *   { id, number, supplierId, supplierName, status, orderedAt, expectedAt, note,
+ *     lines: [{ id, ingredientId, description, quantity, unit, unitPrice, received }] }
+ * Receiving turns the delivered quantity of each line into an "Inventory purchases"
+ * expense for the supplier (and a stock-in movement when the line names an ingredient)
+ * recorded against the line, so a PO can arrive over several deliveries. A delivery is
+ * posted in one call with a `receiptKey`, so retrying it can't book it twice.
+ *
+ * Supplier expenses carry `supplierId`, `purchaseOrderId`, `paymentStatus` ('paid' |
+ * 'unpaid') and `dueDate`; on credit terms they start unpaid and show in the payables report.
+ */
+import dayjs from 'dayjs';
+import { roundMoney } from './money';
+import { INVENTORY_PURCHASE_CATEGORY, roundQuantity } from './inventory';
+import { isCountedExpense } from './expenseApproval';
+
+export const PAYMENT_TERMS = [
+  { value: 'cod', label: 'Cash on delivery', days: 0 },
+  { value: 'net_7', label: 'Net 7 days', days: 7 },
+  { value: 'net_15', label: 'Net 15 days', days: 15 },
+  { value: 'net_30', label: 'Net 30 days', days: 30 },
+  { value: 'net_60', label: 'Net 60 days', days: 60 },
+];
+
+export const PO_STATUSES = {
+  ordered: { label: 'Ordered', color: '#007bff' },
+  partial: { label: 'Partly received', color: '#fd7e14' },
+  received: { label: 'Received', color: '#28a745' },
+  cancelled: { label: 'Cancelled', color: '#6c757d' },
+};
+
+// By days past the due date
+export const AGING_BUCKETS = [
+  { key: 'current', label: 'Not due', min: null, max: 0 },
+  { key: 'days30', label: '1-30 days', min: 1, max: 30 },
+  { key: 'days60', label: '31-60 days', min: 31, max: 60 },
+  { key: 'over60', label: '60+ days', min: 61, max: Infinity },
+];
+
+const toNumber = (value) => {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : 0;
+};
+
+export const getPaymentTerm = (value) =>
+  PAYMENT_TERMS.find(t => t.value === value) || PAYMENT_TERMS[0];
+
+// ==================== NORMALIZATION ====================
+
+export function normalizeSupplier(raw) {
+  if (!raw) return null;
+  return {
+    id: raw.id ?? null,
+    name: String(raw.name ?? '').trim(),
+    contactName: String(raw.contactName ?? raw.contact_name ?? ''),
+    phone: String(raw.phone ?? ''),
+    email: String(raw.email ?? ''),
+    address: String(raw.address ?? ''),
+    paymentTerms: getPaymentTerm(raw.paymentTerms ?? raw.payment_terms).value,
+    notes: String(raw.notes ?? ''),
+    active: raw.active !== false && raw.active !== 0,
+    balance: roundMoney(toNumber(raw.balance ?? raw.outstanding_balance)),
+  };
+}
+
+export const normalizeSuppliers = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map(normalizeSupplier)
+    .filter(s => s && s.name)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+export function normalizePurchaseOrder(raw) {
+  if (!raw) return null;
+  const lines = (Array.isArray(raw.lines) ? raw.lines : []).map((l, idx) => ({
+    id: String(l.id ?? idx),
+    ingredientId: l.ingredientId ?? l.ingredient_id ?? null,
+    description: String(l.description ?? l.name ?? ''),
+    quantity: roundQuantity(l.quantity),
+    unit: String(l.unit || 'PCS').toUpperCase(),
+    unitPrice: toNumber(l.unitPrice ?? l.unit_price),
+    received: roundQuantity(l.received ?? l.receivedQuantity ?? l.received_quantity),
+  }));
+  return {
+    id: raw.id ?? null,
+    number: raw.number ?? raw.poNumber ?? raw.po_number ?? raw.id ?? '',
+    supplierId: raw.supplierId ?? raw.supplier_id ?? null,
+    supplierName: raw.supplierName ?? raw.supplier_name ?? '',
+    status: PO_STATUSES[raw.status] ? raw.status : getReceivedStatus(lines),
+    orderedAt: raw.orderedAt ?? raw.ordered_at ?? raw.createdAt ?? raw.created_at ?? null,
+    expectedAt: raw.expectedAt ?? raw.expected_at ?? null,
+    note: String(raw.note ?? raw.notes ?? ''),
+    createdBy: raw.createdByName ?? raw.created_by_name ?? raw.createdBy ?? raw.created_by ?? null,
+    lines,
+  };
+}
+
+export const normalizePurchaseOrders = (list) =>
+  (Array.isArray(list) ? list : [])
+    .map(normalizePurchaseOrder)
+    .filter(Boolean)
+    .sort((a, b) => new Date(b.orderedAt || 0) - new Date(a.orderedAt || 0));
+
+export const getExpenseSupplierId = (expense) =>
+  expense?.supplierId ?? expense?.supplier_id ?? null;
+
+export const isExpenseUnpaid = (expense) =>
+  (expense?.paymentStatus ?? expense?.payment_status) === 'unpaid';
+
+/** Unpaid and approved: a bill the business actually owes. */
+export const isPayable = (expense) => isExpenseUnpaid(expense) && isCountedExpense(expense);
+
+// ==================== PURCHASE ORDERS ====================
+
+export const getOutstandingQuantity = (line) => roundQuantity(Math.max(0, line.quantity - line.received));
+
+export const getPurchaseOrderTotal = (lines) =>
+  roundMoney(lines.reduce((sum, l) => sum + l.quantity * l.unitPrice, 0));
+
+export const getReceivedValue = (lines) =>
+  roundMoney(lines.reduce((sum, l) => sum + Math.min(l.received, l.quantity) * l.unitPrice, 0));
+
+/** 'received' once every line has fully arrived, 'partial' once anything has. */
+export function getReceivedStatus(lines) {
+  if (lines.length > 0 && lines.every(l => getOutstandingQuantity(l) === 0)) return 'received';
+  if (lines.some(l => l.received > 0)) return 'partial';
+  return 'ordered';
+}
+
+export const canReceivePurchaseOrder = (order) => order.status === 'ordered' || order.status === 'partial';
+
+/** Due date for a bill from `supplier` dated `billDate`. */
+export const getDueDate = (supplier, billDate = new Date()) =>
+  dayjs(billDate).add(getPaymentTerm(supplier?.paymentTerms).days, 'day').endOf('day');
+
+/**
+ * Expense for `quantity` of a PO line that has just arrived. Cash-on-delivery suppliers
+ * are paid on the spot; anyone on credit terms is owed until the bill is marked paid.
+ */
+export function buildReceiptExpense(order, line, quantity, supplier, receivedOn = new Date()) {
+  const amount = roundMoney(quantity * line.unitPrice);
+  const onCredit = getPaymentTerm(supplier?.paymentTerms).days > 0;
+  return {
+    description: `${line.description} - PO #${order.number}`,
+    amount,
+    category: INVENTORY_PURCHASE_CATEGORY,
+    paymentMethod: onCredit ? 'bank_transfer' : 'cash',
+    quantity,
+    unit: line.unit,
+    unitPrice: line.unitPrice,
+    expenseDate: new Date(receivedOn).toISOString(),
+    supplierId: order.supplierId,
+    purchaseOrderId: order.id,
+    paymentStatus: onCredit ? 'unpaid' : 'paid',
+    dueDate: getDueDate(supplier, receivedOn).toISOString(),
+  };
+}
+
+// ==================== PAYABLES ====================
+
+const getAgingBucket = (expense, today) => {
+  const due = expense?.dueDate ?? expense?.due_date;
+  const daysOverdue = due ? dayjs(today).startOf('day').diff(dayjs(due).startOf('day'), 'day') : 0;
+  return AGING_BUCKETS.find(b => daysOverdue <= b.max && (b.min === null || daysOverdue >= b.min)).key;
+};
+
+/**
+ * Payable supplier expenses grouped by supplier and aged by how far past due they are,
+ * largest balance first.
+ */
+export function buildPayablesReport(expenses, suppliers, today = new Date()) {
+  const suppliersById = new Map(suppliers.map(s => [String(s.id), s]));
+  const rows = new Map();
+
+  expenses.filter(isPayable).forEach(expense => {
+    const supplierId = getExpenseSupplierId(expense);
+    const key = String(supplierId ?? '');
+    if (!rows.has(key)) {
+      const row = {
+        supplierId,
+        name: suppliersById.get(key)?.name || expense.supplierName || expense.supplier_name || 'No supplier',
+        count: 0,
+        total: 0,
+        expenses: [],
+      };
+      AGING_BUCKETS.forEach(b => { row[b.key] = 0; });
+      rows.set(key, row);
+    }
+    const row = rows.get(key);
+    const amount = toNumber(expense.amount);
+    row.count += 1;
+    row.total = roundMoney(row.total + amount);
+    const bucket = getAgingBucket(expense, today);
+    row[bucket] = roundMoney(row[bucket] + amount);
+    row.expenses.push(expense);
+  });
+
+  return [...rows.values()].sort((a, b) => b.total - a.total);
+}
+
+export const isOverdue = (expense, today = new Date()) =>
+  isPayable(expense) && getAgingBucket(expense, today) !== 'current';
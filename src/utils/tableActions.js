@@ -0,0 +1,130 @@
+/**
+ * Table transfer, merge and split helpers for dine-in orders.
+ *
+ * Online, the backend moves items between orders and records the change in the
+ * order history. Offline (unsynced) orders are edited in IndexedDB instead: the
+ * stored order is what gets created on sync, and a history entry is queued as a
+ * pending operation so the audit trail reaches the server too.
+ *
+ * History entries look like:
+ *   { action: 'transfer' | 'merge' | 'split', fromTable, toTable,
+ *     relatedOrderId, relatedOrderNumber, items: [{ name, quantity }], note, at }
+ */
+import { calculateOrderTotals, serializePricing } from './pricing';
+import { isSameTable } from './floorPlan';
+
+export const TABLE_ACTIONS = [
+  { value: 'transfer', label: 'Move Table' },
+  { value: 'merge', label: 'Merge Tables' },
+  { value: 'split', label: 'Split Order' },
+];
+
+const getTableNumber = (order) => order?.tableNumber ?? order?.table_number ?? null;
+const getOrderNumber = (order) => order?.order_number || order?.orderNumber || order?.id;
+
+/**
+ * Key for one order line in the split picker. Server items carry their own order-item
+ * id; offline items only have the menu item id, so fall back to the line index.
+ */
+export const getLineKey = (item, idx, offline = false) =>
+  String(offline ? idx : (item.id ?? item.order_item_id ?? item.orderItemId ?? idx));
+
+// ==================== ITEMS ====================
+
+/**
+ * Split `items` by the chosen quantities (keyed by getLineKey). Returns the lines that
+ * stay on the order and the lines that move to the new one.
+ */
+export function splitOrderItems(items, quantities, offline = false) {
+  const kept = [];
+  const moved = [];
+  (Array.isArray(items) ? items : []).forEach((item, idx) => {
+    const quantity = parseInt(item.quantity || 0, 10);
+    const take = Math.min(quantity, Math.max(0, parseInt(quantities[getLineKey(item, idx, offline)] || 0, 10)));
+    if (take > 0) moved.push({ ...item, quantity: take });
+    if (quantity - take > 0) kept.push({ ...item, quantity: quantity - take });
+  });
+  return { kept, moved };
+}
+
+export const countItems = (items) =>
+  (Array.isArray(items) ? items : []).reduce((sum, item) => sum + (parseInt(item.quantity || 0, 10) || 0), 0);
+
+/** Totals and pricing fields for an offline order whose items changed. */
+export function repriceOrderItems(order, items) {
+  const pricing = calculateOrderTotals({
+    items,
+    discountPercent: order.discount_percent ?? order.discountPercent ?? 0,
+    orderType: 'dine_in',
+  });
+  return {
+    items,
+    orderItems: items,
+    totalAmount: pricing.grandTotal,
+    total_amount: pricing.grandTotal,
+    ...serializePricing(pricing),
+  };
+}
+
+// ==================== HISTORY ====================
+
+const describeItems = (items) =>
+  (items || []).map(item => `${item.quantity}× ${item.name || item.item_name || item.menuItem?.name || 'Item'}`).join(', ');
+
+export function buildTableHistoryEntry(action, { order, toTable = null, relatedOrder = null, items = [] }) {
+  const fromTable = getTableNumber(order);
+  let note = '';
+  if (action === 'transfer') {
+    note = `Moved from Table ${fromTable} to Table ${toTable}`;
+  } else if (action === 'merge') {
+    note = `Merged Order #${getOrderNumber(relatedOrder)} (Table ${getTableNumber(relatedOrder)}) into this bill`;
+  } else if (action === 'split') {
+    note = `Split ${describeItems(items)} to Table ${toTable}`;
+  }
+  return {
+    action,
+    fromTable,
+    toTable,
+    relatedOrderId: relatedOrder?.id ?? null,
+    relatedOrderNumber: relatedOrder ? getOrderNumber(relatedOrder) : null,
+    items: items.map(item => ({ name: item.name || item.item_name || item.menuItem?.name || 'Item', quantity: item.quantity })),
+    note,
+    at: new Date().toISOString(),
+  };
+}
+
+export const getTableHistory = (order) => {
+  const raw = order?.table_history ?? order?.tableHistory;
+  if (Array.isArray(raw)) return raw;
+  if (typeof raw === 'string') {
+    try {
+      const parsed = JSON.parse(raw);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch {
+      return [];
+    }
+  }
+  return [];
+};
+
+// ==================== OCCUPANCY ====================
+
+/**
+ * Occupied-table list after an action: `release` table numbers are freed and each
+ * `reserve` entry ({ tableNumber, orderId, orderNumber }) takes its table.
+ */
+export function applyOccupancyChange(occupiedTables, { release = [], reserve = [] }) {
+  const touched = [...release, ...reserve.map(r => r.tableNumber)];
+  const next = (occupiedTables || []).filter(t => !touched.some(num => isSameTable(num, t.tableNumber ?? t.table_number)));
+  reserve.forEach(r => {
+    next.push({
+      tableNumber: String(r.tableNumber),
+      table_number: String(r.tableNumber),
+      id: r.orderId ?? null,
+      orderId: r.orderId ?? null,
+      orderNumber: r.orderNumber ?? null,
+      order_number: r.orderNumber ?? null,
+    });
+  });
+  return next;
+}
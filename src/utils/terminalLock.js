@@ -0,0 +1,190 @@
+/**
+ * Quick PIN sign-in and the terminal lock screen for shared tills.
+ *
+ * Users with a PIN (set in the Users tab) appear as tiles on the lock screen and sign
+ * in with 4-6 digits instead of a password. Locking keeps every user's open carts,
+ * since carts are stored per user. The terminal locks itself after the admin-set
+ * period of inactivity (stored under the `terminal_lock` business-info key):
+ *   { autoLockMinutes: number }   0 turns auto-lock off
+ *
+ * Each successful online PIN sign-in caches a salted PBKDF2 hash of the PIN with the
+ * user's profile (offlineDB `savePinCredential`), so the same user can sign in again
+ * while the terminal is offline. No tokens are cached with it: an offline PIN sign-in
+ * has no server session and signs in again once the connection is back.
+ *
+ * Wrong PINs are counted per user. After PIN_FREE_ATTEMPTS misses each further one
+ * makes the user wait (doubling from PIN_RETRY_DELAY_SECONDS), and the
+ * PIN_MAX_ATTEMPTS-th miss wipes their offline credential.
+ */
+import { createConfigStore, parseMaybeJson } from './configStore';
+
+export const TERMINAL_LOCK_KEY = 'terminal_lock';
+const STORAGE_KEY = 'pos:terminal-lock';
+const PIN_USERS_STORAGE_KEY = 'pos:pin-users';
+const LOCKED_STORAGE_KEY = 'pos:locked';
+const PIN_ATTEMPTS_STORAGE_KEY = 'pos:pin-attempts';
+export const TERMINAL_LOCK_EVENT = 'terminalLockUpdated';
+
+export const PIN_MIN_LENGTH = 4;
+export const PIN_MAX_LENGTH = 6;
+
+export const DEFAULT_TERMINAL_LOCK = {
+  autoLockMinutes: 5,
+};
+
+const PBKDF2_ITERATIONS = 100000;
+
+export const PIN_MAX_ATTEMPTS = 5;
+const PIN_FREE_ATTEMPTS = 2;
+const PIN_RETRY_DELAY_SECONDS = 30;
+
+/** Digits only, cut to the longest PIN; for PIN inputs. */
+export const sanitizePin = (value) => String(value ?? '').replace(/\D/g, '').slice(0, PIN_MAX_LENGTH);
+
+export const isValidPin = (pin) => new RegExp(`^\\d{${PIN_MIN_LENGTH},${PIN_MAX_LENGTH}}$`).test(String(pin ?? ''));
+
+export function normalizeTerminalLock(raw) {
+  const value = parseMaybeJson(raw) || {};
+  const minutes = parseInt(value.autoLockMinutes ?? value.auto_lock_minutes, 10);
+  return {
+    autoLockMinutes: Number.isFinite(minutes) ? Math.min(240, Math.max(0, minutes)) : DEFAULT_TERMINAL_LOCK.autoLockMinutes,
+  };
+}
+
+const store = createConfigStore(STORAGE_KEY, normalizeTerminalLock, TERMINAL_LOCK_EVENT);
+
+export const getTerminalLock = store.get;
+export const setTerminalLock = store.set;
+
+// ==================== LOCK STATE ====================
+// Kept in localStorage so a reload doesn't unlock the terminal
+
+export function isTerminalLocked() {
+  try {
+    return localStorage.getItem(LOCKED_STORAGE_KEY) === '1';
+  } catch {
+    return false;
+  }
+}
+
+export function setTerminalLocked(locked) {
+  try {
+    if (locked) localStorage.setItem(LOCKED_STORAGE_KEY, '1');
+    else localStorage.removeItem(LOCKED_STORAGE_KEY);
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ==================== PIN ATTEMPTS ====================
+// Kept in localStorage so a reload doesn't reset the count
+
+function readPinAttempts() {
+  try {
+    return JSON.parse(localStorage.getItem(PIN_ATTEMPTS_STORAGE_KEY) || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+function writePinAttempts(attempts) {
+  try {
+    localStorage.setItem(PIN_ATTEMPTS_STORAGE_KEY, JSON.stringify(attempts));
+  } catch (e) {
+    console.warn('[terminalLock] Failed to save PIN attempts:', e);
+  }
+}
+
+/** Seconds `userId` must wait before trying another PIN; 0 when they may try now. */
+export function getPinRetryDelay(userId, now = Date.now()) {
+  const entry = readPinAttempts()[userId];
+  return entry?.retryAt > now ? Math.ceil((entry.retryAt - now) / 1000) : 0;
+}
+
+/**
+ * Counts a wrong PIN for `userId`. Returns { failures, retryAt, exhausted }; once
+ * exhausted the caller wipes the offline credential and the count starts over after
+ * the wait.
+ */
+export function recordPinFailure(userId, now = Date.now()) {
+  const attempts = readPinAttempts();
+  const failures = (attempts[userId]?.failures || 0) + 1;
+  const exhausted = failures >= PIN_MAX_ATTEMPTS;
+  const delayed = failures - PIN_FREE_ATTEMPTS;
+  const retryAt = delayed > 0 ? now + PIN_RETRY_DELAY_SECONDS * 1000 * 2 ** (delayed - 1) : null;
+  attempts[userId] = { failures: exhausted ? 0 : failures, retryAt };
+  writePinAttempts(attempts);
+  return { failures, retryAt, exhausted };
+}
+
+export function clearPinFailures(userId) {
+  const attempts = readPinAttempts();
+  if (!attempts[userId]) return;
+  delete attempts[userId];
+  writePinAttempts(attempts);
+}
+
+// ==================== USER TILES ====================
+
+export function normalizePinUser(raw) {
+  if (!raw) return null;
+  const id = raw.id ?? raw.userId ?? raw.user_id;
+  if (id === undefined || id === null) return null;
+  return {
+    id,
+    name: raw.fullName || raw.full_name || raw.name || raw.username || `User #${id}`,
+    role: raw.role || '',
+  };
+}
+
+export const normalizePinUsers = (list) =>
+  (Array.isArray(list) ? list : []).map(normalizePinUser).filter(Boolean);
+
+/** Tiles from the last time the server was reached, for the lock screen when offline. */
+export function getCachedPinUsers() {
+  try {
+    return normalizePinUsers(JSON.parse(localStorage.getItem(PIN_USERS_STORAGE_KEY) || '[]'));
+  } catch {
+    return [];
+  }
+}
+
+export function cachePinUsers(list) {
+  const users = normalizePinUsers(list);
+  try {
+    localStorage.setItem(PIN_USERS_STORAGE_KEY, JSON.stringify(users));
+  } catch (e) {
+    console.warn('[terminalLock] Failed to cache PIN users:', e);
+  }
+  return users;
+}
+
+// ==================== PIN HASHING ====================
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function derivePinHash(pin, salt, iterations) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(String(pin)), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    key,
+    256
+  );
+  return toBase64(bits);
+}
+
+/** Salted hash of a PIN for the offline credential cache: { salt, hash, iterations }. */
+export async function createPinCredential(pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return { salt: toBase64(salt), hash: await derivePinHash(pin, salt, PBKDF2_ITERATIONS), iterations: PBKDF2_ITERATIONS };
+}
+
+export async function verifyPinCredential(pin, credential) {
+  if (!credential?.salt || !credential?.hash) return false;
+  try {
+    return (await derivePinHash(pin, fromBase64(credential.salt), credential.iterations || PBKDF2_ITERATIONS)) === credential.hash;
+  } catch {
+    return false;
+  }
+}
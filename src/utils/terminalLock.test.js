@@ -0,0 +1,92 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+  PIN_MAX_ATTEMPTS,
+  sanitizePin,
+  isValidPin,
+  createPinCredential,
+  verifyPinCredential,
+  getPinRetryDelay,
+  recordPinFailure,
+  clearPinFailures,
+} from './terminalLock';
+
+// jsdom has no SubtleCrypto or TextEncoder; use Node's
+beforeAll(() => {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+  global.TextEncoder = TextEncoder;
+});
+
+describe('PIN credentials', () => {
+  it('verifies the PIN it was created from and nothing else', async () => {
+    const credential = await createPinCredential('4321');
+    expect(credential.iterations).toBe(100000);
+    expect(credential.hash).not.toContain('4321');
+    await expect(verifyPinCredential('4321', credential)).resolves.toBe(true);
+    await expect(verifyPinCredential('1234', credential)).resolves.toBe(false);
+  });
+
+  it('salts each credential', async () => {
+    const [a, b] = await Promise.all([createPinCredential('4321'), createPinCredential('4321')]);
+    expect(a.salt).not.toBe(b.salt);
+    expect(a.hash).not.toBe(b.hash);
+  });
+
+  it('rejects missing or corrupt credentials', async () => {
+    await expect(verifyPinCredential('4321', null)).resolves.toBe(false);
+    await expect(verifyPinCredential('4321', { salt: '%%%', hash: 'x' })).resolves.toBe(false);
+  });
+});
+
+describe('PIN throttling', () => {
+  const now = 1_000_000;
+
+  beforeEach(() => localStorage.clear());
+
+  it('lets the first wrong PINs through, then doubles the wait', () => {
+    expect(recordPinFailure(7, now)).toEqual({ failures: 1, retryAt: null, exhausted: false });
+    expect(recordPinFailure(7, now).retryAt).toBeNull();
+    expect(getPinRetryDelay(7, now)).toBe(0);
+
+    expect(recordPinFailure(7, now).retryAt).toBe(now + 30000);
+    expect(getPinRetryDelay(7, now)).toBe(30);
+    expect(getPinRetryDelay(7, now + 29500)).toBe(1);
+    expect(getPinRetryDelay(7, now + 30000)).toBe(0);
+
+    expect(recordPinFailure(7, now).retryAt).toBe(now + 60000);
+  });
+
+  it('reports exhaustion on the last allowed miss and starts the count over', () => {
+    for (let i = 1; i < PIN_MAX_ATTEMPTS; i += 1) {
+      expect(recordPinFailure(7, now).exhausted).toBe(false);
+    }
+    const last = recordPinFailure(7, now);
+    expect(last).toEqual({ failures: PIN_MAX_ATTEMPTS, retryAt: now + 120000, exhausted: true });
+    expect(getPinRetryDelay(7, now)).toBe(120);
+    expect(recordPinFailure(7, now + 120000).failures).toBe(1);
+  });
+
+  it('counts each user separately and clears on success', () => {
+    recordPinFailure(7, now);
+    recordPinFailure(7, now);
+    recordPinFailure(7, now);
+    expect(getPinRetryDelay(8, now)).toBe(0);
+
+    clearPinFailures(7);
+    expect(getPinRetryDelay(7, now)).toBe(0);
+    expect(recordPinFailure(7, now).failures).toBe(1);
+  });
+});
+
+describe('PIN input', () => {
+  it('keeps digits only, up to the longest PIN', () => {
+    expect(sanitizePin('12a34-5678')).toBe('123456');
+  });
+
+  it('accepts 4 to 6 digits', () => {
+    expect(isValidPin('123')).toBe(false);
+    expect(isValidPin('1234')).toBe(true);
+    expect(isValidPin('123456')).toBe(true);
+    expect(isValidPin('12345a')).toBe(false);
+  });
+});